@@ -0,0 +1,29 @@
+/**
+ * Abstract base class for account stores
+ * An account store resolves API keys to accounts, each with its own usage limits,
+ * maximum file size and accepted file types. Stores only ever see key hashes.
+ */
+class AccountStore {
+  /**
+   * Prepare the store, e.g. load the accounts or connect to a database
+   * @returns {Promise<void>}
+   */
+  async initialize() {}
+
+  /**
+   * Find the account an API key hash belongs to
+   * @param {string} keyHash - Hex SHA-256 hash of the API key
+   * @returns {Promise<Object|null>} - The account, null if no account has the key
+   */
+  async findByKeyHash(keyHash) {
+    throw new Error('findByKeyHash must be implemented by account store');
+  }
+
+  /**
+   * Release connections and watchers
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+module.exports = AccountStore;
@@ -0,0 +1,35 @@
+const path = require('path');
+const FileAccountStore = require('./FileAccountStore');
+
+/**
+ * Factory class for creating account stores based on configuration
+ */
+class AccountStoreFactory {
+  /**
+   * Create and initialize an account store
+   * @param {string} storeType - Type of store ('none' or 'file')
+   * @param {{file?: string}} [options] - Accounts file path (for file store)
+   * @returns {Promise<AccountStore|null>} - Null without accounts, leaving all traffic anonymous
+   */
+  static async createAccountStore(storeType = 'none', options = {}) {
+    let store;
+
+    if (storeType === 'none') {
+      return null;
+    } else if (storeType === 'file') {
+      if (!options.file) {
+        throw new Error('ACCOUNTS_FILE environment variable is required for file account store');
+      }
+
+      const absoluteFile = path.isAbsolute(options.file) ? options.file : path.resolve(process.cwd(), options.file);
+      store = new FileAccountStore(absoluteFile);
+    } else {
+      throw new Error(`Unknown account store type: ${storeType}. Supported types: 'none', 'file'`);
+    }
+
+    await store.initialize();
+    return store;
+  }
+}
+
+module.exports = AccountStoreFactory;
@@ -0,0 +1,93 @@
+const fs = require('fs').promises;
+
+const MemoryAccountStore = require('./MemoryAccountStore');
+
+// How often the accounts file is checked for changes
+const RELOAD_INTERVAL_MS = 5000;
+
+/**
+ * File-backed account store
+ * Reads accounts from a JSON file of the form {"accounts": [{id, keyHash, ...}]}. The file
+ * is checked for changes every few seconds while keys are looked up, so accounts can be
+ * added, changed or disabled without a restart. A file that cannot be read at startup
+ * stops the server; a broken edit later on is reported and the previous accounts stay.
+ */
+class FileAccountStore extends MemoryAccountStore {
+  /**
+   * @param {string} filePath - Absolute path to the accounts file
+   */
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    // Modification time of the loaded file
+    this.loadedMtime = null;
+    // When the file was last checked for changes
+    this.checkedAt = 0;
+    // Reload in progress, shared by concurrent lookups
+    this.reloading = null;
+  }
+
+  /**
+   * Load the accounts
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    const { mtimeMs } = await fs.stat(this.filePath);
+    await this._load(mtimeMs);
+  }
+
+  /**
+   * Read and apply the accounts file
+   * @param {number} mtimeMs - Modification time of the file being read
+   * @returns {Promise<void>}
+   * @throws {Error} If the file cannot be read or holds invalid accounts
+   */
+  async _load(mtimeMs) {
+    let content;
+    try {
+      content = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Accounts file ${this.filePath} could not be read: ${error.message}`);
+    }
+
+    this._setAccounts(content && content.accounts);
+    this.loadedMtime = mtimeMs;
+    this.checkedAt = Date.now();
+  }
+
+  /**
+   * Reload the accounts if the file changed since it was loaded
+   * Errors are logged rather than thrown, lookups go on with the accounts loaded before
+   * @returns {Promise<void>}
+   */
+  _reloadIfChanged() {
+    if (!this.reloading) {
+      this.reloading = (async () => {
+        const { mtimeMs } = await fs.stat(this.filePath);
+        if (mtimeMs !== this.loadedMtime) {
+          await this._load(mtimeMs);
+        }
+      })().catch((error) => {
+        console.warn('Accounts were not reloaded:', error.message);
+      }).finally(() => {
+        this.checkedAt = Date.now();
+        this.reloading = null;
+      });
+    }
+    return this.reloading;
+  }
+
+  /**
+   * Find the account an API key hash belongs to, picking up changes to the file first
+   * @param {string} keyHash - Hex SHA-256 hash of the API key
+   * @returns {Promise<Object|null>}
+   */
+  async findByKeyHash(keyHash) {
+    if (Date.now() - this.checkedAt >= RELOAD_INTERVAL_MS) {
+      await this._reloadIfChanged();
+    }
+    return super.findByKeyHash(keyHash);
+  }
+}
+
+module.exports = FileAccountStore;
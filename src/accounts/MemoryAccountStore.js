@@ -0,0 +1,57 @@
+const AccountStore = require('./AccountStore');
+const { parseAccount } = require('./accountRecords');
+
+/**
+ * In-memory account store
+ * Holds a fixed list of accounts, e.g. for tests or accounts configured in code
+ */
+class MemoryAccountStore extends AccountStore {
+  /**
+   * @param {Array<Object>} [records] - Account records, see parseAccount
+   */
+  constructor(records = []) {
+    super();
+    // keyHash -> account
+    this.accounts = new Map();
+    this._setAccounts(records);
+  }
+
+  /**
+   * Replace all accounts
+   * Nothing is replaced if any record is invalid
+   * @param {Array<Object>} records - Account records
+   * @throws {Error} For invalid records and ids or keys used twice
+   */
+  _setAccounts(records) {
+    if (!Array.isArray(records)) {
+      throw new Error('Accounts must be an array');
+    }
+
+    const accounts = new Map();
+    const ids = new Set();
+    for (const record of records) {
+      const account = parseAccount(record);
+      if (ids.has(account.id)) {
+        throw new Error(`Account id ${account.id} is used twice`);
+      }
+      if (accounts.has(account.keyHash)) {
+        throw new Error(`Account ${account.id} has the key of another account`);
+      }
+      ids.add(account.id);
+      accounts.set(account.keyHash, account);
+    }
+
+    this.accounts = accounts;
+  }
+
+  /**
+   * Find the account an API key hash belongs to
+   * @param {string} keyHash - Hex SHA-256 hash of the API key
+   * @returns {Promise<Object|null>}
+   */
+  async findByKeyHash(keyHash) {
+    return this.accounts.get(keyHash) || null;
+  }
+}
+
+module.exports = MemoryAccountStore;
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const { parseTypeList } = require('../api/contentType');
+
+/**
+ * API keys and the account records they belong to
+ * Keys are random strings handed to the account holder once; only their SHA-256 hash is
+ * stored. Keys carry 256 random bits, so a fast hash is as good as a slow one here and
+ * keeps checking a key on every request cheap.
+ */
+
+// Prefix of every API key, so leaked keys are easy to recognize
+const API_KEY_PREFIX = 'fsk_';
+
+// Number of random bytes in an API key
+const API_KEY_BYTES = 32;
+
+// Limits an account record may set, all positive whole numbers of bytes
+const LIMIT_FIELDS = ['uploadLimit', 'downloadLimit', 'maxFileSize'];
+
+/**
+ * Make a new API key
+ * @returns {string}
+ */
+function generateApiKey() {
+  return `${API_KEY_PREFIX}${crypto.randomBytes(API_KEY_BYTES).toString('base64url')}`;
+}
+
+/**
+ * Hash an API key the way account records store it
+ * @param {string} apiKey - The API key
+ * @returns {string} - Hex SHA-256 hash
+ */
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey, 'utf-8').digest('hex');
+}
+
+/**
+ * Check and normalize an account record
+ * Limits that are left out fall back to the server's own; an empty type list does too
+ * @param {Object} record - Record as stored, e.g. {id, keyHash, uploadLimit, downloadLimit, maxFileSize, allowedTypes, disabled}
+ * @returns {{id: string, keyHash: string, uploadLimit: number|null, downloadLimit: number|null,
+ *   maxFileSize: number|null, allowedTypes: Array<string>|null, disabled: boolean}}
+ * @throws {Error} Describing the first invalid field
+ */
+function parseAccount(record) {
+  if (!record || typeof record !== 'object') {
+    throw new Error('Account must be an object');
+  }
+  if (typeof record.id !== 'string' || record.id.trim() === '') {
+    throw new Error('Account id must be a non-empty string');
+  }
+  if (typeof record.keyHash !== 'string' || !/^[0-9a-f]{64}$/i.test(record.keyHash)) {
+    throw new Error(`Account ${record.id} must have a keyHash of 64 hex digits`);
+  }
+
+  const account = {
+    id: record.id,
+    keyHash: record.keyHash.toLowerCase(),
+    disabled: record.disabled === true
+  };
+
+  for (const field of LIMIT_FIELDS) {
+    const value = record[field];
+    if (value !== undefined && value !== null && !(Number.isSafeInteger(value) && value > 0)) {
+      throw new Error(`Account ${record.id} must have a positive whole number of bytes as ${field}`);
+    }
+    account[field] = value || null;
+  }
+
+  if (record.allowedTypes !== undefined && record.allowedTypes !== null &&
+      !(Array.isArray(record.allowedTypes) && record.allowedTypes.every(type => typeof type === 'string'))) {
+    throw new Error(`Account ${record.id} must list allowedTypes as an array of MIME types`);
+  }
+  const allowedTypes = parseTypeList(record.allowedTypes);
+  account.allowedTypes = allowedTypes.length > 0 ? allowedTypes : null;
+
+  return account;
+}
+
+module.exports = {
+  generateApiKey,
+  hashApiKey,
+  parseAccount
+};
@@ -0,0 +1,223 @@
+const express = require('express');
+const net = require('net');
+const { createAdminAuth } = require('../middleware/adminAuth');
+const { getUsage, resetUsage } = require('../middleware/usageLimiter');
+const cleanupJob = require('../jobs/cleanupJob');
+const {
+  parseInventoryFilters, parsePage, matchesFilters, sortNewestFirst, toInventoryEntry, summarizeFiles
+} = require('./fileInventory');
+
+// Configuration from environment variables
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+/**
+ * Initialize admin routes with storage provider
+ * Every route requires the admin token as `Authorization: Bearer <token>`
+ * @param {StorageProvider} storageProvider - The storage provider instance
+ * @param {Object} [options] - Route options
+ * @param {string} [options.adminToken] - Admin token, at least 32 characters (default: configured)
+ */
+function initializeAdminRoutes(storageProvider, options = {}) {
+  if (!storageProvider) {
+    throw new Error('Storage provider is required for admin routes');
+  }
+
+  const router = express.Router();
+
+  // Answers are about the whole store and change all the time
+  router.use('/admin', createAdminAuth(options.adminToken || ADMIN_TOKEN), (req, res, next) => {
+    res.setHeader('Cache-Control', 'no-store');
+    next();
+  });
+
+  /**
+   * Get the stored files that pass the filters of a request
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<Array<StoredFile>|null>} - Null once a 400 response for invalid filters has been sent
+   */
+  async function findFiles(req, res) {
+    let filters;
+    try {
+      filters = parseInventoryFilters(req.query);
+    } catch (error) {
+      res.status(400).json({
+        error: 'Invalid filter',
+        message: error.message
+      });
+      return null;
+    }
+
+    const files = await storageProvider.listFiles();
+    return files.filter(file => matchesFilters(file, filters));
+  }
+
+  /**
+   * Check the IP address of a usage route, sending a 400 response if it is not one
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {boolean} - True if the IP address is valid
+   */
+  function checkIp(req, res) {
+    if (net.isIP(req.params.ip)) {
+      return true;
+    }
+
+    res.status(400).json({
+      error: 'Invalid IP address',
+      message: 'Please provide an IPv4 or IPv6 address as the server sees it'
+    });
+    return false;
+  }
+
+  /**
+   * GET /admin/files
+   * List stored files, newest first
+   * Accepts limit (1-1000, default 50) and offset, and the filters minSize, maxSize (bytes),
+   * type (comma-separated MIME types, "image/*" allowed), createdAfter, createdBefore,
+   * accessedAfter, accessedBefore (dates) and uploader (IP address or account:<id>)
+   * Returns {files: [{privateKey, originalName, mimeType, fileSize, storedSize, uploader, createdAt,
+   *   lastAccessed, expiresAt, downloadCount, maxDownloads, status, scanStatus, bundle,
+   *   passwordProtected, zeroKnowledge, shareTokens}], total, limit, offset}
+   */
+  router.get('/admin/files', async (req, res) => {
+    try {
+      let page;
+      try {
+        page = parsePage(req.query);
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Invalid filter',
+          message: error.message
+        });
+      }
+
+      const files = await findFiles(req, res);
+      if (!files) {
+        return;
+      }
+
+      const now = new Date();
+      res.json({
+        files: sortNewestFirst(files).slice(page.offset, page.offset + page.limit).map(file => toInventoryEntry(file, now)),
+        total: files.length,
+        limit: page.limit,
+        offset: page.offset
+      });
+    } catch (error) {
+      console.error('Error listing files:', error);
+      res.status(500).json({
+        error: 'Listing failed',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /admin/stats
+   * Sum up stored files; accepts the filters of GET /admin/files
+   * Returns {count, totalBytes, topUploaders: [{uploader, count, totalBytes}]}
+   */
+  router.get('/admin/stats', async (req, res) => {
+    try {
+      const files = await findFiles(req, res);
+      if (!files) {
+        return;
+      }
+
+      res.json(summarizeFiles(files));
+    } catch (error) {
+      console.error('Error computing statistics:', error);
+      res.status(500).json({
+        error: 'Statistics failed',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * DELETE /admin/files/:privateKey
+   * Delete any file, e.g. one reported for abuse
+   * Returns confirmation JSON
+   */
+  router.delete('/admin/files/:privateKey', async (req, res) => {
+    try {
+      const deleted = await storageProvider.deleteFile(req.params.privateKey);
+
+      if (!deleted) {
+        return res.status(404).json({
+          error: 'File not found',
+          message: 'The requested file does not exist'
+        });
+      }
+
+      console.log(`Admin: Deleted file with privateKey ${req.params.privateKey.substring(0, 8)}...`);
+      res.json({
+        success: true,
+        message: 'File deleted successfully'
+      });
+    } catch (error) {
+      console.error('Error deleting file:', error);
+      res.status(500).json({
+        error: 'Delete failed',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /admin/cleanup
+   * Run the cleanup job now instead of waiting for its next run
+   * Returns {deleted}, the number of files removed
+   */
+  router.post('/admin/cleanup', async (req, res) => {
+    const deleted = await cleanupJob.runCleanup();
+    res.json({ deleted });
+  });
+
+  /**
+   * GET /admin/usage/:ip
+   * Get today's usage of an IP address
+   * Returns {ip, upload, download, uploadLimit, downloadLimit}
+   */
+  router.get('/admin/usage/:ip', async (req, res) => {
+    if (!checkIp(req, res)) {
+      return;
+    }
+
+    try {
+      res.json({ ip: req.params.ip, ...(await getUsage(req.params.ip)) });
+    } catch (error) {
+      console.error('Error reading usage:', error);
+      res.status(500).json({
+        error: 'Usage lookup failed',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * DELETE /admin/usage/:ip
+   * Forget today's usage of an IP address, lifting its daily limits until it uses them up again
+   * Returns {ip, reset}, where reset tells whether the IP address had used anything today
+   */
+  router.delete('/admin/usage/:ip', async (req, res) => {
+    if (!checkIp(req, res)) {
+      return;
+    }
+
+    try {
+      res.json({ ip: req.params.ip, reset: await resetUsage(req.params.ip) });
+    } catch (error) {
+      console.error('Error resetting usage:', error);
+      res.status(500).json({
+        error: 'Usage reset failed',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = initializeAdminRoutes;
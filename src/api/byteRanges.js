@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+/**
+ * HTTP Range request helpers for file downloads
+ * Implements single and multiple byte ranges (RFC 7233)
+ */
+
+// Requests asking for more ranges than this are answered with the full file
+const MAX_RANGES = 20;
+
+/**
+ * Parse the Range header of a request against a file size
+ * @param {Object} req - Express request object
+ * @param {number} fileSize - Size of the file in bytes
+ * @returns {Array<{start: number, end: number}>|number|null} - Ranges to serve,
+ *   -1 if no range can be satisfied, or null to serve the whole file
+ */
+function parseRange(req, fileSize) {
+  if (!req.headers.range) {
+    return null;
+  }
+
+  const ranges = req.range(fileSize, { combine: true });
+
+  // Malformed or non-byte ranges are ignored
+  if (ranges === -2 || ranges === undefined) {
+    return null;
+  }
+
+  if (ranges === -1) {
+    return -1;
+  }
+
+  if (ranges.type !== 'bytes' || ranges.length > MAX_RANGES) {
+    return null;
+  }
+
+  return ranges.map(({ start, end }) => ({ start, end }));
+}
+
+/**
+ * Check the If-Range precondition of a request
+ * A range is only served if the validator still matches the stored file
+ * @param {Object} req - Express request object
+ * @param {{lastModified: Date, etag?: string}} validators - Current validators of the file
+ * @returns {boolean} - True if the Range header should be honored
+ */
+function isRangeFresh(req, { lastModified, etag }) {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) {
+    return true;
+  }
+
+  // Entity tag: only a strong comparison can match
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    return Boolean(etag) && !ifRange.startsWith('W/') && ifRange === etag;
+  }
+
+  // HTTP date: the file must not have changed since that date
+  const ifRangeDate = Date.parse(ifRange);
+  if (Number.isNaN(ifRangeDate) || !lastModified) {
+    return false;
+  }
+
+  return Math.floor(lastModified.getTime() / 1000) <= Math.floor(ifRangeDate / 1000);
+}
+
+/**
+ * Format a Content-Range header value
+ * @param {{start: number, end: number}} range - Inclusive byte range
+ * @param {number} fileSize - Size of the file in bytes
+ * @returns {string}
+ */
+function formatContentRange({ start, end }, fileSize) {
+  return `bytes ${start}-${end}/${fileSize}`;
+}
+
+/**
+ * Build a multipart/byteranges body for several ranges
+ * Range content is read lazily, one range at a time
+ * @param {Array<{start: number, end: number}>} ranges - Ranges to serve
+ * @param {number} fileSize - Size of the file in bytes
+ * @param {string} mimeType - MIME type of the file
+ * @param {Function} openRange - Returns a promise of a readable stream for a range
+ * @returns {{stream: Readable, contentType: string, contentLength: number, payloadBytes: Function}}
+ */
+function createMultipartRanges(ranges, fileSize, mimeType, openRange) {
+  const boundary = crypto.randomBytes(16).toString('hex');
+  const partHeaders = ranges.map(range => Buffer.from(
+    `\r\n--${boundary}\r\n` +
+    `Content-Type: ${mimeType}\r\n` +
+    `Content-Range: ${formatContentRange(range, fileSize)}\r\n\r\n`
+  ));
+  const trailer = Buffer.from(`\r\n--${boundary}--\r\n`);
+
+  const contentLength = ranges.reduce(
+    (total, range, index) => total + partHeaders[index].length + (range.end - range.start + 1),
+    trailer.length
+  );
+
+  let served = 0;
+
+  async function* generateParts() {
+    for (let index = 0; index < ranges.length; index++) {
+      yield partHeaders[index];
+
+      const source = await openRange(ranges[index]);
+      for await (const chunk of source) {
+        served += chunk.length;
+        yield chunk;
+      }
+    }
+
+    yield trailer;
+  }
+
+  return {
+    stream: Readable.from(generateParts()),
+    contentType: `multipart/byteranges; boundary=${boundary}`,
+    contentLength,
+    payloadBytes: () => served
+  };
+}
+
+module.exports = {
+  parseRange,
+  isRangeFresh,
+  formatContentRange,
+  createMultipartRanges
+};
@@ -0,0 +1,59 @@
+/**
+ * Validators and caching rules for downloads
+ * The content behind a public key never changes, so its SHA-256 makes a strong entity tag
+ * and the upload time serves as Last-Modified. How long clients and shared caches may keep
+ * a download depends on the share: copies of shares with a download limit or a password
+ * would get around those, so they follow a separate, restricted policy.
+ */
+
+// Default Cache-Control of open shares: caches keep a copy but revalidate it on every use
+const DEFAULT_CACHE_CONTROL = 'private, no-cache';
+
+// Default Cache-Control of shares with a download limit or a password
+const DEFAULT_CACHE_CONTROL_RESTRICTED = 'private, no-store';
+
+// Configuration from environment variables
+const CACHE_CONTROL = process.env.CACHE_CONTROL || DEFAULT_CACHE_CONTROL;
+const CACHE_CONTROL_RESTRICTED = process.env.CACHE_CONTROL_RESTRICTED || DEFAULT_CACHE_CONTROL_RESTRICTED;
+
+/**
+ * Get the entity tag of a download
+ * A bundle's archive is built from its manifest and member files that never change,
+ * so the manifest's digest identifies the archive
+ * @param {{sha256: string|null, bundle?: boolean}} file - File info, or a file of a bundle
+ * @returns {string|null} - Strong entity tag, null for files stored without a digest
+ */
+function getEntityTag({ sha256, bundle }) {
+  if (!sha256) {
+    return null;
+  }
+  return bundle ? `"zip-${sha256}"` : `"${sha256}"`;
+}
+
+/**
+ * Get the Cache-Control header value for a share
+ * Lifetimes (max-age, s-maxage) of open shares are cut down to the time left until the share expires
+ * @param {FileInfo} info - File info of the share
+ * @param {{open?: string, restricted?: string}} [policies] - Policies overriding the configured ones
+ * @param {Date} [now] - Reference time
+ * @returns {string}
+ */
+function getCacheControl(info, policies = {}, now = new Date()) {
+  if (info.passwordHash || info.maxDownloads !== null) {
+    return policies.restricted || CACHE_CONTROL_RESTRICTED;
+  }
+
+  const policy = policies.open || CACHE_CONTROL;
+  if (!info.expiresAt) {
+    return policy;
+  }
+
+  const remaining = Math.max(0, Math.floor((info.expiresAt.getTime() - now.getTime()) / 1000));
+  return policy.replace(/\b(max-age|s-maxage)=(\d+)/gi,
+    (directive, name, seconds) => `${name}=${Math.min(Number(seconds), remaining)}`);
+}
+
+module.exports = {
+  getEntityTag,
+  getCacheControl
+};
@@ -0,0 +1,76 @@
+/**
+ * Content digests sent by clients and to clients
+ * Uploads may carry a Digest header (RFC 3230, e.g. "sha-256=<base64>, md5=<base64>")
+ * or a Content-MD5 header (RFC 1864); downloads carry the SHA-256 recorded at upload.
+ */
+
+// Digest algorithms that can be checked, by their RFC 3230 name
+const DIGEST_ALGORITHMS = {
+  'sha-256': { name: 'sha256', bytes: 32 },
+  md5: { name: 'md5', bytes: 16 }
+};
+
+/**
+ * Decode a base64 digest
+ * @param {string} value - base64 digest
+ * @param {number} bytes - Expected digest length in bytes
+ * @returns {string} - Hex digest
+ */
+function decodeDigest(value, bytes) {
+  const digest = Buffer.from(value, 'base64');
+  if (!/^[A-Za-z0-9+/]+={0,2}$/.test(value) || digest.length !== bytes) {
+    throw new Error('Invalid digest');
+  }
+  return digest.toString('hex');
+}
+
+/**
+ * Get the digests a client expects its upload to have
+ * Algorithms other than SHA-256 and MD5 are ignored, as RFC 3230 allows
+ * @param {Object} headers - Request headers
+ * @returns {{sha256?: string, md5?: string}|null} - Hex digests by hash algorithm, or null if none were sent.
+ *   Throws 'Invalid digest' for malformed or contradicting headers
+ */
+function parseContentDigests(headers) {
+  const expected = {};
+  const expect = (name, digest) => {
+    if (expected[name] && expected[name] !== digest) {
+      throw new Error('Invalid digest');
+    }
+    expected[name] = digest;
+  };
+
+  if (headers['content-md5'] !== undefined) {
+    expect('md5', decodeDigest(headers['content-md5'].trim(), 16));
+  }
+
+  if (headers.digest !== undefined) {
+    for (const entry of headers.digest.split(',')) {
+      const separator = entry.indexOf('=');
+      if (separator === -1) {
+        throw new Error('Invalid digest');
+      }
+
+      const algorithm = DIGEST_ALGORITHMS[entry.slice(0, separator).trim().toLowerCase()];
+      if (algorithm) {
+        expect(algorithm.name, decodeDigest(entry.slice(separator + 1).trim(), algorithm.bytes));
+      }
+    }
+  }
+
+  return Object.keys(expected).length > 0 ? expected : null;
+}
+
+/**
+ * Format the Digest header value of a download
+ * @param {string} sha256 - Hex SHA-256 of the content
+ * @returns {string}
+ */
+function formatDigest(sha256) {
+  return `sha-256=${Buffer.from(sha256, 'hex').toString('base64')}`;
+}
+
+module.exports = {
+  parseContentDigests,
+  formatDigest
+};
@@ -0,0 +1,85 @@
+/**
+ * File names of uploads and the Content-Disposition of downloads
+ * Names sent by clients are cleaned up before they are stored, so they cannot break out of
+ * a header or point into another directory. Downloads offer them in RFC 6266 form: a quoted
+ * ASCII fallback for old clients, plus the exact UTF-8 name in RFC 5987 encoding where the
+ * fallback had to drop characters.
+ */
+
+// Longest file name kept, in characters
+const MAX_FILENAME_LENGTH = 255;
+
+// Characters that are removed from file names: control characters, path separators and quotes
+const UNSAFE_CHARACTERS = /[\u0000-\u001F\u007F-\u009F/\\"]/g;
+
+// Characters that may appear unencoded in an RFC 5987 value (attr-char)
+const ATTR_CHAR = /[A-Za-z0-9!#$&+.^_`|~-]/;
+
+/**
+ * Clean up a file name sent by a client
+ * @param {string|undefined} name - Name as sent
+ * @param {string} fallback - Name used when nothing is left of it
+ * @returns {string}
+ */
+function sanitizeFilename(name, fallback) {
+  if (typeof name !== 'string') {
+    return fallback;
+  }
+
+  const cleaned = Array.from(name.normalize('NFC').replace(UNSAFE_CHARACTERS, ''))
+    .slice(0, MAX_FILENAME_LENGTH)
+    .join('')
+    .replace(/^[\s.]+|[\s.]+$/g, '');
+  return cleaned === '' ? fallback : cleaned;
+}
+
+/**
+ * Recover the file name of a multipart upload
+ * Browsers send names as raw UTF-8, which the multipart parser reads as Latin-1;
+ * names that are not valid UTF-8 that way are kept as they were parsed
+ * @param {string} name - Name as parsed
+ * @returns {string}
+ */
+function decodeMultipartFilename(name) {
+  if (typeof name !== 'string' || !/[\u0080-\u00FF]/.test(name) || /[^\u0000-\u00FF]/.test(name)) {
+    return name;
+  }
+  const decoded = Buffer.from(name, 'latin1').toString('utf-8');
+  return decoded.includes('\uFFFD') ? name : decoded;
+}
+
+/**
+ * Encode a value as an RFC 5987 ext-value in UTF-8
+ * @param {string} value - Value to encode
+ * @returns {string}
+ */
+function encodeExtValue(value) {
+  const encoded = Array.from(Buffer.from(value, 'utf-8'), (byte) => {
+    const char = String.fromCharCode(byte);
+    return byte < 0x80 && ATTR_CHAR.test(char) ? char : `%${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+  });
+  return `UTF-8''${encoded.join('')}`;
+}
+
+/**
+ * Build a Content-Disposition header value
+ * Names that are not plain printable ASCII also get a filename* parameter with the exact name
+ * @param {string} filename - Name of the file offered to the client
+ * @param {string} [disposition] - 'attachment' or 'inline'
+ * @returns {string}
+ */
+function formatContentDisposition(filename, disposition = 'attachment') {
+  const name = sanitizeFilename(filename, 'download');
+  const fallback = name.replace(/[^\x20-\x7E]/g, '_');
+
+  if (fallback === name) {
+    return `${disposition}; filename="${name}"`;
+  }
+  return `${disposition}; filename="${fallback}"; filename*=${encodeExtValue(name)}`;
+}
+
+module.exports = {
+  decodeMultipartFilename,
+  sanitizeFilename,
+  formatContentDisposition
+};
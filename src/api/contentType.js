@@ -0,0 +1,319 @@
+/**
+ * Content types of uploads
+ * The MIME type a client declares for an upload is not trusted: the first bytes of the
+ * content are checked against the signatures of well-known formats, and text is told
+ * apart from binary data. The declared type is only kept where the content does not
+ * contradict it. Types that browsers render as active content (HTML, SVG, XML, scripts)
+ * are always downloaded, never displayed.
+ */
+
+// Number of bytes at the start of a file that are looked at to detect its type
+const SNIFF_LENGTH = 4096;
+
+// Type stored for content that cannot be identified
+const FALLBACK_TYPE = 'application/octet-stream';
+
+// Signatures of binary formats: bytes at an offset (null matches any byte)
+const SIGNATURES = [
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { type: 'image/jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+  { type: 'image/gif', bytes: 'GIF87a' },
+  { type: 'image/gif', bytes: 'GIF89a' },
+  { type: 'image/webp', bytes: ['RIFF', null, null, null, null, 'WEBP'] },
+  { type: 'audio/wav', bytes: ['RIFF', null, null, null, null, 'WAVE'] },
+  { type: 'video/x-msvideo', bytes: ['RIFF', null, null, null, null, 'AVI '] },
+  { type: 'image/tiff', bytes: [0x49, 0x49, 0x2A, 0x00] },
+  { type: 'image/tiff', bytes: [0x4D, 0x4D, 0x00, 0x2A] },
+  { type: 'image/x-icon', bytes: [0x00, 0x00, 0x01, 0x00] },
+  { type: 'application/pdf', bytes: '%PDF-' },
+  { type: 'application/postscript', bytes: '%!PS' },
+  { type: 'application/rtf', bytes: '{\\rtf' },
+  { type: 'application/zip', bytes: [0x50, 0x4B, 0x03, 0x04] },
+  { type: 'application/zip', bytes: [0x50, 0x4B, 0x05, 0x06] },
+  { type: 'application/gzip', bytes: [0x1F, 0x8B] },
+  { type: 'application/x-bzip2', bytes: 'BZh' },
+  { type: 'application/x-xz', bytes: [0xFD, 0x37, 0x7A, 0x58, 0x5A, 0x00] },
+  { type: 'application/x-7z-compressed', bytes: [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C] },
+  { type: 'application/vnd.rar', bytes: [0x52, 0x61, 0x72, 0x21, 0x1A, 0x07] },
+  { type: 'application/x-tar', bytes: 'ustar', offset: 257 },
+  { type: 'application/x-ole-storage', bytes: [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1] },
+  { type: 'application/vnd.sqlite3', bytes: 'SQLite format 3\0' },
+  { type: 'audio/mpeg', bytes: 'ID3' },
+  { type: 'audio/mpeg', bytes: [0xFF, 0xFB] },
+  { type: 'audio/mpeg', bytes: [0xFF, 0xF3] },
+  { type: 'audio/mpeg', bytes: [0xFF, 0xF2] },
+  { type: 'audio/ogg', bytes: 'OggS' },
+  { type: 'audio/flac', bytes: 'fLaC' },
+  { type: 'video/webm', bytes: [0x1A, 0x45, 0xDF, 0xA3] },
+  { type: 'font/woff', bytes: 'wOFF' },
+  { type: 'font/woff2', bytes: 'wOF2' },
+  { type: 'font/otf', bytes: 'OTTO' },
+  { type: 'font/ttf', bytes: [0x00, 0x01, 0x00, 0x00, 0x00] },
+  { type: 'application/wasm', bytes: [0x00, 0x61, 0x73, 0x6D] },
+  { type: 'application/x-executable', bytes: [0x7F, 0x45, 0x4C, 0x46] },
+  { type: 'application/x-mach-binary', bytes: [0xFE, 0xED, 0xFA, 0xCE] },
+  { type: 'application/x-mach-binary', bytes: [0xFE, 0xED, 0xFA, 0xCF] },
+  { type: 'application/x-mach-binary', bytes: [0xCE, 0xFA, 0xED, 0xFE] },
+  { type: 'application/x-mach-binary', bytes: [0xCF, 0xFA, 0xED, 0xFE] },
+  { type: 'application/x-msdownload', bytes: 'MZ' }
+];
+
+// Brands of ISO base media files (the "ftyp" box) that are not MP4 video
+const FTYP_BRANDS = {
+  'qt  ': 'video/quicktime',
+  'M4A ': 'audio/mp4',
+  'M4B ': 'audio/mp4',
+  heic: 'image/heic',
+  heix: 'image/heic',
+  mif1: 'image/heif',
+  avif: 'image/avif'
+};
+
+// Declared types kept for content that is stored in the container format detected for it
+const CONTAINED_TYPES = {
+  'application/zip': [
+    /^application\/vnd\.openxmlformats-officedocument\./,
+    /^application\/vnd\.ms-(excel|word|powerpoint)\.[a-z.]+\.macroenabled\.12$/,
+    /^application\/vnd\.oasis\.opendocument\./,
+    /^application\/(epub\+zip|java-archive|vnd\.android\.package-archive)$/
+  ],
+  'application/x-ole-storage': [
+    /^application\/(msword|vnd\.ms-excel|vnd\.ms-powerpoint|vnd\.ms-outlook|vnd\.visio|x-msi)$/
+  ],
+  'application/xml': [/\+xml$/],
+  'audio/ogg': [/^(video|application)\/ogg$/],
+  'video/webm': [/^(audio\/webm|video\/x-matroska)$/],
+  'video/mp4': [/^(audio|video)\/(mp4|x-m4a|x-m4v|3gpp|3gpp2)$/]
+};
+
+// Declared types kept for content that is plain text
+const TEXT_TYPES = [
+  /^text\//,
+  /^application\/(json|ld\+json|x-ndjson|yaml|x-yaml|toml|sql|csv|x-sh|x-httpd-php|x-tex|x-latex)$/,
+  /\+json$/
+];
+
+// Types that browsers render as active content, which must never be displayed inline
+const DANGEROUS_TYPES = [
+  /^text\/(html|xml|xsl|javascript|ecmascript|x-javascript)$/,
+  /^application\/(xhtml\+xml|xml|xslt\+xml|javascript|ecmascript|x-javascript)$/,
+  /^image\/svg\+xml$/,
+  /\+xml$/
+];
+
+// Markers of HTML documents, as browsers sniff them (followed by a space or ">")
+const HTML_MARKERS = [
+  '<!doctype html', '<html', '<head', '<script', '<iframe', '<h1', '<div', '<font',
+  '<table', '<a', '<style', '<title', '<b', '<body', '<br', '<p', '<!--'
+];
+
+// Bytes that never occur in text
+const BINARY_BYTES = /[\x00-\x08\x0B\x0E-\x1A\x1C-\x1F]/;
+
+// Configuration from environment variables
+const ALLOWED_MIME_TYPES = parseTypeList(process.env.ALLOWED_MIME_TYPES);
+const DENIED_MIME_TYPES = parseTypeList(process.env.DENIED_MIME_TYPES);
+
+/**
+ * Check whether a signature matches the start of a file
+ * @param {Buffer} head - First bytes of the file
+ * @param {{bytes: string|Array<number|string|null>, offset?: number}} signature - Signature to look for
+ * @returns {boolean}
+ */
+function matchesSignature(head, { bytes, offset = 0 }) {
+  const parts = typeof bytes === 'string' ? [bytes] : bytes;
+  let position = offset;
+
+  for (const part of parts) {
+    if (typeof part === 'string') {
+      if (head.toString('latin1', position, position + part.length) !== part) {
+        return false;
+      }
+      position += part.length;
+    } else {
+      if (position >= head.length || (part !== null && head[position] !== part)) {
+        return false;
+      }
+      position += 1;
+    }
+  }
+  return true;
+}
+
+/**
+ * Detect markup at the start of text: HTML, SVG or other XML
+ * @param {string} text - Start of the file
+ * @returns {string|null}
+ */
+function detectMarkup(text) {
+  const start = text.replace(/^\uFEFF/, '').trimStart().toLowerCase();
+
+  if (start.startsWith('<?xml')) {
+    if (/<svg[\s>]/.test(start)) {
+      return 'image/svg+xml';
+    }
+    return /<html[\s>]/.test(start) ? 'text/html' : 'application/xml';
+  }
+  if (/^<svg[\s>]/.test(start)) {
+    return 'image/svg+xml';
+  }
+
+  const isHtml = HTML_MARKERS.some(marker => start.startsWith(marker) &&
+    (marker === '<!--' || /^[\s>]/.test(start.charAt(marker.length))));
+  return isHtml ? 'text/html' : null;
+}
+
+/**
+ * Detect the type of content from its first bytes
+ * @param {Buffer} head - First bytes of the file (up to SNIFF_LENGTH)
+ * @returns {string|null} - Detected type, 'text/plain' for unidentified text,
+ *   or null for binary content of an unknown format
+ */
+function sniffMimeType(head) {
+  const signature = SIGNATURES.find(candidate => matchesSignature(head, candidate));
+  if (signature) {
+    return signature.type;
+  }
+
+  // ISO base media files (MP4, QuickTime, HEIF) start with an "ftyp" box naming their brand
+  if (head.toString('latin1', 4, 8) === 'ftyp') {
+    return FTYP_BRANDS[head.toString('latin1', 8, 12)] || 'video/mp4';
+  }
+
+  // BMP files start with "BM" and a known info header size
+  if (head.length >= 18 && head.toString('latin1', 0, 2) === 'BM' &&
+    [12, 40, 52, 56, 108, 124].includes(head.readUInt32LE(14))) {
+    return 'image/bmp';
+  }
+
+  // UTF-16 text may contain any byte, so it is recognized by its byte order mark
+  if (head.length >= 2 && ((head[0] === 0xFE && head[1] === 0xFF) || (head[0] === 0xFF && head[1] === 0xFE))) {
+    return 'text/plain';
+  }
+
+  const text = head.toString('latin1');
+  if (BINARY_BYTES.test(text)) {
+    return null;
+  }
+  return detectMarkup(head.toString('utf-8')) || 'text/plain';
+}
+
+/**
+ * Normalize a declared MIME type
+ * @param {string|undefined} declared - Type sent by the client, possibly with parameters
+ * @returns {string|null} - Lowercase type without parameters, or null if it is not a valid type
+ */
+function normalizeMimeType(declared) {
+  if (typeof declared !== 'string') {
+    return null;
+  }
+  const type = declared.split(';')[0].trim().toLowerCase();
+  return /^[a-z0-9][a-z0-9!#$&^_.+-]*\/[a-z0-9][a-z0-9!#$&^_.+-]*$/.test(type) ? type : null;
+}
+
+/**
+ * Check whether browsers would render content of a type as active content
+ * @param {string} type - MIME type
+ * @returns {boolean}
+ */
+function isDangerousType(type) {
+  const normalized = normalizeMimeType(type);
+  return normalized !== null && DANGEROUS_TYPES.some(pattern => pattern.test(normalized));
+}
+
+/**
+ * Work out the type to store for an upload
+ * A detected format wins over the declared type, except where the declared type is a
+ * format stored in the detected container (e.g. a .docx in a ZIP archive). Text keeps a
+ * declared text type, and content of an unknown format keeps a declared type that does
+ * not claim a format that could have been detected.
+ * @param {Buffer} head - First bytes of the file (up to SNIFF_LENGTH)
+ * @param {string|undefined} declared - Type sent by the client
+ * @returns {string}
+ */
+function resolveMimeType(head, declared) {
+  const detected = sniffMimeType(head);
+  const claimed = normalizeMimeType(declared);
+
+  if (detected === 'text/plain') {
+    const isText = claimed && !isDangerousType(claimed) && TEXT_TYPES.some(pattern => pattern.test(claimed));
+    return isText ? claimed : detected;
+  }
+
+  if (detected) {
+    const contained = CONTAINED_TYPES[detected] || [];
+    return claimed && contained.some(pattern => pattern.test(claimed)) ? claimed : detected;
+  }
+
+  const detectable = SIGNATURES.some(signature => signature.type === claimed) ||
+    Object.values(FTYP_BRANDS).includes(claimed) || ['video/mp4', 'image/bmp'].includes(claimed);
+  if (!claimed || detectable || isDangerousType(claimed) || claimed.startsWith('text/')) {
+    return FALLBACK_TYPE;
+  }
+  return claimed;
+}
+
+/**
+ * Parse a comma-separated list of MIME types
+ * Entries may end in "/*" to cover a whole top-level type, e.g. "image/*"
+ * @param {string|Array<string>|undefined} value - List from the configuration
+ * @returns {Array<string>}
+ */
+function parseTypeList(value) {
+  if (!value) {
+    return [];
+  }
+  const entries = Array.isArray(value) ? value : value.split(',');
+  return entries.map(entry => entry.trim().toLowerCase()).filter(entry => entry !== '');
+}
+
+/**
+ * Check whether a MIME type is covered by an entry of a type list
+ * @param {string} type - MIME type
+ * @param {string} entry - Exact type, "top/*" or "*\/*"
+ * @returns {boolean}
+ */
+function matchesTypeEntry(type, entry) {
+  if (entry === '*/*') {
+    return true;
+  }
+  return entry.endsWith('/*') ? type.startsWith(entry.slice(0, -1)) : type === entry;
+}
+
+/**
+ * Check whether a MIME type is covered by a type list
+ * @param {string} type - MIME type
+ * @param {Array<string>} list - Parsed type list
+ * @returns {boolean}
+ */
+function isTypeListed(type, list) {
+  return list.some(entry => matchesTypeEntry(type, entry));
+}
+
+/**
+ * Check whether uploads of a type are accepted
+ * Denied types are refused even when they are also allowed; an empty allow list allows everything
+ * @param {string} type - MIME type of the upload
+ * @param {{allowed?: Array<string>, denied?: Array<string>}} [policy] - Lists overriding the configured ones
+ * @returns {boolean}
+ */
+function isTypeAllowed(type, policy = {}) {
+  const allowed = policy.allowed ? parseTypeList(policy.allowed) : ALLOWED_MIME_TYPES;
+  const denied = policy.denied ? parseTypeList(policy.denied) : DENIED_MIME_TYPES;
+
+  if (isTypeListed(type, denied)) {
+    return false;
+  }
+  return allowed.length === 0 || isTypeListed(type, allowed);
+}
+
+module.exports = {
+  SNIFF_LENGTH,
+  sniffMimeType,
+  normalizeMimeType,
+  isDangerousType,
+  resolveMimeType,
+  parseTypeList,
+  isTypeListed,
+  isTypeAllowed
+};
@@ -0,0 +1,216 @@
+const { parseTypeList, isTypeListed } = require('./contentType');
+const { getShareStatus } = require('../storage/shareLimits');
+
+/**
+ * File inventory of the admin API
+ * Stored files are filtered by size, type, creation time, last activity and uploader, listed
+ * a page at a time (newest first) and summed up. Sizes are the bytes stored for a file, its
+ * bundle members and renditions included. A file's last activity is its last download, or
+ * its upload if it was never downloaded, as for the inactivity cleanup.
+ */
+
+// Files listed per page unless a limit is given
+const DEFAULT_PAGE_SIZE = 50;
+
+// Most files listed per page
+const MAX_PAGE_SIZE = 1000;
+
+// Number of uploaders listed by statistics
+const TOP_UPLOADERS = 10;
+
+// Filters taking a size in bytes
+const SIZE_FILTERS = ['minSize', 'maxSize'];
+
+// Filters taking a date
+const DATE_FILTERS = ['createdAfter', 'createdBefore', 'accessedAfter', 'accessedBefore'];
+
+/**
+ * @typedef {Object} InventoryFilters
+ * @property {number} [minSize] - Smallest size in bytes
+ * @property {number} [maxSize] - Largest size in bytes
+ * @property {Array<string>} [types] - MIME types, "top/*" or "*\/*"
+ * @property {Date} [createdAfter] - Files uploaded at or after this time
+ * @property {Date} [createdBefore] - Files uploaded before this time
+ * @property {Date} [accessedAfter] - Files last active at or after this time
+ * @property {Date} [accessedBefore] - Files last active before this time
+ * @property {string} [uploader] - IP address or "account:<id>" of the uploader
+ */
+
+/**
+ * Parse a non-negative integer query value
+ * @param {string} name - Name of the value, for messages
+ * @param {*} value - Raw query value
+ * @returns {number}
+ */
+function parseCount(name, value) {
+  if (!/^\d+$/.test(String(value))) {
+    throw new Error(`${name} must be a non-negative integer`);
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Parse the filters of an inventory request
+ * Missing or empty values are left unset
+ * @param {Object} query - Query string values
+ * @returns {InventoryFilters}
+ */
+function parseInventoryFilters(query = {}) {
+  const filters = {};
+  const isSet = name => query[name] !== undefined && query[name] !== '';
+
+  for (const name of SIZE_FILTERS.filter(isSet)) {
+    filters[name] = parseCount(name, query[name]);
+  }
+
+  for (const name of DATE_FILTERS.filter(isSet)) {
+    const date = new Date(query[name]);
+    if (typeof query[name] !== 'string' || Number.isNaN(date.getTime())) {
+      throw new Error(`${name} must be a valid date`);
+    }
+    filters[name] = date;
+  }
+
+  if (isSet('type')) {
+    if (typeof query.type !== 'string') {
+      throw new Error('type must be a comma-separated list of MIME types');
+    }
+    filters.types = parseTypeList(query.type);
+  }
+
+  if (isSet('uploader')) {
+    if (typeof query.uploader !== 'string') {
+      throw new Error('uploader must be an IP address or account:<id>');
+    }
+    filters.uploader = query.uploader;
+  }
+
+  return filters;
+}
+
+/**
+ * Parse the page of an inventory request
+ * @param {Object} query - Query string values
+ * @returns {{limit: number, offset: number}}
+ */
+function parsePage(query = {}) {
+  const limit = query.limit === undefined || query.limit === '' ? DEFAULT_PAGE_SIZE : parseCount('limit', query.limit);
+  if (limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new Error(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  const offset = query.offset === undefined || query.offset === '' ? 0 : parseCount('offset', query.offset);
+  return { limit, offset };
+}
+
+/**
+ * Get the time a file was last active
+ * @param {FileInfo} info - File info
+ * @returns {Date} - Last download, or upload time if never downloaded
+ */
+function getLastActivity(info) {
+  return info.lastAccessed || info.createdAt;
+}
+
+/**
+ * Check whether a stored file passes the filters of an inventory request
+ * Files whose type is unknown (zero-knowledge files) never pass a type filter
+ * @param {StoredFile} file - Stored file
+ * @param {InventoryFilters} filters - Parsed filters
+ * @returns {boolean}
+ */
+function matchesFilters(file, filters) {
+  const { info } = file;
+  const activity = getLastActivity(info);
+
+  return !(
+    (filters.minSize !== undefined && file.storedSize < filters.minSize) ||
+    (filters.maxSize !== undefined && file.storedSize > filters.maxSize) ||
+    (filters.types && !(info.mimeType && isTypeListed(info.mimeType, filters.types))) ||
+    (filters.createdAfter && info.createdAt < filters.createdAfter) ||
+    (filters.createdBefore && info.createdAt >= filters.createdBefore) ||
+    (filters.accessedAfter && activity < filters.accessedAfter) ||
+    (filters.accessedBefore && activity >= filters.accessedBefore) ||
+    (filters.uploader !== undefined && file.uploader !== filters.uploader)
+  );
+}
+
+/**
+ * Sort stored files newest first
+ * Files uploaded at the same time are kept in a fixed order, so pages do not overlap
+ * @param {Array<StoredFile>} files - Stored files
+ * @returns {Array<StoredFile>} - A sorted copy
+ */
+function sortNewestFirst(files) {
+  return [...files].sort((a, b) => (b.info.createdAt - a.info.createdAt) ||
+    (a.privateKey < b.privateKey ? -1 : a.privateKey > b.privateKey ? 1 : 0));
+}
+
+/**
+ * Convert a stored file into an inventory entry
+ * @param {StoredFile} file - Stored file
+ * @param {Date} [now] - Reference time for the share status
+ * @returns {Object}
+ */
+function toInventoryEntry(file, now = new Date()) {
+  const { info } = file;
+  return {
+    privateKey: file.privateKey,
+    originalName: info.originalName,
+    mimeType: info.mimeType,
+    fileSize: info.fileSize,
+    storedSize: file.storedSize,
+    uploader: file.uploader,
+    createdAt: info.createdAt.toISOString(),
+    lastAccessed: info.lastAccessed ? info.lastAccessed.toISOString() : null,
+    expiresAt: info.expiresAt ? info.expiresAt.toISOString() : null,
+    downloadCount: info.downloadCount,
+    maxDownloads: info.maxDownloads,
+    status: getShareStatus(info, now),
+    scanStatus: info.scanStatus,
+    bundle: info.bundle,
+    passwordProtected: Boolean(info.passwordHash),
+    zeroKnowledge: file.zeroKnowledge,
+    shareTokens: file.shareTokens
+  };
+}
+
+/**
+ * Sum up stored files
+ * @param {Array<StoredFile>} files - Stored files
+ * @param {number} [topCount] - Number of uploaders to list
+ * @returns {{count: number, totalBytes: number, topUploaders: Array<{uploader: string, count: number, totalBytes: number}>}} -
+ *   Uploaders with the most bytes stored come first; files of unknown uploaders are left out of them
+ */
+function summarizeFiles(files, topCount = TOP_UPLOADERS) {
+  const uploaders = new Map();
+  let totalBytes = 0;
+
+  for (const file of files) {
+    totalBytes += file.storedSize;
+    if (!file.uploader) {
+      continue;
+    }
+
+    const entry = uploaders.get(file.uploader) || { uploader: file.uploader, count: 0, totalBytes: 0 };
+    entry.count += 1;
+    entry.totalBytes += file.storedSize;
+    uploaders.set(file.uploader, entry);
+  }
+
+  const topUploaders = [...uploaders.values()]
+    .sort((a, b) => (b.totalBytes - a.totalBytes) || (b.count - a.count) || (a.uploader < b.uploader ? -1 : 1))
+    .slice(0, topCount);
+
+  return { count: files.length, totalBytes, topUploaders };
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  parseInventoryFilters,
+  parsePage,
+  matchesFilters,
+  sortNewestFirst,
+  toInventoryEntry,
+  summarizeFiles
+};
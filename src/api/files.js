@@ -1,54 +1,409 @@
 const express = require('express');
 const multer = require('multer');
-const { uploadLimiter, downloadLimiter, trackDownload } = require('../middleware/usageLimiter');
+const { pipeline, Readable } = require('stream');
+const { getClient, getClientId, uploadLimiter, downloadLimiter, trackDownload } = require('../middleware/usageLimiter');
+const { authenticate, getUploadPolicy } = require('../middleware/accountAuth');
+const providerStorage = require('../middleware/providerStorage');
+const { createByteCounter, streamToBuffer } = require('../storage/streamUtils');
+const { parseRange, isRangeFresh, formatContentRange, createMultipartRanges } = require('./byteRanges');
+const { createZipArchive, getZipArchiveLength } = require('./zipArchive');
+const { getEntityTag, getCacheControl } = require('./cachePolicy');
+const { parseContentDigests, formatDigest } = require('./contentDigest');
+const { resolveMimeType, isTypeAllowed, isDangerousType } = require('./contentType');
+const { decodeMultipartFilename, sanitizeFilename, formatContentDisposition } = require('./contentDisposition');
+const { parseThumbnailRequest, assertThumbnailSource, renderThumbnail } = require('./thumbnails');
+const { parseDisposition, isInlineType, getInlineHeaders, getInlineRedirect } = require('./inlineContent');
+const { getShareStatus, assertShareAvailable, parseShareSettings, hashSharePassword } = require('../storage/shareLimits');
+const { MAX_SHARE_TOKENS, parseShareTokenSettings } = require('../storage/shareTokens');
+const { verifyPassword } = require('../storage/passwordHash');
+const { getLockoutRemaining, recordFailedAttempt, clearFailedAttempts } = require('../middleware/passwordAttemptLimiter');
+const { createUnlockToken, verifyUnlockToken } = require('./unlockTokens');
+const { getDeletionTime } = require('../jobs/cleanupJob');
+const NoopScanner = require('../scanning/NoopScanner');
+const { assertScanned, scanUpload } = require('../scanning/uploadScanning');
 
-const router = express.Router();
+// Default maximum size of a single uploaded file
+const DEFAULT_MAX_FILE_SIZE = 100 * 1024 * 1024; // 100 MB
 
-// Configure multer for handling multipart/form-data
-// Store file in memory as buffer
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: {
-    fileSize: 100 * 1024 * 1024 // 100 MB limit per file
-  }
-});
+// Default maximum number of files in a bundle
+const DEFAULT_MAX_BUNDLE_FILES = 100;
+
+// Name of a bundle download when the upload did not give one
+const DEFAULT_BUNDLE_NAME = 'bundle.zip';
+
+// Configuration from environment variables
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE, 10) || DEFAULT_MAX_FILE_SIZE;
+const MAX_BUNDLE_FILES = parseInt(process.env.MAX_BUNDLE_FILES, 10) || DEFAULT_MAX_BUNDLE_FILES;
+
+// Seconds a client is asked to wait before trying a file that is being scanned again
+const SCAN_RETRY_AFTER_SECONDS = 5;
+
+// Errors thrown while authorizing or serving a download and the responses they map to
+const DOWNLOAD_ERRORS = {
+  'File not found': { status: 404, message: 'The requested file does not exist' },
+  'Bundle member not found': { status: 404, message: 'The requested file is not part of this bundle' },
+  'File expired': { status: 410, message: 'The requested file is no longer available' },
+  'Download limit reached': { status: 410, message: 'The requested file is no longer available' },
+  'File not yet available': { status: 403, message: 'The requested file cannot be downloaded yet' },
+  'Password required': { status: 401, message: 'This file is password protected' },
+  'Invalid password': { status: 401, message: 'The password is incorrect' },
+  'Invalid unlock token': { status: 401, message: 'The unlock token is invalid or has expired' },
+  'Too many password attempts': { status: 429, message: 'Too many wrong passwords for this file, try again later' },
+  'Scan pending': { status: 423, message: 'The file is being scanned for malware, try again shortly' },
+  'Scan failed': { status: 409, message: 'The file could not be scanned for malware' },
+  'File infected': { status: 410, message: 'The file contains malware and has been quarantined' },
+  'Invalid disposition': { status: 400, message: 'Disposition must be attachment or inline' },
+  'Invalid thumbnail size': { status: 400, message: 'Thumbnail width and height must be whole numbers up to the largest thumbnail size' },
+  'Invalid thumbnail format': { status: 400, message: 'Thumbnail format must be jpeg, png or webp' },
+  'Thumbnail not available': { status: 415, message: 'Thumbnails are only made of JPEG, PNG, GIF, WebP, AVIF and TIFF images' },
+  'Thumbnail not allowed': { status: 403, message: 'Shares with a download limit have no thumbnails' },
+  'Image too large': { status: 422, message: 'The image is too large to make a thumbnail of' },
+  'Invalid image': { status: 422, message: 'The file could not be read as an image' }
+};
+
+// Errors thrown while managing share tokens and the responses they map to
+const SHARE_TOKEN_ERRORS = {
+  'File not found': { status: 404, message: 'The requested file does not exist' },
+  'Share token not found': { status: 404, message: 'The file has no share token with this id' },
+  'Share tokens not available': { status: 409, message: 'Zero-knowledge files and bundle members cannot have share tokens' },
+  'Too many share tokens': { status: 409, message: `A file can have at most ${MAX_SHARE_TOKENS} share tokens` }
+};
+
+/**
+ * Describe a share token for its owner
+ * @param {ShareToken} share - The token
+ * @returns {Object}
+ */
+function toShareTokenResponse(share) {
+  return {
+    id: share.id,
+    token: share.token,
+    name: share.name,
+    createdAt: share.createdAt,
+    expiresAt: share.expiresAt,
+    maxDownloads: share.maxDownloads,
+    downloadCount: share.downloadCount,
+    lastAccessed: share.lastAccessed,
+    revokedAt: share.revokedAt,
+    status: share.revokedAt ? 'revoked' : getShareStatus(share)
+  };
+}
 
 /**
  * Initialize routes with storage provider
  * @param {StorageProvider} storageProvider - The storage provider instance
+ * @param {Object} [options] - Route options
+ * @param {number} [options.maxFileSize] - Maximum size of an uploaded file in bytes, unless the uploader's account sets one
+ * @param {number} [options.maxBundleFiles] - Maximum number of files in a bundle
+ * @param {string} [options.cacheControl] - Cache-Control of open shares
+ * @param {string} [options.restrictedCacheControl] - Cache-Control of shares with a download limit or a password
+ * @param {Scanner} [options.scanner] - Malware scanner uploads go through (default: none)
+ * @param {number} [options.scanWaitMs] - How long an upload waits for its scan before it is answered as pending
+ * @param {string} [options.infectedAction] - 'reject' to delete infected uploads, 'quarantine' to keep them unserved
+ * @param {Array<string>} [options.allowedTypes] - MIME types accepted for uploads, e.g. "image/*", unless the uploader's
+ *   account lists its own (default: configured)
+ * @param {Array<string>} [options.deniedTypes] - MIME types refused for uploads (default: configured)
+ * @param {Array<number>} [options.thumbnailSizes] - Ascending sizes thumbnail boxes are rounded up to (default: configured)
+ * @param {number} [options.thumbnailMaxPixels] - Largest number of pixels of an image thumbnails are made of
+ * @param {number} [options.thumbnailMaxInputSize] - Largest stored image in bytes thumbnails are made of
+ * @param {Array<string>} [options.inlineTypes] - MIME types shown inline on request; empty for none (default: configured)
+ * @param {string} [options.inlineOrigin] - Origin inline content is served from (default: configured, or where it is asked for)
+ * @param {string} [options.inlineContentSecurityPolicy] - Content-Security-Policy of inline content (default: configured)
+ * @param {string} [options.inlineResourcePolicy] - Cross-Origin-Resource-Policy of inline content (default: configured)
  */
-function initializeRoutes(storageProvider) {
+function initializeRoutes(storageProvider, options = {}) {
   if (!storageProvider) {
     throw new Error('Storage provider is required for file routes');
   }
 
+  const router = express.Router();
+  const maxFileSize = options.maxFileSize || MAX_FILE_SIZE;
+  const maxBundleFiles = options.maxBundleFiles || MAX_BUNDLE_FILES;
+  const cachePolicies = { open: options.cacheControl, restricted: options.restrictedCacheControl };
+  const scanner = options.scanner || new NoopScanner();
+  const scanOptions = { waitMs: options.scanWaitMs, infectedAction: options.infectedAction };
+  const typePolicy = { allowed: options.allowedTypes, denied: options.deniedTypes };
+  const uploadDefaults = { maxFileSize, typePolicy };
+  const thumbnailLimits = { maxPixels: options.thumbnailMaxPixels, maxInputSize: options.thumbnailMaxInputSize };
+  const inlinePolicy = {
+    types: options.inlineTypes,
+    origin: options.inlineOrigin,
+    contentSecurityPolicy: options.inlineContentSecurityPolicy,
+    resourcePolicy: options.inlineResourcePolicy
+  };
+
+  // Storage for multipart/form-data uploads
+  // Files are streamed straight into the storage provider; digest headers describe a single file.
+  // Each file is stored under the type its content shows and a cleaned-up name, if the
+  // uploader's account (or the server, for anonymous uploads) accepts that type.
+  // The client is recorded with each file for the admin API
+  const uploadStorage = providerStorage(storageProvider, {
+    bundleField: 'files',
+    getExpectedDigests: (req, file) => (file.fieldname === 'file' ? parseContentDigests(req.headers) : null),
+    describeFile: (req, file, head) => {
+      const mimeType = resolveMimeType(head, file.mimetype);
+      if (!isTypeAllowed(mimeType, getUploadPolicy(req, uploadDefaults).typePolicy)) {
+        throw new Error('File type not allowed');
+      }
+      return { originalName: sanitizeFilename(decodeMultipartFilename(file.originalname), 'upload'), mimeType };
+    },
+    getUploader: req => getClientId(getClient(req))
+  });
+
+  /**
+   * Accept a single file or the files of a bundle and translate multer errors into API responses
+   * A single file is checked against the Digest and Content-MD5 headers of the request
+   */
+  function uploadFiles(req, res, next) {
+    const fields = [{ name: 'file', maxCount: 1 }, { name: 'files', maxCount: maxBundleFiles }];
+    const fileSizeLimit = getUploadPolicy(req, uploadDefaults).maxFileSize;
+
+    // Malformed digests are refused before anything is stored
+    try {
+      parseContentDigests(req.headers);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid digest',
+        message: 'Digest must list base64 "sha-256" or "md5" digests and Content-MD5 must be a base64 MD5 digest'
+      });
+    }
+
+    // Multer is set up per request, since accounts may have their own maximum file size
+    const upload = multer({ storage: uploadStorage, limits: { fileSize: fileSizeLimit } });
+    upload.fields(fields)(req, res, (error) => {
+      if (!error) {
+        return next();
+      }
+
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          error: 'File too large',
+          message: `Maximum file size of ${fileSizeLimit / (1024 * 1024)} MB exceeded`,
+          limit: fileSizeLimit
+        });
+      }
+
+      if (error.message === 'Digest mismatch') {
+        return res.status(400).json({
+          error: 'Digest mismatch',
+          message: 'The uploaded file does not match the Digest or Content-MD5 header'
+        });
+      }
+
+      if (error.message === 'File type not allowed') {
+        return res.status(415).json({
+          error: 'File type not allowed',
+          message: 'Files of this type are not accepted'
+        });
+      }
+
+      if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+        return res.status(400).json({
+          error: 'Unexpected file',
+          message: `Send one file as "file", or up to ${maxBundleFiles} files as "files"`,
+          limit: maxBundleFiles
+        });
+      }
+
+      console.error('Error uploading file:', error);
+      res.status(500).json({
+        error: 'Upload failed',
+        message: error.message
+      });
+    });
+  }
+
+  /**
+   * Check a password for a share, counting failed attempts per public key
+   * @param {string} publicKey - The public key identifying the file
+   * @param {string} password - The password sent by the client
+   * @param {string} passwordHash - Stored password hash of the file
+   */
+  async function checkPassword(publicKey, password, passwordHash) {
+    if (getLockoutRemaining(publicKey) > 0) {
+      throw new Error('Too many password attempts');
+    }
+
+    // Count the attempt up front so parallel guesses cannot slip past the limit
+    recordFailedAttempt(publicKey);
+    if (!(await verifyPassword(password, passwordHash))) {
+      throw new Error('Invalid password');
+    }
+    clearFailedAttempts(publicKey);
+  }
+
+  /**
+   * Make sure a download request may read a password-protected share
+   * Accepts an unlock token (X-Unlock-Token header or token query parameter)
+   * or the password itself (X-File-Password header)
+   * @param {Object} req - Express request object
+   * @param {string} publicKey - The public key identifying the file
+   * @param {FileInfo} info - File info
+   */
+  async function assertDownloadAuthorized(req, publicKey, info) {
+    if (!info.passwordHash) {
+      return;
+    }
+
+    const token = req.headers['x-unlock-token'] || req.query.token;
+    if (token && verifyUnlockToken(token, publicKey, info.passwordHash)) {
+      return;
+    }
+
+    const password = req.headers['x-file-password'];
+    if (password === undefined) {
+      throw new Error(token ? 'Invalid unlock token' : 'Password required');
+    }
+
+    await checkPassword(publicKey, password, info.passwordHash);
+  }
+
+  /**
+   * Send the API response for an error thrown while handling a download
+   * @param {Object} res - Express response object
+   * @param {Error} error - The error
+   * @param {string} publicKey - The public key identifying the file
+   */
+  function sendDownloadError(res, error, publicKey) {
+    const known = DOWNLOAD_ERRORS[error.message];
+    if (!known) {
+      console.error('Error downloading file:', error);
+      return res.status(500).json({
+        error: 'Download failed',
+        message: error.message
+      });
+    }
+
+    if (error.message === 'Too many password attempts') {
+      res.setHeader('Retry-After', Math.ceil(getLockoutRemaining(publicKey) / 1000));
+    }
+    if (error.message === 'Scan pending') {
+      res.setHeader('Retry-After', SCAN_RETRY_AFTER_SECONDS);
+    }
+
+    res.status(known.status).json({
+      error: error.message,
+      message: known.message
+    });
+  }
+
+  /**
+   * Delete uploaded files after the upload was refused
+   * @param {Array<{privateKey: string}>} files - Files stored by multer
+   */
+  async function deleteUploadedFiles(files) {
+    for (const file of files) {
+      await storageProvider.deleteFile(file.privateKey);
+    }
+  }
+
+  /**
+   * Get the cleaned-up name of a new bundle, always ending in .zip
+   * @param {string|undefined} bundleName - Name sent by the client
+   * @returns {string}
+   */
+  function toBundleName(bundleName) {
+    const name = sanitizeFilename(bundleName, DEFAULT_BUNDLE_NAME);
+    return /\.zip$/i.test(name) ? name : `${name}.zip`;
+  }
+
   /**
    * POST /files
-   * Upload a new file
-   * Accepts multipart/form-data with a 'file' field
-   * Returns {publicKey, privateKey}
+   * Upload a new file, or several files as a bundle
+   * Accepts multipart/form-data with either a 'file' field or one or more 'files' fields,
+   * an optional 'bundleName' for bundles and optional 'expiresAt', 'notBefore',
+   * 'maxDownloads' and 'password' fields
+   * A single file is checked against optional Digest (sha-256, md5) and Content-MD5 headers
+   * Uploads are scanned for malware before their keys are returned
+   * With an API key, the size and type limits of its account apply and its quota is charged
+   * Returns {publicKey, privateKey}, plus {scanStatus} if the upload was scanned
+   * and {files: [{originalName, fileSize}]} for a bundle
    */
-  router.post('/files', uploadLimiter, upload.single('file'), async (req, res) => {
+  router.post('/files', authenticate, uploadLimiter, uploadFiles, async (req, res) => {
+    const uploaded = req.files || {};
+    const file = uploaded.file ? uploaded.file[0] : null;
+    const members = uploaded.files || [];
+
     try {
-      if (!req.file) {
+      if (!file && members.length === 0) {
         return res.status(400).json({
           error: 'No file provided',
-          message: 'Please provide a file in the request body with the field name "file"'
+          message: 'Please provide a file in the request body with the field name "file", or several with "files"'
         });
       }
 
-      const { buffer, originalname, mimetype } = req.file;
+      if (file && members.length > 0) {
+        await deleteUploadedFiles([file, ...members]);
+        return res.status(400).json({
+          error: 'Mixed upload',
+          message: 'Send either a single file as "file" or the files of a bundle as "files"'
+        });
+      }
 
-      // Upload file to storage
-      const { publicKey, privateKey } = await storageProvider.uploadFile(
-        buffer,
-        originalname,
-        mimetype
-      );
+      if (!file && parseContentDigests(req.headers)) {
+        await deleteUploadedFiles(members);
+        return res.status(400).json({
+          error: 'Invalid digest',
+          message: 'Digest and Content-MD5 headers can only be checked for a single file'
+        });
+      }
+
+      // Form fields may come after the files, so share settings are applied once the upload is done
+      let settings;
+      try {
+        settings = parseShareSettings(req.body);
+      } catch (error) {
+        await deleteUploadedFiles(file ? [file] : members);
+        return res.status(400).json({
+          error: 'Invalid share settings',
+          message: error.message
+        });
+      }
+
+      // The files have already been streamed to storage by multer
+      let stored = file;
+      if (!file) {
+        try {
+          stored = await storageProvider.createBundle(members, toBundleName(req.body.bundleName), {
+            uploader: getClientId(getClient(req))
+          });
+        } catch (error) {
+          await deleteUploadedFiles(members);
+          throw error;
+        }
+      }
+      const { publicKey, privateKey } = stored;
+
+      // The keys are only handed out once the scan has passed or the file is marked pending
+      let scanStatus;
+      try {
+        const contentKeys = file ? [publicKey] : members.map(member => member.publicKey);
+        scanStatus = await scanUpload(storageProvider, scanner, { publicKey, privateKey, contentKeys }, scanOptions);
+      } catch (error) {
+        return res.status(503).json({
+          error: 'Scan failed',
+          message: 'The upload could not be scanned for malware and was discarded, try again later'
+        });
+      }
+      if (scanStatus === 'infected') {
+        return res.status(422).json({
+          error: 'File infected',
+          message: 'The upload contains malware and was not accepted'
+        });
+      }
+
+      // Settings of a bundle cover its members, which are only served through it
+      if (Object.keys(settings).length > 0) {
+        await storageProvider.updateFileSettings(privateKey, await hashSharePassword(settings));
+      }
 
       res.status(201).json({
         publicKey,
-        privateKey
+        privateKey,
+        ...(scanStatus ? { scanStatus } : {}),
+        ...(file ? {} : {
+          files: members.map(member => ({ originalName: member.originalName, fileSize: member.size }))
+        })
       });
     } catch (error) {
       console.error('Error uploading file:', error);
@@ -59,16 +414,525 @@ function initializeRoutes(storageProvider) {
     }
   });
 
+  /**
+   * POST /files/:publicKey/unlock
+   * Exchange the password of a protected file for a short-lived unlock token
+   * Accepts JSON {password}; a share token can be used in place of the public key, the unlock
+   * token then only opens that share token
+   * Returns {token, expiresAt}
+   */
+  router.post('/files/:publicKey/unlock', async (req, res) => {
+    const { publicKey } = req.params;
+
+    try {
+      const password = req.body && req.body.password;
+      if (typeof password !== 'string' || password === '') {
+        return res.status(400).json({
+          error: 'Password required',
+          message: 'Please provide the password in the request body'
+        });
+      }
+
+      const { info } = await findShare(publicKey);
+      if (!info.passwordHash) {
+        return res.status(400).json({
+          error: 'File not password protected',
+          message: 'The requested file can be downloaded without a password'
+        });
+      }
+
+      await checkPassword(publicKey, password, info.passwordHash);
+
+      const { token, expiresAt } = createUnlockToken(publicKey, info.passwordHash);
+      res.setHeader('Cache-Control', 'no-store');
+      res.json({
+        token,
+        expiresAt: expiresAt.toISOString()
+      });
+    } catch (error) {
+      sendDownloadError(res, error, publicKey);
+    }
+  });
+
+  /**
+   * @typedef {Object} Share
+   * @property {string} publicKey - The public key of the shared file
+   * @property {string|null} token - The share token the file is shared through, null for its public key
+   * @property {FileInfo} info - File info, under the limits of the share token if there is one
+   */
+
+  /**
+   * Find the file a download URL opens, by its public key or one of its share tokens
+   * @param {string} key - Public key or share token from the URL
+   * @returns {Promise<Share>} - Throws 'File not found' for unknown keys and revoked tokens
+   */
+  async function findShare(key) {
+    try {
+      return { publicKey: key, token: null, info: await storageProvider.getFileInfo(key) };
+    } catch (error) {
+      if (error.message !== 'File not found') {
+        throw error;
+      }
+    }
+
+    const { publicKey, info } = await storageProvider.getShareTokenInfo(key);
+    return { publicKey, token: key, info };
+  }
+
+  /**
+   * Look up a share for a download request, authorize it and make sure it can be downloaded
+   * @param {Object} req - Express request object
+   * @param {string} key - Public key or share token from the URL
+   * @returns {Promise<Share>}
+   */
+  async function openShare(req, key) {
+    const share = await findShare(key);
+    const info = share.info;
+
+    // Bundle members are only served through their bundle, under its share settings
+    if (info.bundled) {
+      throw new Error('File not found');
+    }
+
+    // Nothing about a protected share is revealed before the password is checked.
+    // Unlock tokens are bound to the URL key, so one issued for a share token only opens that token
+    await assertDownloadAuthorized(req, key, info);
+
+    // Expired, exhausted or not yet available shares are refused up front, as are files that did not pass a scan yet
+    assertShareAvailable(info);
+    assertScanned(info);
+
+    return share;
+  }
+
+  /**
+   * Record a download of a share: with a download limit it is counted, otherwise
+   * only the last accessed timestamp is touched. Downloads through a share token are
+   * always counted, so the owner can see how much each token is used.
+   * @param {Share} share - The share
+   * @param {boolean} limited - Whether the share has a download limit
+   */
+  async function recordDownload(share, limited) {
+    if (share.token) {
+      // Atomically counts the download for the token and the file, refusing it if either ran out meanwhile
+      await storageProvider.consumeShareToken(share.token);
+    } else if (limited) {
+      // Atomically counts the download and refuses it if the limit was reached meanwhile
+      await storageProvider.consumeDownload(share.publicKey);
+    } else {
+      await storageProvider.updateLastAccessed(share.publicKey);
+    }
+  }
+
+  /**
+   * Set the caching headers of a share's download and answer conditional requests
+   * A client whose copy is still current gets 304 Not Modified, which is not a download
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {FileInfo} info - File info of the share
+   * @param {{etag: string|null, lastModified: Date}} validators - Validators of the content
+   * @returns {boolean} - True if 304 Not Modified was sent
+   */
+  function sendNotModified(req, res, info, { etag, lastModified }) {
+    res.setHeader('Cache-Control', getCacheControl(info, cachePolicies));
+    if (etag) {
+      res.setHeader('ETag', etag);
+    }
+    res.setHeader('Last-Modified', lastModified.toUTCString());
+
+    if (!req.fresh) {
+      return false;
+    }
+    res.status(304).end();
+    return true;
+  }
+
+  /**
+   * Set the headers that tell the client how to treat downloaded content
+   * Content is never sniffed into another type; inline content is shown in a sandbox
+   * @param {Object} res - Express response object
+   * @param {string} originalName - File name to offer the client
+   * @param {string} [disposition] - 'attachment' or 'inline'
+   */
+  function setDispositionHeaders(res, originalName, disposition = 'attachment') {
+    res.setHeader('Content-Disposition', formatContentDisposition(originalName, disposition));
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    if (disposition === 'inline') {
+      for (const [name, value] of Object.entries(getInlineHeaders(inlinePolicy))) {
+        res.setHeader(name, value);
+      }
+    }
+  }
+
+  /**
+   * Read the disposition a download asks for
+   * Inline requests are sent to the inline origin first, if one is configured and this is not it
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {string|null} - 'attachment' or 'inline', null if the client was redirected
+   */
+  function takeDisposition(req, res) {
+    const disposition = parseDisposition(req.query.disposition);
+
+    const inlineUrl = disposition === 'inline' ? getInlineRedirect(req, inlinePolicy) : null;
+    if (inlineUrl) {
+      res.setHeader('Cache-Control', 'no-store');
+      res.redirect(302, inlineUrl);
+      return null;
+    }
+    return disposition;
+  }
+
+  /**
+   * Get the disposition content is offered with: inline only if it was asked for and the type is safe to show
+   * @param {string} requested - Disposition the download asks for
+   * @param {string} mimeType - MIME type of the content
+   * @returns {string}
+   */
+  function offerDisposition(requested, mimeType) {
+    return requested === 'inline' && isInlineType(mimeType, inlinePolicy) ? 'inline' : 'attachment';
+  }
+
+  /**
+   * Stream the content of a file to the client, honoring Range requests
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Object} download - What to serve
+   * @param {Share} download.share - Share the download counts for
+   * @param {string} download.contentKey - Public key of the file whose content is served
+   * @param {string} download.mimeType - MIME type of the content
+   * @param {string} download.originalName - File name to offer the client
+   * @param {number} download.fileSize - Size of the content in bytes
+   * @param {string|null} download.sha256 - Hex SHA-256 of the content
+   * @param {string|null} download.etag - Entity tag of the content
+   * @param {Date} download.lastModified - Last change of the content
+   * @param {boolean} download.limited - Whether the share has a download limit
+   * @param {string} download.disposition - 'attachment' or 'inline'
+   */
+  async function sendContent(req, res, { share, contentKey, mimeType, originalName, fileSize, sha256, etag, lastModified, limited, disposition }) {
+    const client = getClient(req);
+
+    // Work out which part of the file to serve; every request to a share with a download
+    // limit counts as a download, so partial requests are not offered for those
+    let ranges = limited ? null : parseRange(req, fileSize);
+    if (ranges !== null && !isRangeFresh(req, { lastModified, etag })) {
+      ranges = null;
+    }
+
+    if (ranges === -1) {
+      res.setHeader('Accept-Ranges', 'bytes');
+      res.setHeader('Content-Range', `bytes */${fileSize}`);
+      return res.status(416).json({
+        error: 'Range not satisfiable',
+        message: `The requested range is outside of the file size of ${fileSize} bytes`
+      });
+    }
+
+    // Count the download before any content is opened or described, so a download refused
+    // because a concurrent one used up the share gets a plain error response
+    await recordDownload(share, limited);
+
+    res.setHeader('Accept-Ranges', limited ? 'none' : 'bytes');
+
+    const counter = createByteCounter();
+    let body;
+    let servedBytes = () => counter.bytes;
+
+    if (ranges && ranges.length > 1) {
+      const multipart = createMultipartRanges(ranges, fileSize, mimeType,
+        range => storageProvider.createReadStream(contentKey, range));
+
+      res.status(206);
+      res.setHeader('Content-Type', multipart.contentType);
+      res.setHeader('Content-Length', multipart.contentLength);
+      body = multipart.stream;
+      servedBytes = multipart.payloadBytes;
+    } else {
+      const range = ranges ? ranges[0] : {};
+      body = await storageProvider.createReadStream(contentKey, range);
+
+      if (ranges) {
+        res.status(206);
+        res.setHeader('Content-Range', formatContentRange(range, fileSize));
+        res.setHeader('Content-Length', range.end - range.start + 1);
+      } else {
+        res.setHeader('Content-Length', fileSize);
+      }
+      res.setHeader('Content-Type', mimeType);
+    }
+
+    setDispositionHeaders(res, originalName, disposition);
+    if (sha256) {
+      // Digest of the whole file, also for partial responses
+      res.setHeader('Digest', formatDigest(sha256));
+    }
+
+    // Stream file to the client, then charge only the bytes actually sent
+    pipeline(body, counter, res, (error) => {
+      trackDownload(client, servedBytes());
+
+      if (error) {
+        console.error('Error streaming file:', error.message);
+      }
+    });
+  }
+
+  /**
+   * Get the ZIP archive entries of a bundle's files
+   * @param {Array<BundleFile>} files - Files of the bundle
+   * @param {FileInfo} info - File info of the bundle
+   * @returns {Array<{name: string, size: number, modified: Date}>}
+   */
+  function toArchiveEntries(files, info) {
+    return files.map(member => ({ name: member.originalName, size: member.fileSize, modified: info.createdAt }));
+  }
+
+  /**
+   * Work out what a download of a share would serve, without reading the content
+   * Bundles are described as their ZIP archive
+   * @param {string} publicKey - The public key identifying the file
+   * @param {FileInfo} info - File info of the share
+   * @returns {Promise<{mimeType: string, originalName: string, fileSize: number, sha256: string|null, etag: string|null, acceptRanges: boolean, files?: Array<BundleFile>}>}
+   */
+  async function describeDownload(publicKey, info) {
+    if (!info.bundle) {
+      const { mimeType, originalName, fileSize, sha256 } = info;
+      return { mimeType, originalName, fileSize, sha256, etag: getEntityTag(info), acceptRanges: info.maxDownloads === null };
+    }
+
+    const files = await storageProvider.getBundleFiles(publicKey);
+    return {
+      mimeType: 'application/zip',
+      originalName: info.originalName,
+      fileSize: getZipArchiveLength(toArchiveEntries(files, info)),
+      // The archive is never stored, so there is no digest of it
+      sha256: null,
+      etag: getEntityTag(info),
+      acceptRanges: false,
+      files
+    };
+  }
+
+  /**
+   * Answer a HEAD request with the headers a download would be sent with
+   * Conditional requests are answered like those of a download
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {FileInfo} info - File info of the share
+   * @param {{mimeType: string, originalName: string, fileSize: number, sha256: string|null, etag: string|null, acceptRanges: boolean}} download - What a download serves
+   * @param {string} disposition - Disposition the download asks for
+   */
+  function sendDownloadHeaders(req, res, info, { mimeType, originalName, fileSize, sha256, etag, acceptRanges }, disposition) {
+    if (sendNotModified(req, res, info, { etag, lastModified: info.createdAt })) {
+      return;
+    }
+
+    res.setHeader('Accept-Ranges', acceptRanges ? 'bytes' : 'none');
+    res.setHeader('Content-Type', mimeType);
+    res.setHeader('Content-Length', fileSize);
+    setDispositionHeaders(res, originalName, offerDisposition(disposition, mimeType));
+    if (sha256) {
+      res.setHeader('Digest', formatDigest(sha256));
+    }
+    res.status(200).end();
+  }
+
+  /**
+   * Find a file of a bundle by its index in the URL
+   * @param {string} publicKey - The public key identifying the bundle
+   * @param {FileInfo} info - File info of the bundle
+   * @param {string} index - Index from the URL
+   * @returns {Promise<BundleFile>}
+   */
+  async function findBundleMember(publicKey, info, index) {
+    if (!info.bundle) {
+      throw new Error('File not found');
+    }
+
+    const files = await storageProvider.getBundleFiles(publicKey);
+    const member = /^\d+$/.test(index) ? files[Number(index)] : undefined;
+    if (!member) {
+      throw new Error('Bundle member not found');
+    }
+    return member;
+  }
+
+  /**
+   * Stream a bundle to the client as a ZIP archive built on the fly
+   * The archive is not stored anywhere, so byte ranges are not offered
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Share} share - The share of the bundle
+   */
+  async function sendBundle(req, res, share) {
+    const { info } = share;
+    const client = getClient(req);
+    const limited = info.maxDownloads !== null;
+    const files = await storageProvider.getBundleFiles(share.publicKey);
+
+    // Counted before the archive is started, as for single files
+    await recordDownload(share, limited);
+
+    const archive = createZipArchive(toArchiveEntries(files, info),
+      index => storageProvider.createReadStream(files[index].publicKey));
+
+    res.setHeader('Accept-Ranges', 'none');
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Length', archive.contentLength);
+    setDispositionHeaders(res, info.originalName);
+
+    // Charge the member content actually sent, as for multipart ranges
+    pipeline(archive.stream, res, (error) => {
+      trackDownload(client, archive.payloadBytes());
+
+      if (error) {
+        console.error('Error streaming bundle:', error.message);
+      }
+    });
+  }
+
+  /**
+   * Send the public description of a share
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {boolean} headersOnly - Answer a HEAD request with download headers instead of JSON
+   */
+  async function sendShareInfo(req, res, headersOnly) {
+    const { publicKey } = req.params;
+
+    try {
+      const disposition = headersOnly ? takeDisposition(req, res) : 'attachment';
+      if (!disposition) {
+        return;
+      }
+
+      const share = await openShare(req, publicKey);
+      const info = share.info;
+      const download = await describeDownload(share.publicKey, info);
+
+      if (headersOnly) {
+        return sendDownloadHeaders(req, res, info, download, disposition);
+      }
+
+      res.setHeader('Cache-Control', getCacheControl(info, cachePolicies));
+      res.json({
+        originalName: download.originalName,
+        mimeType: download.mimeType,
+        fileSize: download.fileSize,
+        createdAt: info.createdAt.toISOString(),
+        ...(download.files ? {
+          files: download.files.map(({ originalName, mimeType, fileSize }, index) => ({ index, originalName, mimeType, fileSize }))
+        } : {})
+      });
+    } catch (error) {
+      // Responses to HEAD requests lose their body on the way out, but keep status and headers
+      sendDownloadError(res, error, publicKey);
+    }
+  }
+
+  /**
+   * HEAD /files/:publicKey
+   * Get the headers of a download without the content
+   * Accepts the disposition query parameter of a download
+   * Password-protected files need an X-File-Password header or an unlock token
+   * Supports If-None-Match / If-Modified-Since requests (304 Not Modified)
+   * Does not count as a download and does not touch the last accessed timestamp
+   */
+  router.head('/files/:publicKey', (req, res) => sendShareInfo(req, res, true));
+
+  /**
+   * GET /files/:publicKey/info
+   * Get the name, MIME type, size and upload time of a file
+   * Password-protected files need an X-File-Password header or an unlock token
+   * Does not count as a download and does not touch the last accessed timestamp
+   * Returns {originalName, mimeType, fileSize, createdAt}, plus the files of a bundle
+   */
+  router.get('/files/:publicKey/info', (req, res) => sendShareInfo(req, res, false));
+
+  /**
+   * Get a thumbnail of an image, making and storing it next to the image on first request
+   * @param {string} publicKey - The public key identifying the image
+   * @param {{width: number|null, height: number|null, format: string, mimeType: string, variant: string}} thumbnail - Requested thumbnail
+   * @returns {Promise<{stream: Readable, mimeType: string, fileSize: number}>}
+   */
+  async function openThumbnail(publicKey, thumbnail) {
+    const stored = await storageProvider.getRendition(publicKey, thumbnail.variant);
+    if (stored) {
+      return stored;
+    }
+
+    const image = await streamToBuffer(await storageProvider.createReadStream(publicKey));
+    const content = await renderThumbnail(image, thumbnail, thumbnailLimits);
+    await storageProvider.storeRendition(publicKey, thumbnail.variant, content, thumbnail.mimeType);
+
+    return { stream: Readable.from([content]), mimeType: thumbnail.mimeType, fileSize: content.length };
+  }
+
+  /**
+   * GET /files/:publicKey/thumbnail
+   * Get a resized rendition of an image that fits into a box of w x h pixels
+   * Accepts optional w and h (rounded up to the configured sizes) and format (jpeg, png or webp) query parameters
+   * Password-protected files need an X-File-Password header or an unlock token
+   * Shares with a download limit have no thumbnails, as a preview would get around the limit
+   * Supports If-None-Match / If-Modified-Since requests (304 Not Modified)
+   * Does not count as a download and does not touch the last accessed timestamp
+   * Returns the thumbnail image
+   */
+  router.get('/files/:publicKey/thumbnail', authenticate, downloadLimiter, async (req, res) => {
+    const { publicKey } = req.params;
+
+    try {
+      const thumbnail = parseThumbnailRequest(req.query, { sizes: options.thumbnailSizes });
+      const share = await openShare(req, publicKey);
+      const info = share.info;
+      if (info.maxDownloads !== null) {
+        throw new Error('Thumbnail not allowed');
+      }
+      assertThumbnailSource(info, thumbnailLimits);
+
+      // A thumbnail only depends on the image and the request, so both make up its entity tag
+      const etag = info.sha256 ? `"${thumbnail.variant}-${info.sha256}"` : null;
+      if (sendNotModified(req, res, info, { etag, lastModified: info.createdAt })) {
+        return;
+      }
+
+      const { stream, mimeType, fileSize } = await openThumbnail(share.publicKey, thumbnail);
+      const client = getClient(req);
+
+      res.setHeader('Content-Type', mimeType);
+      res.setHeader('Content-Length', fileSize);
+      setDispositionHeaders(res, `${info.originalName.replace(/\.[^.]*$/, '')}-thumbnail.${thumbnail.format}`, 'inline');
+
+      pipeline(stream, res, (error) => {
+        trackDownload(client, fileSize);
+
+        if (error) {
+          console.error('Error streaming thumbnail:', error.message);
+        }
+      });
+    } catch (error) {
+      sendDownloadError(res, error, publicKey);
+    }
+  });
+
   /**
    * GET /files/:publicKey
    * Download an existing file
-   * Accepts publicKey as URL parameter
+   * Accepts publicKey as URL parameter, or a share token of the file in its place, which adds its own
+   * expiry and download limit to the file's; every download through a share token is counted
+   * Password-protected files need an X-File-Password header or an unlock token
+   * Redirects (302) to a signed URL when the provider can serve the file directly, except for share tokens
+   * Supports If-None-Match / If-Modified-Since requests (304 Not Modified), which do not count as downloads
+   * Supports Range / If-Range requests (206 Partial Content, 416 Range Not Satisfiable)
+   * Bundles are sent as a ZIP archive of their members, without range support
+   * With ?disposition=inline, files of safe types are sent for display in the browser, in a sandbox,
+   * from the inline origin if one is configured (302 there otherwise)
    * Returns file stream with appropriate MIME type
    */
-  router.get('/files/:publicKey', downloadLimiter, async (req, res) => {
-    try {
-      const { publicKey } = req.params;
+  router.get('/files/:publicKey', authenticate, downloadLimiter, async (req, res) => {
+    const { publicKey } = req.params;
 
+    try {
       if (!publicKey || publicKey.trim() === '') {
         return res.status(400).json({
           error: 'Invalid public key',
@@ -76,19 +940,188 @@ function initializeRoutes(storageProvider) {
         });
       }
 
-      // Download file from storage
-      const { buffer, mimeType, originalName } = await storageProvider.downloadFile(publicKey);
+      const requested = takeDisposition(req, res);
+      if (!requested) {
+        return;
+      }
 
-      // Track download usage
-      trackDownload(req.ip || req.connection.remoteAddress || 'unknown', buffer.length);
+      const share = await openShare(req, publicKey);
+      const info = share.info;
+      const { mimeType, originalName, fileSize } = info;
+      const client = getClient(req);
+      const etag = getEntityTag(info);
 
-      // Set appropriate headers
-      res.setHeader('Content-Type', mimeType);
-      res.setHeader('Content-Disposition', `attachment; filename="${originalName}"`);
-      res.setHeader('Content-Length', buffer.length);
+      // A client with a current copy only keeps the share alive
+      if (sendNotModified(req, res, info, { etag, lastModified: info.createdAt })) {
+        await storageProvider.updateLastAccessed(share.publicKey);
+        return;
+      }
+
+      if (info.bundle) {
+        return await sendBundle(req, res, share);
+      }
 
-      // Send file buffer
-      res.send(buffer);
+      const limited = info.maxDownloads !== null;
+      const disposition = offerDisposition(requested, mimeType);
+
+      // Providers that can serve the file directly send the client there instead of proxying it.
+      // A signed URL can be reused until it expires, so shares with a download limit and share tokens,
+      // which can be revoked, are always proxied, as are active and inline content, which need headers
+      // a signed URL cannot carry
+      if (!limited && !share.token && !isDangerousType(mimeType) && disposition === 'attachment') {
+        const contentDisposition = formatContentDisposition(originalName);
+        const downloadUrl = await storageProvider.getDownloadUrl(share.publicKey, { contentDisposition });
+        if (downloadUrl) {
+          await storageProvider.updateLastAccessed(share.publicKey);
+          trackDownload(client, fileSize);
+
+          res.setHeader('Cache-Control', 'no-store');
+          return res.redirect(302, downloadUrl);
+        }
+      }
+
+      await sendContent(req, res, {
+        share,
+        contentKey: share.publicKey,
+        mimeType,
+        originalName,
+        fileSize,
+        sha256: info.sha256,
+        etag,
+        lastModified: info.createdAt,
+        limited,
+        disposition
+      });
+    } catch (error) {
+      sendDownloadError(res, error, publicKey);
+    }
+  });
+
+  /**
+   * GET /files/:publicKey/members
+   * List the files of a bundle
+   * Password-protected bundles need an X-File-Password header or an unlock token
+   * Listing does not count as a download
+   * Returns {files: [{index, originalName, mimeType, fileSize}]}
+   */
+  router.get('/files/:publicKey/members', async (req, res) => {
+    const { publicKey } = req.params;
+
+    try {
+      const { publicKey: bundleKey, info } = await openShare(req, publicKey);
+      if (!info.bundle) {
+        throw new Error('File not found');
+      }
+
+      res.setHeader('Cache-Control', getCacheControl(info, cachePolicies));
+      const files = await storageProvider.getBundleFiles(bundleKey);
+      res.json({
+        files: files.map(({ originalName, mimeType, fileSize }, index) => ({ index, originalName, mimeType, fileSize }))
+      });
+    } catch (error) {
+      sendDownloadError(res, error, publicKey);
+    }
+  });
+
+  /**
+   * HEAD /files/:publicKey/members/:index
+   * Get the headers of a bundle file's download without the content
+   * Does not count as a download of the bundle
+   */
+  router.head('/files/:publicKey/members/:index', async (req, res) => {
+    const { publicKey } = req.params;
+
+    try {
+      const disposition = takeDisposition(req, res);
+      if (!disposition) {
+        return;
+      }
+
+      const { publicKey: bundleKey, info } = await openShare(req, publicKey);
+      const member = await findBundleMember(bundleKey, info, req.params.index);
+
+      sendDownloadHeaders(req, res, info, {
+        ...member,
+        etag: getEntityTag(member),
+        acceptRanges: info.maxDownloads === null
+      }, disposition);
+    } catch (error) {
+      sendDownloadError(res, error, publicKey);
+    }
+  });
+
+  /**
+   * GET /files/:publicKey/members/:index
+   * Download a single file of a bundle
+   * Authorization, share settings and download counting are those of the bundle
+   * Supports conditional and Range / If-Range requests, and ?disposition=inline, like GET /files/:publicKey
+   * Returns file stream with appropriate MIME type
+   */
+  router.get('/files/:publicKey/members/:index', authenticate, downloadLimiter, async (req, res) => {
+    const { publicKey } = req.params;
+
+    try {
+      const requested = takeDisposition(req, res);
+      if (!requested) {
+        return;
+      }
+
+      const share = await openShare(req, publicKey);
+      const info = share.info;
+      const member = await findBundleMember(share.publicKey, info, req.params.index);
+      const etag = getEntityTag(member);
+
+      if (sendNotModified(req, res, info, { etag, lastModified: info.createdAt })) {
+        await storageProvider.updateLastAccessed(share.publicKey);
+        return;
+      }
+
+      await sendContent(req, res, {
+        share,
+        contentKey: member.publicKey,
+        mimeType: member.mimeType,
+        originalName: member.originalName,
+        fileSize: member.fileSize,
+        sha256: member.sha256,
+        etag,
+        lastModified: info.createdAt,
+        limited: info.maxDownloads !== null,
+        disposition: offerDisposition(requested, member.mimeType)
+      });
+    } catch (error) {
+      sendDownloadError(res, error, publicKey);
+    }
+  });
+
+  /**
+   * GET /files/:privateKey/owner
+   * Get everything known about a file for its owner, including share settings and usage
+   * Accepts privateKey as URL parameter; does not touch the last accessed timestamp
+   * Returns {originalName, mimeType, fileSize, createdAt, lastAccessed, expiresAt, notBefore,
+   *   maxDownloads, downloadCount, passwordProtected, bundle, scanStatus, scheduledDeletionAt}
+   */
+  router.get('/files/:privateKey/owner', async (req, res) => {
+    try {
+      const info = await storageProvider.getOwnerFileInfo(req.params.privateKey);
+      const toTimestamp = date => (date ? date.toISOString() : null);
+
+      res.setHeader('Cache-Control', 'no-store');
+      res.json({
+        originalName: info.originalName,
+        mimeType: info.bundle ? 'application/zip' : info.mimeType,
+        // A bundle's archive size depends on its files, which only the public key can list
+        fileSize: info.bundle ? null : info.fileSize,
+        createdAt: toTimestamp(info.createdAt),
+        lastAccessed: toTimestamp(info.lastAccessed),
+        expiresAt: toTimestamp(info.expiresAt),
+        notBefore: toTimestamp(info.notBefore),
+        maxDownloads: info.maxDownloads,
+        downloadCount: info.downloadCount,
+        passwordProtected: Boolean(info.passwordHash),
+        bundle: info.bundle,
+        scanStatus: info.scanStatus,
+        scheduledDeletionAt: toTimestamp(getDeletionTime(info))
+      });
     } catch (error) {
       if (error.message === 'File not found') {
         return res.status(404).json({
@@ -97,14 +1130,143 @@ function initializeRoutes(storageProvider) {
         });
       }
 
-      console.error('Error downloading file:', error);
+      console.error('Error reading file info:', error);
       res.status(500).json({
-        error: 'Download failed',
+        error: 'Info failed',
         message: error.message
       });
     }
   });
 
+  /**
+   * POST /files/:privateKey/keys
+   * Replace the keys of a file, for when its link or its private key has leaked
+   * Accepts JSON {publicKey, privateKey}; true replaces the key, so the old one stops working
+   * Returns the new keys {publicKey, privateKey}, each only if it was replaced
+   */
+  router.post('/files/:privateKey/keys', async (req, res) => {
+    const body = req.body || {};
+    const replace = { publicKey: body.publicKey, privateKey: body.privateKey };
+
+    const valid = Object.values(replace).every(value => value === undefined || typeof value === 'boolean');
+    if (!valid || (!replace.publicKey && !replace.privateKey)) {
+      return res.status(400).json({
+        error: 'Invalid key rotation',
+        message: 'Set publicKey, privateKey or both to true to replace them'
+      });
+    }
+
+    try {
+      const keys = await storageProvider.replaceKeys(req.params.privateKey, replace);
+
+      res.setHeader('Cache-Control', 'no-store');
+      res.json(keys);
+    } catch (error) {
+      if (error.message === 'File not found') {
+        return res.status(404).json({
+          error: 'File not found',
+          message: 'The requested file does not exist'
+        });
+      }
+      if (error.message === 'Public key rotation not available') {
+        return res.status(409).json({
+          error: 'Public key rotation not available',
+          message: 'The link of a zero-knowledge file holds the key its content is encrypted with and cannot be replaced'
+        });
+      }
+
+      console.error('Error replacing keys:', error);
+      res.status(500).json({
+        error: 'Key rotation failed',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * Send the API response for an error thrown while managing share tokens
+   * @param {Object} res - Express response object
+   * @param {Error} error - The error
+   */
+  function sendShareTokenError(res, error) {
+    const known = SHARE_TOKEN_ERRORS[error.message];
+    if (!known) {
+      console.error('Error managing share tokens:', error);
+      return res.status(500).json({
+        error: 'Share token update failed',
+        message: error.message
+      });
+    }
+
+    res.status(known.status).json({
+      error: error.message,
+      message: known.message
+    });
+  }
+
+  /**
+   * POST /files/:privateKey/shares
+   * Create a named share token, a download link of its own that can be limited and revoked
+   * separately; the file's own share settings and password still apply
+   * Accepts JSON {name, expiresAt, maxDownloads}, all optional
+   * Returns 201 with the token {id, token, name, createdAt, expiresAt, maxDownloads, downloadCount,
+   *   lastAccessed, revokedAt, status}; the file is downloaded from /files/:token
+   */
+  router.post('/files/:privateKey/shares', async (req, res) => {
+    let settings;
+    try {
+      settings = parseShareTokenSettings(req.body || {});
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid share settings',
+        message: error.message
+      });
+    }
+
+    try {
+      const share = await storageProvider.createShareToken(req.params.privateKey, settings);
+
+      res.setHeader('Cache-Control', 'no-store');
+      res.status(201).json(toShareTokenResponse(share));
+    } catch (error) {
+      sendShareTokenError(res, error);
+    }
+  });
+
+  /**
+   * GET /files/:privateKey/shares
+   * List the share tokens of a file with their download counts, revoked ones included
+   * Returns {shares: [{id, token, name, createdAt, expiresAt, maxDownloads, downloadCount,
+   *   lastAccessed, revokedAt, status}]}
+   */
+  router.get('/files/:privateKey/shares', async (req, res) => {
+    try {
+      const shares = await storageProvider.listShareTokens(req.params.privateKey);
+
+      res.setHeader('Cache-Control', 'no-store');
+      res.json({ shares: shares.map(toShareTokenResponse) });
+    } catch (error) {
+      sendShareTokenError(res, error);
+    }
+  });
+
+  /**
+   * DELETE /files/:privateKey/shares/:id
+   * Revoke a share token; downloads through it stop right away, the file and its other links stay
+   * The token stays listed with its download count
+   * Returns the revoked token
+   */
+  router.delete('/files/:privateKey/shares/:id', async (req, res) => {
+    try {
+      const share = await storageProvider.revokeShareToken(req.params.privateKey, req.params.id);
+
+      res.setHeader('Cache-Control', 'no-store');
+      res.json(toShareTokenResponse(share));
+    } catch (error) {
+      sendShareTokenError(res, error);
+    }
+  });
+
   /**
    * DELETE /files/:privateKey
    * Delete an existing file
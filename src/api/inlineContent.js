@@ -0,0 +1,115 @@
+const { parseTypeList, isTypeListed, isDangerousType } = require('./contentType');
+
+/**
+ * Inline display of downloads
+ * Downloads are offered as attachments unless the client asks for `disposition=inline` and
+ * the file is of a type that is safe to show: images, audio, video, PDF and plain text by
+ * default, never types browsers run as active content. Inline responses are locked down
+ * with a Content-Security-Policy sandbox, so whatever a file contains runs without scripts,
+ * plugins or same-origin access, and with headers that keep other pages from opening,
+ * embedding or learning the address of the content.
+ *
+ * Inline content can be served from a separate, cookie-less origin: inline requests that
+ * arrive on another host are redirected to the same path on that origin.
+ */
+
+// Default types shown inline when a client asks for it
+const DEFAULT_INLINE_TYPES = ['image/*', 'audio/*', 'video/*', 'application/pdf', 'text/plain'];
+
+// Default Content-Security-Policy of inline content: a sandbox that loads nothing but the content itself
+const DEFAULT_INLINE_CONTENT_SECURITY_POLICY = "sandbox; default-src 'none'; img-src 'self' data:; media-src 'self'; style-src 'unsafe-inline'";
+
+// Default Cross-Origin-Resource-Policy of inline content
+const DEFAULT_INLINE_RESOURCE_POLICY = 'same-site';
+
+/**
+ * Parse the origin inline content is served from
+ * @param {string|undefined} value - Origin such as https://usercontent.example.com
+ * @returns {string|null}
+ */
+function parseOrigin(value) {
+  if (!value) {
+    return null;
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new Error(`INLINE_ORIGIN must be an origin such as https://usercontent.example.com, got "${value}"`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error(`INLINE_ORIGIN must be an http or https origin, got "${value}"`);
+  }
+  return url.origin;
+}
+
+// Configuration from environment variables; an empty INLINE_TYPES turns inline display off
+const INLINE_TYPES = process.env.INLINE_TYPES === undefined ? DEFAULT_INLINE_TYPES : parseTypeList(process.env.INLINE_TYPES);
+const INLINE_ORIGIN = parseOrigin(process.env.INLINE_ORIGIN);
+const INLINE_CONTENT_SECURITY_POLICY = process.env.INLINE_CONTENT_SECURITY_POLICY || DEFAULT_INLINE_CONTENT_SECURITY_POLICY;
+const INLINE_RESOURCE_POLICY = process.env.INLINE_RESOURCE_POLICY || DEFAULT_INLINE_RESOURCE_POLICY;
+
+/**
+ * Parse the disposition a download asks for
+ * @param {*} value - The disposition query parameter
+ * @returns {string} - 'attachment' (also when none was asked for) or 'inline'
+ * @throws {Error} 'Invalid disposition' for other values
+ */
+function parseDisposition(value) {
+  if (value === undefined || value === 'attachment') {
+    return 'attachment';
+  }
+  if (value === 'inline') {
+    return value;
+  }
+  throw new Error('Invalid disposition');
+}
+
+/**
+ * Check whether files of a type may be shown inline
+ * Types browsers run as active content never are, whatever the configuration says
+ * @param {string|null} mimeType - MIME type of the file
+ * @param {{types?: Array<string>}} [policy] - Inline types overriding the configured ones; an empty list allows none
+ * @returns {boolean}
+ */
+function isInlineType(mimeType, policy = {}) {
+  const types = policy.types ? parseTypeList(policy.types) : INLINE_TYPES;
+  return Boolean(mimeType) && !isDangerousType(mimeType) && isTypeListed(mimeType, types);
+}
+
+/**
+ * Get the headers sent with inline content
+ * @param {{contentSecurityPolicy?: string, resourcePolicy?: string}} [policy] - Values overriding the configured ones
+ * @returns {Object<string, string>}
+ */
+function getInlineHeaders(policy = {}) {
+  return {
+    'Content-Security-Policy': policy.contentSecurityPolicy || INLINE_CONTENT_SECURITY_POLICY,
+    'Cross-Origin-Opener-Policy': 'same-origin',
+    'Cross-Origin-Resource-Policy': policy.resourcePolicy || INLINE_RESOURCE_POLICY,
+    // The address holds the public key, so links in the content must not pass it on
+    'Referrer-Policy': 'no-referrer'
+  };
+}
+
+/**
+ * Get where an inline request has to go to be served from the inline origin
+ * @param {Object} req - Express request object
+ * @param {{origin?: string}} [policy] - Inline origin overriding the configured one
+ * @returns {string|null} - URL on the inline origin, null if the request can be served where it is
+ */
+function getInlineRedirect(req, policy = {}) {
+  const origin = policy.origin ? parseOrigin(policy.origin) : INLINE_ORIGIN;
+  if (!origin || req.hostname === new URL(origin).hostname) {
+    return null;
+  }
+  return `${origin}${req.originalUrl}`;
+}
+
+module.exports = {
+  parseDisposition,
+  isInlineType,
+  getInlineHeaders,
+  getInlineRedirect
+};
@@ -0,0 +1,187 @@
+const sharp = require('sharp');
+
+/**
+ * Thumbnails of shared images
+ * A thumbnail fits into a box of the requested width and height, keeping the aspect ratio,
+ * and is never larger than the image itself. Requested sizes are rounded up to a fixed set
+ * of steps, so each image only ever has a handful of renditions to make and keep.
+ *
+ * Images are decoded with limits against decompression bombs: the pixel count is checked
+ * against the image header before anything is decoded, only the first frame of animations
+ * is read and decoding is given up after a timeout. Only raster formats are decoded, whatever
+ * the stored MIME type says. Thumbnails carry no EXIF or other metadata of the original.
+ */
+
+// Default sizes a thumbnail's box is rounded up to, in pixels
+const DEFAULT_THUMBNAIL_SIZES = [64, 128, 256, 512, 1024];
+
+// Size of the box when the request gives neither width nor height
+const DEFAULT_THUMBNAIL_SIZE = 256;
+
+// Default largest number of pixels of an image a thumbnail is made of
+const DEFAULT_THUMBNAIL_MAX_PIXELS = 50 * 1000 * 1000; // 50 megapixels
+
+// Default largest stored image a thumbnail is made of
+const DEFAULT_THUMBNAIL_MAX_INPUT_SIZE = 25 * 1024 * 1024; // 25 MB
+
+// Seconds after which making a thumbnail is given up
+const THUMBNAIL_TIMEOUT_SECONDS = 10;
+
+// Quality of lossy thumbnails
+const THUMBNAIL_QUALITY = 80;
+
+// Thumbnail formats by their name in requests
+const THUMBNAIL_FORMATS = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp'
+};
+
+// Other names accepted for thumbnail formats
+const FORMAT_ALIASES = {
+  jpg: 'jpeg'
+};
+
+// MIME types of stored files thumbnails are made of
+const SOURCE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/avif', 'image/tiff'];
+
+// Formats the image decoder may read, as it names them; AVIF is read as HEIF
+const SOURCE_FORMATS = ['jpeg', 'png', 'gif', 'webp', 'heif', 'tiff'];
+
+/**
+ * Parse a comma-separated list of sizes
+ * @param {string|undefined} value - List of sizes
+ * @returns {Array<number>|null} - Ascending sizes, null if the list has no valid size
+ */
+function parseSizes(value) {
+  const sizes = (value || '').split(',')
+    .map(size => Number(size.trim()))
+    .filter(size => Number.isInteger(size) && size > 0)
+    .sort((a, b) => a - b);
+  return sizes.length > 0 ? sizes : null;
+}
+
+// Configuration from environment variables
+const THUMBNAIL_SIZES = parseSizes(process.env.THUMBNAIL_SIZES) || DEFAULT_THUMBNAIL_SIZES;
+const THUMBNAIL_MAX_PIXELS = parseInt(process.env.THUMBNAIL_MAX_PIXELS, 10) || DEFAULT_THUMBNAIL_MAX_PIXELS;
+const THUMBNAIL_MAX_INPUT_SIZE = parseInt(process.env.THUMBNAIL_MAX_INPUT_SIZE, 10) || DEFAULT_THUMBNAIL_MAX_INPUT_SIZE;
+
+/**
+ * Round a requested dimension up to the next size step
+ * @param {string|undefined} value - Dimension from the query string
+ * @param {Array<number>} sizes - Ascending size steps
+ * @returns {number|null} - Null if the dimension was not given
+ */
+function toSizeStep(value, sizes) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  if (!/^\d+$/.test(value) || Number(value) === 0 || Number(value) > sizes[sizes.length - 1]) {
+    throw new Error('Invalid thumbnail size');
+  }
+  return sizes.find(size => size >= Number(value));
+}
+
+/**
+ * Parse the query of a thumbnail request
+ * Width and height are both optional; a missing one leaves that side unconstrained, and
+ * without either the thumbnail fits into the default box
+ * @param {Object} query - Query parameters w, h and format
+ * @param {{sizes?: Array<number>}} [options] - Size steps overriding the configured ones
+ * @returns {{width: number|null, height: number|null, format: string, mimeType: string, variant: string}}
+ */
+function parseThumbnailRequest(query, options = {}) {
+  const sizes = options.sizes || THUMBNAIL_SIZES;
+  if ([query.w, query.h, query.format].some(value => value !== undefined && typeof value !== 'string')) {
+    throw new Error('Invalid thumbnail size');
+  }
+
+  let width = toSizeStep(query.w, sizes);
+  let height = toSizeStep(query.h, sizes);
+  if (width === null && height === null) {
+    width = sizes.find(size => size >= DEFAULT_THUMBNAIL_SIZE) || sizes[sizes.length - 1];
+    height = width;
+  }
+
+  const requested = (query.format || 'jpeg').toLowerCase();
+  const format = FORMAT_ALIASES[requested] || requested;
+  if (!Object.prototype.hasOwnProperty.call(THUMBNAIL_FORMATS, format)) {
+    throw new Error('Invalid thumbnail format');
+  }
+
+  return {
+    width,
+    height,
+    format,
+    mimeType: THUMBNAIL_FORMATS[format],
+    variant: `thumbnail-${width || 'auto'}x${height || 'auto'}.${format}`
+  };
+}
+
+/**
+ * Make sure a thumbnail can be made of a stored file, before its content is read
+ * @param {{mimeType: string|null, fileSize: number}} file - File info of the stored file
+ * @param {{maxInputSize?: number}} [limits] - Limits overriding the configured ones
+ * @throws {Error} 'Thumbnail not available' for files that are not supported images, 'Image too large'
+ */
+function assertThumbnailSource({ mimeType, fileSize }, limits = {}) {
+  if (!SOURCE_TYPES.includes(mimeType)) {
+    throw new Error('Thumbnail not available');
+  }
+  if (fileSize > (limits.maxInputSize || THUMBNAIL_MAX_INPUT_SIZE)) {
+    throw new Error('Image too large');
+  }
+}
+
+/**
+ * Make a thumbnail of an image
+ * @param {Buffer} content - The stored image
+ * @param {{width: number|null, height: number|null, format: string}} thumbnail - Box and format of the thumbnail
+ * @param {{maxPixels?: number}} [limits] - Limits overriding the configured ones
+ * @returns {Promise<Buffer>} - Throws 'Image too large' for images over the limits and
+ * 'Invalid image' for content that is not a supported image
+ */
+async function renderThumbnail(content, { width, height, format }, limits = {}) {
+  const maxPixels = limits.maxPixels || THUMBNAIL_MAX_PIXELS;
+
+  try {
+    const image = sharp(content, { limitInputPixels: maxPixels, failOn: 'error', sequentialRead: true });
+
+    // The header tells the format and size before any pixels are decoded
+    const { format: sourceFormat, width: sourceWidth, height: sourceHeight } = await image.metadata();
+    if (!SOURCE_FORMATS.includes(sourceFormat)) {
+      throw new Error('Invalid image');
+    }
+    if (sourceWidth * sourceHeight > maxPixels) {
+      throw new Error('Image too large');
+    }
+
+    const pipeline = image
+      .rotate()
+      .resize({ width: width || undefined, height: height || undefined, fit: 'inside', withoutEnlargement: true })
+      .timeout({ seconds: THUMBNAIL_TIMEOUT_SECONDS });
+
+    if (format === 'jpeg') {
+      // JPEG has no transparency, which would otherwise turn black
+      return await pipeline.flatten({ background: '#ffffff' }).jpeg({ quality: THUMBNAIL_QUALITY }).toBuffer();
+    }
+    if (format === 'webp') {
+      return await pipeline.webp({ quality: THUMBNAIL_QUALITY }).toBuffer();
+    }
+    return await pipeline.png().toBuffer();
+  } catch (error) {
+    if (['Image too large', 'Invalid image'].includes(error.message)) {
+      throw error;
+    }
+    if (/pixel limit|timeout/i.test(error.message)) {
+      throw new Error('Image too large');
+    }
+    throw new Error('Invalid image');
+  }
+}
+
+module.exports = {
+  parseThumbnailRequest,
+  assertThumbnailSource,
+  renderThumbnail
+};
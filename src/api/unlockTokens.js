@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+
+/**
+ * Short-lived unlock tokens for password-protected shares
+ * A token is "<expiry>.<signature>", signed over the public key, the expiry and the
+ * stored password hash, so changing the password invalidates outstanding tokens
+ */
+
+// Default token lifetime
+const DEFAULT_UNLOCK_TOKEN_TTL_SECONDS = 5 * 60; // 5 minutes
+
+// Configuration from environment variables
+const UNLOCK_TOKEN_TTL_SECONDS = parseInt(process.env.UNLOCK_TOKEN_TTL_SECONDS, 10) || DEFAULT_UNLOCK_TOKEN_TTL_SECONDS;
+
+// Without a configured secret, tokens are only valid until the server restarts
+const UNLOCK_TOKEN_SECRET = process.env.UNLOCK_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+
+/**
+ * Compute the signature of a token
+ * @param {string} publicKey - The public key identifying the file
+ * @param {number} expires - Expiry time in milliseconds since the epoch
+ * @param {string} passwordHash - Stored password hash of the file
+ * @returns {string}
+ */
+function sign(publicKey, expires, passwordHash) {
+  return crypto
+    .createHmac('sha256', UNLOCK_TOKEN_SECRET)
+    .update(`${publicKey}:${expires}:${passwordHash}`)
+    .digest('base64url');
+}
+
+/**
+ * Issue an unlock token for a share
+ * @param {string} publicKey - The public key identifying the file
+ * @param {string} passwordHash - Stored password hash of the file
+ * @returns {{token: string, expiresAt: Date}}
+ */
+function createUnlockToken(publicKey, passwordHash) {
+  const expires = Date.now() + UNLOCK_TOKEN_TTL_SECONDS * 1000;
+  return {
+    token: `${expires}.${sign(publicKey, expires, passwordHash)}`,
+    expiresAt: new Date(expires)
+  };
+}
+
+/**
+ * Check an unlock token for a share
+ * @param {string} token - The token sent by the client
+ * @param {string} publicKey - The public key identifying the file
+ * @param {string} passwordHash - Stored password hash of the file
+ * @returns {boolean} - True if the token was issued for this share and has not expired
+ */
+function verifyUnlockToken(token, publicKey, passwordHash) {
+  const match = /^(\d+)\.([A-Za-z0-9_-]+)$/.exec(token || '');
+  if (!match) {
+    return false;
+  }
+
+  const expires = parseInt(match[1], 10);
+  if (expires <= Date.now()) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(publicKey, expires, passwordHash));
+  const actual = Buffer.from(match[2]);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = {
+  createUnlockToken,
+  verifyUnlockToken
+};
@@ -0,0 +1,403 @@
+const express = require('express');
+const { getClient, getClientId, uploadLimiter, trackUpload } = require('../middleware/usageLimiter');
+const { authenticate, getUploadPolicy } = require('../middleware/accountAuth');
+const { parseShareSettings, hashSharePassword } = require('../storage/shareLimits');
+const NoopScanner = require('../scanning/NoopScanner');
+const { scanUpload } = require('../scanning/uploadScanning');
+const { streamToBuffer } = require('../storage/streamUtils');
+const { SNIFF_LENGTH, normalizeMimeType, resolveMimeType, isTypeAllowed } = require('./contentType');
+const { sanitizeFilename } = require('./contentDisposition');
+
+// Protocol version advertised to clients (the API is modeled on tus)
+const TUS_RESUMABLE = '1.0.0';
+
+// Content type required for chunk uploads
+const CHUNK_CONTENT_TYPE = 'application/offset+octet-stream';
+
+// Type of uploads that did not declare one, which any content may have
+const UNKNOWN_TYPE = 'application/octet-stream';
+
+// Default maximum size of a single uploaded file
+const DEFAULT_MAX_FILE_SIZE = 100 * 1024 * 1024; // 100 MB
+
+// Configuration from environment variables
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE, 10) || DEFAULT_MAX_FILE_SIZE;
+
+// Errors thrown by storage providers and the responses they map to
+const SESSION_ERRORS = {
+  'Upload session not found': { status: 404, message: 'The requested upload session does not exist' },
+  'Upload offset mismatch': { status: 409, message: 'Upload-Offset does not match the current offset of the upload' },
+  'Upload already completed': { status: 409, message: 'The upload has already been completed' },
+  'Upload incomplete': { status: 409, message: 'Not all bytes of the upload have been received yet' },
+  'Upload length exceeded': { status: 413, message: 'The chunk would exceed the declared Upload-Length' },
+  'File type not allowed': { status: 415, message: 'Files of this type are not accepted' },
+  'File type mismatch': { status: 415, message: 'The content of the upload does not match its declared file type' }
+};
+
+/**
+ * Parse a non-negative integer header
+ * @param {string|undefined} value - Header value
+ * @returns {number|null} - Parsed value, or null if missing or invalid
+ */
+function parseIntegerHeader(value) {
+  if (value === undefined || !/^\d+$/.test(value)) {
+    return null;
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Parse a tus Upload-Metadata header ("key base64value,key base64value")
+ * @param {string|undefined} header - Header value
+ * @returns {Object<string, string>}
+ */
+function parseUploadMetadata(header) {
+  const metadata = {};
+  if (!header) {
+    return metadata;
+  }
+
+  for (const pair of header.split(',')) {
+    const [key, value] = pair.trim().split(' ');
+    if (key) {
+      metadata[key] = value ? Buffer.from(value, 'base64').toString('utf-8') : '';
+    }
+  }
+
+  return metadata;
+}
+
+/**
+ * Initialize resumable upload routes with storage provider
+ * @param {StorageProvider} storageProvider - The storage provider instance
+ * @param {Object} [options] - Route options
+ * @param {number} [options.maxFileSize] - Maximum size of an uploaded file in bytes, unless the uploader's account sets one
+ * @param {Scanner} [options.scanner] - Malware scanner completed uploads go through (default: none)
+ * @param {number} [options.scanWaitMs] - How long a completion waits for its scan before it is answered as pending
+ * @param {string} [options.infectedAction] - 'reject' to delete infected uploads, 'quarantine' to keep them unserved
+ * @param {Array<string>} [options.allowedTypes] - MIME types accepted for uploads, e.g. "image/*", unless the uploader's
+ *   account lists its own (default: configured)
+ * @param {Array<string>} [options.deniedTypes] - MIME types refused for uploads (default: configured)
+ */
+function initializeUploadRoutes(storageProvider, options = {}) {
+  if (!storageProvider) {
+    throw new Error('Storage provider is required for upload routes');
+  }
+
+  const router = express.Router();
+  const maxFileSize = options.maxFileSize || MAX_FILE_SIZE;
+  const scanner = options.scanner || new NoopScanner();
+  const scanOptions = { waitMs: options.scanWaitMs, infectedAction: options.infectedAction };
+  const typePolicy = { allowed: options.allowedTypes, denied: options.deniedTypes };
+  const uploadDefaults = { maxFileSize, typePolicy };
+
+  // Sessions currently receiving a chunk or being completed, so these requests cannot interleave
+  const activeUploads = new Set();
+
+  router.use('/uploads', (req, res, next) => {
+    res.setHeader('Tus-Resumable', TUS_RESUMABLE);
+    next();
+  });
+
+  /**
+   * Send the API response for an error thrown by the storage provider
+   * @param {Object} res - Express response object
+   * @param {Error} error - The error
+   * @param {string} action - Failed action, used for unexpected errors
+   */
+  function sendSessionError(res, error, action) {
+    const known = SESSION_ERRORS[error.message];
+    if (known) {
+      return res.status(known.status).json({
+        error: error.message,
+        message: known.message
+      });
+    }
+
+    console.error(`Error during ${action}:`, error);
+    res.status(500).json({
+      error: 'Upload failed',
+      message: error.message
+    });
+  }
+
+  /**
+   * Check the content of a completed upload against its declared type
+   * The type is only known once the whole file is stored, so a refused file is deleted again,
+   * along with its session. Uploads that did not declare a type keep it, but their content
+   * must be of an accepted type
+   * @param {string} uploadId - The upload session id
+   * @param {string} publicKey - The public key of the completed file
+   * @param {string} privateKey - The private key of the completed file
+   * @param {{allowed?: Array<string>, denied?: Array<string>}} acceptedTypes - Type policy of the uploader
+   */
+  async function assertContentType(uploadId, publicKey, privateKey, acceptedTypes) {
+    const { mimeType, fileSize } = await storageProvider.getFileInfo(publicKey);
+    const head = fileSize > 0
+      ? await streamToBuffer(await storageProvider.createReadStream(publicKey, { start: 0, end: Math.min(fileSize, SNIFF_LENGTH) - 1 }))
+      : Buffer.alloc(0);
+    const detected = resolveMimeType(head, mimeType);
+
+    let error = null;
+    if (!isTypeAllowed(detected, acceptedTypes)) {
+      error = 'File type not allowed';
+    } else if (mimeType !== UNKNOWN_TYPE && detected !== mimeType) {
+      error = 'File type mismatch';
+    }
+
+    if (error) {
+      await storageProvider.deleteFile(privateKey);
+      await storageProvider.deleteUploadSession(uploadId);
+      throw new Error(error);
+    }
+  }
+
+  /**
+   * Turn a fully uploaded session into a file and send its keys
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {string} uploadId - The upload session id
+   * @param {Object} settings - Share settings returned by parseShareSettings
+   * @returns {Promise<void>}
+   */
+  async function completeUpload(req, res, uploadId, settings) {
+    // Settings are prepared before completing, so nothing can fail on them once the file exists
+    let keys;
+    let shareSettings;
+    try {
+      shareSettings = await hashSharePassword(settings);
+      keys = await storageProvider.completeUploadSession(uploadId);
+    } catch (error) {
+      return sendSessionError(res, error, 'upload completion');
+    }
+    const { publicKey, privateKey } = keys;
+
+    // The keys are only returned at the end; a file that fails any step before is deleted, since nobody could reach it
+    try {
+      await assertContentType(uploadId, publicKey, privateKey, getUploadPolicy(req, uploadDefaults).typePolicy);
+
+      let scanStatus;
+      try {
+        scanStatus = await scanUpload(storageProvider, scanner, { publicKey, privateKey }, scanOptions);
+      } catch (error) {
+        return res.status(503).json({
+          error: 'Scan failed',
+          message: 'The upload could not be scanned for malware and was discarded'
+        });
+      }
+      if (scanStatus === 'infected') {
+        return res.status(422).json({
+          error: 'File infected',
+          message: 'The upload contains malware and was not accepted'
+        });
+      }
+
+      if (Object.keys(shareSettings).length > 0) {
+        await storageProvider.updateFileSettings(privateKey, shareSettings);
+      }
+
+      res.status(201).json({
+        publicKey,
+        privateKey,
+        ...(scanStatus ? { scanStatus } : {})
+      });
+    } catch (error) {
+      await storageProvider.deleteFile(privateKey).catch(() => false);
+      sendSessionError(res, error, 'upload completion');
+    }
+  }
+
+  /**
+   * POST /uploads
+   * Create a resumable upload session
+   * Requires an Upload-Length header, accepts tus Upload-Metadata (filename, filetype)
+   * A declared type that is not accepted is refused before any content is sent
+   * With an API key, the size and type limits of its account apply, and its quota is charged
+   * for every chunk; send the key with each request of the upload
+   * Returns {uploadId, uploadLength, offset} and a Location header
+   */
+  router.post('/uploads', authenticate, uploadLimiter, async (req, res) => {
+    try {
+      const uploadLength = parseIntegerHeader(req.headers['upload-length']);
+      if (uploadLength === null) {
+        return res.status(400).json({
+          error: 'Invalid upload length',
+          message: 'Please provide the total file size in bytes in the Upload-Length header'
+        });
+      }
+
+      const policy = getUploadPolicy(req, uploadDefaults);
+      if (uploadLength > policy.maxFileSize) {
+        return res.status(413).json({
+          error: 'File too large',
+          message: `Maximum file size of ${policy.maxFileSize / (1024 * 1024)} MB exceeded`,
+          limit: policy.maxFileSize
+        });
+      }
+
+      const metadata = parseUploadMetadata(req.headers['upload-metadata']);
+      const mimeType = normalizeMimeType(metadata.filetype) || UNKNOWN_TYPE;
+      if (mimeType !== UNKNOWN_TYPE && !isTypeAllowed(mimeType, policy.typePolicy)) {
+        throw new Error('File type not allowed');
+      }
+
+      const session = await storageProvider.createUploadSession({
+        originalName: sanitizeFilename(metadata.filename, 'upload'),
+        mimeType,
+        uploadLength,
+        uploader: getClientId(getClient(req))
+      });
+
+      res.setHeader('Location', `${req.baseUrl}/uploads/${session.uploadId}`);
+      res.setHeader('Upload-Offset', session.offset);
+      res.status(201).json({
+        uploadId: session.uploadId,
+        uploadLength: session.uploadLength,
+        offset: session.offset
+      });
+    } catch (error) {
+      sendSessionError(res, error, 'upload session creation');
+    }
+  });
+
+  /**
+   * HEAD /uploads/:uploadId
+   * Query the current offset of an upload session
+   * Returns Upload-Offset and Upload-Length headers
+   */
+  router.head('/uploads/:uploadId', async (req, res) => {
+    try {
+      const session = await storageProvider.getUploadSession(req.params.uploadId);
+
+      res.setHeader('Upload-Offset', session.offset);
+      res.setHeader('Upload-Length', session.uploadLength);
+      res.setHeader('Cache-Control', 'no-store');
+      res.status(200).end();
+    } catch (error) {
+      const known = SESSION_ERRORS[error.message];
+      res.status(known ? known.status : 500).end();
+    }
+  });
+
+  /**
+   * PATCH /uploads/:uploadId
+   * Upload a chunk at the current offset
+   * Requires Content-Type: application/offset+octet-stream and an Upload-Offset header
+   * Returns 204 with the new Upload-Offset
+   */
+  router.patch('/uploads/:uploadId', authenticate, uploadLimiter, async (req, res) => {
+    const { uploadId } = req.params;
+
+    if (!req.is(CHUNK_CONTENT_TYPE)) {
+      return res.status(415).json({
+        error: 'Unsupported media type',
+        message: `Chunks must be sent with Content-Type: ${CHUNK_CONTENT_TYPE}`
+      });
+    }
+
+    const offset = parseIntegerHeader(req.headers['upload-offset']);
+    if (offset === null) {
+      return res.status(400).json({
+        error: 'Invalid upload offset',
+        message: 'Please provide the chunk offset in the Upload-Offset header'
+      });
+    }
+
+    if (activeUploads.has(uploadId)) {
+      return res.status(423).json({
+        error: 'Upload locked',
+        message: 'Another chunk is currently being uploaded to this session, or it is being completed'
+      });
+    }
+
+    activeUploads.add(uploadId);
+    try {
+      // Reject chunks that are known to be too large before reading them
+      const session = await storageProvider.getUploadSession(uploadId);
+      const contentLength = parseIntegerHeader(req.headers['content-length']);
+      if (contentLength !== null && offset === session.offset && offset + contentLength > session.uploadLength) {
+        throw new Error('Upload length exceeded');
+      }
+
+      const newOffset = await storageProvider.appendUploadChunk(uploadId, offset, req);
+      trackUpload(getClient(req), newOffset - offset);
+
+      res.setHeader('Upload-Offset', newOffset);
+      res.status(204).end();
+    } catch (error) {
+      if (error.message === 'Upload offset mismatch') {
+        const session = await storageProvider.getUploadSession(uploadId).catch(() => null);
+        if (session) {
+          res.setHeader('Upload-Offset', session.offset);
+        }
+      }
+
+      sendSessionError(res, error, 'chunk upload');
+    } finally {
+      activeUploads.delete(uploadId);
+    }
+  });
+
+  /**
+   * POST /uploads/:uploadId/complete
+   * Finalize a fully uploaded session into a file
+   * Accepts optional JSON {expiresAt, notBefore, maxDownloads, password}
+   * The content must match the declared file type, and be of a type the uploader (or their account) may
+   * upload, and is scanned for malware before the keys are returned
+   * Returns {publicKey, privateKey}, plus {scanStatus} if the file was scanned
+   */
+  router.post('/uploads/:uploadId/complete', authenticate, async (req, res) => {
+    const { uploadId } = req.params;
+
+    let settings;
+    try {
+      settings = parseShareSettings(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid share settings',
+        message: error.message
+      });
+    }
+
+    if (activeUploads.has(uploadId)) {
+      return res.status(423).json({
+        error: 'Upload locked',
+        message: 'A chunk is currently being uploaded to this session, or it is being completed'
+      });
+    }
+
+    // Held until the completion is answered, so no chunk can be written to the session meanwhile
+    activeUploads.add(uploadId);
+    try {
+      await completeUpload(req, res, uploadId, settings);
+    } finally {
+      activeUploads.delete(uploadId);
+    }
+  });
+
+  /**
+   * DELETE /uploads/:uploadId
+   * Abort an upload session and discard the received data
+   * Returns confirmation JSON
+   */
+  router.delete('/uploads/:uploadId', async (req, res) => {
+    try {
+      const deleted = await storageProvider.deleteUploadSession(req.params.uploadId);
+
+      if (!deleted) {
+        return sendSessionError(res, new Error('Upload session not found'), 'upload deletion');
+      }
+
+      res.json({
+        success: true,
+        message: 'Upload session deleted successfully'
+      });
+    } catch (error) {
+      sendSessionError(res, error, 'upload deletion');
+    }
+  });
+
+  return router;
+}
+
+module.exports = initializeUploadRoutes;
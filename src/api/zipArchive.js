@@ -0,0 +1,345 @@
+const zlib = require('zlib');
+const { Readable } = require('stream');
+
+/**
+ * Streamed ZIP archives for bundle downloads
+ * Entries are stored without compression, so the archive size is known before any content
+ * is read and can be sent as Content-Length. CRCs are computed while the content streams
+ * through and written to a data descriptor after each entry; ZIP64 records are added
+ * wherever sizes or offsets do not fit 32 bits.
+ */
+
+const LOCAL_HEADER_SIZE = 30;
+const CENTRAL_HEADER_SIZE = 46;
+const END_RECORD_SIZE = 22;
+const ZIP64_END_RECORD_SIZE = 56;
+const ZIP64_LOCATOR_SIZE = 20;
+
+// Data descriptor after the content (bit 3), UTF-8 names (bit 11)
+const ENTRY_FLAGS = 0x0808;
+const VERSION = 20;
+const ZIP64_VERSION = 45;
+const ZIP64_EXTRA_ID = 0x0001;
+
+const MAX_UINT16 = 0xffff;
+const MAX_UINT32 = 0xffffffff;
+
+let crcTable = null;
+
+/**
+ * Continue a CRC-32 over another chunk
+ * Uses zlib.crc32 where Node provides it
+ * @param {Buffer} chunk - Next chunk of content
+ * @param {number} crc - CRC of the content so far
+ * @returns {number}
+ */
+function crc32(chunk, crc) {
+  if (zlib.crc32) {
+    return zlib.crc32(chunk, crc);
+  }
+
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let value = n;
+      for (let bit = 0; bit < 8; bit++) {
+        value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+      }
+      crcTable[n] = value;
+    }
+  }
+
+  let value = (crc ^ MAX_UINT32) >>> 0;
+  for (let i = 0; i < chunk.length; i++) {
+    value = crcTable[(value ^ chunk[i]) & 0xff] ^ (value >>> 8);
+  }
+  return (value ^ MAX_UINT32) >>> 0;
+}
+
+/**
+ * Convert a date to MS-DOS time and date fields
+ * @param {Date} date - The date, in UTC
+ * @returns {{time: number, date: number}}
+ */
+function toDosDateTime(date) {
+  if (date.getUTCFullYear() < 1980) {
+    return { time: 0, date: (1 << 5) | 1 };
+  }
+
+  return {
+    time: (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | (date.getUTCSeconds() >> 1),
+    date: ((date.getUTCFullYear() - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate()
+  };
+}
+
+/**
+ * Turn a file name into an entry name that extracts safely and is unique in the archive
+ * Path separators and control characters are replaced, so entries cannot leave the
+ * extraction folder; duplicates get a counter before their extension
+ * @param {string} name - The original filename
+ * @param {Set<string>} usedNames - Lower-cased names already in the archive
+ * @returns {string}
+ */
+function toEntryName(name, usedNames) {
+  let safeName = String(name || '').replace(/[\\/\u0000-\u001f\u007f]/g, '_');
+  if (safeName === '' || /^\.+$/.test(safeName)) {
+    safeName = 'file';
+  }
+
+  const dot = safeName.lastIndexOf('.');
+  const base = dot > 0 ? safeName.slice(0, dot) : safeName;
+  const extension = dot > 0 ? safeName.slice(dot) : '';
+
+  let entryName = safeName;
+  for (let counter = 1; usedNames.has(entryName.toLowerCase()); counter++) {
+    entryName = `${base} (${counter})${extension}`;
+  }
+  usedNames.add(entryName.toLowerCase());
+
+  return entryName;
+}
+
+/**
+ * Build the ZIP64 extended information extra field
+ * @param {Array<number>} values - 64-bit values in the order the format expects
+ * @returns {Buffer}
+ */
+function zip64Extra(values) {
+  if (values.length === 0) {
+    return Buffer.alloc(0);
+  }
+
+  const extra = Buffer.alloc(4 + values.length * 8);
+  extra.writeUInt16LE(ZIP64_EXTRA_ID, 0);
+  extra.writeUInt16LE(values.length * 8, 2);
+  values.forEach((value, index) => extra.writeBigUInt64LE(BigInt(value), 4 + index * 8));
+  return extra;
+}
+
+/**
+ * Lay out an entry of the archive
+ * @param {{name: string, size: number, modified?: Date}} entry - The entry
+ * @param {number} offset - Archive offset of the entry's local header
+ * @param {Set<string>} usedNames - Lower-cased names already in the archive
+ * @returns {Object}
+ */
+function planEntry(entry, offset, usedNames) {
+  const name = Buffer.from(toEntryName(entry.name, usedNames), 'utf-8');
+  const large = entry.size >= MAX_UINT32;
+  const dosDateTime = toDosDateTime(entry.modified || new Date());
+
+  // Sizes come after the content, the local header only says whether they are 64-bit
+  const localExtra = large ? zip64Extra([0, 0]) : Buffer.alloc(0);
+  const localHeader = Buffer.alloc(LOCAL_HEADER_SIZE);
+  localHeader.writeUInt32LE(0x04034b50, 0);
+  localHeader.writeUInt16LE(large ? ZIP64_VERSION : VERSION, 4);
+  localHeader.writeUInt16LE(ENTRY_FLAGS, 6);
+  localHeader.writeUInt16LE(0, 8);
+  localHeader.writeUInt16LE(dosDateTime.time, 10);
+  localHeader.writeUInt16LE(dosDateTime.date, 12);
+  localHeader.writeUInt32LE(0, 14);
+  localHeader.writeUInt32LE(large ? MAX_UINT32 : 0, 18);
+  localHeader.writeUInt32LE(large ? MAX_UINT32 : 0, 22);
+  localHeader.writeUInt16LE(name.length, 26);
+  localHeader.writeUInt16LE(localExtra.length, 28);
+
+  const centralExtra = zip64Extra([
+    ...(large ? [entry.size, entry.size] : []),
+    ...(offset >= MAX_UINT32 ? [offset] : [])
+  ]);
+
+  return {
+    name,
+    size: entry.size,
+    offset,
+    large,
+    dosDateTime,
+    header: Buffer.concat([localHeader, name, localExtra]),
+    descriptorSize: large ? 24 : 16,
+    centralExtra,
+    centralSize: CENTRAL_HEADER_SIZE + name.length + centralExtra.length,
+    crc: 0
+  };
+}
+
+/**
+ * Build the data descriptor that follows an entry's content
+ * @param {Object} planned - The planned entry, with its CRC
+ * @returns {Buffer}
+ */
+function dataDescriptor(planned) {
+  const descriptor = Buffer.alloc(planned.descriptorSize);
+  descriptor.writeUInt32LE(0x08074b50, 0);
+  descriptor.writeUInt32LE(planned.crc, 4);
+  if (planned.large) {
+    descriptor.writeBigUInt64LE(BigInt(planned.size), 8);
+    descriptor.writeBigUInt64LE(BigInt(planned.size), 16);
+  } else {
+    descriptor.writeUInt32LE(planned.size, 8);
+    descriptor.writeUInt32LE(planned.size, 12);
+  }
+  return descriptor;
+}
+
+/**
+ * Build the central directory header of an entry
+ * @param {Object} planned - The planned entry, with its CRC
+ * @returns {Buffer}
+ */
+function centralHeader(planned) {
+  const header = Buffer.alloc(CENTRAL_HEADER_SIZE);
+  const zip64 = planned.centralExtra.length > 0;
+  header.writeUInt32LE(0x02014b50, 0);
+  header.writeUInt16LE(zip64 ? ZIP64_VERSION : VERSION, 4);
+  header.writeUInt16LE(zip64 ? ZIP64_VERSION : VERSION, 6);
+  header.writeUInt16LE(ENTRY_FLAGS, 8);
+  header.writeUInt16LE(0, 10);
+  header.writeUInt16LE(planned.dosDateTime.time, 12);
+  header.writeUInt16LE(planned.dosDateTime.date, 14);
+  header.writeUInt32LE(planned.crc, 16);
+  header.writeUInt32LE(planned.large ? MAX_UINT32 : planned.size, 20);
+  header.writeUInt32LE(planned.large ? MAX_UINT32 : planned.size, 24);
+  header.writeUInt16LE(planned.name.length, 28);
+  header.writeUInt16LE(planned.centralExtra.length, 30);
+  header.writeUInt32LE(Math.min(planned.offset, MAX_UINT32), 42);
+
+  return Buffer.concat([header, planned.name, planned.centralExtra]);
+}
+
+/**
+ * Build the records that end the archive
+ * @param {number} entryCount - Number of entries
+ * @param {number} directoryOffset - Archive offset of the central directory
+ * @param {number} directorySize - Size of the central directory in bytes
+ * @returns {Buffer}
+ */
+function endRecords(entryCount, directoryOffset, directorySize) {
+  const zip64 = entryCount >= MAX_UINT16 || directoryOffset >= MAX_UINT32 || directorySize >= MAX_UINT32;
+  const records = [];
+
+  if (zip64) {
+    const zip64End = Buffer.alloc(ZIP64_END_RECORD_SIZE);
+    zip64End.writeUInt32LE(0x06064b50, 0);
+    zip64End.writeBigUInt64LE(BigInt(ZIP64_END_RECORD_SIZE - 12), 4);
+    zip64End.writeUInt16LE(ZIP64_VERSION, 12);
+    zip64End.writeUInt16LE(ZIP64_VERSION, 14);
+    zip64End.writeBigUInt64LE(BigInt(entryCount), 24);
+    zip64End.writeBigUInt64LE(BigInt(entryCount), 32);
+    zip64End.writeBigUInt64LE(BigInt(directorySize), 40);
+    zip64End.writeBigUInt64LE(BigInt(directoryOffset), 48);
+
+    const locator = Buffer.alloc(ZIP64_LOCATOR_SIZE);
+    locator.writeUInt32LE(0x07064b50, 0);
+    locator.writeBigUInt64LE(BigInt(directoryOffset + directorySize), 8);
+    locator.writeUInt32LE(1, 16);
+
+    records.push(zip64End, locator);
+  }
+
+  const end = Buffer.alloc(END_RECORD_SIZE);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Math.min(entryCount, MAX_UINT16), 8);
+  end.writeUInt16LE(Math.min(entryCount, MAX_UINT16), 10);
+  end.writeUInt32LE(Math.min(directorySize, MAX_UINT32), 12);
+  end.writeUInt32LE(Math.min(directoryOffset, MAX_UINT32), 16);
+  records.push(end);
+
+  return Buffer.concat(records);
+}
+
+/**
+ * Get the size of the records that end the archive
+ * @param {number} entryCount - Number of entries
+ * @param {number} directoryOffset - Archive offset of the central directory
+ * @param {number} directorySize - Size of the central directory in bytes
+ * @returns {number}
+ */
+function endRecordsSize(entryCount, directoryOffset, directorySize) {
+  const zip64 = entryCount >= MAX_UINT16 || directoryOffset >= MAX_UINT32 || directorySize >= MAX_UINT32;
+  return END_RECORD_SIZE + (zip64 ? ZIP64_END_RECORD_SIZE + ZIP64_LOCATOR_SIZE : 0);
+}
+
+/**
+ * Lay out all entries and records of an archive
+ * @param {Array<{name: string, size: number, modified?: Date}>} entries - Entries of the archive
+ * @returns {{planned: Array<Object>, directoryOffset: number, directorySize: number, contentLength: number}}
+ */
+function planArchive(entries) {
+  const usedNames = new Set();
+  const planned = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const plannedEntry = planEntry(entry, offset, usedNames);
+    planned.push(plannedEntry);
+    offset += plannedEntry.header.length + plannedEntry.size + plannedEntry.descriptorSize;
+  }
+
+  const directoryOffset = offset;
+  const directorySize = planned.reduce((total, plannedEntry) => total + plannedEntry.centralSize, 0);
+  const contentLength = directoryOffset + directorySize + endRecordsSize(planned.length, directoryOffset, directorySize);
+
+  return { planned, directoryOffset, directorySize, contentLength };
+}
+
+/**
+ * Get the size of a ZIP archive without building it
+ * @param {Array<{name: string, size: number}>} entries - Entries of the archive
+ * @returns {number}
+ */
+function getZipArchiveLength(entries) {
+  return planArchive(entries).contentLength;
+}
+
+/**
+ * Build a ZIP archive of several files
+ * Entry content is read lazily, one entry at a time, and must have exactly the declared size
+ * @param {Array<{name: string, size: number, modified?: Date}>} entries - Entries of the archive
+ * @param {Function} openEntry - Returns a promise of a readable stream for an entry index
+ * @returns {{stream: Readable, contentLength: number, payloadBytes: Function}}
+ */
+function createZipArchive(entries, openEntry) {
+  const { planned, directoryOffset, directorySize, contentLength } = planArchive(entries);
+
+  let served = 0;
+
+  async function* generateArchive() {
+    for (let index = 0; index < planned.length; index++) {
+      const plannedEntry = planned[index];
+      yield plannedEntry.header;
+
+      const source = await openEntry(index);
+      let crc = 0;
+      let size = 0;
+      for await (const chunk of source) {
+        size += chunk.length;
+        if (size > plannedEntry.size) {
+          throw new Error('Archive entry is larger than declared');
+        }
+        crc = crc32(chunk, crc);
+        served += chunk.length;
+        yield chunk;
+      }
+      if (size !== plannedEntry.size) {
+        throw new Error('Archive entry is smaller than declared');
+      }
+
+      plannedEntry.crc = crc;
+      yield dataDescriptor(plannedEntry);
+    }
+
+    yield Buffer.concat(planned.map(centralHeader));
+    yield endRecords(planned.length, directoryOffset, directorySize);
+  }
+
+  return {
+    stream: Readable.from(generateArchive()),
+    contentLength,
+    payloadBytes: () => served
+  };
+}
+
+module.exports = {
+  createZipArchive,
+  getZipArchiveLength
+};
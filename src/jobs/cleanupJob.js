@@ -1,6 +1,10 @@
+const { getShareStatus } = require('../storage/shareLimits');
+
 /**
  * Inactive storage cleanup job
- * Periodically removes files that haven't been accessed for a configurable period
+ * Periodically removes files that haven't been accessed for a configurable period,
+ * shares that have expired or used up their downloads,
+ * and resumable upload sessions that have been abandoned
  */
 
 // Default inactivity period: 30 days
@@ -11,6 +15,10 @@ const INACTIVITY_PERIOD_MS = (parseInt(process.env.INACTIVITY_PERIOD_DAYS, 10) |
 const DEFAULT_CLEANUP_INTERVAL_HOURS = 24;
 const CLEANUP_INTERVAL_MS = (parseInt(process.env.CLEANUP_INTERVAL_HOURS, 10) || DEFAULT_CLEANUP_INTERVAL_HOURS) * 60 * 60 * 1000;
 
+// Default upload session expiry: 24 hours without a new chunk
+const DEFAULT_UPLOAD_SESSION_EXPIRY_HOURS = 24;
+const UPLOAD_SESSION_EXPIRY_MS = (parseInt(process.env.UPLOAD_SESSION_EXPIRY_HOURS, 10) || DEFAULT_UPLOAD_SESSION_EXPIRY_HOURS) * 60 * 60 * 1000;
+
 let cleanupInterval = null;
 let storageProvider = null;
 
@@ -52,10 +60,19 @@ async function runCleanup() {
     
     const inactiveFiles = await storageProvider.getInactiveFiles(inactiveSince);
     console.log(`Cleanup job: Found ${inactiveFiles.length} inactive files`);
+
+    // Shares past their expiry time or download limit are purged as well
+    const expiredFiles = typeof storageProvider.getExpiredFiles === 'function'
+      ? await storageProvider.getExpiredFiles(new Date())
+      : [];
+    console.log(`Cleanup job: Found ${expiredFiles.length} expired files`);
+
+    const inactiveKeys = new Set(inactiveFiles.map(file => file.privateKey));
+    const filesToDelete = [...inactiveFiles, ...expiredFiles.filter(file => !inactiveKeys.has(file.privateKey))];
     
     let deletedCount = 0;
     
-    for (const file of inactiveFiles) {
+    for (const file of filesToDelete) {
       try {
         const deleted = await storageProvider.deleteFile(file.privateKey);
         if (deleted) {
@@ -68,6 +85,9 @@ async function runCleanup() {
     }
     
     console.log(`Cleanup job: Completed. Deleted ${deletedCount} files`);
+
+    await cleanupUploadSessions();
+
     return deletedCount;
   } catch (error) {
     console.error('Cleanup job: Error during cleanup:', error);
@@ -75,6 +95,57 @@ async function runCleanup() {
   }
 }
 
+/**
+ * Remove resumable upload sessions that have not received data for a while
+ * Providers without upload session support are skipped
+ * @returns {Promise<number>} - Number of sessions deleted
+ */
+async function cleanupUploadSessions() {
+  if (!storageProvider || typeof storageProvider.getStaleUploadSessions !== 'function') {
+    return 0;
+  }
+
+  try {
+    const inactiveSince = new Date(Date.now() - UPLOAD_SESSION_EXPIRY_MS);
+    const staleSessions = await storageProvider.getStaleUploadSessions(inactiveSince);
+
+    let deletedCount = 0;
+
+    for (const session of staleSessions) {
+      try {
+        const deleted = await storageProvider.deleteUploadSession(session.uploadId);
+        if (deleted) {
+          deletedCount++;
+        }
+      } catch (error) {
+        console.error(`Cleanup job: Error deleting upload session ${session.uploadId}:`, error.message);
+      }
+    }
+
+    console.log(`Cleanup job: Deleted ${deletedCount} abandoned upload sessions`);
+    return deletedCount;
+  } catch (error) {
+    console.error('Cleanup job: Error during upload session cleanup:', error);
+    return 0;
+  }
+}
+
+/**
+ * Get the time from which the cleanup job removes a file, unless it is downloaded before
+ * @param {FileInfo} info - File info
+ * @param {Date} [now] - Reference time
+ * @returns {Date} - The share's expiry or the end of its inactivity period, whichever comes first;
+ *   now for shares that already expired or used up their downloads
+ */
+function getDeletionTime(info, now = new Date()) {
+  if (['expired', 'exhausted'].includes(getShareStatus(info, now))) {
+    return now;
+  }
+
+  const inactiveAt = new Date((info.lastAccessed || info.createdAt).getTime() + INACTIVITY_PERIOD_MS);
+  return info.expiresAt && info.expiresAt < inactiveAt ? info.expiresAt : inactiveAt;
+}
+
 /**
  * Stop the cleanup job
  */
@@ -89,5 +160,7 @@ function stop() {
 module.exports = {
   initialize,
   runCleanup,
+  cleanupUploadSessions,
+  getDeletionTime,
   stop
 };
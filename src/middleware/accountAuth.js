@@ -0,0 +1,93 @@
+/**
+ * API key authentication middleware
+ * Requests may carry an API key as `Authorization: Bearer <key>`; the account it belongs
+ * to is set as req.account, so usage is charged to the account and its own upload limits
+ * apply. Requests without a key stay anonymous. Without an account store every request
+ * is anonymous and Authorization headers are left alone.
+ */
+
+const { hashApiKey } = require('../accounts/accountRecords');
+
+// Store resolving API keys, none until one is configured
+let accountStore = null;
+
+/**
+ * Use an account store to resolve API keys
+ * @param {AccountStore|null} store - The account store instance, null to treat all requests as anonymous
+ */
+function initialize(store) {
+  accountStore = store || null;
+}
+
+/**
+ * Get the API key a request carries
+ * @param {Object} req - Express request object
+ * @returns {string|null} - The key, '' for a Bearer header without one, null without a Bearer header
+ */
+function getApiKey(req) {
+  const match = /^Bearer(?:\s+(.*))?$/i.exec(req.headers.authorization || '');
+  return match ? (match[1] || '').trim() : null;
+}
+
+/**
+ * Middleware to identify the account of a request by its API key
+ * Unknown and disabled keys are refused rather than served anonymously, so a mistyped
+ * or revoked key is noticed instead of silently falling back to per-IP limits
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+async function authenticate(req, res, next) {
+  req.account = null;
+
+  const apiKey = getApiKey(req);
+  if (!accountStore || apiKey === null) {
+    return next();
+  }
+
+  let account;
+  try {
+    account = apiKey ? await accountStore.findByKeyHash(hashApiKey(apiKey)) : null;
+  } catch (error) {
+    return next(error);
+  }
+
+  if (!account || account.disabled) {
+    res.setHeader('WWW-Authenticate', 'Bearer error="invalid_token"');
+    return res.status(401).json({
+      error: 'Invalid API key',
+      message: 'The API key is unknown or has been disabled'
+    });
+  }
+
+  req.account = account;
+  next();
+}
+
+/**
+ * Get the upload limits that apply to a request
+ * An account's maximum file size replaces the server's, and its accepted types replace
+ * the server's allow list; the server's deny list applies to every account
+ * @param {Object} req - Express request object, after authenticate
+ * @param {{maxFileSize: number, typePolicy: {allowed?: Array<string>, denied?: Array<string>}}} defaults - Limits of anonymous uploads
+ * @returns {{maxFileSize: number, typePolicy: {allowed?: Array<string>, denied?: Array<string>}}}
+ */
+function getUploadPolicy(req, defaults) {
+  const account = req.account;
+  if (!account) {
+    return defaults;
+  }
+
+  return {
+    maxFileSize: account.maxFileSize || defaults.maxFileSize,
+    typePolicy: account.allowedTypes ? { ...defaults.typePolicy, allowed: account.allowedTypes } : defaults.typePolicy
+  };
+}
+
+module.exports = {
+  initialize,
+  getApiKey,
+  authenticate,
+  getUploadPolicy
+};
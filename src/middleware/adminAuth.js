@@ -0,0 +1,51 @@
+/**
+ * Admin token authentication middleware
+ * Admin routes require `Authorization: Bearer <token>` with the configured admin token.
+ * Tokens are compared by their hashes in constant time, so response times do not tell
+ * how much of a guessed token was right.
+ */
+
+const crypto = require('crypto');
+const { getApiKey } = require('./accountAuth');
+
+// Shortest accepted admin token, so it cannot be guessed
+const MIN_ADMIN_TOKEN_LENGTH = 32;
+
+/**
+ * Hash a token to a fixed length for comparison
+ * @param {string} token - The token
+ * @returns {Buffer}
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest();
+}
+
+/**
+ * Create a middleware that only lets requests with the admin token through
+ * @param {string} adminToken - The admin token
+ * @returns {Function} - Express middleware
+ */
+function createAdminAuth(adminToken) {
+  if (typeof adminToken !== 'string' || adminToken.length < MIN_ADMIN_TOKEN_LENGTH) {
+    throw new Error(`Admin token must be at least ${MIN_ADMIN_TOKEN_LENGTH} characters long`);
+  }
+  const expected = hashToken(adminToken);
+
+  return function adminAuth(req, res, next) {
+    const token = getApiKey(req);
+    if (token && crypto.timingSafeEqual(hashToken(token), expected)) {
+      return next();
+    }
+
+    res.setHeader('WWW-Authenticate', token === null ? 'Bearer' : 'Bearer error="invalid_token"');
+    res.status(401).json({
+      error: 'Unauthorized',
+      message: 'A valid admin token is required'
+    });
+  };
+}
+
+module.exports = {
+  MIN_ADMIN_TOKEN_LENGTH,
+  createAdminAuth
+};
@@ -0,0 +1,85 @@
+/**
+ * Failed password attempt limiter
+ * Tracks wrong passwords per share and locks the share for a while after too many
+ */
+
+// In-memory store of failed attempts per public key
+const failedAttemptStore = new Map();
+
+// Default limits
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_LOCKOUT_MINUTES = 15;
+
+// Configuration from environment variables
+const MAX_ATTEMPTS = parseInt(process.env.PASSWORD_MAX_ATTEMPTS, 10) || DEFAULT_MAX_ATTEMPTS;
+const LOCKOUT_MINUTES = parseInt(process.env.PASSWORD_LOCKOUT_MINUTES, 10) || DEFAULT_LOCKOUT_MINUTES;
+const LOCKOUT_MS = LOCKOUT_MINUTES * 60 * 1000;
+
+/**
+ * Get the attempt record of a share, dropping it once its window has passed
+ * @param {string} publicKey - The public key identifying the file
+ * @returns {{failures: number, windowStart: number, lockedUntil: number}|undefined}
+ */
+function getAttemptRecord(publicKey) {
+  const record = failedAttemptStore.get(publicKey);
+  if (record && Date.now() - record.windowStart >= LOCKOUT_MS && Date.now() >= record.lockedUntil) {
+    failedAttemptStore.delete(publicKey);
+    return undefined;
+  }
+  return record;
+}
+
+/**
+ * Cleanup attempt records whose window has passed
+ * This runs periodically to prevent memory leaks
+ */
+function cleanupOldRecords() {
+  for (const publicKey of failedAttemptStore.keys()) {
+    getAttemptRecord(publicKey);
+  }
+}
+
+// Run cleanup every lockout period, without keeping the process alive
+setInterval(cleanupOldRecords, LOCKOUT_MS).unref();
+
+/**
+ * Get the time left until a locked share accepts passwords again
+ * @param {string} publicKey - The public key identifying the file
+ * @returns {number} - Milliseconds until the lock ends, 0 if not locked
+ */
+function getLockoutRemaining(publicKey) {
+  const record = getAttemptRecord(publicKey);
+  return record ? Math.max(0, record.lockedUntil - Date.now()) : 0;
+}
+
+/**
+ * Record a wrong password for a share
+ * The share is locked once MAX_ATTEMPTS failures happen within the lockout period
+ * @param {string} publicKey - The public key identifying the file
+ */
+function recordFailedAttempt(publicKey) {
+  let record = getAttemptRecord(publicKey);
+  if (!record) {
+    record = { failures: 0, windowStart: Date.now(), lockedUntil: 0 };
+    failedAttemptStore.set(publicKey, record);
+  }
+
+  record.failures += 1;
+  if (record.failures >= MAX_ATTEMPTS) {
+    record.lockedUntil = Date.now() + LOCKOUT_MS;
+  }
+}
+
+/**
+ * Forget the failed attempts of a share after a correct password
+ * @param {string} publicKey - The public key identifying the file
+ */
+function clearFailedAttempts(publicKey) {
+  failedAttemptStore.delete(publicKey);
+}
+
+module.exports = {
+  getLockoutRemaining,
+  recordFailedAttempt,
+  clearFailedAttempts
+};
@@ -0,0 +1,112 @@
+const { createDigestVerifier, peekStream, pipeThrough } = require('../storage/streamUtils');
+
+// Default number of bytes read from the start of each file before it is stored
+const DEFAULT_PEEK_LENGTH = 4096;
+
+/**
+ * Multer storage engine backed by a StorageProvider
+ * Pipes uploaded files straight into the storage provider instead of
+ * buffering them in memory
+ */
+
+/**
+ * Multer storage engine that hands each file stream to the storage provider
+ */
+class ProviderStorageEngine {
+  /**
+   * @param {StorageProvider} storageProvider - The storage provider instance
+   * @param {{bundleField?: string, getExpectedDigests?: Function, describeFile?: Function, getUploader?: Function}}
+   *   [options] - Field whose files are stored as bundle members, a function (req, file) returning the hex
+   *   digests a file must have, or null, a function (req, file, head) given the first bytes of a file that
+   *   returns the {originalName, mimeType} to store it under, or throws to refuse it, and a function (req)
+   *   returning the uploader recorded with each file
+   */
+  constructor(storageProvider, { bundleField = null, getExpectedDigests = null, describeFile = null, getUploader = null } = {}) {
+    this.storageProvider = storageProvider;
+    this.bundleField = bundleField;
+    this.getExpectedDigests = getExpectedDigests;
+    this.describeFile = describeFile;
+    this.getUploader = getUploader;
+  }
+
+  /**
+   * Store an incoming file (called by multer)
+   * @param {Object} req - Express request object
+   * @param {Object} file - Multer file object with a `stream` property
+   * @param {Function} callback - Called with the info merged into req.file
+   */
+  _handleFile(req, file, callback) {
+    const options = file.fieldname === this.bundleField ? { bundled: true } : {};
+    if (this.getUploader) {
+      options.uploader = this.getUploader(req);
+    }
+
+    // A file that does not match its digests fails before the provider sees its end, so it is never stored
+    const expected = this.getExpectedDigests && this.getExpectedDigests(req, file);
+
+    // The start of the file is read before anything is stored, so a refused file never reaches the provider
+    this._describe(req, file)
+      .then(({ originalName, mimeType, stream: content }) => {
+        const stream = expected ? pipeThrough(content, createDigestVerifier(expected)) : content;
+        return this.storageProvider.uploadStream(stream, originalName, mimeType, options)
+          .then(({ publicKey, privateKey, fileSize }) => {
+            callback(null, { publicKey, privateKey, size: fileSize, originalName, mimeType });
+          });
+      })
+      .catch(callback);
+  }
+
+  /**
+   * Work out the name and type to store a file under
+   * @param {Object} req - Express request object
+   * @param {Object} file - Multer file object with a `stream` property
+   * @returns {Promise<{originalName: string, mimeType: string, stream: Readable}>} - Also the stream
+   *   to store, which still holds the bytes looked at
+   */
+  async _describe(req, file) {
+    if (!this.describeFile) {
+      return { originalName: file.originalname, mimeType: file.mimetype, stream: file.stream };
+    }
+
+    const { head, stream } = await peekStream(file.stream, DEFAULT_PEEK_LENGTH);
+    try {
+      return { ...this.describeFile(req, file, head), stream };
+    } catch (error) {
+      // The rest of a refused file is read and dropped, so the request can still be answered
+      stream.resume();
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a stored file when multer aborts the request (e.g. size limit hit)
+   * @param {Object} req - Express request object
+   * @param {Object} file - Multer file object as returned by _handleFile
+   * @param {Function} callback - Called once the file has been removed
+   */
+  _removeFile(req, file, callback) {
+    if (!file.privateKey) {
+      return callback(null);
+    }
+
+    this.storageProvider.deleteFile(file.privateKey)
+      .then(() => callback(null))
+      .catch(callback);
+  }
+}
+
+/**
+ * Create a multer storage engine for a storage provider
+ * @param {StorageProvider} storageProvider - The storage provider instance
+ * @param {{bundleField?: string, getExpectedDigests?: Function, describeFile?: Function, getUploader?: Function}}
+ *   [options] - Field whose files are stored as bundle members, a function (req, file) returning the hex digests
+ *   a file must have, or null, a function (req, file, head) given the first bytes of a file that returns the
+ *   {originalName, mimeType} to store it under, or throws to refuse it, and a function (req) returning the
+ *   uploader recorded with each file
+ * @returns {ProviderStorageEngine}
+ */
+function providerStorage(storageProvider, options = {}) {
+  return new ProviderStorageEngine(storageProvider, options);
+}
+
+module.exports = providerStorage;
@@ -1,20 +1,39 @@
 /**
  * Daily usage limiter middleware
- * Tracks and limits upload/download traffic per IP address
+ * Tracks and limits upload/download traffic per client: the account of requests with an
+ * API key (see accountAuth), the IP address of anonymous ones. Accounts may carry their
+ * own daily limits; the configured limits apply to anonymous clients and to accounts without.
  */
 
-// In-memory store for tracking usage per IP
-// In production, this should be replaced with Redis or another persistent store
-const dailyUsageStore = new Map();
+const MemoryUsageStore = require('../usage/MemoryUsageStore');
+
+// Store for tracking usage per client, kept in memory unless another one is configured
+let usageStore = new MemoryUsageStore();
 
 // Default limits (bytes per day)
 const DEFAULT_UPLOAD_LIMIT = 100 * 1024 * 1024; // 100 MB
 const DEFAULT_DOWNLOAD_LIMIT = 500 * 1024 * 1024; // 500 MB
 
+// Bytes of a multipart upload that are not file content: the boundaries and part headers
+// of a file and a few form fields. They are left out of the reservation.
+const MULTIPART_OVERHEAD = 1024;
+
 // Configuration from environment variables
 const UPLOAD_LIMIT = parseInt(process.env.UPLOAD_LIMIT, 10) || DEFAULT_UPLOAD_LIMIT;
 const DOWNLOAD_LIMIT = parseInt(process.env.DOWNLOAD_LIMIT, 10) || DEFAULT_DOWNLOAD_LIMIT;
 
+/**
+ * Use a usage store for all limits
+ * @param {UsageStore} store - The usage store instance
+ */
+function initialize(store) {
+  if (!store) {
+    throw new Error('Usage store is required for usage limiter');
+  }
+
+  usageStore = store;
+}
+
 /**
  * Get today's date string as a key
  * @returns {string}
@@ -25,31 +44,90 @@ function getTodayKey() {
 }
 
 /**
- * Get usage key for an IP address
- * @param {string} ip - IP address
+ * Get the time today's usage may be forgotten
+ * @returns {Date} - Start of tomorrow
+ */
+function getUsageExpiry() {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+}
+
+/**
+ * Get the client a request's usage is charged to
+ * @param {Object} req - Express request object, after accountAuth's authenticate if it ran
+ * @returns {Object|string} - The account of the request's API key, or else the IP address
+ */
+function getClient(req) {
+  return req.account || req.ip || req.connection.remoteAddress || 'unknown';
+}
+
+/**
+ * Get a string naming a client, as usage keys and uploaded files record it
+ * Account ids cannot clash with IP addresses, since no IP address starts with "account:"
+ * @param {Object|string} client - Account or IP address
+ * @returns {string} - The IP address, or "account:" followed by the account id
+ */
+function getClientId(client) {
+  return typeof client === 'string' ? client : `account:${client.id}`;
+}
+
+/**
+ * Get usage key for a client
+ * @param {Object|string} client - Account or IP address
  * @returns {string}
  */
-function getUsageKey(ip) {
-  return `${ip}:${getTodayKey()}`;
+function getUsageKey(client) {
+  return `${getClientId(client)}:${getTodayKey()}`;
 }
 
 /**
- * Get or initialize usage record for an IP
- * @param {string} ip - IP address
- * @returns {{upload: number, download: number, lastReset: string}}
+ * Get the daily limits of a client
+ * @param {Object|string} client - Account or IP address
+ * @returns {{upload: number, download: number, subject: string}} - Limits in bytes, and who they apply to for messages
  */
-function getUsageRecord(ip) {
-  const key = getUsageKey(ip);
-  
-  if (!dailyUsageStore.has(key)) {
-    dailyUsageStore.set(key, {
-      upload: 0,
-      download: 0,
-      lastReset: getTodayKey()
-    });
+function getLimits(client) {
+  if (typeof client === 'string') {
+    return { upload: UPLOAD_LIMIT, download: DOWNLOAD_LIMIT, subject: 'this IP address' };
   }
-  
-  return dailyUsageStore.get(key);
+  return {
+    upload: client.uploadLimit || UPLOAD_LIMIT,
+    download: client.downloadLimit || DOWNLOAD_LIMIT,
+    subject: 'this account'
+  };
+}
+
+/**
+ * Add to a usage counter without enforcing a limit
+ * Failures are logged rather than thrown, since the traffic has already happened
+ * @param {string} key - Usage key
+ * @param {string} field - 'upload' or 'download'
+ * @param {number} size - Number of bytes, negative to give back a reservation
+ * @returns {Promise<void>}
+ */
+async function addUsage(key, field, size) {
+  try {
+    await usageStore.increment(key, field, size, { expiresAt: getUsageExpiry() });
+  } catch (error) {
+    console.error(`Could not track ${field} usage for ${key}:`, error.message);
+  }
+}
+
+/**
+ * Get the number of bytes multer stored for a request
+ * Covers a single file (req.file) as well as files from several fields (req.files)
+ * @param {Object} req - Express request object
+ * @returns {number}
+ */
+function getUploadedSize(req) {
+  if (req.file) {
+    return req.file.size;
+  }
+  if (!req.files) {
+    return 0;
+  }
+
+  const files = Array.isArray(req.files) ? req.files : Object.values(req.files).flat();
+  return files.reduce((total, file) => total + (file.size || 0), 0);
 }
 
 /**
@@ -57,78 +135,90 @@ function getUsageRecord(ip) {
  * This runs periodically to prevent memory leaks
  */
 function cleanupOldRecords() {
-  const today = getTodayKey();
-  const keysToDelete = [];
-  
-  for (const [key, record] of dailyUsageStore.entries()) {
-    if (record.lastReset !== today) {
-      keysToDelete.push(key);
-    }
-  }
-  
-  keysToDelete.forEach(key => dailyUsageStore.delete(key));
+  usageStore.removeExpired().catch((error) => {
+    console.error('Could not remove old usage records:', error.message);
+  });
 }
 
-// Run cleanup every hour
-setInterval(cleanupOldRecords, 60 * 60 * 1000);
+// Run cleanup every hour, without keeping the process alive
+setInterval(cleanupOldRecords, 60 * 60 * 1000).unref();
 
 /**
- * Middleware to limit upload traffic per IP
+ * Middleware to limit upload traffic per client
+ * The declared request size, less the multipart overhead, is reserved before the upload starts,
+ * so concurrent uploads cannot overshoot the limit together; once the response is done the
+ * reservation is replaced by the size of the stored files. Refused requests have their files
+ * deleted again and are not charged for them. Requests without a Content-Length reserve nothing.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
  */
-function uploadLimiter(req, res, next) {
-  const ip = req.ip || req.connection.remoteAddress || 'unknown';
-  const usage = getUsageRecord(ip);
-  
-  if (usage.upload >= UPLOAD_LIMIT) {
+async function uploadLimiter(req, res, next) {
+  const client = getClient(req);
+  const key = getUsageKey(client);
+  const limits = getLimits(client);
+  const declared = parseInt(req.headers['content-length'], 10) || 0;
+  const multipart = /^multipart\/form-data/i.test(req.headers['content-type'] || '');
+  const reserved = multipart ? Math.max(declared - MULTIPART_OVERHEAD, 0) : declared;
+
+  let reservation;
+  try {
+    reservation = await usageStore.increment(key, 'upload', reserved, {
+      limit: limits.upload,
+      expiresAt: getUsageExpiry()
+    });
+  } catch (error) {
+    return next(error);
+  }
+
+  if (!reservation.allowed) {
     return res.status(429).json({
       error: 'Upload limit exceeded',
-      message: `Daily upload limit of ${UPLOAD_LIMIT / (1024 * 1024)} MB exceeded for this IP address`,
-      limit: UPLOAD_LIMIT,
-      used: usage.upload
+      message: `Daily upload limit of ${limits.upload / (1024 * 1024)} MB exceeded for ${limits.subject}`,
+      limit: limits.upload,
+      used: reservation.value
     });
   }
-  
+
   // Track upload size after upload completes
-  const originalSend = res.send;
-  const originalJson = res.json;
-  
-  res.send = function(data) {
-    // Calculate size from file if available (set by upload route)
-    const uploadSize = req.file ? req.file.size : 0;
-    usage.upload += uploadSize;
-    
-    return originalSend.call(this, data);
-  };
-  
-  res.json = function(data) {
-    const uploadSize = req.file ? req.file.size : 0;
-    usage.upload += uploadSize;
-    
-    return originalJson.call(this, data);
-  };
-  
+  // Size comes from the files if available (set by upload route); routes receiving data
+  // outside of multer call trackUpload themselves. Refused uploads have had their files deleted.
+  res.once('close', () => {
+    const uploadSize = res.statusCode >= 400 ? 0 : getUploadedSize(req);
+    if (uploadSize !== reserved) {
+      addUsage(key, 'upload', uploadSize - reserved);
+    }
+  });
+
   next();
 }
 
 /**
- * Middleware to limit download traffic per IP
+ * Middleware to limit download traffic per client
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
  */
-function downloadLimiter(req, res, next) {
-  const ip = req.ip || req.connection.remoteAddress || 'unknown';
-  const usage = getUsageRecord(ip);
-  
-  if (usage.download >= DOWNLOAD_LIMIT) {
+async function downloadLimiter(req, res, next) {
+  const client = getClient(req);
+  const limits = getLimits(client);
+
+  let usage;
+  try {
+    usage = await usageStore.get(getUsageKey(client));
+  } catch (error) {
+    return next(error);
+  }
+
+  const used = usage.download || 0;
+  if (used >= limits.download) {
     return res.status(429).json({
       error: 'Download limit exceeded',
-      message: `Daily download limit of ${DOWNLOAD_LIMIT / (1024 * 1024)} MB exceeded for this IP address`,
-      limit: DOWNLOAD_LIMIT,
-      used: usage.download
+      message: `Daily download limit of ${limits.download / (1024 * 1024)} MB exceeded for ${limits.subject}`,
+      limit: limits.download,
+      used
     });
   }
   
@@ -139,33 +229,59 @@ function downloadLimiter(req, res, next) {
 }
 
 /**
- * Track download usage for an IP
- * @param {string} ip - IP address
+ * Track download usage for a client
+ * @param {Object|string} client - Account or IP address, see getClient
  * @param {number} size - Size of downloaded file in bytes
+ * @returns {Promise<void>}
  */
-function trackDownload(ip, size) {
-  const usage = getUsageRecord(ip);
-  usage.download += size;
+function trackDownload(client, size) {
+  return addUsage(getUsageKey(client), 'download', size);
 }
 
 /**
- * Get current usage for an IP
- * @param {string} ip - IP address
- * @returns {{upload: number, download: number, uploadLimit: number, downloadLimit: number}}
+ * Track upload usage for a client
+ * Used by routes that receive data outside of multer (e.g. resumable upload chunks)
+ * @param {Object|string} client - Account or IP address, see getClient
+ * @param {number} size - Number of uploaded bytes
+ * @returns {Promise<void>}
  */
-function getUsage(ip) {
-  const usage = getUsageRecord(ip);
+function trackUpload(client, size) {
+  return addUsage(getUsageKey(client), 'upload', size);
+}
+
+/**
+ * Get current usage for a client
+ * @param {Object|string} client - Account or IP address
+ * @returns {Promise<{upload: number, download: number, uploadLimit: number, downloadLimit: number}>}
+ */
+async function getUsage(client) {
+  const usage = await usageStore.get(getUsageKey(client));
+  const limits = getLimits(client);
   return {
-    upload: usage.upload,
-    download: usage.download,
-    uploadLimit: UPLOAD_LIMIT,
-    downloadLimit: DOWNLOAD_LIMIT
+    upload: usage.upload || 0,
+    download: usage.download || 0,
+    uploadLimit: limits.upload,
+    downloadLimit: limits.download
   };
 }
 
+/**
+ * Forget today's usage of a client, lifting its limits until it uses them up again
+ * @param {Object|string} client - Account or IP address
+ * @returns {Promise<boolean>} - True if the client had used anything today
+ */
+function resetUsage(client) {
+  return usageStore.delete(getUsageKey(client));
+}
+
 module.exports = {
+  initialize,
+  getClient,
+  getClientId,
   uploadLimiter,
   downloadLimiter,
   trackDownload,
-  getUsage
+  trackUpload,
+  getUsage,
+  resetUsage
 };
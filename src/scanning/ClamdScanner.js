@@ -0,0 +1,125 @@
+const net = require('net');
+const { once } = require('events');
+
+const Scanner = require('./Scanner');
+
+// Port clamd listens on by default
+const DEFAULT_PORT = 3310;
+
+// Default time a scan may go without any traffic from or to the daemon
+const DEFAULT_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * ClamAV scanner
+ * Streams content to a clamd daemon with the INSTREAM command, over TCP or a Unix socket.
+ * Every command uses its own connection; content is sent as length-prefixed chunks
+ * ending with an empty one, and clamd answers "stream: OK" or "stream: <signature> FOUND".
+ */
+class ClamdScanner extends Scanner {
+  /**
+   * @param {{socketPath?: string, host?: string, port?: number, timeoutMs?: number}} [options] - Unix socket
+   *   of the daemon, or its host (default localhost) and port, and how long a scan may stall
+   */
+  constructor(options = {}) {
+    super();
+    this.address = options.socketPath
+      ? { path: options.socketPath }
+      : { host: options.host || 'localhost', port: options.port || DEFAULT_PORT };
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  }
+
+  /**
+   * Check that the daemon answers
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    const reply = await this._request('zPING\0');
+    if (reply !== 'PONG') {
+      throw new Error(`Unexpected reply from clamd: ${reply}`);
+    }
+  }
+
+  /**
+   * Scan content with the INSTREAM command
+   * @param {Function} openStream - Returns a promise of a readable stream over the content
+   * @returns {Promise<{infected: boolean, signature: string|null}>} - Throws for daemon errors,
+   *   e.g. content over its StreamMaxLength
+   */
+  async scan(openStream) {
+    const reply = await this._request('zINSTREAM\0', await openStream());
+
+    if (reply.endsWith(' FOUND')) {
+      return { infected: true, signature: reply.slice(reply.indexOf(':') + 1, -' FOUND'.length).trim() };
+    }
+    if (reply.endsWith(': OK')) {
+      return { infected: false, signature: null };
+    }
+    throw new Error(`clamd error: ${reply}`);
+  }
+
+  /**
+   * Send a command, followed by content, and read the reply
+   * @param {string} command - Null-terminated command
+   * @param {Readable} [content] - Content to stream as INSTREAM chunks
+   * @returns {Promise<string>} - Reply without its terminator
+   */
+  _request(command, content) {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection(this.address);
+      const replies = [];
+      // Stops a writer waiting for 'drain', which never comes once the socket is destroyed
+      const writing = new AbortController();
+      let settled = false;
+
+      const finish = (error, reply) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        writing.abort();
+        socket.destroy();
+        if (content) {
+          content.destroy();
+        }
+        if (error) {
+          reject(error);
+        } else {
+          resolve(reply);
+        }
+      };
+
+      socket.setTimeout(this.timeoutMs, () => finish(new Error('clamd timed out')));
+      socket.on('error', finish);
+      socket.on('data', chunk => replies.push(chunk));
+      // clamd closes the connection after replying, also when it stops reading early
+      socket.on('end', () => finish(null, Buffer.concat(replies).toString('utf-8').replace(/\0$/, '').trim()));
+
+      socket.on('connect', async () => {
+        try {
+          socket.write(command);
+          if (!content) {
+            return;
+          }
+
+          for await (const chunk of content) {
+            if (settled) {
+              return;
+            }
+            const length = Buffer.alloc(4);
+            length.writeUInt32BE(chunk.length);
+            if (!socket.write(Buffer.concat([length, chunk]))) {
+              await once(socket, 'drain', { signal: writing.signal });
+            }
+          }
+          if (!settled) {
+            socket.write(Buffer.alloc(4));
+          }
+        } catch (error) {
+          finish(error);
+        }
+      });
+    });
+  }
+}
+
+module.exports = ClamdScanner;
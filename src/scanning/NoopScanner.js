@@ -0,0 +1,18 @@
+const Scanner = require('./Scanner');
+
+/**
+ * Scanner that checks nothing
+ * Used when no scanner is configured: uploads are downloadable right away and get no scan status.
+ */
+class NoopScanner extends Scanner {
+  /**
+   * Leave the content unread
+   * @param {Function} openStream - Returns a promise of a readable stream over the content
+   * @returns {Promise<null>}
+   */
+  async scan(openStream) {
+    return null;
+  }
+}
+
+module.exports = NoopScanner;
@@ -0,0 +1,29 @@
+/**
+ * Abstract base class for malware scanners
+ * A scanner looks at the content of an upload before the upload may be downloaded.
+ */
+class Scanner {
+  /**
+   * Prepare the scanner, e.g. check that a scanning daemon can be reached
+   * @returns {Promise<void>}
+   */
+  async initialize() {}
+
+  /**
+   * Scan content
+   * The content is opened by the scanner, so scanners that do not look at it never read it
+   * @param {Function} openStream - Returns a promise of a readable stream over the content
+   * @returns {Promise<{infected: boolean, signature: string|null}|null>} - Verdict, or null if nothing was checked
+   */
+  async scan(openStream) {
+    throw new Error('scan must be implemented by scanner');
+  }
+
+  /**
+   * Release connections
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+module.exports = Scanner;
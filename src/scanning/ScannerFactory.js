@@ -0,0 +1,31 @@
+const NoopScanner = require('./NoopScanner');
+const ClamdScanner = require('./ClamdScanner');
+
+/**
+ * Factory class for creating malware scanners based on configuration
+ */
+class ScannerFactory {
+  /**
+   * Create and initialize a scanner
+   * @param {string} scannerType - Type of scanner ('none' or 'clamd')
+   * @param {{socketPath?: string, host?: string, port?: number, timeoutMs?: number}} [options] - Unix socket,
+   *   or host and port, of the daemon and how long a scan may stall (for clamd scanner)
+   * @returns {Promise<Scanner>}
+   */
+  static async createScanner(scannerType = 'none', options = {}) {
+    let scanner;
+
+    if (scannerType === 'none') {
+      scanner = new NoopScanner();
+    } else if (scannerType === 'clamd') {
+      scanner = new ClamdScanner(options);
+    } else {
+      throw new Error(`Unknown scanner type: ${scannerType}. Supported types: 'none', 'clamd'`);
+    }
+
+    await scanner.initialize();
+    return scanner;
+  }
+}
+
+module.exports = ScannerFactory;
@@ -0,0 +1,151 @@
+/**
+ * Malware scans of uploads
+ * An upload is scanned once it is stored and before its keys are handed out. Scans that
+ * take longer than the wait time go on in the background while the file is marked pending,
+ * so it cannot be downloaded until the scan has finished. Infected files are deleted, or
+ * kept but never served when they are quarantined.
+ */
+
+// Default time an upload waits for its scan before it is answered as pending
+const DEFAULT_SCAN_WAIT_SECONDS = 5;
+
+// Default handling of infected files: 'reject' deletes them, 'quarantine' keeps them unserved
+const DEFAULT_INFECTED_ACTION = 'reject';
+
+// Configuration from environment variables
+const SCAN_WAIT_SECONDS = process.env.SCAN_WAIT_SECONDS !== undefined
+  ? parseFloat(process.env.SCAN_WAIT_SECONDS)
+  : DEFAULT_SCAN_WAIT_SECONDS;
+const SCAN_INFECTED_ACTION = process.env.SCAN_INFECTED_ACTION || DEFAULT_INFECTED_ACTION;
+
+// Errors thrown for files that cannot be downloaded, by scan status
+const SCAN_STATUS_ERRORS = {
+  pending: 'Scan pending',
+  failed: 'Scan failed',
+  infected: 'File infected'
+};
+
+// Marks a scan that did not finish within the wait time
+const STILL_SCANNING = Symbol('still scanning');
+
+/**
+ * Throw if a file cannot be downloaded because of its scan
+ * Files without a scan status were stored without a scanner and are served
+ * @param {{scanStatus?: string|null}} info - File info or metadata
+ */
+function assertScanned(info) {
+  const error = SCAN_STATUS_ERRORS[info.scanStatus];
+  if (error) {
+    throw new Error(error);
+  }
+}
+
+/**
+ * Scan the content of an upload, one stored file after the other
+ * @param {StorageProvider} storageProvider - Provider holding the content
+ * @param {Scanner} scanner - Scanner to use
+ * @param {Array<string>} contentKeys - Public keys of the stored files
+ * @returns {Promise<{infected: boolean, signature: string|null}|null>} - First infected verdict, otherwise
+ *   a clean one, or null if the scanner checked nothing
+ */
+async function scanContent(storageProvider, scanner, contentKeys) {
+  let verdict = null;
+  for (const key of contentKeys) {
+    const result = await scanner.scan(() => storageProvider.createReadStream(key));
+    if (result && result.infected) {
+      return result;
+    }
+    verdict = verdict || result;
+  }
+  return verdict;
+}
+
+/**
+ * Act on the verdict of a scan
+ * @param {StorageProvider} storageProvider - Provider holding the upload
+ * @param {string} privateKey - The private key identifying the upload
+ * @param {{infected: boolean, signature: string|null}|null} verdict - Verdict of the scan
+ * @param {string} infectedAction - 'reject' or 'quarantine'
+ * @returns {Promise<'clean'|'infected'|null>} - Scan status of the upload
+ */
+async function recordVerdict(storageProvider, privateKey, verdict, infectedAction) {
+  if (!verdict || !verdict.infected) {
+    const scanStatus = verdict ? 'clean' : null;
+    await storageProvider.updateFileSettings(privateKey, { scanStatus });
+    return scanStatus;
+  }
+
+  if (infectedAction === 'quarantine') {
+    console.warn(`Quarantined an upload infected with ${verdict.signature}`);
+    await storageProvider.updateFileSettings(privateKey, { scanStatus: 'infected' });
+  } else {
+    console.warn(`Deleted an upload infected with ${verdict.signature}`);
+    await storageProvider.deleteFile(privateKey);
+  }
+  return 'infected';
+}
+
+/**
+ * Scan a stored upload before its keys are handed out
+ * A scan that fails before the wait time is over deletes the upload and throws 'Scan failed';
+ * a scan that fails later leaves the file marked failed.
+ * @param {StorageProvider} storageProvider - Provider holding the upload
+ * @param {Scanner} scanner - Scanner to use
+ * @param {{publicKey: string, privateKey: string, contentKeys?: Array<string>}} upload - Keys of the upload
+ *   and public keys of the stored files to scan (default: the upload itself)
+ * @param {{waitMs?: number, infectedAction?: string}} [options] - How long to wait for the scan, and
+ *   whether infected files are rejected or quarantined (default: configured)
+ * @returns {Promise<'clean'|'pending'|'infected'|null>} - Scan status of the upload, null if nothing was checked
+ */
+async function scanUpload(storageProvider, scanner, { publicKey, privateKey, contentKeys = [publicKey] }, options = {}) {
+  const waitMs = options.waitMs !== undefined ? options.waitMs : SCAN_WAIT_SECONDS * 1000;
+  const infectedAction = options.infectedAction || SCAN_INFECTED_ACTION;
+
+  const scan = scanContent(storageProvider, scanner, contentKeys);
+  let timer;
+  let verdict;
+  try {
+    verdict = await Promise.race([
+      scan,
+      new Promise((resolve) => {
+        timer = setTimeout(resolve, waitMs, STILL_SCANNING);
+      })
+    ]);
+  } catch (error) {
+    console.error('Error scanning upload:', error.message);
+    await storageProvider.deleteFile(privateKey);
+    throw new Error('Scan failed');
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (verdict === null) {
+    return null;
+  }
+  if (verdict !== STILL_SCANNING) {
+    return recordVerdict(storageProvider, privateKey, verdict, infectedAction);
+  }
+
+  // The verdict is only recorded once the file is marked pending, so it cannot be overwritten
+  await storageProvider.updateFileSettings(privateKey, { scanStatus: 'pending' });
+  scan
+    .then(
+      result => recordVerdict(storageProvider, privateKey, result, infectedAction),
+      (error) => {
+        console.error('Error scanning upload:', error.message);
+        return storageProvider.updateFileSettings(privateKey, { scanStatus: 'failed' });
+      }
+    )
+    .catch((error) => {
+      // The owner may have deleted the file meanwhile
+      if (error.message !== 'File not found') {
+        console.error('Error recording scan result:', error.message);
+      }
+    });
+  return 'pending';
+}
+
+module.exports = {
+  assertScanned,
+  scanUpload
+};
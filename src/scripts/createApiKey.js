@@ -0,0 +1,72 @@
+require('dotenv').config();
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { generateApiKey, hashApiKey, parseAccount } = require('../accounts/accountRecords');
+
+/**
+ * API key command: adds an account with a new API key to the accounts file
+ * Run it with the server's environment (ACCOUNTS_FILE), giving the account id:
+ *
+ *   npm run create-api-key -- acme
+ *
+ * The key is printed once and only its hash is stored. Limits, accepted types and the
+ * disabled flag are set by editing the account in the file; the server picks changes up
+ * within seconds.
+ */
+
+/**
+ * Add an account with a new API key
+ * @param {string} accountId - Id of the new account
+ * @param {Object} [env] - Environment variables
+ * @returns {Promise<{apiKey: string, accountsFile: string}>}
+ */
+async function createApiKey(accountId, env = process.env) {
+  if (!env.ACCOUNTS_FILE) {
+    throw new Error('ACCOUNTS_FILE environment variable is required to create API keys');
+  }
+  const accountsFile = path.resolve(process.cwd(), env.ACCOUNTS_FILE);
+
+  let content = { accounts: [] };
+  try {
+    content = JSON.parse(await fs.readFile(accountsFile, 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Accounts file ${accountsFile} could not be read: ${error.message}`);
+    }
+  }
+  if (!content || !Array.isArray(content.accounts)) {
+    throw new Error(`Accounts file ${accountsFile} must hold an "accounts" array`);
+  }
+  if (content.accounts.some(account => account && account.id === accountId)) {
+    throw new Error(`Account ${accountId} already exists`);
+  }
+
+  const apiKey = generateApiKey();
+  const account = { id: accountId, keyHash: hashApiKey(apiKey) };
+  parseAccount(account);
+  content.accounts.push(account);
+
+  // Written next to the old file and renamed into place, so the server never reads half a file
+  await fs.mkdir(path.dirname(accountsFile), { recursive: true });
+  const tempPath = `${accountsFile}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+  await fs.writeFile(tempPath, `${JSON.stringify(content, null, 2)}\n`, { mode: 0o600 });
+  await fs.rename(tempPath, accountsFile);
+
+  return { apiKey, accountsFile };
+}
+
+if (require.main === module) {
+  createApiKey(process.argv[2])
+    .then(({ apiKey, accountsFile }) => {
+      console.log(`Added account ${process.argv[2]} to ${accountsFile}`);
+      console.log(`API key (shown only once): ${apiKey}`);
+    })
+    .catch((error) => {
+      console.error('Creating the API key failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = createApiKey;
@@ -0,0 +1,51 @@
+require('dotenv').config();
+
+const StorageFactory = require('../storage/StorageFactory');
+const KeyRing = require('../storage/KeyRing');
+
+/**
+ * Key rotation command: re-wraps the data keys of all encrypted files with the active master key
+ * Run it with the server's environment after making the new key active and listing the old
+ * ones as previous keys (ENCRYPTION_OLD_KEYS or further lines of the key file):
+ *
+ *   npm run rotate-keys
+ *
+ * Afterwards the old keys can be removed from the configuration.
+ */
+
+/**
+ * Re-wrap all data keys of the configured storage provider
+ * @param {Object} [env] - Environment variables
+ * @returns {Promise<{rewrapped: number, activeKeyId: string}>}
+ */
+async function rotateKeys(env = process.env) {
+  const keyRing = await KeyRing.load({
+    keyFile: env.ENCRYPTION_KEY_FILE,
+    key: env.ENCRYPTION_KEY,
+    oldKeys: env.ENCRYPTION_OLD_KEYS
+  });
+  if (!keyRing) {
+    throw new Error('ENCRYPTION_KEY or ENCRYPTION_KEY_FILE environment variable is required to rotate keys');
+  }
+
+  const provider = await StorageFactory.createProvider(env.PROVIDER || 'local', env.FOLDER || './storage', env.CONFIG, {
+    deduplicate: env.DEDUPLICATE === 'true',
+    keyRing
+  });
+  const { rewrapped } = await provider.rewrapDataKeys();
+
+  return { rewrapped, activeKeyId: keyRing.activeKeyId };
+}
+
+if (require.main === module) {
+  rotateKeys()
+    .then(({ rewrapped, activeKeyId }) => {
+      console.log(`Re-wrapped ${rewrapped} data keys with master key ${activeKeyId}`);
+    })
+    .catch((error) => {
+      console.error('Key rotation failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = rotateKeys;
@@ -3,7 +3,15 @@ require('dotenv').config();
 const express = require('express');
 const path = require('path');
 const StorageFactory = require('./storage/StorageFactory');
+const KeyRing = require('./storage/KeyRing');
+const UsageStoreFactory = require('./usage/UsageStoreFactory');
+const AccountStoreFactory = require('./accounts/AccountStoreFactory');
+const ScannerFactory = require('./scanning/ScannerFactory');
+const usageLimiter = require('./middleware/usageLimiter');
+const accountAuth = require('./middleware/accountAuth');
 const initializeRoutes = require('./api/files');
+const initializeUploadRoutes = require('./api/uploads');
+const initializeAdminRoutes = require('./api/admin');
 const cleanupJob = require('./jobs/cleanupJob');
 
 /**
@@ -18,6 +26,12 @@ async function startServer() {
   const providerType = process.env.PROVIDER || 'local';
   const folder = process.env.FOLDER || './storage';
   const configPath = process.env.CONFIG;
+  const deduplicate = process.env.DEDUPLICATE === 'true';
+  const zeroKnowledge = process.env.ZERO_KNOWLEDGE === 'true';
+  const verifyOnRead = process.env.VERIFY_ON_READ === 'true';
+  const usageStoreType = process.env.USAGE_STORE || 'memory';
+  const accountStoreType = process.env.ACCOUNT_STORE || 'none';
+  const scannerType = process.env.SCANNER || 'none';
 
   // Middleware
   app.use(express.json());
@@ -30,13 +44,61 @@ async function startServer() {
   let storageProvider;
   try {
     console.log(`Initializing storage provider: ${providerType}`);
-    storageProvider = await StorageFactory.createProvider(providerType, folder, configPath);
+    const keyRing = await KeyRing.load({
+      keyFile: process.env.ENCRYPTION_KEY_FILE,
+      key: process.env.ENCRYPTION_KEY,
+      oldKeys: process.env.ENCRYPTION_OLD_KEYS
+    });
+    storageProvider = await StorageFactory.createProvider(providerType, folder, configPath, {
+      deduplicate,
+      keyRing,
+      zeroKnowledge,
+      verifyOnRead
+    });
     console.log(`Storage provider initialized successfully`);
   } catch (error) {
     console.error('Failed to initialize storage provider:', error);
     process.exit(1);
   }
 
+  // Initialize usage store
+  try {
+    console.log(`Initializing usage store: ${usageStoreType}`);
+    usageLimiter.initialize(await UsageStoreFactory.createUsageStore(usageStoreType, {
+      file: process.env.USAGE_STORE_FILE,
+      url: process.env.USAGE_STORE_URL
+    }));
+  } catch (error) {
+    console.error('Failed to initialize usage store:', error);
+    process.exit(1);
+  }
+
+  // Initialize account store
+  try {
+    console.log(`Initializing account store: ${accountStoreType}`);
+    accountAuth.initialize(await AccountStoreFactory.createAccountStore(accountStoreType, {
+      file: process.env.ACCOUNTS_FILE
+    }));
+  } catch (error) {
+    console.error('Failed to initialize account store:', error);
+    process.exit(1);
+  }
+
+  // Initialize malware scanner
+  let scanner;
+  try {
+    console.log(`Initializing scanner: ${scannerType}`);
+    scanner = await ScannerFactory.createScanner(scannerType, {
+      socketPath: process.env.CLAMD_SOCKET,
+      host: process.env.CLAMD_HOST,
+      port: parseInt(process.env.CLAMD_PORT, 10) || undefined,
+      timeoutMs: process.env.CLAMD_TIMEOUT_SECONDS ? parseInt(process.env.CLAMD_TIMEOUT_SECONDS, 10) * 1000 : undefined
+    });
+  } catch (error) {
+    console.error('Failed to initialize scanner:', error);
+    process.exit(1);
+  }
+
   // Initialize cleanup job
   try {
     cleanupJob.initialize(storageProvider);
@@ -46,9 +108,22 @@ async function startServer() {
   }
 
   // Initialize API routes
-  const filesRouter = initializeRoutes(storageProvider);
+  const filesRouter = initializeRoutes(storageProvider, { scanner });
   app.use('/', filesRouter);
 
+  const uploadsRouter = initializeUploadRoutes(storageProvider, { scanner });
+  app.use('/', uploadsRouter);
+
+  // Admin routes only exist once an admin token is configured
+  if (process.env.ADMIN_TOKEN) {
+    try {
+      app.use('/', initializeAdminRoutes(storageProvider));
+    } catch (error) {
+      console.error('Failed to initialize admin routes:', error);
+      process.exit(1);
+    }
+  }
+
   // Health check endpoint
   app.get('/health', (req, res) => {
     res.json({
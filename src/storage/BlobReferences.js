@@ -0,0 +1,115 @@
+// Attempts at a conditional reference count update before giving up
+const MAX_REFERENCE_UPDATE_ATTEMPTS = 5;
+
+/**
+ * Reference counts of deduplicated blobs
+ * A small JSON document per content hash holds the number of files sharing the blob.
+ * Counts are changed with version preconditions and retried on conflicts, so several
+ * server instances can share a bucket. The document goes away together with the last
+ * reference, which tells the caller when the blob itself may be removed.
+ */
+class BlobReferences {
+  /**
+   * @param {MetadataObjects} objects - Document access
+   * @param {string} prefix - Prefix of the reference documents
+   */
+  constructor(objects, prefix) {
+    this.objects = objects;
+    this.prefix = prefix;
+  }
+
+  /**
+   * Get the document name for a content hash
+   * @param {string} contentHash - SHA-256 of the blob content
+   * @returns {string}
+   */
+  _getPath(contentHash) {
+    return `${this.prefix}${contentHash}.json`;
+  }
+
+  /**
+   * Read the reference count of a blob together with the document version
+   * @param {string} contentHash - SHA-256 of the blob content
+   * @returns {Promise<{count: number, version?: string}|null>}
+   */
+  async _read(contentHash) {
+    const object = await this.objects.read(this._getPath(contentHash), { withVersion: true });
+    if (!object) {
+      return null;
+    }
+
+    const { count } = JSON.parse(object.content.toString('utf-8'));
+    return { count, version: object.version };
+  }
+
+  /**
+   * Get the number of files sharing a blob
+   * @param {string} contentHash - SHA-256 of the blob content
+   * @returns {Promise<number>}
+   */
+  async count(contentHash) {
+    const current = await this._read(contentHash);
+    return current ? current.count : 0;
+  }
+
+  /**
+   * Add a reference to a blob
+   * @param {string} contentHash - SHA-256 of the blob content
+   * @returns {Promise<boolean>} - True if this is the first reference
+   */
+  async acquire(contentHash) {
+    const documentPath = this._getPath(contentHash);
+
+    for (let attempt = 0; attempt < MAX_REFERENCE_UPDATE_ATTEMPTS; attempt++) {
+      const current = await this._read(contentHash);
+
+      if (!current) {
+        if (await this.objects.write(documentPath, JSON.stringify({ count: 1 }), { ifAbsent: true })) {
+          return true;
+        }
+        continue;
+      }
+
+      const content = JSON.stringify({ count: current.count + 1 });
+      if (await this.objects.write(documentPath, content, { ifVersion: current.version })) {
+        return false;
+      }
+    }
+
+    throw new Error('Blob reference update conflict');
+  }
+
+  /**
+   * Drop a reference to a blob
+   * A blob without a reference document is left alone; leaking it is safer than losing data
+   * @param {string} contentHash - SHA-256 of the blob content
+   * @returns {Promise<boolean>} - True if this was the last reference
+   */
+  async release(contentHash) {
+    const documentPath = this._getPath(contentHash);
+
+    for (let attempt = 0; attempt < MAX_REFERENCE_UPDATE_ATTEMPTS; attempt++) {
+      const current = await this._read(contentHash);
+
+      if (!current) {
+        return false;
+      }
+
+      if (current.count > 1) {
+        const content = JSON.stringify({ count: current.count - 1 });
+        if (await this.objects.write(documentPath, content, { ifVersion: current.version })) {
+          return false;
+        }
+        continue;
+      }
+
+      if (await this.objects.remove(documentPath, { ifVersion: current.version })) {
+        return true;
+      }
+    }
+
+    throw new Error('Blob reference update conflict');
+  }
+}
+
+module.exports = BlobReferences;
@@ -1,24 +1,81 @@
 const { Storage } = require('@google-cloud/storage');
 const crypto = require('crypto');
 const fs = require('fs').promises;
+const path = require('path');
+const { pipeline } = require('stream/promises');
 
 const StorageProvider = require('./StorageProvider');
+const { createByteCounter, createSizeLimiter, createHasher, hashStream, pipeThrough } = require('./streamUtils');
+const { assertShareAvailable, applyShareSettings } = require('./shareLimits');
+const { toFileInfo, addRendition, replaceKeys } = require('./fileMetadata');
+const LogMetadataStore = require('./LogMetadataStore');
+const ObjectMetadataStore = require('./ObjectMetadataStore');
+const IndexedObjectMetadataStore = require('./IndexedObjectMetadataStore');
+const { migrateMetadata } = require('./metadataMigration');
+const BlobReferences = require('./BlobReferences');
+const { deriveLookupKey, protectMetadata, protectRendition, revealMetadata, findByPublicKey } = require('./zeroKnowledge');
+const {
+  createEnvelope,
+  createDerivedEnvelope,
+  openEnvelope,
+  rewrapEnvelope,
+  createEncryptStream,
+  createDecryptStream,
+  getPlaintextSize,
+  planEncryptedRead
+} = require('./contentEncryption');
+
+// Upload session ids are generated by us, anything else is rejected before touching the bucket
+const UPLOAD_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+// Maximum number of source objects in a single compose request
+const MAX_COMPOSE_SOURCES = 32;
+
+// Default lifetime of signed download URLs
+const DEFAULT_SIGNED_URL_EXPIRY_SECONDS = 5 * 60; // 5 minutes
+
+// V4 signed URLs cannot be valid for longer than 7 days
+const MAX_SIGNED_URL_EXPIRY_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Check whether a Cloud Storage error means a generation precondition failed
+ * Failures when a resumable upload is started carry the status instead of a code
+ * @param {Error} error - Error thrown by the Cloud Storage client
+ * @returns {boolean}
+ */
+function isPreconditionFailed(error) {
+  return error.code === 412 || error.status === 412;
+}
 
 /**
  * Google Cloud Storage provider
- * Stores files in Google Cloud Storage buckets with metadata in Cloud Storage
+ * Stores files in Google Cloud Storage buckets with metadata in Cloud Storage,
+ * or in a local metadata log if one is configured. With deduplication, file content
+ * is stored once per SHA-256 and shared by every file with the same content. With a key
+ * ring, content is encrypted and the wrapped data key is kept in the object metadata. In
+ * zero-knowledge mode, content is encrypted with a key derived from the public key, and
+ * files are stored under a lookup key derived from it as well.
  */
 class GoogleCloudStorageProvider extends StorageProvider {
   /**
    * @param {string} configPath - Absolute path to the configuration file
+   * @param {{metadataStore?: MetadataStore, deduplicate?: boolean, keyRing?: KeyRing, zeroKnowledge?: boolean, verifyOnRead?: boolean}} [options]
+   *   - Metadata store to use instead of the configured one, whether to store identical content once, to store
+   *   new files zero-knowledge and to verify content on read regardless of the configuration, and the master
+   *   keys to encrypt content with
    */
-  constructor(configPath) {
+  constructor(configPath, options = {}) {
     super();
     this.configPath = configPath;
     this.config = null;
     this.storage = null;
     this.bucket = null;
     this.metadataBucket = null;
+    this.metadataStore = options.metadataStore || null;
+    this.deduplicate = Boolean(options.deduplicate);
+    this.keyRing = options.keyRing || null;
+    this.zeroKnowledge = Boolean(options.zeroKnowledge);
+    this.verifyOnRead = Boolean(options.verifyOnRead);
   }
 
   /**
@@ -61,8 +118,10 @@ class GoogleCloudStorageProvider extends StorageProvider {
       ? this.config.credentials
       : this.config.credentials;
 
+    // A custom API endpoint points the client at an emulator instead of Google
     this.storage = new Storage({
       projectId: this.config.projectId,
+      apiEndpoint: this.config.apiEndpoint,
       keyFilename: typeof credentials === 'string' ? credentials : undefined,
       credentials: typeof credentials === 'object' ? credentials : undefined
     });
@@ -88,10 +147,148 @@ class GoogleCloudStorageProvider extends StorageProvider {
 
     // Use separate bucket for metadata or same bucket with prefix
     this.metadataPrefix = this.config.metadataPrefix || 'metadata/';
+    this.indexedMetadataPrefix = this.config.indexedMetadataPrefix || 'indexed-metadata/';
+    this.uploadsPrefix = this.config.uploadsPrefix || 'uploads/';
+
+    await this._initializeMetadataStore();
+
+    // Opt-in content-addressed storage; reference counts live next to the blobs
+    this.deduplicate = this.deduplicate || Boolean(this.config.deduplicate);
+    this.blobPrefix = this.config.blobPrefix || 'blobs/';
+    this.blobReferences = new BlobReferences(this._metadataObjects(), `${this.blobPrefix}refs/`);
+
+    // Shared blobs would need a key shared by every file with the same content
+    this.zeroKnowledge = this.zeroKnowledge || Boolean(this.config.zeroKnowledge);
+    if (this.deduplicate && this.zeroKnowledge) {
+      throw new Error('Deduplication cannot be combined with zero-knowledge mode');
+    }
+
+    // Opt-in checks of read content against the checksums recorded at upload
+    this.verifyOnRead = this.verifyOnRead || Boolean(this.config.verifyOnRead);
+
+    // Opt-in direct downloads from the bucket through V4 signed URLs
+    this.signedUrlDownloads = Boolean(this.config.signedUrlDownloads);
+    this.signedUrlExpirySeconds = Math.min(
+      this.config.signedUrlExpirySeconds || DEFAULT_SIGNED_URL_EXPIRY_SECONDS,
+      MAX_SIGNED_URL_EXPIRY_SECONDS
+    );
 
     console.log(`Google Cloud Storage provider initialized with bucket: ${bucketName}`);
   }
 
+  /**
+   * Set up the metadata store
+   * Metadata lives in the bucket, indexed under indexedMetadataPrefix, unless a metadata log is
+   * configured. Metadata in the unindexed per-key documents of earlier versions under metadataPrefix,
+   * and with a log also metadata in the bucket's index, is moved into the store in use. A log must
+   * not be shared by several instances.
+   * @returns {Promise<void>}
+   */
+  async _initializeMetadataStore() {
+    const bucketStore = new IndexedObjectMetadataStore(this._metadataObjects(),
+      `${this.indexedMetadataPrefix}files/`, `${this.indexedMetadataPrefix}index/`);
+
+    if (!this.metadataStore) {
+      this.metadataStore = this.config.metadataLog
+        ? new LogMetadataStore(path.resolve(this.config.metadataLog))
+        : bucketStore;
+    }
+    await this.metadataStore.initialize();
+
+    const legacyStore = new ObjectMetadataStore(this._metadataObjects(), this.metadataPrefix);
+    const sources = [{ store: legacyStore, prefix: this.metadataPrefix }];
+    if (this.metadataStore !== bucketStore) {
+      sources.push({ store: bucketStore, prefix: this.indexedMetadataPrefix });
+    }
+
+    for (const { store, prefix } of sources) {
+      const migrated = await migrateMetadata(store, this.metadataStore);
+      if (migrated > 0) {
+        console.log(`Migrated metadata of ${migrated} files from gs://${this.config.bucket}/${prefix}`);
+      }
+    }
+  }
+
+  /**
+   * Access the metadata documents in the bucket
+   * Versions are object generations
+   * @returns {MetadataObjects}
+   */
+  _metadataObjects() {
+    const saveOptions = {
+      metadata: {
+        contentType: 'application/json'
+      }
+    };
+
+    return {
+      read: async (name, { withVersion } = {}) => {
+        try {
+          if (!withVersion) {
+            const [content] = await this.bucket.file(name).download();
+            return { content };
+          }
+
+          // Download exactly the generation we looked at; if it was replaced in between, look again
+          for (;;) {
+            const [objectMetadata] = await this.bucket.file(name).getMetadata();
+            const generation = objectMetadata.generation;
+            try {
+              const [content] = await this.bucket.file(name, { generation }).download();
+              return { content, version: generation };
+            } catch (error) {
+              if (error.code !== 404) {
+                throw error;
+              }
+            }
+          }
+        } catch (error) {
+          if (error.code === 404) {
+            return null;
+          }
+          throw error;
+        }
+      },
+      write: async (name, content, { ifVersion, ifAbsent } = {}) => {
+        if (ifVersion === undefined && !ifAbsent) {
+          await this.bucket.file(name).save(content, saveOptions);
+          return true;
+        }
+
+        try {
+          await this.bucket.file(name).save(content, {
+            ...saveOptions,
+            preconditionOpts: {
+              // Generation 0 only matches a missing object
+              ifGenerationMatch: ifAbsent ? 0 : ifVersion
+            }
+          });
+          return true;
+        } catch (error) {
+          if (isPreconditionFailed(error)) {
+            return false;
+          }
+          throw error;
+        }
+      },
+      remove: async (name, { ifVersion } = {}) => {
+        try {
+          await this.bucket.file(name).delete(ifVersion === undefined ? {} : { ifGenerationMatch: ifVersion });
+          return true;
+        } catch (error) {
+          if (isPreconditionFailed(error)) {
+            return false;
+          }
+          throw error;
+        }
+      },
+      list: async (prefix, { before } = {}) => {
+        const [files] = await this.bucket.getFiles({ prefix, endOffset: before });
+        return files.map(file => file.name);
+      }
+    };
+  }
+
   /**
    * Generate a unique key pair for a file
    * @returns {{publicKey: string, privateKey: string}}
@@ -103,54 +300,134 @@ class GoogleCloudStorageProvider extends StorageProvider {
   }
 
   /**
-   * Get metadata file path in Cloud Storage
+   * Get file path in Cloud Storage
    * @param {string} key - Public or private key
    * @returns {string}
    */
-  _getMetadataPath(key) {
-    return `${this.metadataPrefix}${key}.json`;
+  _getFilePath(key) {
+    const prefix = this.config.filePrefix || 'files/';
+    return `${prefix}${key}`;
   }
 
   /**
-   * Get file path in Cloud Storage
-   * @param {string} key - Public or private key
+   * Get the key a new file is stored under
+   * @param {string} publicKey - The public key of the file
    * @returns {string}
    */
-  _getFilePath(key) {
-    const prefix = this.config.filePrefix || 'files/';
-    return `${prefix}${key}`;
+  _getStoredKey(publicKey) {
+    return this.zeroKnowledge ? deriveLookupKey(publicKey) : publicKey;
   }
 
   /**
-   * Upload a file to Google Cloud Storage
-   * @param {Buffer} fileBuffer - The file content as a buffer
-   * @param {string} originalName - The original filename
-   * @param {string} mimeType - The MIME type of the file
-   * @returns {Promise<{publicKey: string, privateKey: string}>}
+   * Find the stored metadata of a file by its public key
+   * @param {string} publicKey - The public key of the file
+   * @returns {Promise<Object|null>}
    */
-  async uploadFile(fileBuffer, originalName, mimeType) {
-    if (!this.bucket) {
-      throw new Error('Storage provider not initialized');
+  async _findFile(publicKey) {
+    return findByPublicKey(this.metadataStore, publicKey, this.zeroKnowledge);
+  }
+
+  /**
+   * Get the object path of a deduplicated blob
+   * @param {string} contentHash - SHA-256 of the blob content
+   * @returns {string}
+   */
+  _getBlobPath(contentHash) {
+    return `${this.blobPrefix}${contentHash}`;
+  }
+
+  /**
+   * Get a fresh object for content that is not hashed yet
+   * @returns {File}
+   */
+  _createIncomingFile() {
+    return this.bucket.file(`${this.blobPrefix}incoming/${crypto.randomBytes(16).toString('hex')}`);
+  }
+
+  /**
+   * Reference a blob for new file content, copying the content into place when needed
+   * The first reference always writes the blob, so the removal of an earlier blob with the
+   * same content cannot take it away; later references only fill in a missing blob.
+   * @param {string} contentHash - SHA-256 of the content
+   * @param {File} source - Object holding the new content; it is left for the caller to remove
+   * @returns {Promise<void>}
+   */
+  async _addBlobReference(contentHash, source) {
+    const blob = this.bucket.file(this._getBlobPath(contentHash));
+    const firstReference = await this.blobReferences.acquire(contentHash);
+
+    try {
+      if (firstReference || !(await blob.exists())[0]) {
+        await source.copy(blob);
+      }
+    } catch (error) {
+      await this.blobReferences.release(contentHash);
+      throw error;
     }
+  }
 
-    const { publicKey, privateKey } = this._generateKeys();
+  /**
+   * Drop a reference to a blob and remove the blob with its last reference
+   * The blob is only removed in the generation seen before the reference went away;
+   * a blob written again by a new first reference in the meantime stays.
+   * @param {string} contentHash - SHA-256 of the blob content
+   * @returns {Promise<void>}
+   */
+  async _removeBlobReference(contentHash) {
+    const blobPath = this._getBlobPath(contentHash);
+    const blob = this.bucket.file(blobPath);
 
-    // Save the file using the public key as filename
-    const filePath = this._getFilePath(publicKey);
-    const file = this.bucket.file(filePath);
+    let generation = null;
+    try {
+      [{ generation }] = await blob.getMetadata();
+    } catch (error) {
+      if (error.code !== 404) {
+        throw error;
+      }
+    }
 
-    await file.save(fileBuffer, {
-      metadata: {
-        contentType: mimeType,
-        metadata: {
-          originalName,
-          publicKey,
-          privateKey
-        }
+    if (!(await this.blobReferences.release(contentHash)) || generation === null) {
+      return;
+    }
+
+    try {
+      await blob.delete({ ifGenerationMatch: generation });
+    } catch (error) {
+      if (!isPreconditionFailed(error)) {
+        console.warn(`Blob ${blobPath} could not be deleted:`, error.message);
       }
-    });
+    }
+  }
 
-    // Save metadata
+  /**
+   * Save the metadata of a new file, dropping its blob reference if that fails
+   * @param {Object} metadata - File metadata
+   * @returns {Promise<void>}
+   */
+  async _createFileMetadata(metadata) {
+    try {
+      await this.metadataStore.create(metadata);
+    } catch (error) {
+      if (metadata.contentHash) {
+        await this._removeBlobReference(metadata.contentHash);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Build the metadata document of a newly stored file
+   * @param {string} publicKey - The public key of the file
+   * @param {string} privateKey - The private key of the file
+   * @param {string} originalName - The original filename
+   * @param {string} mimeType - The MIME type of the file
+   * @param {number} fileSize - Size of the file in bytes
+   * @param {string|null} [contentHash] - SHA-256 of the shared blob holding the content, if deduplicated
+   * @param {{sha256?: string, crc32c?: string, bundled?: boolean, members?: Array<string>, uploader?: string}} [details] -
+   *   SHA-256 of the content, CRC32C of the stored object, bundle membership and uploader of the file
+   * @returns {Object}
+   */
+  _createMetadata(publicKey, privateKey, originalName, mimeType, fileSize, contentHash = null, { sha256 = null, crc32c = null, bundled = false, members = null, uploader = null } = {}) {
     const metadata = {
       publicKey,
       privateKey,
@@ -158,259 +435,946 @@ class GoogleCloudStorageProvider extends StorageProvider {
       mimeType,
       createdAt: new Date().toISOString(),
       lastAccessed: null,
-      fileSize: fileBuffer.length,
-      filePath
+      fileSize,
+      filePath: contentHash ? this._getBlobPath(contentHash) : this._getFilePath(this._getStoredKey(publicKey)),
+      sha256,
+      crc32c,
+      contentHash,
+      encrypted: Boolean(this.keyRing) || this.zeroKnowledge,
+      expiresAt: null,
+      notBefore: null,
+      maxDownloads: null,
+      downloadCount: 0,
+      passwordHash: null,
+      bundled,
+      members,
+      uploader
     };
 
-    // Save metadata for both public and private keys
-    const publicMetadataPath = this._getMetadataPath(publicKey);
-    const privateMetadataPath = this._getMetadataPath(privateKey);
-    
-    const publicMetadataFile = this.bucket.file(publicMetadataPath);
-    const privateMetadataFile = this.bucket.file(privateMetadataPath);
-
-    await publicMetadataFile.save(JSON.stringify(metadata), {
-      metadata: {
-        contentType: 'application/json'
-      }
-    });
-
-    await privateMetadataFile.save(JSON.stringify(metadata), {
-      metadata: {
-        contentType: 'application/json'
-      }
-    });
-
-    return { publicKey, privateKey };
+    return this.zeroKnowledge ? protectMetadata(metadata) : metadata;
   }
 
   /**
-   * Download a file from Google Cloud Storage
-   * @param {string} publicKey - The public key identifying the file
-   * @returns {Promise<{buffer: Buffer, mimeType: string, originalName: string}>}
+   * Upload a file to Google Cloud Storage from a readable stream
+   * @param {Readable} stream - The file content as a readable stream
+   * @param {string} originalName - The original filename
+   * @param {string} mimeType - The MIME type of the file
+   * @param {{bundled?: boolean, members?: Array<string>, uploader?: string}} [options] - Bundle membership
+   *   and uploader of the file
+   * @returns {Promise<{publicKey: string, privateKey: string, fileSize: number}>}
    */
-  async downloadFile(publicKey) {
+  async uploadStream(stream, originalName, mimeType, options = {}) {
     if (!this.bucket) {
       throw new Error('Storage provider not initialized');
     }
 
-    const metadataPath = this._getMetadataPath(publicKey);
-    const metadataFile = this.bucket.file(metadataPath);
-
-    // Check if metadata exists
-    const [metadataExists] = await metadataFile.exists();
-    if (!metadataExists) {
-      throw new Error('File not found');
-    }
-
-    // Read metadata
-    const [metadataContent] = await metadataFile.download();
-    const metadata = JSON.parse(metadataContent.toString('utf-8'));
+    const { publicKey, privateKey } = this._generateKeys();
+    const counter = createByteCounter();
+    const { sha256, crc32c } = await this._writeContent(stream, counter, { publicKey, privateKey, originalName, mimeType });
 
-    // Read file
-    const filePath = metadata.filePath || this._getFilePath(publicKey);
-    const file = this.bucket.file(filePath);
-    const [fileBuffer] = await file.download();
+    // Save metadata
+    await this._createFileMetadata(this._createMetadata(
+      publicKey, privateKey, originalName, mimeType, counter.bytes, this.deduplicate ? sha256 : null,
+      { ...options, sha256, crc32c }
+    ));
 
-    // Update last accessed timestamp
-    metadata.lastAccessed = new Date().toISOString();
-    await metadataFile.save(JSON.stringify(metadata), {
-      metadata: {
-        contentType: 'application/json'
-      }
-    });
+    return { publicKey, privateKey, fileSize: counter.bytes };
+  }
 
-    // Also update the private key metadata
-    const privateMetadataPath = this._getMetadataPath(metadata.privateKey);
-    const privateMetadataFile = this.bucket.file(privateMetadataPath);
-    await privateMetadataFile.save(JSON.stringify(metadata), {
-      metadata: {
-        contentType: 'application/json'
-      }
-    });
+  /**
+   * Get the streams new content is written through and the object metadata that goes with them
+   * Encrypted content carries its envelope in the object metadata, so it travels along when
+   * the object is copied
+   * @param {string} [publicKey] - The public key of the file, for zero-knowledge content
+   * @returns {{encoders: Array<Transform>, objectMetadata: Object}}
+   */
+  _createContentEncryption(publicKey) {
+    if (!this.keyRing && !this.zeroKnowledge) {
+      return { encoders: [], objectMetadata: {} };
+    }
 
+    const { dataKey, envelope } = this.zeroKnowledge
+      ? createDerivedEnvelope(publicKey)
+      : createEnvelope(this.keyRing);
     return {
-      buffer: fileBuffer,
-      mimeType: metadata.mimeType,
-      originalName: metadata.originalName
+      encoders: [createEncryptStream(dataKey, envelope.segmentSize)],
+      objectMetadata: { encryption: JSON.stringify(envelope) }
     };
   }
 
   /**
-   * Delete a file from Google Cloud Storage
-   * @param {string} privateKey - The private key identifying the file
-   * @returns {Promise<boolean>}
+   * Get the CRC32C of a newly written object that holds content as is
+   * Encrypted objects are checked by the authentication tags of their segments instead
+   * @param {File} file - The object, with the metadata returned by the bucket
+   * @returns {string|null} - base64 CRC32C
    */
-  async deleteFile(privateKey) {
-    if (!this.bucket) {
-      throw new Error('Storage provider not initialized');
+  _getStoredChecksum(file) {
+    if (this.keyRing || this.zeroKnowledge) {
+      return null;
     }
+    return (file.metadata && file.metadata.crc32c) || null;
+  }
 
-    const metadataPath = this._getMetadataPath(privateKey);
-    const metadataFile = this.bucket.file(metadataPath);
-
-    // Check if metadata exists
-    const [metadataExists] = await metadataFile.exists();
-    if (!metadataExists) {
-      return false;
+  /**
+   * Store the content of a new file
+   * The client library computes the CRC32C of the uploaded bytes and fails the upload if the
+   * bucket stored anything else
+   * @param {Readable} stream - The content
+   * @param {Transform} counter - Byte counter the content flows through
+   * @param {{publicKey: string, privateKey: string, originalName: string, mimeType: string}} file - The new file
+   * @returns {Promise<{sha256: string, crc32c: string|null}>} - SHA-256 of the content, which names its blob if
+   *   deduplicated, and CRC32C of the stored object
+   */
+  async _writeContent(stream, counter, { publicKey, privateKey, originalName, mimeType }) {
+    if (this.deduplicate) {
+      return this._writeBlob(stream, counter, mimeType);
     }
 
-    // Read metadata
-    let metadata;
+    // Save the file using the public key (or its lookup key) as filename
+    const file = this.bucket.file(this._getFilePath(this._getStoredKey(publicKey)));
+    const hasher = createHasher();
+    const { encoders, objectMetadata } = this._createContentEncryption(publicKey);
+
+    // Zero-knowledge objects carry nothing that identifies the file
+    const fileMetadata = this.zeroKnowledge
+      ? { contentType: 'application/octet-stream', metadata: objectMetadata }
+      : { contentType: mimeType, metadata: { originalName, publicKey, privateKey, ...objectMetadata } };
+
+    // An interrupted upload is never committed, so there is nothing to clean up on failure
+    await pipeline(stream, counter, hasher, ...encoders, file.createWriteStream({
+      metadata: fileMetadata,
+      validation: 'crc32c'
+    }));
+
+    return { sha256: hasher.digest, crc32c: this._getStoredChecksum(file) };
+  }
+
+  /**
+   * Store streamed content as a deduplicated blob
+   * The content is hashed while it is uploaded to an incoming object. Blobs are shared,
+   * so they carry no keys or names in their object metadata.
+   * @param {Readable} stream - The content
+   * @param {Transform} counter - Byte counter the content flows through
+   * @param {string} mimeType - The MIME type of the content
+   * @returns {Promise<{sha256: string, crc32c: string|null}>} - SHA-256 of the content and CRC32C of the blob
+   */
+  async _writeBlob(stream, counter, mimeType) {
+    const incoming = this._createIncomingFile();
+    const hasher = createHasher();
+    const { encoders, objectMetadata } = this._createContentEncryption();
+
+    // An interrupted upload is never committed, so there is nothing to clean up on failure
+    await pipeline(stream, counter, hasher, ...encoders, incoming.createWriteStream({
+      metadata: {
+        contentType: mimeType,
+        metadata: objectMetadata
+      },
+      validation: 'crc32c'
+    }));
+
     try {
-      const [metadataContent] = await metadataFile.download();
-      metadata = JSON.parse(metadataContent.toString('utf-8'));
-    } catch (error) {
-      return false;
+      await this._addBlobReference(hasher.digest, incoming);
+    } finally {
+      await this._deleteIncomingFile(incoming);
     }
 
-    // Delete file
-    const filePath = metadata.filePath || this._getFilePath(metadata.publicKey);
-    const file = this.bucket.file(filePath);
+    // Unencrypted blobs of the same content are the same bytes, so the checksum holds for an existing blob too
+    return { sha256: hasher.digest, crc32c: this._getStoredChecksum(incoming) };
+  }
+
+  /**
+   * Remove an incoming object once its content is referenced or no longer needed
+   * @param {File} incoming - The incoming object
+   * @returns {Promise<void>}
+   */
+  async _deleteIncomingFile(incoming) {
     try {
-      await file.delete();
+      await incoming.delete();
     } catch (error) {
-      // File might not exist, continue with metadata deletion
-      console.warn(`File ${filePath} could not be deleted:`, error.message);
+      console.warn(`Incoming object ${incoming.name} could not be deleted:`, error.message);
     }
+  }
 
-    // Delete metadata files
-    const publicMetadataPath = this._getMetadataPath(metadata.publicKey);
-    const publicMetadataFile = this.bucket.file(publicMetadataPath);
-    
-    try {
-      await publicMetadataFile.delete();
-    } catch (error) {
-      // Ignore if doesn't exist
-      console.warn(`Metadata file ${publicMetadataPath} could not be deleted:`, error.message);
+  /**
+   * Get information about a file in Google Cloud Storage
+   * @param {string} publicKey - The public key identifying the file
+   * @returns {Promise<FileInfo>}
+   */
+  async getFileInfo(publicKey) {
+    if (!this.bucket) {
+      throw new Error('Storage provider not initialized');
     }
 
-    try {
-      await metadataFile.delete();
-    } catch (error) {
-      // Ignore if doesn't exist
-      console.warn(`Metadata file ${metadataPath} could not be deleted:`, error.message);
+    const metadata = await this._findFile(publicKey);
+    if (!metadata) {
+      throw new Error('File not found');
     }
 
-    return true;
+    return toFileInfo(revealMetadata(metadata, publicKey));
   }
 
   /**
-   * Get metadata for a file
+   * Get information about a file for its owner
    * @param {string} privateKey - The private key identifying the file
-   * @returns {Promise<{lastAccessed: Date|null, createdAt: Date}>}
+   * @returns {Promise<FileInfo>}
    */
-  async getFileMetadata(privateKey) {
+  async getOwnerFileInfo(privateKey) {
     if (!this.bucket) {
       throw new Error('Storage provider not initialized');
     }
 
-    const metadataPath = this._getMetadataPath(privateKey);
-    const metadataFile = this.bucket.file(metadataPath);
-
-    try {
-      const [metadataContent] = await metadataFile.download();
-      const metadata = JSON.parse(metadataContent.toString('utf-8'));
-
-      return {
-        lastAccessed: metadata.lastAccessed ? new Date(metadata.lastAccessed) : null,
-        createdAt: new Date(metadata.createdAt)
-      };
-    } catch (error) {
-      throw new Error('File metadata not found');
+    const metadata = await this.metadataStore.get(privateKey);
+    if (!metadata || metadata.privateKey !== privateKey) {
+      throw new Error('File not found');
     }
+
+    // Name and MIME type of zero-knowledge files stay sealed, only the public key opens them
+    return toFileInfo(metadata);
   }
 
   /**
-   * Update last accessed timestamp for a file
+   * Open a readable stream over a file in Google Cloud Storage
+   * Byte ranges are served with ranged object reads
    * @param {string} publicKey - The public key identifying the file
-   * @returns {Promise<void>}
+   * @param {{start?: number, end?: number}} [range] - Inclusive byte range to read
+   * @returns {Promise<Readable>}
    */
-  async updateLastAccessed(publicKey) {
+  async createReadStream(publicKey, range = {}) {
     if (!this.bucket) {
       throw new Error('Storage provider not initialized');
     }
 
-    const metadataPath = this._getMetadataPath(publicKey);
-    const metadataFile = this.bucket.file(metadataPath);
+    const metadata = await this._findFile(publicKey);
+    if (!metadata) {
+      throw new Error('File not found');
+    }
 
-    try {
-      const [metadataContent] = await metadataFile.download();
-      const metadata = JSON.parse(metadataContent.toString('utf-8'));
+    const file = this.bucket.file(metadata.filePath || this._getFilePath(metadata.publicKey));
+    // The digest of zero-knowledge content is sealed, so it is only opened when reads are verified
+    const sha256 = this.verifyOnRead ? revealMetadata(metadata, publicKey).sha256 : null;
 
-      metadata.lastAccessed = new Date().toISOString();
-      await metadataFile.save(JSON.stringify(metadata), {
-        metadata: {
-          contentType: 'application/json'
-        }
-      });
+    // An object holding content as is must still have the checksum it was stored with, whatever range is read
+    if (this.verifyOnRead && metadata.crc32c) {
+      const [{ crc32c }] = await file.getMetadata();
+      if (crc32c !== metadata.crc32c) {
+        console.error(`Object ${file.name} does not match the CRC32C recorded at upload`);
+        throw new Error('Stored content is corrupt');
+      }
+    }
 
-      // Also update private key metadata
-      const privateMetadataPath = this._getMetadataPath(metadata.privateKey);
-      const privateMetadataFile = this.bucket.file(privateMetadataPath);
-      await privateMetadataFile.save(JSON.stringify(metadata), {
-        metadata: {
-          contentType: 'application/json'
-        }
-      });
-    } catch (error) {
-      // File might not exist, ignore
-      console.warn(`Could not update last accessed for ${publicKey}:`, error.message);
+    const stream = await this._readContent(file, metadata, publicKey, range);
+    return this._verifyContent(stream, sha256, range, file.name);
+  }
+
+  /**
+   * Open a readable stream over stored content, decrypting it if needed
+   * @param {File} file - The object holding the content
+   * @param {Object} metadata - Stored metadata of the file
+   * @param {string} publicKey - The public key identifying the file
+   * @param {{start?: number, end?: number}} range - Inclusive byte range to read
+   * @returns {Promise<Readable>}
+   */
+  async _readContent(file, metadata, publicKey, range) {
+    // Only files stored with encryption on, or read with it on, need a look at the object metadata
+    if (!this.keyRing && !metadata.encrypted) {
+      return file.createReadStream({ start: range.start, end: range.end });
+    }
+
+    const [objectMetadata] = await file.getMetadata();
+    const encryption = objectMetadata.metadata && objectMetadata.metadata.encryption;
+    if (!encryption) {
+      return file.createReadStream({ start: range.start, end: range.end });
     }
+
+    const envelope = JSON.parse(encryption);
+    const dataKey = openEnvelope(this.keyRing, envelope, publicKey);
+    const read = planEncryptedRead(
+      range,
+      getPlaintextSize(Number(objectMetadata.size), envelope.segmentSize),
+      envelope.segmentSize
+    );
+
+    // Read the generation the envelope belongs to
+    const encrypted = this.bucket.file(file.name, { generation: objectMetadata.generation })
+      .createReadStream({ start: read.encryptedStart, end: read.encryptedEnd });
+    return pipeThrough(encrypted, createDecryptStream(dataKey, read));
   }
 
   /**
-   * Get all files that match cleanup criteria
-   * @param {Date} inactiveSince - Files not accessed since this date should be returned
-   * @returns {Promise<Array<{privateKey: string}>>}
+   * Get a V4 signed URL to download a file straight from the bucket
+   * Signing happens locally with the service account key, without a request to Google
+   * @param {string} publicKey - The public key identifying the file
+   * @param {{contentDisposition?: string}} [options] - Content-Disposition the download should be served with
+   * @returns {Promise<string|null>} - Signed URL, or null if signed URL downloads are disabled
    */
-  async getInactiveFiles(inactiveSince) {
+  async getDownloadUrl(publicKey, options = {}) {
     if (!this.bucket) {
       throw new Error('Storage provider not initialized');
     }
 
-    const inactiveFiles = [];
-
-    try {
-      // List all metadata files with the private key prefix
-      const [files] = await this.bucket.getFiles({
-        prefix: this.metadataPrefix
-      });
+    // A signed URL would hand out encrypted content
+    if (!this.signedUrlDownloads || this.keyRing || this.zeroKnowledge) {
+      return null;
+    }
 
-      for (const file of files) {
-        // Check if this is a private key metadata file by trying to read it
-        // and checking if the privateKey matches the filename
-        try {
-          const [content] = await file.download();
-          const metadata = JSON.parse(content.toString('utf-8'));
+    const metadata = await this._findFile(publicKey);
+    if (!metadata) {
+      throw new Error('File not found');
+    }
+    if (metadata.encrypted) {
+      return null;
+    }
 
-          // Extract key from filename (remove prefix and .json extension)
-          const keyFromFilename = file.name
-            .replace(this.metadataPrefix, '')
-            .replace('.json', '');
+    const filePath = metadata.filePath || this._getFilePath(metadata.publicKey);
+    const [url] = await this.bucket.file(filePath).getSignedUrl({
+      version: 'v4',
+      action: 'read',
+      expires: Date.now() + this.signedUrlExpirySeconds * 1000,
+      responseType: metadata.mimeType,
+      responseDisposition: options.contentDisposition
+    });
 
-          // Only process if this is a private key file (has privateKey that matches filename)
-          if (metadata.privateKey === keyFromFilename) {
-            const lastAccessed = metadata.lastAccessed ? new Date(metadata.lastAccessed) : null;
-            const createdAt = new Date(metadata.createdAt);
+    return url;
+  }
 
-            // File is inactive if never accessed and created before threshold, or last accessed before threshold
-            const referenceDate = lastAccessed || createdAt;
+  /**
+   * Delete a file from Google Cloud Storage
+   * @param {string} privateKey - The private key identifying the file
+   * @returns {Promise<boolean>}
+   */
+  async deleteFile(privateKey) {
+    if (!this.bucket) {
+      throw new Error('Storage provider not initialized');
+    }
 
-            if (referenceDate < inactiveSince) {
-              inactiveFiles.push({ privateKey: metadata.privateKey });
-            }
+    // Check if metadata exists; a public key must never be able to delete a file
+    const metadata = await this.metadataStore.get(privateKey);
+    if (!metadata || metadata.privateKey !== privateKey) {
+      return false;
+    }
+
+    // Members and renditions go first, so a file whose dependents could not all be deleted can be deleted again
+    await this._deleteBundleMembers(metadata);
+    await this._deleteRenditions(metadata);
+
+    // A shared blob goes away with its last reference, after the metadata pointing at it
+    if (metadata.contentHash) {
+      await this.metadataStore.delete(privateKey);
+      await this._removeBlobReference(metadata.contentHash);
+      return true;
+    }
+
+    // Delete file
+    const filePath = metadata.filePath || this._getFilePath(metadata.publicKey);
+    const file = this.bucket.file(filePath);
+    try {
+      await file.delete();
+    } catch (error) {
+      // File might not exist, continue with metadata deletion
+      console.warn(`File ${filePath} could not be deleted:`, error.message);
+    }
+
+    await this.metadataStore.delete(privateKey);
+
+    return true;
+  }
+
+  /**
+   * Get metadata for a file
+   * @param {string} privateKey - The private key identifying the file
+   * @returns {Promise<{lastAccessed: Date|null, createdAt: Date}>}
+   */
+  async getFileMetadata(privateKey) {
+    if (!this.bucket) {
+      throw new Error('Storage provider not initialized');
+    }
+
+    const metadata = await this.metadataStore.get(privateKey);
+    if (!metadata) {
+      throw new Error('File metadata not found');
+    }
+
+    return {
+      lastAccessed: metadata.lastAccessed ? new Date(metadata.lastAccessed) : null,
+      createdAt: new Date(metadata.createdAt)
+    };
+  }
+
+  /**
+   * Update last accessed timestamp for a file
+   * @param {string} publicKey - The public key identifying the file
+   * @returns {Promise<void>}
+   */
+  async updateLastAccessed(publicKey) {
+    if (!this.bucket) {
+      throw new Error('Storage provider not initialized');
+    }
+
+    try {
+      const stored = await this._findFile(publicKey);
+      if (stored) {
+        await this.metadataStore.update(stored.publicKey, (metadata) => {
+          metadata.lastAccessed = new Date().toISOString();
+        });
+      }
+    } catch (error) {
+      // File might not exist, ignore; the key is left out, as it may be a zero-knowledge public key
+      console.warn('Could not update last accessed time:', error.message);
+    }
+  }
+
+  /**
+   * Change the share settings of a file
+   * @param {string} privateKey - The private key identifying the file
+   * @param {{expiresAt?: string|null, notBefore?: string|null, maxDownloads?: number|null}} settings - Settings to change
+   * @returns {Promise<void>}
+   */
+  async updateFileSettings(privateKey, settings) {
+    if (!this.bucket) {
+      throw new Error('Storage provider not initialized');
+    }
+
+    await this.metadataStore.update(privateKey, (metadata) => {
+      if (metadata.privateKey !== privateKey) {
+        throw new Error('File not found');
+      }
+      applyShareSettings(metadata, settings);
+    });
+  }
+
+  /**
+   * Record new keys in the metadata of a file
+   * The keys in the object metadata of the content are refreshed as well; failing that is
+   * only logged, since the object is found through the file's metadata
+   * @param {string} privateKey - The private key identifying the file
+   * @param {{publicKey?: string, privateKey?: string}} keys - The new keys
+   * @returns {Promise<void>}
+   */
+  async _replaceKeys(privateKey, keys) {
+    if (!this.bucket) {
+      throw new Error('Storage provider not initialized');
+    }
+
+    const updated = await this.metadataStore.update(privateKey, (metadata) => {
+      if (metadata.privateKey !== privateKey) {
+        throw new Error('File not found');
+      }
+
+      // Content stored before its object name was recorded stays under the old public key
+      metadata.filePath = metadata.filePath || this._getFilePath(metadata.publicKey);
+      replaceKeys(metadata, keys);
+      return metadata;
+    });
+
+    // Shared blobs and zero-knowledge objects carry no keys
+    if (updated.contentHash || updated.zeroKnowledge) {
+      return;
+    }
+    try {
+      await this.bucket.file(updated.filePath).setMetadata({
+        metadata: { publicKey: updated.publicKey, privateKey: updated.privateKey }
+      });
+    } catch (error) {
+      console.warn(`Keys of object ${updated.filePath} could not be updated:`, error.message);
+    }
+  }
+
+  /**
+   * Atomically record a download of a share with limits
+   * @param {string} publicKey - The public key identifying the file
+   * @returns {Promise<{downloadCount: number, maxDownloads: number|null}>}
+   */
+  async consumeDownload(publicKey) {
+    if (!this.bucket) {
+      throw new Error('Storage provider not initialized');
+    }
+
+    const stored = await this._findFile(publicKey);
+    if (!stored) {
+      throw new Error('File not found');
+    }
+
+    return this.metadataStore.update(stored.publicKey, (metadata) => {
+      if (metadata.publicKey !== stored.publicKey) {
+        throw new Error('File not found');
+      }
+
+      assertShareAvailable(metadata);
+      metadata.downloadCount = (metadata.downloadCount || 0) + 1;
+      metadata.lastAccessed = new Date().toISOString();
+
+      return { downloadCount: metadata.downloadCount, maxDownloads: metadata.maxDownloads };
+    });
+  }
+
+  /**
+   * Record a stored rendition in the metadata of its file
+   * @param {string} publicKey - The public key identifying the file
+   * @param {string} variant - Name of the rendition
+   * @param {{publicKey: string, privateKey: string}} keys - Keys of the rendition
+   * @returns {Promise<boolean>} - False if a rendition of the variant was already recorded
+   */
+  async _attachRendition(publicKey, variant, keys) {
+    if (!this.bucket) {
+      throw new Error('Storage provider not initialized');
+    }
+
+    const stored = await this._findFile(publicKey);
+    if (!stored) {
+      throw new Error('File not found');
+    }
+
+    // The public key of a zero-knowledge file's rendition would open it, so it is sealed like the file's details
+    const entry = stored.zeroKnowledge ? protectRendition(publicKey, keys) : keys;
+    return this.metadataStore.update(stored.publicKey, (metadata) => {
+      if (metadata.publicKey !== stored.publicKey) {
+        throw new Error('File not found');
+      }
+      return addRendition(metadata, variant, entry);
+    });
+  }
+
+  /**
+   * Get all files that match cleanup criteria
+   * @param {Date} inactiveSince - Files not accessed since this date should be returned
+   * @returns {Promise<Array<{privateKey: string}>>}
+   */
+  async getInactiveFiles(inactiveSince) {
+    if (!this.bucket) {
+      throw new Error('Storage provider not initialized');
+    }
+
+    try {
+      // File is inactive if never accessed and created before threshold, or last accessed before threshold
+      const metadataList = await this.metadataStore.findInactive(inactiveSince);
+
+      // Bundle members go away together with their bundle
+      return metadataList
+        .filter(metadata => !metadata.bundled)
+        .map(metadata => ({ privateKey: metadata.privateKey }));
+    } catch (error) {
+      console.error('Error listing files for cleanup:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get all files that have expired or used up their downloads
+   * @param {Date} now - Reference time
+   * @returns {Promise<Array<{privateKey: string}>>}
+   */
+  async getExpiredFiles(now) {
+    if (!this.bucket) {
+      throw new Error('Storage provider not initialized');
+    }
+
+    try {
+      const metadataList = await this.metadataStore.findExpired(now);
+
+      // Bundle members go away together with their bundle
+      return metadataList
+        .filter(metadata => !metadata.bundled)
+        .map(metadata => ({ privateKey: metadata.privateKey }));
+    } catch (error) {
+      console.error('Error listing expired files for cleanup:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Re-wrap the data keys of all encrypted content with the active master key
+   * Only the object metadata is rewritten; the content itself is not touched
+   * @returns {Promise<{rewrapped: number}>}
+   */
+  async rewrapDataKeys() {
+    if (!this.bucket) {
+      throw new Error('Storage provider not initialized');
+    }
+    if (!this.keyRing) {
+      throw new Error('Encryption is not configured');
+    }
+
+    const [files] = await this.bucket.getFiles({ prefix: this._getFilePath('') });
+    const [blobs] = await this.bucket.getFiles({ prefix: this.blobPrefix, delimiter: '/' });
+    const objects = new Map([...files, ...blobs].map(file => [file.name, file]));
+    let rewrapped = 0;
+
+    for (const file of objects.values()) {
+      const encryption = file.metadata.metadata && file.metadata.metadata.encryption;
+      const envelope = encryption && rewrapEnvelope(this.keyRing, JSON.parse(encryption));
+      if (!envelope) {
+        continue;
+      }
+
+      // Only the generation the envelope was read from; a blob stored again has its own envelope
+      try {
+        await file.setMetadata(
+          { metadata: { encryption: JSON.stringify(envelope) } },
+          { ifGenerationMatch: file.metadata.generation }
+        );
+        rewrapped++;
+      } catch (error) {
+        if (error.code !== 404 && !isPreconditionFailed(error)) {
+          throw error;
+        }
+      }
+    }
+
+    return { rewrapped };
+  }
+
+  /**
+   * Get the state object path of an upload session
+   * @param {string} uploadId - The upload session id
+   * @returns {string}
+   */
+  _getUploadStatePath(uploadId) {
+    return `${this.uploadsPrefix}${uploadId}.json`;
+  }
+
+  /**
+   * Get the prefix under which the chunks of an upload session are stored
+   * @param {string} uploadId - The upload session id
+   * @returns {string}
+   */
+  _getUploadChunkPrefix(uploadId) {
+    return `${this.uploadsPrefix}${uploadId}/`;
+  }
+
+  /**
+   * Save the state of an upload session
+   * @param {UploadSession} session - The session state
+   * @param {string} [generation] - Generation the saved state must still have; without one it is overwritten
+   * @returns {Promise<string|null>} - The generation of the saved state, or null if it changed in between
+   */
+  async _saveUploadSession(session, generation) {
+    session.updatedAt = new Date().toISOString();
+    const file = this.bucket.file(this._getUploadStatePath(session.uploadId));
+
+    try {
+      await file.save(JSON.stringify(session), {
+        metadata: {
+          contentType: 'application/json'
+        },
+        ...(generation === undefined ? {} : { preconditionOpts: { ifGenerationMatch: generation } })
+      });
+    } catch (error) {
+      if (generation !== undefined && isPreconditionFailed(error)) {
+        return null;
+      }
+      throw error;
+    }
+
+    return file.metadata.generation;
+  }
+
+  /**
+   * Read the state of an upload session along with its generation
+   * @param {string} uploadId - The upload session id
+   * @returns {Promise<{session: UploadSession, generation: string}>}
+   */
+  async _readUploadSession(uploadId) {
+    if (!this.bucket) {
+      throw new Error('Storage provider not initialized');
+    }
+
+    if (!UPLOAD_ID_PATTERN.test(uploadId)) {
+      throw new Error('Upload session not found');
+    }
+
+    let stored;
+    try {
+      stored = await this._metadataObjects().read(this._getUploadStatePath(uploadId), { withVersion: true });
+    } catch (error) {
+      stored = null;
+    }
+
+    if (!stored) {
+      throw new Error('Upload session not found');
+    }
+
+    return { session: JSON.parse(stored.content.toString('utf-8')), generation: stored.version };
+  }
+
+  /**
+   * Compose chunk objects into a single destination object
+   * Larger chunk lists are folded into intermediate objects first
+   * @param {string} uploadId - The upload session id
+   * @param {Array<string>} chunkPaths - Chunk object paths in upload order
+   * @param {File} destination - The destination object
+   * @returns {Promise<void>}
+   */
+  async _composeChunks(uploadId, chunkPaths, destination) {
+    let sources = chunkPaths.map(chunkPath => this.bucket.file(chunkPath));
+    let step = 0;
+
+    while (sources.length > MAX_COMPOSE_SOURCES) {
+      const intermediate = this.bucket.file(`${this._getUploadChunkPrefix(uploadId)}compose-${step++}`);
+      await this.bucket.combine(sources.slice(0, MAX_COMPOSE_SOURCES), intermediate);
+      sources = [intermediate, ...sources.slice(MAX_COMPOSE_SOURCES)];
+    }
+
+    await this.bucket.combine(sources, destination);
+  }
+
+  /**
+   * Start a resumable upload session
+   * @param {{originalName: string, mimeType: string, uploadLength: number, uploader?: string}} options - Declared
+   *   file info and the client uploading it
+   * @returns {Promise<UploadSession>}
+   */
+  async createUploadSession({ originalName, mimeType, uploadLength, uploader = null }) {
+    if (!this.bucket) {
+      throw new Error('Storage provider not initialized');
+    }
+
+    const uploadId = crypto.randomBytes(16).toString('hex');
+    const now = new Date().toISOString();
+
+    const session = {
+      uploadId,
+      originalName,
+      mimeType,
+      uploadLength,
+      uploader,
+      offset: 0,
+      completed: false,
+      chunks: [],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this._saveUploadSession(session);
+
+    return session;
+  }
+
+  /**
+   * Get the state of a resumable upload session
+   * @param {string} uploadId - The upload session id
+   * @returns {Promise<UploadSession>}
+   */
+  async getUploadSession(uploadId) {
+    const { session } = await this._readUploadSession(uploadId);
+    return session;
+  }
+
+  /**
+   * Append a chunk to a resumable upload session
+   * Each chunk is stored as its own object; an interrupted chunk is never committed. The state is
+   * saved only if no other request changed it meanwhile, also on other server instances, and the
+   * chunk of the request that lost is removed again.
+   * @param {string} uploadId - The upload session id
+   * @param {number} offset - Offset the chunk starts at
+   * @param {Readable} stream - The chunk content
+   * @returns {Promise<number>} - The new session offset
+   */
+  async appendUploadChunk(uploadId, offset, stream) {
+    const { session, generation } = await this._readUploadSession(uploadId);
+
+    if (session.completed) {
+      throw new Error('Upload already completed');
+    }
+    if (offset !== session.offset) {
+      throw new Error('Upload offset mismatch');
+    }
+
+    // Chunks sent to the same offset at the same time must not overwrite each other
+    const chunkPath = `${this._getUploadChunkPrefix(uploadId)}${offset}-${crypto.randomBytes(8).toString('hex')}`;
+    const limiter = createSizeLimiter(session.uploadLength - session.offset, 'Upload length exceeded');
+    const counter = createByteCounter();
+
+    await pipeline(stream, limiter, counter, this.bucket.file(chunkPath).createWriteStream());
+
+    if (counter.bytes > 0) {
+      session.chunks.push(chunkPath);
+      session.offset += counter.bytes;
+    }
+    if (!(await this._saveUploadSession(session, generation))) {
+      await this.bucket.file(chunkPath).delete({ ignoreNotFound: true });
+      throw new Error('Upload offset mismatch');
+    }
+
+    return session.offset;
+  }
+
+  /**
+   * Turn a fully uploaded session into a regular file
+   * The session is marked completed before the file is assembled, with a conditional save, so only
+   * one of several completions assembles it. The keys are returned this once and are not kept.
+   * @param {string} uploadId - The upload session id
+   * @returns {Promise<{publicKey: string, privateKey: string, fileSize: number}>}
+   */
+  async completeUploadSession(uploadId) {
+    const { session, generation } = await this._readUploadSession(uploadId);
+
+    if (session.completed) {
+      throw new Error('Upload already completed');
+    }
+    if (session.offset !== session.uploadLength) {
+      throw new Error('Upload incomplete');
+    }
+
+    session.completed = true;
+    const claimed = await this._saveUploadSession(session, generation);
+    if (!claimed) {
+      // Changed meanwhile; look again, which refuses it if it was completed
+      return this.completeUploadSession(uploadId);
+    }
+
+    let keys;
+    try {
+      keys = await this._storeUploadedFile(session);
+    } catch (error) {
+      // Give the session back, so the completion can be retried
+      session.completed = false;
+      await this._saveUploadSession(session, claimed);
+      throw error;
+    }
+
+    // Chunks are no longer needed; a session deleted meanwhile is not saved again
+    await this.bucket.deleteFiles({ prefix: this._getUploadChunkPrefix(uploadId) });
+    session.chunks = [];
+    if (this.zeroKnowledge) {
+      delete session.originalName;
+      delete session.mimeType;
+    }
+    await this._saveUploadSession(session, claimed);
+
+    return { ...keys, fileSize: session.uploadLength };
+  }
+
+  /**
+   * Store the content of a fully uploaded session as a new file
+   * @param {UploadSession} session - The session state
+   * @returns {Promise<{publicKey: string, privateKey: string}>}
+   */
+  async _storeUploadedFile(session) {
+    const { publicKey, privateKey } = this._generateKeys();
+    // Content that is hashed or encrypted is assembled in an incoming object and stored from there
+    const encrypted = Boolean(this.keyRing) || this.zeroKnowledge;
+    const assembled = this.deduplicate || encrypted;
+    const file = assembled ? this._createIncomingFile() : this.bucket.file(this._getFilePath(publicKey));
+    const objectMetadata = assembled
+      ? { contentType: session.mimeType }
+      : {
+        contentType: session.mimeType,
+        metadata: {
+          originalName: session.originalName,
+          publicKey,
+          privateKey
+        }
+      };
+
+    // Stitch the chunks together into the final object
+    if (session.chunks.length === 0) {
+      await file.save(Buffer.alloc(0), { metadata: objectMetadata });
+    } else {
+      await this._composeChunks(session.uploadId, session.chunks, file);
+      await file.setMetadata(objectMetadata);
+    }
+
+    // The composed object is read back once to hash its content
+    let sha256;
+    let crc32c = this._getStoredChecksum(file);
+    if (encrypted) {
+      try {
+        ({ sha256, crc32c } = await this._writeContent(file.createReadStream(), createByteCounter(), {
+          publicKey,
+          privateKey,
+          originalName: session.originalName,
+          mimeType: session.mimeType
+        }));
+      } finally {
+        await this._deleteIncomingFile(file);
+      }
+    } else if (this.deduplicate) {
+      try {
+        sha256 = await hashStream(file.createReadStream());
+        await this._addBlobReference(sha256, file);
+      } finally {
+        await this._deleteIncomingFile(file);
+      }
+    } else {
+      sha256 = await hashStream(file.createReadStream());
+    }
+
+    await this._createFileMetadata(this._createMetadata(
+      publicKey, privateKey, session.originalName, session.mimeType, session.uploadLength,
+      this.deduplicate ? sha256 : null, { sha256, crc32c, uploader: session.uploader || null }
+    ));
+
+    return { publicKey, privateKey };
+  }
+
+  /**
+   * Abort a resumable upload session and remove the uploaded data
+   * @param {string} uploadId - The upload session id
+   * @returns {Promise<boolean>}
+   */
+  async deleteUploadSession(uploadId) {
+    try {
+      await this.getUploadSession(uploadId);
+    } catch (error) {
+      return false;
+    }
+
+    try {
+      await this.bucket.deleteFiles({ prefix: this._getUploadChunkPrefix(uploadId) });
+    } catch (error) {
+      console.warn(`Chunks of upload ${uploadId} could not be deleted:`, error.message);
+    }
+
+    try {
+      await this.bucket.file(this._getUploadStatePath(uploadId)).delete();
+    } catch (error) {
+      console.warn(`Upload session ${uploadId} could not be deleted:`, error.message);
+    }
+
+    return true;
+  }
+
+  /**
+   * Get all upload sessions that have not been touched since a date
+   * @param {Date} inactiveSince - Sessions not updated since this date should be returned
+   * @returns {Promise<Array<{uploadId: string}>>}
+   */
+  async getStaleUploadSessions(inactiveSince) {
+    if (!this.bucket) {
+      throw new Error('Storage provider not initialized');
+    }
+
+    const staleSessions = [];
+
+    try {
+      // Session state objects live directly under the uploads prefix, chunks one level deeper
+      const [files] = await this.bucket.getFiles({
+        prefix: this.uploadsPrefix,
+        delimiter: '/'
+      });
+
+      for (const file of files) {
+        if (!file.name.endsWith('.json')) {
+          continue;
+        }
+
+        try {
+          const [content] = await file.download();
+          const session = JSON.parse(content.toString('utf-8'));
+
+          if (new Date(session.updatedAt) < inactiveSince) {
+            staleSessions.push({ uploadId: session.uploadId });
           }
         } catch (error) {
-          // Skip invalid metadata files
+          // Skip invalid session files
           continue;
         }
       }
     } catch (error) {
-      console.error('Error listing files for cleanup:', error);
+      console.error('Error listing upload sessions for cleanup:', error);
     }
 
-    return inactiveFiles;
+    return staleSessions;
   }
 }
 
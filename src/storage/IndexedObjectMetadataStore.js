@@ -0,0 +1,148 @@
+const ObjectMetadataStore = require('./ObjectMetadataStore');
+const { isDownloadLimitReached } = require('./shareLimits');
+
+/**
+ * Get the time a file was last active
+ * @param {Object} metadata - File metadata
+ * @returns {string} - ISO 8601 time
+ */
+function activityTime(metadata) {
+  return new Date(metadata.lastAccessed || metadata.createdAt).toISOString();
+}
+
+/**
+ * Metadata store keeping one JSON document per key in an object store, with an index
+ * next to the documents so inactive and expired files are found without reading the others
+ *
+ * Documents are laid out as in ObjectMetadataStore. The index is made of empty objects
+ * whose names sort by time: one under activity/<last activity>/<publicKey> per file,
+ * one under expiry/<expiry time>/<publicKey> per file with an expiry time, and one under
+ * exhausted/<publicKey> per file that used up its downloads. Listing the names up to a
+ * time finds the candidates, and only their documents are read.
+ *
+ * Entries are written before the document they describe and removed after it, so every
+ * saved state of a file is indexed, also with several server instances sharing the
+ * bucket. Entries left behind by conflicting or interrupted changes are skipped when they
+ * no longer match the document, and removed once their file is gone.
+ */
+class IndexedObjectMetadataStore extends ObjectMetadataStore {
+  /**
+   * @param {MetadataObjects} objects - Document access
+   * @param {string} prefix - Prefix of the metadata documents
+   * @param {string} indexPrefix - Prefix of the index entries, outside of the documents' prefix
+   */
+  constructor(objects, prefix, indexPrefix) {
+    super(objects, prefix);
+    this.indexPrefix = indexPrefix;
+  }
+
+  /**
+   * Get the names of the index entries describing a file
+   * @param {Object} metadata - File metadata
+   * @returns {Array<string>}
+   */
+  _getIndexEntries(metadata) {
+    const entries = [`${this.indexPrefix}activity/${activityTime(metadata)}/${metadata.publicKey}`];
+    if (metadata.expiresAt) {
+      entries.push(`${this.indexPrefix}expiry/${new Date(metadata.expiresAt).toISOString()}/${metadata.publicKey}`);
+    }
+    if (isDownloadLimitReached(metadata)) {
+      entries.push(`${this.indexPrefix}exhausted/${metadata.publicKey}`);
+    }
+    return entries;
+  }
+
+  /**
+   * Write the index entries a change adds
+   * @param {Object|null} previous - Metadata before the change, null for a new file
+   * @param {Object} next - Metadata after the change
+   * @returns {Promise<void>}
+   */
+  async _beforeChange(previous, next) {
+    const existing = previous ? this._getIndexEntries(previous) : [];
+    for (const entry of this._getIndexEntries(next)) {
+      if (!existing.includes(entry)) {
+        await this.objects.write(entry, '');
+      }
+    }
+  }
+
+  /**
+   * Remove the index entries a change made outdated
+   * @param {Object} previous - Metadata before the change
+   * @param {Object|null} next - Metadata after the change, null for a removed file
+   * @returns {Promise<void>}
+   */
+  async _afterChange(previous, next) {
+    const kept = next ? this._getIndexEntries(next) : [];
+    for (const entry of this._getIndexEntries(previous)) {
+      if (!kept.includes(entry)) {
+        await this._removeDocument(entry);
+      }
+    }
+  }
+
+  /**
+   * Get the files of index entries that still describe them
+   * Entries of files that are gone are removed on the way
+   * @param {Array<string>} entries - Names of index entries
+   * @returns {Promise<Array<Object>>} - Metadata of each file once, in the order of its first entry
+   */
+  async _resolveEntries(entries) {
+    const files = new Map();
+
+    for (const entry of entries) {
+      const publicKey = entry.slice(entry.lastIndexOf('/') + 1);
+      if (files.has(publicKey)) {
+        continue;
+      }
+
+      const metadata = await this._readDocument(publicKey);
+      if (!metadata || metadata.publicKey !== publicKey) {
+        await this._removeDocument(entry);
+      } else if (this._getIndexEntries(metadata).includes(entry)) {
+        files.set(publicKey, metadata);
+      }
+    }
+
+    return [...files.values()];
+  }
+
+  /**
+   * List index entries under a prefix
+   * @param {string} prefix - Prefix of the entries
+   * @param {string} [before] - Only entries sorting before this name are returned
+   * @returns {Promise<Array<string>>}
+   */
+  async _listEntries(prefix, before) {
+    const names = await this.objects.list(prefix, { before });
+    return before === undefined ? names : names.filter(name => name < before);
+  }
+
+  /**
+   * Get the metadata of files not accessed since a date, least recently active first
+   * Reads the documents of matching files only
+   * @param {Date} inactiveSince - Files last active strictly before this date are returned
+   * @returns {Promise<Array<Object>>}
+   */
+  async findInactive(inactiveSince) {
+    const prefix = `${this.indexPrefix}activity/`;
+    return this._resolveEntries(await this._listEntries(prefix, `${prefix}${inactiveSince.toISOString()}`));
+  }
+
+  /**
+   * Get the metadata of files past their expiry time or download limit, expired files first
+   * Reads the documents of matching files only
+   * @param {Date} now - Reference time; files expiring at exactly this time are returned
+   * @returns {Promise<Array<Object>>}
+   */
+  async findExpired(now) {
+    const prefix = `${this.indexPrefix}expiry/`;
+    const expired = await this._listEntries(prefix, `${prefix}${new Date(now.getTime() + 1).toISOString()}`);
+    const exhausted = await this._listEntries(`${this.indexPrefix}exhausted/`);
+
+    return this._resolveEntries([...expired, ...exhausted]);
+  }
+}
+
+module.exports = IndexedObjectMetadataStore;
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+
+const MASTER_KEY_BYTES = 32;
+const WRAP_IV_BYTES = 12;
+const WRAP_TAG_BYTES = 16;
+
+/**
+ * Master keys wrapping the data keys of encrypted content
+ * Keys are identified by a fingerprint, so every wrapped key names the master key it needs.
+ * The first key is active and wraps new data keys; the others only unwrap data keys that
+ * have not been re-wrapped yet.
+ */
+class KeyRing {
+  /**
+   * @param {Array<Buffer>} masterKeys - 32-byte master keys, the active one first
+   */
+  constructor(masterKeys) {
+    if (masterKeys.length === 0) {
+      throw new Error('At least one master key is required');
+    }
+    if (masterKeys.some(key => key.length !== MASTER_KEY_BYTES)) {
+      throw new Error('Master keys must be 32 bytes, base64 encoded');
+    }
+
+    this.keys = new Map(masterKeys.map(key => [KeyRing.fingerprint(key), key]));
+    this.activeKeyId = KeyRing.fingerprint(masterKeys[0]);
+  }
+
+  /**
+   * Get the id of a master key
+   * A truncated SHA-256, which tells keys apart without revealing them
+   * @param {Buffer} masterKey - The master key
+   * @returns {string}
+   */
+  static fingerprint(masterKey) {
+    return crypto.createHash('sha256').update(masterKey).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Load master keys from a key file or from environment values
+   * A key file holds one base64 key per line, the active key first; empty lines and
+   * lines starting with # are skipped.
+   * @param {{keyFile?: string, key?: string, oldKeys?: string}} [options] - Key file path, or the active
+   *   key and a comma-separated list of previous keys
+   * @returns {Promise<KeyRing|null>} - null if no key is configured
+   */
+  static async load({ keyFile, key, oldKeys } = {}) {
+    let encodedKeys;
+
+    if (keyFile) {
+      const content = await fs.readFile(keyFile, 'utf-8');
+      encodedKeys = content.split('\n').map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+    } else if (key) {
+      encodedKeys = [key, ...(oldKeys ? oldKeys.split(',') : [])].map(line => line.trim()).filter(Boolean);
+    } else {
+      return null;
+    }
+
+    return new KeyRing(encodedKeys.map(encodedKey => Buffer.from(encodedKey, 'base64')));
+  }
+
+  /**
+   * Wrap a data key with the active master key
+   * @param {Buffer} dataKey - The data key
+   * @returns {{keyId: string, wrappedKey: string}}
+   */
+  wrap(dataKey) {
+    const iv = crypto.randomBytes(WRAP_IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.keys.get(this.activeKeyId), iv);
+    cipher.setAAD(Buffer.from(this.activeKeyId));
+    const wrapped = Buffer.concat([iv, cipher.update(dataKey), cipher.final(), cipher.getAuthTag()]);
+
+    return { keyId: this.activeKeyId, wrappedKey: wrapped.toString('base64') };
+  }
+
+  /**
+   * Unwrap a data key
+   * @param {{keyId: string, wrappedKey: string}} wrapped - Wrapped data key and the id of its master key
+   * @returns {Buffer}
+   */
+  unwrap({ keyId, wrappedKey }) {
+    const masterKey = this.keys.get(keyId);
+    if (!masterKey) {
+      throw new Error(`Master key ${keyId} is not configured`);
+    }
+
+    const wrapped = Buffer.from(wrappedKey, 'base64');
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', masterKey, wrapped.subarray(0, WRAP_IV_BYTES));
+      decipher.setAAD(Buffer.from(keyId));
+      decipher.setAuthTag(wrapped.subarray(wrapped.length - WRAP_TAG_BYTES));
+      return Buffer.concat([
+        decipher.update(wrapped.subarray(WRAP_IV_BYTES, wrapped.length - WRAP_TAG_BYTES)),
+        decipher.final()
+      ]);
+    } catch (error) {
+      throw new Error('Data key could not be unwrapped');
+    }
+  }
+}
+
+module.exports = KeyRing;
@@ -1,22 +1,73 @@
 const fs = require('fs').promises;
+const { createReadStream, createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
 const path = require('path');
 const crypto = require('crypto');
 
 const StorageProvider = require('./StorageProvider');
+const { createByteCounter, createSizeLimiter, createHasher, hashStream, pipeThrough } = require('./streamUtils');
+const { assertShareAvailable, applyShareSettings } = require('./shareLimits');
+const { toFileInfo, addRendition, replaceKeys } = require('./fileMetadata');
+const LogMetadataStore = require('./LogMetadataStore');
+const ObjectMetadataStore = require('./ObjectMetadataStore');
+const { migrateMetadata } = require('./metadataMigration');
+const BlobReferences = require('./BlobReferences');
+const { deriveLookupKey, protectMetadata, protectRendition, revealMetadata, findByPublicKey } = require('./zeroKnowledge');
+const {
+  HEADER_SIZE,
+  createEnvelope,
+  createDerivedEnvelope,
+  openEnvelope,
+  rewrapEnvelope,
+  createEncryptStream,
+  createDecryptStream,
+  getPlaintextSize,
+  planEncryptedRead,
+  encodeHeader,
+  decodeHeader
+} = require('./contentEncryption');
+
+// Upload session ids are generated by us, anything else is rejected before touching the disk
+const UPLOAD_ID_PATTERN = /^[a-f0-9]{32}$/;
 
 /**
  * Local filesystem storage provider
- * Stores files on the local file system with metadata in JSON files
+ * Stores files on the local file system with metadata in an append-only log.
+ * With deduplication, file content is stored once per SHA-256 under blobs/ and shared
+ * by every file with the same content. With a key ring, content is encrypted and the
+ * wrapped data key is kept in a header in front of it. In zero-knowledge mode, content is
+ * encrypted with a key derived from the public key, and files are stored under a lookup
+ * key derived from it as well.
  */
 class LocalFileSystemProvider extends StorageProvider {
   /**
    * @param {string} rootFolder - Absolute path to the root folder for storing files
+   * @param {{metadataStore?: MetadataStore, deduplicate?: boolean, keyRing?: KeyRing, zeroKnowledge?: boolean, verifyOnRead?: boolean}} [options]
+   *   - Metadata store to use instead of the log in the root folder, whether to store identical content once, the
+   *   master keys to encrypt content with, whether to store new files zero-knowledge, and whether to check
+   *   content read in full against its SHA-256
    */
-  constructor(rootFolder) {
+  constructor(rootFolder, options = {}) {
     super();
     this.rootFolder = rootFolder;
-    this.metadataFolder = path.join(rootFolder, '.metadata');
     this.filesFolder = path.join(rootFolder, 'files');
+    this.uploadsFolder = path.join(rootFolder, 'uploads');
+    // Per-key JSON documents kept by earlier versions, moved into the metadata store on startup
+    this.legacyMetadataFolder = path.join(rootFolder, '.metadata');
+    this.metadataStore = options.metadataStore || new LogMetadataStore(path.join(rootFolder, 'metadata.log'));
+
+    // Content-addressed blobs, their reference counts and blobs still being written
+    this.deduplicate = Boolean(options.deduplicate);
+    this.blobsFolder = path.join(rootFolder, 'blobs');
+    this.blobReferencesFolder = path.join(this.blobsFolder, 'refs');
+    this.incomingFolder = path.join(this.blobsFolder, 'incoming');
+    this.blobReferences = new BlobReferences(this._folderObjects(this.blobReferencesFolder), '');
+    // Content hash -> tail of the operations queued on that blob
+    this.blobQueues = new Map();
+
+    this.keyRing = options.keyRing || null;
+    this.zeroKnowledge = Boolean(options.zeroKnowledge);
+    this.verifyOnRead = Boolean(options.verifyOnRead);
   }
 
   /**
@@ -24,10 +75,80 @@ class LocalFileSystemProvider extends StorageProvider {
    * @returns {Promise<void>}
    */
   async initialize() {
+    // Shared blobs would need a key shared by every file with the same content
+    if (this.deduplicate && this.zeroKnowledge) {
+      throw new Error('Deduplication cannot be combined with zero-knowledge mode');
+    }
+
     // Create root folder if it doesn't exist
     await fs.mkdir(this.rootFolder, { recursive: true });
-    await fs.mkdir(this.metadataFolder, { recursive: true });
     await fs.mkdir(this.filesFolder, { recursive: true });
+    await fs.mkdir(this.uploadsFolder, { recursive: true });
+    await fs.mkdir(this.blobReferencesFolder, { recursive: true });
+
+    // Blobs interrupted by a restart are never referenced
+    await fs.rm(this.incomingFolder, { recursive: true, force: true });
+    await fs.mkdir(this.incomingFolder, { recursive: true });
+
+    await this.metadataStore.initialize();
+    await this._migrateLegacyMetadata();
+  }
+
+  /**
+   * Move metadata from the per-key JSON documents of earlier versions into the metadata store
+   * @returns {Promise<void>}
+   */
+  async _migrateLegacyMetadata() {
+    try {
+      await fs.access(this.legacyMetadataFolder);
+    } catch (error) {
+      // Nothing to migrate
+      return;
+    }
+
+    const legacyStore = new ObjectMetadataStore(this._folderObjects(this.legacyMetadataFolder), '');
+    const migrated = await migrateMetadata(legacyStore, this.metadataStore);
+
+    // Only unreadable leftovers can remain at this point
+    await fs.rm(this.legacyMetadataFolder, { recursive: true, force: true });
+
+    if (migrated > 0) {
+      console.log(`Migrated metadata of ${migrated} files from ${this.legacyMetadataFolder}`);
+    }
+  }
+
+  /**
+   * Access the files of a folder as documents
+   * Files have no versions; callers serialize their updates instead
+   * @param {string} folder - Absolute path to the folder
+   * @returns {MetadataObjects}
+   */
+  _folderObjects(folder) {
+    return {
+      read: async (name) => {
+        try {
+          return { content: await fs.readFile(path.join(folder, name)) };
+        } catch (error) {
+          return null;
+        }
+      },
+      write: async (name, content, { ifAbsent } = {}) => {
+        try {
+          await fs.writeFile(path.join(folder, name), content, { flag: ifAbsent ? 'wx' : 'w' });
+          return true;
+        } catch (error) {
+          if (error.code === 'EEXIST') {
+            return false;
+          }
+          throw error;
+        }
+      },
+      remove: async (name) => {
+        await fs.rm(path.join(folder, name), { force: true });
+        return true;
+      },
+      list: async () => fs.readdir(folder)
+    };
   }
 
   /**
@@ -41,38 +162,136 @@ class LocalFileSystemProvider extends StorageProvider {
   }
 
   /**
-   * Get metadata file path for a given key
+   * Get file path for a given key
    * @param {string} key - Public or private key
    * @returns {string}
    */
-  _getMetadataPath(key) {
-    return path.join(this.metadataFolder, `${key}.json`);
+  _getFilePath(key) {
+    return path.join(this.filesFolder, key);
   }
 
   /**
-   * Get file path for a given key
-   * @param {string} key - Public or private key
+   * Get the key a new file is stored under
+   * @param {string} publicKey - The public key of the file
    * @returns {string}
    */
-  _getFilePath(key) {
-    return path.join(this.filesFolder, key);
+  _getStoredKey(publicKey) {
+    return this.zeroKnowledge ? deriveLookupKey(publicKey) : publicKey;
   }
 
   /**
-   * Upload a file to local storage
-   * @param {Buffer} fileBuffer - The file content as a buffer
-   * @param {string} originalName - The original filename
-   * @param {string} mimeType - The MIME type of the file
-   * @returns {Promise<{publicKey: string, privateKey: string}>}
+   * Find the stored metadata of a file by its public key
+   * @param {string} publicKey - The public key of the file
+   * @returns {Promise<Object|null>}
    */
-  async uploadFile(fileBuffer, originalName, mimeType) {
-    const { publicKey, privateKey } = this._generateKeys();
+  async _findFile(publicKey) {
+    return findByPublicKey(this.metadataStore, publicKey, this.zeroKnowledge);
+  }
 
-    // Save the file using the public key as filename
-    const filePath = this._getFilePath(publicKey);
-    await fs.writeFile(filePath, fileBuffer);
+  /**
+   * Get the path of a deduplicated blob
+   * @param {string} contentHash - SHA-256 of the blob content
+   * @returns {string}
+   */
+  _getBlobPath(contentHash) {
+    return path.join(this.blobsFolder, contentHash);
+  }
 
-    // Save metadata
+  /**
+   * Get the path a file's content is read from
+   * Files stored before their file name was recorded are named after their stored public key
+   * @param {Object} metadata - File metadata
+   * @returns {string}
+   */
+  _getContentPath(metadata) {
+    if (metadata.contentHash) {
+      return this._getBlobPath(metadata.contentHash);
+    }
+    return this._getFilePath(metadata.fileName || metadata.publicKey);
+  }
+
+  /**
+   * Run an operation on a blob after all operations queued on it before
+   * Reference counts and blob files are only touched through this queue
+   * @param {string} contentHash - SHA-256 of the blob content
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} - Result of the task
+   */
+  async _withBlob(contentHash, task) {
+    const result = (this.blobQueues.get(contentHash) || Promise.resolve()).then(task);
+    const tail = result.catch(() => {});
+    this.blobQueues.set(contentHash, tail);
+
+    try {
+      return await result;
+    } finally {
+      if (this.blobQueues.get(contentHash) === tail) {
+        this.blobQueues.delete(contentHash);
+      }
+    }
+  }
+
+  /**
+   * Reference a blob for new file content, moving the content into place if the blob is missing
+   * @param {string} contentHash - SHA-256 of the content
+   * @param {string} sourcePath - Path of the new content; whatever is left there belongs to the caller
+   * @returns {Promise<void>}
+   */
+  async _addBlobReference(contentHash, sourcePath) {
+    await this._withBlob(contentHash, async () => {
+      const blobPath = this._getBlobPath(contentHash);
+      try {
+        await fs.access(blobPath);
+      } catch (error) {
+        await fs.rename(sourcePath, blobPath);
+      }
+
+      await this.blobReferences.acquire(contentHash);
+    });
+  }
+
+  /**
+   * Drop a reference to a blob and remove the blob with its last reference
+   * @param {string} contentHash - SHA-256 of the blob content
+   * @returns {Promise<void>}
+   */
+  async _removeBlobReference(contentHash) {
+    await this._withBlob(contentHash, async () => {
+      if (await this.blobReferences.release(contentHash)) {
+        await fs.rm(this._getBlobPath(contentHash), { force: true });
+      }
+    });
+  }
+
+  /**
+   * Save the metadata of a new file, dropping its blob reference if that fails
+   * @param {Object} metadata - File metadata
+   * @returns {Promise<void>}
+   */
+  async _createFileMetadata(metadata) {
+    try {
+      await this.metadataStore.create(metadata);
+    } catch (error) {
+      if (metadata.contentHash) {
+        await this._removeBlobReference(metadata.contentHash);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Build the metadata document of a newly stored file
+   * @param {string} publicKey - The public key of the file
+   * @param {string} privateKey - The private key of the file
+   * @param {string} originalName - The original filename
+   * @param {string} mimeType - The MIME type of the file
+   * @param {number} fileSize - Size of the file in bytes
+   * @param {string|null} [contentHash] - SHA-256 of the shared blob holding the content, if deduplicated
+   * @param {{sha256?: string, bundled?: boolean, members?: Array<string>, uploader?: string}} [details] - SHA-256 of
+   *   the content, bundle membership and uploader of the file
+   * @returns {Object}
+   */
+  _createMetadata(publicKey, privateKey, originalName, mimeType, fileSize, contentHash = null, { sha256 = null, bundled = false, members = null, uploader = null } = {}) {
     const metadata = {
       publicKey,
       privateKey,
@@ -80,95 +299,241 @@ class LocalFileSystemProvider extends StorageProvider {
       mimeType,
       createdAt: new Date().toISOString(),
       lastAccessed: null,
-      fileSize: fileBuffer.length
+      fileSize,
+      // The content keeps its name when the file gets new keys
+      fileName: contentHash ? null : this._getStoredKey(publicKey),
+      sha256,
+      contentHash,
+      expiresAt: null,
+      notBefore: null,
+      maxDownloads: null,
+      downloadCount: 0,
+      passwordHash: null,
+      bundled,
+      members,
+      uploader
     };
 
-    // Save metadata for both public and private keys
-    const publicMetadataPath = this._getMetadataPath(publicKey);
-    const privateMetadataPath = this._getMetadataPath(privateKey);
-    await fs.writeFile(publicMetadataPath, JSON.stringify(metadata));
-    await fs.writeFile(privateMetadataPath, JSON.stringify(metadata));
+    return this.zeroKnowledge ? protectMetadata(metadata) : metadata;
+  }
 
-    return { publicKey, privateKey };
+  /**
+   * Upload a file to local storage from a readable stream
+   * @param {Readable} stream - The file content as a readable stream
+   * @param {string} originalName - The original filename
+   * @param {string} mimeType - The MIME type of the file
+   * @param {{bundled?: boolean, members?: Array<string>, uploader?: string}} [options] - Bundle membership
+   *   and uploader of the file
+   * @returns {Promise<{publicKey: string, privateKey: string, fileSize: number}>}
+   */
+  async uploadStream(stream, originalName, mimeType, options = {}) {
+    const { publicKey, privateKey } = this._generateKeys();
+    const counter = createByteCounter();
+    const sha256 = await this._writeContent(stream, publicKey, counter);
+
+    // Save metadata
+    await this._createFileMetadata(this._createMetadata(
+      publicKey, privateKey, originalName, mimeType, counter.bytes, this.deduplicate ? sha256 : null,
+      { ...options, sha256 }
+    ));
+
+    return { publicKey, privateKey, fileSize: counter.bytes };
   }
 
   /**
-   * Download a file from local storage
-   * @param {string} publicKey - The public key identifying the file
-   * @returns {Promise<{buffer: Buffer, mimeType: string, originalName: string}>}
+   * Get the streams new content is written through
+   * Encrypted content starts with the header holding its envelope
+   * @param {string} [publicKey] - The public key of the file, for zero-knowledge content
+   * @returns {Array<Transform>}
+   */
+  _createContentEncoders(publicKey) {
+    if (!this.keyRing && !this.zeroKnowledge) {
+      return [];
+    }
+
+    const { dataKey, envelope } = this.zeroKnowledge
+      ? createDerivedEnvelope(publicKey)
+      : createEnvelope(this.keyRing);
+    return [createEncryptStream(dataKey, envelope.segmentSize, encodeHeader(envelope))];
+  }
+
+  /**
+   * Store the content of a new file
+   * @param {Readable} stream - The content
+   * @param {string} publicKey - The public key of the file
+   * @param {Transform} counter - Byte counter the content flows through
+   * @returns {Promise<string>} - SHA-256 of the content, which names its blob if deduplicated
    */
-  async downloadFile(publicKey) {
-    const metadataPath = this._getMetadataPath(publicKey);
-    
-    // Check if metadata exists
+  async _writeContent(stream, publicKey, counter) {
+    if (this.deduplicate) {
+      return this._writeBlob(stream, counter);
+    }
+
+    // Save the file using the public key (or its lookup key) as filename
+    const filePath = this._getFilePath(this._getStoredKey(publicKey));
+    const hasher = createHasher();
+
     try {
-      await fs.access(metadataPath);
+      await pipeline(stream, counter, hasher, ...this._createContentEncoders(publicKey), createWriteStream(filePath));
     } catch (error) {
-      throw new Error('File not found');
+      // Don't leave partial files behind
+      await fs.rm(filePath, { force: true });
+      throw error;
     }
 
-    // Read metadata
-    const metadataContent = await fs.readFile(metadataPath, 'utf-8');
-    const metadata = JSON.parse(metadataContent);
+    return hasher.digest;
+  }
 
-    // Read file
-    const filePath = this._getFilePath(publicKey);
-    const buffer = await fs.readFile(filePath);
+  /**
+   * Store streamed content as a deduplicated blob
+   * The content is hashed while it is written to the incoming folder
+   * @param {Readable} stream - The content
+   * @param {Transform} counter - Byte counter the content flows through
+   * @returns {Promise<string>} - SHA-256 of the content
+   */
+  async _writeBlob(stream, counter) {
+    const incomingPath = path.join(this.incomingFolder, crypto.randomBytes(16).toString('hex'));
+    const hasher = createHasher();
 
-    // Update last accessed timestamp
-    metadata.lastAccessed = new Date().toISOString();
-    await fs.writeFile(metadataPath, JSON.stringify(metadata));
-    
-    // Also update the private key metadata
-    const privateMetadataPath = this._getMetadataPath(metadata.privateKey);
-    await fs.writeFile(privateMetadataPath, JSON.stringify(metadata));
+    try {
+      await pipeline(stream, counter, hasher, ...this._createContentEncoders(), createWriteStream(incomingPath));
+      await this._addBlobReference(hasher.digest, incomingPath);
+      return hasher.digest;
+    } finally {
+      // Content already stored under the same hash, or a partial upload
+      await fs.rm(incomingPath, { force: true });
+    }
+  }
 
-    return {
-      buffer,
-      mimeType: metadata.mimeType,
-      originalName: metadata.originalName
-    };
+  /**
+   * Get information about a file in local storage
+   * @param {string} publicKey - The public key identifying the file
+   * @returns {Promise<FileInfo>}
+   */
+  async getFileInfo(publicKey) {
+    const metadata = await this._findFile(publicKey);
+    if (!metadata) {
+      throw new Error('File not found');
+    }
+
+    return toFileInfo(revealMetadata(metadata, publicKey));
   }
 
   /**
-   * Delete a file from local storage
+   * Get information about a file for its owner
    * @param {string} privateKey - The private key identifying the file
-   * @returns {Promise<boolean>}
+   * @returns {Promise<FileInfo>}
    */
-  async deleteFile(privateKey) {
-    const metadataPath = this._getMetadataPath(privateKey);
-    
-    // Check if metadata exists
-    let metadata;
+  async getOwnerFileInfo(privateKey) {
+    const metadata = await this.metadataStore.get(privateKey);
+    if (!metadata || metadata.privateKey !== privateKey) {
+      throw new Error('File not found');
+    }
+
+    // Name and MIME type of zero-knowledge files stay sealed, only the public key opens them
+    return toFileInfo(metadata);
+  }
+
+  /**
+   * Open a readable stream over a file in local storage
+   * @param {string} publicKey - The public key identifying the file
+   * @param {{start?: number, end?: number}} [range] - Inclusive byte range to read
+   * @returns {Promise<Readable>}
+   */
+  async createReadStream(publicKey, range = {}) {
+    // Content is only found through metadata, since it may be named after a public key that was replaced
+    const metadata = await this._findFile(publicKey);
+    if (!metadata) {
+      throw new Error('File not found');
+    }
+
+    // Deduplicated content lives in a shared blob
+    const filePath = this._getContentPath(metadata);
+    // The digest of zero-knowledge content is sealed, so it is only opened when reads are verified
+    const sha256 = this.verifyOnRead ? revealMetadata(metadata, publicKey).sha256 : null;
+
+    // Open the file up front so a missing file is reported before streaming starts
+    let fileHandle;
     try {
-      const metadataContent = await fs.readFile(metadataPath, 'utf-8');
-      metadata = JSON.parse(metadataContent);
+      fileHandle = await fs.open(filePath, 'r');
     } catch (error) {
-      return false;
+      throw new Error('File not found');
     }
 
-    // Delete file
-    const filePath = this._getFilePath(metadata.publicKey);
+    let envelope;
     try {
-      await fs.unlink(filePath);
+      envelope = await this._readEnvelope(fileHandle);
     } catch (error) {
-      // File might not exist, continue with metadata deletion
+      await fileHandle.close();
+      throw error;
+    }
+
+    if (!envelope) {
+      return this._verifyContent(fileHandle.createReadStream({ start: range.start, end: range.end }), sha256, range, filePath);
     }
 
-    // Delete metadata files
-    const publicMetadataPath = this._getMetadataPath(metadata.publicKey);
+    let dataKey;
+    let read;
     try {
-      await fs.unlink(publicMetadataPath);
+      dataKey = openEnvelope(this.keyRing, envelope, publicKey);
+      const { size } = await fileHandle.stat();
+      read = planEncryptedRead(range, getPlaintextSize(size - HEADER_SIZE, envelope.segmentSize), envelope.segmentSize);
     } catch (error) {
-      // Ignore if doesn't exist
+      await fileHandle.close();
+      throw error;
     }
 
+    const encrypted = fileHandle.createReadStream({
+      start: HEADER_SIZE + read.encryptedStart,
+      end: HEADER_SIZE + read.encryptedEnd
+    });
+    return this._verifyContent(pipeThrough(encrypted, createDecryptStream(dataKey, read)), sha256, range, filePath);
+  }
+
+  /**
+   * Read the envelope of an encrypted file
+   * @param {FileHandle} fileHandle - The open file
+   * @returns {Promise<EncryptionEnvelope|null>} - null if the file is not encrypted
+   */
+  async _readEnvelope(fileHandle) {
+    const header = Buffer.alloc(HEADER_SIZE);
+    const { bytesRead } = await fileHandle.read(header, 0, HEADER_SIZE, 0);
+    return decodeHeader(header.subarray(0, bytesRead));
+  }
+
+  /**
+   * Delete a file from local storage
+   * @param {string} privateKey - The private key identifying the file
+   * @returns {Promise<boolean>}
+   */
+  async deleteFile(privateKey) {
+    // Check if metadata exists; a public key must never be able to delete a file
+    const metadata = await this.metadataStore.get(privateKey);
+    if (!metadata || metadata.privateKey !== privateKey) {
+      return false;
+    }
+
+    // Members and renditions go first, so a file whose dependents could not all be deleted can be deleted again
+    await this._deleteBundleMembers(metadata);
+    await this._deleteRenditions(metadata);
+
+    // A shared blob goes away with its last reference, after the metadata pointing at it
+    if (metadata.contentHash) {
+      await this.metadataStore.delete(privateKey);
+      await this._removeBlobReference(metadata.contentHash);
+      return true;
+    }
+
+    // Delete file
+    const filePath = this._getContentPath(metadata);
     try {
-      await fs.unlink(metadataPath);
+      await fs.unlink(filePath);
     } catch (error) {
-      // Ignore if doesn't exist
+      // File might not exist, continue with metadata deletion
     }
 
+    await this.metadataStore.delete(privateKey);
+
     return true;
   }
 
@@ -178,19 +543,15 @@ class LocalFileSystemProvider extends StorageProvider {
    * @returns {Promise<{lastAccessed: Date|null, createdAt: Date}>}
    */
   async getFileMetadata(privateKey) {
-    const metadataPath = this._getMetadataPath(privateKey);
-    
-    try {
-      const metadataContent = await fs.readFile(metadataPath, 'utf-8');
-      const metadata = JSON.parse(metadataContent);
-      
-      return {
-        lastAccessed: metadata.lastAccessed ? new Date(metadata.lastAccessed) : null,
-        createdAt: new Date(metadata.createdAt)
-      };
-    } catch (error) {
+    const metadata = await this.metadataStore.get(privateKey);
+    if (!metadata) {
       throw new Error('File metadata not found');
     }
+
+    return {
+      lastAccessed: metadata.lastAccessed ? new Date(metadata.lastAccessed) : null,
+      createdAt: new Date(metadata.createdAt)
+    };
   }
 
   /**
@@ -199,67 +560,417 @@ class LocalFileSystemProvider extends StorageProvider {
    * @returns {Promise<void>}
    */
   async updateLastAccessed(publicKey) {
-    const metadataPath = this._getMetadataPath(publicKey);
-    
     try {
-      const metadataContent = await fs.readFile(metadataPath, 'utf-8');
-      const metadata = JSON.parse(metadataContent);
-      
-      metadata.lastAccessed = new Date().toISOString();
-      await fs.writeFile(metadataPath, JSON.stringify(metadata));
-      
-      // Also update private key metadata
-      const privateMetadataPath = this._getMetadataPath(metadata.privateKey);
-      await fs.writeFile(privateMetadataPath, JSON.stringify(metadata));
+      const stored = await this._findFile(publicKey);
+      if (stored) {
+        await this.metadataStore.update(stored.publicKey, (metadata) => {
+          metadata.lastAccessed = new Date().toISOString();
+        });
+      }
     } catch (error) {
       // File might not exist, ignore
     }
   }
 
+  /**
+   * Change the share settings of a file
+   * @param {string} privateKey - The private key identifying the file
+   * @param {{expiresAt?: string|null, notBefore?: string|null, maxDownloads?: number|null}} settings - Settings to change
+   * @returns {Promise<void>}
+   */
+  async updateFileSettings(privateKey, settings) {
+    await this.metadataStore.update(privateKey, (metadata) => {
+      if (metadata.privateKey !== privateKey) {
+        throw new Error('File not found');
+      }
+      applyShareSettings(metadata, settings);
+    });
+  }
+
+  /**
+   * Record new keys in the metadata of a file
+   * @param {string} privateKey - The private key identifying the file
+   * @param {{publicKey?: string, privateKey?: string}} keys - The new keys
+   * @returns {Promise<void>}
+   */
+  async _replaceKeys(privateKey, keys) {
+    await this.metadataStore.update(privateKey, (metadata) => {
+      if (metadata.privateKey !== privateKey) {
+        throw new Error('File not found');
+      }
+
+      // Content stored before its file name was recorded stays under the old public key
+      if (!metadata.contentHash && !metadata.fileName) {
+        metadata.fileName = metadata.publicKey;
+      }
+      replaceKeys(metadata, keys);
+    });
+  }
+
+  /**
+   * Atomically record a download of a share with limits
+   * @param {string} publicKey - The public key identifying the file
+   * @returns {Promise<{downloadCount: number, maxDownloads: number|null}>}
+   */
+  async consumeDownload(publicKey) {
+    const stored = await this._findFile(publicKey);
+    if (!stored) {
+      throw new Error('File not found');
+    }
+
+    return this.metadataStore.update(stored.publicKey, (metadata) => {
+      if (metadata.publicKey !== stored.publicKey) {
+        throw new Error('File not found');
+      }
+
+      assertShareAvailable(metadata);
+      metadata.downloadCount = (metadata.downloadCount || 0) + 1;
+      metadata.lastAccessed = new Date().toISOString();
+
+      return { downloadCount: metadata.downloadCount, maxDownloads: metadata.maxDownloads };
+    });
+  }
+
+  /**
+   * Record a stored rendition in the metadata of its file
+   * @param {string} publicKey - The public key identifying the file
+   * @param {string} variant - Name of the rendition
+   * @param {{publicKey: string, privateKey: string}} keys - Keys of the rendition
+   * @returns {Promise<boolean>} - False if a rendition of the variant was already recorded
+   */
+  async _attachRendition(publicKey, variant, keys) {
+    const stored = await this._findFile(publicKey);
+    if (!stored) {
+      throw new Error('File not found');
+    }
+
+    // The public key of a zero-knowledge file's rendition would open it, so it is sealed like the file's details
+    const entry = stored.zeroKnowledge ? protectRendition(publicKey, keys) : keys;
+    return this.metadataStore.update(stored.publicKey, (metadata) => {
+      if (metadata.publicKey !== stored.publicKey) {
+        throw new Error('File not found');
+      }
+      return addRendition(metadata, variant, entry);
+    });
+  }
+
   /**
    * Get all files that match cleanup criteria
    * @param {Date} inactiveSince - Files not accessed since this date should be returned
    * @returns {Promise<Array<{privateKey: string}>>}
    */
   async getInactiveFiles(inactiveSince) {
-    const inactiveFiles = [];
-    
+    // File is inactive if never accessed and created before threshold, or last accessed before threshold
+    const metadataList = await this.metadataStore.findInactive(inactiveSince);
+
+    // Bundle members go away together with their bundle
+    return metadataList
+      .filter(metadata => !metadata.bundled)
+      .map(metadata => ({ privateKey: metadata.privateKey }));
+  }
+
+  /**
+   * Get all files that have expired or used up their downloads
+   * @param {Date} now - Reference time
+   * @returns {Promise<Array<{privateKey: string}>>}
+   */
+  async getExpiredFiles(now) {
+    const metadataList = await this.metadataStore.findExpired(now);
+
+    // Bundle members go away together with their bundle
+    return metadataList
+      .filter(metadata => !metadata.bundled)
+      .map(metadata => ({ privateKey: metadata.privateKey }));
+  }
+
+  /**
+   * Re-wrap the data keys of all encrypted content with the active master key
+   * Only the headers are rewritten; the content itself is not touched
+   * @returns {Promise<{rewrapped: number}>}
+   */
+  async rewrapDataKeys() {
+    if (!this.keyRing) {
+      throw new Error('Encryption is not configured');
+    }
+
+    let rewrapped = 0;
+
+    const files = await fs.readdir(this.filesFolder);
+    for (const file of files) {
+      if (await this._rewrapFile(this._getFilePath(file))) {
+        rewrapped++;
+      }
+    }
+
+    const blobs = await fs.readdir(this.blobsFolder, { withFileTypes: true });
+    for (const blob of blobs.filter(entry => entry.isFile())) {
+      const rewrappedBlob = await this._withBlob(blob.name, () => this._rewrapFile(this._getBlobPath(blob.name)));
+      if (rewrappedBlob) {
+        rewrapped++;
+      }
+    }
+
+    return { rewrapped };
+  }
+
+  /**
+   * Re-wrap the data key in the header of one file
+   * @param {string} filePath - Path of the stored content
+   * @returns {Promise<boolean>} - True if the header was rewritten
+   */
+  async _rewrapFile(filePath) {
+    let fileHandle;
+    try {
+      fileHandle = await fs.open(filePath, 'r+');
+    } catch (error) {
+      // Removed in the meantime
+      return false;
+    }
+
     try {
-      const metadataFiles = await fs.readdir(this.metadataFolder);
-      
-      for (const metadataFile of metadataFiles) {
-        // Only process private key metadata files (we can identify them by checking both keys)
-        // For simplicity, we'll check all metadata files and use privateKey from metadata
-        if (metadataFile.endsWith('.json')) {
-          try {
-            const metadataPath = path.join(this.metadataFolder, metadataFile);
-            const metadataContent = await fs.readFile(metadataPath, 'utf-8');
-            const metadata = JSON.parse(metadataContent);
-            
-            // Only process if this is a private key file (has privateKey that matches filename)
-            const keyFromFilename = metadataFile.replace('.json', '');
-            if (metadata.privateKey === keyFromFilename) {
-              const lastAccessed = metadata.lastAccessed ? new Date(metadata.lastAccessed) : null;
-              const createdAt = new Date(metadata.createdAt);
-              
-              // File is inactive if never accessed and created before threshold, or last accessed before threshold
-              const referenceDate = lastAccessed || createdAt;
-              
-              if (referenceDate < inactiveSince) {
-                inactiveFiles.push({ privateKey: metadata.privateKey });
-              }
-            }
-          } catch (error) {
-            // Skip invalid metadata files
-            continue;
+      const envelope = await this._readEnvelope(fileHandle);
+      const rewrapped = envelope && rewrapEnvelope(this.keyRing, envelope);
+      if (!rewrapped) {
+        return false;
+      }
+
+      await fileHandle.write(encodeHeader(rewrapped), 0, HEADER_SIZE, 0);
+      return true;
+    } finally {
+      await fileHandle.close();
+    }
+  }
+
+  /**
+   * Get the data file path of an upload session
+   * @param {string} uploadId - The upload session id
+   * @returns {string}
+   */
+  _getUploadPath(uploadId) {
+    return path.join(this.uploadsFolder, uploadId);
+  }
+
+  /**
+   * Get the state file path of an upload session
+   * @param {string} uploadId - The upload session id
+   * @returns {string}
+   */
+  _getUploadStatePath(uploadId) {
+    return path.join(this.uploadsFolder, `${uploadId}.json`);
+  }
+
+  /**
+   * Save the state of an upload session
+   * @param {UploadSession} session - The session state
+   * @returns {Promise<void>}
+   */
+  async _saveUploadSession(session) {
+    session.updatedAt = new Date().toISOString();
+    await fs.writeFile(this._getUploadStatePath(session.uploadId), JSON.stringify(session));
+  }
+
+  /**
+   * Start a resumable upload session
+   * @param {{originalName: string, mimeType: string, uploadLength: number, uploader?: string}} options - Declared
+   *   file info and the client uploading it
+   * @returns {Promise<UploadSession>}
+   */
+  async createUploadSession({ originalName, mimeType, uploadLength, uploader = null }) {
+    const uploadId = crypto.randomBytes(16).toString('hex');
+    const now = new Date().toISOString();
+
+    const session = {
+      uploadId,
+      originalName,
+      mimeType,
+      uploadLength,
+      uploader,
+      offset: 0,
+      completed: false,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await fs.writeFile(this._getUploadPath(uploadId), '');
+    await this._saveUploadSession(session);
+
+    return session;
+  }
+
+  /**
+   * Get the state of a resumable upload session
+   * @param {string} uploadId - The upload session id
+   * @returns {Promise<UploadSession>}
+   */
+  async getUploadSession(uploadId) {
+    if (!UPLOAD_ID_PATTERN.test(uploadId)) {
+      throw new Error('Upload session not found');
+    }
+
+    try {
+      const stateContent = await fs.readFile(this._getUploadStatePath(uploadId), 'utf-8');
+      return JSON.parse(stateContent);
+    } catch (error) {
+      throw new Error('Upload session not found');
+    }
+  }
+
+  /**
+   * Append a chunk to a resumable upload session
+   * Bytes received before a connection drop are kept, as with any partial append
+   * @param {string} uploadId - The upload session id
+   * @param {number} offset - Offset the chunk starts at
+   * @param {Readable} stream - The chunk content
+   * @returns {Promise<number>} - The new session offset
+   */
+  async appendUploadChunk(uploadId, offset, stream) {
+    const session = await this.getUploadSession(uploadId);
+
+    if (session.completed) {
+      throw new Error('Upload already completed');
+    }
+    if (offset !== session.offset) {
+      throw new Error('Upload offset mismatch');
+    }
+
+    const uploadPath = this._getUploadPath(uploadId);
+    const limiter = createSizeLimiter(session.uploadLength - session.offset, 'Upload length exceeded');
+
+    try {
+      await pipeline(stream, limiter, createWriteStream(uploadPath, { flags: 'r+', start: offset }));
+    } finally {
+      // The data file is the source of truth for how much has been received
+      const { size } = await fs.stat(uploadPath);
+      session.offset = size;
+      await this._saveUploadSession(session);
+    }
+
+    return session.offset;
+  }
+
+  /**
+   * Turn a fully uploaded session into a regular file
+   * The keys are returned this once and are not kept
+   * @param {string} uploadId - The upload session id
+   * @returns {Promise<{publicKey: string, privateKey: string, fileSize: number}>}
+   */
+  async completeUploadSession(uploadId) {
+    const session = await this.getUploadSession(uploadId);
+
+    if (session.completed) {
+      throw new Error('Upload already completed');
+    }
+    if (session.offset !== session.uploadLength) {
+      throw new Error('Upload incomplete');
+    }
+
+    // Taking the received data aside first lets only one of several completions store it
+    const uploadPath = this._getUploadPath(uploadId);
+    const claimedPath = `${uploadPath}.completing`;
+    try {
+      await fs.rename(uploadPath, claimedPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error('Upload already completed');
+      }
+      throw error;
+    }
+
+    const { publicKey, privateKey } = this._generateKeys();
+    const filePath = this._getFilePath(this._getStoredKey(publicKey));
+    const copied = Boolean(this.deduplicate || this.keyRing || this.zeroKnowledge);
+    let moved = false;
+
+    // Move the received data into place and save metadata; data that has to be deduplicated or encrypted is copied
+    try {
+      let sha256;
+      if (copied) {
+        sha256 = await this._writeContent(createReadStream(claimedPath), publicKey, createByteCounter());
+      } else {
+        sha256 = await hashStream(createReadStream(claimedPath));
+        await fs.rename(claimedPath, filePath);
+        moved = true;
+      }
+      await this._createFileMetadata(this._createMetadata(
+        publicKey, privateKey, session.originalName, session.mimeType, session.uploadLength,
+        this.deduplicate ? sha256 : null, { sha256, uploader: session.uploader || null }
+      ));
+    } catch (error) {
+      // Take back what was stored and give the data back, so the completion can be retried;
+      // the reference to a deduplicated blob is dropped with the failed metadata
+      if (moved) {
+        await fs.rename(filePath, claimedPath);
+      } else if (!this.deduplicate) {
+        await fs.rm(filePath, { force: true });
+      }
+      await fs.rename(claimedPath, uploadPath);
+      throw error;
+    }
+    if (copied) {
+      await fs.rm(claimedPath, { force: true });
+    }
+
+    // Only the completion is kept; the keys are returned this once
+    session.completed = true;
+    if (this.zeroKnowledge) {
+      delete session.originalName;
+      delete session.mimeType;
+    }
+    await this._saveUploadSession(session);
+
+    return { publicKey, privateKey, fileSize: session.uploadLength };
+  }
+
+  /**
+   * Abort a resumable upload session and remove the uploaded data
+   * @param {string} uploadId - The upload session id
+   * @returns {Promise<boolean>}
+   */
+  async deleteUploadSession(uploadId) {
+    try {
+      await this.getUploadSession(uploadId);
+    } catch (error) {
+      return false;
+    }
+
+    await fs.rm(this._getUploadPath(uploadId), { force: true });
+    await fs.rm(`${this._getUploadPath(uploadId)}.completing`, { force: true });
+    await fs.rm(this._getUploadStatePath(uploadId), { force: true });
+
+    return true;
+  }
+
+  /**
+   * Get all upload sessions that have not been touched since a date
+   * @param {Date} inactiveSince - Sessions not updated since this date should be returned
+   * @returns {Promise<Array<{uploadId: string}>>}
+   */
+  async getStaleUploadSessions(inactiveSince) {
+    const staleSessions = [];
+
+    try {
+      const uploadFiles = await fs.readdir(this.uploadsFolder);
+
+      for (const uploadFile of uploadFiles) {
+        if (!uploadFile.endsWith('.json')) {
+          continue;
+        }
+
+        try {
+          const session = await this.getUploadSession(uploadFile.replace('.json', ''));
+          if (new Date(session.updatedAt) < inactiveSince) {
+            staleSessions.push({ uploadId: session.uploadId });
           }
+        } catch (error) {
+          // Skip invalid session files
+          continue;
         }
       }
     } catch (error) {
-      // Metadata folder might not exist yet
+      // Uploads folder might not exist yet
     }
-    
-    return inactiveFiles;
+
+    return staleSessions;
   }
 }
 
@@ -0,0 +1,140 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const MemoryMetadataStore = require('./MemoryMetadataStore');
+
+// The log is rewritten once it holds at least COMPACTION_MIN_ENTRIES entries
+// and COMPACTION_RATIO entries per stored file
+const COMPACTION_MIN_ENTRIES = 1000;
+const COMPACTION_RATIO = 2;
+
+/**
+ * Metadata store backed by an append-only log with an in-memory index
+ * Every change is appended to the log as a JSON line; the log is replayed into memory
+ * on startup and rewritten from memory once it has grown enough. Only one process may
+ * use a log at a time.
+ */
+class LogMetadataStore extends MemoryMetadataStore {
+  /**
+   * @param {string} logPath - Absolute path to the log file
+   */
+  constructor(logPath) {
+    super();
+    this.logPath = logPath;
+    // Number of entries in the log file
+    this.logEntries = 0;
+    // Appends and rewrites run one after another
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Replay the log into memory
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    await fs.mkdir(path.dirname(this.logPath), { recursive: true });
+
+    let content;
+    try {
+      content = await fs.readFile(this.logPath, 'utf-8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      content = '';
+    }
+
+    const lines = content.split('\n').filter(line => line.trim() !== '');
+    let skipped = 0;
+
+    for (const line of lines) {
+      let change;
+      try {
+        change = JSON.parse(line);
+      } catch (error) {
+        // A crash in the middle of an append leaves a partial last line behind
+        skipped++;
+        continue;
+      }
+
+      if (change.op === 'put') {
+        // A file given a new public key is written as one entry, so it is never found by both
+        if (change.replaces) {
+          this._remove(change.replaces);
+        }
+        this._put(change.metadata);
+      } else if (change.op === 'delete') {
+        this._remove(change.publicKey);
+      }
+    }
+
+    if (skipped > 0) {
+      console.warn(`Skipped ${skipped} unreadable entries in metadata log ${this.logPath}`);
+    }
+
+    // Rewrite a damaged log right away, so new entries are not appended to a partial line
+    this.logEntries = lines.length;
+    const damaged = skipped > 0 || (content !== '' && !content.endsWith('\n'));
+    if (damaged || this._needsCompaction()) {
+      await this._enqueue(() => this._compact());
+    }
+  }
+
+  /**
+   * Run a write after all writes queued before it
+   * @param {Function} task - Async write
+   * @returns {Promise<*>} - Result of the task
+   */
+  _enqueue(task) {
+    const result = this.writeQueue.then(task);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Check whether the log has grown enough to be rewritten
+   * @returns {boolean}
+   */
+  _needsCompaction() {
+    return this.logEntries >= COMPACTION_MIN_ENTRIES && this.logEntries >= this.records.size * COMPACTION_RATIO;
+  }
+
+  /**
+   * Rewrite the log with one entry per stored file
+   * The new log is written next to the old one and renamed into place, so a crash
+   * leaves either the old or the new log behind
+   * @returns {Promise<void>}
+   */
+  async _compact() {
+    const lines = [...this.records.values()].map(metadata => `${JSON.stringify({ op: 'put', metadata })}\n`);
+    const tempPath = `${this.logPath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+    await fs.writeFile(tempPath, lines.join(''));
+    await fs.rename(tempPath, this.logPath);
+    this.logEntries = lines.length;
+  }
+
+  /**
+   * Append a change to the log
+   * @param {{op: string, metadata?: Object, publicKey?: string, replaces?: string}} change - The change
+   * @returns {Promise<void>}
+   */
+  async _persist(change) {
+    await this._enqueue(async () => {
+      await fs.appendFile(this.logPath, `${JSON.stringify(change)}\n`);
+      this.logEntries++;
+
+      if (this._needsCompaction()) {
+        try {
+          await this._compact();
+        } catch (error) {
+          // The change itself is in the log, compaction is retried after the next one
+          console.warn(`Metadata log ${this.logPath} could not be compacted:`, error.message);
+        }
+      }
+    });
+  }
+}
+
+module.exports = LogMetadataStore;
@@ -0,0 +1,272 @@
+const MetadataStore = require('./MetadataStore');
+const { getShareTokenKeys } = require('./shareTokens');
+const { isDownloadLimitReached } = require('./shareLimits');
+
+/**
+ * Get the time a file was last active, in milliseconds
+ * @param {Object} metadata - File metadata
+ * @returns {number}
+ */
+function activityTime(metadata) {
+  return Date.parse(metadata.lastAccessed || metadata.createdAt);
+}
+
+/**
+ * Order time index entries by time, then by public key
+ * @param {[number, string]} a - Index entry
+ * @param {[number, string]} b - Index entry
+ * @returns {number}
+ */
+function compareEntries(a, b) {
+  if (a[0] !== b[0]) {
+    return a[0] - b[0];
+  }
+  if (a[1] === b[1]) {
+    return 0;
+  }
+  return a[1] < b[1] ? -1 : 1;
+}
+
+/**
+ * Find the first position in a sorted time index not before an entry
+ * @param {Array<[number, string]>} entries - Sorted index entries
+ * @param {[number, string]} entry - Entry to look for
+ * @returns {number}
+ */
+function lowerBound(entries, entry) {
+  let low = 0;
+  let high = entries.length;
+
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (compareEntries(entries[middle], entry) < 0) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+
+  return low;
+}
+
+/**
+ * In-memory metadata store
+ * Looks files up by either key or a share token in O(1) and keeps them sorted by last activity and
+ * by expiry time, next to the set of files that used up their downloads, so inactive and expired
+ * files are found without looking at the others.
+ * Subclasses make it durable by implementing _persist.
+ */
+class MemoryMetadataStore extends MetadataStore {
+  constructor() {
+    super();
+    // publicKey -> metadata
+    this.records = new Map();
+    // privateKey -> publicKey
+    this.privateKeys = new Map();
+    // share token -> publicKey
+    this.shareTokens = new Map();
+    // [activity time, publicKey] sorted ascending
+    this.activity = [];
+    // [expiry time, publicKey] of files with an expiry time, sorted ascending
+    this.expiry = [];
+    // publicKeys of files that used up their downloads
+    this.exhausted = new Set();
+  }
+
+  /**
+   * Find the stored metadata of a file
+   * Returns the stored document itself, callers must not hand it out
+   * @param {string} key - Public or private key, or a share token
+   * @returns {Object|null}
+   */
+  _find(key) {
+    return this.records.get(key) || this.records.get(this.privateKeys.get(key)) ||
+      this.records.get(this.shareTokens.get(key)) || null;
+  }
+
+  /**
+   * Store metadata in memory, replacing an older version of it
+   * @param {Object} metadata - File metadata
+   */
+  _put(metadata) {
+    this._remove(metadata.publicKey);
+
+    this.records.set(metadata.publicKey, metadata);
+    this.privateKeys.set(metadata.privateKey, metadata.publicKey);
+    for (const token of getShareTokenKeys(metadata)) {
+      this.shareTokens.set(token, metadata.publicKey);
+    }
+
+    const entry = [activityTime(metadata), metadata.publicKey];
+    this.activity.splice(lowerBound(this.activity, entry), 0, entry);
+
+    if (metadata.expiresAt) {
+      const expiryEntry = [Date.parse(metadata.expiresAt), metadata.publicKey];
+      this.expiry.splice(lowerBound(this.expiry, expiryEntry), 0, expiryEntry);
+    }
+    if (isDownloadLimitReached(metadata)) {
+      this.exhausted.add(metadata.publicKey);
+    }
+  }
+
+  /**
+   * Remove metadata from memory
+   * @param {string} publicKey - The public key of the file
+   */
+  _remove(publicKey) {
+    const metadata = this.records.get(publicKey);
+    if (!metadata) {
+      return;
+    }
+
+    this.records.delete(publicKey);
+    this.privateKeys.delete(metadata.privateKey);
+    for (const token of getShareTokenKeys(metadata)) {
+      this.shareTokens.delete(token);
+    }
+
+    const position = lowerBound(this.activity, [activityTime(metadata), publicKey]);
+    this.activity.splice(position, 1);
+
+    if (metadata.expiresAt) {
+      this.expiry.splice(lowerBound(this.expiry, [Date.parse(metadata.expiresAt), publicKey]), 1);
+    }
+    this.exhausted.delete(publicKey);
+  }
+
+  /**
+   * Make a change durable
+   * Called after the change is applied in memory; if it throws, the change is rolled back
+   * @param {{op: string, metadata?: Object, publicKey?: string, replaces?: string}} change - 'put' with metadata,
+   *   and the public key it replaces if the file got a new one, or 'delete' with publicKey
+   * @returns {Promise<void>}
+   */
+  async _persist(change) {}
+
+  /**
+   * Apply a change in memory and persist it, rolling back if persisting fails
+   * @param {string} publicKey - The public key of the changed file
+   * @param {Object|null} next - New metadata, possibly under a new public key, or null to remove the file
+   * @returns {Promise<void>}
+   */
+  async _commit(publicKey, next) {
+    const previous = this.records.get(publicKey) || null;
+    const moved = Boolean(next) && next.publicKey !== publicKey;
+
+    // A file given a new public key is no longer found by the old one
+    if (!next || moved) {
+      this._remove(publicKey);
+    }
+    if (next) {
+      this._put(next);
+    }
+
+    try {
+      const change = next ? { op: 'put', metadata: next } : { op: 'delete', publicKey };
+      await this._persist(moved ? { ...change, replaces: publicKey } : change);
+    } catch (error) {
+      // Only roll back if nothing else changed the file in the meantime
+      const currentKey = next ? next.publicKey : publicKey;
+      if ((this.records.get(currentKey) || null) === next) {
+        this._remove(currentKey);
+        if (previous) {
+          this._put(previous);
+        }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the metadata of a file
+   * @param {string} key - Public or private key, or a share token of the file
+   * @returns {Promise<Object|null>}
+   */
+  async get(key) {
+    const metadata = this._find(key);
+    return metadata ? { ...metadata } : null;
+  }
+
+  /**
+   * Add the metadata of a new file
+   * @param {Object} metadata - Metadata including publicKey and privateKey
+   * @returns {Promise<void>}
+   */
+  async create(metadata) {
+    await this._commit(metadata.publicKey, { ...metadata });
+  }
+
+  /**
+   * Atomically read, change and save the metadata of a file
+   * The change is applied before anything is awaited, so concurrent updates cannot interleave
+   * @param {string} key - Public or private key, or a share token of the file
+   * @param {Function} mutate - Changes the metadata in place, may throw to abort
+   * @returns {Promise<*>} - Return value of mutate
+   */
+  async update(key, mutate) {
+    const stored = this._find(key);
+    if (!stored) {
+      throw new Error('File not found');
+    }
+
+    const metadata = { ...stored };
+    const result = mutate(metadata);
+    await this._commit(stored.publicKey, metadata);
+
+    return result;
+  }
+
+  /**
+   * Remove the metadata of a file
+   * @param {string} key - Public or private key, or a share token of the file
+   * @returns {Promise<boolean>}
+   */
+  async delete(key) {
+    const stored = this._find(key);
+    if (!stored) {
+      return false;
+    }
+
+    await this._commit(stored.publicKey, null);
+    return true;
+  }
+
+  /**
+   * Get the metadata of every file
+   * @returns {Promise<Array<Object>>}
+   */
+  async list() {
+    return [...this.records.values()].map(metadata => ({ ...metadata }));
+  }
+
+  /**
+   * Get the metadata of files not accessed since a date, least recently active first
+   * Uses the activity index, so only the matching files are looked at
+   * @param {Date} inactiveSince - Files last active strictly before this date are returned
+   * @returns {Promise<Array<Object>>}
+   */
+  async findInactive(inactiveSince) {
+    // The empty string sorts before every key, so files active exactly at the threshold are excluded
+    const end = lowerBound(this.activity, [inactiveSince.getTime(), '']);
+
+    return this.activity.slice(0, end).map(([, publicKey]) => ({ ...this.records.get(publicKey) }));
+  }
+
+  /**
+   * Get the metadata of files past their expiry time or download limit, expired files first
+   * Uses the expiry index and the set of exhausted files, so only the matching files are looked at
+   * @param {Date} now - Reference time; files expiring at exactly this time are returned
+   * @returns {Promise<Array<Object>>}
+   */
+  async findExpired(now) {
+    const end = lowerBound(this.expiry, [now.getTime() + 1, '']);
+    const publicKeys = new Set(this.expiry.slice(0, end).map(([, publicKey]) => publicKey));
+    for (const publicKey of this.exhausted) {
+      publicKeys.add(publicKey);
+    }
+
+    return [...publicKeys].map(publicKey => ({ ...this.records.get(publicKey) }));
+  }
+}
+
+module.exports = MemoryMetadataStore;
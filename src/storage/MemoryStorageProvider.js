@@ -0,0 +1,475 @@
+const crypto = require('crypto');
+const { Readable, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const StorageProvider = require('./StorageProvider');
+const { createSizeLimiter } = require('./streamUtils');
+const { assertShareAvailable, applyShareSettings } = require('./shareLimits');
+const { toFileInfo, addRendition, replaceKeys } = require('./fileMetadata');
+const MemoryMetadataStore = require('./MemoryMetadataStore');
+
+/**
+ * Create a writable stream that collects everything written to it
+ * @returns {Writable & {chunks: Array<Buffer>}}
+ */
+function createCollector() {
+  const collector = new Writable({
+    write(chunk, encoding, callback) {
+      collector.chunks.push(chunk);
+      callback();
+    }
+  });
+  collector.chunks = [];
+  return collector;
+}
+
+/**
+ * In-memory storage provider
+ * Keeps files, metadata and upload sessions in process memory, so nothing survives a restart.
+ * Meant for tests and throwaway development servers.
+ */
+class MemoryStorageProvider extends StorageProvider {
+  constructor() {
+    super();
+    // publicKey -> file content
+    this.files = new Map();
+    this.metadataStore = new MemoryMetadataStore();
+    // uploadId -> {session, chunks}
+    this.uploadSessions = new Map();
+  }
+
+  /**
+   * Initialize the storage provider
+   * Nothing to prepare, kept for interface parity with the other providers
+   * @returns {Promise<void>}
+   */
+  async initialize() {}
+
+  /**
+   * Generate a unique key pair for a file
+   * @returns {{publicKey: string, privateKey: string}}
+   */
+  _generateKeys() {
+    const publicKey = crypto.randomBytes(32).toString('hex');
+    const privateKey = crypto.randomBytes(32).toString('hex');
+    return { publicKey, privateKey };
+  }
+
+  /**
+   * Build the metadata document of a newly stored file
+   * @param {string} publicKey - The public key of the file
+   * @param {string} privateKey - The private key of the file
+   * @param {string} originalName - The original filename
+   * @param {string} mimeType - The MIME type of the file
+   * @param {number} fileSize - Size of the file in bytes
+   * @param {{sha256?: string, bundled?: boolean, members?: Array<string>, uploader?: string}} [details] - SHA-256 of
+   *   the content, bundle membership and uploader of the file
+   * @returns {Object}
+   */
+  _createMetadata(publicKey, privateKey, originalName, mimeType, fileSize, { sha256 = null, bundled = false, members = null, uploader = null } = {}) {
+    return {
+      publicKey,
+      privateKey,
+      originalName,
+      mimeType,
+      createdAt: new Date().toISOString(),
+      lastAccessed: null,
+      fileSize,
+      sha256,
+      expiresAt: null,
+      notBefore: null,
+      maxDownloads: null,
+      downloadCount: 0,
+      passwordHash: null,
+      bundled,
+      members,
+      uploader
+    };
+  }
+
+  /**
+   * Store a file and its metadata
+   * @param {Buffer} content - The file content
+   * @param {string} originalName - The original filename
+   * @param {string} mimeType - The MIME type of the file
+   * @param {{bundled?: boolean, members?: Array<string>, uploader?: string}} [options] - Bundle membership
+   *   and uploader of the file
+   * @returns {Promise<{publicKey: string, privateKey: string, fileSize: number}>}
+   */
+  async _storeFile(content, originalName, mimeType, options = {}) {
+    const { publicKey, privateKey } = this._generateKeys();
+
+    const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+
+    this.files.set(publicKey, content);
+    await this.metadataStore.create(
+      this._createMetadata(publicKey, privateKey, originalName, mimeType, content.length, { ...options, sha256 })
+    );
+
+    return { publicKey, privateKey, fileSize: content.length };
+  }
+
+  /**
+   * Upload a file into memory from a readable stream
+   * @param {Readable} stream - The file content as a readable stream
+   * @param {string} originalName - The original filename
+   * @param {string} mimeType - The MIME type of the file
+   * @param {{bundled?: boolean, members?: Array<string>, uploader?: string}} [options] - Bundle membership
+   *   and uploader of the file
+   * @returns {Promise<{publicKey: string, privateKey: string, fileSize: number}>}
+   */
+  async uploadStream(stream, originalName, mimeType, options = {}) {
+    // Nothing is stored until the whole stream has been read
+    const collector = createCollector();
+    await pipeline(stream, collector);
+
+    return this._storeFile(Buffer.concat(collector.chunks), originalName, mimeType, options);
+  }
+
+  /**
+   * Get information about a file in memory
+   * @param {string} publicKey - The public key identifying the file
+   * @returns {Promise<FileInfo>}
+   */
+  async getFileInfo(publicKey) {
+    const metadata = await this.metadataStore.get(publicKey);
+    if (!metadata || metadata.publicKey !== publicKey) {
+      throw new Error('File not found');
+    }
+
+    return toFileInfo(metadata);
+  }
+
+  /**
+   * Get information about a file for its owner
+   * @param {string} privateKey - The private key identifying the file
+   * @returns {Promise<FileInfo>}
+   */
+  async getOwnerFileInfo(privateKey) {
+    const metadata = await this.metadataStore.get(privateKey);
+    if (!metadata || metadata.privateKey !== privateKey) {
+      throw new Error('File not found');
+    }
+
+    return toFileInfo(metadata);
+  }
+
+  /**
+   * Open a readable stream over a file in memory
+   * @param {string} publicKey - The public key identifying the file
+   * @param {{start?: number, end?: number}} [range] - Inclusive byte range to read
+   * @returns {Promise<Readable>}
+   */
+  async createReadStream(publicKey, range = {}) {
+    const content = this.files.get(publicKey);
+    if (!content) {
+      throw new Error('File not found');
+    }
+
+    const start = range.start || 0;
+    const end = range.end === undefined ? content.length - 1 : range.end;
+    return Readable.from([content.subarray(start, end + 1)]);
+  }
+
+  /**
+   * Delete a file from memory
+   * @param {string} privateKey - The private key identifying the file
+   * @returns {Promise<boolean>}
+   */
+  async deleteFile(privateKey) {
+    // A public key must never be able to delete a file
+    const metadata = await this.metadataStore.get(privateKey);
+    if (!metadata || metadata.privateKey !== privateKey) {
+      return false;
+    }
+
+    // Members and renditions go first, so a file whose dependents could not all be deleted can be deleted again
+    await this._deleteBundleMembers(metadata);
+    await this._deleteRenditions(metadata);
+
+    this.files.delete(metadata.publicKey);
+    await this.metadataStore.delete(privateKey);
+
+    return true;
+  }
+
+  /**
+   * Get metadata for a file
+   * @param {string} privateKey - The private key identifying the file
+   * @returns {Promise<{lastAccessed: Date|null, createdAt: Date}>}
+   */
+  async getFileMetadata(privateKey) {
+    const metadata = await this.metadataStore.get(privateKey);
+    if (!metadata) {
+      throw new Error('File metadata not found');
+    }
+
+    return {
+      lastAccessed: metadata.lastAccessed ? new Date(metadata.lastAccessed) : null,
+      createdAt: new Date(metadata.createdAt)
+    };
+  }
+
+  /**
+   * Update last accessed timestamp for a file
+   * @param {string} publicKey - The public key identifying the file
+   * @returns {Promise<void>}
+   */
+  async updateLastAccessed(publicKey) {
+    try {
+      await this.metadataStore.update(publicKey, (metadata) => {
+        metadata.lastAccessed = new Date().toISOString();
+      });
+    } catch (error) {
+      // File might not exist, ignore
+    }
+  }
+
+  /**
+   * Change the share settings of a file
+   * @param {string} privateKey - The private key identifying the file
+   * @param {{expiresAt?: string|null, notBefore?: string|null, maxDownloads?: number|null}} settings - Settings to change
+   * @returns {Promise<void>}
+   */
+  async updateFileSettings(privateKey, settings) {
+    await this.metadataStore.update(privateKey, (metadata) => {
+      if (metadata.privateKey !== privateKey) {
+        throw new Error('File not found');
+      }
+      applyShareSettings(metadata, settings);
+    });
+  }
+
+  /**
+   * Record new keys in the metadata of a file
+   * @param {string} privateKey - The private key identifying the file
+   * @param {{publicKey?: string, privateKey?: string}} keys - The new keys
+   * @returns {Promise<void>}
+   */
+  async _replaceKeys(privateKey, keys) {
+    const previousPublicKey = await this.metadataStore.update(privateKey, (metadata) => {
+      if (metadata.privateKey !== privateKey) {
+        throw new Error('File not found');
+      }
+
+      const publicKey = metadata.publicKey;
+      replaceKeys(metadata, keys);
+      return publicKey;
+    });
+
+    // Content is kept by public key
+    if (keys.publicKey) {
+      this.files.set(keys.publicKey, this.files.get(previousPublicKey));
+      this.files.delete(previousPublicKey);
+    }
+  }
+
+  /**
+   * Atomically record a download of a share with limits
+   * @param {string} publicKey - The public key identifying the file
+   * @returns {Promise<{downloadCount: number, maxDownloads: number|null}>}
+   */
+  async consumeDownload(publicKey) {
+    return this.metadataStore.update(publicKey, (metadata) => {
+      if (metadata.publicKey !== publicKey) {
+        throw new Error('File not found');
+      }
+
+      assertShareAvailable(metadata);
+      metadata.downloadCount = (metadata.downloadCount || 0) + 1;
+      metadata.lastAccessed = new Date().toISOString();
+
+      return { downloadCount: metadata.downloadCount, maxDownloads: metadata.maxDownloads };
+    });
+  }
+
+  /**
+   * Record a stored rendition in the metadata of its file
+   * @param {string} publicKey - The public key identifying the file
+   * @param {string} variant - Name of the rendition
+   * @param {{publicKey: string, privateKey: string}} keys - Keys of the rendition
+   * @returns {Promise<boolean>} - False if a rendition of the variant was already recorded
+   */
+  async _attachRendition(publicKey, variant, keys) {
+    return this.metadataStore.update(publicKey, (metadata) => {
+      if (metadata.publicKey !== publicKey) {
+        throw new Error('File not found');
+      }
+      return addRendition(metadata, variant, keys);
+    });
+  }
+
+  /**
+   * Get all files that match cleanup criteria
+   * @param {Date} inactiveSince - Files not accessed since this date should be returned
+   * @returns {Promise<Array<{privateKey: string}>>}
+   */
+  async getInactiveFiles(inactiveSince) {
+    // File is inactive if never accessed and created before threshold, or last accessed before threshold
+    const metadataList = await this.metadataStore.findInactive(inactiveSince);
+
+    // Bundle members go away together with their bundle
+    return metadataList
+      .filter(metadata => !metadata.bundled)
+      .map(metadata => ({ privateKey: metadata.privateKey }));
+  }
+
+  /**
+   * Get all files that have expired or used up their downloads
+   * @param {Date} now - Reference time
+   * @returns {Promise<Array<{privateKey: string}>>}
+   */
+  async getExpiredFiles(now) {
+    const metadataList = await this.metadataStore.findExpired(now);
+
+    // Bundle members go away together with their bundle
+    return metadataList
+      .filter(metadata => !metadata.bundled)
+      .map(metadata => ({ privateKey: metadata.privateKey }));
+  }
+
+  /**
+   * Start a resumable upload session
+   * @param {{originalName: string, mimeType: string, uploadLength: number, uploader?: string}} options - Declared
+   *   file info and the client uploading it
+   * @returns {Promise<UploadSession>}
+   */
+  async createUploadSession({ originalName, mimeType, uploadLength, uploader = null }) {
+    const uploadId = crypto.randomBytes(16).toString('hex');
+    const now = new Date().toISOString();
+
+    const session = {
+      uploadId,
+      originalName,
+      mimeType,
+      uploadLength,
+      uploader,
+      offset: 0,
+      completed: false,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.uploadSessions.set(uploadId, { session, chunks: [] });
+
+    return { ...session };
+  }
+
+  /**
+   * Get the state of a resumable upload session
+   * @param {string} uploadId - The upload session id
+   * @returns {Promise<UploadSession>}
+   */
+  async getUploadSession(uploadId) {
+    const upload = this.uploadSessions.get(uploadId);
+    if (!upload) {
+      throw new Error('Upload session not found');
+    }
+
+    // Callers get a copy so they cannot change the stored state by accident
+    return { ...upload.session };
+  }
+
+  /**
+   * Append a chunk to a resumable upload session
+   * Bytes received before a connection drop are kept, as with any partial append
+   * @param {string} uploadId - The upload session id
+   * @param {number} offset - Offset the chunk starts at
+   * @param {Readable} stream - The chunk content
+   * @returns {Promise<number>} - The new session offset
+   */
+  async appendUploadChunk(uploadId, offset, stream) {
+    const upload = this.uploadSessions.get(uploadId);
+    if (!upload) {
+      throw new Error('Upload session not found');
+    }
+
+    const { session } = upload;
+    if (session.completed) {
+      throw new Error('Upload already completed');
+    }
+    if (offset !== session.offset) {
+      throw new Error('Upload offset mismatch');
+    }
+
+    const limiter = createSizeLimiter(session.uploadLength - session.offset, 'Upload length exceeded');
+    const collector = createCollector();
+
+    try {
+      await pipeline(stream, limiter, collector);
+    } finally {
+      const received = Buffer.concat(collector.chunks);
+      if (received.length > 0) {
+        upload.chunks.push(received);
+        session.offset += received.length;
+      }
+      session.updatedAt = new Date().toISOString();
+    }
+
+    return session.offset;
+  }
+
+  /**
+   * Turn a fully uploaded session into a regular file
+   * The keys are returned this once and are not kept
+   * @param {string} uploadId - The upload session id
+   * @returns {Promise<{publicKey: string, privateKey: string, fileSize: number}>}
+   */
+  async completeUploadSession(uploadId) {
+    const upload = this.uploadSessions.get(uploadId);
+    if (!upload) {
+      throw new Error('Upload session not found');
+    }
+
+    const { session } = upload;
+    if (session.completed) {
+      throw new Error('Upload already completed');
+    }
+    if (session.offset !== session.uploadLength) {
+      throw new Error('Upload incomplete');
+    }
+
+    // Marked before storing, so a concurrent completion is refused
+    session.completed = true;
+    let keys;
+    try {
+      keys = await this._storeFile(
+        Buffer.concat(upload.chunks),
+        session.originalName,
+        session.mimeType,
+        { uploader: session.uploader || null }
+      );
+    } catch (error) {
+      session.completed = false;
+      throw error;
+    }
+
+    // Chunks are no longer needed
+    upload.chunks = [];
+    session.updatedAt = new Date().toISOString();
+
+    return { publicKey: keys.publicKey, privateKey: keys.privateKey, fileSize: session.uploadLength };
+  }
+
+  /**
+   * Abort a resumable upload session and remove the uploaded data
+   * @param {string} uploadId - The upload session id
+   * @returns {Promise<boolean>}
+   */
+  async deleteUploadSession(uploadId) {
+    return this.uploadSessions.delete(uploadId);
+  }
+
+  /**
+   * Get all upload sessions that have not been touched since a date
+   * @param {Date} inactiveSince - Sessions not updated since this date should be returned
+   * @returns {Promise<Array<{uploadId: string}>>}
+   */
+  async getStaleUploadSessions(inactiveSince) {
+    return [...this.uploadSessions.values()]
+      .filter(({ session }) => new Date(session.updatedAt) < inactiveSince)
+      .map(({ session }) => ({ uploadId: session.uploadId }));
+  }
+}
+
+module.exports = MemoryStorageProvider;
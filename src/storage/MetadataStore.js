@@ -0,0 +1,88 @@
+const { getShareStatus } = require('./shareLimits');
+
+/**
+ * Abstract base class for metadata stores
+ * A metadata store keeps one metadata document per file and finds it by either key,
+ * or by one of the share tokens listed in the document (see shareTokens.js).
+ * Storage providers keep the file content themselves and delegate metadata to a store,
+ * so the same index can be used with any blob storage.
+ *
+ * Stores hand out copies; changing a returned document never changes the store.
+ */
+class MetadataStore {
+  /**
+   * Prepare the store, e.g. load an index
+   * @returns {Promise<void>}
+   */
+  async initialize() {}
+
+  /**
+   * Get the metadata of a file
+   * @param {string} key - Public or private key, or a share token of the file
+   * @returns {Promise<Object|null>} - Metadata, or null if there is no file with this key
+   */
+  async get(key) {
+    throw new Error('get must be implemented by metadata store');
+  }
+
+  /**
+   * Add the metadata of a new file
+   * @param {Object} metadata - Metadata including publicKey and privateKey
+   * @returns {Promise<void>}
+   */
+  async create(metadata) {
+    throw new Error('create must be implemented by metadata store');
+  }
+
+  /**
+   * Atomically read, change and save the metadata of a file
+   * Concurrent updates of the same file never lose changes. Mutate may give the file new
+   * keys or share tokens; from then on it is only found by the new ones.
+   * @param {string} key - Public or private key, or a share token of the file
+   * @param {Function} mutate - Changes the metadata in place, may throw to abort
+   * @returns {Promise<*>} - Return value of mutate; throws 'File not found' for unknown keys
+   */
+  async update(key, mutate) {
+    throw new Error('update must be implemented by metadata store');
+  }
+
+  /**
+   * Remove the metadata of a file
+   * @param {string} key - Public or private key, or a share token of the file
+   * @returns {Promise<boolean>} - True if metadata was removed, false if there was none
+   */
+  async delete(key) {
+    throw new Error('delete must be implemented by metadata store');
+  }
+
+  /**
+   * Get the metadata of every file
+   * @returns {Promise<Array<Object>>}
+   */
+  async list() {
+    throw new Error('list must be implemented by metadata store');
+  }
+
+  /**
+   * Get the metadata of files not accessed since a date
+   * A file never accessed counts from its creation time
+   * @param {Date} inactiveSince - Files last active strictly before this date are returned
+   * @returns {Promise<Array<Object>>}
+   */
+  async findInactive(inactiveSince) {
+    const metadataList = await this.list();
+    return metadataList.filter(metadata => new Date(metadata.lastAccessed || metadata.createdAt) < inactiveSince);
+  }
+
+  /**
+   * Get the metadata of files past their expiry time or download limit
+   * @param {Date} now - Reference time; files expiring at exactly this time are returned
+   * @returns {Promise<Array<Object>>}
+   */
+  async findExpired(now) {
+    const metadataList = await this.list();
+    return metadataList.filter(metadata => ['expired', 'exhausted'].includes(getShareStatus(metadata, now)));
+  }
+}
+
+module.exports = MetadataStore;
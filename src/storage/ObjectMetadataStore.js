@@ -0,0 +1,308 @@
+const MetadataStore = require('./MetadataStore');
+const { getShareTokenKeys, findShareToken } = require('./shareTokens');
+
+// Attempts at a conditional metadata update before giving up
+const MAX_METADATA_UPDATE_ATTEMPTS = 5;
+
+/**
+ * @typedef {Object} MetadataObjects
+ * Access to the JSON documents of an object store (bucket or directory)
+ * @property {Function} read - (name, {withVersion}) => Promise<{content: Buffer, version?: string}|null>
+ * @property {Function} write - (name, content, {ifVersion, ifAbsent}) => Promise<boolean>, false if the version no
+ *   longer matches or the document exists although ifAbsent was set
+ * @property {Function} remove - (name, {ifVersion}) => Promise<boolean>, false if the version no longer matches
+ *   (conditional writes to absent documents and conditional removal are only used for blob references)
+ * @property {Function} list - (prefix, {before}) => Promise<Array<string>> of document names, sorted; with before,
+ *   listing may stop at the first name not sorting before it
+ */
+
+/**
+ * Metadata store keeping one JSON document per key in an object store
+ * This is the layout the bucket providers have always used: the metadata is stored under
+ * the public key, and the private key gets a small document pointing at it. Earlier
+ * versions stored a full copy under the private key; such copies are only followed to the
+ * public key document, never read for the metadata itself. Updates are written with a
+ * version precondition on the public key document and retried on conflicts, so several
+ * server instances can share a bucket. Finding inactive files means reading every document.
+ *
+ * A file given a new public key is written under it first; the move takes effect when the
+ * old public key document is emptied under its version precondition, and the emptied
+ * document is removed afterwards. Empty documents are treated like missing ones.
+ *
+ * Share tokens get a small document of their own pointing at the public key, so the
+ * metadata is not written once per token on every change. A pointer only counts while
+ * the file it points at still lists the token.
+ */
+class ObjectMetadataStore extends MetadataStore {
+  /**
+   * @param {MetadataObjects} objects - Document access
+   * @param {string} prefix - Prefix of the metadata documents
+   */
+  constructor(objects, prefix) {
+    super();
+    this.objects = objects;
+    this.prefix = prefix;
+  }
+
+  /**
+   * Prepare for a change of a file's metadata, before any document is written
+   * Subclasses keeping an index add its new entries here
+   * @param {Object|null} previous - Metadata before the change, null for a new file
+   * @param {Object} next - Metadata after the change
+   * @returns {Promise<void>}
+   */
+  async _beforeChange(previous, next) {}
+
+  /**
+   * Finish a change of a file's metadata, after its documents have been written or removed
+   * Subclasses keeping an index remove its outdated entries here
+   * @param {Object} previous - Metadata before the change
+   * @param {Object|null} next - Metadata after the change, null for a removed file
+   * @returns {Promise<void>}
+   */
+  async _afterChange(previous, next) {}
+
+  /**
+   * Get the document name for a key
+   * @param {string} key - Public or private key
+   * @returns {string}
+   */
+  _getPath(key) {
+    return `${this.prefix}${key}.json`;
+  }
+
+  /**
+   * Read and parse a document
+   * @param {string} key - Key the document is stored under
+   * @returns {Promise<Object|null>} - Null for missing and unreadable documents
+   */
+  async _readDocument(key) {
+    try {
+      const object = await this.objects.read(this._getPath(key));
+      return object ? JSON.parse(object.content.toString('utf-8')) : null;
+    } catch (error) {
+      // Unreadable documents are treated like missing ones
+      return null;
+    }
+  }
+
+  /**
+   * Save a document under the public key, and the pointer to it under the private key
+   * @param {Object} metadata - File metadata
+   * @returns {Promise<void>}
+   */
+  async _save(metadata) {
+    await this.objects.write(this._getPath(metadata.publicKey), JSON.stringify(metadata));
+    await this._writePrivatePointer(metadata);
+  }
+
+  /**
+   * Point the private key document of a file at its public key
+   * The pointer only changes with the keys, so updates leave it alone otherwise
+   * @param {Object} metadata - File metadata as saved
+   * @returns {Promise<void>}
+   */
+  async _writePrivatePointer(metadata) {
+    await this.objects.write(this._getPath(metadata.privateKey), JSON.stringify({ privateOf: metadata.publicKey }));
+  }
+
+  /**
+   * Remove a document, logging instead of throwing if that fails
+   * @param {string} metadataPath - Name of the document
+   * @returns {Promise<void>}
+   */
+  async _removeDocument(metadataPath) {
+    try {
+      await this.objects.remove(metadataPath);
+    } catch (error) {
+      console.warn(`Metadata file ${metadataPath} could not be deleted:`, error.message);
+    }
+  }
+
+  /**
+   * Point the documents of a file's share tokens at its public key
+   * @param {Object} metadata - File metadata as saved
+   * @param {Array<string>} tokens - Tokens whose documents are written
+   * @returns {Promise<void>}
+   */
+  async _writeSharePointers(metadata, tokens) {
+    const content = JSON.stringify({ shareOf: metadata.publicKey });
+    for (const token of tokens) {
+      await this.objects.write(this._getPath(token), content);
+    }
+  }
+
+  /**
+   * Move the public key document of a file to its new public key
+   * @param {string} metadataPath - Name of the current public key document
+   * @param {string} version - Version of the current document the change was made to
+   * @param {Object} metadata - Changed metadata, with the new public key
+   * @param {string} content - The changed metadata as JSON
+   * @returns {Promise<boolean>} - False if the current document changed in the meantime
+   */
+  async _movePublicDocument(metadataPath, version, metadata, content) {
+    const movedPath = this._getPath(metadata.publicKey);
+    await this.objects.write(movedPath, content);
+
+    if (!(await this.objects.write(metadataPath, '{}', { ifVersion: version }))) {
+      await this._removeDocument(movedPath);
+      return false;
+    }
+
+    await this._removeDocument(metadataPath);
+    return true;
+  }
+
+  /**
+   * Get the metadata of a file
+   * @param {string} key - Public or private key, or a share token of the file
+   * @returns {Promise<Object|null>}
+   */
+  async get(key) {
+    const document = await this._readDocument(key);
+    if (!document) {
+      return null;
+    }
+
+    if (document.shareOf) {
+      const metadata = await this._readDocument(document.shareOf);
+      return metadata && metadata.publicKey && findShareToken(metadata, key) ? metadata : null;
+    }
+
+    // Private key pointers, and full copies left by earlier versions, lead to the public key document
+    const publicKey = document.privateOf || (document.publicKey !== key ? document.publicKey : null);
+    if (publicKey) {
+      const metadata = await this._readDocument(publicKey);
+      return metadata && metadata.publicKey === publicKey && metadata.privateKey === key ? metadata : null;
+    }
+
+    return document.publicKey ? document : null;
+  }
+
+  /**
+   * Add the metadata of a new file
+   * @param {Object} metadata - Metadata including publicKey and privateKey
+   * @returns {Promise<void>}
+   */
+  async create(metadata) {
+    await this._beforeChange(null, metadata);
+    await this._save(metadata);
+    await this._writeSharePointers(metadata, getShareTokenKeys(metadata));
+  }
+
+  /**
+   * Atomically read, change and save the metadata of a file
+   * Only the public key document holds the metadata, so it is the only one written under
+   * the version precondition. Pointers are written after it when the keys or share tokens
+   * change, and the documents of replaced keys are removed once the change has been made
+   * @param {string} key - Public or private key, or a share token of the file
+   * @param {Function} mutate - Changes the metadata in place, may throw to abort
+   * @returns {Promise<*>} - Return value of mutate
+   */
+  async update(key, mutate) {
+    const found = await this.get(key);
+    if (!found) {
+      throw new Error('File not found');
+    }
+
+    const metadataPath = this._getPath(found.publicKey);
+
+    for (let attempt = 0; attempt < MAX_METADATA_UPDATE_ATTEMPTS; attempt++) {
+      let object;
+      try {
+        object = await this.objects.read(metadataPath, { withVersion: true });
+      } catch (error) {
+        object = null;
+      }
+      if (!object) {
+        throw new Error('File not found');
+      }
+
+      const previous = JSON.parse(object.content.toString('utf-8'));
+      if (!previous.publicKey) {
+        // Moved to a new public key
+        throw new Error('File not found');
+      }
+
+      const { publicKey, privateKey } = previous;
+      const tokens = getShareTokenKeys(previous);
+      const metadata = JSON.parse(object.content.toString('utf-8'));
+      const result = mutate(metadata);
+      const content = JSON.stringify(metadata);
+
+      await this._beforeChange(previous, metadata);
+
+      const saved = metadata.publicKey === publicKey
+        ? await this.objects.write(metadataPath, content, { ifVersion: object.version })
+        : await this._movePublicDocument(metadataPath, object.version, metadata, content);
+      if (!saved) {
+        // Someone else updated the metadata in the meantime, start over
+        continue;
+      }
+
+      // Pointers follow the file to a new public key
+      const moved = metadata.publicKey !== publicKey;
+      if (moved || metadata.privateKey !== privateKey) {
+        await this._writePrivatePointer(metadata);
+      }
+      if (metadata.privateKey !== privateKey) {
+        await this._removeDocument(this._getPath(privateKey));
+      }
+
+      await this._writeSharePointers(metadata, getShareTokenKeys(metadata).filter(token => moved || !tokens.includes(token)));
+      await this._afterChange(previous, metadata);
+
+      return result;
+    }
+
+    throw new Error('Metadata update conflict');
+  }
+
+  /**
+   * Remove the metadata of a file
+   * Keeps going when a document cannot be removed, so as much as possible is cleaned up
+   * @param {string} key - Public or private key, or a share token of the file
+   * @returns {Promise<boolean>}
+   */
+  async delete(key) {
+    const metadata = await this.get(key);
+    if (!metadata) {
+      return false;
+    }
+
+    for (const documentKey of [metadata.publicKey, metadata.privateKey, ...getShareTokenKeys(metadata)]) {
+      await this._removeDocument(this._getPath(documentKey));
+    }
+    await this._afterChange(metadata, null);
+
+    return true;
+  }
+
+  /**
+   * Get the metadata of every file
+   * Follows the private key documents, so every file is listed once
+   * @returns {Promise<Array<Object>>}
+   */
+  async list() {
+    const metadataList = [];
+    const names = await this.objects.list(this.prefix);
+
+    for (const name of names) {
+      if (!name.endsWith('.json')) {
+        continue;
+      }
+
+      const keyFromFilename = name.slice(this.prefix.length, -'.json'.length);
+      const metadata = await this.get(keyFromFilename);
+
+      // Skip invalid documents, public key documents and share token pointers
+      if (metadata && metadata.privateKey === keyFromFilename) {
+        metadataList.push(metadata);
+      }
+    }
+
+    return metadataList;
+  }
+}
+
+module.exports = ObjectMetadataStore;
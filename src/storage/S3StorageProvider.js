@@ -0,0 +1,1006 @@
+const {
+  S3Client,
+  HeadBucketCommand,
+  CreateBucketCommand,
+  GetObjectCommand,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { pipeline, Readable } = require('stream');
+
+const StorageProvider = require('./StorageProvider');
+const { createByteCounter, createSizeLimiter, createHasher, streamToBuffer } = require('./streamUtils');
+const { assertShareAvailable, applyShareSettings } = require('./shareLimits');
+const { toFileInfo, addRendition, replaceKeys } = require('./fileMetadata');
+const LogMetadataStore = require('./LogMetadataStore');
+const ObjectMetadataStore = require('./ObjectMetadataStore');
+const IndexedObjectMetadataStore = require('./IndexedObjectMetadataStore');
+const { migrateMetadata } = require('./metadataMigration');
+
+// Upload session ids are generated by us, anything else is rejected before touching the bucket
+const UPLOAD_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+// Region used when none is configured; most S3-compatible stores ignore it
+const DEFAULT_REGION = 'us-east-1';
+
+/**
+ * Check whether an S3 error means the object does not exist
+ * @param {Error} error - Error thrown by the S3 client
+ * @returns {boolean}
+ */
+function isNotFound(error) {
+  return error.name === 'NoSuchKey' || error.name === 'NotFound' ||
+    (error.$metadata && error.$metadata.httpStatusCode === 404);
+}
+
+/**
+ * Check whether an S3 error means a conditional request failed
+ * @param {Error} error - Error thrown by the S3 client
+ * @returns {boolean}
+ */
+function isPreconditionFailed(error) {
+  return error.name === 'PreconditionFailed' ||
+    (error.$metadata && error.$metadata.httpStatusCode === 412);
+}
+
+/**
+ * S3-compatible storage provider
+ * Stores files and their metadata in an S3 bucket (AWS S3, MinIO, Ceph RGW, ...),
+ * or the metadata in a local metadata log if one is configured
+ */
+class S3StorageProvider extends StorageProvider {
+  /**
+   * @param {string} configPath - Absolute path to the configuration file
+   * @param {{metadataStore?: MetadataStore}} [options] - Metadata store to use instead of the configured one
+   */
+  constructor(configPath, options = {}) {
+    super();
+    this.configPath = configPath;
+    this.config = null;
+    this.client = null;
+    this.bucketName = null;
+    this.metadataStore = options.metadataStore || null;
+  }
+
+  /**
+   * Load configuration from file
+   * @returns {Promise<Object>} Configuration object
+   */
+  async _loadConfig() {
+    if (this.config) {
+      return this.config;
+    }
+
+    try {
+      const configContent = await fs.readFile(this.configPath, 'utf-8');
+      this.config = JSON.parse(configContent);
+
+      // Validate required configuration fields
+      const requiredFields = ['bucket'];
+      for (const field of requiredFields) {
+        if (!this.config[field]) {
+          throw new Error(`Missing required configuration field: ${field}`);
+        }
+      }
+
+      return this.config;
+    } catch (error) {
+      throw new Error(`Failed to load configuration from ${this.configPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Initialize the storage provider by connecting to the S3 endpoint
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    await this._loadConfig();
+
+    // Credentials can be given in the config file, otherwise the default AWS credential chain is used
+    this.client = new S3Client({
+      endpoint: this.config.endpoint,
+      region: this.config.region || DEFAULT_REGION,
+      forcePathStyle: Boolean(this.config.forcePathStyle),
+      credentials: this.config.credentials,
+      // Only send checksums where S3 requires them; many S3-compatible stores reject the others
+      requestChecksumCalculation: 'WHEN_REQUIRED',
+      responseChecksumValidation: 'WHEN_REQUIRED'
+    });
+
+    this.bucketName = this.config.bucket;
+
+    // Check if bucket exists, create if configured to do so
+    try {
+      await this.client.send(new HeadBucketCommand({ Bucket: this.bucketName }));
+    } catch (error) {
+      if (!isNotFound(error)) {
+        throw error;
+      }
+
+      if (!this.config.createBucketIfNotExists) {
+        throw new Error(`Bucket ${this.bucketName} does not exist and createBucketIfNotExists is false`);
+      }
+
+      console.log(`Creating bucket ${this.bucketName}...`);
+      await this.client.send(new CreateBucketCommand({ Bucket: this.bucketName }));
+      console.log(`Bucket ${this.bucketName} created successfully`);
+    }
+
+    this.filePrefix = this.config.filePrefix || 'files/';
+    this.metadataPrefix = this.config.metadataPrefix || 'metadata/';
+    this.indexedMetadataPrefix = this.config.indexedMetadataPrefix || 'indexed-metadata/';
+    this.uploadsPrefix = this.config.uploadsPrefix || 'uploads/';
+
+    await this._initializeMetadataStore();
+
+    console.log(`S3 storage provider initialized with bucket: ${this.bucketName}`);
+  }
+
+  /**
+   * Set up the metadata store
+   * Metadata lives in the bucket, indexed under indexedMetadataPrefix, unless a metadata log is
+   * configured. Metadata in the unindexed per-key documents of earlier versions under metadataPrefix,
+   * and with a log also metadata in the bucket's index, is moved into the store in use. A log must
+   * not be shared by several instances.
+   * @returns {Promise<void>}
+   */
+  async _initializeMetadataStore() {
+    const bucketStore = new IndexedObjectMetadataStore(this._metadataObjects(),
+      `${this.indexedMetadataPrefix}files/`, `${this.indexedMetadataPrefix}index/`);
+
+    if (!this.metadataStore) {
+      this.metadataStore = this.config.metadataLog
+        ? new LogMetadataStore(path.resolve(this.config.metadataLog))
+        : bucketStore;
+    }
+    await this.metadataStore.initialize();
+
+    const legacyStore = new ObjectMetadataStore(this._metadataObjects(), this.metadataPrefix);
+    const sources = [{ store: legacyStore, prefix: this.metadataPrefix }];
+    if (this.metadataStore !== bucketStore) {
+      sources.push({ store: bucketStore, prefix: this.indexedMetadataPrefix });
+    }
+
+    for (const { store, prefix } of sources) {
+      const migrated = await migrateMetadata(store, this.metadataStore);
+      if (migrated > 0) {
+        console.log(`Migrated metadata of ${migrated} files from s3://${this.bucketName}/${prefix}`);
+      }
+    }
+  }
+
+  /**
+   * Access the metadata documents in the bucket
+   * Versions are ETags
+   * @returns {MetadataObjects}
+   */
+  _metadataObjects() {
+    return {
+      read: async (name) => {
+        const object = await this._getObject(name);
+        return object ? { content: object.content, version: object.etag } : null;
+      },
+      write: async (name, content, { ifVersion } = {}) => {
+        try {
+          await this.client.send(new PutObjectCommand({
+            Bucket: this.bucketName,
+            Key: name,
+            Body: content,
+            ContentType: 'application/json',
+            IfMatch: ifVersion
+          }));
+          return true;
+        } catch (error) {
+          if (ifVersion !== undefined && isPreconditionFailed(error)) {
+            return false;
+          }
+          throw error;
+        }
+      },
+      remove: async (name) => {
+        await this._deleteObject(name);
+      },
+      list: async (prefix, { before } = {}) => {
+        const names = [];
+        for await (const object of this._listObjects(prefix)) {
+          // Keys are listed in order, so the rest sorts after it as well
+          if (before !== undefined && object.Key >= before) {
+            break;
+          }
+          names.push(object.Key);
+        }
+        return names;
+      }
+    };
+  }
+
+  /**
+   * Generate a unique key pair for a file
+   * @returns {{publicKey: string, privateKey: string}}
+   */
+  _generateKeys() {
+    const publicKey = crypto.randomBytes(32).toString('hex');
+    const privateKey = crypto.randomBytes(32).toString('hex');
+    return { publicKey, privateKey };
+  }
+
+  /**
+   * Get file object key in the bucket
+   * @param {string} key - Public or private key
+   * @returns {string}
+   */
+  _getFilePath(key) {
+    return `${this.filePrefix}${key}`;
+  }
+
+  /**
+   * Read a whole object
+   * @param {string} objectKey - Key of the object
+   * @returns {Promise<{content: Buffer, etag: string}|null>} - Content and ETag, or null if it does not exist
+   */
+  async _getObject(objectKey) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucketName,
+        Key: objectKey
+      }));
+      return { content: await streamToBuffer(response.Body), etag: response.ETag };
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Upload a stream into an object, using a multipart upload for large content
+   * A failed upload is aborted, so nothing is left behind
+   * @param {string} objectKey - Key of the object
+   * @param {Readable} body - Object content
+   * @param {Object} [params] - Extra PutObject parameters (ContentType, Metadata)
+   * @returns {Promise<void>}
+   */
+  async _uploadObject(objectKey, body, params = {}) {
+    const upload = new Upload({
+      client: this.client,
+      params: {
+        Bucket: this.bucketName,
+        Key: objectKey,
+        Body: body,
+        ...params
+      }
+    });
+
+    await upload.done();
+  }
+
+  /**
+   * Delete an object, ignoring objects that do not exist
+   * @param {string} objectKey - Key of the object
+   * @returns {Promise<void>}
+   */
+  async _deleteObject(objectKey) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucketName,
+      Key: objectKey
+    }));
+  }
+
+  /**
+   * List the objects under a prefix, following continuation tokens
+   * @param {string} prefix - Key prefix
+   * @param {string} [delimiter] - Group keys below this delimiter instead of listing them
+   * @returns {AsyncGenerator<{Key: string, LastModified: Date, Size: number}>}
+   */
+  async *_listObjects(prefix, delimiter) {
+    let continuationToken;
+
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucketName,
+        Prefix: prefix,
+        Delimiter: delimiter,
+        ContinuationToken: continuationToken
+      }));
+
+      for (const object of response.Contents || []) {
+        yield object;
+      }
+
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+  }
+
+  /**
+   * Delete every object under a prefix
+   * @param {string} prefix - Key prefix
+   * @returns {Promise<void>}
+   */
+  async _deletePrefix(prefix) {
+    const objectKeys = [];
+    for await (const object of this._listObjects(prefix)) {
+      objectKeys.push(object.Key);
+    }
+
+    for (const objectKey of objectKeys) {
+      await this._deleteObject(objectKey);
+    }
+  }
+
+  /**
+   * Build the metadata document of a newly stored file
+   * @param {string} publicKey - The public key of the file
+   * @param {string} privateKey - The private key of the file
+   * @param {string} originalName - The original filename
+   * @param {string} mimeType - The MIME type of the file
+   * @param {number} fileSize - Size of the file in bytes
+   * @param {{sha256?: string, bundled?: boolean, members?: Array<string>, uploader?: string}} [details] - SHA-256 of
+   *   the content, bundle membership and uploader of the file
+   * @returns {Object}
+   */
+  _createMetadata(publicKey, privateKey, originalName, mimeType, fileSize, { sha256 = null, bundled = false, members = null, uploader = null } = {}) {
+    return {
+      publicKey,
+      privateKey,
+      originalName,
+      mimeType,
+      createdAt: new Date().toISOString(),
+      lastAccessed: null,
+      fileSize,
+      sha256,
+      filePath: this._getFilePath(publicKey),
+      expiresAt: null,
+      notBefore: null,
+      maxDownloads: null,
+      downloadCount: 0,
+      passwordHash: null,
+      bundled,
+      members,
+      uploader
+    };
+  }
+
+  /**
+   * Upload a file to the bucket from a readable stream
+   * @param {Readable} stream - The file content as a readable stream
+   * @param {string} originalName - The original filename
+   * @param {string} mimeType - The MIME type of the file
+   * @param {{bundled?: boolean, members?: Array<string>, uploader?: string}} [options] - Bundle membership
+   *   and uploader of the file
+   * @returns {Promise<{publicKey: string, privateKey: string, fileSize: number}>}
+   */
+  async uploadStream(stream, originalName, mimeType, options = {}) {
+    if (!this.client) {
+      throw new Error('Storage provider not initialized');
+    }
+
+    const { publicKey, privateKey } = this._generateKeys();
+    const counter = createByteCounter();
+    const hasher = createHasher();
+
+    // Original names are kept out of object metadata, since S3 headers must be ASCII
+    await this._uploadObject(this._getFilePath(publicKey), pipeline(stream, counter, hasher, () => {}), {
+      ContentType: mimeType,
+      Metadata: {
+        publicKey,
+        privateKey
+      }
+    });
+
+    await this.metadataStore.create(this._createMetadata(
+      publicKey, privateKey, originalName, mimeType, counter.bytes, { ...options, sha256: hasher.digest }
+    ));
+
+    return { publicKey, privateKey, fileSize: counter.bytes };
+  }
+
+  /**
+   * Get information about a file in the bucket
+   * @param {string} publicKey - The public key identifying the file
+   * @returns {Promise<FileInfo>}
+   */
+  async getFileInfo(publicKey) {
+    if (!this.client) {
+      throw new Error('Storage provider not initialized');
+    }
+
+    const metadata = await this.metadataStore.get(publicKey);
+    if (!metadata || metadata.publicKey !== publicKey) {
+      throw new Error('File not found');
+    }
+
+    return toFileInfo(metadata);
+  }
+
+  /**
+   * Get information about a file for its owner
+   * @param {string} privateKey - The private key identifying the file
+   * @returns {Promise<FileInfo>}
+   */
+  async getOwnerFileInfo(privateKey) {
+    if (!this.client) {
+      throw new Error('Storage provider not initialized');
+    }
+
+    const metadata = await this.metadataStore.get(privateKey);
+    if (!metadata || metadata.privateKey !== privateKey) {
+      throw new Error('File not found');
+    }
+
+    return toFileInfo(metadata);
+  }
+
+  /**
+   * Open a readable stream over a file in the bucket
+   * Byte ranges are served with ranged GET requests
+   * @param {string} publicKey - The public key identifying the file
+   * @param {{start?: number, end?: number}} [range] - Inclusive byte range to read
+   * @returns {Promise<Readable>}
+   */
+  async createReadStream(publicKey, range = {}) {
+    if (!this.client) {
+      throw new Error('Storage provider not initialized');
+    }
+
+    const metadata = await this.metadataStore.get(publicKey);
+    if (!metadata || metadata.publicKey !== publicKey) {
+      throw new Error('File not found');
+    }
+
+    // An empty object cannot be read with a range
+    if (metadata.fileSize === 0) {
+      return Readable.from([]);
+    }
+
+    let byteRange;
+    if (range.start !== undefined || range.end !== undefined) {
+      byteRange = `bytes=${range.start || 0}-${range.end !== undefined ? range.end : ''}`;
+    }
+
+    try {
+      const response = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucketName,
+        Key: metadata.filePath || this._getFilePath(publicKey),
+        Range: byteRange
+      }));
+      return response.Body;
+    } catch (error) {
+      if (isNotFound(error)) {
+        throw new Error('File not found');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a file from the bucket
+   * @param {string} privateKey - The private key identifying the file
+   * @returns {Promise<boolean>}
+   */
+  async deleteFile(privateKey) {
+    if (!this.client) {
+      throw new Error('Storage provider not initialized');
+    }
+
+    // Check if metadata exists
+    const metadata = await this.metadataStore.get(privateKey);
+    if (!metadata || metadata.privateKey !== privateKey) {
+      return false;
+    }
+
+    // Members and renditions go first, so a file whose dependents could not all be deleted can be deleted again
+    await this._deleteBundleMembers(metadata);
+    await this._deleteRenditions(metadata);
+
+    const objectKey = metadata.filePath || this._getFilePath(metadata.publicKey);
+    try {
+      await this._deleteObject(objectKey);
+    } catch (error) {
+      // Keep going so the metadata is removed anyway
+      console.warn(`Object ${objectKey} could not be deleted:`, error.message);
+    }
+
+    await this.metadataStore.delete(privateKey);
+
+    return true;
+  }
+
+  /**
+   * Get metadata for a file
+   * @param {string} privateKey - The private key identifying the file
+   * @returns {Promise<{lastAccessed: Date|null, createdAt: Date}>}
+   */
+  async getFileMetadata(privateKey) {
+    if (!this.client) {
+      throw new Error('Storage provider not initialized');
+    }
+
+    const metadata = await this.metadataStore.get(privateKey);
+    if (!metadata) {
+      throw new Error('File metadata not found');
+    }
+
+    return {
+      lastAccessed: metadata.lastAccessed ? new Date(metadata.lastAccessed) : null,
+      createdAt: new Date(metadata.createdAt)
+    };
+  }
+
+  /**
+   * Update last accessed timestamp for a file
+   * @param {string} publicKey - The public key identifying the file
+   * @returns {Promise<void>}
+   */
+  async updateLastAccessed(publicKey) {
+    if (!this.client) {
+      throw new Error('Storage provider not initialized');
+    }
+
+    try {
+      await this.metadataStore.update(publicKey, (metadata) => {
+        metadata.lastAccessed = new Date().toISOString();
+      });
+    } catch (error) {
+      // File might not exist, ignore
+      console.warn(`Could not update last accessed for ${publicKey}:`, error.message);
+    }
+  }
+
+  /**
+   * Change the share settings of a file
+   * @param {string} privateKey - The private key identifying the file
+   * @param {{expiresAt?: string|null, notBefore?: string|null, maxDownloads?: number|null, passwordHash?: string|null, scanStatus?: string|null}} settings - Settings to change
+   * @returns {Promise<void>}
+   */
+  async updateFileSettings(privateKey, settings) {
+    if (!this.client) {
+      throw new Error('Storage provider not initialized');
+    }
+
+    await this.metadataStore.update(privateKey, (metadata) => {
+      if (metadata.privateKey !== privateKey) {
+        throw new Error('File not found');
+      }
+      applyShareSettings(metadata, settings);
+    });
+  }
+
+  /**
+   * Record new keys in the metadata of a file
+   * Object metadata cannot be changed in place, so the object keeps the keys it was stored with
+   * @param {string} privateKey - The private key identifying the file
+   * @param {{publicKey?: string, privateKey?: string}} keys - The new keys
+   * @returns {Promise<void>}
+   */
+  async _replaceKeys(privateKey, keys) {
+    if (!this.client) {
+      throw new Error('Storage provider not initialized');
+    }
+
+    await this.metadataStore.update(privateKey, (metadata) => {
+      if (metadata.privateKey !== privateKey) {
+        throw new Error('File not found');
+      }
+
+      // Content stored before its object key was recorded stays under the old public key
+      metadata.filePath = metadata.filePath || this._getFilePath(metadata.publicKey);
+      replaceKeys(metadata, keys);
+    });
+  }
+
+  /**
+   * Atomically record a download of a share with limits
+   * @param {string} publicKey - The public key identifying the file
+   * @returns {Promise<{downloadCount: number, maxDownloads: number|null}>}
+   */
+  async consumeDownload(publicKey) {
+    if (!this.client) {
+      throw new Error('Storage provider not initialized');
+    }
+
+    return this.metadataStore.update(publicKey, (metadata) => {
+      if (metadata.publicKey !== publicKey) {
+        throw new Error('File not found');
+      }
+
+      assertShareAvailable(metadata);
+      metadata.downloadCount = (metadata.downloadCount || 0) + 1;
+      metadata.lastAccessed = new Date().toISOString();
+
+      return { downloadCount: metadata.downloadCount, maxDownloads: metadata.maxDownloads };
+    });
+  }
+
+  /**
+   * Record a stored rendition in the metadata of its file
+   * @param {string} publicKey - The public key identifying the file
+   * @param {string} variant - Name of the rendition
+   * @param {{publicKey: string, privateKey: string}} keys - Keys of the rendition
+   * @returns {Promise<boolean>} - False if a rendition of the variant was already recorded
+   */
+  async _attachRendition(publicKey, variant, keys) {
+    if (!this.client) {
+      throw new Error('Storage provider not initialized');
+    }
+
+    return this.metadataStore.update(publicKey, (metadata) => {
+      if (metadata.publicKey !== publicKey) {
+        throw new Error('File not found');
+      }
+      return addRendition(metadata, variant, keys);
+    });
+  }
+
+  /**
+   * Get all files that match cleanup criteria
+   * @param {Date} inactiveSince - Files not accessed since this date should be returned
+   * @returns {Promise<Array<{privateKey: string}>>}
+   */
+  async getInactiveFiles(inactiveSince) {
+    if (!this.client) {
+      throw new Error('Storage provider not initialized');
+    }
+
+    try {
+      // File is inactive if never accessed and created before threshold, or last accessed before threshold
+      const metadataList = await this.metadataStore.findInactive(inactiveSince);
+
+      // Bundle members go away together with their bundle
+      return metadataList
+        .filter(metadata => !metadata.bundled)
+        .map(metadata => ({ privateKey: metadata.privateKey }));
+    } catch (error) {
+      console.error('Error listing files for cleanup:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get all files that have expired or used up their downloads
+   * @param {Date} now - Reference time
+   * @returns {Promise<Array<{privateKey: string}>>}
+   */
+  async getExpiredFiles(now) {
+    if (!this.client) {
+      throw new Error('Storage provider not initialized');
+    }
+
+    try {
+      const metadataList = await this.metadataStore.findExpired(now);
+
+      // Bundle members go away together with their bundle
+      return metadataList
+        .filter(metadata => !metadata.bundled)
+        .map(metadata => ({ privateKey: metadata.privateKey }));
+    } catch (error) {
+      console.error('Error listing expired files for cleanup:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the state object key of an upload session
+   * @param {string} uploadId - The upload session id
+   * @returns {string}
+   */
+  _getUploadStatePath(uploadId) {
+    return `${this.uploadsPrefix}${uploadId}.json`;
+  }
+
+  /**
+   * Get the prefix under which the chunks of an upload session are stored
+   * @param {string} uploadId - The upload session id
+   * @returns {string}
+   */
+  _getUploadChunkPrefix(uploadId) {
+    return `${this.uploadsPrefix}${uploadId}/`;
+  }
+
+  /**
+   * Save the state of an upload session
+   * @param {UploadSession} session - The session state
+   * @param {string} [etag] - ETag the saved state must still have; without one it is overwritten
+   * @returns {Promise<string|null>} - The ETag of the saved state, or null if it changed in between
+   */
+  async _saveUploadSession(session, etag) {
+    session.updatedAt = new Date().toISOString();
+
+    try {
+      const response = await this.client.send(new PutObjectCommand({
+        Bucket: this.bucketName,
+        Key: this._getUploadStatePath(session.uploadId),
+        Body: JSON.stringify(session),
+        ContentType: 'application/json',
+        IfMatch: etag
+      }));
+      return response.ETag;
+    } catch (error) {
+      // A state deleted meanwhile may also be reported as missing
+      if (etag !== undefined && (isPreconditionFailed(error) || isNotFound(error))) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read the state of an upload session along with its ETag
+   * @param {string} uploadId - The upload session id
+   * @returns {Promise<{session: UploadSession, etag: string}>}
+   */
+  async _readUploadSession(uploadId) {
+    if (!this.client) {
+      throw new Error('Storage provider not initialized');
+    }
+
+    if (!UPLOAD_ID_PATTERN.test(uploadId)) {
+      throw new Error('Upload session not found');
+    }
+
+    let object;
+    try {
+      object = await this._getObject(this._getUploadStatePath(uploadId));
+    } catch (error) {
+      object = null;
+    }
+
+    if (!object) {
+      throw new Error('Upload session not found');
+    }
+
+    return { session: JSON.parse(object.content.toString('utf-8')), etag: object.etag };
+  }
+
+  /**
+   * Read the chunks of an upload session back to back
+   * @param {Array<string>} chunkPaths - Chunk object keys in upload order
+   * @returns {AsyncGenerator<Buffer>}
+   */
+  async *_readChunks(chunkPaths) {
+    for (const chunkPath of chunkPaths) {
+      const response = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucketName,
+        Key: chunkPath
+      }));
+
+      for await (const data of response.Body) {
+        yield data;
+      }
+    }
+  }
+
+  /**
+   * Start a resumable upload session
+   * @param {{originalName: string, mimeType: string, uploadLength: number, uploader?: string}} options - Declared
+   *   file info and the client uploading it
+   * @returns {Promise<UploadSession>}
+   */
+  async createUploadSession({ originalName, mimeType, uploadLength, uploader = null }) {
+    if (!this.client) {
+      throw new Error('Storage provider not initialized');
+    }
+
+    const uploadId = crypto.randomBytes(16).toString('hex');
+    const now = new Date().toISOString();
+
+    const session = {
+      uploadId,
+      originalName,
+      mimeType,
+      uploadLength,
+      uploader,
+      offset: 0,
+      completed: false,
+      chunks: [],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this._saveUploadSession(session);
+
+    return session;
+  }
+
+  /**
+   * Get the state of a resumable upload session
+   * @param {string} uploadId - The upload session id
+   * @returns {Promise<UploadSession>}
+   */
+  async getUploadSession(uploadId) {
+    const { session } = await this._readUploadSession(uploadId);
+    return session;
+  }
+
+  /**
+   * Append a chunk to a resumable upload session
+   * Each chunk is stored as its own object; an interrupted chunk is never committed. The state is
+   * saved only if no other request changed it meanwhile, also on other server instances, and the
+   * chunk of the request that lost is removed again.
+   * @param {string} uploadId - The upload session id
+   * @param {number} offset - Offset the chunk starts at
+   * @param {Readable} stream - The chunk content
+   * @returns {Promise<number>} - The new session offset
+   */
+  async appendUploadChunk(uploadId, offset, stream) {
+    const { session, etag } = await this._readUploadSession(uploadId);
+
+    if (session.completed) {
+      throw new Error('Upload already completed');
+    }
+    if (offset !== session.offset) {
+      throw new Error('Upload offset mismatch');
+    }
+
+    // Chunks sent to the same offset at the same time must not overwrite each other
+    const chunkPath = `${this._getUploadChunkPrefix(uploadId)}${offset}-${crypto.randomBytes(8).toString('hex')}`;
+    const limiter = createSizeLimiter(session.uploadLength - session.offset, 'Upload length exceeded');
+    const counter = createByteCounter();
+
+    // Errors of the pipeline surface through the upload, which reads its last stream
+    let pipelineError = null;
+    const body = pipeline(stream, limiter, counter, (error) => {
+      pipelineError = error || null;
+    });
+
+    try {
+      await this._uploadObject(chunkPath, body);
+    } catch (error) {
+      throw pipelineError || error;
+    }
+
+    if (counter.bytes > 0) {
+      session.chunks.push(chunkPath);
+      session.offset += counter.bytes;
+    }
+    if (!(await this._saveUploadSession(session, etag))) {
+      await this._deleteObject(chunkPath);
+      throw new Error('Upload offset mismatch');
+    }
+
+    return session.offset;
+  }
+
+  /**
+   * Turn a fully uploaded session into a regular file
+   * S3 cannot compose small objects, so the chunks are streamed into the final object.
+   * The session is marked completed before the file is stored, with a conditional write, so only
+   * one of several completions stores it. The keys are returned this once and are not kept.
+   * @param {string} uploadId - The upload session id
+   * @returns {Promise<{publicKey: string, privateKey: string, fileSize: number}>}
+   */
+  async completeUploadSession(uploadId) {
+    const { session, etag } = await this._readUploadSession(uploadId);
+
+    if (session.completed) {
+      throw new Error('Upload already completed');
+    }
+    if (session.offset !== session.uploadLength) {
+      throw new Error('Upload incomplete');
+    }
+
+    session.completed = true;
+    const claimed = await this._saveUploadSession(session, etag);
+    if (!claimed) {
+      // Changed meanwhile; look again, which refuses it if it was completed
+      return this.completeUploadSession(uploadId);
+    }
+
+    let keys;
+    try {
+      keys = await this._storeUploadedFile(session);
+    } catch (error) {
+      // Give the session back, so the completion can be retried
+      session.completed = false;
+      await this._saveUploadSession(session, claimed);
+      throw error;
+    }
+
+    // Chunks are no longer needed; a session deleted meanwhile is not saved again
+    await this._deletePrefix(this._getUploadChunkPrefix(uploadId));
+    session.chunks = [];
+    await this._saveUploadSession(session, claimed);
+
+    return { ...keys, fileSize: session.uploadLength };
+  }
+
+  /**
+   * Store the content of a fully uploaded session as a new file
+   * @param {UploadSession} session - The session state
+   * @returns {Promise<{publicKey: string, privateKey: string}>}
+   */
+  async _storeUploadedFile(session) {
+    const { publicKey, privateKey } = this._generateKeys();
+    const hasher = createHasher();
+    const content = pipeline(Readable.from(this._readChunks(session.chunks)), hasher, () => {});
+
+    await this._uploadObject(this._getFilePath(publicKey), content, {
+      ContentType: session.mimeType,
+      Metadata: {
+        publicKey,
+        privateKey
+      }
+    });
+
+    await this.metadataStore.create(
+      this._createMetadata(publicKey, privateKey, session.originalName, session.mimeType, session.uploadLength, {
+        sha256: hasher.digest,
+        uploader: session.uploader || null
+      })
+    );
+
+    return { publicKey, privateKey };
+  }
+
+  /**
+   * Abort a resumable upload session and remove the uploaded data
+   * @param {string} uploadId - The upload session id
+   * @returns {Promise<boolean>}
+   */
+  async deleteUploadSession(uploadId) {
+    try {
+      await this.getUploadSession(uploadId);
+    } catch (error) {
+      return false;
+    }
+
+    try {
+      await this._deletePrefix(this._getUploadChunkPrefix(uploadId));
+    } catch (error) {
+      console.warn(`Chunks of upload ${uploadId} could not be deleted:`, error.message);
+    }
+
+    try {
+      await this._deleteObject(this._getUploadStatePath(uploadId));
+    } catch (error) {
+      console.warn(`Upload session ${uploadId} could not be deleted:`, error.message);
+    }
+
+    return true;
+  }
+
+  /**
+   * Get all upload sessions that have not been touched since a date
+   * @param {Date} inactiveSince - Sessions not updated since this date should be returned
+   * @returns {Promise<Array<{uploadId: string}>>}
+   */
+  async getStaleUploadSessions(inactiveSince) {
+    if (!this.client) {
+      throw new Error('Storage provider not initialized');
+    }
+
+    const staleSessions = [];
+
+    try {
+      // Session state objects live directly under the uploads prefix, chunks one level deeper
+      for await (const object of this._listObjects(this.uploadsPrefix, '/')) {
+        if (!object.Key.endsWith('.json')) {
+          continue;
+        }
+
+        try {
+          const stateObject = await this._getObject(object.Key);
+          const session = JSON.parse(stateObject.content.toString('utf-8'));
+
+          if (new Date(session.updatedAt) < inactiveSince) {
+            staleSessions.push({ uploadId: session.uploadId });
+          }
+        } catch (error) {
+          // Skip invalid session files
+          continue;
+        }
+      }
+    } catch (error) {
+      console.error('Error listing upload sessions for cleanup:', error);
+    }
+
+    return staleSessions;
+  }
+}
+
+module.exports = S3StorageProvider;
@@ -1,6 +1,29 @@
 const path = require('path');
 const LocalFileSystemProvider = require('./LocalFileSystemProvider');
 const GoogleCloudStorageProvider = require('./GoogleCloudStorageProvider');
+const S3StorageProvider = require('./S3StorageProvider');
+const MemoryStorageProvider = require('./MemoryStorageProvider');
+
+/**
+ * Refuse options a provider cannot honor, so files are never stored without them unnoticed
+ * @param {string} providerType - Type of provider
+ * @param {{deduplicate?: boolean, keyRing?: KeyRing, zeroKnowledge?: boolean, verifyOnRead?: boolean}} options - Provider
+ *   options
+ */
+function assertSupportedOptions(providerType, options) {
+  if (options.keyRing) {
+    throw new Error(`Encryption at rest is not supported by the ${providerType} provider`);
+  }
+  if (options.zeroKnowledge) {
+    throw new Error(`Zero-knowledge mode is not supported by the ${providerType} provider`);
+  }
+  if (options.deduplicate) {
+    throw new Error(`Deduplication is not supported by the ${providerType} provider`);
+  }
+  if (options.verifyOnRead) {
+    throw new Error(`Verifying reads is not supported by the ${providerType} provider`);
+  }
+}
 
 /**
  * Factory class for creating storage providers based on configuration
@@ -8,19 +31,27 @@ const GoogleCloudStorageProvider = require('./GoogleCloudStorageProvider');
 class StorageFactory {
   /**
    * Create a storage provider instance based on configuration
-   * @param {string} providerType - Type of provider ('local' or 'google')
+   * @param {string} providerType - Type of provider ('local', 'google', 's3' or 'memory')
    * @param {string} folder - Root folder path (for local provider)
-   * @param {string} configPath - Path to configuration file (for google provider)
+   * @param {string} configPath - Path to configuration file (for google and s3 providers)
+   * @param {{deduplicate?: boolean, keyRing?: KeyRing, zeroKnowledge?: boolean, verifyOnRead?: boolean}} [options] - Store
+   *   identical content once, master keys to encrypt content with, store new files zero-knowledge and verify content
+   *   against its recorded digest when it is read (local and google providers; the others refuse to be created with any of them)
    * @returns {Promise<StorageProvider>}
    */
-  static async createProvider(providerType = 'local', folder, configPath) {
+  static async createProvider(providerType = 'local', folder, configPath, options = {}) {
     if (providerType === 'local') {
       if (!folder) {
         throw new Error('FOLDER environment variable is required for local provider');
       }
       
       const absoluteFolder = path.isAbsolute(folder) ? folder : path.resolve(process.cwd(), folder);
-      const provider = new LocalFileSystemProvider(absoluteFolder);
+      const provider = new LocalFileSystemProvider(absoluteFolder, {
+        deduplicate: options.deduplicate,
+        keyRing: options.keyRing,
+        zeroKnowledge: options.zeroKnowledge,
+        verifyOnRead: options.verifyOnRead
+      });
       await provider.initialize();
       return provider;
     } else if (providerType === 'google') {
@@ -29,11 +60,33 @@ class StorageFactory {
       }
       
       const absoluteConfigPath = path.isAbsolute(configPath) ? configPath : path.resolve(process.cwd(), configPath);
-      const provider = new GoogleCloudStorageProvider(absoluteConfigPath);
+      const provider = new GoogleCloudStorageProvider(absoluteConfigPath, {
+        deduplicate: options.deduplicate,
+        keyRing: options.keyRing,
+        zeroKnowledge: options.zeroKnowledge,
+        verifyOnRead: options.verifyOnRead
+      });
+      await provider.initialize();
+      return provider;
+    } else if (providerType === 's3') {
+      if (!configPath) {
+        throw new Error('CONFIG environment variable is required for s3 provider');
+      }
+
+      assertSupportedOptions(providerType, options);
+
+      const absoluteConfigPath = path.isAbsolute(configPath) ? configPath : path.resolve(process.cwd(), configPath);
+      const provider = new S3StorageProvider(absoluteConfigPath);
+      await provider.initialize();
+      return provider;
+    } else if (providerType === 'memory') {
+      // Nothing to configure, files live only as long as the process
+      assertSupportedOptions(providerType, options);
+      const provider = new MemoryStorageProvider();
       await provider.initialize();
       return provider;
     } else {
-      throw new Error(`Unknown provider type: ${providerType}. Supported types: 'local', 'google'`);
+      throw new Error(`Unknown provider type: ${providerType}. Supported types: 'local', 'google', 's3', 'memory'`);
     }
   }
 }
@@ -1,30 +1,457 @@
+const { Readable } = require('stream');
+const { createDigestVerifier, pipeThrough, streamToBuffer } = require('./streamUtils');
+const { toFileInfo } = require('./fileMetadata');
+const {
+  createShareToken, findShareToken, addShareToken, revokeShareToken, applyShareToken, recordShareTokenDownload
+} = require('./shareTokens');
+
+// Stored content type of bundle manifests
+const BUNDLE_MIME_TYPE = 'application/vnd.file-share.bundle+json';
+
+/**
+ * @typedef {Object} FileInfo
+ * @property {string} originalName - The original filename
+ * @property {string} mimeType - The MIME type of the file
+ * @property {number} fileSize - Size of the file in bytes
+ * @property {string|null} sha256 - Hex SHA-256 of the content, null for files stored before it was recorded
+ * @property {Date} createdAt - Upload time
+ * @property {Date|null} lastAccessed - Last download time
+ * @property {Date|null} expiresAt - Time after which the share is gone
+ * @property {Date|null} notBefore - Time before which the share cannot be downloaded
+ * @property {number|null} maxDownloads - Maximum number of downloads
+ * @property {number} downloadCount - Number of downloads so far
+ * @property {string|null} passwordHash - Salted hash of the download password
+ * @property {string|null} scanStatus - Malware scan status ('pending', 'clean', 'infected' or 'failed'), null if not scanned
+ * @property {boolean} bundle - Whether the file is a bundle, whose content lists its members
+ * @property {boolean} bundled - Whether the file is a member of a bundle
+ * @property {Object<string, string>} renditions - Public keys of stored renditions (such as thumbnails) by variant
+ */
+
+/**
+ * @typedef {Object} BundleFile
+ * @property {string} publicKey - The public key of the member file
+ * @property {string} originalName - The original filename
+ * @property {string} mimeType - The MIME type of the file
+ * @property {number} fileSize - Size of the file in bytes
+ * @property {string|null} sha256 - Hex SHA-256 of the content
+ */
+
+/**
+ * @typedef {Object} StoredFile
+ * @property {string} privateKey - The private key of the file
+ * @property {string|null} uploader - Client that uploaded the file (an IP address or "account:<id>"), null for
+ *   files stored before it was recorded
+ * @property {number} storedSize - Bytes stored for the file, its bundle members and renditions included
+ * @property {number} shareTokens - Number of share tokens of the file, revoked ones included
+ * @property {boolean} zeroKnowledge - Whether the name and type of the file are only known to its link
+ * @property {FileInfo} info - File info
+ */
+
+/**
+ * @typedef {Object} UploadSession
+ * @property {string} uploadId - Id of the session
+ * @property {string} originalName - The original filename
+ * @property {string} mimeType - The MIME type of the file
+ * @property {number} uploadLength - Declared total size in bytes
+ * @property {string|null} uploader - Client uploading the file, recorded with it once completed
+ * @property {number} offset - Number of bytes received so far
+ * @property {boolean} completed - True once the session has been turned into a file
+ * @property {string} createdAt - ISO timestamp of session creation
+ * @property {string} updatedAt - ISO timestamp of the last change
+ */
+
 /**
  * Abstract base class for storage providers
  * All storage providers must implement this interface
+ *
+ * Providers work with streams so file content never has to be held in memory.
+ * The buffer-based uploadFile/downloadFile helpers are built on top of the
+ * stream methods and are kept for convenience (small files, tests).
+ *
+ * Every provider keeps file metadata in a metadata store at this.metadataStore;
+ * share tokens are handled here on top of it.
  */
 class StorageProvider {
   /**
-   * Upload a file to storage
+   * Upload a file to storage from a readable stream
+   * @param {Readable} stream - The file content as a readable stream
+   * @param {string} originalName - The original filename
+   * @param {string} mimeType - The MIME type of the file
+   * @param {{bundled?: boolean, members?: Array<string>, uploader?: string}} [options] - Bundle membership:
+   *   bundled marks a member file, members lists the private keys of a bundle's members; uploader
+   *   identifies the client that sent the file (an IP or an account), recorded for administrators
+   * @returns {Promise<{publicKey: string, privateKey: string, fileSize: number}>} - Keys for accessing the file
+   */
+  async uploadStream(stream, originalName, mimeType, options = {}) {
+    throw new Error('uploadStream must be implemented by storage provider');
+  }
+
+  /**
+   * Get information about a stored file without touching its last accessed timestamp
+   * @param {string} publicKey - The public key identifying the file
+   * @returns {Promise<FileInfo>} - File info
+   */
+  async getFileInfo(publicKey) {
+    throw new Error('getFileInfo must be implemented by storage provider');
+  }
+
+  /**
+   * Get information about a stored file by its private key, for the file's owner
+   * Does not touch the last accessed timestamp. Name and MIME type of zero-knowledge
+   * files are null, since only the public key can reveal them.
+   * @param {string} privateKey - The private key identifying the file
+   * @returns {Promise<FileInfo>} - Throws 'File not found' for unknown keys and public keys
+   */
+  async getOwnerFileInfo(privateKey) {
+    throw new Error('getOwnerFileInfo must be implemented by storage provider');
+  }
+
+  /**
+   * Open a readable stream over a file or a byte range of it
+   * Does not touch the last accessed timestamp
+   * @param {string} publicKey - The public key identifying the file
+   * @param {{start?: number, end?: number}} [range] - Inclusive byte range to read, whole file if omitted
+   * @returns {Promise<Readable>} - File content stream
+   */
+  async createReadStream(publicKey, range = {}) {
+    throw new Error('createReadStream must be implemented by storage provider');
+  }
+
+  /**
+   * Open a file for download as a readable stream
+   * Updates the last accessed timestamp of the file
+   * @param {string} publicKey - The public key identifying the file
+   * @param {{start?: number, end?: number}} [range] - Inclusive byte range to read, whole file if omitted
+   * @returns {Promise<{stream: Readable, mimeType: string, originalName: string, fileSize: number}>} - File stream and info
+   */
+  async downloadStream(publicKey, range = {}) {
+    const { mimeType, originalName, fileSize } = await this.getFileInfo(publicKey);
+    const stream = await this.createReadStream(publicKey, range);
+    await this.updateLastAccessed(publicKey);
+    return { stream, mimeType, originalName, fileSize };
+  }
+
+  /**
+   * Get a short-lived URL the client can download a file from directly, bypassing the server
+   * Providers without direct downloads, or with them disabled, return null
+   * @param {string} publicKey - The public key identifying the file
+   * @param {{contentDisposition?: string}} [options] - Response headers the URL should produce
+   * @returns {Promise<string|null>} - Download URL, or null to stream through the server
+   */
+  async getDownloadUrl(publicKey, options = {}) {
+    return null;
+  }
+
+  /**
+   * Re-wrap the data keys of all encrypted content with the active master key
+   * Only providers with encryption at rest support this
+   * @returns {Promise<{rewrapped: number}>} - Number of data keys that were re-wrapped
+   */
+  async rewrapDataKeys() {
+    throw new Error('Encryption is not supported by this storage provider');
+  }
+
+  /**
+   * Upload a file to storage from a buffer
    * @param {Buffer} fileBuffer - The file content as a buffer
    * @param {string} originalName - The original filename
    * @param {string} mimeType - The MIME type of the file
    * @returns {Promise<{publicKey: string, privateKey: string}>} - Keys for accessing the file
    */
   async uploadFile(fileBuffer, originalName, mimeType) {
-    throw new Error('uploadFile must be implemented by storage provider');
+    const { publicKey, privateKey } = await this.uploadStream(
+      Readable.from([fileBuffer]),
+      originalName,
+      mimeType
+    );
+    return { publicKey, privateKey };
   }
 
   /**
-   * Download a file from storage
+   * Download a file from storage into a buffer
    * @param {string} publicKey - The public key identifying the file
    * @returns {Promise<{buffer: Buffer, mimeType: string, originalName: string}>} - File data
    */
   async downloadFile(publicKey) {
-    throw new Error('downloadFile must be implemented by storage provider');
+    const { stream, mimeType, originalName } = await this.downloadStream(publicKey);
+    const buffer = await streamToBuffer(stream);
+    return { buffer, mimeType, originalName };
+  }
+
+  /**
+   * Create a bundle of uploaded files
+   * The bundle is a file of its own whose content lists the members, so it is encrypted like
+   * any other content. Members should have been uploaded with the bundled option.
+   * @param {Array<{publicKey: string, privateKey: string}>} members - Keys of the member files
+   * @param {string} originalName - Name of the bundle
+   * @param {{uploader?: string}} [options] - Client that uploaded the bundle
+   * @returns {Promise<{publicKey: string, privateKey: string, fileSize: number}>} - Keys for accessing the bundle
+   */
+  async createBundle(members, originalName, options = {}) {
+    const files = [];
+    for (const member of members) {
+      const { originalName: memberName, mimeType, fileSize, sha256 } = await this.getFileInfo(member.publicKey);
+      files.push({ publicKey: member.publicKey, originalName: memberName, mimeType, fileSize, sha256 });
+    }
+
+    const manifest = Buffer.from(JSON.stringify({ files }));
+    return this.uploadStream(Readable.from([manifest]), originalName, BUNDLE_MIME_TYPE, {
+      members: members.map(member => member.privateKey),
+      uploader: options.uploader || null
+    });
+  }
+
+  /**
+   * Get the member files of a bundle
+   * Does not touch the last accessed timestamp
+   * @param {string} publicKey - The public key identifying the bundle
+   * @returns {Promise<Array<BundleFile>>} - Throws 'File is not a bundle' for other files
+   */
+  async getBundleFiles(publicKey) {
+    const { bundle } = await this.getFileInfo(publicKey);
+    if (!bundle) {
+      throw new Error('File is not a bundle');
+    }
+
+    const manifest = await streamToBuffer(await this.createReadStream(publicKey));
+    return JSON.parse(manifest.toString('utf-8')).files;
+  }
+
+  /**
+   * Store a rendition of a file, such as a thumbnail, next to it
+   * The rendition is a file of its own, uploaded with the bundled option so it is never
+   * listed or cleaned up by itself, and is deleted together with the file. If a rendition of
+   * the variant is stored meanwhile, that one is kept and the new one discarded.
+   * @param {string} publicKey - The public key identifying the file
+   * @param {string} variant - Name of the rendition, e.g. 'thumbnail-256x256.jpeg'
+   * @param {Buffer} content - Content of the rendition
+   * @param {string} mimeType - MIME type of the rendition
+   * @returns {Promise<void>}
+   */
+  async storeRendition(publicKey, variant, content, mimeType) {
+    const keys = await this.uploadStream(Readable.from([content]), variant, mimeType, { bundled: true });
+
+    let attached = false;
+    try {
+      attached = await this._attachRendition(publicKey, variant, { publicKey: keys.publicKey, privateKey: keys.privateKey });
+    } finally {
+      if (!attached) {
+        await this.deleteFile(keys.privateKey);
+      }
+    }
+  }
+
+  /**
+   * Open a stored rendition of a file
+   * Does not touch the last accessed timestamp
+   * @param {string} publicKey - The public key identifying the file
+   * @param {string} variant - Name of the rendition
+   * @returns {Promise<{stream: Readable, mimeType: string, fileSize: number}|null>} - Null if none is stored
+   */
+  async getRendition(publicKey, variant) {
+    const { renditions } = await this.getFileInfo(publicKey);
+    if (!Object.prototype.hasOwnProperty.call(renditions, variant)) {
+      return null;
+    }
+
+    try {
+      const { mimeType, fileSize } = await this.getFileInfo(renditions[variant]);
+      return { stream: await this.createReadStream(renditions[variant]), mimeType, fileSize };
+    } catch (error) {
+      if (error.message === 'File not found') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Record a stored rendition in the metadata of its file
+   * @param {string} publicKey - The public key identifying the file
+   * @param {string} variant - Name of the rendition
+   * @param {{publicKey: string, privateKey: string}} keys - Keys of the rendition
+   * @returns {Promise<boolean>} - False if a rendition of the variant was already recorded;
+   * throws 'File not found' if the file is gone
+   */
+  async _attachRendition(publicKey, variant, keys) {
+    throw new Error('_attachRendition must be implemented by storage provider');
+  }
+
+  /**
+   * Generate a unique key pair for a file
+   * @returns {{publicKey: string, privateKey: string}}
+   */
+  _generateKeys() {
+    throw new Error('_generateKeys must be implemented by storage provider');
+  }
+
+  /**
+   * Give a file new keys, for when a link or the private key has leaked
+   * The content stays where it is; only the keys it is found by change. The replaced keys
+   * stop working right away, and so do unlock tokens issued for the old public key.
+   * Bundle members and renditions keep their keys, as they are only reached through the file.
+   * @param {string} privateKey - The private key identifying the file
+   * @param {{publicKey?: boolean, privateKey?: boolean}} replace - Which keys to replace
+   * @returns {Promise<{publicKey?: string, privateKey?: string}>} - The new keys; throws 'File not found'
+   *   for unknown keys and public keys, and 'Public key rotation not available' for zero-knowledge files
+   */
+  async replaceKeys(privateKey, replace) {
+    const generated = this._generateKeys();
+    const keys = {};
+    if (replace.publicKey) {
+      keys.publicKey = generated.publicKey;
+    }
+    if (replace.privateKey) {
+      keys.privateKey = generated.privateKey;
+    }
+
+    await this._replaceKeys(privateKey, keys);
+    return keys;
+  }
+
+  /**
+   * Record new keys in the metadata of a file
+   * @param {string} privateKey - The private key identifying the file
+   * @param {{publicKey?: string, privateKey?: string}} keys - The new keys
+   * @returns {Promise<void>}
+   */
+  async _replaceKeys(privateKey, keys) {
+    throw new Error('_replaceKeys must be implemented by storage provider');
+  }
+
+  /**
+   * Change the metadata of a file identified by its private key
+   * @param {string} privateKey - The private key identifying the file
+   * @param {Function} mutate - Changes the metadata in place, may throw to abort
+   * @returns {Promise<*>} - Return value of mutate; throws 'File not found' for unknown keys and public keys
+   */
+  async _updateOwnedFile(privateKey, mutate) {
+    return this.metadataStore.update(privateKey, (metadata) => {
+      if (metadata.privateKey !== privateKey) {
+        throw new Error('File not found');
+      }
+      return mutate(metadata);
+    });
+  }
+
+  /**
+   * Create a named share token for a file
+   * The token is a download link of its own, with its own expiry and download limit
+   * @param {string} privateKey - The private key identifying the file
+   * @param {{name?: string, expiresAt?: string, maxDownloads?: number}} [settings] - Settings of the token
+   * @returns {Promise<ShareToken>} - The new token; throws 'File not found' for unknown keys, 'Share tokens not
+   *   available' for zero-knowledge files and bundle members, and 'Too many share tokens' at the limit
+   */
+  async createShareToken(privateKey, settings = {}) {
+    const share = createShareToken(settings);
+    await this._updateOwnedFile(privateKey, metadata => addShareToken(metadata, share));
+    return share;
+  }
+
+  /**
+   * List the share tokens of a file, revoked ones included, oldest first
+   * @param {string} privateKey - The private key identifying the file
+   * @returns {Promise<Array<ShareToken>>} - Throws 'File not found' for unknown keys
+   */
+  async listShareTokens(privateKey) {
+    const metadata = await this.metadataStore.get(privateKey);
+    if (!metadata || metadata.privateKey !== privateKey) {
+      throw new Error('File not found');
+    }
+    return metadata.shareTokens || [];
+  }
+
+  /**
+   * Revoke a share token of a file, so downloads through it stop right away
+   * @param {string} privateKey - The private key identifying the file
+   * @param {string} id - Id of the token
+   * @returns {Promise<ShareToken>} - The revoked token; throws 'File not found' for unknown keys
+   *   and 'Share token not found' for unknown ids
+   */
+  async revokeShareToken(privateKey, id) {
+    return this._updateOwnedFile(privateKey, metadata => revokeShareToken(metadata, id));
+  }
+
+  /**
+   * Look up the file a share token opens
+   * Does not touch the last accessed timestamp
+   * @param {string} token - The share token
+   * @returns {Promise<{publicKey: string, info: FileInfo}>} - The file's public key and its info under the
+   *   token's limits; throws 'File not found' for unknown and revoked tokens
+   */
+  async getShareTokenInfo(token) {
+    const metadata = await this.metadataStore.get(token);
+    const share = metadata ? findShareToken(metadata, token) : null;
+    if (!share || share.revokedAt) {
+      throw new Error('File not found');
+    }
+
+    return { publicKey: metadata.publicKey, info: applyShareToken(toFileInfo(metadata), share) };
+  }
+
+  /**
+   * Atomically record a download through a share token
+   * Every download through a token is counted, for the token and for the file; throws like
+   * consumeDownload when the token or the file cannot be downloaded
+   * @param {string} token - The share token
+   * @returns {Promise<{downloadCount: number, maxDownloads: number|null}>} - Counter of the token after the download
+   */
+  async consumeShareToken(token) {
+    return this.metadataStore.update(token, metadata => recordShareTokenDownload(metadata, token));
+  }
+
+  /**
+   * Check content read in full against the SHA-256 recorded at upload, if the provider verifies reads
+   * A byte range cannot be checked against the digest of the whole content and is passed on as is.
+   * Content that does not match makes the stream fail with 'Stored content is corrupt' before its
+   * last chunk is passed on.
+   * @param {Readable} stream - The content as read from storage
+   * @param {string|null} sha256 - Hex SHA-256 recorded at upload
+   * @param {{start?: number, end?: number}} range - Byte range that was read
+   * @param {string} location - Where the content is stored, for the error log
+   * @returns {Readable}
+   */
+  _verifyContent(stream, sha256, range, location) {
+    if (!this.verifyOnRead || !sha256 || range.start !== undefined || range.end !== undefined) {
+      return stream;
+    }
+
+    const verifier = createDigestVerifier({ sha256 }, 'Stored content is corrupt');
+    verifier.once('error', (error) => {
+      if (error.message === 'Stored content is corrupt') {
+        console.error(`Stored content at ${location} does not match the SHA-256 recorded at upload`);
+      }
+    });
+    return pipeThrough(stream, verifier);
+  }
+
+  /**
+   * Delete the members of a bundle that is being deleted
+   * Members that are already gone are skipped
+   * @param {Object} metadata - Stored metadata of the file being deleted
+   * @returns {Promise<void>}
+   */
+  async _deleteBundleMembers(metadata) {
+    for (const privateKey of metadata.members || []) {
+      await this.deleteFile(privateKey);
+    }
+  }
+
+  /**
+   * Delete the renditions of a file that is being deleted
+   * Renditions that are already gone are skipped
+   * @param {Object} metadata - Stored metadata of the file being deleted
+   * @returns {Promise<void>}
+   */
+  async _deleteRenditions(metadata) {
+    for (const { privateKey } of Object.values(metadata.renditions || {})) {
+      await this.deleteFile(privateKey);
+    }
   }
 
   /**
    * Delete a file from storage
+   * Only the private key deletes a file, a public key is treated like an unknown key
    * @param {string} privateKey - The private key identifying the file
    * @returns {Promise<boolean>} - True if file was deleted, false otherwise
    */
@@ -50,6 +477,119 @@ class StorageProvider {
     throw new Error('updateLastAccessed must be implemented by storage provider');
   }
 
+  /**
+   * List every stored file, for administrators
+   * Bundle members and renditions are left out, as they only exist with their file, but their
+   * size counts towards it. Zero-knowledge files list without name and type.
+   * @returns {Promise<Array<StoredFile>>}
+   */
+  async listFiles() {
+    const metadataList = await this.metadataStore.list();
+    const sizes = new Map(metadataList.map(metadata => [metadata.privateKey, metadata.fileSize || 0]));
+
+    return metadataList
+      .filter(metadata => !metadata.bundled)
+      .map((metadata) => {
+        const parts = [...(metadata.members || []), ...Object.values(metadata.renditions || {}).map(entry => entry.privateKey)];
+        return {
+          privateKey: metadata.privateKey,
+          uploader: metadata.uploader || null,
+          storedSize: parts.reduce((total, key) => total + (sizes.get(key) || 0), metadata.fileSize || 0),
+          shareTokens: (metadata.shareTokens || []).length,
+          zeroKnowledge: Boolean(metadata.zeroKnowledge),
+          info: toFileInfo(metadata)
+        };
+      });
+  }
+
+  /**
+   * Get all files that have expired or used up their downloads
+   * @param {Date} now - Reference time
+   * @returns {Promise<Array<{privateKey: string}>>} - List of files to cleanup
+   */
+  async getExpiredFiles(now) {
+    throw new Error('getExpiredFiles must be implemented by storage provider');
+  }
+
+  /**
+   * Start a resumable upload session
+   * @param {{originalName: string, mimeType: string, uploadLength: number, uploader?: string}} options - Declared
+   *   file info and the client uploading it
+   * @returns {Promise<UploadSession>} - The new session
+   */
+  async createUploadSession(options) {
+    throw new Error('createUploadSession must be implemented by storage provider');
+  }
+
+  /**
+   * Get the state of a resumable upload session
+   * @param {string} uploadId - The upload session id
+   * @returns {Promise<UploadSession>} - Throws 'Upload session not found' for unknown ids
+   */
+  async getUploadSession(uploadId) {
+    throw new Error('getUploadSession must be implemented by storage provider');
+  }
+
+  /**
+   * Append a chunk to a resumable upload session
+   * @param {string} uploadId - The upload session id
+   * @param {number} offset - Offset the chunk starts at, must match the session offset
+   * @param {Readable} stream - The chunk content
+   * @returns {Promise<number>} - The new session offset
+   */
+  async appendUploadChunk(uploadId, offset, stream) {
+    throw new Error('appendUploadChunk must be implemented by storage provider');
+  }
+
+  /**
+   * Turn a fully uploaded session into a regular file
+   * The keys are returned only once; completing the session again throws 'Upload already completed'
+   * @param {string} uploadId - The upload session id
+   * @returns {Promise<{publicKey: string, privateKey: string, fileSize: number}>} - Keys for accessing the file
+   */
+  async completeUploadSession(uploadId) {
+    throw new Error('completeUploadSession must be implemented by storage provider');
+  }
+
+  /**
+   * Abort a resumable upload session and remove the uploaded data
+   * @param {string} uploadId - The upload session id
+   * @returns {Promise<boolean>} - True if the session was deleted, false otherwise
+   */
+  async deleteUploadSession(uploadId) {
+    throw new Error('deleteUploadSession must be implemented by storage provider');
+  }
+
+  /**
+   * Get all upload sessions that have not been touched since a date
+   * @param {Date} inactiveSince - Sessions not updated since this date should be returned
+   * @returns {Promise<Array<{uploadId: string}>>} - List of sessions to cleanup
+   */
+  async getStaleUploadSessions(inactiveSince) {
+    throw new Error('getStaleUploadSessions must be implemented by storage provider');
+  }
+
+  /**
+   * Change the share settings of a file
+   * @param {string} privateKey - The private key identifying the file
+   * @param {{expiresAt?: string|null, notBefore?: string|null, maxDownloads?: number|null, passwordHash?: string|null, scanStatus?: string|null}} settings - Settings to change
+   * @returns {Promise<void>} - Throws 'File not found' for unknown keys
+   */
+  async updateFileSettings(privateKey, settings) {
+    throw new Error('updateFileSettings must be implemented by storage provider');
+  }
+
+  /**
+   * Atomically record a download of a share with limits
+   * Throws 'File expired', 'Download limit reached' or 'File not yet available'
+   * when the share cannot be downloaded
+   * @param {string} publicKey - The public key identifying the file
+   * @returns {Promise<{downloadCount: number, maxDownloads: number|null}>} - Counter after the download
+   */
+  async consumeDownload(publicKey) {
+    throw new Error('consumeDownload must be implemented by storage provider');
+  }
+
   /**
    * Get all files that match cleanup criteria
    * @param {Date} inactiveSince - Files not accessed since this date should be returned
@@ -0,0 +1,340 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { deriveContentKey } = require('./zeroKnowledge');
+
+/**
+ * Encryption at rest for stored file content
+ * Content is encrypted with AES-256-GCM under a random data key per stored file. The
+ * data key is wrapped by a master key from the key ring and kept in an envelope next to
+ * the content. Content is split into segments that are sealed one by one (nonce = segment
+ * index plus a final-segment flag), so byte ranges can be read without decrypting the
+ * whole file and truncated or reordered segments fail authentication. Zero-knowledge
+ * content uses the same format with a data key derived from the public key, which is not
+ * stored at all.
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const DATA_KEY_BYTES = 32;
+const TAG_BYTES = 16;
+const NONCE_BYTES = 12;
+
+// Plaintext bytes per segment
+const DEFAULT_SEGMENT_SIZE = 64 * 1024;
+
+// Locally stored encrypted files start with a fixed-size header holding the envelope,
+// so re-wrapping the data key rewrites the header in place
+const HEADER_SIZE = 512;
+const HEADER_MAGIC = 'FSENC1\n';
+
+/**
+ * @typedef {Object} EncryptionEnvelope
+ * @property {string} algorithm - Always 'AES-256-GCM'
+ * @property {number} segmentSize - Plaintext bytes per segment
+ * @property {string} [keyId] - Id of the master key that wrapped the data key
+ * @property {string} [wrappedKey] - The wrapped data key, base64
+ * @property {string} [keyDerivation] - 'publicKey' if the data key is derived from the public key instead
+ */
+
+/**
+ * Create a data key for new content and its envelope
+ * @param {KeyRing} keyRing - Master keys
+ * @param {{segmentSize?: number}} [options] - Plaintext bytes per segment
+ * @returns {{dataKey: Buffer, envelope: EncryptionEnvelope}}
+ */
+function createEnvelope(keyRing, { segmentSize = DEFAULT_SEGMENT_SIZE } = {}) {
+  const dataKey = crypto.randomBytes(DATA_KEY_BYTES);
+  return {
+    dataKey,
+    envelope: {
+      algorithm: 'AES-256-GCM',
+      segmentSize,
+      ...keyRing.wrap(dataKey)
+    }
+  };
+}
+
+/**
+ * Create the data key and envelope for new zero-knowledge content
+ * @param {string} publicKey - The public key of the file
+ * @param {{segmentSize?: number}} [options] - Plaintext bytes per segment
+ * @returns {{dataKey: Buffer, envelope: EncryptionEnvelope}}
+ */
+function createDerivedEnvelope(publicKey, { segmentSize = DEFAULT_SEGMENT_SIZE } = {}) {
+  return {
+    dataKey: deriveContentKey(publicKey),
+    envelope: {
+      algorithm: 'AES-256-GCM',
+      segmentSize,
+      keyDerivation: 'publicKey'
+    }
+  };
+}
+
+/**
+ * Get the data key of encrypted content
+ * @param {KeyRing|null} keyRing - Master keys
+ * @param {EncryptionEnvelope} envelope - The content's envelope
+ * @param {string} publicKey - The public key the file was requested with
+ * @returns {Buffer}
+ */
+function openEnvelope(keyRing, envelope, publicKey) {
+  if (envelope.keyDerivation === 'publicKey') {
+    return deriveContentKey(publicKey);
+  }
+  if (!keyRing) {
+    throw new Error('File is encrypted but no encryption key is configured');
+  }
+  return keyRing.unwrap(envelope);
+}
+
+/**
+ * Wrap the data key of an envelope with the active master key
+ * @param {KeyRing} keyRing - Master keys
+ * @param {EncryptionEnvelope} envelope - The content's envelope
+ * @returns {EncryptionEnvelope|null} - New envelope, or null if the active key already wraps it or
+ *   the data key is not wrapped at all
+ */
+function rewrapEnvelope(keyRing, envelope) {
+  if (envelope.keyDerivation || envelope.keyId === keyRing.activeKeyId) {
+    return null;
+  }
+  return { ...envelope, ...keyRing.wrap(keyRing.unwrap(envelope)) };
+}
+
+/**
+ * Build the nonce of a segment
+ * @param {number} index - Segment index
+ * @param {boolean} final - Whether this is the last segment of the content
+ * @returns {Buffer}
+ */
+function segmentNonce(index, final) {
+  const nonce = Buffer.alloc(NONCE_BYTES);
+  nonce.writeUInt32BE(index, 7);
+  nonce[11] = final ? 1 : 0;
+  return nonce;
+}
+
+/**
+ * Create a stream that encrypts plaintext into sealed segments
+ * @param {Buffer} dataKey - The content's data key
+ * @param {number} segmentSize - Plaintext bytes per segment
+ * @param {Buffer} [header] - Bytes to emit before the first segment
+ * @returns {Transform}
+ */
+function createEncryptStream(dataKey, segmentSize, header = null) {
+  let pending = Buffer.alloc(0);
+  let index = 0;
+
+  /**
+   * Seal one segment
+   * @param {Buffer} plaintext - Segment plaintext
+   * @param {boolean} final - Whether this is the last segment
+   * @returns {Buffer}
+   */
+  function seal(plaintext, final) {
+    const cipher = crypto.createCipheriv(ALGORITHM, dataKey, segmentNonce(index++, final));
+    return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+  }
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (header) {
+        this.push(header);
+        header = null;
+      }
+
+      // A full segment is only sealed once more data shows it is not the last one
+      pending = Buffer.concat([pending, chunk]);
+      while (pending.length > segmentSize) {
+        this.push(seal(pending.subarray(0, segmentSize), false));
+        pending = pending.subarray(segmentSize);
+      }
+      callback();
+    },
+    flush(callback) {
+      if (header) {
+        this.push(header);
+      }
+      // Empty content still gets a final segment, so it can be authenticated
+      callback(null, seal(pending, true));
+    }
+  });
+}
+
+/**
+ * Get the encrypted size of content
+ * @param {number} plaintextSize - Plaintext bytes
+ * @param {number} segmentSize - Plaintext bytes per segment
+ * @returns {number}
+ */
+function getEncryptedSize(plaintextSize, segmentSize) {
+  const segments = Math.max(1, Math.ceil(plaintextSize / segmentSize));
+  return plaintextSize + segments * TAG_BYTES;
+}
+
+/**
+ * Get the plaintext size of encrypted content
+ * @param {number} encryptedSize - Encrypted bytes, without any header
+ * @param {number} segmentSize - Plaintext bytes per segment
+ * @returns {number}
+ */
+function getPlaintextSize(encryptedSize, segmentSize) {
+  const segments = Math.max(1, Math.ceil(encryptedSize / (segmentSize + TAG_BYTES)));
+  return encryptedSize - segments * TAG_BYTES;
+}
+
+/**
+ * @typedef {Object} EncryptedRead
+ * @property {number} encryptedStart - First encrypted byte to read
+ * @property {number} encryptedEnd - Last encrypted byte to read (inclusive)
+ * @property {number} firstSegment - Index of the first segment read
+ * @property {number} segmentCount - Number of segments read
+ * @property {number} finalSegment - Index of the last segment of the content
+ * @property {number} skip - Plaintext bytes to drop from the first segment
+ * @property {number} length - Plaintext bytes to return
+ * @property {number} segmentSize - Plaintext bytes per segment
+ */
+
+/**
+ * Work out which segments hold a plaintext byte range
+ * @param {{start?: number, end?: number}} range - Inclusive plaintext byte range, whole content if omitted
+ * @param {number} plaintextSize - Plaintext bytes
+ * @param {number} segmentSize - Plaintext bytes per segment
+ * @returns {EncryptedRead}
+ */
+function planEncryptedRead(range, plaintextSize, segmentSize) {
+  const finalSegment = Math.max(0, Math.ceil(plaintextSize / segmentSize) - 1);
+  const start = Math.min(range.start || 0, plaintextSize);
+  const end = Math.min(range.end === undefined ? plaintextSize - 1 : range.end, plaintextSize - 1);
+
+  const firstSegment = Math.min(Math.floor(start / segmentSize), finalSegment);
+  const lastSegment = Math.max(firstSegment, Math.min(Math.floor(Math.max(end, 0) / segmentSize), finalSegment));
+  const encryptedSegmentSize = segmentSize + TAG_BYTES;
+
+  return {
+    encryptedStart: firstSegment * encryptedSegmentSize,
+    encryptedEnd: Math.min((lastSegment + 1) * encryptedSegmentSize, getEncryptedSize(plaintextSize, segmentSize)) - 1,
+    firstSegment,
+    segmentCount: lastSegment - firstSegment + 1,
+    finalSegment,
+    skip: start - firstSegment * segmentSize,
+    length: Math.max(0, end - start + 1),
+    segmentSize
+  };
+}
+
+/**
+ * Create a stream that decrypts the segments of a planned read
+ * Fails if a segment does not authenticate or the content ends early
+ * @param {Buffer} dataKey - The content's data key
+ * @param {EncryptedRead} read - The planned read
+ * @returns {Transform}
+ */
+function createDecryptStream(dataKey, read) {
+  const encryptedSegmentSize = read.segmentSize + TAG_BYTES;
+  let pending = Buffer.alloc(0);
+  let index = read.firstSegment;
+  let skip = read.skip;
+  let remaining = read.length;
+
+  /**
+   * Open one segment and pass on the wanted part of it
+   * @param {Transform} stream - The decrypting stream
+   * @param {Buffer} segment - Encrypted segment including its tag
+   */
+  function open(stream, segment) {
+    if (segment.length < TAG_BYTES) {
+      throw new Error('Encrypted content is truncated');
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, dataKey, segmentNonce(index, index === read.finalSegment));
+    decipher.setAuthTag(segment.subarray(segment.length - TAG_BYTES));
+    let plaintext;
+    try {
+      plaintext = Buffer.concat([decipher.update(segment.subarray(0, segment.length - TAG_BYTES)), decipher.final()]);
+    } catch (error) {
+      throw new Error('Encrypted content failed authentication');
+    }
+    index++;
+
+    const wanted = plaintext.subarray(skip, skip + remaining);
+    skip = Math.max(0, skip - plaintext.length);
+    remaining -= wanted.length;
+    if (wanted.length > 0) {
+      stream.push(wanted);
+    }
+  }
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      pending = Buffer.concat([pending, chunk]);
+      try {
+        while (pending.length >= encryptedSegmentSize) {
+          open(this, pending.subarray(0, encryptedSegmentSize));
+          pending = pending.subarray(encryptedSegmentSize);
+        }
+      } catch (error) {
+        return callback(error);
+      }
+      callback();
+    },
+    flush(callback) {
+      try {
+        if (pending.length > 0) {
+          open(this, pending);
+        }
+        if (index !== read.firstSegment + read.segmentCount) {
+          throw new Error('Encrypted content is truncated');
+        }
+      } catch (error) {
+        return callback(error);
+      }
+      callback();
+    }
+  });
+}
+
+/**
+ * Encode an envelope as the fixed-size header of a local file
+ * @param {EncryptionEnvelope} envelope - The envelope
+ * @returns {Buffer}
+ */
+function encodeHeader(envelope) {
+  const content = HEADER_MAGIC + JSON.stringify(envelope);
+  if (Buffer.byteLength(content) > HEADER_SIZE) {
+    throw new Error('Encryption envelope does not fit the header');
+  }
+  return Buffer.from(content.padEnd(HEADER_SIZE, ' '));
+}
+
+/**
+ * Decode the header of a local file
+ * @param {Buffer} header - The first HEADER_SIZE bytes of the file
+ * @returns {EncryptionEnvelope|null} - The envelope, or null if the file is not encrypted
+ */
+function decodeHeader(header) {
+  if (header.length < HEADER_SIZE || header.toString('utf-8', 0, HEADER_MAGIC.length) !== HEADER_MAGIC) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(header.toString('utf-8', HEADER_MAGIC.length, HEADER_SIZE));
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  HEADER_SIZE,
+  createEnvelope,
+  createDerivedEnvelope,
+  openEnvelope,
+  rewrapEnvelope,
+  createEncryptStream,
+  createDecryptStream,
+  getEncryptedSize,
+  getPlaintextSize,
+  planEncryptedRead,
+  encodeHeader,
+  decodeHeader
+};
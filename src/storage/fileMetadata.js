@@ -0,0 +1,89 @@
+/**
+ * Helpers for the metadata documents kept by storage providers
+ */
+
+/**
+ * Parse an optional ISO timestamp
+ * @param {string|null|undefined} value - ISO timestamp
+ * @returns {Date|null}
+ */
+function toDate(value) {
+  return value ? new Date(value) : null;
+}
+
+/**
+ * Convert a stored metadata document into the public file info shape
+ * Keys are left out
+ * @param {Object} metadata - File metadata
+ * @returns {FileInfo}
+ */
+function toFileInfo(metadata) {
+  return {
+    originalName: metadata.originalName,
+    mimeType: metadata.mimeType,
+    fileSize: metadata.fileSize,
+    sha256: metadata.sha256 || null,
+    createdAt: new Date(metadata.createdAt),
+    lastAccessed: toDate(metadata.lastAccessed),
+    expiresAt: toDate(metadata.expiresAt),
+    notBefore: toDate(metadata.notBefore),
+    maxDownloads: metadata.maxDownloads === undefined ? null : metadata.maxDownloads,
+    downloadCount: metadata.downloadCount || 0,
+    passwordHash: metadata.passwordHash || null,
+    scanStatus: metadata.scanStatus || null,
+    bundle: Array.isArray(metadata.members),
+    bundled: Boolean(metadata.bundled),
+    renditions: getRenditionKeys(metadata)
+  };
+}
+
+/**
+ * Get the public keys of a file's renditions by variant
+ * Renditions whose public key is sealed (zero-knowledge metadata that was not revealed) are left out
+ * @param {Object} metadata - File metadata
+ * @returns {Object<string, string>}
+ */
+function getRenditionKeys(metadata) {
+  return Object.fromEntries(Object.entries(metadata.renditions || {})
+    .filter(([, entry]) => entry.publicKey)
+    .map(([variant, entry]) => [variant, entry.publicKey]));
+}
+
+/**
+ * Record a rendition in a file's metadata
+ * A variant that is already recorded keeps its rendition
+ * @param {Object} metadata - File metadata, changed in place
+ * @param {string} variant - Name of the rendition
+ * @param {Object} entry - Keys of the rendition as stored: privateKey, and publicKey or sealedPublicKey
+ * @returns {boolean} - True if the rendition was recorded
+ */
+function addRendition(metadata, variant, entry) {
+  const renditions = metadata.renditions || {};
+  if (Object.prototype.hasOwnProperty.call(renditions, variant)) {
+    return false;
+  }
+
+  metadata.renditions = { ...renditions, [variant]: entry };
+  return true;
+}
+
+/**
+ * Give a file new keys in its metadata
+ * The public key of a zero-knowledge file derives the keys its content and details are
+ * encrypted with, so only its private key can be replaced
+ * @param {Object} metadata - File metadata, changed in place
+ * @param {{publicKey?: string, privateKey?: string}} keys - The new keys
+ */
+function replaceKeys(metadata, keys) {
+  if (keys.publicKey && metadata.zeroKnowledge) {
+    throw new Error('Public key rotation not available');
+  }
+
+  Object.assign(metadata, keys);
+}
+
+module.exports = {
+  toFileInfo,
+  addRendition,
+  replaceKeys
+};
@@ -0,0 +1,29 @@
+/**
+ * Moving file metadata between metadata stores
+ */
+
+/**
+ * Move the metadata of every file from one store into another
+ * Each document is removed from the source only after it is in the target, so an
+ * interrupted migration can simply be run again. Files already in the target keep
+ * the target's version.
+ * @param {MetadataStore} source - Store to move metadata out of
+ * @param {MetadataStore} target - Store to move metadata into
+ * @returns {Promise<number>} - Number of files moved
+ */
+async function migrateMetadata(source, target) {
+  const metadataList = await source.list();
+
+  for (const metadata of metadataList) {
+    if (!(await target.get(metadata.publicKey))) {
+      await target.create(metadata);
+    }
+    await source.delete(metadata.privateKey);
+  }
+
+  return metadataList.length;
+}
+
+module.exports = {
+  migrateMetadata
+};
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+/**
+ * Password hashing for password-protected shares
+ * Passwords are stored as salted scrypt hashes: "scrypt$N$r$p$salt$hash"
+ */
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters for new hashes
+const SCRYPT_COST = 16384;
+const SCRYPT_BLOCK_SIZE = 8;
+const SCRYPT_PARALLELIZATION = 1;
+const SALT_BYTES = 16;
+const KEY_BYTES = 32;
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - The password
+ * @returns {Promise<string>} - Encoded hash including its parameters and salt
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await scrypt(password, salt, KEY_BYTES, {
+    N: SCRYPT_COST,
+    r: SCRYPT_BLOCK_SIZE,
+    p: SCRYPT_PARALLELIZATION
+  });
+
+  return [
+    'scrypt',
+    SCRYPT_COST,
+    SCRYPT_BLOCK_SIZE,
+    SCRYPT_PARALLELIZATION,
+    salt.toString('base64'),
+    key.toString('base64')
+  ].join('$');
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - The password to check
+ * @param {string} storedHash - Hash created by hashPassword
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, storedHash) {
+  const parts = typeof storedHash === 'string' ? storedHash.split('$') : [];
+  if (parts.length !== 6 || parts[0] !== 'scrypt') {
+    return false;
+  }
+
+  const [, cost, blockSize, parallelization, salt, expected] = parts;
+  const expectedKey = Buffer.from(expected, 'base64');
+  const key = await scrypt(password, Buffer.from(salt, 'base64'), expectedKey.length, {
+    N: parseInt(cost, 10),
+    r: parseInt(blockSize, 10),
+    p: parseInt(parallelization, 10)
+  });
+
+  return crypto.timingSafeEqual(key, expectedKey);
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword
+};
@@ -0,0 +1,152 @@
+const { hashPassword } = require('./passwordHash');
+
+/**
+ * Share limit helpers
+ * Shares can have an absolute expiry time, a not-before time, a maximum download count
+ * and a download password
+ */
+
+/**
+ * Check whether a share has used up its downloads
+ * @param {{maxDownloads?: number|null, downloadCount?: number}} metadata - File metadata or info
+ * @returns {boolean}
+ */
+function isDownloadLimitReached(metadata) {
+  return metadata.maxDownloads !== null && metadata.maxDownloads !== undefined &&
+    (metadata.downloadCount || 0) >= metadata.maxDownloads;
+}
+
+/**
+ * Work out whether a share can currently be downloaded
+ * @param {{expiresAt?: string|Date|null, notBefore?: string|Date|null, maxDownloads?: number|null, downloadCount?: number}} metadata - File metadata or info
+ * @param {Date} [now] - Reference time
+ * @returns {'available'|'pending'|'expired'|'exhausted'}
+ */
+function getShareStatus(metadata, now = new Date()) {
+  if (metadata.expiresAt && new Date(metadata.expiresAt) <= now) {
+    return 'expired';
+  }
+
+  if (isDownloadLimitReached(metadata)) {
+    return 'exhausted';
+  }
+
+  if (metadata.notBefore && new Date(metadata.notBefore) > now) {
+    return 'pending';
+  }
+
+  return 'available';
+}
+
+// Errors thrown for shares that cannot be downloaded, by share status
+const SHARE_STATUS_ERRORS = {
+  expired: 'File expired',
+  exhausted: 'Download limit reached',
+  pending: 'File not yet available'
+};
+
+// Metadata fields that make up the share settings, plus the malware scan status that is changed the same way
+const SHARE_SETTING_FIELDS = ['expiresAt', 'notBefore', 'maxDownloads', 'passwordHash', 'scanStatus'];
+
+// Longest accepted download password
+const MAX_PASSWORD_LENGTH = 1024;
+
+/**
+ * Throw if a share cannot currently be downloaded
+ * @param {Object} metadata - File metadata or info
+ * @param {Date} [now] - Reference time
+ */
+function assertShareAvailable(metadata, now = new Date()) {
+  const status = getShareStatus(metadata, now);
+  if (status !== 'available') {
+    throw new Error(SHARE_STATUS_ERRORS[status]);
+  }
+}
+
+/**
+ * Copy share settings onto file metadata
+ * Only known settings are copied; null clears a setting
+ * @param {Object} metadata - File metadata, changed in place
+ * @param {Object} settings - Settings to apply
+ */
+function applyShareSettings(metadata, settings) {
+  for (const field of SHARE_SETTING_FIELDS) {
+    if (settings[field] !== undefined) {
+      metadata[field] = settings[field];
+    }
+  }
+}
+
+/**
+ * Parse share settings sent by a client
+ * Missing or empty fields are left unset
+ * @param {Object} fields - Raw fields (e.g. multipart form fields)
+ * @param {Date} [now] - Reference time
+ * @returns {{expiresAt?: string, notBefore?: string, maxDownloads?: number, password?: string}} - Validated settings
+ */
+function parseShareSettings(fields = {}, now = new Date()) {
+  const settings = {};
+
+  for (const field of ['expiresAt', 'notBefore']) {
+    const value = fields[field];
+    if (value === undefined || value === '') {
+      continue;
+    }
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`${field} must be a valid date`);
+    }
+    settings[field] = date.toISOString();
+  }
+
+  if (settings.expiresAt && new Date(settings.expiresAt) <= now) {
+    throw new Error('expiresAt must be in the future');
+  }
+
+  if (settings.expiresAt && settings.notBefore && settings.notBefore >= settings.expiresAt) {
+    throw new Error('notBefore must be before expiresAt');
+  }
+
+  const maxDownloads = fields.maxDownloads;
+  if (maxDownloads !== undefined && maxDownloads !== '') {
+    if (!/^\d+$/.test(String(maxDownloads)) || parseInt(maxDownloads, 10) < 1) {
+      throw new Error('maxDownloads must be a positive integer');
+    }
+    settings.maxDownloads = parseInt(maxDownloads, 10);
+  }
+
+  const password = fields.password;
+  if (password !== undefined && password !== '') {
+    if (typeof password !== 'string' || password.length > MAX_PASSWORD_LENGTH) {
+      throw new Error(`password must be a string of at most ${MAX_PASSWORD_LENGTH} characters`);
+    }
+    settings.password = password;
+  }
+
+  return settings;
+}
+
+/**
+ * Replace the plain password of parsed share settings with its hash
+ * so it can be stored by a provider
+ * @param {Object} settings - Settings returned by parseShareSettings
+ * @returns {Promise<Object>} - Settings with passwordHash instead of password
+ */
+async function hashSharePassword(settings) {
+  const { password, ...stored } = settings;
+  if (password !== undefined) {
+    stored.passwordHash = await hashPassword(password);
+  }
+  return stored;
+}
+
+module.exports = {
+  SHARE_STATUS_ERRORS,
+  isDownloadLimitReached,
+  getShareStatus,
+  assertShareAvailable,
+  applyShareSettings,
+  parseShareSettings,
+  hashSharePassword
+};
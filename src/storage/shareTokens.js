@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const { assertShareAvailable, parseShareSettings } = require('./shareLimits');
+
+/**
+ * Share token helpers
+ * A file's owner can hand out any number of named share tokens besides the public key.
+ * Each token is a link of its own with an expiry, a download limit and a revocation flag,
+ * kept in the file's metadata as `shareTokens`. The file's share settings still apply to
+ * every token: a token can only narrow them down.
+ */
+
+// Most share tokens a file can have, revoked ones included
+const MAX_SHARE_TOKENS = 100;
+
+// Longest accepted share token name
+const MAX_SHARE_NAME_LENGTH = 200;
+
+/**
+ * @typedef {Object} ShareToken
+ * @property {string} id - Id of the token, used by the owner to manage it
+ * @property {string} token - The token itself, used in download URLs in place of the public key
+ * @property {string|null} name - Name the owner gave the token
+ * @property {string} createdAt - ISO timestamp of creation
+ * @property {string|null} expiresAt - ISO timestamp after which the token stops working
+ * @property {number|null} maxDownloads - Maximum number of downloads through the token
+ * @property {number} downloadCount - Number of downloads through the token so far
+ * @property {string|null} lastAccessed - ISO timestamp of the last download through the token
+ * @property {string|null} revokedAt - ISO timestamp of revocation, null while the token works
+ */
+
+/**
+ * Parse the settings of a new share token sent by a client
+ * Missing or empty fields are left unset
+ * @param {Object} fields - Raw fields (a JSON body)
+ * @param {Date} [now] - Reference time
+ * @returns {{name?: string, expiresAt?: string, maxDownloads?: number}} - Validated settings
+ */
+function parseShareTokenSettings(fields = {}, now = new Date()) {
+  const { expiresAt, maxDownloads } = parseShareSettings({ expiresAt: fields.expiresAt, maxDownloads: fields.maxDownloads }, now);
+  const settings = {};
+  if (expiresAt !== undefined) {
+    settings.expiresAt = expiresAt;
+  }
+  if (maxDownloads !== undefined) {
+    settings.maxDownloads = maxDownloads;
+  }
+
+  const name = fields.name;
+  if (name !== undefined && name !== '') {
+    if (typeof name !== 'string' || name.length > MAX_SHARE_NAME_LENGTH) {
+      throw new Error(`name must be a string of at most ${MAX_SHARE_NAME_LENGTH} characters`);
+    }
+    settings.name = name;
+  }
+
+  return settings;
+}
+
+/**
+ * Make a new share token
+ * @param {{name?: string, expiresAt?: string, maxDownloads?: number}} settings - Settings returned by parseShareTokenSettings
+ * @param {Date} [now] - Creation time
+ * @returns {ShareToken}
+ */
+function createShareToken(settings = {}, now = new Date()) {
+  return {
+    id: crypto.randomBytes(8).toString('hex'),
+    token: crypto.randomBytes(32).toString('hex'),
+    name: settings.name || null,
+    createdAt: now.toISOString(),
+    expiresAt: settings.expiresAt || null,
+    maxDownloads: settings.maxDownloads === undefined ? null : settings.maxDownloads,
+    downloadCount: 0,
+    lastAccessed: null,
+    revokedAt: null
+  };
+}
+
+/**
+ * Get the tokens of every share token of a file, revoked ones included
+ * @param {Object} metadata - File metadata
+ * @returns {Array<string>}
+ */
+function getShareTokenKeys(metadata) {
+  return (metadata.shareTokens || []).map(share => share.token);
+}
+
+/**
+ * Find a share token of a file by the token itself
+ * @param {Object} metadata - File metadata
+ * @param {string} token - The token
+ * @returns {ShareToken|null}
+ */
+function findShareToken(metadata, token) {
+  return (metadata.shareTokens || []).find(share => share.token === token) || null;
+}
+
+/**
+ * Add a share token to a file's metadata
+ * Zero-knowledge files cannot have share tokens, as their public key is needed to read
+ * them; bundle members and renditions are only reached through their file
+ * @param {Object} metadata - File metadata, changed in place
+ * @param {ShareToken} share - The new token
+ */
+function addShareToken(metadata, share) {
+  if (metadata.zeroKnowledge || metadata.bundled) {
+    throw new Error('Share tokens not available');
+  }
+
+  const shareTokens = metadata.shareTokens || [];
+  if (shareTokens.length >= MAX_SHARE_TOKENS) {
+    throw new Error('Too many share tokens');
+  }
+
+  metadata.shareTokens = [...shareTokens, share];
+}
+
+/**
+ * Revoke a share token of a file
+ * The token stays listed with its download count; revoking it again changes nothing
+ * @param {Object} metadata - File metadata, changed in place
+ * @param {string} id - Id of the token
+ * @param {Date} [now] - Revocation time
+ * @returns {ShareToken} - The revoked token; throws 'Share token not found' for unknown ids
+ */
+function revokeShareToken(metadata, id, now = new Date()) {
+  const shareTokens = metadata.shareTokens || [];
+  const share = shareTokens.find(entry => entry.id === id);
+  if (!share) {
+    throw new Error('Share token not found');
+  }
+  if (share.revokedAt) {
+    return share;
+  }
+
+  const revoked = { ...share, revokedAt: now.toISOString() };
+  metadata.shareTokens = shareTokens.map(entry => (entry === share ? revoked : entry));
+  return revoked;
+}
+
+/**
+ * Get the number of downloads left under a limit
+ * @param {{maxDownloads: number|null, downloadCount: number}} limits - Share or token limits
+ * @returns {number} - Infinity without a limit
+ */
+function remainingDownloads({ maxDownloads, downloadCount }) {
+  return maxDownloads === null || maxDownloads === undefined ? Infinity : maxDownloads - (downloadCount || 0);
+}
+
+/**
+ * Get the file info a download through a share token works with
+ * The earlier expiry and the tighter download limit of the file and the token apply
+ * @param {FileInfo} info - File info of the file
+ * @param {ShareToken} share - The token
+ * @returns {FileInfo}
+ */
+function applyShareToken(info, share) {
+  const tokenExpiresAt = share.expiresAt ? new Date(share.expiresAt) : null;
+  const expiresAt = tokenExpiresAt && (!info.expiresAt || tokenExpiresAt < info.expiresAt) ? tokenExpiresAt : info.expiresAt;
+
+  const limit = remainingDownloads(share) < remainingDownloads(info)
+    ? { maxDownloads: share.maxDownloads, downloadCount: share.downloadCount }
+    : { maxDownloads: info.maxDownloads, downloadCount: info.downloadCount };
+
+  return { ...info, expiresAt, ...limit };
+}
+
+/**
+ * Record a download through a share token in a file's metadata
+ * The download counts for the token and for the file, and is refused if either cannot be downloaded
+ * @param {Object} metadata - File metadata, changed in place
+ * @param {string} token - The token
+ * @param {Date} [now] - Download time
+ * @returns {{downloadCount: number, maxDownloads: number|null}} - Counter of the token after the download;
+ *   throws 'File not found' for unknown and revoked tokens
+ */
+function recordShareTokenDownload(metadata, token, now = new Date()) {
+  const share = findShareToken(metadata, token);
+  if (!share || share.revokedAt) {
+    throw new Error('File not found');
+  }
+
+  assertShareAvailable(share, now);
+  assertShareAvailable(metadata, now);
+
+  const lastAccessed = now.toISOString();
+  const counted = { ...share, downloadCount: share.downloadCount + 1, lastAccessed };
+  metadata.shareTokens = metadata.shareTokens.map(entry => (entry === share ? counted : entry));
+  metadata.downloadCount = (metadata.downloadCount || 0) + 1;
+  metadata.lastAccessed = lastAccessed;
+
+  return { downloadCount: counted.downloadCount, maxDownloads: counted.maxDownloads };
+}
+
+module.exports = {
+  MAX_SHARE_TOKENS,
+  parseShareTokenSettings,
+  createShareToken,
+  getShareTokenKeys,
+  findShareToken,
+  addShareToken,
+  revokeShareToken,
+  applyShareToken,
+  recordShareTokenDownload
+};
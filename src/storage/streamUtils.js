@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const { PassThrough, Transform, pipeline } = require('stream');
+
+/**
+ * Stream helpers shared by the storage providers
+ */
+
+/**
+ * Create a pass-through stream that counts the bytes flowing through it
+ * The running total is available on the `bytes` property
+ * @returns {Transform}
+ */
+function createByteCounter() {
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      counter.bytes += chunk.length;
+      callback(null, chunk);
+    }
+  });
+  counter.bytes = 0;
+  return counter;
+}
+
+/**
+ * Create a pass-through stream that fails once more than a number of bytes flow through it
+ * The chunk that crosses the limit is not passed on
+ * @param {number} maxBytes - Maximum number of bytes allowed
+ * @param {string} [message] - Error message used when the limit is exceeded
+ * @returns {Transform}
+ */
+function createSizeLimiter(maxBytes, message = 'Size limit exceeded') {
+  let total = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      total += chunk.length;
+      if (total > maxBytes) {
+        return callback(new Error(message));
+      }
+      callback(null, chunk);
+    }
+  });
+}
+
+/**
+ * Create a pass-through stream that hashes the bytes flowing through it
+ * The hex digest is available on the `digest` property once the stream has ended
+ * @param {string} [algorithm] - Hash algorithm
+ * @returns {Transform}
+ */
+function createHasher(algorithm = 'sha256') {
+  const hash = crypto.createHash(algorithm);
+  const hasher = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+    flush(callback) {
+      hasher.digest = hash.digest('hex');
+      callback();
+    }
+  });
+  hasher.digest = null;
+  return hasher;
+}
+
+/**
+ * Create a pass-through stream that checks the bytes flowing through it against known digests
+ * The last chunk is held back until the digests have been compared, so a reader never gets
+ * the complete content when it does not match; the stream fails instead
+ * @param {Object<string, string>} expected - Hex digests by hash algorithm, e.g. {sha256, md5}
+ * @param {string} [message] - Error message used when a digest does not match
+ * @returns {Transform}
+ */
+function createDigestVerifier(expected, message = 'Digest mismatch') {
+  const hashes = Object.keys(expected).map(algorithm => ({ algorithm, hash: crypto.createHash(algorithm) }));
+  let held = null;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      for (const { hash } of hashes) {
+        hash.update(chunk);
+      }
+      const previous = held;
+      held = chunk;
+      callback(null, previous);
+    },
+    flush(callback) {
+      const matches = hashes.every(({ algorithm, hash }) => hash.digest('hex') === expected[algorithm].toLowerCase());
+      if (!matches) {
+        return callback(new Error(message));
+      }
+      callback(null, held);
+    }
+  });
+}
+
+/**
+ * Read a stream to completion and hash its content
+ * @param {Readable} stream - The stream to consume
+ * @param {string} [algorithm] - Hash algorithm
+ * @returns {Promise<string>} - Hex digest
+ */
+async function hashStream(stream, algorithm = 'sha256') {
+  const hash = crypto.createHash(algorithm);
+  for await (const chunk of stream) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Pipe a stream through a transform and return the transform
+ * An error in either stream destroys both, so whoever reads the transform sees it
+ * @param {Readable} source - The stream to read from
+ * @param {Transform} transform - The stream to pipe into
+ * @returns {Transform}
+ */
+function pipeThrough(source, transform) {
+  return pipeline(source, transform, () => {});
+}
+
+/**
+ * Read the first bytes of a stream without losing them
+ * Returns a stream that replays those bytes before the rest of the source; errors of the
+ * source reach its readers, and destroying it destroys the source
+ * @param {Readable} source - The stream to peek into
+ * @param {number} length - Number of bytes wanted
+ * @returns {Promise<{head: Buffer, stream: Readable}>} - At most `length` bytes, fewer if the stream is shorter
+ */
+function peekStream(source, length) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    const stop = () => {
+      source.off('data', onData);
+      source.off('end', onEnd);
+      source.off('error', onError);
+      source.pause();
+      return Buffer.concat(chunks);
+    };
+    const onData = (chunk) => {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+      size += chunk.length;
+      if (size >= length) {
+        const buffered = stop();
+        const stream = new PassThrough();
+        stream.write(buffered);
+        pipeline(source, stream, () => {});
+        resolve({ head: buffered.subarray(0, length), stream });
+      }
+    };
+    const onEnd = () => {
+      const buffered = stop();
+      resolve({ head: buffered, stream: new PassThrough().end(buffered) });
+    };
+    const onError = (error) => {
+      stop();
+      reject(error);
+    };
+
+    source.on('data', onData);
+    source.on('end', onEnd);
+    source.on('error', onError);
+  });
+}
+
+/**
+ * Read a stream to completion and concatenate its chunks
+ * Only meant for small payloads (metadata, tests, buffer-based helpers)
+ * @param {Readable} stream - The stream to consume
+ * @returns {Promise<Buffer>}
+ */
+async function streamToBuffer(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+module.exports = {
+  createByteCounter,
+  createSizeLimiter,
+  createHasher,
+  createDigestVerifier,
+  hashStream,
+  peekStream,
+  pipeThrough,
+  streamToBuffer
+};
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+
+/**
+ * Zero-knowledge storage of files
+ * The public key is the only secret of a zero-knowledge file. A lookup key and a content
+ * key are derived from it with HKDF; only the lookup key is stored, in place of the public
+ * key, and the original name, MIME type and content digest are sealed with the content key.
+ * So are the public keys of the file's renditions, which would otherwise open them.
+ * Stored content and metadata together reveal nothing beyond sizes and timestamps without
+ * the link.
+ */
+
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// HKDF contexts, so the lookup key tells nothing about the content key
+const LOOKUP_KEY_INFO = 'file-share zero-knowledge lookup key';
+const CONTENT_KEY_INFO = 'file-share zero-knowledge content key';
+const DETAILS_AAD = Buffer.from('file-share zero-knowledge file details');
+const RENDITION_AAD = Buffer.from('file-share zero-knowledge rendition key');
+
+/**
+ * Derive a key from a public key
+ * @param {string} publicKey - The public key of the file
+ * @param {string} info - HKDF context
+ * @returns {Buffer}
+ */
+function deriveKey(publicKey, info) {
+  return Buffer.from(crypto.hkdfSync('sha256', Buffer.from(publicKey, 'utf-8'), Buffer.alloc(0), info, KEY_BYTES));
+}
+
+/**
+ * Get the key a zero-knowledge file is stored under
+ * @param {string} publicKey - The public key of the file
+ * @returns {string}
+ */
+function deriveLookupKey(publicKey) {
+  return deriveKey(publicKey, LOOKUP_KEY_INFO).toString('hex');
+}
+
+/**
+ * Get the key the content of a zero-knowledge file is encrypted with
+ * @param {string} publicKey - The public key of the file
+ * @returns {Buffer}
+ */
+function deriveContentKey(publicKey) {
+  return deriveKey(publicKey, CONTENT_KEY_INFO);
+}
+
+/**
+ * Encrypt a value with the content key of a file
+ * @param {string} publicKey - The public key of the file
+ * @param {*} value - JSON value to encrypt
+ * @param {Buffer} aad - Additional authenticated data, telling apart what was sealed
+ * @returns {string} - base64 of IV, ciphertext and tag
+ */
+function seal(publicKey, value, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveContentKey(publicKey), iv);
+  cipher.setAAD(aad);
+  const plaintext = Buffer.from(JSON.stringify(value));
+
+  return Buffer.concat([iv, cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]).toString('base64');
+}
+
+/**
+ * Decrypt a value sealed with the content key of a file
+ * @param {string} publicKey - The public key of the file
+ * @param {string} sealed - Output of seal
+ * @param {Buffer} aad - Additional authenticated data the value was sealed with
+ * @param {string} failure - Message of the error thrown if the value cannot be decrypted
+ * @returns {*}
+ */
+function open(publicKey, sealed, aad, failure) {
+  const bytes = Buffer.from(sealed, 'base64');
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', deriveContentKey(publicKey), bytes.subarray(0, IV_BYTES));
+    decipher.setAAD(aad);
+    decipher.setAuthTag(bytes.subarray(bytes.length - TAG_BYTES));
+    const plaintext = Buffer.concat([
+      decipher.update(bytes.subarray(IV_BYTES, bytes.length - TAG_BYTES)),
+      decipher.final()
+    ]);
+    return JSON.parse(plaintext.toString('utf-8'));
+  } catch (error) {
+    throw new Error(failure);
+  }
+}
+
+/**
+ * Encrypt the name, MIME type and content digest of a file
+ * @param {string} publicKey - The public key of the file
+ * @param {{originalName: string, mimeType: string, sha256?: string}} details - The file details
+ * @returns {string} - base64 of IV, ciphertext and tag
+ */
+function sealFileDetails(publicKey, { originalName, mimeType, sha256 }) {
+  return seal(publicKey, { originalName, mimeType, sha256 }, DETAILS_AAD);
+}
+
+/**
+ * Decrypt the name, MIME type and content digest of a file
+ * @param {string} publicKey - The public key of the file
+ * @param {string} sealed - Output of sealFileDetails
+ * @returns {{originalName: string, mimeType: string, sha256?: string}}
+ */
+function openFileDetails(publicKey, sealed) {
+  return open(publicKey, sealed, DETAILS_AAD, 'File details could not be decrypted');
+}
+
+/**
+ * Turn the keys of a zero-knowledge file's rendition into the entry stored with the file
+ * The rendition's public key is sealed with the file's content key; its private key stays
+ * readable, so the rendition can be deleted together with the file
+ * @param {string} publicKey - The public key of the file
+ * @param {{publicKey: string, privateKey: string}} keys - Keys of the rendition
+ * @returns {{privateKey: string, sealedPublicKey: string}}
+ */
+function protectRendition(publicKey, keys) {
+  return { privateKey: keys.privateKey, sealedPublicKey: seal(publicKey, keys.publicKey, RENDITION_AAD) };
+}
+
+/**
+ * Turn the metadata of a new file into its zero-knowledge form
+ * The public key is replaced by the lookup key, and name, MIME type and digest are sealed,
+ * since a known digest would confirm the content of a file
+ * @param {Object} metadata - Metadata including the public key
+ * @returns {Object}
+ */
+function protectMetadata(metadata) {
+  return {
+    ...metadata,
+    publicKey: deriveLookupKey(metadata.publicKey),
+    originalName: null,
+    mimeType: null,
+    sha256: null,
+    sealedDetails: sealFileDetails(metadata.publicKey, metadata),
+    zeroKnowledge: true
+  };
+}
+
+/**
+ * Restore the name, MIME type, digest and rendition keys of a zero-knowledge file's metadata
+ * @param {Object} metadata - Stored metadata
+ * @param {string} publicKey - The public key the file was found by
+ * @returns {Object} - Metadata as of a regular file; other metadata is returned unchanged
+ */
+function revealMetadata(metadata, publicKey) {
+  if (!metadata.zeroKnowledge) {
+    return metadata;
+  }
+
+  const revealed = { ...metadata, ...openFileDetails(publicKey, metadata.sealedDetails) };
+  if (metadata.renditions) {
+    revealed.renditions = Object.fromEntries(Object.entries(metadata.renditions).map(([variant, entry]) => [variant, {
+      privateKey: entry.privateKey,
+      publicKey: open(publicKey, entry.sealedPublicKey, RENDITION_AAD, 'Rendition key could not be decrypted')
+    }]));
+  }
+  return revealed;
+}
+
+/**
+ * Find the stored metadata of a file by its public key
+ * Zero-knowledge files are found by their lookup key, other files by the public key itself;
+ * the lookup for the current mode goes first. A lookup key passed as a public key never
+ * matches, since regular files are only accepted from the plain lookup.
+ * @param {MetadataStore} metadataStore - The metadata store
+ * @param {string} publicKey - The public key of the file
+ * @param {boolean} zeroKnowledge - Whether new files are stored zero-knowledge
+ * @returns {Promise<Object|null>} - Stored metadata, whose publicKey is the key it is stored under
+ */
+async function findByPublicKey(metadataStore, publicKey, zeroKnowledge) {
+  const lookups = [
+    { key: deriveLookupKey(publicKey), zeroKnowledge: true },
+    { key: publicKey, zeroKnowledge: false }
+  ];
+  if (!zeroKnowledge) {
+    lookups.reverse();
+  }
+
+  for (const lookup of lookups) {
+    const metadata = await metadataStore.get(lookup.key);
+    if (metadata && metadata.publicKey === lookup.key && Boolean(metadata.zeroKnowledge) === lookup.zeroKnowledge) {
+      return metadata;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  deriveLookupKey,
+  deriveContentKey,
+  sealFileDetails,
+  openFileDetails,
+  protectRendition,
+  protectMetadata,
+  revealMetadata,
+  findByPublicKey
+};
@@ -0,0 +1,91 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const MemoryUsageStore = require('./MemoryUsageStore');
+
+/**
+ * File-backed usage store
+ * Keeps counters in memory and saves them to a JSON file after every change, so quotas
+ * survive restarts. Changes made while a save is running are written together by the
+ * next one. Only one process may use a file at a time.
+ */
+class FileUsageStore extends MemoryUsageStore {
+  /**
+   * @param {string} filePath - Absolute path to the usage file
+   */
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    // Saves run one after another
+    this.writeQueue = Promise.resolve();
+    // Save that has been queued but not started yet
+    this.pendingSave = null;
+  }
+
+  /**
+   * Load saved counters
+   * An unreadable file is reported and replaced, since usage counters are not worth refusing to start over
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    let saved = {};
+    try {
+      saved = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Usage file ${this.filePath} could not be read, starting with empty counters:`, error.message);
+      }
+    }
+
+    for (const [key, record] of Object.entries(saved)) {
+      this.records.set(key, { counters: { ...record.counters }, expiresAt: record.expiresAt ?? null });
+    }
+    await this.removeExpired();
+  }
+
+  /**
+   * Write the counters to the usage file
+   * The file is written next to the old one and renamed into place, so a crash
+   * leaves either the old or the new counters behind
+   * @returns {Promise<void>}
+   */
+  async _writeSnapshot() {
+    const tempPath = `${this.filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+    await fs.writeFile(tempPath, JSON.stringify(Object.fromEntries(this.records)));
+    await fs.rename(tempPath, this.filePath);
+  }
+
+  /**
+   * Save the counters after every change made so far
+   * Write errors are logged rather than thrown, counting goes on in memory
+   * @returns {Promise<void>}
+   */
+  _persist() {
+    if (!this.pendingSave) {
+      this.pendingSave = this.writeQueue.then(() => {
+        // Changes from here on need another save
+        this.pendingSave = null;
+        return this._writeSnapshot();
+      }).catch((error) => {
+        console.warn(`Usage file ${this.filePath} could not be saved:`, error.message);
+      });
+      this.writeQueue = this.pendingSave;
+    }
+
+    return this.pendingSave;
+  }
+
+  /**
+   * Wait for pending saves
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.writeQueue;
+  }
+}
+
+module.exports = FileUsageStore;
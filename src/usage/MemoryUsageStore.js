@@ -0,0 +1,107 @@
+const UsageStore = require('./UsageStore');
+
+/**
+ * In-memory usage store
+ * Counters live in process memory, so every restart resets them and every server
+ * instance counts on its own. Increments never wait for anything, which makes them atomic.
+ */
+class MemoryUsageStore extends UsageStore {
+  constructor() {
+    super();
+    // key -> {counters: Object<string, number>, expiresAt: number|null}
+    this.records = new Map();
+  }
+
+  /**
+   * Get the live record of a key, dropping it once it has expired
+   * @param {string} key - Usage key
+   * @returns {{counters: Object<string, number>, expiresAt: number|null}|undefined}
+   */
+  _getRecord(key) {
+    const record = this.records.get(key);
+    if (record && record.expiresAt !== null && record.expiresAt <= Date.now()) {
+      this.records.delete(key);
+      return undefined;
+    }
+    return record;
+  }
+
+  /**
+   * Make the current counters durable
+   * Called after every change; the in-memory store has nothing to do
+   * @returns {Promise<void>}
+   */
+  async _persist() {}
+
+  /**
+   * Get the counters of a key
+   * @param {string} key - Usage key
+   * @returns {Promise<Object<string, number>>}
+   */
+  async get(key) {
+    const record = this._getRecord(key);
+    return record ? { ...record.counters } : {};
+  }
+
+  /**
+   * Atomically add to a counter
+   * @param {string} key - Usage key
+   * @param {string} field - Counter name
+   * @param {number} amount - Amount to add, negative to give back a reservation
+   * @param {{limit?: number, expiresAt?: Date}} [options] - Limit to enforce, and when the key may be forgotten
+   * @returns {Promise<{allowed: boolean, value: number}>}
+   */
+  async increment(key, field, amount, options = {}) {
+    let record = this._getRecord(key);
+    const current = record ? record.counters[field] || 0 : 0;
+
+    if (options.limit !== undefined && (current >= options.limit || current + amount > options.limit)) {
+      return { allowed: false, value: current };
+    }
+
+    if (!record) {
+      record = { counters: {}, expiresAt: null };
+      this.records.set(key, record);
+    }
+    record.counters[field] = current + amount;
+    if (options.expiresAt) {
+      record.expiresAt = options.expiresAt.getTime();
+    }
+
+    await this._persist();
+
+    return { allowed: true, value: record.counters[field] };
+  }
+
+  /**
+   * Remove all counters of a key
+   * @param {string} key - Usage key
+   * @returns {Promise<boolean>}
+   */
+  async delete(key) {
+    const existed = Boolean(this._getRecord(key));
+    this.records.delete(key);
+
+    if (existed) {
+      await this._persist();
+    }
+    return existed;
+  }
+
+  /**
+   * Forget keys whose expiry has passed
+   * @returns {Promise<void>}
+   */
+  async removeExpired() {
+    const before = this.records.size;
+    for (const key of [...this.records.keys()]) {
+      this._getRecord(key);
+    }
+
+    if (this.records.size !== before) {
+      await this._persist();
+    }
+  }
+}
+
+module.exports = MemoryUsageStore;
@@ -0,0 +1,108 @@
+const Redis = require('ioredis');
+
+const UsageStore = require('./UsageStore');
+
+// Prefix of the usage hashes in Redis
+const DEFAULT_KEY_PREFIX = 'usage:';
+
+/**
+ * Redis usage store
+ * Keeps the counters of each key in a Redis hash, so all server instances pointed at
+ * the same server share their quotas. Works with Redis and servers speaking its
+ * protocol (Valkey, KeyDB, Dragonfly, ...), as only plain hash commands are used.
+ */
+class RedisUsageStore extends UsageStore {
+  /**
+   * @param {string} url - Server URL, e.g. redis://localhost:6379/0
+   * @param {{keyPrefix?: string}} [options] - Prefix of the usage hashes
+   */
+  constructor(url, options = {}) {
+    super();
+    this.keyPrefix = options.keyPrefix || DEFAULT_KEY_PREFIX;
+    this.client = new Redis(url, {
+      lazyConnect: true,
+      // Fail requests while disconnected instead of queueing them until the server is back
+      enableOfflineQueue: false,
+      maxRetriesPerRequest: 1
+    });
+    // Reconnection attempts are reported through errors, which must not crash the server
+    this.client.on('error', (error) => {
+      console.warn('Usage store connection error:', error.message);
+    });
+  }
+
+  /**
+   * Connect to the server
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    await this.client.connect();
+  }
+
+  /**
+   * Get the counters of a key
+   * @param {string} key - Usage key
+   * @returns {Promise<Object<string, number>>}
+   */
+  async get(key) {
+    const hash = await this.client.hgetall(`${this.keyPrefix}${key}`);
+    const counters = {};
+    for (const [field, value] of Object.entries(hash)) {
+      counters[field] = parseInt(value, 10);
+    }
+    return counters;
+  }
+
+  /**
+   * Atomically add to a counter
+   * The amount is added first and taken back if it went past the limit, which keeps
+   * the check atomic without server-side scripting. Until it is taken back, a
+   * concurrent increment may be refused although it would have fit.
+   * @param {string} key - Usage key
+   * @param {string} field - Counter name
+   * @param {number} amount - Amount to add, negative to give back a reservation
+   * @param {{limit?: number, expiresAt?: Date}} [options] - Limit to enforce, and when the key may be forgotten
+   * @returns {Promise<{allowed: boolean, value: number}>}
+   */
+  async increment(key, field, amount, options = {}) {
+    const redisKey = `${this.keyPrefix}${key}`;
+
+    const transaction = this.client.multi().hincrby(redisKey, field, amount);
+    if (options.expiresAt) {
+      transaction.pexpireat(redisKey, options.expiresAt.getTime());
+    }
+    const [[error, value]] = await transaction.exec();
+    if (error) {
+      throw error;
+    }
+
+    const before = value - amount;
+    if (options.limit !== undefined && (before >= options.limit || value > options.limit)) {
+      if (amount !== 0) {
+        await this.client.hincrby(redisKey, field, -amount);
+      }
+      return { allowed: false, value: before };
+    }
+
+    return { allowed: true, value };
+  }
+
+  /**
+   * Remove all counters of a key
+   * @param {string} key - Usage key
+   * @returns {Promise<boolean>}
+   */
+  async delete(key) {
+    return (await this.client.del(`${this.keyPrefix}${key}`)) > 0;
+  }
+
+  /**
+   * Close the connection
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.client.quit();
+  }
+}
+
+module.exports = RedisUsageStore;
@@ -0,0 +1,58 @@
+/**
+ * Abstract base class for usage stores
+ * A usage store keeps named counters (e.g. uploaded and downloaded bytes) per key,
+ * so the usage limiter can enforce quotas across restarts and server instances.
+ */
+class UsageStore {
+  /**
+   * Prepare the store, e.g. load saved counters or connect to a server
+   * @returns {Promise<void>}
+   */
+  async initialize() {}
+
+  /**
+   * Get the counters of a key
+   * @param {string} key - Usage key
+   * @returns {Promise<Object<string, number>>} - Counter values, counters never incremented are missing
+   */
+  async get(key) {
+    throw new Error('get must be implemented by usage store');
+  }
+
+  /**
+   * Atomically add to a counter
+   * With a limit, the amount is only added if the counter has not reached the limit
+   * yet and stays within it afterwards; concurrent increments can never go past it.
+   * @param {string} key - Usage key
+   * @param {string} field - Counter name
+   * @param {number} amount - Amount to add, negative to give back a reservation
+   * @param {{limit?: number, expiresAt?: Date}} [options] - Limit to enforce, and when the key may be forgotten
+   * @returns {Promise<{allowed: boolean, value: number}>} - Whether the amount was added, and the counter value
+   */
+  async increment(key, field, amount, options = {}) {
+    throw new Error('increment must be implemented by usage store');
+  }
+
+  /**
+   * Remove all counters of a key, e.g. to lift a client's limits for the rest of the day
+   * @param {string} key - Usage key
+   * @returns {Promise<boolean>} - True if the key had counters
+   */
+  async delete(key) {
+    throw new Error('delete must be implemented by usage store');
+  }
+
+  /**
+   * Forget keys whose expiry has passed
+   * @returns {Promise<void>}
+   */
+  async removeExpired() {}
+
+  /**
+   * Release connections and flush pending writes
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+module.exports = UsageStore;
@@ -0,0 +1,43 @@
+const path = require('path');
+const MemoryUsageStore = require('./MemoryUsageStore');
+const FileUsageStore = require('./FileUsageStore');
+const RedisUsageStore = require('./RedisUsageStore');
+
+/**
+ * Factory class for creating usage stores based on configuration
+ */
+class UsageStoreFactory {
+  /**
+   * Create and initialize a usage store
+   * @param {string} storeType - Type of store ('memory', 'file' or 'redis')
+   * @param {{file?: string, url?: string}} [options] - Usage file path (for file store), server URL (for redis store)
+   * @returns {Promise<UsageStore>}
+   */
+  static async createUsageStore(storeType = 'memory', options = {}) {
+    let store;
+
+    if (storeType === 'memory') {
+      store = new MemoryUsageStore();
+    } else if (storeType === 'file') {
+      if (!options.file) {
+        throw new Error('USAGE_STORE_FILE environment variable is required for file usage store');
+      }
+
+      const absoluteFile = path.isAbsolute(options.file) ? options.file : path.resolve(process.cwd(), options.file);
+      store = new FileUsageStore(absoluteFile);
+    } else if (storeType === 'redis') {
+      if (!options.url) {
+        throw new Error('USAGE_STORE_URL environment variable is required for redis usage store');
+      }
+
+      store = new RedisUsageStore(options.url);
+    } else {
+      throw new Error(`Unknown usage store type: ${storeType}. Supported types: 'memory', 'file', 'redis'`);
+    }
+
+    await store.initialize();
+    return store;
+  }
+}
+
+module.exports = UsageStoreFactory;
@@ -0,0 +1,137 @@
+const net = require('net');
+
+/**
+ * Minimal in-process clamd for tests
+ * Answers PING and INSTREAM, with "z" (null-terminated) or "n" (newline-terminated)
+ * command prefixes, over TCP or a Unix socket. Content containing the EICAR test
+ * string is reported as infected; content over maxStreamSize gets clamd's size limit error.
+ */
+
+// EICAR anti-virus test string, built up so this file is not flagged itself
+const EICAR = ['X5O!P%@AP[4\\PZX54(P^)7CC)7}$', 'EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*'].join('');
+
+/**
+ * Create a fake clamd server
+ * @param {{maxStreamSize?: number, delayMs?: number}} [options] - Largest stream accepted,
+ *   and how long to wait before answering a scan
+ * @returns {{start: Function, stop: Function, scans: Array<Buffer>, eicar: string}}
+ */
+function createFakeClamdServer(options = {}) {
+  const maxStreamSize = options.maxStreamSize || 25 * 1024 * 1024;
+  // Content of every completed INSTREAM, for assertions
+  const scans = [];
+  const sockets = new Set();
+
+  /**
+   * Work out the reply to a scanned stream
+   * @param {Buffer} content - Streamed content
+   * @returns {string}
+   */
+  function verdict(content) {
+    return content.includes(EICAR) ? 'stream: Eicar-Test-Signature FOUND' : 'stream: OK';
+  }
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+
+    let buffer = Buffer.alloc(0);
+    let command = null;
+    let terminator = '\0';
+    const chunks = [];
+    let received = 0;
+    let replied = false;
+
+    /**
+     * Send a reply and close the connection, as clamd does outside of sessions
+     * @param {string} text - Reply without terminator
+     */
+    function reply(text) {
+      replied = true;
+      socket.end(`${text}${terminator}`);
+    }
+
+    socket.on('data', (data) => {
+      if (replied) {
+        return;
+      }
+      buffer = Buffer.concat([buffer, data]);
+
+      if (command === null) {
+        const end = buffer.findIndex(byte => byte === 0 || byte === 10);
+        if (end === -1) {
+          return;
+        }
+        const raw = buffer.toString('utf-8', 0, end);
+        buffer = buffer.subarray(end + 1);
+        terminator = raw[0] === 'n' ? '\n' : '\0';
+        command = raw.slice(1);
+
+        if (command === 'PING') {
+          return reply('PONG');
+        }
+        if (command !== 'INSTREAM') {
+          return reply('UNKNOWN COMMAND');
+        }
+      }
+
+      // INSTREAM chunks: 4-byte big-endian length, then the data; an empty chunk ends the stream
+      while (buffer.length >= 4) {
+        const length = buffer.readUInt32BE(0);
+        if (length === 0) {
+          const content = Buffer.concat(chunks);
+          scans.push(content);
+          replied = true;
+          setTimeout(() => reply(verdict(content)), options.delayMs || 0);
+          return;
+        }
+        if (buffer.length < 4 + length) {
+          return;
+        }
+
+        chunks.push(buffer.subarray(4, 4 + length));
+        buffer = buffer.subarray(4 + length);
+        received += length;
+        if (received > maxStreamSize) {
+          return reply('INSTREAM size limit exceeded. ERROR');
+        }
+      }
+    });
+  });
+
+  const fake = {
+    scans,
+    eicar: EICAR,
+
+    /**
+     * Start listening on a Unix socket, or on a random local port
+     * @param {string} [socketPath] - Unix socket path
+     * @returns {Promise<{socketPath?: string, host?: string, port?: number}>} - Address for ClamdScanner
+     */
+    start(socketPath) {
+      return new Promise((resolve) => {
+        if (socketPath) {
+          server.listen(socketPath, () => resolve({ socketPath }));
+        } else {
+          server.listen(0, '127.0.0.1', () => resolve({ host: '127.0.0.1', port: server.address().port }));
+        }
+      });
+    },
+
+    /**
+     * Stop the server, closing open connections
+     * @returns {Promise<void>}
+     */
+    stop() {
+      for (const socket of sockets) {
+        socket.destroy();
+      }
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+
+  return fake;
+}
+
+module.exports = createFakeClamdServer;
@@ -0,0 +1,428 @@
+const http = require('http');
+const crypto = require('crypto');
+const { CRC32C } = require('@google-cloud/storage');
+
+/**
+ * Minimal in-process Google Cloud Storage JSON API server for tests
+ * Supports the calls made by GoogleCloudStorageProvider through the official client:
+ * bucket get/insert, object get/media download (with Range), resumable uploads
+ * (with ifGenerationMatch), list (with pagination and endOffset), compose, rewrite (copy), patch and
+ * delete (both with ifGenerationMatch).
+ * Requests are not authenticated; the client skips auth for custom endpoints.
+ */
+
+/**
+ * Read a request body
+ * @param {http.IncomingMessage} req - The request
+ * @returns {Promise<Buffer>}
+ */
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Compute the base64 CRC32C checksum the client validates uploads against
+ * @param {Buffer} content - Object content
+ * @returns {string}
+ */
+function computeCrc32c(content) {
+  const crc32c = new CRC32C();
+  crc32c.update(content);
+  return crc32c.toString();
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - The response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Send a JSON API error response
+ * @param {http.ServerResponse} res - The response
+ * @param {number} status - HTTP status code
+ * @param {string} reason - Error reason
+ */
+function fail(res, status, reason) {
+  sendJson(res, status, { error: { code: status, message: reason, errors: [{ reason, message: reason }] } });
+}
+
+/**
+ * Create a fake Google Cloud Storage server
+ * @param {{pageSize?: number}} [options] - Number of objects per list page
+ * @returns {{start: Function, stop: Function, endpoint: string, buckets: Map, requests: Array}}
+ */
+function createFakeGcsServer(options = {}) {
+  const pageSize = options.pageSize || 1000;
+
+  // bucket name -> Map of object name -> {content, contentType, generation, metadata, timeCreated, updated}
+  const buckets = new Map();
+  // upload id -> {bucket, name, contentType, metadata, ifGenerationMatch}
+  const resumableUploads = new Map();
+  // Method and path of every request, for assertions
+  const requests = [];
+  let nextGeneration = 1;
+
+  /**
+   * Build the JSON resource of an object
+   * @param {string} bucketName - Bucket name
+   * @param {string} name - Object name
+   * @param {Object} object - Stored object
+   * @returns {Object}
+   */
+  function toResource(bucketName, name, object) {
+    return {
+      kind: 'storage#object',
+      id: `${bucketName}/${name}/${object.generation}`,
+      name,
+      bucket: bucketName,
+      generation: String(object.generation),
+      metageneration: '1',
+      contentType: object.contentType,
+      size: String(object.content.length),
+      md5Hash: crypto.createHash('md5').update(object.content).digest('base64'),
+      crc32c: computeCrc32c(object.content),
+      timeCreated: object.timeCreated.toISOString(),
+      updated: object.updated.toISOString(),
+      metadata: object.metadata
+    };
+  }
+
+  /**
+   * Check the generation precondition of a write
+   * @param {Map} objects - Objects of the bucket
+   * @param {string} name - Object name
+   * @param {string|null} ifGenerationMatch - Expected generation, '0' for "must not exist"
+   * @returns {boolean}
+   */
+  function preconditionMet(objects, name, ifGenerationMatch) {
+    if (ifGenerationMatch === null || ifGenerationMatch === undefined) {
+      return true;
+    }
+
+    const existing = objects.get(name);
+    const generation = existing ? String(existing.generation) : '0';
+    return generation === String(ifGenerationMatch);
+  }
+
+  /**
+   * Store an object with a new generation
+   * @returns {Object} - The stored object
+   */
+  function storeObject(objects, name, content, contentType, metadata) {
+    const now = new Date();
+    const object = {
+      content,
+      contentType: contentType || 'application/octet-stream',
+      generation: nextGeneration++,
+      metadata: metadata || undefined,
+      timeCreated: now,
+      updated: now
+    };
+    objects.set(name, object);
+    return object;
+  }
+
+  /**
+   * Handle a media download
+   */
+  function download(req, res, object) {
+    const headers = {
+      'Content-Type': object.contentType,
+      'x-goog-generation': String(object.generation)
+    };
+
+    let content = object.content;
+    let status = 200;
+
+    const match = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+    if (match) {
+      const size = object.content.length;
+      let start = match[1] === '' ? size - parseInt(match[2], 10) : parseInt(match[1], 10);
+      let end = match[1] === '' || match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+      start = Math.max(start, 0);
+
+      if (start >= size || start > end) {
+        return fail(res, 416, 'requestedRangeNotSatisfiable');
+      }
+
+      content = object.content.subarray(start, end + 1);
+      status = 206;
+      headers['Content-Range'] = `bytes ${start}-${end}/${size}`;
+    }
+
+    headers['Content-Length'] = content.length;
+    res.writeHead(status, headers);
+    res.end(content);
+  }
+
+  /**
+   * Handle object listing
+   */
+  function listObjects(res, bucketName, objects, query) {
+    const prefix = query.get('prefix') || '';
+    const delimiter = query.get('delimiter') || '';
+    const startAfter = query.get('pageToken') || '';
+    const endOffset = query.get('endOffset');
+    const maxResults = Math.min(parseInt(query.get('maxResults'), 10) || pageSize, pageSize);
+
+    const items = [];
+    const prefixes = new Set();
+    let nextPageToken;
+
+    const names = [...objects.keys()]
+      .filter(name => name.startsWith(prefix) && name > startAfter && (endOffset === null || name < endOffset))
+      .sort();
+    for (const name of names) {
+      const rest = name.slice(prefix.length);
+      if (delimiter && rest.includes(delimiter)) {
+        prefixes.add(prefix + rest.slice(0, rest.indexOf(delimiter) + delimiter.length));
+        continue;
+      }
+
+      if (items.length >= maxResults) {
+        nextPageToken = items[items.length - 1].name;
+        break;
+      }
+      items.push(toResource(bucketName, name, objects.get(name)));
+    }
+
+    sendJson(res, 200, {
+      kind: 'storage#objects',
+      items,
+      prefixes: [...prefixes],
+      nextPageToken
+    });
+  }
+
+  /**
+   * Route a JSON API request under /storage/v1
+   */
+  async function handleJsonApi(req, res, parts, query) {
+    // /b
+    if (parts.length === 1) {
+      if (req.method === 'POST') {
+        const { name } = JSON.parse((await readBody(req)).toString() || '{}');
+        if (!buckets.has(name)) {
+          buckets.set(name, new Map());
+        }
+        return sendJson(res, 200, { kind: 'storage#bucket', id: name, name });
+      }
+      return fail(res, 405, 'methodNotAllowed');
+    }
+
+    const bucketName = parts[1];
+    const objects = buckets.get(bucketName);
+    if (!objects) {
+      return fail(res, 404, 'notFound');
+    }
+
+    // /b/:bucket
+    if (parts.length === 2) {
+      return sendJson(res, 200, { kind: 'storage#bucket', id: bucketName, name: bucketName });
+    }
+
+    // /b/:bucket/o
+    if (parts.length === 3) {
+      return listObjects(res, bucketName, objects, query);
+    }
+
+    const name = parts[3];
+
+    // /b/:bucket/o/:name/compose
+    if (parts[4] === 'compose' && req.method === 'POST') {
+      const body = JSON.parse((await readBody(req)).toString());
+      const sources = body.sourceObjects.map(source => objects.get(source.name));
+      if (sources.some(source => !source)) {
+        return fail(res, 404, 'notFound');
+      }
+
+      const destination = body.destination || {};
+      const object = storeObject(objects, name,
+        Buffer.concat(sources.map(source => source.content)),
+        destination.contentType, destination.metadata);
+      return sendJson(res, 200, toResource(bucketName, name, object));
+    }
+
+    const object = objects.get(name);
+    if (!object) {
+      return fail(res, 404, 'notFound');
+    }
+
+    // /b/:bucket/o/:name/rewriteTo/b/:destinationBucket/o/:destinationName, done in one call
+    if (parts[4] === 'rewriteTo' && req.method === 'POST') {
+      const destinationObjects = buckets.get(parts[6]);
+      if (!destinationObjects) {
+        return fail(res, 404, 'notFound');
+      }
+      if (!preconditionMet(destinationObjects, parts[8], query.get('ifGenerationMatch'))) {
+        return fail(res, 412, 'conditionNotMet');
+      }
+
+      const copy = storeObject(destinationObjects, parts[8], object.content, object.contentType, object.metadata);
+      return sendJson(res, 200, {
+        kind: 'storage#rewriteResponse',
+        totalBytesRewritten: String(copy.content.length),
+        objectSize: String(copy.content.length),
+        done: true,
+        resource: toResource(parts[6], parts[8], copy)
+      });
+    }
+
+    if (req.method === 'GET') {
+      if (query.has('generation') && query.get('generation') !== String(object.generation)) {
+        return fail(res, 404, 'notFound');
+      }
+      if (query.get('alt') === 'media') {
+        return download(req, res, object);
+      }
+      return sendJson(res, 200, toResource(bucketName, name, object));
+    }
+
+    if (req.method === 'PATCH') {
+      if (!preconditionMet(objects, name, query.get('ifGenerationMatch'))) {
+        return fail(res, 412, 'conditionNotMet');
+      }
+      const body = JSON.parse((await readBody(req)).toString() || '{}');
+      if (body.contentType) {
+        object.contentType = body.contentType;
+      }
+      if (body.metadata) {
+        object.metadata = { ...object.metadata, ...body.metadata };
+      }
+      object.updated = new Date();
+      return sendJson(res, 200, toResource(bucketName, name, object));
+    }
+
+    if (req.method === 'DELETE') {
+      if (!preconditionMet(objects, name, query.get('ifGenerationMatch'))) {
+        return fail(res, 412, 'conditionNotMet');
+      }
+      objects.delete(name);
+      res.writeHead(204);
+      return res.end();
+    }
+
+    return fail(res, 405, 'methodNotAllowed');
+  }
+
+  /**
+   * Route an upload request under /upload/storage/v1
+   */
+  async function handleUpload(req, res, parts, query) {
+    const bucketName = parts[1];
+    const objects = buckets.get(bucketName);
+    if (!objects) {
+      return fail(res, 404, 'notFound');
+    }
+
+    if (req.method === 'POST' && query.get('uploadType') === 'resumable') {
+      const metadata = JSON.parse((await readBody(req)).toString() || '{}');
+      const name = query.get('name') || metadata.name;
+      const ifGenerationMatch = query.get('ifGenerationMatch');
+
+      if (!preconditionMet(objects, name, ifGenerationMatch)) {
+        return fail(res, 412, 'conditionNotMet');
+      }
+
+      const uploadId = crypto.randomBytes(16).toString('hex');
+      resumableUploads.set(uploadId, {
+        bucket: bucketName,
+        name,
+        contentType: req.headers['x-upload-content-type'] || metadata.contentType,
+        metadata: metadata.metadata,
+        ifGenerationMatch
+      });
+
+      res.writeHead(200, {
+        Location: `${fake.endpoint}/upload/storage/v1/b/${bucketName}/o?uploadType=resumable&upload_id=${uploadId}`
+      });
+      return res.end();
+    }
+
+    if (req.method === 'PUT' && query.has('upload_id')) {
+      const upload = resumableUploads.get(query.get('upload_id'));
+      const content = await readBody(req);
+      if (!upload) {
+        return fail(res, 404, 'notFound');
+      }
+      resumableUploads.delete(query.get('upload_id'));
+
+      // Preconditions are checked again when the upload is finalized
+      if (!preconditionMet(objects, upload.name, upload.ifGenerationMatch)) {
+        return fail(res, 412, 'conditionNotMet');
+      }
+
+      const object = storeObject(objects, upload.name, content, upload.contentType, upload.metadata);
+      return sendJson(res, 200, toResource(bucketName, upload.name, object));
+    }
+
+    return fail(res, 405, 'methodNotAllowed');
+  }
+
+  /**
+   * Route a request
+   */
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ method: req.method, path: url.pathname, query: url.search });
+
+    // Object names are percent-encoded, so splitting on slashes is safe
+    const decode = rest => rest.split('/').filter(Boolean).map(decodeURIComponent);
+
+    if (url.pathname.startsWith('/upload/storage/v1/')) {
+      return handleUpload(req, res, decode(url.pathname.slice('/upload/storage/v1/'.length)), url.searchParams);
+    }
+    if (url.pathname.startsWith('/storage/v1/')) {
+      return handleJsonApi(req, res, decode(url.pathname.slice('/storage/v1/'.length)), url.searchParams);
+    }
+
+    return fail(res, 404, 'notFound');
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((error) => {
+      fail(res, 500, error.message);
+    });
+  });
+
+  const fake = {
+    buckets,
+    requests,
+    endpoint: null,
+
+    /**
+     * Start listening on a random local port
+     * @returns {Promise<string>} - Endpoint URL
+     */
+    start() {
+      return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+          fake.endpoint = `http://127.0.0.1:${server.address().port}`;
+          resolve(fake.endpoint);
+        });
+      });
+    },
+
+    /**
+     * Stop the server
+     * @returns {Promise<void>}
+     */
+    stop() {
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+
+  return fake;
+}
+
+module.exports = createFakeGcsServer;
@@ -0,0 +1,237 @@
+const net = require('net');
+
+/**
+ * Minimal in-process Redis-protocol server for tests
+ * Speaks RESP2 and supports the commands used by RedisUsageStore and its client library:
+ * PING, INFO, SELECT, CLIENT, HINCRBY, HGETALL, PEXPIREAT, DEL, FLUSHALL, MULTI, EXEC,
+ * DISCARD and QUIT. Key expiry is applied when keys are read.
+ */
+
+/**
+ * Encode a reply in RESP2
+ * @param {*} value - null, number, string, Error, Array or {status: string}
+ * @returns {string}
+ */
+function encode(value) {
+  if (value === null) {
+    return '$-1\r\n';
+  }
+  if (value instanceof Error) {
+    return `-${value.message}\r\n`;
+  }
+  if (typeof value === 'number') {
+    return `:${value}\r\n`;
+  }
+  if (Array.isArray(value)) {
+    return `*${value.length}\r\n${value.map(encode).join('')}`;
+  }
+  if (typeof value === 'object') {
+    return `+${value.status}\r\n`;
+  }
+  return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+/**
+ * Take the complete commands off the front of a buffer
+ * @param {Buffer} buffer - Received bytes
+ * @returns {{commands: Array<Array<string>>, rest: Buffer}}
+ */
+function parseCommands(buffer) {
+  const commands = [];
+  let offset = 0;
+
+  /**
+   * Read a line ending in CRLF starting at a position
+   * @param {number} start - Position of the line
+   * @returns {{line: string, next: number}|null}
+   */
+  function readLine(start) {
+    const end = buffer.indexOf('\r\n', start);
+    return end === -1 ? null : { line: buffer.toString('utf-8', start, end), next: end + 2 };
+  }
+
+  while (offset < buffer.length) {
+    const header = readLine(offset);
+    if (!header || header.line[0] !== '*') {
+      break;
+    }
+
+    const count = parseInt(header.line.slice(1), 10);
+    const args = [];
+    let position = header.next;
+
+    for (let index = 0; index < count; index++) {
+      const lengthLine = readLine(position);
+      if (!lengthLine) {
+        break;
+      }
+      const length = parseInt(lengthLine.line.slice(1), 10);
+      if (buffer.length < lengthLine.next + length + 2) {
+        break;
+      }
+      args.push(buffer.toString('utf-8', lengthLine.next, lengthLine.next + length));
+      position = lengthLine.next + length + 2;
+    }
+
+    if (args.length < count) {
+      break;
+    }
+    commands.push(args);
+    offset = position;
+  }
+
+  return { commands, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Create a fake Redis server
+ * @returns {{start: Function, stop: Function, url: string, data: Map, commands: Array}}
+ */
+function createFakeRedisServer() {
+  // key -> {hash: Map of field -> string, expiresAt: number|null}
+  const data = new Map();
+  // Every command received, upper-cased name first, for assertions
+  const commands = [];
+  const sockets = new Set();
+
+  /**
+   * Get a live key, dropping it once it has expired
+   * @param {string} key - Key name
+   * @returns {{hash: Map, expiresAt: number|null}|undefined}
+   */
+  function getEntry(key) {
+    const entry = data.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      data.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  /**
+   * Run a single command
+   * @param {Array<string>} args - Command name and arguments
+   * @returns {*} - Reply
+   */
+  function execute([name, ...args]) {
+    switch (name.toUpperCase()) {
+      case 'PING':
+        return { status: 'PONG' };
+      case 'INFO':
+        return '# Server\r\nredis_version:7.2.0\r\n# Persistence\r\nloading:0\r\n';
+      case 'SELECT':
+      case 'CLIENT':
+        return { status: 'OK' };
+      case 'FLUSHALL':
+        data.clear();
+        return { status: 'OK' };
+      case 'HINCRBY': {
+        const [key, field, amount] = args;
+        if (!/^-?\d+$/.test(amount)) {
+          return new Error('ERR value is not an integer or out of range');
+        }
+        let entry = getEntry(key);
+        if (!entry) {
+          entry = { hash: new Map(), expiresAt: null };
+          data.set(key, entry);
+        }
+        const value = parseInt(entry.hash.get(field) || '0', 10) + parseInt(amount, 10);
+        entry.hash.set(field, String(value));
+        return value;
+      }
+      case 'HGETALL': {
+        const entry = getEntry(args[0]);
+        return entry ? [...entry.hash].flat() : [];
+      }
+      case 'PEXPIREAT': {
+        const entry = getEntry(args[0]);
+        if (!entry) {
+          return 0;
+        }
+        entry.expiresAt = parseInt(args[1], 10);
+        getEntry(args[0]);
+        return 1;
+      }
+      case 'DEL':
+        return args.filter(key => getEntry(key) && data.delete(key)).length;
+      default:
+        return new Error(`ERR unknown command '${name}'`);
+    }
+  }
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+
+    let buffer = Buffer.alloc(0);
+    // Commands queued between MULTI and EXEC, null outside of a transaction
+    let queued = null;
+
+    socket.on('data', (chunk) => {
+      const parsed = parseCommands(Buffer.concat([buffer, chunk]));
+      buffer = parsed.rest;
+
+      for (const args of parsed.commands) {
+        const name = args[0].toUpperCase();
+        commands.push([name, ...args.slice(1)]);
+
+        if (name === 'QUIT') {
+          socket.end(encode({ status: 'OK' }));
+          return;
+        }
+        if (name === 'MULTI') {
+          queued = [];
+          socket.write(encode({ status: 'OK' }));
+        } else if (name === 'EXEC') {
+          // Nothing else runs in between, so the transaction is atomic
+          const replies = queued ? queued.map(execute) : new Error('ERR EXEC without MULTI');
+          queued = null;
+          socket.write(encode(replies));
+        } else if (name === 'DISCARD') {
+          queued = null;
+          socket.write(encode({ status: 'OK' }));
+        } else if (queued) {
+          queued.push(args);
+          socket.write(encode({ status: 'QUEUED' }));
+        } else {
+          socket.write(encode(execute(args)));
+        }
+      }
+    });
+  });
+
+  const fake = {
+    url: null,
+    data,
+    commands,
+
+    /**
+     * Start listening on a random local port
+     * @returns {Promise<string>} - Server URL
+     */
+    start() {
+      return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+          fake.url = `redis://127.0.0.1:${server.address().port}`;
+          resolve(fake.url);
+        });
+      });
+    },
+
+    /**
+     * Stop the server, closing open connections
+     * @returns {Promise<void>}
+     */
+    stop() {
+      for (const socket of sockets) {
+        socket.destroy();
+      }
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+
+  return fake;
+}
+
+module.exports = createFakeRedisServer;
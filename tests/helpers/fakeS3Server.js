@@ -0,0 +1,362 @@
+const http = require('http');
+const crypto = require('crypto');
+
+/**
+ * Minimal in-process S3-compatible server for tests
+ * Supports path-style requests for the bucket and object operations used by
+ * S3StorageProvider: HeadBucket, CreateBucket, Get/Head/Put/DeleteObject (with Range
+ * and If-Match), ListObjectsV2 (with pagination) and multipart uploads.
+ * Request signatures are not checked.
+ */
+
+/**
+ * Escape a value for use in an XML document
+ * @param {string} value - Raw value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Compute the quoted ETag of some content
+ * @param {Buffer} content - Object content
+ * @returns {string}
+ */
+function computeEtag(content) {
+  return `"${crypto.createHash('md5').update(content).digest('hex')}"`;
+}
+
+/**
+ * Read a request body
+ * @param {http.IncomingMessage} req - The request
+ * @returns {Promise<Buffer>}
+ */
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Create a fake S3 server
+ * @param {{pageSize?: number}} [options] - Number of keys per ListObjectsV2 page
+ * @returns {{start: Function, stop: Function, endpoint: string, buckets: Map, requests: Array}}
+ */
+function createFakeS3Server(options = {}) {
+  const pageSize = options.pageSize || 1000;
+
+  // bucket name -> Map of key -> {content, contentType, etag, lastModified, metadata}
+  const buckets = new Map();
+  // upload id -> {bucket, key, contentType, metadata, parts: Map of partNumber -> Buffer}
+  const multipartUploads = new Map();
+  // Method and path of every request, for assertions
+  const requests = [];
+
+  /**
+   * Send an S3 error response
+   * @param {http.ServerResponse} res - The response
+   * @param {number} status - HTTP status code
+   * @param {string} code - S3 error code
+   */
+  function fail(res, status, code) {
+    res.writeHead(status, { 'Content-Type': 'application/xml' });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${code}</Message></Error>`);
+  }
+
+  /**
+   * Send an XML response
+   * @param {http.ServerResponse} res - The response
+   * @param {string} body - XML body without declaration
+   */
+  function sendXml(res, body) {
+    res.writeHead(200, { 'Content-Type': 'application/xml' });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?>${body}`);
+  }
+
+  /**
+   * Collect the x-amz-meta-* headers of a request
+   * @param {http.IncomingMessage} req - The request
+   * @returns {Object<string, string>}
+   */
+  function userMetadata(req) {
+    const metadata = {};
+    for (const [name, value] of Object.entries(req.headers)) {
+      if (name.startsWith('x-amz-meta-')) {
+        metadata[name] = value;
+      }
+    }
+    return metadata;
+  }
+
+  /**
+   * Handle ListObjectsV2
+   */
+  function listObjects(res, bucketName, objects, query) {
+    const prefix = query.get('prefix') || '';
+    const delimiter = query.get('delimiter') || '';
+    const startAfter = query.get('continuation-token') || '';
+    const maxKeys = Math.min(parseInt(query.get('max-keys'), 10) || pageSize, pageSize);
+
+    const contents = [];
+    const commonPrefixes = new Set();
+    let truncated = false;
+    let lastKey = '';
+
+    const keys = [...objects.keys()].filter(key => key.startsWith(prefix) && key > startAfter).sort();
+    for (const key of keys) {
+      if (contents.length + commonPrefixes.size >= maxKeys) {
+        truncated = true;
+        break;
+      }
+
+      const rest = key.slice(prefix.length);
+      if (delimiter && rest.includes(delimiter)) {
+        commonPrefixes.add(prefix + rest.slice(0, rest.indexOf(delimiter) + delimiter.length));
+      } else {
+        contents.push(key);
+      }
+      lastKey = key;
+    }
+
+    const contentsXml = contents.map((key) => {
+      const object = objects.get(key);
+      return `<Contents><Key>${escapeXml(key)}</Key>` +
+        `<LastModified>${object.lastModified.toISOString()}</LastModified>` +
+        `<ETag>${escapeXml(object.etag)}</ETag><Size>${object.content.length}</Size>` +
+        '<StorageClass>STANDARD</StorageClass></Contents>';
+    }).join('');
+    const prefixesXml = [...commonPrefixes]
+      .map(commonPrefix => `<CommonPrefixes><Prefix>${escapeXml(commonPrefix)}</Prefix></CommonPrefixes>`)
+      .join('');
+
+    sendXml(res,
+      '<ListBucketResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">' +
+      `<Name>${escapeXml(bucketName)}</Name><Prefix>${escapeXml(prefix)}</Prefix>` +
+      `<KeyCount>${contents.length + commonPrefixes.size}</KeyCount><MaxKeys>${maxKeys}</MaxKeys>` +
+      `<IsTruncated>${truncated}</IsTruncated>` +
+      (truncated ? `<NextContinuationToken>${escapeXml(lastKey)}</NextContinuationToken>` : '') +
+      contentsXml + prefixesXml +
+      '</ListBucketResult>'
+    );
+  }
+
+  /**
+   * Handle GetObject and HeadObject
+   */
+  function getObject(req, res, object) {
+    const headers = {
+      'Content-Type': object.contentType,
+      'ETag': object.etag,
+      'Last-Modified': object.lastModified.toUTCString(),
+      'Accept-Ranges': 'bytes',
+      ...object.metadata
+    };
+
+    let content = object.content;
+    let status = 200;
+
+    const match = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+    if (match) {
+      const size = object.content.length;
+      let start = match[1] === '' ? size - parseInt(match[2], 10) : parseInt(match[1], 10);
+      let end = match[1] === '' || match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+      start = Math.max(start, 0);
+
+      if (start >= size || start > end) {
+        return fail(res, 416, 'InvalidRange');
+      }
+
+      content = object.content.subarray(start, end + 1);
+      status = 206;
+      headers['Content-Range'] = `bytes ${start}-${end}/${size}`;
+    }
+
+    headers['Content-Length'] = content.length;
+    res.writeHead(status, headers);
+    res.end(req.method === 'HEAD' ? undefined : content);
+  }
+
+  /**
+   * Store an object
+   */
+  function storeObject(objects, key, content, contentType, metadata) {
+    const object = {
+      content,
+      contentType: contentType || 'application/octet-stream',
+      etag: computeEtag(content),
+      lastModified: new Date(),
+      metadata
+    };
+    objects.set(key, object);
+    return object;
+  }
+
+  /**
+   * Route a request
+   */
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const query = url.searchParams;
+    const [, bucketName, ...keyParts] = url.pathname.split('/');
+    const key = decodeURIComponent(keyParts.join('/'));
+    const objects = buckets.get(bucketName);
+
+    requests.push({ method: req.method, path: url.pathname, query: url.search });
+
+    // Bucket operations
+    if (!key) {
+      if (req.method === 'PUT') {
+        if (!buckets.has(bucketName)) {
+          buckets.set(bucketName, new Map());
+        }
+        res.writeHead(200);
+        return res.end();
+      }
+
+      if (!objects) {
+        return fail(res, 404, 'NoSuchBucket');
+      }
+
+      if (req.method === 'HEAD') {
+        res.writeHead(200);
+        return res.end();
+      }
+
+      if (req.method === 'GET') {
+        return listObjects(res, bucketName, objects, query);
+      }
+
+      return fail(res, 405, 'MethodNotAllowed');
+    }
+
+    if (!objects) {
+      return fail(res, 404, 'NoSuchBucket');
+    }
+
+    // Multipart uploads
+    if (req.method === 'POST' && query.has('uploads')) {
+      const uploadId = crypto.randomBytes(16).toString('hex');
+      multipartUploads.set(uploadId, {
+        bucket: bucketName,
+        key,
+        contentType: req.headers['content-type'],
+        metadata: userMetadata(req),
+        parts: new Map()
+      });
+      return sendXml(res,
+        `<InitiateMultipartUploadResult><Bucket>${escapeXml(bucketName)}</Bucket>` +
+        `<Key>${escapeXml(key)}</Key><UploadId>${uploadId}</UploadId></InitiateMultipartUploadResult>`
+      );
+    }
+
+    if (query.has('uploadId')) {
+      const upload = multipartUploads.get(query.get('uploadId'));
+      if (!upload) {
+        return fail(res, 404, 'NoSuchUpload');
+      }
+
+      if (req.method === 'PUT') {
+        const content = await readBody(req);
+        upload.parts.set(parseInt(query.get('partNumber'), 10), content);
+        res.writeHead(200, { 'ETag': computeEtag(content) });
+        return res.end();
+      }
+
+      if (req.method === 'POST') {
+        await readBody(req);
+        const partNumbers = [...upload.parts.keys()].sort((a, b) => a - b);
+        const object = storeObject(objects, key,
+          Buffer.concat(partNumbers.map(partNumber => upload.parts.get(partNumber))),
+          upload.contentType, upload.metadata);
+        multipartUploads.delete(query.get('uploadId'));
+        return sendXml(res,
+          `<CompleteMultipartUploadResult><Bucket>${escapeXml(bucketName)}</Bucket>` +
+          `<Key>${escapeXml(key)}</Key><ETag>${escapeXml(object.etag)}</ETag></CompleteMultipartUploadResult>`
+        );
+      }
+
+      if (req.method === 'DELETE') {
+        multipartUploads.delete(query.get('uploadId'));
+        res.writeHead(204);
+        return res.end();
+      }
+    }
+
+    // Object operations
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      const object = objects.get(key);
+      if (!object) {
+        return fail(res, 404, 'NoSuchKey');
+      }
+      return getObject(req, res, object);
+    }
+
+    if (req.method === 'PUT') {
+      const content = await readBody(req);
+      const existing = objects.get(key);
+      const ifMatch = req.headers['if-match'];
+      const ifNoneMatch = req.headers['if-none-match'];
+
+      if ((ifMatch && (!existing || existing.etag !== ifMatch)) || (ifNoneMatch === '*' && existing)) {
+        return fail(res, 412, 'PreconditionFailed');
+      }
+
+      const object = storeObject(objects, key, content, req.headers['content-type'], userMetadata(req));
+      res.writeHead(200, { 'ETag': object.etag });
+      return res.end();
+    }
+
+    if (req.method === 'DELETE') {
+      objects.delete(key);
+      res.writeHead(204);
+      return res.end();
+    }
+
+    return fail(res, 405, 'MethodNotAllowed');
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((error) => {
+      res.writeHead(500);
+      res.end(error.message);
+    });
+  });
+
+  const fake = {
+    buckets,
+    requests,
+    endpoint: null,
+
+    /**
+     * Start listening on a random local port
+     * @returns {Promise<string>} - Endpoint URL
+     */
+    start() {
+      return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+          fake.endpoint = `http://127.0.0.1:${server.address().port}`;
+          resolve(fake.endpoint);
+        });
+      });
+    },
+
+    /**
+     * Stop the server
+     * @returns {Promise<void>}
+     */
+    stop() {
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+
+  return fake;
+}
+
+module.exports = createFakeS3Server;
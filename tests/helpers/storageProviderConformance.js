@@ -0,0 +1,952 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { streamToBuffer } = require('../../src/storage/streamUtils');
+
+/**
+ * Shared StorageProvider contract tests
+ * Every provider must pass these; call from the provider's own test file inside a describe block.
+ * Each test gets a fresh provider with nothing stored in it.
+ */
+
+/**
+ * Wait long enough for the next timestamp to differ
+ * @param {number} [ms] - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function tick(ms = 5) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Get the hex SHA-256 of some content
+ * @param {string} content - The content
+ * @returns {string}
+ */
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Shift a date by some milliseconds
+ * @param {Date} date - Reference date
+ * @param {number} ms - Milliseconds to add, may be negative
+ * @returns {Date}
+ */
+function shift(date, ms) {
+  return new Date(date.getTime() + ms);
+}
+
+/**
+ * Register the conformance tests for a storage provider
+ * @param {Object} options
+ * @param {Function} options.createProvider - Returns a fresh, initialized, empty provider
+ * @param {Function} [options.destroyProvider] - Releases whatever createProvider set up
+ * @param {boolean} [options.zeroKnowledge] - The provider stores files zero-knowledge
+ */
+function describeStorageProviderConformance({ createProvider, destroyProvider, zeroKnowledge = false }) {
+  describe('StorageProvider contract', () => {
+    let provider;
+
+    beforeEach(async () => {
+      provider = await createProvider();
+    });
+
+    afterEach(async () => {
+      if (destroyProvider) {
+        await destroyProvider(provider);
+      }
+    });
+
+    /**
+     * Upload a small text file
+     * @param {string} [content] - File content
+     * @returns {Promise<{publicKey: string, privateKey: string}>}
+     */
+    function upload(content = 'conformance') {
+      return provider.uploadFile(Buffer.from(content), 'file.txt', 'text/plain');
+    }
+
+    describe('uploads', () => {
+      it('should return distinct hex keys and the number of bytes received', async () => {
+        const stream = Readable.from([Buffer.from('first '), Buffer.from('second')]);
+
+        const result = await provider.uploadStream(stream, 'chunks.txt', 'text/plain');
+
+        expect(result.publicKey).toMatch(/^[a-f0-9]{64}$/);
+        expect(result.privateKey).toMatch(/^[a-f0-9]{64}$/);
+        expect(result.publicKey).not.toBe(result.privateKey);
+        expect(result.fileSize).toBe(12);
+      });
+
+      it('should give every upload new keys', async () => {
+        const first = await upload();
+        const second = await upload();
+
+        expect(second.publicKey).not.toBe(first.publicKey);
+        expect(second.privateKey).not.toBe(first.privateKey);
+      });
+
+      it('should round-trip binary content', async () => {
+        const content = crypto.randomBytes(64 * 1024);
+
+        const { publicKey } = await provider.uploadFile(content, 'random.bin', 'application/octet-stream');
+        const result = await provider.downloadFile(publicKey);
+
+        expect(result.buffer.equals(content)).toBe(true);
+        expect(result.mimeType).toBe('application/octet-stream');
+        expect(result.originalName).toBe('random.bin');
+      });
+
+      it('should store empty files', async () => {
+        const { publicKey } = await provider.uploadFile(Buffer.alloc(0), 'empty.txt', 'text/plain');
+
+        expect((await provider.getFileInfo(publicKey)).fileSize).toBe(0);
+        expect((await provider.downloadFile(publicKey)).buffer.length).toBe(0);
+      });
+
+      it('should keep non-ASCII file names', async () => {
+        const { publicKey } = await provider.uploadFile(Buffer.from('x'), 'résumé 東京.txt', 'text/plain');
+
+        expect((await provider.getFileInfo(publicKey)).originalName).toBe('résumé 東京.txt');
+      });
+    });
+
+    describe('getFileInfo', () => {
+      it('should describe a new file without exposing its keys', async () => {
+        const before = Date.now();
+        const { publicKey } = await upload('twelve bytes');
+
+        const info = await provider.getFileInfo(publicKey);
+
+        expect(info).toEqual({
+          originalName: 'file.txt',
+          mimeType: 'text/plain',
+          fileSize: 12,
+          sha256: sha256('twelve bytes'),
+          createdAt: expect.any(Date),
+          lastAccessed: null,
+          expiresAt: null,
+          notBefore: null,
+          maxDownloads: null,
+          downloadCount: 0,
+          passwordHash: null,
+          scanStatus: null,
+          bundle: false,
+          bundled: false,
+          renditions: {}
+        });
+        expect(info.createdAt.getTime()).toBeGreaterThanOrEqual(before - 1000);
+        expect(info.createdAt.getTime()).toBeLessThanOrEqual(Date.now() + 1000);
+      });
+
+      it('should throw exactly "File not found" for unknown keys and private keys', async () => {
+        const { privateKey } = await upload();
+
+        await expect(provider.getFileInfo('0'.repeat(64))).rejects.toThrow(new Error('File not found'));
+        await expect(provider.getFileInfo(privateKey)).rejects.toThrow(new Error('File not found'));
+      });
+    });
+
+    describe('getOwnerFileInfo', () => {
+      it('should describe a file by its private key', async () => {
+        const { publicKey, privateKey } = await upload('twelve bytes');
+        await provider.updateFileSettings(privateKey, { maxDownloads: 3 });
+
+        const info = await provider.getOwnerFileInfo(privateKey);
+
+        expect(info).toMatchObject({ fileSize: 12, maxDownloads: 3, downloadCount: 0, lastAccessed: null });
+        expect(info.createdAt).toEqual((await provider.getFileInfo(publicKey)).createdAt);
+      });
+
+      if (zeroKnowledge) {
+        it('should keep the content digest sealed from the private key', async () => {
+          const { publicKey, privateKey } = await upload('twelve bytes');
+
+          expect((await provider.getOwnerFileInfo(privateKey)).sha256).toBeNull();
+          expect((await provider.getFileInfo(publicKey)).sha256).toBe(sha256('twelve bytes'));
+        });
+      }
+
+      it('should throw exactly "File not found" for unknown keys and public keys', async () => {
+        const { publicKey } = await upload();
+
+        await expect(provider.getOwnerFileInfo(publicKey)).rejects.toThrow(/^File not found$/);
+        await expect(provider.getOwnerFileInfo('0'.repeat(64))).rejects.toThrow(/^File not found$/);
+      });
+
+      it('should not touch the last accessed timestamp', async () => {
+        const { privateKey } = await upload();
+
+        await provider.getOwnerFileInfo(privateKey);
+
+        expect((await provider.getFileMetadata(privateKey)).lastAccessed).toBeNull();
+      });
+    });
+
+    describe('createReadStream', () => {
+      it('should read inclusive byte ranges', async () => {
+        const { publicKey } = await upload('0123456789');
+
+        const read = async range => (await streamToBuffer(await provider.createReadStream(publicKey, range))).toString();
+
+        expect(await read()).toBe('0123456789');
+        expect(await read({ start: 2, end: 5 })).toBe('2345');
+        expect(await read({ start: 7 })).toBe('789');
+        expect(await read({ start: 4, end: 4 })).toBe('4');
+      });
+
+      it('should throw exactly "File not found" for unknown keys and private keys', async () => {
+        const { privateKey } = await upload();
+
+        await expect(provider.createReadStream('0'.repeat(64))).rejects.toThrow(new Error('File not found'));
+        await expect(provider.createReadStream(privateKey)).rejects.toThrow(new Error('File not found'));
+      });
+
+      it('should not touch the last accessed timestamp', async () => {
+        const { publicKey, privateKey } = await upload();
+
+        await streamToBuffer(await provider.createReadStream(publicKey));
+        await provider.getFileInfo(publicKey);
+
+        expect((await provider.getFileMetadata(privateKey)).lastAccessed).toBeNull();
+      });
+    });
+
+    describe('downloads', () => {
+      it('should record the access when downloading', async () => {
+        const { publicKey, privateKey } = await upload();
+        const { createdAt } = await provider.getFileMetadata(privateKey);
+
+        await provider.downloadFile(publicKey);
+
+        const { lastAccessed } = await provider.getFileMetadata(privateKey);
+        expect(lastAccessed).toBeInstanceOf(Date);
+        expect(lastAccessed.getTime()).toBeGreaterThanOrEqual(createdAt.getTime());
+      });
+
+      it('should stream a range together with the file info', async () => {
+        const { publicKey } = await upload('0123456789');
+
+        const result = await provider.downloadStream(publicKey, { start: 1, end: 3 });
+
+        expect((await streamToBuffer(result.stream)).toString()).toBe('123');
+        expect(result.fileSize).toBe(10);
+        expect(result.mimeType).toBe('text/plain');
+        expect(result.originalName).toBe('file.txt');
+      });
+
+      it('should throw exactly "File not found" for unknown keys and private keys', async () => {
+        const { privateKey } = await upload();
+
+        await expect(provider.downloadFile('0'.repeat(64))).rejects.toThrow(new Error('File not found'));
+        await expect(provider.downloadFile(privateKey)).rejects.toThrow(new Error('File not found'));
+      });
+    });
+
+    describe('deleteFile', () => {
+      it('should return false for unknown keys', async () => {
+        await expect(provider.deleteFile('0'.repeat(64))).resolves.toBe(false);
+      });
+
+      it('should only delete with the private key', async () => {
+        const { publicKey, privateKey } = await upload();
+
+        await expect(provider.deleteFile(publicKey)).resolves.toBe(false);
+        await expect(provider.getFileInfo(publicKey)).resolves.toBeDefined();
+
+        await expect(provider.deleteFile(privateKey)).resolves.toBe(true);
+        await expect(provider.deleteFile(privateKey)).resolves.toBe(false);
+      });
+
+      it('should remove every trace of the file', async () => {
+        const { publicKey, privateKey } = await upload();
+
+        await provider.deleteFile(privateKey);
+
+        await expect(provider.getFileInfo(publicKey)).rejects.toThrow('File not found');
+        await expect(provider.createReadStream(publicKey)).rejects.toThrow('File not found');
+        await expect(provider.getFileMetadata(privateKey)).rejects.toThrow('File metadata not found');
+        await expect(provider.getInactiveFiles(new Date(Date.now() + 60 * 1000))).resolves.toEqual([]);
+      });
+
+      it('should leave other files alone', async () => {
+        const kept = await upload('kept');
+        const deleted = await upload('deleted');
+
+        await provider.deleteFile(deleted.privateKey);
+
+        expect((await provider.downloadFile(kept.publicKey)).buffer.toString()).toBe('kept');
+      });
+    });
+
+    describe('getFileMetadata', () => {
+      it('should throw exactly "File metadata not found" for unknown keys', async () => {
+        await expect(provider.getFileMetadata('0'.repeat(64))).rejects.toThrow(new Error('File metadata not found'));
+      });
+
+      it('should report the creation time and no access for a new file', async () => {
+        const { privateKey } = await upload();
+
+        const metadata = await provider.getFileMetadata(privateKey);
+
+        expect(metadata.createdAt).toBeInstanceOf(Date);
+        expect(metadata.lastAccessed).toBeNull();
+      });
+    });
+
+    describe('updateLastAccessed', () => {
+      it('should set the last accessed timestamp', async () => {
+        const { publicKey, privateKey } = await upload();
+        await tick();
+
+        await provider.updateLastAccessed(publicKey);
+
+        const { createdAt, lastAccessed } = await provider.getFileMetadata(privateKey);
+        expect(lastAccessed.getTime()).toBeGreaterThan(createdAt.getTime());
+      });
+
+      it('should not throw for unknown keys', async () => {
+        await expect(provider.updateLastAccessed('0'.repeat(64))).resolves.toBeUndefined();
+      });
+    });
+
+    describe('getInactiveFiles', () => {
+      it('should return an empty list when nothing is stored', async () => {
+        await expect(provider.getInactiveFiles(new Date(Date.now() + 60 * 1000))).resolves.toEqual([]);
+      });
+
+      it('should only return the private keys of inactive files', async () => {
+        const { publicKey, privateKey } = await upload();
+
+        const inactive = await provider.getInactiveFiles(new Date(Date.now() + 60 * 1000));
+
+        expect(inactive).toEqual([{ privateKey }]);
+        expect(JSON.stringify(inactive)).not.toContain(publicKey);
+      });
+
+      it('should compare the creation time strictly for files never accessed', async () => {
+        const { privateKey } = await upload();
+        const { createdAt } = await provider.getFileMetadata(privateKey);
+
+        await expect(provider.getInactiveFiles(shift(createdAt, -1))).resolves.toEqual([]);
+        await expect(provider.getInactiveFiles(createdAt)).resolves.toEqual([]);
+        await expect(provider.getInactiveFiles(shift(createdAt, 1))).resolves.toEqual([{ privateKey }]);
+      });
+
+      it('should use the last access instead of the creation time once accessed', async () => {
+        const { publicKey, privateKey } = await upload();
+        await tick();
+        await provider.updateLastAccessed(publicKey);
+        const { createdAt, lastAccessed } = await provider.getFileMetadata(privateKey);
+
+        // Created before these thresholds, but accessed at or after them
+        await expect(provider.getInactiveFiles(shift(createdAt, 1))).resolves.toEqual([]);
+        await expect(provider.getInactiveFiles(lastAccessed)).resolves.toEqual([]);
+        await expect(provider.getInactiveFiles(shift(lastAccessed, 1))).resolves.toEqual([{ privateKey }]);
+      });
+
+      it('should count a limited download as an access', async () => {
+        const { publicKey, privateKey } = await upload();
+        await provider.updateFileSettings(privateKey, { maxDownloads: 5 });
+        const { createdAt } = await provider.getFileMetadata(privateKey);
+        await tick();
+
+        await provider.consumeDownload(publicKey);
+
+        await expect(provider.getInactiveFiles(shift(createdAt, 1))).resolves.toEqual([]);
+      });
+
+      it('should only return files that are inactive', async () => {
+        const idle = await upload('idle');
+        await tick();
+        const threshold = new Date();
+        await tick();
+        const active = await upload('active');
+        await provider.updateLastAccessed(active.publicKey);
+
+        await expect(provider.getInactiveFiles(threshold)).resolves.toEqual([{ privateKey: idle.privateKey }]);
+      });
+    });
+
+    describe('share settings', () => {
+      it('should store share settings and report them in the file info', async () => {
+        const { publicKey, privateKey } = await upload();
+        const expiresAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+        await provider.updateFileSettings(privateKey, { expiresAt, maxDownloads: 2, passwordHash: 'hash' });
+
+        const info = await provider.getFileInfo(publicKey);
+        expect(info.expiresAt.toISOString()).toBe(expiresAt);
+        expect(info.maxDownloads).toBe(2);
+        expect(info.passwordHash).toBe('hash');
+        expect(info.notBefore).toBeNull();
+      });
+
+      it('should store the scan status and report it in the file info', async () => {
+        const { publicKey, privateKey } = await upload();
+
+        await provider.updateFileSettings(privateKey, { scanStatus: 'pending' });
+        expect((await provider.getFileInfo(publicKey)).scanStatus).toBe('pending');
+
+        await provider.updateFileSettings(privateKey, { scanStatus: 'clean' });
+        expect((await provider.getFileInfo(publicKey)).scanStatus).toBe('clean');
+        expect((await provider.getOwnerFileInfo(privateKey)).scanStatus).toBe('clean');
+      });
+
+      it('should leave settings that are not given unchanged and clear null ones', async () => {
+        const { publicKey, privateKey } = await upload();
+        await provider.updateFileSettings(privateKey, { maxDownloads: 2, passwordHash: 'hash' });
+
+        await provider.updateFileSettings(privateKey, { maxDownloads: null });
+
+        const info = await provider.getFileInfo(publicKey);
+        expect(info.maxDownloads).toBeNull();
+        expect(info.passwordHash).toBe('hash');
+      });
+
+      it('should throw exactly "File not found" for unknown keys and public keys', async () => {
+        const { publicKey } = await upload();
+
+        await expect(provider.updateFileSettings('0'.repeat(64), { maxDownloads: 1 }))
+          .rejects.toThrow(new Error('File not found'));
+        await expect(provider.updateFileSettings(publicKey, { maxDownloads: 1 }))
+          .rejects.toThrow(new Error('File not found'));
+      });
+    });
+
+    describe('consumeDownload', () => {
+      it('should count downloads until the limit is reached', async () => {
+        const { publicKey, privateKey } = await upload();
+        await provider.updateFileSettings(privateKey, { maxDownloads: 2 });
+
+        await expect(provider.consumeDownload(publicKey)).resolves.toEqual({ downloadCount: 1, maxDownloads: 2 });
+        await expect(provider.consumeDownload(publicKey)).resolves.toEqual({ downloadCount: 2, maxDownloads: 2 });
+        await expect(provider.consumeDownload(publicKey)).rejects.toThrow(new Error('Download limit reached'));
+        expect((await provider.getFileInfo(publicKey)).downloadCount).toBe(2);
+      });
+
+      it('should not lose concurrent downloads', async () => {
+        const { publicKey, privateKey } = await upload();
+        await provider.updateFileSettings(privateKey, { maxDownloads: 3 });
+
+        const results = await Promise.allSettled(
+          Array.from({ length: 4 }, () => provider.consumeDownload(publicKey))
+        );
+
+        expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(3);
+        expect(results.find(result => result.status === 'rejected').reason.message).toBe('Download limit reached');
+        expect((await provider.getFileInfo(publicKey)).downloadCount).toBe(3);
+      });
+
+      it('should refuse expired and not yet available shares', async () => {
+        const expired = await upload();
+        const pending = await upload();
+        await provider.updateFileSettings(expired.privateKey, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+        await provider.updateFileSettings(pending.privateKey, { notBefore: new Date(Date.now() + 60 * 1000).toISOString() });
+
+        await expect(provider.consumeDownload(expired.publicKey)).rejects.toThrow(new Error('File expired'));
+        await expect(provider.consumeDownload(pending.publicKey)).rejects.toThrow(new Error('File not yet available'));
+        expect((await provider.getFileInfo(expired.publicKey)).downloadCount).toBe(0);
+      });
+
+      it('should throw exactly "File not found" for unknown keys and private keys', async () => {
+        const { privateKey } = await upload();
+
+        await expect(provider.consumeDownload('0'.repeat(64))).rejects.toThrow(new Error('File not found'));
+        await expect(provider.consumeDownload(privateKey)).rejects.toThrow(new Error('File not found'));
+      });
+    });
+
+    describe('getExpiredFiles', () => {
+      it('should treat a share as expired from its expiry time on', async () => {
+        const { privateKey } = await upload();
+        const expiresAt = new Date(Date.now() + 60 * 1000);
+        await provider.updateFileSettings(privateKey, { expiresAt: expiresAt.toISOString() });
+
+        await expect(provider.getExpiredFiles(shift(expiresAt, -1))).resolves.toEqual([]);
+        await expect(provider.getExpiredFiles(expiresAt)).resolves.toEqual([{ privateKey }]);
+      });
+
+      it('should return shares that used up their downloads', async () => {
+        const exhausted = await upload();
+        await upload();
+        await provider.updateFileSettings(exhausted.privateKey, { maxDownloads: 1 });
+        await provider.consumeDownload(exhausted.publicKey);
+
+        await expect(provider.getExpiredFiles(new Date())).resolves.toEqual([{ privateKey: exhausted.privateKey }]);
+      });
+
+      it('should not return shares that are only not yet available', async () => {
+        const { privateKey } = await upload();
+        await provider.updateFileSettings(privateKey, { notBefore: new Date(Date.now() + 60 * 1000).toISOString() });
+
+        await expect(provider.getExpiredFiles(new Date())).resolves.toEqual([]);
+      });
+    });
+
+    describe('bundles', () => {
+      /**
+       * Upload the members of a bundle and create the bundle
+       * @returns {Promise<{bundle: Object, members: Array<Object>}>}
+       */
+      async function createBundle() {
+        const members = [
+          await provider.uploadStream(Readable.from([Buffer.from('first member')]), 'first.txt', 'text/plain', { bundled: true }),
+          await provider.uploadStream(Readable.from([Buffer.from('{}')]), 'second.json', 'application/json', { bundled: true })
+        ];
+        const bundle = await provider.createBundle(members, 'bundle.zip');
+        return { bundle, members };
+      }
+
+      it('should list the members of a bundle in order', async () => {
+        const { bundle, members } = await createBundle();
+
+        await expect(provider.getBundleFiles(bundle.publicKey)).resolves.toEqual([
+          {
+            publicKey: members[0].publicKey,
+            originalName: 'first.txt',
+            mimeType: 'text/plain',
+            fileSize: 12,
+            sha256: sha256('first member')
+          },
+          {
+            publicKey: members[1].publicKey,
+            originalName: 'second.json',
+            mimeType: 'application/json',
+            fileSize: 2,
+            sha256: sha256('{}')
+          }
+        ]);
+        expect((await provider.getFileInfo(bundle.publicKey)).bundle).toBe(true);
+        expect((await provider.getFileInfo(members[0].publicKey)).bundled).toBe(true);
+      });
+
+      it('should throw exactly "File is not a bundle" for regular files', async () => {
+        const { publicKey } = await upload();
+
+        await expect(provider.getBundleFiles(publicKey)).rejects.toThrow(/^File is not a bundle$/);
+      });
+
+      it('should delete the members together with the bundle', async () => {
+        const { bundle, members } = await createBundle();
+        const other = await upload('unrelated');
+
+        await expect(provider.deleteFile(bundle.privateKey)).resolves.toBe(true);
+
+        for (const member of members) {
+          await expect(provider.getFileInfo(member.publicKey)).rejects.toThrow(/^File not found$/);
+        }
+        expect((await provider.downloadFile(other.publicKey)).buffer.toString()).toBe('unrelated');
+      });
+
+      it('should leave members out of the cleanup queries', async () => {
+        const { bundle } = await createBundle();
+        await provider.updateFileSettings(bundle.privateKey, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+        await expect(provider.getInactiveFiles(new Date(Date.now() + 60 * 1000)))
+          .resolves.toEqual([{ privateKey: bundle.privateKey }]);
+        await expect(provider.getExpiredFiles(new Date())).resolves.toEqual([{ privateKey: bundle.privateKey }]);
+      });
+    });
+
+    describe('renditions', () => {
+      it('should store a rendition next to the file and open it again', async () => {
+        const { publicKey } = await upload();
+
+        await expect(provider.getRendition(publicKey, 'thumbnail-64x64.png')).resolves.toBeNull();
+        await provider.storeRendition(publicKey, 'thumbnail-64x64.png', Buffer.from('small image'), 'image/png');
+
+        const rendition = await provider.getRendition(publicKey, 'thumbnail-64x64.png');
+        expect(rendition).toMatchObject({ mimeType: 'image/png', fileSize: 11 });
+        expect((await streamToBuffer(rendition.stream)).toString()).toBe('small image');
+        await expect(provider.getRendition(publicKey, 'thumbnail-128x128.png')).resolves.toBeNull();
+      });
+
+      it('should keep the first rendition stored for a variant', async () => {
+        const { publicKey } = await upload();
+
+        await Promise.all([
+          provider.storeRendition(publicKey, 'preview', Buffer.from('first'), 'image/png'),
+          provider.storeRendition(publicKey, 'preview', Buffer.from('second'), 'image/png')
+        ]);
+
+        const { renditions } = await provider.getFileInfo(publicKey);
+        expect(Object.keys(renditions)).toEqual(['preview']);
+        const stored = (await streamToBuffer((await provider.getRendition(publicKey, 'preview')).stream)).toString();
+        expect(['first', 'second']).toContain(stored);
+      });
+
+      it('should throw exactly "File not found" for unknown files and keep nothing', async () => {
+        await expect(provider.storeRendition('0'.repeat(64), 'preview', Buffer.from('orphan'), 'image/png'))
+          .rejects.toThrow(/^File not found$/);
+        await expect(provider.getInactiveFiles(new Date(Date.now() + 60 * 1000))).resolves.toEqual([]);
+      });
+
+      it('should delete renditions together with the file and leave them out of the cleanup queries', async () => {
+        const { publicKey, privateKey } = await upload();
+        await provider.storeRendition(publicKey, 'preview', Buffer.from('small image'), 'image/png');
+        const renditionKey = (await provider.getFileInfo(publicKey)).renditions.preview;
+
+        await expect(provider.getInactiveFiles(new Date(Date.now() + 60 * 1000)))
+          .resolves.toEqual([{ privateKey }]);
+        await expect(provider.deleteFile(privateKey)).resolves.toBe(true);
+
+        await expect(provider.getFileInfo(renditionKey)).rejects.toThrow(/^File not found$/);
+        await expect(provider.getInactiveFiles(new Date(Date.now() + 60 * 1000))).resolves.toEqual([]);
+      });
+    });
+
+    describe('replaceKeys', () => {
+      it('should replace the private key and keep the public key', async () => {
+        const { publicKey, privateKey } = await upload();
+
+        const keys = await provider.replaceKeys(privateKey, { privateKey: true });
+
+        expect(Object.keys(keys)).toEqual(['privateKey']);
+        expect(keys.privateKey).toMatch(/^[0-9a-f]{64}$/);
+        await expect(provider.getOwnerFileInfo(privateKey)).rejects.toThrow(/^File not found$/);
+        await expect(provider.deleteFile(privateKey)).resolves.toBe(false);
+        await expect(provider.getInactiveFiles(new Date(Date.now() + 60 * 1000)))
+          .resolves.toEqual([{ privateKey: keys.privateKey }]);
+        expect((await provider.downloadFile(publicKey)).buffer.toString()).toBe('conformance');
+        await expect(provider.deleteFile(keys.privateKey)).resolves.toBe(true);
+        await expect(provider.getFileInfo(publicKey)).rejects.toThrow(/^File not found$/);
+      });
+
+      if (zeroKnowledge) {
+        it('should refuse to replace the public key and leave the file alone', async () => {
+          const { publicKey, privateKey } = await upload();
+
+          await expect(provider.replaceKeys(privateKey, { publicKey: true, privateKey: true }))
+            .rejects.toThrow(/^Public key rotation not available$/);
+
+          await expect(provider.getOwnerFileInfo(privateKey)).resolves.toMatchObject({ fileSize: 11 });
+          expect((await provider.downloadFile(publicKey)).buffer.toString()).toBe('conformance');
+        });
+      } else {
+        it('should replace the public key and stop serving the old one', async () => {
+          const { publicKey, privateKey } = await upload();
+          await provider.updateFileSettings(privateKey, { maxDownloads: 3 });
+          await provider.consumeDownload(publicKey);
+
+          const keys = await provider.replaceKeys(privateKey, { publicKey: true });
+
+          expect(Object.keys(keys)).toEqual(['publicKey']);
+          expect(keys.publicKey).toMatch(/^[0-9a-f]{64}$/);
+          expect(keys.publicKey).not.toBe(publicKey);
+          await expect(provider.getFileInfo(publicKey)).rejects.toThrow(/^File not found$/);
+          await expect(provider.createReadStream(publicKey)).rejects.toThrow(/^File not found$/);
+          await expect(provider.consumeDownload(publicKey)).rejects.toThrow(/^File not found$/);
+
+          expect((await provider.downloadFile(keys.publicKey)).buffer.toString()).toBe('conformance');
+          await expect(provider.getFileInfo(keys.publicKey)).resolves.toMatchObject({ maxDownloads: 3, downloadCount: 1 });
+          await expect(provider.getOwnerFileInfo(privateKey)).resolves.toMatchObject({ fileSize: 11 });
+        });
+
+        it('should replace both keys and delete the content with the new private key', async () => {
+          const { publicKey, privateKey } = await upload();
+          await provider.storeRendition(publicKey, 'preview', Buffer.from('small image'), 'image/png');
+
+          const keys = await provider.replaceKeys(privateKey, { publicKey: true, privateKey: true });
+
+          const rendition = await provider.getRendition(keys.publicKey, 'preview');
+          expect((await streamToBuffer(rendition.stream)).toString()).toBe('small image');
+          await expect(provider.deleteFile(privateKey)).resolves.toBe(false);
+          await expect(provider.deleteFile(keys.privateKey)).resolves.toBe(true);
+
+          await expect(provider.createReadStream(keys.publicKey)).rejects.toThrow(/^File not found$/);
+          await expect(provider.getInactiveFiles(new Date(Date.now() + 60 * 1000))).resolves.toEqual([]);
+        });
+      }
+
+      it('should throw exactly "File not found" for unknown keys and public keys', async () => {
+        const { publicKey } = await upload();
+
+        await expect(provider.replaceKeys(publicKey, { privateKey: true })).rejects.toThrow(/^File not found$/);
+        await expect(provider.replaceKeys('0'.repeat(64), { privateKey: true })).rejects.toThrow(/^File not found$/);
+      });
+    });
+
+    describe('share tokens', () => {
+      if (zeroKnowledge) {
+        it('should refuse share tokens for zero-knowledge files', async () => {
+          const { privateKey } = await upload();
+
+          await expect(provider.createShareToken(privateKey, { name: 'friend' }))
+            .rejects.toThrow(/^Share tokens not available$/);
+          await expect(provider.listShareTokens(privateKey)).resolves.toEqual([]);
+        });
+      } else {
+        it('should open the file under the limits of the token', async () => {
+          const { publicKey, privateKey } = await upload();
+          const expiresAt = new Date(Date.now() + 60 * 1000).toISOString();
+
+          const share = await provider.createShareToken(privateKey, { name: 'friend', expiresAt, maxDownloads: 2 });
+
+          expect(share).toMatchObject({ name: 'friend', expiresAt, maxDownloads: 2, downloadCount: 0, revokedAt: null });
+          expect(share.token).toMatch(/^[0-9a-f]{64}$/);
+          const { publicKey: sharedKey, info } = await provider.getShareTokenInfo(share.token);
+          expect(sharedKey).toBe(publicKey);
+          expect(info).toMatchObject({ fileSize: 11, expiresAt: new Date(expiresAt), maxDownloads: 2, downloadCount: 0 });
+          await expect(provider.getFileInfo(share.token)).rejects.toThrow(/^File not found$/);
+          await expect(provider.getOwnerFileInfo(share.token)).rejects.toThrow(/^File not found$/);
+          await expect(provider.deleteFile(share.token)).resolves.toBe(false);
+        });
+
+        it('should count downloads for the token and the file until the token is used up', async () => {
+          const { publicKey, privateKey } = await upload();
+          const share = await provider.createShareToken(privateKey, { maxDownloads: 2 });
+          const other = await provider.createShareToken(privateKey, {});
+
+          await expect(provider.consumeShareToken(share.token)).resolves.toEqual({ downloadCount: 1, maxDownloads: 2 });
+          await expect(provider.consumeShareToken(other.token)).resolves.toEqual({ downloadCount: 1, maxDownloads: null });
+          await expect(provider.consumeShareToken(share.token)).resolves.toEqual({ downloadCount: 2, maxDownloads: 2 });
+          await expect(provider.consumeShareToken(share.token)).rejects.toThrow(/^Download limit reached$/);
+
+          const shares = await provider.listShareTokens(privateKey);
+          expect(shares.map(entry => entry.downloadCount)).toEqual([2, 1]);
+          expect((await provider.getFileInfo(publicKey)).downloadCount).toBe(3);
+        });
+
+        it('should keep the file\'s own limits on top of the token\'s', async () => {
+          const { privateKey } = await upload();
+          await provider.updateFileSettings(privateKey, { maxDownloads: 1 });
+          const share = await provider.createShareToken(privateKey, { maxDownloads: 5 });
+
+          await expect(provider.getShareTokenInfo(share.token))
+            .resolves.toMatchObject({ info: { maxDownloads: 1, downloadCount: 0 } });
+          await provider.consumeShareToken(share.token);
+          await expect(provider.consumeShareToken(share.token)).rejects.toThrow(/^Download limit reached$/);
+        });
+
+        it('should stop opening the file once the token is revoked', async () => {
+          const { publicKey, privateKey } = await upload();
+          const share = await provider.createShareToken(privateKey, { name: 'friend' });
+          await provider.consumeShareToken(share.token);
+
+          const revoked = await provider.revokeShareToken(privateKey, share.id);
+
+          expect(revoked).toMatchObject({ id: share.id, downloadCount: 1 });
+          expect(revoked.revokedAt).not.toBeNull();
+          await expect(provider.getShareTokenInfo(share.token)).rejects.toThrow(/^File not found$/);
+          await expect(provider.consumeShareToken(share.token)).rejects.toThrow(/^File not found$/);
+          await expect(provider.listShareTokens(privateKey)).resolves.toEqual([revoked]);
+          expect((await provider.downloadFile(publicKey)).buffer.toString()).toBe('conformance');
+        });
+
+        it('should keep tokens working when the public key is replaced, and drop them with the file', async () => {
+          const { privateKey } = await upload();
+          const share = await provider.createShareToken(privateKey, {});
+
+          const keys = await provider.replaceKeys(privateKey, { publicKey: true });
+
+          await expect(provider.getShareTokenInfo(share.token)).resolves.toMatchObject({ publicKey: keys.publicKey });
+          await provider.deleteFile(privateKey);
+          await expect(provider.getShareTokenInfo(share.token)).rejects.toThrow(/^File not found$/);
+        });
+      }
+
+      it('should throw exactly "File not found" for unknown keys, public keys and tokens', async () => {
+        const { publicKey, privateKey } = await upload();
+
+        await expect(provider.createShareToken(publicKey, {})).rejects.toThrow(/^File not found$/);
+        await expect(provider.listShareTokens(publicKey)).rejects.toThrow(/^File not found$/);
+        await expect(provider.revokeShareToken('0'.repeat(64), 'abc')).rejects.toThrow(/^File not found$/);
+        await expect(provider.getShareTokenInfo(publicKey)).rejects.toThrow(/^File not found$/);
+        await expect(provider.getShareTokenInfo(privateKey)).rejects.toThrow(/^File not found$/);
+        await expect(provider.consumeShareToken('0'.repeat(64))).rejects.toThrow(/^File not found$/);
+        await expect(provider.revokeShareToken(privateKey, 'abc')).rejects.toThrow(/^Share token not found$/);
+      });
+    });
+
+    describe('listFiles', () => {
+      it('should list files with their uploader and the bytes stored for them', async () => {
+        const file = await provider.uploadStream(Readable.from([Buffer.from('listed')]), 'file.txt', 'text/plain', {
+          uploader: '203.0.113.7'
+        });
+        await provider.storeRendition(file.publicKey, 'preview', Buffer.from('small image'), 'image/png');
+        const members = [
+          await provider.uploadStream(Readable.from([Buffer.from('first member')]), 'first.txt', 'text/plain', { bundled: true }),
+          await provider.uploadStream(Readable.from([Buffer.from('{}')]), 'second.json', 'application/json', { bundled: true })
+        ];
+        const bundle = await provider.createBundle(members, 'bundle.zip', { uploader: 'account:acme' });
+        const { fileSize: manifestSize } = await provider.getFileInfo(bundle.publicKey);
+        await upload();
+
+        const files = await provider.listFiles();
+
+        expect(files).toHaveLength(3);
+        expect(files.find(entry => entry.privateKey === file.privateKey)).toMatchObject({
+          uploader: '203.0.113.7',
+          storedSize: 6 + 11,
+          shareTokens: 0,
+          zeroKnowledge,
+          info: { originalName: zeroKnowledge ? null : 'file.txt', fileSize: 6, bundle: false }
+        });
+        expect(files.find(entry => entry.privateKey === bundle.privateKey)).toMatchObject({
+          uploader: 'account:acme',
+          storedSize: manifestSize + 12 + 2,
+          info: { bundle: true }
+        });
+        expect(files.filter(entry => entry.uploader === null)).toHaveLength(1);
+      });
+
+      it('should record the uploader of completed upload sessions', async () => {
+        const session = await provider.createUploadSession({
+          originalName: 'session.txt', mimeType: 'text/plain', uploadLength: 2, uploader: '2001:db8::1'
+        });
+        await provider.appendUploadChunk(session.uploadId, 0, Readable.from([Buffer.from('ok')]));
+        const { privateKey } = await provider.completeUploadSession(session.uploadId);
+
+        await expect(provider.listFiles()).resolves.toEqual([
+          expect.objectContaining({ privateKey, uploader: '2001:db8::1', storedSize: 2 })
+        ]);
+      });
+    });
+
+    describe('upload sessions', () => {
+      /**
+       * Start a session for a small text file
+       * @param {number} uploadLength - Declared size
+       * @returns {Promise<UploadSession>}
+       */
+      function startSession(uploadLength) {
+        return provider.createUploadSession({ originalName: 'session.txt', mimeType: 'text/plain', uploadLength });
+      }
+
+      /**
+       * Append a chunk given as a string
+       * @param {string} uploadId - The upload session id
+       * @param {number} offset - Chunk offset
+       * @param {string} content - Chunk content
+       * @returns {Promise<number>}
+       */
+      function append(uploadId, offset, content) {
+        return provider.appendUploadChunk(uploadId, offset, Readable.from([Buffer.from(content)]));
+      }
+
+      it('should describe a new session', async () => {
+        const session = await startSession(11);
+
+        expect(session).toMatchObject({
+          uploadId: expect.stringMatching(/^[a-f0-9]{32}$/),
+          originalName: 'session.txt',
+          mimeType: 'text/plain',
+          uploadLength: 11,
+          offset: 0,
+          completed: false
+        });
+        expect(await provider.getUploadSession(session.uploadId)).toMatchObject({ offset: 0, uploadLength: 11 });
+      });
+
+      it('should assemble a file from chunks', async () => {
+        const session = await startSession(11);
+
+        await expect(append(session.uploadId, 0, 'hello ')).resolves.toBe(6);
+        await expect(append(session.uploadId, 6, 'world')).resolves.toBe(11);
+        const result = await provider.completeUploadSession(session.uploadId);
+
+        expect(result.fileSize).toBe(11);
+        const file = await provider.downloadFile(result.publicKey);
+        expect(file.buffer.toString()).toBe('hello world');
+        expect(file.originalName).toBe('session.txt');
+        expect(file.mimeType).toBe('text/plain');
+        expect((await provider.getFileInfo(result.publicKey)).sha256).toBe(sha256('hello world'));
+      });
+
+      it('should complete empty uploads', async () => {
+        const session = await startSession(0);
+
+        const { publicKey } = await provider.completeUploadSession(session.uploadId);
+
+        expect((await provider.downloadFile(publicKey)).buffer.length).toBe(0);
+        expect((await provider.getFileInfo(publicKey)).sha256).toBe(sha256(''));
+      });
+
+      it('should refuse to complete again without keeping the keys', async () => {
+        const session = await startSession(2);
+        await append(session.uploadId, 0, 'ok');
+
+        const { publicKey, privateKey } = await provider.completeUploadSession(session.uploadId);
+
+        await expect(provider.completeUploadSession(session.uploadId))
+          .rejects.toThrow(new Error('Upload already completed'));
+        const state = await provider.getUploadSession(session.uploadId);
+        expect(state.completed).toBe(true);
+        expect(JSON.stringify(state)).not.toContain(publicKey);
+        expect(JSON.stringify(state)).not.toContain(privateKey);
+        await expect(append(session.uploadId, 2, 'more')).rejects.toThrow(new Error('Upload already completed'));
+      });
+
+      it('should complete a session only once when completed concurrently', async () => {
+        const session = await startSession(2);
+        await append(session.uploadId, 0, 'ok');
+
+        const results = await Promise.allSettled([
+          provider.completeUploadSession(session.uploadId),
+          provider.completeUploadSession(session.uploadId)
+        ]);
+
+        expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+        expect(results.find(result => result.status === 'rejected').reason)
+          .toEqual(new Error('Upload already completed'));
+      });
+
+      it('should reject chunks at the wrong offset', async () => {
+        const session = await startSession(4);
+        await append(session.uploadId, 0, 'ab');
+
+        await expect(append(session.uploadId, 0, 'ab')).rejects.toThrow(new Error('Upload offset mismatch'));
+        await expect(append(session.uploadId, 3, 'd')).rejects.toThrow(new Error('Upload offset mismatch'));
+        expect((await provider.getUploadSession(session.uploadId)).offset).toBe(2);
+      });
+
+      it('should reject chunks beyond the declared length', async () => {
+        const session = await startSession(4);
+
+        await expect(append(session.uploadId, 0, 'too long')).rejects.toThrow(new Error('Upload length exceeded'));
+        expect((await provider.getUploadSession(session.uploadId)).offset).toBe(0);
+      });
+
+      it('should not complete unfinished uploads', async () => {
+        const session = await startSession(4);
+        await append(session.uploadId, 0, 'ab');
+
+        await expect(provider.completeUploadSession(session.uploadId)).rejects.toThrow(new Error('Upload incomplete'));
+        await expect(provider.getInactiveFiles(new Date(Date.now() + 60 * 1000))).resolves.toEqual([]);
+      });
+
+      it('should throw exactly "Upload session not found" for unknown and malformed ids', async () => {
+        for (const uploadId of ['0'.repeat(32), '../../etc/passwd']) {
+          await expect(provider.getUploadSession(uploadId)).rejects.toThrow(new Error('Upload session not found'));
+          await expect(append(uploadId, 0, 'x')).rejects.toThrow(new Error('Upload session not found'));
+          await expect(provider.completeUploadSession(uploadId)).rejects.toThrow(new Error('Upload session not found'));
+          await expect(provider.deleteUploadSession(uploadId)).resolves.toBe(false);
+        }
+      });
+
+      it('should delete sessions', async () => {
+        const session = await startSession(4);
+        await append(session.uploadId, 0, 'ab');
+
+        await expect(provider.deleteUploadSession(session.uploadId)).resolves.toBe(true);
+        await expect(provider.getUploadSession(session.uploadId)).rejects.toThrow('Upload session not found');
+        await expect(provider.deleteUploadSession(session.uploadId)).resolves.toBe(false);
+      });
+
+      it('should compare the last update strictly for stale sessions', async () => {
+        const session = await startSession(4);
+        await tick();
+        await append(session.uploadId, 0, 'ab');
+        const updatedAt = new Date((await provider.getUploadSession(session.uploadId)).updatedAt);
+
+        await expect(provider.getStaleUploadSessions(new Date(session.createdAt))).resolves.toEqual([]);
+        await expect(provider.getStaleUploadSessions(updatedAt)).resolves.toEqual([]);
+        await expect(provider.getStaleUploadSessions(shift(updatedAt, 1)))
+          .resolves.toEqual([{ uploadId: session.uploadId }]);
+      });
+    });
+  });
+}
+
+module.exports = describeStorageProviderConformance;
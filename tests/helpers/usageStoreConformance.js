@@ -0,0 +1,101 @@
+/**
+ * Shared contract tests for usage stores
+ * Every store must pass these, so the usage limiter can rely on the same behavior
+ * whichever store is configured.
+ */
+
+/**
+ * Register the contract tests for a usage store
+ * @param {Object} options - Store lifecycle
+ * @param {Function} options.createStore - Async function returning a new, initialized, empty store
+ * @param {Function} [options.destroyStore] - Async function releasing a store after a test
+ */
+function describeUsageStoreConformance({ createStore, destroyStore = store => store.close() }) {
+  describe('UsageStore contract', () => {
+    let store;
+    const tomorrow = () => new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+    beforeEach(async () => {
+      store = await createStore();
+    });
+
+    afterEach(async () => {
+      await destroyStore(store);
+    });
+
+    it('should return no counters for unknown keys', async () => {
+      expect(await store.get('unknown')).toEqual({});
+    });
+
+    it('should add to counters and report the new value', async () => {
+      expect(await store.increment('ip', 'upload', 100)).toEqual({ allowed: true, value: 100 });
+      expect(await store.increment('ip', 'upload', 50)).toEqual({ allowed: true, value: 150 });
+      expect(await store.increment('ip', 'download', 7)).toEqual({ allowed: true, value: 7 });
+
+      expect(await store.get('ip')).toEqual({ upload: 150, download: 7 });
+      expect(await store.get('other')).toEqual({});
+    });
+
+    it('should give back amounts with negative increments', async () => {
+      await store.increment('ip', 'upload', 100);
+
+      expect(await store.increment('ip', 'upload', -60)).toEqual({ allowed: true, value: 40 });
+    });
+
+    it('should refuse increments that would go past the limit', async () => {
+      await store.increment('ip', 'upload', 80, { limit: 100 });
+
+      expect(await store.increment('ip', 'upload', 30, { limit: 100 })).toEqual({ allowed: false, value: 80 });
+      expect(await store.increment('ip', 'upload', 20, { limit: 100 })).toEqual({ allowed: true, value: 100 });
+      expect((await store.get('ip')).upload).toBe(100);
+    });
+
+    it('should refuse even empty increments once the limit is reached', async () => {
+      await store.increment('ip', 'upload', 100, { limit: 100 });
+
+      expect(await store.increment('ip', 'upload', 0, { limit: 100 })).toEqual({ allowed: false, value: 100 });
+      expect(await store.increment('fresh', 'upload', 0, { limit: 100 })).toEqual({ allowed: true, value: 0 });
+    });
+
+    it('should never let concurrent increments overshoot the limit', async () => {
+      const results = await Promise.all(Array.from({ length: 10 }, () =>
+        store.increment('ip', 'upload', 30, { limit: 100, expiresAt: tomorrow() })
+      ));
+
+      expect(results.filter(result => result.allowed)).toHaveLength(3);
+      expect((await store.get('ip')).upload).toBe(90);
+    });
+
+    it('should not lose concurrent increments', async () => {
+      await Promise.all(Array.from({ length: 20 }, () => store.increment('ip', 'download', 5)));
+
+      expect((await store.get('ip')).download).toBe(100);
+    });
+
+    it('should forget keys once they expire', async () => {
+      await store.increment('expiring', 'upload', 10, { expiresAt: new Date(Date.now() + 50) });
+      await store.increment('kept', 'upload', 10, { expiresAt: tomorrow() });
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+      await store.removeExpired();
+
+      expect(await store.get('expiring')).toEqual({});
+      expect(await store.get('kept')).toEqual({ upload: 10 });
+      expect(await store.increment('expiring', 'upload', 1)).toEqual({ allowed: true, value: 1 });
+    });
+
+    it('should remove all counters of a key', async () => {
+      await store.increment('ip', 'upload', 100, { limit: 100, expiresAt: tomorrow() });
+      await store.increment('ip', 'download', 5);
+      await store.increment('other', 'upload', 10);
+
+      expect(await store.delete('ip')).toBe(true);
+      expect(await store.delete('ip')).toBe(false);
+      expect(await store.get('ip')).toEqual({});
+      expect(await store.get('other')).toEqual({ upload: 10 });
+      expect(await store.increment('ip', 'upload', 100, { limit: 100 })).toEqual({ allowed: true, value: 100 });
+    });
+  });
+}
+
+module.exports = describeUsageStoreConformance;
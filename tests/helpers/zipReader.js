@@ -0,0 +1,77 @@
+const zlib = require('zlib');
+
+/**
+ * Minimal reader for the stored (uncompressed) ZIP archives served for bundles
+ * Follows the central directory like an unzip tool would and checks every entry
+ * against its local header, data descriptor and CRC.
+ */
+
+/**
+ * Read the entries of a ZIP archive
+ * @param {Buffer} archive - The whole archive
+ * @returns {Array<{name: string, content: Buffer, crc: number}>}
+ */
+function readZip(archive) {
+  const endOffset = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (endOffset === -1 || endOffset + 22 !== archive.length) {
+    throw new Error('End of central directory record not found');
+  }
+
+  const entryCount = archive.readUInt16LE(endOffset + 10);
+  const directorySize = archive.readUInt32LE(endOffset + 12);
+  const directoryOffset = archive.readUInt32LE(endOffset + 16);
+  if (directoryOffset + directorySize !== endOffset) {
+    throw new Error('Central directory does not end where the end record starts');
+  }
+
+  const entries = [];
+  let offset = directoryOffset;
+  for (let index = 0; index < entryCount; index++) {
+    if (archive.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error(`Central directory header ${index} is invalid`);
+    }
+
+    const method = archive.readUInt16LE(offset + 10);
+    const crc = archive.readUInt32LE(offset + 16);
+    const size = archive.readUInt32LE(offset + 24);
+    const nameLength = archive.readUInt16LE(offset + 28);
+    const extraLength = archive.readUInt16LE(offset + 30);
+    const commentLength = archive.readUInt16LE(offset + 32);
+    const localOffset = archive.readUInt32LE(offset + 42);
+    const name = archive.toString('utf-8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (method !== 0) {
+      throw new Error(`Entry ${name} is compressed`);
+    }
+    if (archive.readUInt32LE(localOffset) !== 0x04034b50) {
+      throw new Error(`Local header of ${name} is invalid`);
+    }
+
+    const localNameLength = archive.readUInt16LE(localOffset + 26);
+    const localExtraLength = archive.readUInt16LE(localOffset + 28);
+    if (archive.toString('utf-8', localOffset + 30, localOffset + 30 + localNameLength) !== name) {
+      throw new Error(`Local header of ${name} names another file`);
+    }
+
+    const contentOffset = localOffset + 30 + localNameLength + localExtraLength;
+    const content = archive.subarray(contentOffset, contentOffset + size);
+    const descriptorOffset = contentOffset + size;
+    if (archive.readUInt32LE(descriptorOffset) !== 0x08074b50 ||
+        archive.readUInt32LE(descriptorOffset + 4) !== crc ||
+        archive.readUInt32LE(descriptorOffset + 8) !== size) {
+      throw new Error(`Data descriptor of ${name} does not match`);
+    }
+    if (zlib.crc32(content) !== crc) {
+      throw new Error(`CRC of ${name} does not match`);
+    }
+
+    entries.push({ name, content, crc });
+  }
+
+  return entries;
+}
+
+module.exports = {
+  readZip
+};
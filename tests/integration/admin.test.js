@@ -0,0 +1,288 @@
+const request = require('supertest');
+const express = require('express');
+const path = require('path');
+const fs = require('fs').promises;
+const initializeRoutes = require('../../src/api/files');
+const initializeUploadRoutes = require('../../src/api/uploads');
+const initializeAdminRoutes = require('../../src/api/admin');
+const LocalFileSystemProvider = require('../../src/storage/LocalFileSystemProvider');
+const { getUsage } = require('../../src/middleware/usageLimiter');
+const cleanupJob = require('../../src/jobs/cleanupJob');
+
+// Use a test-specific folder
+const TEST_ROOT_FOLDER = path.join(__dirname, '../../test-storage-admin');
+
+const ADMIN_TOKEN = 'admin-token-for-integration-tests-0123456789';
+
+describe('Admin API Integration Tests', () => {
+  let app;
+  let provider;
+
+  /**
+   * Send an admin request
+   * @param {string} method - HTTP method
+   * @param {string} url - Path and query
+   * @returns {Test}
+   */
+  function admin(method, url) {
+    return request(app)[method](url).set('Authorization', `Bearer ${ADMIN_TOKEN}`);
+  }
+
+  /**
+   * Upload a file from an IP address
+   * @param {string} ip - Client IP address
+   * @param {Buffer|string} content - File content
+   * @param {string} name - File name
+   * @returns {Promise<{publicKey: string, privateKey: string}>}
+   */
+  async function uploadFrom(ip, content, name) {
+    const response = await request(app)
+      .post('/files')
+      .set('X-Forwarded-For', ip)
+      .attach('file', Buffer.from(content), name)
+      .expect(201);
+    return response.body;
+  }
+
+  beforeAll(async () => {
+    try {
+      await fs.rm(TEST_ROOT_FOLDER, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore if folder doesn't exist
+    }
+
+    provider = new LocalFileSystemProvider(TEST_ROOT_FOLDER);
+    await provider.initialize();
+
+    app = express();
+    app.use(express.json());
+    app.set('trust proxy', true);
+    app.use('/', initializeRoutes(provider));
+    app.use('/', initializeUploadRoutes(provider));
+    app.use('/', initializeAdminRoutes(provider, { adminToken: ADMIN_TOKEN }));
+  });
+
+  beforeEach(async () => {
+    for (const { privateKey } of await provider.listFiles()) {
+      await provider.deleteFile(privateKey);
+    }
+  });
+
+  afterAll(async () => {
+    cleanupJob.stop();
+    try {
+      await fs.rm(TEST_ROOT_FOLDER, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore errors
+    }
+  });
+
+  describe('Authentication', () => {
+    it('should refuse requests without the admin token', async () => {
+      const missing = await request(app).get('/admin/files').expect(401);
+      const wrong = await request(app).get('/admin/stats').set('Authorization', 'Bearer not-the-admin-token').expect(401);
+
+      expect(missing.body.error).toBe('Unauthorized');
+      expect(missing.headers['www-authenticate']).toBe('Bearer');
+      expect(wrong.headers['www-authenticate']).toBe('Bearer error="invalid_token"');
+    });
+
+    it('should refuse to start without a strong admin token', () => {
+      expect(() => initializeAdminRoutes(provider, { adminToken: 'short' }))
+        .toThrow('Admin token must be at least 32 characters long');
+    });
+  });
+
+  describe('GET /admin/files', () => {
+    it('should list files newest first with their uploader', async () => {
+      const first = await uploadFrom('203.0.113.91', 'first', 'first.txt');
+      const second = await uploadFrom('203.0.113.92', 'second file', 'second.txt');
+
+      const response = await admin('get', '/admin/files').expect(200);
+
+      expect(response.headers['cache-control']).toBe('no-store');
+      expect(response.body).toMatchObject({ total: 2, limit: 50, offset: 0 });
+      expect(response.body.files.map(file => file.privateKey).sort()).toEqual([first.privateKey, second.privateKey].sort());
+      expect(response.body.files.find(file => file.privateKey === second.privateKey)).toMatchObject({
+        originalName: 'second.txt',
+        mimeType: 'text/plain',
+        fileSize: 11,
+        storedSize: 11,
+        uploader: '203.0.113.92',
+        status: 'available',
+        downloadCount: 0
+      });
+      expect(response.body.files[0]).not.toHaveProperty('publicKey');
+    });
+
+    it('should page through files', async () => {
+      for (const name of ['a.txt', 'b.txt', 'c.txt']) {
+        await uploadFrom('203.0.113.91', name, name);
+      }
+
+      const firstPage = await admin('get', '/admin/files?limit=2').expect(200);
+      const secondPage = await admin('get', '/admin/files?limit=2&offset=2').expect(200);
+
+      expect(firstPage.body).toMatchObject({ total: 3, limit: 2, offset: 0 });
+      expect(firstPage.body.files).toHaveLength(2);
+      expect(secondPage.body.files).toHaveLength(1);
+      const keys = [...firstPage.body.files, ...secondPage.body.files].map(file => file.privateKey);
+      expect(new Set(keys).size).toBe(3);
+    });
+
+    it('should filter by size, type, time and uploader', async () => {
+      const image = await uploadFrom('203.0.113.91', Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex'), 'image.png');
+      await new Promise(resolve => setTimeout(resolve, 20));
+      const between = new Date().toISOString();
+      await new Promise(resolve => setTimeout(resolve, 20));
+      const text = await uploadFrom('203.0.113.92', 'a somewhat longer text file', 'notes.txt');
+
+      /**
+       * List the private keys of the files passing a query
+       * @param {string} query - Query string
+       * @returns {Promise<Array<string>>}
+       */
+      async function keysFor(query) {
+        const response = await admin('get', `/admin/files?${query}`).expect(200);
+        return response.body.files.map(file => file.privateKey);
+      }
+
+      expect(await keysFor('type=image/*')).toEqual([image.privateKey]);
+      expect(await keysFor('minSize=20')).toEqual([text.privateKey]);
+      expect(await keysFor('maxSize=16')).toEqual([image.privateKey]);
+      expect(await keysFor(`createdAfter=${between}`)).toEqual([text.privateKey]);
+      expect(await keysFor(`createdBefore=${between}`)).toEqual([image.privateKey]);
+      expect(await keysFor('uploader=203.0.113.92')).toEqual([text.privateKey]);
+
+      await request(app).get(`/files/${image.publicKey}`).expect(200);
+      expect(await keysFor(`accessedAfter=${between}`)).toEqual([text.privateKey, image.privateKey]);
+      expect(await keysFor(`accessedBefore=${between}`)).toEqual([]);
+    });
+
+    it('should list bundles with their members counted and not the members themselves', async () => {
+      const response = await request(app)
+        .post('/files')
+        .set('X-Forwarded-For', '203.0.113.93')
+        .attach('files', Buffer.from('first member'), 'first.txt')
+        .attach('files', Buffer.from('second'), 'second.txt')
+        .expect(201);
+
+      const { body } = await admin('get', '/admin/files').expect(200);
+
+      expect(body.total).toBe(1);
+      expect(body.files[0]).toMatchObject({ privateKey: response.body.privateKey, bundle: true, uploader: '203.0.113.93' });
+      expect(body.files[0].storedSize).toBe(body.files[0].fileSize + 12 + 6);
+    });
+
+    it('should record the uploader of resumable uploads', async () => {
+      const created = await request(app)
+        .post('/uploads')
+        .set('X-Forwarded-For', '203.0.113.94')
+        .set('Upload-Length', '2')
+        .set('Upload-Metadata', 'filename b2sudHh0,filetype dGV4dC9wbGFpbg==')
+        .expect(201);
+      await request(app)
+        .patch(`/uploads/${created.body.uploadId}`)
+        .set('Content-Type', 'application/offset+octet-stream')
+        .set('Upload-Offset', '0')
+        .send(Buffer.from('ok'))
+        .expect(204);
+      await request(app).post(`/uploads/${created.body.uploadId}/complete`).expect(201);
+
+      const { body } = await admin('get', '/admin/files?uploader=203.0.113.94').expect(200);
+
+      expect(body.files).toEqual([expect.objectContaining({ originalName: 'ok.txt', storedSize: 2 })]);
+    });
+
+    it('should refuse invalid filters', async () => {
+      for (const query of ['limit=0', 'offset=-1', 'minSize=big', 'createdAfter=someday']) {
+        const response = await admin('get', `/admin/files?${query}`).expect(400);
+        expect(response.body.error).toBe('Invalid filter');
+      }
+    });
+  });
+
+  describe('GET /admin/stats', () => {
+    it('should sum up files and rank uploaders', async () => {
+      await uploadFrom('203.0.113.91', 'one', 'one.txt');
+      await uploadFrom('203.0.113.91', 'two', 'two.txt');
+      await uploadFrom('203.0.113.92', 'a larger file', 'large.txt');
+
+      const response = await admin('get', '/admin/stats').expect(200);
+
+      expect(response.body).toEqual({
+        count: 3,
+        totalBytes: 19,
+        topUploaders: [
+          { uploader: '203.0.113.92', count: 1, totalBytes: 13 },
+          { uploader: '203.0.113.91', count: 2, totalBytes: 6 }
+        ]
+      });
+      expect((await admin('get', '/admin/stats?uploader=203.0.113.91').expect(200)).body)
+        .toMatchObject({ count: 2, totalBytes: 6 });
+      await admin('get', '/admin/stats?maxSize=x').expect(400);
+    });
+  });
+
+  describe('DELETE /admin/files/:privateKey', () => {
+    it('should delete any file', async () => {
+      const { publicKey, privateKey } = await uploadFrom('203.0.113.91', 'reported', 'reported.txt');
+
+      await admin('delete', `/admin/files/${privateKey}`).expect(200);
+
+      await request(app).get(`/files/${publicKey}`).expect(404);
+      const response = await admin('delete', `/admin/files/${privateKey}`).expect(404);
+      expect(response.body.error).toBe('File not found');
+    });
+  });
+
+  describe('POST /admin/cleanup', () => {
+    it('should run the cleanup job and report the deleted files', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      try {
+        cleanupJob.initialize(provider);
+        expect((await admin('post', '/admin/cleanup').expect(200)).body).toEqual({ deleted: 0 });
+
+        const response = await request(app)
+          .post('/files')
+          .field('maxDownloads', '1')
+          .attach('file', Buffer.from('once'), 'once.txt')
+          .expect(201);
+        await request(app).get(`/files/${response.body.publicKey}`).expect(200);
+        await uploadFrom('203.0.113.91', 'kept', 'kept.txt');
+
+        const cleanup = await admin('post', '/admin/cleanup').expect(200);
+
+        expect(cleanup.body).toEqual({ deleted: 1 });
+        expect((await admin('get', '/admin/stats').expect(200)).body.count).toBe(1);
+      } finally {
+        cleanupJob.stop();
+        console.log.mockRestore();
+      }
+    });
+  });
+
+  describe('Usage', () => {
+    it('should show and reset the usage of an IP address', async () => {
+      const ip = '203.0.113.95';
+      await uploadFrom(ip, 'counted upload', 'counted.txt');
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      const usage = await admin('get', `/admin/usage/${ip}`).expect(200);
+      expect(usage.body).toMatchObject({ ip, upload: 14, download: 0, uploadLimit: 100 * 1024 * 1024 });
+
+      const reset = await admin('delete', `/admin/usage/${ip}`).expect(200);
+      expect(reset.body).toEqual({ ip, reset: true });
+      expect(await getUsage(ip)).toMatchObject({ upload: 0, download: 0 });
+      expect((await admin('delete', `/admin/usage/${ip}`).expect(200)).body.reset).toBe(false);
+    });
+
+    it('should accept IPv6 addresses and refuse anything else', async () => {
+      await admin('get', '/admin/usage/2001:db8::1').expect(200);
+
+      const response = await admin('get', '/admin/usage/not-an-ip').expect(400);
+      expect(response.body.error).toBe('Invalid IP address');
+      await admin('delete', '/admin/usage/account:acme').expect(400);
+    });
+  });
+});
@@ -1,9 +1,19 @@
 const request = require('supertest');
 const express = require('express');
+const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs').promises;
+const sharp = require('sharp');
 const initializeRoutes = require('../../src/api/files');
+const { getUsage } = require('../../src/middleware/usageLimiter');
+const accountAuth = require('../../src/middleware/accountAuth');
+const MemoryAccountStore = require('../../src/accounts/MemoryAccountStore');
+const { generateApiKey, hashApiKey } = require('../../src/accounts/accountRecords');
 const LocalFileSystemProvider = require('../../src/storage/LocalFileSystemProvider');
+const KeyRing = require('../../src/storage/KeyRing');
+const ClamdScanner = require('../../src/scanning/ClamdScanner');
+const { readZip } = require('../helpers/zipReader');
+const createFakeClamdServer = require('../helpers/fakeClamdServer');
 
 // Use a test-specific folder
 const TEST_ROOT_FOLDER = path.join(__dirname, '../../test-storage-integration');
@@ -65,6 +75,120 @@ describe('File Sharing API Integration Tests', () => {
       expect(response.body).toHaveProperty('error');
       expect(response.body.error).toBe('No file provided');
     });
+
+    it('should count the stored file size once toward the upload limit', async () => {
+      const ip = '203.0.113.10';
+
+      await request(app)
+        .post('/files')
+        .set('X-Forwarded-For', ip)
+        .attach('file', Buffer.from('counted once'), 'once.txt')
+        .expect(201);
+
+      // The reservation is settled once the server has closed the response
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect((await getUsage(ip)).upload).toBe('counted once'.length);
+    });
+  });
+
+  describe('Content digests', () => {
+    const content = Buffer.from('digested content');
+    const sha256 = crypto.createHash('sha256').update(content).digest('base64');
+    const md5 = crypto.createHash('md5').update(content).digest('base64');
+    const otherMd5 = crypto.createHash('md5').update('other content').digest('base64');
+
+    it('should accept uploads matching their Digest and Content-MD5 headers', async () => {
+      const response = await request(app)
+        .post('/files')
+        .set('Digest', `SHA-256=${sha256}, md5=${md5}, unixsum=30637`)
+        .set('Content-MD5', md5)
+        .attach('file', content, 'digested.txt')
+        .expect(201);
+
+      const download = await request(app).get(`/files/${response.body.publicKey}`).expect(200);
+      expect(download.text).toBe(content.toString());
+    });
+
+    it('should refuse uploads not matching their digests without storing them', async () => {
+      const filesBefore = await fs.readdir(path.join(TEST_ROOT_FOLDER, 'files'));
+
+      const digestResponse = await request(app)
+        .post('/files')
+        .set('Digest', `sha-256=${crypto.createHash('sha256').update('other content').digest('base64')}`)
+        .attach('file', content, 'digested.txt')
+        .expect(400);
+      const md5Response = await request(app)
+        .post('/files')
+        .set('Content-MD5', otherMd5)
+        .attach('file', content, 'digested.txt')
+        .expect(400);
+
+      expect(digestResponse.body.error).toBe('Digest mismatch');
+      expect(md5Response.body.error).toBe('Digest mismatch');
+      expect(await fs.readdir(path.join(TEST_ROOT_FOLDER, 'files'))).toEqual(filesBefore);
+    });
+
+    it('should refuse malformed and contradicting digest headers', async () => {
+      for (const headers of [
+        { Digest: 'sha-256' },
+        { Digest: 'sha-256=not base64!' },
+        { Digest: `md5=${sha256}` },
+        { 'Content-MD5': 'AAAA' },
+        { Digest: `md5=${md5}`, 'Content-MD5': otherMd5 }
+      ]) {
+        const response = await request(app)
+          .post('/files')
+          .set(headers)
+          .attach('file', content, 'digested.txt')
+          .expect(400);
+
+        expect(response.body.error).toBe('Invalid digest');
+      }
+    });
+
+    it('should refuse digest headers for bundles', async () => {
+      const response = await request(app)
+        .post('/files')
+        .set('Content-MD5', md5)
+        .attach('files', content, 'first.txt')
+        .attach('files', content, 'second.txt')
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid digest');
+      expect(response.body.message).toBe('Digest and Content-MD5 headers can only be checked for a single file');
+    });
+
+    it('should send the SHA-256 of the file with downloads', async () => {
+      const upload = await request(app)
+        .post('/files')
+        .attach('file', content, 'digested.txt');
+      const { publicKey } = upload.body;
+
+      const download = await request(app).get(`/files/${publicKey}`).expect(200);
+      const head = await request(app).head(`/files/${publicKey}`).expect(200);
+      const range = await request(app).get(`/files/${publicKey}`).set('Range', 'bytes=0-3').expect(206);
+
+      expect(download.headers.digest).toBe(`sha-256=${sha256}`);
+      expect(head.headers.digest).toBe(`sha-256=${sha256}`);
+      expect(range.headers.digest).toBe(`sha-256=${sha256}`);
+    });
+
+    it('should send the SHA-256 of bundle files but not of the archive', async () => {
+      const upload = await request(app)
+        .post('/files')
+        .attach('files', content, 'first.txt')
+        .attach('files', Buffer.from('second'), 'second.txt')
+        .expect(201);
+      const { publicKey } = upload.body;
+
+      const archive = await request(app).head(`/files/${publicKey}`).expect(200);
+      const member = await request(app).get(`/files/${publicKey}/members/0`).expect(200);
+      const memberHead = await request(app).head(`/files/${publicKey}/members/0`).expect(200);
+
+      expect(archive.headers.digest).toBeUndefined();
+      expect(member.headers.digest).toBe(`sha-256=${sha256}`);
+      expect(memberHead.headers.digest).toBe(`sha-256=${sha256}`);
+    });
   });
 
   describe('GET /files/:publicKey', () => {
@@ -108,49 +232,1811 @@ describe('File Sharing API Integration Tests', () => {
     });
   });
 
-  describe('DELETE /files/:privateKey', () => {
-    let publicKey, privateKey;
+  describe('File info', () => {
+    it('should answer HEAD with the download headers and no body', async () => {
+      const { publicKey, privateKey } = await provider.uploadFile(Buffer.from('head content'), 'head.txt', 'text/plain');
+
+      const response = await request(app)
+        .head(`/files/${publicKey}`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('text/plain');
+      expect(response.headers['content-length']).toBe('12');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="head.txt"');
+      expect(response.headers['accept-ranges']).toBe('bytes');
+      expect(response.headers['last-modified']).toBeDefined();
+      expect(response.text).toBeUndefined();
+      expect((await provider.getFileMetadata(privateKey)).lastAccessed).toBeNull();
+    });
+
+    it('should not count HEAD and info requests as downloads', async () => {
+      const ip = '203.0.113.61';
+      const { publicKey, privateKey } = await provider.uploadFile(Buffer.from('once'), 'once.txt', 'text/plain');
+      await provider.updateFileSettings(privateKey, { maxDownloads: 1 });
+
+      await request(app).head(`/files/${publicKey}`).set('X-Forwarded-For', ip).expect(200);
+      await request(app).get(`/files/${publicKey}/info`).set('X-Forwarded-For', ip).expect(200);
+
+      expect((await provider.getFileInfo(publicKey)).downloadCount).toBe(0);
+      expect((await getUsage(ip)).download || 0).toBe(0);
+      await request(app).get(`/files/${publicKey}`).expect(200);
+    });
+
+    it('should return the name, type, size and upload time as JSON', async () => {
+      const { publicKey, privateKey } = await provider.uploadFile(Buffer.from('info content'), 'info.txt', 'text/plain');
 
-    beforeEach(async () => {
-      // Upload a test file before each delete test
       const response = await request(app)
+        .get(`/files/${publicKey}/info`)
+        .expect(200);
+
+      expect(response.body).toEqual({
+        originalName: 'info.txt',
+        mimeType: 'text/plain',
+        fileSize: 12,
+        createdAt: (await provider.getFileInfo(publicKey)).createdAt.toISOString()
+      });
+      expect((await provider.getFileMetadata(privateKey)).lastAccessed).toBeNull();
+    });
+
+    it('should check the password and share settings first', async () => {
+      const upload = await request(app)
         .post('/files')
-        .attach('file', Buffer.from('test file content for delete'), 'delete-test.txt');
+        .field('password', 'info secret')
+        .attach('file', Buffer.from('hidden'), 'hidden.txt')
+        .expect(201);
+      const { publicKey } = upload.body;
+
+      await request(app).head(`/files/${publicKey}`).expect(401);
+      const refused = await request(app).get(`/files/${publicKey}/info`).expect(401);
+      expect(refused.body.error).toBe('Password required');
+
+      const response = await request(app)
+        .get(`/files/${publicKey}/info`)
+        .set('X-File-Password', 'info secret')
+        .expect(200);
+      expect(response.body.originalName).toBe('hidden.txt');
+      expect(response.headers['cache-control']).toBe('private, no-store');
+      expect(JSON.stringify(response.body)).not.toContain('scrypt');
+
+      const expired = await provider.uploadFile(Buffer.from('gone'), 'gone.txt', 'text/plain');
+      await provider.updateFileSettings(expired.privateKey, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+      await request(app).head(`/files/${expired.publicKey}`).expect(410);
+      await request(app).get(`/files/${expired.publicKey}/info`).expect(410);
+      await request(app).get(`/files/${'0'.repeat(64)}/info`).expect(404);
+    });
+
+    it('should describe bundles as their ZIP archive', async () => {
+      const upload = await request(app)
+        .post('/files')
+        .attach('files', Buffer.from('first'), 'first.txt')
+        .attach('files', Buffer.from('second'), 'second.txt')
+        .expect(201);
+      const { publicKey } = upload.body;
+
+      const download = await request(app).get(`/files/${publicKey}`).expect(200);
+      const head = await request(app).head(`/files/${publicKey}`).expect(200);
+      const info = await request(app).get(`/files/${publicKey}/info`).expect(200);
+
+      expect(head.headers['content-type']).toBe('application/zip');
+      expect(head.headers['content-length']).toBe(download.headers['content-length']);
+      expect(head.headers['accept-ranges']).toBe('none');
+      expect(info.body).toMatchObject({
+        originalName: 'bundle.zip',
+        mimeType: 'application/zip',
+        fileSize: Number(download.headers['content-length']),
+        files: [
+          { index: 0, originalName: 'first.txt', mimeType: 'text/plain', fileSize: 5 },
+          { index: 1, originalName: 'second.txt', mimeType: 'text/plain', fileSize: 6 }
+        ]
+      });
+
+      const member = await request(app).head(`/files/${publicKey}/members/1`).expect(200);
+      expect(member.headers['content-length']).toBe('6');
+      expect(member.headers['content-disposition']).toBe('attachment; filename="second.txt"');
+    });
+
+    it('should show the owner share settings, usage and deletion time', async () => {
+      const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+      const upload = await request(app)
+        .post('/files')
+        .field('password', 'owner secret')
+        .field('maxDownloads', '5')
+        .field('expiresAt', expiresAt.toISOString())
+        .attach('file', Buffer.from('owned'), 'owned.txt')
+        .expect(201);
+      const { publicKey, privateKey } = upload.body;
+      await provider.consumeDownload(publicKey);
+
+      const response = await request(app)
+        .get(`/files/${privateKey}/owner`)
+        .expect(200);
+
+      expect(response.body).toEqual({
+        originalName: 'owned.txt',
+        mimeType: 'text/plain',
+        fileSize: 5,
+        createdAt: expect.any(String),
+        lastAccessed: expect.any(String),
+        expiresAt: expiresAt.toISOString(),
+        notBefore: null,
+        maxDownloads: 5,
+        downloadCount: 1,
+        passwordProtected: true,
+        bundle: false,
+        scanStatus: null,
+        scheduledDeletionAt: expiresAt.toISOString()
+      });
+      expect(response.headers['cache-control']).toBe('no-store');
+      expect(JSON.stringify(response.body)).not.toContain(publicKey);
+    });
+
+    it('should schedule deletion after the inactivity period without an expiry', async () => {
+      const { privateKey } = await provider.uploadFile(Buffer.from('idle'), 'idle.txt', 'text/plain');
+
+      const response = await request(app)
+        .get(`/files/${privateKey}/owner`)
+        .expect(200);
+
+      const createdAt = Date.parse(response.body.createdAt);
+      expect(Date.parse(response.body.scheduledDeletionAt)).toBe(createdAt + 30 * 24 * 60 * 60 * 1000);
+      expect(response.body.lastAccessed).toBeNull();
+    });
+
+    it('should not show the owner view for a public key', async () => {
+      const { publicKey } = await provider.uploadFile(Buffer.from('public'), 'public.txt', 'text/plain');
+
+      await request(app).get(`/files/${publicKey}/owner`).expect(404);
+    });
+  });
+
+  describe('Range requests', () => {
+    let publicKey;
+
+    /**
+     * Collect a binary response body as a string
+     */
+    function collectText(res, callback) {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks).toString()));
+    }
+
+    beforeAll(async () => {
+      const response = await request(app)
+        .post('/files')
+        .attach('file', Buffer.from('0123456789abcdefghij'), 'range-test.txt');
 
       publicKey = response.body.publicKey;
-      privateKey = response.body.privateKey;
     });
 
-    it('should delete a file by privateKey', async () => {
+    it('should advertise byte range support', async () => {
       const response = await request(app)
-        .delete(`/files/${privateKey}`)
+        .get(`/files/${publicKey}`)
         .expect(200);
 
-      expect(response.body).toHaveProperty('success');
-      expect(response.body.success).toBe(true);
-      expect(response.body.message).toBe('File deleted successfully');
+      expect(response.headers['accept-ranges']).toBe('bytes');
+      expect(response.headers['last-modified']).toBeTruthy();
+    });
+
+    it('should serve a single range with 206 Partial Content', async () => {
+      const response = await request(app)
+        .get(`/files/${publicKey}`)
+        .set('Range', 'bytes=5-9')
+        .expect(206);
+
+      expect(response.headers['content-range']).toBe('bytes 5-9/20');
+      expect(response.headers['content-length']).toBe('5');
+      expect(response.text).toBe('56789');
+    });
+
+    it('should serve suffix ranges', async () => {
+      const response = await request(app)
+        .get(`/files/${publicKey}`)
+        .set('Range', 'bytes=-3')
+        .expect(206);
+
+      expect(response.headers['content-range']).toBe('bytes 17-19/20');
+      expect(response.text).toBe('hij');
+    });
+
+    it('should serve multiple ranges as multipart/byteranges', async () => {
+      const response = await request(app)
+        .get(`/files/${publicKey}`)
+        .set('Range', 'bytes=0-1,10-12')
+        .buffer(true)
+        .parse(collectText)
+        .expect(206);
+
+      const contentType = response.headers['content-type'];
+      expect(contentType).toMatch(/^multipart\/byteranges; boundary=/);
+
+      const boundary = contentType.split('boundary=')[1];
+      expect(response.body).toContain(`--${boundary}\r\nContent-Type: text/plain\r\nContent-Range: bytes 0-1/20\r\n\r\n01\r\n`);
+      expect(response.body).toContain('Content-Range: bytes 10-12/20\r\n\r\nabc\r\n');
+      expect(response.body.endsWith(`--${boundary}--\r\n`)).toBe(true);
+      expect(Number(response.headers['content-length'])).toBe(Buffer.byteLength(response.body));
+    });
+
+    it('should return 416 if the range cannot be satisfied', async () => {
+      const response = await request(app)
+        .get(`/files/${publicKey}`)
+        .set('Range', 'bytes=50-60')
+        .expect(416);
+
+      expect(response.headers['content-range']).toBe('bytes */20');
+      expect(response.body.error).toBe('Range not satisfiable');
+    });
+
+    it('should ignore malformed Range headers', async () => {
+      const response = await request(app)
+        .get(`/files/${publicKey}`)
+        .set('Range', 'pages=1-2')
+        .expect(200);
+
+      expect(response.text).toBe('0123456789abcdefghij');
+    });
+
+    it('should honor If-Range when the file is unchanged', async () => {
+      const { headers } = await request(app).get(`/files/${publicKey}`);
+
+      const response = await request(app)
+        .get(`/files/${publicKey}`)
+        .set('Range', 'bytes=0-3')
+        .set('If-Range', headers['last-modified'])
+        .expect(206);
+
+      expect(response.text).toBe('0123');
+    });
+
+    it('should send the full file if If-Range does not match', async () => {
+      const response = await request(app)
+        .get(`/files/${publicKey}`)
+        .set('Range', 'bytes=0-3')
+        .set('If-Range', 'Thu, 01 Jan 1970 00:00:00 GMT')
+        .expect(200);
+
+      expect(response.text).toBe('0123456789abcdefghij');
+
+      const etagResponse = await request(app)
+        .get(`/files/${publicKey}`)
+        .set('Range', 'bytes=0-3')
+        .set('If-Range', '"some-other-etag"')
+        .expect(200);
+
+      expect(etagResponse.text).toBe('0123456789abcdefghij');
+    });
+
+    it('should only count the served bytes toward the download limit', async () => {
+      const ip = '203.0.113.42';
 
-      // Verify file is deleted by trying to download it
       await request(app)
         .get(`/files/${publicKey}`)
-        .expect(404);
+        .set('X-Forwarded-For', ip)
+        .set('Range', 'bytes=0-3,10-11')
+        .expect(206);
+
+      expect((await getUsage(ip)).download).toBe(6);
     });
+  });
 
-    it('should return 404 if file does not exist', async () => {
-      const nonExistentKey = 'non-existent-key-1234567890';
+  describe('Conditional requests', () => {
+    const content = 'cacheable content';
+    const etag = `"${crypto.createHash('sha256').update(content).digest('hex')}"`;
+    let publicKey;
 
+    beforeAll(async () => {
       const response = await request(app)
-        .delete(`/files/${nonExistentKey}`)
-        .expect(404);
+        .post('/files')
+        .attach('file', Buffer.from(content), 'cacheable.txt');
 
-      expect(response.body).toHaveProperty('error');
-      expect(response.body.error).toBe('File not found');
+      publicKey = response.body.publicKey;
     });
 
-    it('should return 400 if privateKey is empty', async () => {
+    it('should send a strong ETag from the content digest and the caching policy', async () => {
       const response = await request(app)
-        .delete('/files/')
-        .expect(404); // Express routes might return 404 for empty path
+        .get(`/files/${publicKey}`)
+        .expect(200);
+
+      expect(response.headers.etag).toBe(etag);
+      expect(response.headers['last-modified']).toBeTruthy();
+      expect(response.headers['cache-control']).toBe('private, no-cache');
+    });
+
+    it('should answer a matching If-None-Match with 304 without counting usage', async () => {
+      const ip = '203.0.113.80';
+
+      const response = await request(app)
+        .get(`/files/${publicKey}`)
+        .set('X-Forwarded-For', ip)
+        .set('If-None-Match', `"other", ${etag}`)
+        .expect(304);
+
+      expect(response.text).toBe('');
+      expect(response.headers.etag).toBe(etag);
+      expect(response.headers['cache-control']).toBe('private, no-cache');
+      expect((await getUsage(ip)).download).toBe(0);
+      expect((await provider.getFileInfo(publicKey)).lastAccessed).not.toBeNull();
+    });
+
+    it('should answer If-Modified-Since with 304 unless the ETag does not match', async () => {
+      const { headers } = await request(app).head(`/files/${publicKey}`);
+
+      await request(app)
+        .get(`/files/${publicKey}`)
+        .set('If-Modified-Since', headers['last-modified'])
+        .expect(304);
+
+      const response = await request(app)
+        .get(`/files/${publicKey}`)
+        .set('If-Modified-Since', headers['last-modified'])
+        .set('If-None-Match', '"other"')
+        .expect(200);
+
+      expect(response.text).toBe(content);
+    });
+
+    it('should answer conditional HEAD requests', async () => {
+      await request(app)
+        .head(`/files/${publicKey}`)
+        .set('If-None-Match', etag)
+        .expect(304);
+    });
+
+    it('should honor If-Range with the ETag', async () => {
+      const response = await request(app)
+        .get(`/files/${publicKey}`)
+        .set('Range', 'bytes=0-8')
+        .set('If-Range', etag)
+        .expect(206);
+
+      expect(response.text).toBe('cacheable');
+    });
+
+    it('should keep shares with a download limit out of caches and not count a 304 as a download', async () => {
+      const uploadResponse = await request(app)
+        .post('/files')
+        .field('maxDownloads', '1')
+        .attach('file', Buffer.from(content), 'limited.txt')
+        .expect(201);
+      const limitedKey = uploadResponse.body.publicKey;
+
+      const response = await request(app)
+        .get(`/files/${limitedKey}`)
+        .set('If-None-Match', etag)
+        .expect(304);
+
+      expect(response.headers['cache-control']).toBe('private, no-store');
+      expect((await provider.getFileInfo(limitedKey)).downloadCount).toBe(0);
+    });
+
+    it('should use configured policies and keep lifetimes within the share expiry', async () => {
+      const cachingApp = express();
+      cachingApp.use('/', initializeRoutes(provider, {
+        cacheControl: 'public, max-age=86400, s-maxage=600',
+        restrictedCacheControl: 'no-store'
+      }));
+
+      const uploadResponse = await request(app)
+        .post('/files')
+        .field('expiresAt', new Date(Date.now() + 300 * 1000).toISOString())
+        .attach('file', Buffer.from(content), 'expiring.txt')
+        .expect(201);
+
+      const expiring = await request(cachingApp)
+        .get(`/files/${uploadResponse.body.publicKey}`)
+        .expect(200);
+      const [, maxAge, sharedMaxAge] = expiring.headers['cache-control'].match(/^public, max-age=(\d+), s-maxage=(\d+)$/);
+      expect(Number(maxAge)).toBeGreaterThan(290);
+      expect(Number(maxAge)).toBeLessThanOrEqual(300);
+      expect(sharedMaxAge).toBe(maxAge);
+
+      const open = await request(cachingApp)
+        .get(`/files/${publicKey}`)
+        .expect(200);
+      expect(open.headers['cache-control']).toBe('public, max-age=86400, s-maxage=600');
+    });
+  });
+
+  describe('Expiring shares', () => {
+    it('should allow a limited number of downloads, then return 410', async () => {
+      const uploadResponse = await request(app)
+        .post('/files')
+        .field('maxDownloads', '1')
+        .attach('file', Buffer.from('burn after reading'), 'secret.txt')
+        .expect(201);
+
+      const { publicKey } = uploadResponse.body;
+
+      const first = await request(app)
+        .get(`/files/${publicKey}`)
+        .set('Range', 'bytes=0-3')
+        .expect(200);
+
+      expect(first.text).toBe('burn after reading');
+      expect(first.headers['accept-ranges']).toBe('none');
+
+      const second = await request(app)
+        .get(`/files/${publicKey}`)
+        .expect(410);
+
+      expect(second.body.error).toBe('Download limit reached');
+    });
+
+    it('should refuse the loser of concurrent last downloads before opening the file', async () => {
+      const uploadResponse = await request(app)
+        .post('/files')
+        .field('maxDownloads', '1')
+        .attach('file', Buffer.from('only once'), 'once.txt')
+        .expect(201);
+
+      // Both downloads pass the share checks before either is counted
+      const consumeDownload = provider.consumeDownload.bind(provider);
+      let arrived = 0;
+      let release;
+      const bothArrived = new Promise(resolve => { release = resolve; });
+      const consumeSpy = jest.spyOn(provider, 'consumeDownload').mockImplementation(async (publicKey) => {
+        arrived += 1;
+        if (arrived === 2) {
+          release();
+        }
+        await bothArrived;
+        return consumeDownload(publicKey);
+      });
+      const readSpy = jest.spyOn(provider, 'createReadStream');
+
+      try {
+        const responses = await Promise.all([1, 2].map(() => request(app).get(`/files/${uploadResponse.body.publicKey}`)));
+        const served = responses.find(response => response.status === 200);
+        const refused = responses.find(response => response.status === 410);
+
+        expect(served.text).toBe('only once');
+        expect(refused.body.error).toBe('Download limit reached');
+        expect(refused.headers['content-disposition']).toBeUndefined();
+        expect(refused.headers['content-type']).toMatch(/^application\/json/);
+        expect(readSpy).toHaveBeenCalledTimes(1);
+      } finally {
+        consumeSpy.mockRestore();
+        readSpy.mockRestore();
+      }
+    });
+
+    it('should return 410 once a share has expired', async () => {
+      const uploadResponse = await request(app)
+        .post('/files')
+        .attach('file', Buffer.from('short lived'), 'short.txt')
+        .field('expiresAt', new Date(Date.now() + 200).toISOString())
+        .expect(201);
+
+      await request(app)
+        .get(`/files/${uploadResponse.body.publicKey}`)
+        .expect(200);
+
+      await new Promise(resolve => setTimeout(resolve, 250));
+
+      const response = await request(app)
+        .get(`/files/${uploadResponse.body.publicKey}`)
+        .expect(410);
+
+      expect(response.body.error).toBe('File expired');
+    });
+
+    it('should return 403 before the not-before time', async () => {
+      const uploadResponse = await request(app)
+        .post('/files')
+        .field('notBefore', new Date(Date.now() + 60 * 60 * 1000).toISOString())
+        .attach('file', Buffer.from('embargoed'), 'embargo.txt')
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/files/${uploadResponse.body.publicKey}`)
+        .expect(403);
+
+      expect(response.body.error).toBe('File not yet available');
+    });
+
+    it('should reject invalid share settings and discard the upload', async () => {
+      const filesBefore = await fs.readdir(path.join(TEST_ROOT_FOLDER, 'files'));
+
+      const response = await request(app)
+        .post('/files')
+        .field('maxDownloads', '-1')
+        .attach('file', Buffer.from('invalid'), 'invalid.txt')
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid share settings');
+      expect(await fs.readdir(path.join(TEST_ROOT_FOLDER, 'files'))).toEqual(filesBefore);
+    });
+  });
+
+  describe('Password-protected downloads', () => {
+    let publicKey;
+
+    beforeEach(async () => {
+      const uploadResponse = await request(app)
+        .post('/files')
+        .field('password', 'open sesame')
+        .attach('file', Buffer.from('protected content'), 'protected.txt')
+        .expect(201);
+
+      publicKey = uploadResponse.body.publicKey;
+    });
+
+    it('should require the password', async () => {
+      const response = await request(app)
+        .get(`/files/${publicKey}`)
+        .expect(401);
+
+      expect(response.body.error).toBe('Password required');
+      expect(response.headers['content-disposition']).toBeUndefined();
+    });
+
+    it('should serve the file with the password header', async () => {
+      const response = await request(app)
+        .get(`/files/${publicKey}`)
+        .set('X-File-Password', 'open sesame')
+        .expect(200);
+
+      expect(response.text).toBe('protected content');
+      expect(response.headers['cache-control']).toBe('private, no-store');
+    });
+
+    it('should refuse a wrong password', async () => {
+      const response = await request(app)
+        .get(`/files/${publicKey}`)
+        .set('X-File-Password', 'wrong')
+        .expect(401);
+
+      expect(response.body.error).toBe('Invalid password');
+    });
+
+    it('should exchange the password for an unlock token', async () => {
+      const unlockResponse = await request(app)
+        .post(`/files/${publicKey}/unlock`)
+        .send({ password: 'open sesame' })
+        .expect(200);
+
+      const { token, expiresAt } = unlockResponse.body;
+      expect(new Date(expiresAt).getTime()).toBeGreaterThan(Date.now());
+
+      const headerResponse = await request(app)
+        .get(`/files/${publicKey}`)
+        .set('X-Unlock-Token', token)
+        .expect(200);
+      expect(headerResponse.text).toBe('protected content');
+
+      await request(app)
+        .get(`/files/${publicKey}`)
+        .query({ token })
+        .expect(200);
+    });
+
+    it('should not accept a token issued for another file', async () => {
+      const other = await request(app)
+        .post('/files')
+        .field('password', 'open sesame')
+        .attach('file', Buffer.from('other'), 'other.txt')
+        .expect(201);
+
+      const unlockResponse = await request(app)
+        .post(`/files/${other.body.publicKey}/unlock`)
+        .send({ password: 'open sesame' })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/files/${publicKey}`)
+        .set('X-Unlock-Token', unlockResponse.body.token)
+        .expect(401);
+
+      expect(response.body.error).toBe('Invalid unlock token');
+    });
+
+    it('should lock the file after too many wrong passwords', async () => {
+      for (let attempt = 0; attempt < 5; attempt++) {
+        await request(app)
+          .post(`/files/${publicKey}/unlock`)
+          .send({ password: `guess ${attempt}` })
+          .expect(401);
+      }
+
+      const response = await request(app)
+        .get(`/files/${publicKey}`)
+        .set('X-File-Password', 'open sesame')
+        .expect(429);
+
+      expect(response.body.error).toBe('Too many password attempts');
+      expect(parseInt(response.headers['retry-after'], 10)).toBeGreaterThan(0);
+    });
+
+    it('should not store the password in plain text', async () => {
+      const metadataLog = await fs.readFile(path.join(TEST_ROOT_FOLDER, 'metadata.log'), 'utf-8');
+
+      expect(metadataLog).not.toContain('open sesame');
+      expect((await provider.getFileInfo(publicKey)).passwordHash).toMatch(/^scrypt\$/);
+    });
+
+    it('should refuse to unlock files without a password', async () => {
+      const plain = await request(app)
+        .post('/files')
+        .attach('file', Buffer.from('plain'), 'plain.txt')
+        .expect(201);
+
+      const response = await request(app)
+        .post(`/files/${plain.body.publicKey}/unlock`)
+        .send({ password: 'anything' })
+        .expect(400);
+
+      expect(response.body.error).toBe('File not password protected');
+    });
+  });
+
+  describe('Direct downloads', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should redirect to the provider URL and count the file size as usage', async () => {
+      const uploadResponse = await request(app)
+        .post('/files')
+        .attach('file', Buffer.from('served by the bucket'), 'direct.txt')
+        .expect(201);
+      const { publicKey } = uploadResponse.body;
+
+      const getDownloadUrl = jest.spyOn(provider, 'getDownloadUrl')
+        .mockResolvedValue('https://storage.example.com/signed?sig=abc');
+      const ip = '203.0.113.60';
+
+      const response = await request(app)
+        .get(`/files/${publicKey}`)
+        .set('X-Forwarded-For', ip)
+        .expect(302);
+
+      expect(response.headers.location).toBe('https://storage.example.com/signed?sig=abc');
+      expect(response.headers['cache-control']).toBe('no-store');
+      expect(getDownloadUrl).toHaveBeenCalledWith(publicKey, {
+        contentDisposition: 'attachment; filename="direct.txt"'
+      });
+      expect((await getUsage(ip)).download).toBe('served by the bucket'.length);
+      expect((await provider.getFileInfo(publicKey)).lastAccessed).not.toBeNull();
+    });
+
+    it('should still check share settings before redirecting', async () => {
+      const uploadResponse = await request(app)
+        .post('/files')
+        .field('password', 'secret')
+        .attach('file', Buffer.from('protected'), 'protected.txt')
+        .expect(201);
+
+      jest.spyOn(provider, 'getDownloadUrl').mockResolvedValue('https://storage.example.com/signed');
+
+      await request(app)
+        .get(`/files/${uploadResponse.body.publicKey}`)
+        .expect(401);
+    });
+
+    it('should proxy shares with a download limit', async () => {
+      const uploadResponse = await request(app)
+        .post('/files')
+        .field('maxDownloads', '2')
+        .attach('file', Buffer.from('counted'), 'counted.txt')
+        .expect(201);
+
+      const getDownloadUrl = jest.spyOn(provider, 'getDownloadUrl')
+        .mockResolvedValue('https://storage.example.com/signed');
+
+      const response = await request(app)
+        .get(`/files/${uploadResponse.body.publicKey}`)
+        .expect(200);
+
+      expect(response.text).toBe('counted');
+      expect(getDownloadUrl).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /files/:privateKey', () => {
+    let publicKey, privateKey;
+
+    beforeEach(async () => {
+      // Upload a test file before each delete test
+      const response = await request(app)
+        .post('/files')
+        .attach('file', Buffer.from('test file content for delete'), 'delete-test.txt');
+
+      publicKey = response.body.publicKey;
+      privateKey = response.body.privateKey;
+    });
+
+    it('should delete a file by privateKey', async () => {
+      const response = await request(app)
+        .delete(`/files/${privateKey}`)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('success');
+      expect(response.body.success).toBe(true);
+      expect(response.body.message).toBe('File deleted successfully');
+
+      // Verify file is deleted by trying to download it
+      await request(app)
+        .get(`/files/${publicKey}`)
+        .expect(404);
+    });
+
+    it('should return 404 if file does not exist', async () => {
+      const nonExistentKey = 'non-existent-key-1234567890';
+
+      const response = await request(app)
+        .delete(`/files/${nonExistentKey}`)
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error');
+      expect(response.body.error).toBe('File not found');
+    });
+
+    it('should not delete a file by its publicKey', async () => {
+      await request(app)
+        .delete(`/files/${publicKey}`)
+        .expect(404);
+
+      await request(app)
+        .get(`/files/${publicKey}`)
+        .expect(200);
+    });
+
+    it('should return 400 if privateKey is empty', async () => {
+      const response = await request(app)
+        .delete('/files/')
+        .expect(404); // Express routes might return 404 for empty path
+    });
+  });
+
+  describe('Key rotation', () => {
+    let publicKey, privateKey;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/files')
+        .field('password', 'open sesame')
+        .attach('file', Buffer.from('leaked content'), 'leaked.txt')
+        .expect(201);
+
+      publicKey = response.body.publicKey;
+      privateKey = response.body.privateKey;
+    });
+
+    it('should revoke the link and hand out a new one', async () => {
+      const { body: { token } } = await request(app)
+        .post(`/files/${publicKey}/unlock`)
+        .send({ password: 'open sesame' })
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/files/${privateKey}/keys`)
+        .send({ publicKey: true })
+        .expect(200);
+
+      expect(Object.keys(response.body)).toEqual(['publicKey']);
+      expect(response.headers['cache-control']).toBe('no-store');
+      const newKey = response.body.publicKey;
+
+      await request(app).get(`/files/${publicKey}`).set('X-File-Password', 'open sesame').expect(404);
+      const refused = await request(app).get(`/files/${newKey}`).set('X-Unlock-Token', token).expect(401);
+      expect(refused.body.error).toBe('Invalid unlock token');
+
+      const download = await request(app).get(`/files/${newKey}`).set('X-File-Password', 'open sesame').expect(200);
+      expect(download.text).toBe('leaked content');
+    });
+
+    it('should replace the private key', async () => {
+      const response = await request(app)
+        .post(`/files/${privateKey}/keys`)
+        .send({ privateKey: true })
+        .expect(200);
+
+      const newKey = response.body.privateKey;
+      await request(app).get(`/files/${privateKey}/owner`).expect(404);
+      await request(app).delete(`/files/${privateKey}`).expect(404);
+      await request(app).get(`/files/${newKey}/owner`).expect(200);
+      await request(app).delete(`/files/${newKey}`).expect(200);
+      await request(app).get(`/files/${publicKey}`).set('X-File-Password', 'open sesame').expect(404);
+    });
+
+    it('should require at least one key to replace', async () => {
+      for (const body of [{}, { publicKey: false }, { privateKey: 'yes' }]) {
+        const response = await request(app).post(`/files/${privateKey}/keys`).send(body).expect(400);
+        expect(response.body.error).toBe('Invalid key rotation');
+      }
+    });
+
+    it('should not replace keys by the public key', async () => {
+      await request(app).post(`/files/${publicKey}/keys`).send({ privateKey: true }).expect(404);
+    });
+
+    it('should refuse to replace the link of a zero-knowledge file', async () => {
+      const zkProvider = new LocalFileSystemProvider(path.join(TEST_ROOT_FOLDER, 'zero-knowledge'), { zeroKnowledge: true });
+      await zkProvider.initialize();
+      const zkApp = express();
+      zkApp.use(express.json());
+      zkApp.use('/', initializeRoutes(zkProvider));
+
+      const upload = await request(zkApp).post('/files').attach('file', Buffer.from('sealed'), 'sealed.txt').expect(201);
+      const response = await request(zkApp)
+        .post(`/files/${upload.body.privateKey}/keys`)
+        .send({ publicKey: true, privateKey: true })
+        .expect(409);
+
+      expect(response.body.error).toBe('Public key rotation not available');
+      await request(zkApp).get(`/files/${upload.body.privateKey}/owner`).expect(200);
+    });
+  });
+
+  describe('Share tokens', () => {
+    let publicKey, privateKey;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/files')
+        .attach('file', Buffer.from('shared with a few'), 'shared.txt')
+        .expect(201);
+
+      publicKey = response.body.publicKey;
+      privateKey = response.body.privateKey;
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should download through a token until its limit and count per token', async () => {
+      const created = await request(app)
+        .post(`/files/${privateKey}/shares`)
+        .send({ name: 'Alice', maxDownloads: 1 })
+        .expect(201);
+      const other = await request(app).post(`/files/${privateKey}/shares`).send({ name: 'Bob' }).expect(201);
+
+      expect(created.headers['cache-control']).toBe('no-store');
+      expect(created.body).toMatchObject({ name: 'Alice', maxDownloads: 1, downloadCount: 0, status: 'available' });
+      const { token } = created.body;
+
+      const info = await request(app).get(`/files/${token}/info`).expect(200);
+      expect(info.body).toMatchObject({ originalName: 'shared.txt', fileSize: 17 });
+
+      const download = await request(app).get(`/files/${token}`).expect(200);
+      expect(download.text).toBe('shared with a few');
+      expect(download.headers['accept-ranges']).toBe('none');
+      await request(app).get(`/files/${token}`).expect(410);
+      await request(app).get(`/files/${other.body.token}`).expect(200);
+      await request(app).get(`/files/${publicKey}`).expect(200);
+
+      const list = await request(app).get(`/files/${privateKey}/shares`).expect(200);
+      expect(list.body.shares.map(({ name, downloadCount, status }) => ({ name, downloadCount, status }))).toEqual([
+        { name: 'Alice', downloadCount: 1, status: 'exhausted' },
+        { name: 'Bob', downloadCount: 1, status: 'available' }
+      ]);
+    });
+
+    it('should stop serving a revoked token and keep the other links', async () => {
+      const { body: { id, token } } = await request(app).post(`/files/${privateKey}/shares`).send({}).expect(201);
+      await request(app).get(`/files/${token}`).expect(200);
+
+      const revoked = await request(app).delete(`/files/${privateKey}/shares/${id}`).expect(200);
+
+      expect(revoked.body).toMatchObject({ id, downloadCount: 1, status: 'revoked' });
+      expect(revoked.body.revokedAt).not.toBeNull();
+      await request(app).get(`/files/${token}`).expect(404);
+      await request(app).head(`/files/${token}`).expect(404);
+      await request(app).get(`/files/${publicKey}`).expect(200);
+    });
+
+    it('should apply the file password and bind unlock tokens to the share token', async () => {
+      const upload = await request(app)
+        .post('/files')
+        .field('password', 'open sesame')
+        .attach('file', Buffer.from('protected'), 'protected.txt')
+        .expect(201);
+      const { body: { token } } = await request(app).post(`/files/${upload.body.privateKey}/shares`).send({}).expect(201);
+
+      await request(app).get(`/files/${token}`).expect(401);
+      const { body: unlock } = await request(app)
+        .post(`/files/${token}/unlock`)
+        .send({ password: 'open sesame' })
+        .expect(200);
+
+      await request(app).get(`/files/${token}`).set('X-Unlock-Token', unlock.token).expect(200);
+      await request(app).get(`/files/${upload.body.publicKey}`).set('X-Unlock-Token', unlock.token).expect(401);
+    });
+
+    it('should proxy downloads through a token instead of redirecting', async () => {
+      const { body: { token } } = await request(app).post(`/files/${privateKey}/shares`).send({}).expect(201);
+      const getDownloadUrl = jest.spyOn(provider, 'getDownloadUrl').mockResolvedValue('https://storage.example.com/signed');
+
+      const response = await request(app).get(`/files/${token}`).expect(200);
+
+      expect(response.text).toBe('shared with a few');
+      expect(getDownloadUrl).not.toHaveBeenCalled();
+    });
+
+    it('should refuse invalid settings, public keys and unknown ids', async () => {
+      const invalid = await request(app).post(`/files/${privateKey}/shares`).send({ maxDownloads: 0 }).expect(400);
+      expect(invalid.body.error).toBe('Invalid share settings');
+
+      await request(app).post(`/files/${publicKey}/shares`).send({}).expect(404);
+      await request(app).get(`/files/${publicKey}/shares`).expect(404);
+      const unknown = await request(app).delete(`/files/${privateKey}/shares/unknown`).expect(404);
+      expect(unknown.body.error).toBe('Share token not found');
+    });
+
+    it('should refuse share tokens for zero-knowledge files', async () => {
+      const zkProvider = new LocalFileSystemProvider(path.join(TEST_ROOT_FOLDER, 'zero-knowledge-shares'), { zeroKnowledge: true });
+      await zkProvider.initialize();
+      const zkApp = express();
+      zkApp.use(express.json());
+      zkApp.use('/', initializeRoutes(zkProvider));
+
+      const upload = await request(zkApp).post('/files').attach('file', Buffer.from('sealed'), 'sealed.txt').expect(201);
+      const response = await request(zkApp).post(`/files/${upload.body.privateKey}/shares`).send({}).expect(409);
+
+      expect(response.body.error).toBe('Share tokens not available');
+    });
+  });
+
+  describe('Upload size limit', () => {
+    let limitedApp;
+
+    beforeAll(() => {
+      limitedApp = express();
+      limitedApp.use('/', initializeRoutes(provider, { maxFileSize: 1024 }));
+    });
+
+    it('should return 413 if the file exceeds the configured maximum size', async () => {
+      const response = await request(limitedApp)
+        .post('/files')
+        .attach('file', Buffer.alloc(4096, 'a'), 'too-large.bin')
+        .expect(413);
+
+      expect(response.body.error).toBe('File too large');
+      expect(response.body.limit).toBe(1024);
+    });
+
+    it('should accept files within the configured maximum size', async () => {
+      const response = await request(limitedApp)
+        .post('/files')
+        .attach('file', Buffer.alloc(1000, 'a'), 'small-enough.bin')
+        .expect(201);
+
+      expect(response.body.publicKey).toBeTruthy();
+    });
+  });
+
+  describe('Content types', () => {
+    const PNG = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00, 0x00, 0x00, 0x0D]);
+    let typedApp;
+
+    beforeAll(() => {
+      typedApp = express();
+      typedApp.use('/', initializeRoutes(provider, {
+        allowedTypes: ['image/*', 'text/plain'],
+        deniedTypes: ['image/svg+xml']
+      }));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should store the type the content shows instead of the declared one', async () => {
+      const uploadResponse = await request(app)
+        .post('/files')
+        .attach('file', PNG, { filename: 'picture.txt', contentType: 'text/plain' })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/files/${uploadResponse.body.publicKey}`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('image/png');
+      expect(response.headers['x-content-type-options']).toBe('nosniff');
+    });
+
+    it('should force HTML to download without redirecting to the provider', async () => {
+      const uploadResponse = await request(app)
+        .post('/files')
+        .attach('file', Buffer.from('<!DOCTYPE html><script>alert(1)</script>'), { filename: 'page.txt', contentType: 'text/plain' })
+        .expect(201);
+      const getDownloadUrl = jest.spyOn(provider, 'getDownloadUrl').mockResolvedValue('https://storage.example.com/signed');
+
+      const response = await request(app)
+        .get(`/files/${uploadResponse.body.publicKey}`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/^text\/html/);
+      expect(response.headers['content-disposition']).toBe('attachment; filename="page.txt"');
+      expect(response.headers['x-content-type-options']).toBe('nosniff');
+      expect(getDownloadUrl).not.toHaveBeenCalled();
+    });
+
+    it('should return 415 for types that are not accepted', async () => {
+      const refused = await request(typedApp)
+        .post('/files')
+        .attach('file', Buffer.from('%PDF-1.7\n'), { filename: 'picture.png', contentType: 'image/png' })
+        .expect(415);
+      expect(refused.body.error).toBe('File type not allowed');
+
+      await request(typedApp)
+        .post('/files')
+        .attach('file', Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>'), 'drawing.svg')
+        .expect(415);
+
+      await request(typedApp)
+        .post('/files')
+        .attach('file', PNG, 'picture.png')
+        .expect(201);
+    });
+
+    it('should remove the files of a bundle stored before a refused one', async () => {
+      const filesFolder = path.join(TEST_ROOT_FOLDER, 'files');
+      const before = await fs.readdir(filesFolder);
+
+      await request(typedApp)
+        .post('/files')
+        .attach('files', PNG, 'first.png')
+        .attach('files', Buffer.from('\x7FELF\x02\x01'), 'second.png')
+        .expect(415);
+
+      expect(await fs.readdir(filesFolder)).toEqual(before);
+    });
+
+    it('should send non-ASCII names in RFC 5987 form', async () => {
+      const uploadResponse = await request(app)
+        .post('/files')
+        .attach('file', Buffer.from('ünïcode'), 'résumé.txt')
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/files/${uploadResponse.body.publicKey}`)
+        .expect(200);
+
+      expect(response.headers['content-disposition']).toBe(
+        'attachment; filename="r_sum_.txt"; filename*=UTF-8\'\'r%C3%A9sum%C3%A9.txt'
+      );
+    });
+
+    it('should strip quotes, line breaks and path separators from bundle names', async () => {
+      const bundle = await request(app)
+        .post('/files')
+        .field('bundleName', '../"archive"\r\nX-Injected: 1')
+        .attach('files', Buffer.from('y'), 'y.txt')
+        .expect(201);
+
+      const response = await request(app).get(`/files/${bundle.body.publicKey}`).expect(200);
+
+      expect(response.headers['content-disposition']).toBe('attachment; filename="archiveX-Injected: 1.zip"');
+      expect(response.headers['x-injected']).toBeUndefined();
+    });
+  });
+
+  describe('Inline display', () => {
+    const PDF = Buffer.from('%PDF-1.7\n%\xE2\xE3\xCF\xD3\n', 'latin1');
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    /**
+     * Upload a file
+     * @param {Buffer} content - File content
+     * @param {string} filename - File name
+     * @returns {Promise<string>} - Public key
+     */
+    async function uploadFile(content, filename) {
+      return (await request(app).post('/files').attach('file', content, filename).expect(201)).body.publicKey;
+    }
+
+    it('should show safe types inline in a sandbox when asked to', async () => {
+      const publicKey = await uploadFile(PDF, 'report.pdf');
+
+      const response = await request(app).get(`/files/${publicKey}?disposition=inline`).expect(200);
+
+      expect(response.headers['content-type']).toBe('application/pdf');
+      expect(response.headers['content-disposition']).toBe('inline; filename="report.pdf"');
+      expect(response.headers['content-security-policy']).toMatch(/^sandbox;/);
+      expect(response.headers['cross-origin-opener-policy']).toBe('same-origin');
+      expect(response.headers['cross-origin-resource-policy']).toBe('same-site');
+      expect(response.headers['referrer-policy']).toBe('no-referrer');
+      expect(response.headers['x-content-type-options']).toBe('nosniff');
+    });
+
+    it('should keep offering downloads without the parameter', async () => {
+      const publicKey = await uploadFile(PDF, 'report.pdf');
+
+      const response = await request(app).get(`/files/${publicKey}`).expect(200);
+
+      expect(response.headers['content-disposition']).toBe('attachment; filename="report.pdf"');
+      expect(response.headers['content-security-policy']).toBeUndefined();
+    });
+
+    it('should offer other types as attachments even when asked to show them', async () => {
+      const html = await uploadFile(Buffer.from('<!DOCTYPE html><script>alert(1)</script>'), 'page.html');
+      const bundle = await request(app)
+        .post('/files')
+        .attach('files', PDF, 'a.pdf')
+        .expect(201);
+
+      const page = await request(app).get(`/files/${html}?disposition=inline`).expect(200);
+      expect(page.headers['content-disposition']).toBe('attachment; filename="page.html"');
+      expect(page.headers['content-security-policy']).toBeUndefined();
+
+      const archive = await request(app).get(`/files/${bundle.body.publicKey}?disposition=inline`).expect(200);
+      expect(archive.headers['content-disposition']).toMatch(/^attachment;/);
+
+      const member = await request(app).get(`/files/${bundle.body.publicKey}/members/0?disposition=inline`).expect(200);
+      expect(member.headers['content-disposition']).toBe('inline; filename="a.pdf"');
+    });
+
+    it('should describe inline downloads in HEAD responses', async () => {
+      const publicKey = await uploadFile(PDF, 'report.pdf');
+
+      const response = await request(app).head(`/files/${publicKey}?disposition=inline`).expect(200);
+
+      expect(response.headers['content-disposition']).toBe('inline; filename="report.pdf"');
+      expect(response.headers['content-security-policy']).toMatch(/^sandbox;/);
+    });
+
+    it('should never send inline content through a signed URL', async () => {
+      const publicKey = await uploadFile(PDF, 'report.pdf');
+      const getDownloadUrl = jest.spyOn(provider, 'getDownloadUrl').mockResolvedValue('https://storage.example.com/signed');
+
+      await request(app).get(`/files/${publicKey}?disposition=inline`).expect(200);
+      expect(getDownloadUrl).not.toHaveBeenCalled();
+
+      await request(app).get(`/files/${publicKey}`).expect(302);
+    });
+
+    it('should return 400 for unknown dispositions', async () => {
+      const publicKey = await uploadFile(PDF, 'report.pdf');
+
+      const response = await request(app).get(`/files/${publicKey}?disposition=preview`).expect(400);
+
+      expect(response.body.error).toBe('Invalid disposition');
+    });
+
+    it('should serve inline content from the configured origin only', async () => {
+      const originApp = express();
+      originApp.use('/', initializeRoutes(provider, { inlineOrigin: 'https://usercontent.example.com' }));
+      const publicKey = await uploadFile(PDF, 'report.pdf');
+
+      const redirected = await request(originApp)
+        .get(`/files/${publicKey}?disposition=inline&token=abc`)
+        .set('Host', 'share.example.com')
+        .expect(302);
+      expect(redirected.headers.location).toBe(`https://usercontent.example.com/files/${publicKey}?disposition=inline&token=abc`);
+
+      const served = await request(originApp)
+        .get(`/files/${publicKey}?disposition=inline`)
+        .set('Host', 'usercontent.example.com')
+        .expect(200);
+      expect(served.headers['content-disposition']).toBe('inline; filename="report.pdf"');
+
+      await request(originApp).get(`/files/${publicKey}`).set('Host', 'share.example.com').expect(200);
+    });
+
+    it('should show nothing inline with an empty list of types', async () => {
+      const noInlineApp = express();
+      noInlineApp.use('/', initializeRoutes(provider, { inlineTypes: [] }));
+      const publicKey = await uploadFile(PDF, 'report.pdf');
+
+      const response = await request(noInlineApp).get(`/files/${publicKey}?disposition=inline`).expect(200);
+
+      expect(response.headers['content-disposition']).toBe('attachment; filename="report.pdf"');
+    });
+  });
+
+  describe('Thumbnails', () => {
+    let image;
+
+    beforeAll(async () => {
+      image = await sharp({ create: { width: 400, height: 200, channels: 3, background: { r: 20, g: 120, b: 200 } } })
+        .png()
+        .toBuffer();
+    });
+
+    /**
+     * Upload the test image
+     * @param {Object} [fields] - Additional form fields
+     * @returns {Promise<{publicKey: string, privateKey: string}>}
+     */
+    async function uploadImage(fields = {}) {
+      const upload = request(app).post('/files');
+      for (const [name, value] of Object.entries(fields)) {
+        upload.field(name, value);
+      }
+      return (await upload.attach('file', image, 'photo.png').expect(201)).body;
+    }
+
+    it('should resize images into the rounded-up box and store the thumbnail next to them', async () => {
+      const { publicKey } = await uploadImage();
+
+      const response = await request(app)
+        .get(`/files/${publicKey}/thumbnail?w=100&h=100&format=webp`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('image/webp');
+      expect(response.headers['content-disposition']).toBe('inline; filename="photo-thumbnail.webp"');
+      expect(response.headers['x-content-type-options']).toBe('nosniff');
+      expect(await sharp(response.body).metadata()).toMatchObject({ format: 'webp', width: 128, height: 64 });
+
+      const { renditions } = await provider.getFileInfo(publicKey);
+      expect(Object.keys(renditions)).toEqual(['thumbnail-128x128.webp']);
+
+      const again = await request(app).get(`/files/${publicKey}/thumbnail?w=128&h=128&format=webp`).expect(200);
+      expect(Number(again.headers['content-length'])).toBe(Number(response.headers['content-length']));
+      expect(Object.keys((await provider.getFileInfo(publicKey)).renditions)).toHaveLength(1);
+    });
+
+    it('should answer conditional requests for thumbnails with 304', async () => {
+      const { publicKey } = await uploadImage();
+      const response = await request(app).get(`/files/${publicKey}/thumbnail`).expect(200);
+
+      expect(response.headers.etag).toMatch(/^"thumbnail-256x256\.jpeg-[0-9a-f]{64}"$/);
+      await request(app)
+        .get(`/files/${publicKey}/thumbnail`)
+        .set('If-None-Match', response.headers.etag)
+        .expect(304);
+    });
+
+    it('should delete thumbnails together with the image', async () => {
+      const { publicKey, privateKey } = await uploadImage();
+      await request(app).get(`/files/${publicKey}/thumbnail?w=64`).expect(200);
+      const renditionKey = (await provider.getFileInfo(publicKey)).renditions['thumbnail-64xauto.jpeg'];
+
+      await request(app).delete(`/files/${privateKey}`).expect(200);
+
+      await expect(provider.getFileInfo(renditionKey)).rejects.toThrow('File not found');
+    });
+
+    it('should refuse files that are not images and shares with a download limit', async () => {
+      const text = await request(app).post('/files').attach('file', Buffer.from('just text'), 'notes.txt').expect(201);
+      const limited = await uploadImage({ maxDownloads: '1' });
+
+      const notImage = await request(app).get(`/files/${text.body.publicKey}/thumbnail`).expect(415);
+      expect(notImage.body.error).toBe('Thumbnail not available');
+
+      const refused = await request(app).get(`/files/${limited.publicKey}/thumbnail`).expect(403);
+      expect(refused.body.error).toBe('Thumbnail not allowed');
+      expect((await provider.getFileInfo(limited.publicKey)).downloadCount).toBe(0);
+    });
+
+    it('should authorize thumbnails of password-protected images like downloads', async () => {
+      const { publicKey } = await uploadImage({ password: 'open sesame' });
+
+      await request(app).get(`/files/${publicKey}/thumbnail`).expect(401);
+      await request(app)
+        .get(`/files/${publicKey}/thumbnail`)
+        .set('X-File-Password', 'open sesame')
+        .expect(200);
+    });
+
+    it('should return 400 for invalid sizes and formats', async () => {
+      const { publicKey } = await uploadImage();
+
+      const size = await request(app).get(`/files/${publicKey}/thumbnail?w=5000`).expect(400);
+      expect(size.body.error).toBe('Invalid thumbnail size');
+
+      const format = await request(app).get(`/files/${publicKey}/thumbnail?format=svg`).expect(400);
+      expect(format.body.error).toBe('Invalid thumbnail format');
+    });
+
+    it('should return 422 for images over the decoding limits', async () => {
+      const limitedApp = express();
+      limitedApp.use('/', initializeRoutes(provider, { thumbnailMaxPixels: 10000 }));
+      const { publicKey } = await uploadImage();
+
+      const response = await request(limitedApp).get(`/files/${publicKey}/thumbnail`).expect(422);
+
+      expect(response.body.error).toBe('Image too large');
+      expect((await provider.getFileInfo(publicKey)).renditions).toEqual({});
+    });
+  });
+
+  describe('Streaming', () => {
+    it('should round-trip a multi-megabyte file unchanged', async () => {
+      const content = Buffer.alloc(5 * 1024 * 1024);
+      for (let i = 0; i < content.length; i += 4) {
+        content.writeUInt32LE(i, i);
+      }
+
+      const uploadResponse = await request(app)
+        .post('/files')
+        .attach('file', content, 'large.bin')
+        .expect(201);
+
+      const downloadResponse = await request(app)
+        .get(`/files/${uploadResponse.body.publicKey}`)
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        })
+        .expect(200);
+
+      expect(downloadResponse.headers['content-length']).toBe(String(content.length));
+      expect(Buffer.compare(downloadResponse.body, content)).toBe(0);
+    });
+  });
+
+  describe('Encryption at rest', () => {
+    const encryptedFolder = path.join(TEST_ROOT_FOLDER, 'encrypted');
+    let encryptedApp;
+
+    beforeAll(async () => {
+      const encryptedProvider = new LocalFileSystemProvider(encryptedFolder, {
+        keyRing: new KeyRing([crypto.randomBytes(32)])
+      });
+      await encryptedProvider.initialize();
+
+      encryptedApp = express();
+      encryptedApp.use('/', initializeRoutes(encryptedProvider));
+    });
+
+    it('should upload and download files transparently', async () => {
+      const uploadResponse = await request(encryptedApp)
+        .post('/files')
+        .attach('file', Buffer.from('encrypted on disk'), 'secret.txt')
+        .expect(201);
+      const { publicKey } = uploadResponse.body;
+
+      const stored = await fs.readFile(path.join(encryptedFolder, 'files', publicKey));
+      expect(stored.includes('encrypted on disk')).toBe(false);
+
+      const downloadResponse = await request(encryptedApp)
+        .get(`/files/${publicKey}`)
+        .expect(200);
+      expect(downloadResponse.text).toBe('encrypted on disk');
+      expect(downloadResponse.headers['content-length']).toBe('17');
+
+      const rangeResponse = await request(encryptedApp)
+        .get(`/files/${publicKey}`)
+        .set('Range', 'bytes=10-16')
+        .expect(206);
+      expect(rangeResponse.text).toBe('on disk');
+    });
+  });
+
+  describe('Malware scanning', () => {
+    const scannedFolder = path.join(TEST_ROOT_FOLDER, 'scanned');
+    let clamd;
+    let slowClamd;
+    let scannedProvider;
+
+    /**
+     * Create an app whose uploads are scanned
+     * @param {Object} address - Address of the clamd daemon
+     * @param {Object} [options] - Route options
+     * @returns {Object} - Express app
+     */
+    function createScannedApp(address, options = {}) {
+      const scannedApp = express();
+      scannedApp.use('/', initializeRoutes(scannedProvider, {
+        scanner: new ClamdScanner(address),
+        scanWaitMs: 1000,
+        ...options
+      }));
+      return scannedApp;
+    }
+
+    /**
+     * Wait until a file's scan status is no longer pending
+     * @param {string} publicKey - The public key identifying the file
+     */
+    async function waitForScan(publicKey) {
+      for (let attempt = 0; attempt < 100; attempt++) {
+        const info = await scannedProvider.getFileInfo(publicKey).catch(() => null);
+        if (!info || info.scanStatus !== 'pending') {
+          return;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+    }
+
+    beforeAll(async () => {
+      scannedProvider = new LocalFileSystemProvider(scannedFolder);
+      await scannedProvider.initialize();
+      clamd = createFakeClamdServer();
+      slowClamd = createFakeClamdServer({ delayMs: 200 });
+      clamd.address = await clamd.start();
+      slowClamd.address = await slowClamd.start();
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterAll(async () => {
+      console.warn.mockRestore();
+      await clamd.stop();
+      await slowClamd.stop();
+    });
+
+    it('should serve clean uploads once scanned', async () => {
+      const scannedApp = createScannedApp(clamd.address);
+
+      const upload = await request(scannedApp)
+        .post('/files')
+        .attach('file', Buffer.from('harmless'), 'harmless.txt')
+        .expect(201);
+
+      expect(upload.body.scanStatus).toBe('clean');
+      expect(clamd.scans.map(String)).toContain('harmless');
+      const download = await request(scannedApp).get(`/files/${upload.body.publicKey}`).expect(200);
+      expect(download.text).toBe('harmless');
+      const owner = await request(scannedApp).get(`/files/${upload.body.privateKey}/owner`).expect(200);
+      expect(owner.body.scanStatus).toBe('clean');
+    });
+
+    it('should reject infected uploads without keeping them', async () => {
+      const scannedApp = createScannedApp(clamd.address);
+      const filesBefore = await fs.readdir(path.join(scannedFolder, 'files'));
+
+      const response = await request(scannedApp)
+        .post('/files')
+        .attach('file', Buffer.from(`infected ${clamd.eicar}`), 'eicar.txt')
+        .expect(422);
+
+      expect(response.body.error).toBe('File infected');
+      expect(response.body.publicKey).toBeUndefined();
+      expect(await fs.readdir(path.join(scannedFolder, 'files'))).toEqual(filesBefore);
+    });
+
+    it('should reject bundles with an infected file', async () => {
+      const scannedApp = createScannedApp(clamd.address);
+
+      const response = await request(scannedApp)
+        .post('/files')
+        .attach('files', Buffer.from('harmless'), 'harmless.txt')
+        .attach('files', Buffer.from(clamd.eicar), 'eicar.txt')
+        .expect(422);
+
+      expect(response.body.error).toBe('File infected');
+    });
+
+    it('should refuse downloads until a slow scan has finished', async () => {
+      const scannedApp = createScannedApp(slowClamd.address, { scanWaitMs: 10 });
+
+      const upload = await request(scannedApp)
+        .post('/files')
+        .attach('file', Buffer.from('slowly scanned'), 'slow.txt')
+        .expect(201);
+      const { publicKey } = upload.body;
+      expect(upload.body.scanStatus).toBe('pending');
+
+      const pending = await request(scannedApp).get(`/files/${publicKey}`).expect(423);
+      expect(pending.body.error).toBe('Scan pending');
+      expect(pending.headers['retry-after']).toBe('5');
+      await request(scannedApp).head(`/files/${publicKey}`).expect(423);
+
+      await waitForScan(publicKey);
+      const download = await request(scannedApp).get(`/files/${publicKey}`).expect(200);
+      expect(download.text).toBe('slowly scanned');
+    });
+
+    it('should keep quarantined files without serving them', async () => {
+      const scannedApp = createScannedApp(slowClamd.address, { scanWaitMs: 10, infectedAction: 'quarantine' });
+
+      const upload = await request(scannedApp)
+        .post('/files')
+        .attach('file', Buffer.from(clamd.eicar), 'eicar.txt')
+        .expect(201);
+      await waitForScan(upload.body.publicKey);
+
+      const response = await request(scannedApp).get(`/files/${upload.body.publicKey}`).expect(410);
+      expect(response.body.error).toBe('File infected');
+      const owner = await request(scannedApp).get(`/files/${upload.body.privateKey}/owner`).expect(200);
+      expect(owner.body.scanStatus).toBe('infected');
+    });
+
+    it('should answer 409 for files whose scan failed', async () => {
+      const scannedApp = createScannedApp(clamd.address);
+      const { publicKey, privateKey } = await scannedProvider.uploadFile(Buffer.from('unscanned'), 'a.txt', 'text/plain');
+      await scannedProvider.updateFileSettings(privateKey, { scanStatus: 'failed' });
+
+      const response = await request(scannedApp).get(`/files/${publicKey}`).expect(409);
+      expect(response.body.error).toBe('Scan failed');
+    });
+
+    it('should discard uploads that cannot be scanned', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const scannedApp = createScannedApp({ socketPath: path.join(scannedFolder, 'missing.sock') });
+      const filesBefore = await fs.readdir(path.join(scannedFolder, 'files'));
+
+      const response = await request(scannedApp)
+        .post('/files')
+        .attach('file', Buffer.from('unscannable'), 'a.txt')
+        .expect(503);
+
+      expect(response.body.error).toBe('Scan failed');
+      expect(await fs.readdir(path.join(scannedFolder, 'files'))).toEqual(filesBefore);
+      console.error.mockRestore();
+    });
+
+    it('should not scan without a scanner', async () => {
+      const upload = await request(app)
+        .post('/files')
+        .attach('file', Buffer.from('unscanned'), 'a.txt')
+        .expect(201);
+
+      expect(upload.body.scanStatus).toBeUndefined();
+    });
+  });
+
+  describe('Bundles', () => {
+    /**
+     * Collect a binary response body
+     * @param {Object} res - Response stream
+     * @param {Function} callback - Called with the body
+     */
+    function binary(res, callback) {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    }
+
+    /**
+     * Upload a bundle of three files
+     * @param {Object} [fields] - Extra form fields
+     * @returns {Promise<Object>} - Response body
+     */
+    async function uploadBundle(fields = {}) {
+      const upload = request(app).post('/files');
+      for (const [name, value] of Object.entries(fields)) {
+        upload.field(name, value);
+      }
+
+      const response = await upload
+        .attach('files', Buffer.from('first file'), 'first.txt')
+        .attach('files', Buffer.from('second file'), 'notes.md')
+        .attach('files', Buffer.from('duplicate name'), 'first.txt')
+        .expect(201);
+      return response.body;
+    }
+
+    it('should upload several files as a bundle with one key pair', async () => {
+      const body = await uploadBundle();
+
+      expect(body.publicKey).toMatch(/^[a-f0-9]{64}$/);
+      expect(body.privateKey).toMatch(/^[a-f0-9]{64}$/);
+      expect(body.files).toEqual([
+        { originalName: 'first.txt', fileSize: 10 },
+        { originalName: 'notes.md', fileSize: 11 },
+        { originalName: 'first.txt', fileSize: 14 }
+      ]);
+    });
+
+    it('should download a bundle as a ZIP archive of its members', async () => {
+      const { publicKey } = await uploadBundle({ bundleName: 'project' });
+
+      const response = await request(app)
+        .get(`/files/${publicKey}`)
+        .buffer(true)
+        .parse(binary)
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/zip');
+      expect(response.headers['content-length']).toBe(String(response.body.length));
+      expect(response.headers['content-disposition']).toBe('attachment; filename="project.zip"');
+      expect(response.headers['accept-ranges']).toBe('none');
+
+      const entries = readZip(response.body);
+      expect(entries.map(entry => entry.name)).toEqual(['first.txt', 'notes.md', 'first (1).txt']);
+      expect(entries.map(entry => entry.content.toString())).toEqual(['first file', 'second file', 'duplicate name']);
+    });
+
+    it('should list the members of a bundle', async () => {
+      const { publicKey } = await uploadBundle();
+
+      const response = await request(app)
+        .get(`/files/${publicKey}/members`)
+        .expect(200);
+
+      expect(response.body.files).toEqual([
+        { index: 0, originalName: 'first.txt', mimeType: 'text/plain', fileSize: 10 },
+        { index: 1, originalName: 'notes.md', mimeType: 'text/markdown', fileSize: 11 },
+        { index: 2, originalName: 'first.txt', mimeType: 'text/plain', fileSize: 14 }
+      ]);
+    });
+
+    it('should download a single member, with range support', async () => {
+      const { publicKey } = await uploadBundle();
+
+      const response = await request(app)
+        .get(`/files/${publicKey}/members/1`)
+        .expect(200);
+      expect(response.text).toBe('second file');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="notes.md"');
+
+      const rangeResponse = await request(app)
+        .get(`/files/${publicKey}/members/1`)
+        .set('Range', 'bytes=7-10')
+        .expect(206);
+      expect(rangeResponse.text).toBe('file');
+
+      await request(app).get(`/files/${publicKey}/members/3`).expect(404);
+      await request(app).get(`/files/${publicKey}/members/one`).expect(404);
+    });
+
+    it('should apply the share settings of the bundle to its members', async () => {
+      const { publicKey } = await uploadBundle({ password: 'bundle secret', maxDownloads: '1' });
+
+      await request(app).get(`/files/${publicKey}`).expect(401);
+      await request(app).get(`/files/${publicKey}/members/0`).expect(401);
+      await request(app).get(`/files/${publicKey}/members`).expect(401);
+
+      await request(app)
+        .get(`/files/${publicKey}/members/0`)
+        .set('X-File-Password', 'bundle secret')
+        .expect(200);
+      await request(app)
+        .get(`/files/${publicKey}`)
+        .set('X-File-Password', 'bundle secret')
+        .expect(410);
+    });
+
+    it('should not serve members by their own keys', async () => {
+      const { publicKey } = await uploadBundle();
+      const [member] = await provider.getBundleFiles(publicKey);
+
+      await request(app).get(`/files/${member.publicKey}`).expect(404);
+    });
+
+    it('should delete the members together with the bundle', async () => {
+      const { publicKey, privateKey } = await uploadBundle();
+      const members = await provider.getBundleFiles(publicKey);
+
+      await request(app).delete(`/files/${privateKey}`).expect(200);
+
+      await request(app).get(`/files/${publicKey}`).expect(404);
+      for (const member of members) {
+        await expect(provider.getFileInfo(member.publicKey)).rejects.toThrow('File not found');
+      }
+    });
+
+    it('should refuse a single file and bundle files in one request', async () => {
+      const response = await request(app)
+        .post('/files')
+        .attach('file', Buffer.from('single'), 'single.txt')
+        .attach('files', Buffer.from('member'), 'member.txt')
+        .expect(400);
+
+      expect(response.body.error).toBe('Mixed upload');
+    });
+
+    it('should refuse more files than a bundle may hold', async () => {
+      const limitedApp = express();
+      limitedApp.use('/', initializeRoutes(provider, { maxBundleFiles: 2 }));
+
+      const response = await request(limitedApp)
+        .post('/files')
+        .attach('files', Buffer.from('one'), 'one.txt')
+        .attach('files', Buffer.from('two'), 'two.txt')
+        .attach('files', Buffer.from('three'), 'three.txt')
+        .expect(400);
+
+      expect(response.body.error).toBe('Unexpected file');
+    });
+
+    it('should count all bundle files toward the upload limit', async () => {
+      const ip = '203.0.113.44';
+
+      await request(app)
+        .post('/files')
+        .set('X-Forwarded-For', ip)
+        .attach('files', Buffer.from('12345'), 'a.txt')
+        .attach('files', Buffer.from('1234567'), 'b.txt')
+        .expect(201);
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect((await getUsage(ip)).upload).toBe(12);
+    });
+
+    it('should answer conditional requests for bundles and their files', async () => {
+      const { publicKey } = await uploadBundle();
+
+      const archive = await request(app).get(`/files/${publicKey}`).expect(200);
+      const member = await request(app).get(`/files/${publicKey}/members/1`).expect(200);
+
+      expect(archive.headers.etag).toMatch(/^"zip-[a-f0-9]{64}"$/);
+      expect(member.headers.etag).toBe(`"${crypto.createHash('sha256').update('second file').digest('hex')}"`);
+      await request(app).get(`/files/${publicKey}`).set('If-None-Match', archive.headers.etag).expect(304);
+      await request(app).get(`/files/${publicKey}/members/1`).set('If-None-Match', member.headers.etag).expect(304);
+      await request(app).head(`/files/${publicKey}/members/1`).set('If-None-Match', member.headers.etag).expect(304);
+      await request(app).get(`/files/${publicKey}/members/0`).set('If-None-Match', member.headers.etag).expect(200);
+    });
+  });
+
+  describe('API keys', () => {
+    const ip = '203.0.113.90';
+    const imageKey = generateApiKey();
+    const smallKey = generateApiKey();
+    let imageAccount;
+
+    beforeAll(async () => {
+      const store = new MemoryAccountStore([
+        { id: 'images', keyHash: hashApiKey(imageKey), uploadLimit: 4096, allowedTypes: ['image/*'] },
+        { id: 'small', keyHash: hashApiKey(smallKey), maxFileSize: 8 }
+      ]);
+      accountAuth.initialize(store);
+      imageAccount = await store.findByKeyHash(hashApiKey(imageKey));
+    });
+
+    afterAll(() => {
+      accountAuth.initialize(null);
+    });
+
+    it('should charge uploads and downloads to the account of the key', async () => {
+      const image = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#00ff00' } }).png().toBuffer();
+
+      const { publicKey } = (await request(app)
+        .post('/files')
+        .set('X-Forwarded-For', ip)
+        .set('Authorization', `Bearer ${imageKey}`)
+        .attach('file', image, 'pixel.png')
+        .expect(201)).body;
+      await request(app)
+        .get(`/files/${publicKey}`)
+        .set('X-Forwarded-For', ip)
+        .set('Authorization', `Bearer ${imageKey}`)
+        .expect(200);
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(await getUsage(imageAccount)).toEqual({
+        upload: image.length,
+        download: image.length,
+        uploadLimit: 4096,
+        downloadLimit: 500 * 1024 * 1024
+      });
+      expect(await getUsage(ip)).toMatchObject({ upload: 0, download: 0 });
+    });
+
+    it('should apply the daily limit of the account', async () => {
+      const response = await request(app)
+        .post('/files')
+        .set('Authorization', `Bearer ${imageKey}`)
+        .attach('file', Buffer.alloc(5000), 'large.png')
+        .expect(429);
+
+      expect(response.body).toMatchObject({ error: 'Upload limit exceeded', limit: 4096 });
+    });
+
+    it('should only accept the types the account lists', async () => {
+      const response = await request(app)
+        .post('/files')
+        .set('Authorization', `Bearer ${imageKey}`)
+        .attach('file', Buffer.from('plain text'), 'notes.txt')
+        .expect(415);
+
+      expect(response.body.error).toBe('File type not allowed');
+      await request(app).post('/files').attach('file', Buffer.from('plain text'), 'notes.txt').expect(201);
+    });
+
+    it('should apply the maximum file size of the account', async () => {
+      const response = await request(app)
+        .post('/files')
+        .set('Authorization', `Bearer ${smallKey}`)
+        .attach('file', Buffer.from('nine byte'), 'nine.txt')
+        .expect(413);
+
+      expect(response.body).toMatchObject({ error: 'File too large', limit: 8 });
+      await request(app)
+        .post('/files')
+        .set('Authorization', `Bearer ${smallKey}`)
+        .attach('file', Buffer.from('small'), 'small.txt')
+        .expect(201);
+    });
+
+    it('should refuse unknown keys instead of serving them anonymously', async () => {
+      const response = await request(app)
+        .post('/files')
+        .set('Authorization', `Bearer ${generateApiKey()}`)
+        .attach('file', Buffer.from('rejected'), 'rejected.txt')
+        .expect(401);
+
+      expect(response.body.error).toBe('Invalid API key');
+      expect(response.headers['www-authenticate']).toBe('Bearer error="invalid_token"');
     });
   });
 
@@ -0,0 +1,125 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const ClamdScanner = require('../../src/scanning/ClamdScanner');
+const NoopScanner = require('../../src/scanning/NoopScanner');
+const ScannerFactory = require('../../src/scanning/ScannerFactory');
+const createFakeClamdServer = require('../helpers/fakeClamdServer');
+
+// Set CLAMD_TEST_HOST (and CLAMD_TEST_PORT) to run against a real clamd instead
+const EXTERNAL_HOST = process.env.CLAMD_TEST_HOST;
+
+describe('ClamdScanner Integration Tests', () => {
+  let fakeServer;
+  let address;
+  let eicar;
+
+  /**
+   * Open content as a stream, the way storage providers hand it out
+   * @param {Array<string|Buffer>} chunks - Content in chunks
+   * @returns {Function}
+   */
+  function opener(...chunks) {
+    return async () => Readable.from(chunks.map(chunk => Buffer.from(chunk)));
+  }
+
+  beforeAll(async () => {
+    fakeServer = createFakeClamdServer({ maxStreamSize: 1024 });
+    eicar = fakeServer.eicar;
+    address = EXTERNAL_HOST
+      ? { host: EXTERNAL_HOST, port: parseInt(process.env.CLAMD_TEST_PORT, 10) || undefined }
+      : await fakeServer.start();
+  });
+
+  afterAll(async () => {
+    await fakeServer.stop();
+  });
+
+  it('should report clean content', async () => {
+    const scanner = new ClamdScanner(address);
+    await scanner.initialize();
+
+    await expect(scanner.scan(opener('harmless ', 'content'))).resolves.toEqual({ infected: false, signature: null });
+  });
+
+  it('should report infected content with its signature, also across chunks', async () => {
+    const scanner = new ClamdScanner(address);
+
+    await expect(scanner.scan(opener('prefix ', eicar.slice(0, 20), eicar.slice(20))))
+      .resolves.toEqual({ infected: true, signature: 'Eicar-Test-Signature' });
+  });
+
+  it('should fail for daemon errors such as content over the stream limit', async () => {
+    if (EXTERNAL_HOST) {
+      return;
+    }
+    const scanner = new ClamdScanner(address);
+
+    await expect(scanner.scan(opener(Buffer.alloc(2048)))).rejects.toThrow('clamd error: INSTREAM size limit exceeded. ERROR');
+  });
+
+  it('should fail for content that cannot be read', async () => {
+    const scanner = new ClamdScanner(address);
+    const broken = async () => new Readable({
+      read() {
+        this.destroy(new Error('Stored content is corrupt'));
+      }
+    });
+
+    await expect(scanner.scan(broken)).rejects.toThrow('Stored content is corrupt');
+  });
+
+  it('should scan over a Unix socket', async () => {
+    const socketDir = await fs.mkdtemp(path.join(os.tmpdir(), 'clamd-'));
+    const socketServer = createFakeClamdServer();
+    const socketAddress = await socketServer.start(path.join(socketDir, 'clamd.sock'));
+
+    try {
+      const scanner = new ClamdScanner(socketAddress);
+      await scanner.initialize();
+
+      await expect(scanner.scan(opener(eicar))).resolves.toEqual({ infected: true, signature: 'Eicar-Test-Signature' });
+      expect(socketServer.scans).toHaveLength(1);
+    } finally {
+      await socketServer.stop();
+      await fs.rm(socketDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should time out when the daemon does not answer', async () => {
+    const slowServer = createFakeClamdServer({ delayMs: 500 });
+    const slowAddress = await slowServer.start();
+
+    try {
+      const scanner = new ClamdScanner({ ...slowAddress, timeoutMs: 50 });
+
+      await expect(scanner.scan(opener('content'))).rejects.toThrow('clamd timed out');
+    } finally {
+      await slowServer.stop();
+    }
+  });
+
+  it('should fail to initialize without a daemon', async () => {
+    const scanner = new ClamdScanner({ socketPath: path.join(os.tmpdir(), 'missing-clamd.sock') });
+
+    await expect(scanner.initialize()).rejects.toThrow();
+  });
+
+  describe('ScannerFactory', () => {
+    it('should create a scanner that checks nothing by default', async () => {
+      const scanner = await ScannerFactory.createScanner();
+
+      expect(scanner).toBeInstanceOf(NoopScanner);
+      await expect(scanner.scan(opener('anything'))).resolves.toBeNull();
+    });
+
+    it('should create and connect a clamd scanner', async () => {
+      await expect(ScannerFactory.createScanner('clamd', address)).resolves.toBeInstanceOf(ClamdScanner);
+    });
+
+    it('should reject unknown scanner types', async () => {
+      await expect(ScannerFactory.createScanner('other')).rejects.toThrow('Unknown scanner type: other');
+    });
+  });
+});
@@ -0,0 +1,814 @@
+const request = require('supertest');
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const initializeRoutes = require('../../src/api/files');
+const GoogleCloudStorageProvider = require('../../src/storage/GoogleCloudStorageProvider');
+const KeyRing = require('../../src/storage/KeyRing');
+const StorageFactory = require('../../src/storage/StorageFactory');
+const { streamToBuffer } = require('../../src/storage/streamUtils');
+const createFakeGcsServer = require('../helpers/fakeGcsServer');
+const describeStorageProviderConformance = require('../helpers/storageProviderConformance');
+
+// Set GCS_TEST_ENDPOINT to run against a GCS emulator (e.g. fake-gcs-server) instead
+const EXTERNAL_ENDPOINT = process.env.GCS_TEST_ENDPOINT;
+
+describe('GoogleCloudStorageProvider Integration Tests', () => {
+  let fakeServer;
+  let endpoint;
+  let configDir;
+  let provider;
+
+  /**
+   * Write a provider config file
+   * @param {Object} options - Configuration options
+   * @returns {Promise<string>} - Path to the config file
+   */
+  async function writeConfig(options) {
+    const configPath = path.join(configDir, `gcs-config-${crypto.randomBytes(4).toString('hex')}.json`);
+    await fs.writeFile(configPath, JSON.stringify({
+      projectId: 'test-project',
+      apiEndpoint: endpoint,
+      credentials: {
+        client_email: 'test@test-project.iam.gserviceaccount.com',
+        private_key: 'unused'
+      },
+      createBucketIfNotExists: true,
+      ...options
+    }));
+    return configPath;
+  }
+
+  beforeAll(async () => {
+    if (EXTERNAL_ENDPOINT) {
+      endpoint = EXTERNAL_ENDPOINT;
+    } else {
+      // Small listing pages, so pagination is exercised
+      fakeServer = createFakeGcsServer({ pageSize: 3 });
+      endpoint = await fakeServer.start();
+    }
+
+    configDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gcs-provider-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  beforeEach(async () => {
+    provider = new GoogleCloudStorageProvider(await writeConfig({
+      bucket: `test-${crypto.randomBytes(6).toString('hex')}`
+    }));
+    await provider.initialize();
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(configDir, { recursive: true, force: true });
+    if (fakeServer) {
+      await fakeServer.stop();
+    }
+  });
+
+  describe('initialize', () => {
+    it('should fail for a missing bucket unless it may be created', async () => {
+      const configPath = await writeConfig({ bucket: 'missing-bucket', createBucketIfNotExists: false });
+      const missing = new GoogleCloudStorageProvider(configPath);
+
+      await expect(missing.initialize()).rejects.toThrow('does not exist');
+    });
+
+    it('should be created by the storage factory', async () => {
+      const configPath = await writeConfig({ bucket: 'factory-bucket' });
+      const created = await StorageFactory.createProvider('google', undefined, configPath);
+
+      expect(created).toBeInstanceOf(GoogleCloudStorageProvider);
+    });
+
+    it('should send requests to the configured API endpoint and prefixes', async () => {
+      if (!fakeServer) {
+        return;
+      }
+
+      const bucket = `prefixed-${crypto.randomBytes(4).toString('hex')}`;
+      const prefixed = new GoogleCloudStorageProvider(await writeConfig({
+        bucket,
+        filePrefix: 'blobs/',
+        indexedMetadataPrefix: 'meta/'
+      }));
+      await prefixed.initialize();
+
+      const { publicKey, privateKey } = await prefixed.uploadFile(Buffer.from('prefixed'), 'a.txt', 'text/plain');
+      const { createdAt } = await prefixed.getFileInfo(publicKey);
+
+      const names = [...fakeServer.buckets.get(bucket).keys()].sort();
+      expect(names).toEqual([
+        `blobs/${publicKey}`,
+        `meta/files/${privateKey}.json`,
+        `meta/files/${publicKey}.json`,
+        `meta/index/activity/${createdAt.toISOString()}/${publicKey}`
+      ].sort());
+    });
+  });
+
+  describe('upload sessions', () => {
+    it('should compose more chunks than a single compose request allows', async () => {
+      const parts = Array.from({ length: 40 }, (_, index) => `${index},`);
+      const content = parts.join('');
+      const session = await provider.createUploadSession({
+        originalName: 'many.txt',
+        mimeType: 'text/plain',
+        uploadLength: content.length
+      });
+
+      let offset = 0;
+      for (const part of parts) {
+        offset = await provider.appendUploadChunk(session.uploadId, offset, Readable.from([Buffer.from(part)]));
+      }
+      const { publicKey } = await provider.completeUploadSession(session.uploadId);
+
+      expect((await provider.downloadFile(publicKey)).buffer.toString()).toBe(content);
+      expect(await provider.getStaleUploadSessions(new Date(Date.now() + 60 * 1000)))
+        .toEqual([{ uploadId: session.uploadId }]);
+    });
+
+    describe('with two instances', () => {
+      let second;
+
+      beforeEach(async () => {
+        second = new GoogleCloudStorageProvider(await writeConfig({ bucket: provider.bucket.name }));
+        await second.initialize();
+      });
+
+      /**
+       * Make the next session read of each instance wait until all of them have read the session
+       * @param {Array<GoogleCloudStorageProvider>} instances - The instances
+       */
+      function readTogether(instances) {
+        let arrived = 0;
+        let release;
+        const barrier = new Promise(resolve => {
+          release = resolve;
+        });
+
+        for (const instance of instances) {
+          const read = instance._readUploadSession.bind(instance);
+          jest.spyOn(instance, '_readUploadSession').mockImplementationOnce(async (uploadId) => {
+            const result = await read(uploadId);
+            if (++arrived === instances.length) {
+              release();
+            }
+            await barrier;
+            return result;
+          });
+        }
+      }
+
+      it('should accept only one of two chunks sent to the same offset', async () => {
+        const session = await provider.createUploadSession({
+          originalName: 'race.txt',
+          mimeType: 'text/plain',
+          uploadLength: 2
+        });
+
+        readTogether([provider, second]);
+        const results = await Promise.allSettled([
+          provider.appendUploadChunk(session.uploadId, 0, Readable.from([Buffer.from('ab')])),
+          second.appendUploadChunk(session.uploadId, 0, Readable.from([Buffer.from('xy')]))
+        ]);
+
+        const winner = results.findIndex(result => result.status === 'fulfilled');
+        expect(results[winner].value).toBe(2);
+        expect(results[1 - winner].reason).toEqual(new Error('Upload offset mismatch'));
+        const [chunks] = await provider.bucket.getFiles({ prefix: `uploads/${session.uploadId}/` });
+        expect(chunks).toHaveLength(1);
+
+        const { publicKey } = await second.completeUploadSession(session.uploadId);
+        expect((await provider.downloadFile(publicKey)).buffer.toString()).toBe(['ab', 'xy'][winner]);
+      });
+
+      it('should complete a session once and keep no keys in it', async () => {
+        const session = await provider.createUploadSession({
+          originalName: 'race.txt',
+          mimeType: 'text/plain',
+          uploadLength: 2
+        });
+        await provider.appendUploadChunk(session.uploadId, 0, Readable.from([Buffer.from('ok')]));
+
+        readTogether([provider, second]);
+        const results = await Promise.allSettled([
+          provider.completeUploadSession(session.uploadId),
+          second.completeUploadSession(session.uploadId)
+        ]);
+
+        const completed = results.filter(result => result.status === 'fulfilled');
+        expect(completed).toHaveLength(1);
+        expect(results.find(result => result.status === 'rejected').reason)
+          .toEqual(new Error('Upload already completed'));
+        expect((await provider.listFiles()).map(file => file.privateKey)).toEqual([completed[0].value.privateKey]);
+
+        const [state] = await provider.bucket.file(`uploads/${session.uploadId}.json`).download();
+        expect(JSON.parse(state.toString())).toMatchObject({ completed: true, chunks: [] });
+        expect(state.toString()).not.toContain(completed[0].value.publicKey);
+        expect(state.toString()).not.toContain(completed[0].value.privateKey);
+      });
+    });
+  });
+
+  describe('metadata log', () => {
+    it('should move metadata from the bucket into a configured metadata log', async () => {
+      const bucket = `migrated-${crypto.randomBytes(4).toString('hex')}`;
+      const bucketMetadata = new GoogleCloudStorageProvider(await writeConfig({ bucket }));
+      await bucketMetadata.initialize();
+      const { publicKey, privateKey } = await bucketMetadata.uploadFile(Buffer.from('migrated'), 'm.txt', 'text/plain');
+
+      const metadataLog = path.join(configDir, `metadata-${crypto.randomBytes(4).toString('hex')}.log`);
+      const logMetadata = new GoogleCloudStorageProvider(await writeConfig({ bucket, metadataLog }));
+      await logMetadata.initialize();
+
+      expect((await logMetadata.getFileInfo(publicKey)).originalName).toBe('m.txt');
+      expect((await logMetadata.downloadFile(publicKey)).buffer.toString()).toBe('migrated');
+      expect(await bucketMetadata.metadataStore.list()).toEqual([]);
+      expect(await fs.readFile(metadataLog, 'utf-8')).toContain(privateKey);
+    });
+  });
+
+  describe('metadata documents', () => {
+    it('should point the private key document at the public key so concurrent updates cannot leave it stale', async () => {
+      if (!fakeServer) {
+        return;
+      }
+
+      const { publicKey, privateKey } = await provider.uploadFile(Buffer.from('counted'), 'c.txt', 'text/plain');
+      await provider.updateFileSettings(privateKey, { maxDownloads: 4 });
+
+      await Promise.all(Array.from({ length: 4 }, () => provider.consumeDownload(publicKey)));
+
+      const objects = fakeServer.buckets.get(provider.bucket.name);
+      const pointer = objects.get(`${provider.metadataStore.prefix}${privateKey}.json`);
+      expect(JSON.parse(pointer.content.toString())).toEqual({ privateOf: publicKey });
+      expect((await provider.metadataStore.get(privateKey)).downloadCount).toBe(4);
+    });
+
+    it('should only follow full copies left under the private key by earlier versions', async () => {
+      if (!fakeServer) {
+        return;
+      }
+
+      const { publicKey, privateKey } = await provider.uploadFile(Buffer.from('legacy'), 'l.txt', 'text/plain');
+      const stale = await provider.metadataStore.get(privateKey);
+      await provider.updateLastAccessed(publicKey);
+      await provider.bucket.file(`${provider.metadataStore.prefix}${privateKey}.json`).save(JSON.stringify(stale));
+
+      expect((await provider.metadataStore.get(privateKey)).lastAccessed).not.toBeNull();
+      expect(await provider.metadataStore.list()).toEqual([await provider.metadataStore.get(publicKey)]);
+    });
+  });
+
+  describe('metadata index', () => {
+    /**
+     * Set a field of a file's metadata directly in the store
+     * @param {string} key - Key of the file
+     * @param {Object} fields - Fields to set
+     * @returns {Promise<void>}
+     */
+    async function setMetadata(key, fields) {
+      await provider.metadataStore.update(key, (metadata) => {
+        Object.assign(metadata, fields);
+      });
+    }
+
+    it('should only read the documents of inactive and expired files', async () => {
+      const files = [];
+      for (const name of ['a.txt', 'b.txt', 'c.txt', 'd.txt']) {
+        files.push(await provider.uploadFile(Buffer.from(name), name, 'text/plain'));
+      }
+      const [inactive, active, expired, exhausted] = files;
+      const later = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+      await setMetadata(active.privateKey, { lastAccessed: later });
+      await setMetadata(expired.privateKey, { lastAccessed: later, expiresAt: new Date(Date.now() + 1000).toISOString() });
+      await setMetadata(exhausted.privateKey, { lastAccessed: later, maxDownloads: 1, downloadCount: 1 });
+
+      const readSpy = jest.spyOn(provider.metadataStore.objects, 'read');
+      try {
+        expect(await provider.getInactiveFiles(new Date(Date.now() + 60 * 1000)))
+          .toEqual([{ privateKey: inactive.privateKey }]);
+        expect(readSpy).toHaveBeenCalledTimes(1);
+
+        readSpy.mockClear();
+        expect(await provider.getExpiredFiles(new Date(Date.now() + 60 * 1000)))
+          .toEqual([{ privateKey: expired.privateKey }, { privateKey: exhausted.privateKey }]);
+        expect(readSpy).toHaveBeenCalledTimes(2);
+      } finally {
+        readSpy.mockRestore();
+      }
+    });
+
+    it('should skip outdated entries and remove those of files that are gone', async () => {
+      if (!fakeServer) {
+        return;
+      }
+
+      const kept = await provider.uploadFile(Buffer.from('kept'), 'kept.txt', 'text/plain');
+      const deleted = await provider.uploadFile(Buffer.from('deleted'), 'deleted.txt', 'text/plain');
+      await setMetadata(kept.privateKey, { lastAccessed: new Date(Date.now() + 60 * 60 * 1000).toISOString() });
+
+      // As left behind by a change that lost a conflict and by a delete that was interrupted
+      const { indexPrefix } = provider.metadataStore;
+      const outdated = `${indexPrefix}activity/2024-01-01T00:00:00.000Z/${kept.publicKey}`;
+      const orphaned = `${indexPrefix}activity/2024-01-01T00:00:00.000Z/${deleted.publicKey}`;
+      await provider.bucket.file(outdated).save('');
+      await provider.bucket.file(orphaned).save('');
+      await provider.deleteFile(deleted.privateKey);
+
+      expect(await provider.getInactiveFiles(new Date(Date.now() + 60 * 1000))).toEqual([]);
+
+      const names = [...fakeServer.buckets.get(provider.bucket.name).keys()].filter(name => name.startsWith(indexPrefix));
+      expect(names.sort()).toEqual([
+        outdated,
+        `${indexPrefix}activity/${(await provider.getFileInfo(kept.publicKey)).lastAccessed.toISOString()}/${kept.publicKey}`
+      ].sort());
+    });
+
+    it('should move the unindexed documents of earlier versions into the index', async () => {
+      const bucket = `legacy-${crypto.randomBytes(4).toString('hex')}`;
+      const configPath = await writeConfig({ bucket });
+      const earlier = new GoogleCloudStorageProvider(configPath);
+      await earlier.initialize();
+      const { publicKey, privateKey } = await earlier.uploadFile(Buffer.from('earlier'), 'e.txt', 'text/plain');
+
+      // Earlier versions stored the same document under both keys, under metadataPrefix
+      const metadata = await earlier.metadataStore.get(publicKey);
+      await earlier.metadataStore.delete(publicKey);
+      for (const key of [publicKey, privateKey]) {
+        await earlier.bucket.file(`${earlier.metadataPrefix}${key}.json`).save(JSON.stringify(metadata));
+      }
+
+      const upgraded = new GoogleCloudStorageProvider(configPath);
+      await upgraded.initialize();
+
+      expect((await upgraded.getFileInfo(publicKey)).originalName).toBe('e.txt');
+      expect(await upgraded.getInactiveFiles(new Date(Date.now() + 60 * 1000))).toEqual([{ privateKey }]);
+      const [legacyDocuments] = await upgraded.bucket.getFiles({ prefix: upgraded.metadataPrefix });
+      expect(legacyDocuments).toEqual([]);
+    });
+  });
+
+  describe('key rotation', () => {
+    it('should move the metadata documents and keep the content object', async () => {
+      if (!fakeServer) {
+        return;
+      }
+
+      const { publicKey, privateKey } = await provider.uploadFile(Buffer.from('rotated'), 'r.txt', 'text/plain');
+
+      const keys = await provider.replaceKeys(privateKey, { publicKey: true, privateKey: true });
+
+      const objects = fakeServer.buckets.get(provider.bucket.name);
+      const { createdAt } = await provider.getFileInfo(keys.publicKey);
+      expect([...objects.keys()].sort()).toEqual([
+        `files/${publicKey}`,
+        `${provider.metadataStore.prefix}${keys.privateKey}.json`,
+        `${provider.metadataStore.prefix}${keys.publicKey}.json`,
+        `${provider.metadataStore.indexPrefix}activity/${createdAt.toISOString()}/${keys.publicKey}`
+      ].sort());
+      expect(objects.get(`files/${publicKey}`).metadata).toMatchObject(keys);
+      expect((await provider.downloadFile(keys.publicKey)).buffer.toString()).toBe('rotated');
+    });
+
+    it('should point share token documents at the new public key', async () => {
+      if (!fakeServer) {
+        return;
+      }
+
+      const { privateKey } = await provider.uploadFile(Buffer.from('shared'), 's.txt', 'text/plain');
+      const share = await provider.createShareToken(privateKey, { name: 'friend' });
+
+      const keys = await provider.replaceKeys(privateKey, { publicKey: true });
+
+      const objects = fakeServer.buckets.get(provider.bucket.name);
+      const pointer = objects.get(`${provider.metadataStore.prefix}${share.token}.json`);
+      expect(JSON.parse(pointer.content.toString())).toEqual({ shareOf: keys.publicKey });
+      expect(await provider.getInactiveFiles(new Date(Date.now() + 60 * 1000))).toEqual([{ privateKey }]);
+
+      await provider.deleteFile(privateKey);
+      expect(objects.has(`${provider.metadataStore.prefix}${share.token}.json`)).toBe(false);
+    });
+  });
+
+  describe('deduplication', () => {
+    let bucket;
+    let first;
+    let second;
+
+    beforeEach(async () => {
+      // Two instances sharing a bucket, as with several servers behind a load balancer
+      bucket = `dedup-${crypto.randomBytes(6).toString('hex')}`;
+      const configPath = await writeConfig({ bucket, deduplicate: true });
+      first = new GoogleCloudStorageProvider(configPath);
+      second = new GoogleCloudStorageProvider(configPath);
+      await first.initialize();
+      await second.initialize();
+    });
+
+    /**
+     * Get the SHA-256 of some content
+     * @param {string} content - The content
+     * @returns {string}
+     */
+    function sha256(content) {
+      return crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    it('should store identical content once and remove it with the last reference', async () => {
+      const a = await first.uploadFile(Buffer.from('installer'), 'a.exe', 'application/octet-stream');
+      const b = await second.uploadFile(Buffer.from('installer'), 'b.exe', 'application/octet-stream');
+
+      expect(b.publicKey).not.toBe(a.publicKey);
+      expect(await first.blobReferences.count(sha256('installer'))).toBe(2);
+      if (fakeServer) {
+        const blobs = [...fakeServer.buckets.get(bucket).keys()].filter(name => name.startsWith('blobs/'));
+        expect(blobs.sort()).toEqual([`blobs/${sha256('installer')}`, `blobs/refs/${sha256('installer')}.json`]);
+      }
+
+      expect(await first.deleteFile(a.privateKey)).toBe(true);
+      expect((await first.downloadFile(b.publicKey)).buffer.toString()).toBe('installer');
+
+      expect(await second.deleteFile(b.privateKey)).toBe(true);
+      const [remaining] = await first.bucket.getFiles({ prefix: 'blobs/' });
+      expect(remaining).toEqual([]);
+    });
+
+    it('should keep reference counts right under concurrent uploads and deletes across instances', async () => {
+      const kept = await first.uploadFile(Buffer.from('busy'), 'kept.txt', 'text/plain');
+      const doomed = await Promise.all([first, second, first, second].map(
+        instance => instance.uploadFile(Buffer.from('busy'), 'doomed.txt', 'text/plain')
+      ));
+
+      await Promise.all([
+        ...doomed.map((file, index) => [first, second][index % 2].deleteFile(file.privateKey)),
+        second.uploadFile(Buffer.from('busy'), 'late.txt', 'text/plain')
+      ]);
+
+      expect(await first.blobReferences.count(sha256('busy'))).toBe(2);
+      expect((await second.downloadFile(kept.publicKey)).buffer.toString()).toBe('busy');
+    });
+
+    it('should keep a blob written again while its last reference was being removed', async () => {
+      const original = await first.uploadFile(Buffer.from('phoenix'), 'old.txt', 'text/plain');
+      let reupload;
+
+      // The other instance stores the same content right after the last reference went away
+      const release = first.blobReferences.release.bind(first.blobReferences);
+      jest.spyOn(first.blobReferences, 'release').mockImplementationOnce(async (contentHash) => {
+        const last = await release(contentHash);
+        reupload = await second.uploadFile(Buffer.from('phoenix'), 'new.txt', 'text/plain');
+        return last;
+      });
+
+      expect(await first.deleteFile(original.privateKey)).toBe(true);
+
+      expect((await second.downloadFile(reupload.publicKey)).buffer.toString()).toBe('phoenix');
+      expect(await second.blobReferences.count(sha256('phoenix'))).toBe(1);
+    });
+
+    it('should deduplicate completed upload sessions', async () => {
+      const uploaded = await first.uploadFile(Buffer.from('resumable'), 'direct.txt', 'text/plain');
+      const session = await second.createUploadSession({
+        originalName: 'chunked.txt',
+        mimeType: 'text/plain',
+        uploadLength: 9
+      });
+      await second.appendUploadChunk(session.uploadId, 0, Readable.from([Buffer.from('resum')]));
+      await second.appendUploadChunk(session.uploadId, 5, Readable.from([Buffer.from('able')]));
+
+      const { publicKey } = await second.completeUploadSession(session.uploadId);
+
+      expect((await second.downloadFile(publicKey)).buffer.toString()).toBe('resumable');
+      expect((await second.metadataStore.get(publicKey)).filePath)
+        .toBe((await first.metadataStore.get(uploaded.publicKey)).filePath);
+      const [incoming] = await first.bucket.getFiles({ prefix: 'blobs/incoming/' });
+      expect(incoming).toEqual([]);
+    });
+  });
+
+  describe('encryption', () => {
+    const masterKey = crypto.randomBytes(32);
+    let bucket;
+    let encrypted;
+
+    beforeEach(async () => {
+      bucket = `encrypted-${crypto.randomBytes(6).toString('hex')}`;
+      encrypted = new GoogleCloudStorageProvider(await writeConfig({ bucket, signedUrlDownloads: true }), {
+        keyRing: new KeyRing([masterKey])
+      });
+      await encrypted.initialize();
+    });
+
+    /**
+     * Create another provider instance on the bucket
+     * @param {Array<Buffer>} masterKeys - Master keys, the active one first
+     * @returns {Promise<GoogleCloudStorageProvider>}
+     */
+    async function createInstance(masterKeys) {
+      const instance = new GoogleCloudStorageProvider(await writeConfig({ bucket }), {
+        keyRing: masterKeys.length > 0 ? new KeyRing(masterKeys) : null
+      });
+      await instance.initialize();
+      return instance;
+    }
+
+    it('should store ciphertext in the bucket and serve plaintext ranges', async () => {
+      const content = crypto.randomBytes(150 * 1024);
+      const { publicKey } = await encrypted.uploadFile(content, 'large.bin', 'application/octet-stream');
+
+      const [stored] = await encrypted.bucket.file(encrypted._getFilePath(publicKey)).download();
+      expect(stored.includes(content.subarray(0, 1024))).toBe(false);
+      expect((await encrypted.metadataStore.get(publicKey)).encrypted).toBe(true);
+
+      expect((await encrypted.downloadFile(publicKey)).buffer).toEqual(content);
+      const range = await streamToBuffer(await encrypted.createReadStream(publicKey, { start: 65000, end: 70000 }));
+      expect(range).toEqual(content.subarray(65000, 70001));
+    });
+
+    it('should not hand out signed URLs for encrypted content', async () => {
+      const { publicKey } = await encrypted.uploadFile(Buffer.from('secret'), 'a.txt', 'text/plain');
+
+      expect(await encrypted.getDownloadUrl(publicKey)).toBeNull();
+    });
+
+    it('should fail to read encrypted files without the master key', async () => {
+      const { publicKey } = await encrypted.uploadFile(Buffer.from('secret'), 'a.txt', 'text/plain');
+      const noKey = await createInstance([]);
+
+      await expect(noKey.downloadFile(publicKey)).rejects.toThrow('File is encrypted but no encryption key is configured');
+    });
+
+    it('should encrypt completed upload sessions', async () => {
+      const session = await encrypted.createUploadSession({
+        originalName: 'chunked.txt',
+        mimeType: 'text/plain',
+        uploadLength: 10
+      });
+      await encrypted.appendUploadChunk(session.uploadId, 0, Readable.from([Buffer.from('01234')]));
+      await encrypted.appendUploadChunk(session.uploadId, 5, Readable.from([Buffer.from('56789')]));
+
+      const { publicKey } = await encrypted.completeUploadSession(session.uploadId);
+
+      const [stored] = await encrypted.bucket.file(encrypted._getFilePath(publicKey)).download();
+      expect(stored.includes('0123456789')).toBe(false);
+      expect((await encrypted.downloadFile(publicKey)).buffer.toString()).toBe('0123456789');
+    });
+
+    it('should re-wrap data keys of files and blobs with a new master key', async () => {
+      const file = await encrypted.uploadFile(Buffer.from('rotate me'), 'a.txt', 'text/plain');
+      const dedup = new GoogleCloudStorageProvider(await writeConfig({ bucket, deduplicate: true }), {
+        keyRing: new KeyRing([masterKey])
+      });
+      await dedup.initialize();
+      const shared = await dedup.uploadFile(Buffer.from('rotate us'), 'b.txt', 'text/plain');
+      await dedup.uploadFile(Buffer.from('rotate us'), 'c.txt', 'text/plain');
+
+      const newKey = crypto.randomBytes(32);
+      const rotated = await createInstance([newKey, masterKey]);
+
+      expect(await rotated.rewrapDataKeys()).toEqual({ rewrapped: 2 });
+      expect(await rotated.rewrapDataKeys()).toEqual({ rewrapped: 0 });
+
+      const newKeyOnly = await createInstance([newKey]);
+      expect((await newKeyOnly.downloadFile(file.publicKey)).buffer.toString()).toBe('rotate me');
+      expect((await newKeyOnly.downloadFile(shared.publicKey)).buffer.toString()).toBe('rotate us');
+    });
+  });
+
+  describe('zero-knowledge mode', () => {
+    let bucket;
+    let zkProvider;
+
+    beforeEach(async () => {
+      bucket = `zero-knowledge-${crypto.randomBytes(6).toString('hex')}`;
+      zkProvider = new GoogleCloudStorageProvider(await writeConfig({
+        bucket,
+        zeroKnowledge: true,
+        signedUrlDownloads: true
+      }));
+      await zkProvider.initialize();
+    });
+
+    /**
+     * Read every object of the bucket with its name and custom metadata
+     * @returns {Promise<Buffer>}
+     */
+    async function readBucket() {
+      const [files] = await zkProvider.bucket.getFiles();
+      const contents = await Promise.all(files.map(async (file) => {
+        const [content] = await file.download();
+        return Buffer.concat([Buffer.from(`${file.name}\n${JSON.stringify(file.metadata)}\n`), content]);
+      }));
+      return Buffer.concat(contents);
+    }
+
+    it('should store neither the public key, nor the name, nor the content', async () => {
+      const { publicKey } = await zkProvider.uploadFile(Buffer.from('merger term sheet'), 'acme-merger.pdf', 'application/pdf');
+
+      const stored = await readBucket();
+      expect(stored.includes(publicKey)).toBe(false);
+      expect(stored.includes('acme-merger')).toBe(false);
+      expect(stored.includes('application/pdf')).toBe(false);
+      expect(stored.includes('merger term sheet')).toBe(false);
+
+      const info = await zkProvider.getFileInfo(publicKey);
+      expect(info.originalName).toBe('acme-merger.pdf');
+      expect(info.mimeType).toBe('application/pdf');
+      expect((await zkProvider.downloadFile(publicKey)).buffer.toString()).toBe('merger term sheet');
+    });
+
+    it('should not hand out signed URLs', async () => {
+      const { publicKey } = await zkProvider.uploadFile(Buffer.from('secret'), 'a.txt', 'text/plain');
+
+      expect(await zkProvider.getDownloadUrl(publicKey)).toBeNull();
+    });
+
+    it('should keep serving zero-knowledge files after it is turned off', async () => {
+      const { publicKey, privateKey } = await zkProvider.uploadFile(Buffer.from('protected'), 'a.txt', 'text/plain');
+
+      const turnedOff = new GoogleCloudStorageProvider(await writeConfig({ bucket, signedUrlDownloads: true }));
+      await turnedOff.initialize();
+
+      expect((await turnedOff.downloadFile(publicKey)).buffer.toString()).toBe('protected');
+      expect(await turnedOff.getDownloadUrl(publicKey)).toBeNull();
+      expect(await turnedOff.deleteFile(privateKey)).toBe(true);
+      const [remaining] = await turnedOff.bucket.getFiles({ prefix: 'files/' });
+      expect(remaining).toEqual([]);
+    });
+
+    it('should refuse to be combined with deduplication', async () => {
+      const combined = new GoogleCloudStorageProvider(await writeConfig({ bucket, zeroKnowledge: true, deduplicate: true }));
+
+      await expect(combined.initialize()).rejects.toThrow('Deduplication cannot be combined with zero-knowledge mode');
+    });
+  });
+
+  describe('digests', () => {
+    /**
+     * Create a provider that verifies content when it is read
+     * @param {Object} [options] - Provider options
+     * @returns {Promise<GoogleCloudStorageProvider>}
+     */
+    async function createVerifying(options) {
+      const verifying = new GoogleCloudStorageProvider(await writeConfig({
+        bucket: `verified-${crypto.randomBytes(6).toString('hex')}`,
+        verifyOnRead: true
+      }), options);
+      await verifying.initialize();
+      return verifying;
+    }
+
+    it('should record the CRC32C of the stored object', async () => {
+      const { publicKey } = await provider.uploadFile(Buffer.from('checked'), 'c.txt', 'text/plain');
+
+      const [objectMetadata] = await provider.bucket.file(provider._getFilePath(publicKey)).getMetadata();
+      const metadata = await provider.metadataStore.get(publicKey);
+      expect(metadata.crc32c).toBe(objectMetadata.crc32c);
+      expect(metadata.sha256).toBe(crypto.createHash('sha256').update('checked').digest('hex'));
+    });
+
+    it('should record the CRC32C of composed upload sessions', async () => {
+      const session = await provider.createUploadSession({ originalName: 'c.txt', mimeType: 'text/plain', uploadLength: 8 });
+      await provider.appendUploadChunk(session.uploadId, 0, Readable.from([Buffer.from('comp')]));
+      await provider.appendUploadChunk(session.uploadId, 4, Readable.from([Buffer.from('osed')]));
+      const { publicKey } = await provider.completeUploadSession(session.uploadId);
+
+      const [objectMetadata] = await provider.bucket.file(provider._getFilePath(publicKey)).getMetadata();
+      const metadata = await provider.metadataStore.get(publicKey);
+      expect(metadata.crc32c).toBe(objectMetadata.crc32c);
+      expect(metadata.sha256).toBe(crypto.createHash('sha256').update('composed').digest('hex'));
+    });
+
+    it('should not record a CRC32C for encrypted objects', async () => {
+      const encrypted = await createVerifying({ keyRing: new KeyRing([crypto.randomBytes(32)]) });
+      const { publicKey } = await encrypted.uploadFile(Buffer.from('secret'), 'a.txt', 'text/plain');
+
+      expect((await encrypted.metadataStore.get(publicKey)).crc32c).toBeNull();
+    });
+
+    it('should fail reads of objects changed since upload, ranges included', async () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const verifying = await createVerifying();
+      const { publicKey } = await verifying.uploadFile(Buffer.from('original'), 'a.txt', 'text/plain');
+      await verifying.bucket.file(verifying._getFilePath(publicKey)).save(Buffer.from('tampered'));
+
+      await expect(verifying.createReadStream(publicKey)).rejects.toThrow('Stored content is corrupt');
+      await expect(verifying.createReadStream(publicKey, { start: 0, end: 3 })).rejects.toThrow('Stored content is corrupt');
+      expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('does not match the CRC32C recorded at upload'));
+      errorSpy.mockRestore();
+    });
+
+    it('should check full reads of encrypted content against the recorded SHA-256', async () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const encrypted = await createVerifying({ keyRing: new KeyRing([crypto.randomBytes(32)]) });
+      const { publicKey } = await encrypted.uploadFile(Buffer.from('original'), 'a.txt', 'text/plain');
+      await encrypted.metadataStore.update(publicKey, (metadata) => {
+        metadata.sha256 = crypto.createHash('sha256').update('other').digest('hex');
+      });
+
+      await expect(encrypted.downloadFile(publicKey)).rejects.toThrow('Stored content is corrupt');
+      expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('does not match the SHA-256 recorded at upload'));
+      const range = await streamToBuffer(await encrypted.createReadStream(publicKey, { start: 0, end: 3 }));
+      expect(range.toString()).toBe('orig');
+      errorSpy.mockRestore();
+    });
+
+    it('should serve unchanged content when reads are verified', async () => {
+      const verifying = await createVerifying();
+      const { publicKey } = await verifying.uploadFile(Buffer.from('original'), 'a.txt', 'text/plain');
+
+      expect((await verifying.downloadFile(publicKey)).buffer.toString()).toBe('original');
+    });
+  });
+
+  describe('conformance', () => {
+    describeStorageProviderConformance({
+      createProvider: async () => {
+        const conformanceProvider = new GoogleCloudStorageProvider(await writeConfig({
+          bucket: `conformance-${crypto.randomBytes(6).toString('hex')}`
+        }));
+        await conformanceProvider.initialize();
+        return conformanceProvider;
+      }
+    });
+  });
+
+  describe('conformance with a metadata log', () => {
+    describeStorageProviderConformance({
+      createProvider: async () => {
+        const conformanceProvider = new GoogleCloudStorageProvider(await writeConfig({
+          bucket: `conformance-${crypto.randomBytes(6).toString('hex')}`,
+          metadataLog: path.join(configDir, `metadata-${crypto.randomBytes(6).toString('hex')}.log`)
+        }));
+        await conformanceProvider.initialize();
+        return conformanceProvider;
+      }
+    });
+  });
+
+  describe('conformance with deduplication', () => {
+    describeStorageProviderConformance({
+      createProvider: async () => {
+        const conformanceProvider = new GoogleCloudStorageProvider(await writeConfig({
+          bucket: `conformance-${crypto.randomBytes(6).toString('hex')}`,
+          deduplicate: true
+        }));
+        await conformanceProvider.initialize();
+        return conformanceProvider;
+      }
+    });
+  });
+
+  describe('conformance with encryption and deduplication', () => {
+    describeStorageProviderConformance({
+      createProvider: async () => {
+        const conformanceProvider = new GoogleCloudStorageProvider(await writeConfig({
+          bucket: `conformance-${crypto.randomBytes(6).toString('hex')}`,
+          deduplicate: true
+        }), { keyRing: new KeyRing([crypto.randomBytes(32)]) });
+        await conformanceProvider.initialize();
+        return conformanceProvider;
+      }
+    });
+  });
+
+  describe('conformance in zero-knowledge mode', () => {
+    describeStorageProviderConformance({
+      createProvider: async () => {
+        const conformanceProvider = new GoogleCloudStorageProvider(await writeConfig({
+          bucket: `conformance-${crypto.randomBytes(6).toString('hex')}`,
+          zeroKnowledge: true
+        }));
+        await conformanceProvider.initialize();
+        return conformanceProvider;
+      },
+      zeroKnowledge: true
+    });
+  });
+
+  describe('API', () => {
+    it('should serve uploads and range requests through the file routes', async () => {
+      const app = express();
+      app.use('/', initializeRoutes(provider));
+
+      const uploadResponse = await request(app)
+        .post('/files')
+        .attach('file', Buffer.from('served from gcs'), 'served.txt')
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/files/${uploadResponse.body.publicKey}`)
+        .set('Range', 'bytes=0-5')
+        .expect(206);
+
+      expect(response.text).toBe('served');
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const RedisUsageStore = require('../../src/usage/RedisUsageStore');
+const UsageStoreFactory = require('../../src/usage/UsageStoreFactory');
+const createFakeRedisServer = require('../helpers/fakeRedisServer');
+const describeUsageStoreConformance = require('../helpers/usageStoreConformance');
+
+// Set REDIS_TEST_URL to run against a real Redis-protocol server instead
+const EXTERNAL_URL = process.env.REDIS_TEST_URL;
+
+describe('RedisUsageStore Integration Tests', () => {
+  let fakeServer;
+  let url;
+  let keyCounter = 0;
+
+  /**
+   * Create a store whose keys do not collide with other tests
+   * @returns {Promise<RedisUsageStore>}
+   */
+  async function createStore() {
+    keyCounter++;
+    const store = new RedisUsageStore(url, { keyPrefix: `usage-test-${process.pid}-${keyCounter}:` });
+    await store.initialize();
+    return store;
+  }
+
+  beforeAll(async () => {
+    if (EXTERNAL_URL) {
+      url = EXTERNAL_URL;
+    } else {
+      fakeServer = createFakeRedisServer();
+      url = await fakeServer.start();
+    }
+  });
+
+  afterAll(async () => {
+    if (fakeServer) {
+      await fakeServer.stop();
+    }
+  });
+
+  describeUsageStoreConformance({ createStore });
+
+  it('should share counters between instances', async () => {
+    const first = await createStore();
+    const second = new RedisUsageStore(url, { keyPrefix: first.keyPrefix });
+    await second.initialize();
+
+    await first.increment('ip', 'upload', 60, { limit: 100 });
+
+    expect(await second.increment('ip', 'upload', 60, { limit: 100 })).toEqual({ allowed: false, value: 60 });
+    expect(await second.get('ip')).toEqual({ upload: 60 });
+
+    await first.close();
+    await second.close();
+  });
+
+  it('should set the key expiry together with the increment', async () => {
+    if (!fakeServer) {
+      return;
+    }
+
+    const store = await createStore();
+    const expiresAt = new Date(Date.now() + 60 * 1000);
+
+    await store.increment('ip', 'upload', 1, { expiresAt });
+
+    const transaction = fakeServer.commands.slice(-4).map(command => command[0]);
+    expect(transaction).toEqual(['MULTI', 'HINCRBY', 'PEXPIREAT', 'EXEC']);
+    expect(fakeServer.data.get(`${store.keyPrefix}ip`).expiresAt).toBe(expiresAt.getTime());
+
+    await store.close();
+  });
+
+  it('should fail requests while the server is unreachable', async () => {
+    const store = new RedisUsageStore('redis://127.0.0.1:1');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(store.initialize()).rejects.toThrow();
+    await expect(store.get('ip')).rejects.toThrow();
+
+    store.client.disconnect();
+    console.warn.mockRestore();
+  });
+
+  it('should be created by the usage store factory', async () => {
+    const store = await UsageStoreFactory.createUsageStore('redis', { url });
+
+    expect(store).toBeInstanceOf(RedisUsageStore);
+    await store.close();
+    await expect(UsageStoreFactory.createUsageStore('redis'))
+      .rejects.toThrow('USAGE_STORE_URL environment variable is required for redis usage store');
+  });
+});
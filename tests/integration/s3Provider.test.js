@@ -0,0 +1,341 @@
+const request = require('supertest');
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const initializeRoutes = require('../../src/api/files');
+const KeyRing = require('../../src/storage/KeyRing');
+const S3StorageProvider = require('../../src/storage/S3StorageProvider');
+const StorageFactory = require('../../src/storage/StorageFactory');
+const { streamToBuffer } = require('../../src/storage/streamUtils');
+const createFakeS3Server = require('../helpers/fakeS3Server');
+const describeStorageProviderConformance = require('../helpers/storageProviderConformance');
+
+// Set S3_TEST_ENDPOINT (and S3_TEST_ACCESS_KEY / S3_TEST_SECRET_KEY) to run against a real MinIO instead
+const EXTERNAL_ENDPOINT = process.env.S3_TEST_ENDPOINT;
+
+describe('S3StorageProvider Integration Tests', () => {
+  let fakeServer;
+  let endpoint;
+  let configDir;
+  let provider;
+
+  /**
+   * Write a provider config file
+   * @param {Object} options - Configuration options
+   * @returns {Promise<string>} - Path to the config file
+   */
+  async function writeConfig(options) {
+    const configPath = path.join(configDir, `s3-config-${crypto.randomBytes(4).toString('hex')}.json`);
+    await fs.writeFile(configPath, JSON.stringify({
+      endpoint,
+      region: 'us-east-1',
+      forcePathStyle: true,
+      credentials: {
+        accessKeyId: process.env.S3_TEST_ACCESS_KEY || 'test-access-key',
+        secretAccessKey: process.env.S3_TEST_SECRET_KEY || 'test-secret-key'
+      },
+      createBucketIfNotExists: true,
+      ...options
+    }));
+    return configPath;
+  }
+
+  beforeAll(async () => {
+    if (EXTERNAL_ENDPOINT) {
+      endpoint = EXTERNAL_ENDPOINT;
+    } else {
+      // Small listing pages, so pagination is exercised
+      fakeServer = createFakeS3Server({ pageSize: 3 });
+      endpoint = await fakeServer.start();
+    }
+
+    configDir = await fs.mkdtemp(path.join(os.tmpdir(), 's3-provider-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  beforeEach(async () => {
+    provider = new S3StorageProvider(await writeConfig({
+      bucket: `test-${crypto.randomBytes(6).toString('hex')}`
+    }));
+    await provider.initialize();
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(configDir, { recursive: true, force: true });
+    if (fakeServer) {
+      await fakeServer.stop();
+    }
+  });
+
+  describe('initialize', () => {
+    it('should fail for a missing bucket unless it may be created', async () => {
+      const configPath = await writeConfig({ bucket: 'missing-bucket', createBucketIfNotExists: false });
+      const missing = new S3StorageProvider(configPath);
+
+      await expect(missing.initialize()).rejects.toThrow('does not exist');
+    });
+
+    it('should require a bucket in the configuration', async () => {
+      const configPath = await writeConfig({});
+      const invalid = new S3StorageProvider(configPath);
+
+      await expect(invalid.initialize()).rejects.toThrow('Missing required configuration field: bucket');
+    });
+
+    it('should be created by the storage factory', async () => {
+      const configPath = await writeConfig({ bucket: 'factory-bucket' });
+      const created = await StorageFactory.createProvider('s3', undefined, configPath);
+
+      expect(created).toBeInstanceOf(S3StorageProvider);
+    });
+
+    it('should refuse an encryption key ring instead of storing plaintext', async () => {
+      const configPath = await writeConfig({ bucket: 'factory-bucket' });
+
+      await expect(StorageFactory.createProvider('s3', undefined, configPath, {
+        keyRing: new KeyRing([crypto.randomBytes(32)])
+      })).rejects.toThrow('Encryption at rest is not supported by the s3 provider');
+    });
+
+    it('should refuse zero-knowledge mode instead of storing names and content readably', async () => {
+      const configPath = await writeConfig({ bucket: 'factory-bucket' });
+
+      await expect(StorageFactory.createProvider('s3', undefined, configPath, { zeroKnowledge: true }))
+        .rejects.toThrow('Zero-knowledge mode is not supported by the s3 provider');
+    });
+
+    it('should use configured prefixes and path-style addressing', async () => {
+      if (!fakeServer) {
+        return;
+      }
+
+      const bucket = `prefixed-${crypto.randomBytes(4).toString('hex')}`;
+      const prefixed = new S3StorageProvider(await writeConfig({
+        bucket,
+        filePrefix: 'blobs/',
+        indexedMetadataPrefix: 'meta/'
+      }));
+      await prefixed.initialize();
+
+      const { publicKey, privateKey } = await prefixed.uploadFile(Buffer.from('prefixed'), 'a.txt', 'text/plain');
+      const { createdAt } = await prefixed.getFileInfo(publicKey);
+
+      const keys = [...fakeServer.buckets.get(bucket).keys()].sort();
+      expect(keys).toEqual([
+        `blobs/${publicKey}`,
+        `meta/files/${privateKey}.json`,
+        `meta/files/${publicKey}.json`,
+        `meta/index/activity/${createdAt.toISOString()}/${publicKey}`
+      ].sort());
+      expect(fakeServer.requests.some(req => req.path === `/${bucket}/blobs/${publicKey}`)).toBe(true);
+    });
+  });
+
+  describe('files', () => {
+    it('should upload and download a file', async () => {
+      const { publicKey } = await provider.uploadFile(Buffer.from('hello s3'), 'hello.txt', 'text/plain');
+
+      const result = await provider.downloadFile(publicKey);
+
+      expect(result.buffer.toString()).toBe('hello s3');
+      expect(result.mimeType).toBe('text/plain');
+      expect(result.originalName).toBe('hello.txt');
+    });
+
+    it('should stream files larger than a multipart upload part', async () => {
+      const content = crypto.randomBytes(6 * 1024 * 1024 + 123);
+
+      const { publicKey, fileSize } = await provider.uploadStream(Readable.from([content]), 'big.bin', 'application/octet-stream');
+
+      expect(fileSize).toBe(content.length);
+      const downloaded = await streamToBuffer(await provider.createReadStream(publicKey));
+      expect(downloaded.equals(content)).toBe(true);
+    });
+
+    it('should read byte ranges', async () => {
+      const { publicKey } = await provider.uploadFile(Buffer.from('0123456789'), 'digits.txt', 'text/plain');
+
+      const middle = await streamToBuffer(await provider.createReadStream(publicKey, { start: 2, end: 5 }));
+      const tail = await streamToBuffer(await provider.createReadStream(publicKey, { start: 7 }));
+
+      expect(middle.toString()).toBe('2345');
+      expect(tail.toString()).toBe('789');
+    });
+
+    it('should store empty files', async () => {
+      const { publicKey } = await provider.uploadFile(Buffer.alloc(0), 'empty.txt', 'text/plain');
+
+      const info = await provider.getFileInfo(publicKey);
+      const content = await streamToBuffer(await provider.createReadStream(publicKey));
+
+      expect(info.fileSize).toBe(0);
+      expect(content.length).toBe(0);
+    });
+
+    it('should not find files by their private key', async () => {
+      const { privateKey } = await provider.uploadFile(Buffer.from('secret'), 'a.txt', 'text/plain');
+
+      await expect(provider.getFileInfo(privateKey)).rejects.toThrow('File not found');
+      await expect(provider.createReadStream(privateKey)).rejects.toThrow('File not found');
+    });
+
+    it('should delete files with the private key only', async () => {
+      const { publicKey, privateKey } = await provider.uploadFile(Buffer.from('bye'), 'a.txt', 'text/plain');
+
+      await expect(provider.deleteFile(publicKey)).resolves.toBe(false);
+      await expect(provider.deleteFile(privateKey)).resolves.toBe(true);
+      await expect(provider.getFileInfo(publicKey)).rejects.toThrow('File not found');
+      await expect(provider.deleteFile(privateKey)).resolves.toBe(false);
+    });
+
+    it('should track last access and report inactive files', async () => {
+      const accessed = await provider.uploadFile(Buffer.from('a'), 'a.txt', 'text/plain');
+      const idle = await provider.uploadFile(Buffer.from('b'), 'b.txt', 'text/plain');
+
+      const threshold = new Date(Date.now() + 1000);
+      await new Promise(resolve => setTimeout(resolve, 1100));
+      await provider.updateLastAccessed(accessed.publicKey);
+
+      const metadata = await provider.getFileMetadata(accessed.privateKey);
+      expect(metadata.lastAccessed).toBeInstanceOf(Date);
+
+      const inactive = await provider.getInactiveFiles(threshold);
+      expect(inactive).toEqual([{ privateKey: idle.privateKey }]);
+    });
+
+    it('should list files across several listing pages', async () => {
+      const uploaded = [];
+      for (let index = 0; index < 4; index++) {
+        uploaded.push(await provider.uploadFile(Buffer.from(`file ${index}`), `${index}.txt`, 'text/plain'));
+      }
+
+      const inactive = await provider.getInactiveFiles(new Date(Date.now() + 60 * 1000));
+
+      expect(inactive.map(file => file.privateKey).sort())
+        .toEqual(uploaded.map(file => file.privateKey).sort());
+    });
+  });
+
+  describe('share limits', () => {
+    it('should count concurrent downloads without losing updates', async () => {
+      const { publicKey, privateKey } = await provider.uploadFile(Buffer.from('limited'), 'a.txt', 'text/plain');
+      await provider.updateFileSettings(privateKey, { maxDownloads: 3 });
+
+      const results = await Promise.allSettled(
+        Array.from({ length: 3 }, () => provider.consumeDownload(publicKey))
+      );
+
+      expect(results.every(result => result.status === 'fulfilled')).toBe(true);
+      expect((await provider.getFileInfo(publicKey)).downloadCount).toBe(3);
+      await expect(provider.consumeDownload(publicKey)).rejects.toThrow('Download limit reached');
+      expect(await provider.getExpiredFiles(new Date())).toEqual([{ privateKey }]);
+    });
+  });
+
+  describe('upload sessions', () => {
+    it('should assemble a file from chunks', async () => {
+      const session = await provider.createUploadSession({
+        originalName: 'chunks.txt',
+        mimeType: 'text/plain',
+        uploadLength: 11
+      });
+
+      await provider.appendUploadChunk(session.uploadId, 0, Readable.from([Buffer.from('hello ')]));
+      await provider.appendUploadChunk(session.uploadId, 6, Readable.from([Buffer.from('world')]));
+
+      const { publicKey } = await provider.completeUploadSession(session.uploadId);
+
+      expect((await provider.downloadFile(publicKey)).buffer.toString()).toBe('hello world');
+    });
+
+    it('should reject chunks beyond the declared length', async () => {
+      const session = await provider.createUploadSession({
+        originalName: 'short.txt',
+        mimeType: 'text/plain',
+        uploadLength: 4
+      });
+
+      await expect(provider.appendUploadChunk(session.uploadId, 0, Readable.from([Buffer.from('too long')])))
+        .rejects.toThrow('Upload length exceeded');
+      expect((await provider.getUploadSession(session.uploadId)).offset).toBe(0);
+    });
+
+    it('should delete sessions and report stale ones', async () => {
+      const stale = await provider.createUploadSession({ originalName: 'a', mimeType: 'text/plain', uploadLength: 1 });
+      const deleted = await provider.createUploadSession({ originalName: 'b', mimeType: 'text/plain', uploadLength: 1 });
+
+      await expect(provider.deleteUploadSession(deleted.uploadId)).resolves.toBe(true);
+      await expect(provider.getUploadSession(deleted.uploadId)).rejects.toThrow('Upload session not found');
+
+      const staleSessions = await provider.getStaleUploadSessions(new Date(Date.now() + 1000));
+      expect(staleSessions).toEqual([{ uploadId: stale.uploadId }]);
+    });
+  });
+
+  describe('metadata log', () => {
+    it('should move metadata from the bucket into a configured metadata log', async () => {
+      const bucket = `migrated-${crypto.randomBytes(4).toString('hex')}`;
+      const bucketMetadata = new S3StorageProvider(await writeConfig({ bucket }));
+      await bucketMetadata.initialize();
+      const { publicKey, privateKey } = await bucketMetadata.uploadFile(Buffer.from('migrated'), 'm.txt', 'text/plain');
+
+      const metadataLog = path.join(configDir, `metadata-${crypto.randomBytes(4).toString('hex')}.log`);
+      const logMetadata = new S3StorageProvider(await writeConfig({ bucket, metadataLog }));
+      await logMetadata.initialize();
+
+      expect((await logMetadata.getFileInfo(publicKey)).originalName).toBe('m.txt');
+      expect((await logMetadata.downloadFile(publicKey)).buffer.toString()).toBe('migrated');
+      expect(await bucketMetadata.metadataStore.list()).toEqual([]);
+      expect(await fs.readFile(metadataLog, 'utf-8')).toContain(privateKey);
+    });
+  });
+
+  describe('conformance', () => {
+    describeStorageProviderConformance({
+      createProvider: async () => {
+        const conformanceProvider = new S3StorageProvider(await writeConfig({
+          bucket: `conformance-${crypto.randomBytes(6).toString('hex')}`
+        }));
+        await conformanceProvider.initialize();
+        return conformanceProvider;
+      }
+    });
+  });
+
+  describe('conformance with a metadata log', () => {
+    describeStorageProviderConformance({
+      createProvider: async () => {
+        const conformanceProvider = new S3StorageProvider(await writeConfig({
+          bucket: `conformance-${crypto.randomBytes(6).toString('hex')}`,
+          metadataLog: path.join(configDir, `metadata-${crypto.randomBytes(6).toString('hex')}.log`)
+        }));
+        await conformanceProvider.initialize();
+        return conformanceProvider;
+      }
+    });
+  });
+
+  describe('API', () => {
+    it('should serve uploads and range requests through the file routes', async () => {
+      const app = express();
+      app.use('/', initializeRoutes(provider));
+
+      const uploadResponse = await request(app)
+        .post('/files')
+        .attach('file', Buffer.from('served from s3'), 'served.txt')
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/files/${uploadResponse.body.publicKey}`)
+        .set('Range', 'bytes=0-5')
+        .expect(206);
+
+      expect(response.text).toBe('served');
+    });
+  });
+});
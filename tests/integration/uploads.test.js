@@ -0,0 +1,464 @@
+const request = require('supertest');
+const express = require('express');
+const path = require('path');
+const fs = require('fs').promises;
+const initializeRoutes = require('../../src/api/files');
+const initializeUploadRoutes = require('../../src/api/uploads');
+const LocalFileSystemProvider = require('../../src/storage/LocalFileSystemProvider');
+const { getUsage } = require('../../src/middleware/usageLimiter');
+const accountAuth = require('../../src/middleware/accountAuth');
+const MemoryAccountStore = require('../../src/accounts/MemoryAccountStore');
+const { generateApiKey, hashApiKey } = require('../../src/accounts/accountRecords');
+const ClamdScanner = require('../../src/scanning/ClamdScanner');
+const createFakeClamdServer = require('../helpers/fakeClamdServer');
+
+// Use a test-specific folder
+const TEST_ROOT_FOLDER = path.join(__dirname, '../../test-storage-uploads');
+
+const CHUNK_CONTENT_TYPE = 'application/offset+octet-stream';
+
+describe('Resumable Upload API Integration Tests', () => {
+  let app;
+  let provider;
+
+  /**
+   * Create an upload session for some content
+   */
+  async function createSession(uploadLength, metadata = 'filename dGVzdC50eHQ=,filetype dGV4dC9wbGFpbg==') {
+    const response = await request(app)
+      .post('/uploads')
+      .set('Upload-Length', String(uploadLength))
+      .set('Upload-Metadata', metadata)
+      .expect(201);
+
+    return response.body.uploadId;
+  }
+
+  /**
+   * Send a chunk to an upload session
+   */
+  function sendChunk(uploadId, offset, content) {
+    return request(app)
+      .patch(`/uploads/${uploadId}`)
+      .set('Content-Type', CHUNK_CONTENT_TYPE)
+      .set('Upload-Offset', String(offset))
+      .send(content);
+  }
+
+  beforeAll(async () => {
+    try {
+      await fs.rm(TEST_ROOT_FOLDER, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore if folder doesn't exist
+    }
+
+    provider = new LocalFileSystemProvider(TEST_ROOT_FOLDER);
+    await provider.initialize();
+
+    app = express();
+    app.use(express.json());
+    app.set('trust proxy', true);
+    app.use('/', initializeRoutes(provider));
+    app.use('/', initializeUploadRoutes(provider, { maxFileSize: 1024 * 1024 }));
+  });
+
+  afterAll(async () => {
+    try {
+      await fs.rm(TEST_ROOT_FOLDER, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore errors
+    }
+  });
+
+  describe('POST /uploads', () => {
+    it('should create a session and return its location', async () => {
+      const response = await request(app)
+        .post('/uploads')
+        .set('Upload-Length', '10')
+        .expect(201);
+
+      expect(response.body.uploadId).toMatch(/^[a-f0-9]{32}$/);
+      expect(response.body.offset).toBe(0);
+      expect(response.headers.location).toBe(`/uploads/${response.body.uploadId}`);
+      expect(response.headers['upload-offset']).toBe('0');
+      expect(response.headers['tus-resumable']).toBe('1.0.0');
+    });
+
+    it('should return 400 if Upload-Length is missing', async () => {
+      const response = await request(app)
+        .post('/uploads')
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid upload length');
+    });
+
+    it('should return 413 if Upload-Length exceeds the maximum file size', async () => {
+      const response = await request(app)
+        .post('/uploads')
+        .set('Upload-Length', String(2 * 1024 * 1024))
+        .expect(413);
+
+      expect(response.body.error).toBe('File too large');
+    });
+  });
+
+  describe('PATCH and HEAD /uploads/:uploadId', () => {
+    it('should append chunks and report the current offset', async () => {
+      const uploadId = await createSession(11);
+
+      const first = await sendChunk(uploadId, 0, Buffer.from('hello ')).expect(204);
+      expect(first.headers['upload-offset']).toBe('6');
+
+      const head = await request(app)
+        .head(`/uploads/${uploadId}`)
+        .expect(200);
+      expect(head.headers['upload-offset']).toBe('6');
+      expect(head.headers['upload-length']).toBe('11');
+      expect(head.headers['cache-control']).toBe('no-store');
+
+      const second = await sendChunk(uploadId, 6, Buffer.from('world')).expect(204);
+      expect(second.headers['upload-offset']).toBe('11');
+    });
+
+    it('should return 409 with the current offset if Upload-Offset does not match', async () => {
+      const uploadId = await createSession(10);
+      await sendChunk(uploadId, 0, Buffer.from('abc')).expect(204);
+
+      const response = await sendChunk(uploadId, 0, Buffer.from('abc')).expect(409);
+
+      expect(response.body.error).toBe('Upload offset mismatch');
+      expect(response.headers['upload-offset']).toBe('3');
+    });
+
+    it('should return 413 if a chunk exceeds the declared length', async () => {
+      const uploadId = await createSession(4);
+
+      const response = await sendChunk(uploadId, 0, Buffer.from('too long')).expect(413);
+
+      expect(response.body.error).toBe('Upload length exceeded');
+    });
+
+    it('should return 415 for chunks with the wrong content type', async () => {
+      const uploadId = await createSession(4);
+
+      await request(app)
+        .patch(`/uploads/${uploadId}`)
+        .set('Content-Type', 'text/plain')
+        .set('Upload-Offset', '0')
+        .send('abcd')
+        .expect(415);
+    });
+
+    it('should return 404 for unknown sessions', async () => {
+      await sendChunk('0'.repeat(32), 0, Buffer.from('abc')).expect(404);
+      await request(app).head(`/uploads/${'0'.repeat(32)}`).expect(404);
+      await sendChunk('../../etc', 0, Buffer.from('abc')).expect(404);
+    });
+  });
+
+  describe('POST /uploads/:uploadId/complete', () => {
+    it('should turn a finished upload into a downloadable file', async () => {
+      const uploadId = await createSession(11);
+      await sendChunk(uploadId, 0, Buffer.from('hello ')).expect(204);
+      await sendChunk(uploadId, 6, Buffer.from('world')).expect(204);
+
+      const response = await request(app)
+        .post(`/uploads/${uploadId}/complete`)
+        .expect(201);
+
+      expect(response.body.publicKey).toBeTruthy();
+      expect(response.body.privateKey).toBeTruthy();
+
+      const download = await request(app)
+        .get(`/files/${response.body.publicKey}`)
+        .expect(200);
+
+      expect(download.text).toBe('hello world');
+      expect(download.headers['content-type']).toBe('text/plain');
+      expect(download.headers['content-disposition']).toContain('test.txt');
+
+      // The keys are returned only once
+      const retry = await request(app)
+        .post(`/uploads/${uploadId}/complete`)
+        .expect(409);
+
+      expect(retry.body.error).toBe('Upload already completed');
+    });
+
+    it('should return 409 if the upload is incomplete', async () => {
+      const uploadId = await createSession(11);
+      await sendChunk(uploadId, 0, Buffer.from('hello')).expect(204);
+
+      const response = await request(app)
+        .post(`/uploads/${uploadId}/complete`)
+        .expect(409);
+
+      expect(response.body.error).toBe('Upload incomplete');
+    });
+
+    it('should lock the session against chunks while it is being completed', async () => {
+      const uploadId = await createSession(2);
+      await sendChunk(uploadId, 0, Buffer.from('ok')).expect(204);
+
+      let release;
+      const completing = new Promise(resolve => {
+        release = resolve;
+      });
+      const complete = provider.completeUploadSession.bind(provider);
+      jest.spyOn(provider, 'completeUploadSession').mockImplementationOnce(async (id) => {
+        await completing;
+        return complete(id);
+      });
+
+      const completion = request(app).post(`/uploads/${uploadId}/complete`).then(response => response);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const locked = await sendChunk(uploadId, 2, Buffer.from('more')).expect(423);
+      release();
+
+      expect(locked.body.error).toBe('Upload locked');
+      expect((await completion).status).toBe(201);
+      expect((await provider.getUploadSession(uploadId)).completed).toBe(true);
+    });
+
+    it('should delete the file if its share settings cannot be saved', async () => {
+      const uploadId = await createSession(2);
+      await sendChunk(uploadId, 0, Buffer.from('ok')).expect(204);
+      const filesBefore = (await provider.listFiles()).length;
+      jest.spyOn(provider, 'updateFileSettings').mockRejectedValueOnce(new Error('Metadata unavailable'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      try {
+        const response = await request(app)
+          .post(`/uploads/${uploadId}/complete`)
+          .send({ maxDownloads: 1, password: 'open sesame' })
+          .expect(500);
+
+        expect(response.body.error).toBe('Upload failed');
+        expect(await provider.listFiles()).toHaveLength(filesBefore);
+      } finally {
+        console.error.mockRestore();
+      }
+    });
+
+    it('should refuse invalid share settings before completing the upload', async () => {
+      const uploadId = await createSession(2);
+      await sendChunk(uploadId, 0, Buffer.from('ok')).expect(204);
+
+      await request(app)
+        .post(`/uploads/${uploadId}/complete`)
+        .send({ maxDownloads: 'many' })
+        .expect(400);
+
+      const response = await request(app)
+        .post(`/uploads/${uploadId}/complete`)
+        .send({ maxDownloads: 1 })
+        .expect(201);
+      expect((await provider.getFileInfo(response.body.publicKey)).maxDownloads).toBe(1);
+    });
+  });
+
+  describe('Content types', () => {
+    let typedApp;
+
+    /**
+     * Create a session on the typed app, send the content in one chunk and complete it
+     * @param {Buffer} content - File content
+     * @param {string} metadata - Upload-Metadata header
+     * @returns {Promise<Object>} - Completion response
+     */
+    async function uploadAndComplete(content, metadata) {
+      const session = await request(typedApp)
+        .post('/uploads')
+        .set('Upload-Length', String(content.length))
+        .set('Upload-Metadata', metadata)
+        .expect(201);
+      await request(typedApp)
+        .patch(`/uploads/${session.body.uploadId}`)
+        .set('Content-Type', CHUNK_CONTENT_TYPE)
+        .set('Upload-Offset', '0')
+        .send(content)
+        .expect(204);
+
+      return request(typedApp).post(`/uploads/${session.body.uploadId}/complete`);
+    }
+
+    /**
+     * Encode tus Upload-Metadata
+     * @param {Object<string, string>} fields - Metadata fields
+     * @returns {string}
+     */
+    function toMetadata(fields) {
+      return Object.entries(fields).map(([key, value]) => `${key} ${Buffer.from(value).toString('base64')}`).join(',');
+    }
+
+    beforeAll(() => {
+      typedApp = express();
+      typedApp.use(express.json());
+      typedApp.use('/', initializeRoutes(provider));
+      typedApp.use('/', initializeUploadRoutes(provider, { allowedTypes: ['image/*', 'text/plain'] }));
+    });
+
+    it('should refuse sessions for declared types that are not accepted', async () => {
+      const response = await request(typedApp)
+        .post('/uploads')
+        .set('Upload-Length', '10')
+        .set('Upload-Metadata', toMetadata({ filename: 'tool.exe', filetype: 'application/x-msdownload' }))
+        .expect(415);
+
+      expect(response.body.error).toBe('File type not allowed');
+    });
+
+    it('should refuse completed uploads whose content contradicts the declared type', async () => {
+      const response = await uploadAndComplete(Buffer.from('not a picture'),
+        toMetadata({ filename: 'photo.png', filetype: 'image/png' }));
+
+      expect(response.status).toBe(415);
+      expect(response.body.error).toBe('File type mismatch');
+      expect(response.body.publicKey).toBeUndefined();
+    });
+
+    it('should check the content of uploads without a declared type', async () => {
+      const refused = await uploadAndComplete(Buffer.from('%PDF-1.7\n'), toMetadata({ filename: 'doc' }));
+      expect(refused.status).toBe(415);
+      expect(refused.body.error).toBe('File type not allowed');
+
+      const accepted = await uploadAndComplete(Buffer.from('just text'), toMetadata({ filename: 'notes' }));
+      expect(accepted.status).toBe(201);
+      const download = await request(typedApp).get(`/files/${accepted.body.publicKey}`).expect(200);
+      expect(download.headers['content-type']).toBe('application/octet-stream');
+    });
+
+    it('should store a cleaned-up file name', async () => {
+      const response = await uploadAndComplete(Buffer.from('text'),
+        toMetadata({ filename: 'naïve "quote".txt', filetype: 'text/plain' }));
+      expect(response.status).toBe(201);
+
+      const download = await request(typedApp).get(`/files/${response.body.publicKey}`).expect(200);
+      expect(download.headers['content-disposition']).toBe(
+        'attachment; filename="na_ve quote.txt"; filename*=UTF-8\'\'na%C3%AFve%20quote.txt'
+      );
+    });
+  });
+
+  describe('Malware scanning', () => {
+    let clamd;
+    let scannedApp;
+
+    /**
+     * Upload content in one chunk and complete the upload
+     * @param {string} content - File content
+     * @returns {Promise<Object>} - Completion response
+     */
+    async function uploadAndComplete(content) {
+      const session = await request(scannedApp)
+        .post('/uploads')
+        .set('Upload-Length', String(Buffer.byteLength(content)))
+        .expect(201);
+      await request(scannedApp)
+        .patch(`/uploads/${session.body.uploadId}`)
+        .set('Content-Type', CHUNK_CONTENT_TYPE)
+        .set('Upload-Offset', '0')
+        .send(content)
+        .expect(204);
+
+      return request(scannedApp).post(`/uploads/${session.body.uploadId}/complete`);
+    }
+
+    beforeAll(async () => {
+      clamd = createFakeClamdServer();
+      const scanner = new ClamdScanner(await clamd.start());
+
+      scannedApp = express();
+      scannedApp.use(express.json());
+      scannedApp.use('/', initializeRoutes(provider, { scanner }));
+      scannedApp.use('/', initializeUploadRoutes(provider, { scanner }));
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterAll(async () => {
+      console.warn.mockRestore();
+      await clamd.stop();
+    });
+
+    it('should scan completed uploads before handing out their keys', async () => {
+      const response = await uploadAndComplete('chunked and clean');
+
+      expect(response.status).toBe(201);
+      expect(response.body.scanStatus).toBe('clean');
+      expect(clamd.scans.map(String)).toEqual(['chunked and clean']);
+      await request(scannedApp).get(`/files/${response.body.publicKey}`).expect(200);
+    });
+
+    it('should reject completed uploads that are infected', async () => {
+      const response = await uploadAndComplete(clamd.eicar);
+
+      expect(response.status).toBe(422);
+      expect(response.body.error).toBe('File infected');
+      expect(response.body.publicKey).toBeUndefined();
+    });
+  });
+
+  describe('API keys', () => {
+    const apiKey = generateApiKey();
+    let account;
+
+    beforeAll(async () => {
+      const store = new MemoryAccountStore([
+        { id: 'uploads', keyHash: hashApiKey(apiKey), maxFileSize: 2 * 1024 * 1024, allowedTypes: ['image/*'] }
+      ]);
+      accountAuth.initialize(store);
+      account = await store.findByKeyHash(hashApiKey(apiKey));
+    });
+
+    afterAll(() => {
+      accountAuth.initialize(null);
+    });
+
+    it('should apply the maximum file size of the account', async () => {
+      const uploadLength = String(1024 * 1024 + 1);
+
+      await request(app).post('/uploads').set('Upload-Length', uploadLength).expect(413);
+      await request(app)
+        .post('/uploads')
+        .set('Authorization', `Bearer ${apiKey}`)
+        .set('Upload-Length', uploadLength)
+        .expect(201);
+    });
+
+    it('should charge chunks to the account and check its types on completion', async () => {
+      const uploadId = (await request(app)
+        .post('/uploads')
+        .set('Authorization', `Bearer ${apiKey}`)
+        .set('Upload-Length', '5')
+        .expect(201)).body.uploadId;
+      await sendChunk(uploadId, 0, Buffer.from('hello')).set('Authorization', `Bearer ${apiKey}`).expect(204);
+
+      const response = await request(app)
+        .post(`/uploads/${uploadId}/complete`)
+        .set('Authorization', `Bearer ${apiKey}`)
+        .expect(415);
+
+      expect(response.body.error).toBe('File type not allowed');
+      expect((await getUsage(account)).upload).toBe(5);
+    });
+  });
+
+  describe('DELETE /uploads/:uploadId', () => {
+    it('should abort a session', async () => {
+      const uploadId = await createSession(10);
+
+      const response = await request(app)
+        .delete(`/uploads/${uploadId}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      await request(app).head(`/uploads/${uploadId}`).expect(404);
+    });
+
+    it('should return 404 if the session does not exist', async () => {
+      await request(app)
+        .delete(`/uploads/${'0'.repeat(32)}`)
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const FileAccountStore = require('../../../src/accounts/FileAccountStore');
+const MemoryAccountStore = require('../../../src/accounts/MemoryAccountStore');
+const AccountStoreFactory = require('../../../src/accounts/AccountStoreFactory');
+const { generateApiKey, hashApiKey, parseAccount } = require('../../../src/accounts/accountRecords');
+
+describe('Account stores', () => {
+  const apiKey = generateApiKey();
+  const record = {
+    id: 'acme',
+    keyHash: hashApiKey(apiKey),
+    uploadLimit: 1024,
+    allowedTypes: ['Image/*', ' application/pdf ']
+  };
+
+  describe('accountRecords', () => {
+    it('should make distinct prefixed keys and hash them', () => {
+      const other = generateApiKey();
+
+      expect(apiKey).toMatch(/^fsk_[A-Za-z0-9_-]{43}$/);
+      expect(other).not.toBe(apiKey);
+      expect(hashApiKey(apiKey)).toMatch(/^[0-9a-f]{64}$/);
+      expect(hashApiKey(apiKey)).not.toBe(hashApiKey(other));
+    });
+
+    it('should normalize records, leaving out limits that were not set', () => {
+      expect(parseAccount(record)).toEqual({
+        id: 'acme',
+        keyHash: record.keyHash,
+        uploadLimit: 1024,
+        downloadLimit: null,
+        maxFileSize: null,
+        allowedTypes: ['image/*', 'application/pdf'],
+        disabled: false
+      });
+      expect(parseAccount({ ...record, allowedTypes: [] }).allowedTypes).toBeNull();
+    });
+
+    it('should refuse invalid records', () => {
+      expect(() => parseAccount({ keyHash: record.keyHash })).toThrow('Account id must be a non-empty string');
+      expect(() => parseAccount({ id: 'acme', keyHash: 'abc' })).toThrow('keyHash');
+      expect(() => parseAccount({ ...record, maxFileSize: -1 })).toThrow('maxFileSize');
+      expect(() => parseAccount({ ...record, downloadLimit: '10' })).toThrow('downloadLimit');
+      expect(() => parseAccount({ ...record, allowedTypes: 'image/*' })).toThrow('allowedTypes');
+    });
+  });
+
+  describe('MemoryAccountStore', () => {
+    it('should find accounts by the hash of their key', async () => {
+      const store = new MemoryAccountStore([record]);
+
+      expect((await store.findByKeyHash(hashApiKey(apiKey))).id).toBe('acme');
+      expect(await store.findByKeyHash(hashApiKey(generateApiKey()))).toBeNull();
+    });
+
+    it('should refuse ids and keys used twice', () => {
+      expect(() => new MemoryAccountStore([record, { ...record, keyHash: hashApiKey('other') }]))
+        .toThrow('Account id acme is used twice');
+      expect(() => new MemoryAccountStore([record, { ...record, id: 'other' }]))
+        .toThrow('Account other has the key of another account');
+    });
+  });
+
+  describe('FileAccountStore', () => {
+    let folder;
+    let filePath;
+
+    /**
+     * Write the accounts file with a modification time that differs from the last one
+     * @param {*} content - Content to save as JSON
+     * @param {number} mtimeSeconds - Modification time
+     */
+    async function writeAccounts(content, mtimeSeconds = 1000) {
+      await fs.writeFile(filePath, JSON.stringify(content));
+      await fs.utimes(filePath, mtimeSeconds, mtimeSeconds);
+    }
+
+    beforeEach(async () => {
+      folder = await fs.mkdtemp(path.join(os.tmpdir(), 'account-store-'));
+      filePath = path.join(folder, 'accounts.json');
+    });
+
+    afterEach(async () => {
+      jest.restoreAllMocks();
+      await fs.rm(folder, { recursive: true, force: true });
+    });
+
+    it('should load the accounts of the file', async () => {
+      await writeAccounts({ accounts: [record] });
+      const store = new FileAccountStore(filePath);
+      await store.initialize();
+
+      expect(await store.findByKeyHash(record.keyHash)).toMatchObject({ id: 'acme', uploadLimit: 1024 });
+    });
+
+    it('should refuse to start with a missing or invalid file', async () => {
+      await expect(new FileAccountStore(filePath).initialize()).rejects.toThrow();
+
+      await fs.writeFile(filePath, '{"accounts": [');
+      await expect(new FileAccountStore(filePath).initialize()).rejects.toThrow('could not be read');
+
+      await writeAccounts({ accounts: [{ id: 'acme' }] });
+      await expect(new FileAccountStore(filePath).initialize()).rejects.toThrow('keyHash');
+    });
+
+    it('should pick up changes to the file', async () => {
+      await writeAccounts({ accounts: [record] });
+      const store = new FileAccountStore(filePath);
+      await store.initialize();
+
+      await writeAccounts({ accounts: [{ ...record, disabled: true }] }, 2000);
+      // Checks for changes are spaced out
+      expect((await store.findByKeyHash(record.keyHash)).disabled).toBe(false);
+
+      store.checkedAt = 0;
+      expect((await store.findByKeyHash(record.keyHash)).disabled).toBe(true);
+    });
+
+    it('should keep the accounts it has when a changed file is invalid', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      await writeAccounts({ accounts: [record] });
+      const store = new FileAccountStore(filePath);
+      await store.initialize();
+
+      await writeAccounts({ accounts: [record, record] }, 2000);
+      store.checkedAt = 0;
+
+      expect((await store.findByKeyHash(record.keyHash)).id).toBe('acme');
+      expect(console.warn).toHaveBeenCalledWith('Accounts were not reloaded:', 'Account id acme is used twice');
+    });
+  });
+
+  describe('AccountStoreFactory', () => {
+    it('should create no store by default', async () => {
+      expect(await AccountStoreFactory.createAccountStore()).toBeNull();
+    });
+
+    it('should require a file for the file store', async () => {
+      await expect(AccountStoreFactory.createAccountStore('file'))
+        .rejects.toThrow('ACCOUNTS_FILE environment variable is required for file account store');
+    });
+
+    it('should refuse unknown store types', async () => {
+      await expect(AccountStoreFactory.createAccountStore('ldap')).rejects.toThrow('Unknown account store type: ldap');
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const {
+  decodeMultipartFilename,
+  sanitizeFilename,
+  formatContentDisposition
+} = require('../../../src/api/contentDisposition');
+
+describe('contentDisposition', () => {
+  describe('sanitizeFilename', () => {
+    it('should remove characters that could break a header or a path', () => {
+      expect(sanitizeFilename('evil"\r\nSet-Cookie: a=b.txt', 'upload')).toBe('evilSet-Cookie: a=b.txt');
+      expect(sanitizeFilename('..\\..\\etc/passwd', 'upload')).toBe('etcpasswd');
+      expect(sanitizeFilename(' report.pdf. ', 'upload')).toBe('report.pdf');
+    });
+
+    it('should fall back for names with nothing left', () => {
+      expect(sanitizeFilename('..', 'upload')).toBe('upload');
+      expect(sanitizeFilename('\u0000\u0007', 'upload')).toBe('upload');
+      expect(sanitizeFilename(undefined, 'upload')).toBe('upload');
+    });
+
+    it('should cut long names down without splitting characters', () => {
+      const name = sanitizeFilename('😀'.repeat(300), 'upload');
+      expect(Array.from(name)).toHaveLength(255);
+      expect(name).toBe('😀'.repeat(255));
+    });
+  });
+
+  describe('decodeMultipartFilename', () => {
+    it('should recover UTF-8 names read as Latin-1', () => {
+      expect(decodeMultipartFilename(Buffer.from('résumé.txt').toString('latin1'))).toBe('résumé.txt');
+    });
+
+    it('should keep names that are not UTF-8 that way', () => {
+      expect(decodeMultipartFilename('café.txt')).toBe('café.txt');
+      expect(decodeMultipartFilename('plain.txt')).toBe('plain.txt');
+      expect(decodeMultipartFilename('日本.txt')).toBe('日本.txt');
+    });
+  });
+
+  describe('formatContentDisposition', () => {
+    it('should quote plain ASCII names only', () => {
+      expect(formatContentDisposition('report 2024.pdf')).toBe('attachment; filename="report 2024.pdf"');
+    });
+
+    it('should add the exact name in RFC 5987 form for other names', () => {
+      expect(formatContentDisposition('résumé.txt')).toBe(
+        'attachment; filename="r_sum_.txt"; filename*=UTF-8\'\'r%C3%A9sum%C3%A9.txt'
+      );
+      expect(formatContentDisposition('a (1)\'s.txt', 'inline')).toBe('inline; filename="a (1)\'s.txt"');
+    });
+
+    it('should never emit quotes or line breaks of the name', () => {
+      const header = formatContentDisposition('x"; filename*=UTF-8\'\'evil.html\r\nX-Injected: 1');
+
+      expect(header).not.toMatch(/[\r\n]/);
+      expect(header.match(/"/g)).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const {
+  sniffMimeType,
+  normalizeMimeType,
+  isDangerousType,
+  resolveMimeType,
+  parseTypeList,
+  isTypeAllowed
+} = require('../../../src/api/contentType');
+
+// First bytes of a PNG image
+const PNG = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00, 0x00, 0x00, 0x0D]);
+
+// First bytes of a ZIP archive
+const ZIP = Buffer.from([0x50, 0x4B, 0x03, 0x04, 0x14, 0x00, 0x00, 0x00]);
+
+describe('contentType', () => {
+  describe('sniffMimeType', () => {
+    it('should detect binary formats by their signature', () => {
+      expect(sniffMimeType(PNG)).toBe('image/png');
+      expect(sniffMimeType(Buffer.from([0xFF, 0xD8, 0xFF, 0xE0]))).toBe('image/jpeg');
+      expect(sniffMimeType(Buffer.from('GIF89a\x01\x00', 'latin1'))).toBe('image/gif');
+      expect(sniffMimeType(Buffer.from('%PDF-1.7\n'))).toBe('application/pdf');
+      expect(sniffMimeType(ZIP)).toBe('application/zip');
+      expect(sniffMimeType(Buffer.from('RIFF\x24\x00\x00\x00WEBPVP8 ', 'latin1'))).toBe('image/webp');
+      expect(sniffMimeType(Buffer.from('MZ\x90\x00\x03\x00', 'latin1'))).toBe('application/x-msdownload');
+      expect(sniffMimeType(Buffer.from('\x7FELF\x02\x01', 'latin1'))).toBe('application/x-executable');
+    });
+
+    it('should detect signatures that do not start the file', () => {
+      const tar = Buffer.alloc(512);
+      tar.write('notes.txt');
+      tar.write('ustar', 257);
+      expect(sniffMimeType(tar)).toBe('application/x-tar');
+
+      expect(sniffMimeType(Buffer.from('\x00\x00\x00\x18ftypmp42', 'latin1'))).toBe('video/mp4');
+      expect(sniffMimeType(Buffer.from('\x00\x00\x00\x18ftypqt  ', 'latin1'))).toBe('video/quicktime');
+    });
+
+    it('should tell text from unknown binary content', () => {
+      expect(sniffMimeType(Buffer.from('plain words\r\nand more\t'))).toBe('text/plain');
+      expect(sniffMimeType(Buffer.from('größe 😀'))).toBe('text/plain');
+      expect(sniffMimeType(Buffer.from([0x01, 0x02, 0x03, 0x04]))).toBeNull();
+    });
+
+    it('should detect markup that browsers would render', () => {
+      expect(sniffMimeType(Buffer.from('\n  <!DOCTYPE html><p>hi'))).toBe('text/html');
+      expect(sniffMimeType(Buffer.from('<script>alert(1)</script>'))).toBe('text/html');
+      expect(sniffMimeType(Buffer.from('\uFEFF<HTML>'))).toBe('text/html');
+      expect(sniffMimeType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>'))).toBe('image/svg+xml');
+      expect(sniffMimeType(Buffer.from('<?xml version="1.0"?>\n<svg onload="x()"/>'))).toBe('image/svg+xml');
+      expect(sniffMimeType(Buffer.from('<?xml version="1.0"?><feed/>'))).toBe('application/xml');
+      expect(sniffMimeType(Buffer.from('<anchor> is not a tag browsers sniff'))).toBe('text/plain');
+    });
+  });
+
+  describe('normalizeMimeType', () => {
+    it('should lowercase types and drop parameters', () => {
+      expect(normalizeMimeType('Text/Plain; charset=UTF-8')).toBe('text/plain');
+    });
+
+    it('should refuse values that are not types', () => {
+      expect(normalizeMimeType(undefined)).toBeNull();
+      expect(normalizeMimeType('')).toBeNull();
+      expect(normalizeMimeType('text')).toBeNull();
+      expect(normalizeMimeType('text/plain\r\nX-Injected: 1')).toBeNull();
+    });
+  });
+
+  describe('isDangerousType', () => {
+    it('should flag types browsers render as active content', () => {
+      for (const type of ['text/html', 'image/svg+xml', 'application/xhtml+xml', 'text/xml', 'application/rss+xml', 'text/javascript']) {
+        expect(isDangerousType(type)).toBe(true);
+      }
+      for (const type of ['text/plain', 'image/png', 'application/pdf', 'application/json']) {
+        expect(isDangerousType(type)).toBe(false);
+      }
+    });
+  });
+
+  describe('resolveMimeType', () => {
+    it('should prefer the detected format over the declared type', () => {
+      expect(resolveMimeType(PNG, 'text/plain')).toBe('image/png');
+      expect(resolveMimeType(Buffer.from('<html><body>'), 'text/plain')).toBe('text/html');
+    });
+
+    it('should keep declared formats stored in the detected container', () => {
+      const docx = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+      expect(resolveMimeType(ZIP, docx)).toBe(docx);
+      expect(resolveMimeType(ZIP, 'image/png')).toBe('application/zip');
+    });
+
+    it('should keep declared text types for text that is not markup', () => {
+      expect(resolveMimeType(Buffer.from('a,b\n1,2\n'), 'text/csv')).toBe('text/csv');
+      expect(resolveMimeType(Buffer.from('{"a": 1}'), 'application/json; charset=utf-8')).toBe('application/json');
+      expect(resolveMimeType(Buffer.from('alert(1)'), 'text/javascript')).toBe('text/plain');
+      expect(resolveMimeType(Buffer.from('hello'), 'image/png')).toBe('text/plain');
+    });
+
+    it('should only keep declared types for unknown binary content that they could describe', () => {
+      const unknown = Buffer.from([0x01, 0x02, 0x03]);
+      expect(resolveMimeType(unknown, 'application/x-custom')).toBe('application/x-custom');
+      expect(resolveMimeType(unknown, 'image/png')).toBe('application/octet-stream');
+      expect(resolveMimeType(unknown, 'text/html')).toBe('application/octet-stream');
+      expect(resolveMimeType(unknown, undefined)).toBe('application/octet-stream');
+    });
+  });
+
+  describe('isTypeAllowed', () => {
+    it('should parse comma-separated lists', () => {
+      expect(parseTypeList(' image/*, Application/PDF ,,')).toEqual(['image/*', 'application/pdf']);
+      expect(parseTypeList(undefined)).toEqual([]);
+    });
+
+    it('should allow everything that is not denied without an allow list', () => {
+      expect(isTypeAllowed('application/x-msdownload', { allowed: [], denied: [] })).toBe(true);
+      expect(isTypeAllowed('application/x-msdownload', { denied: ['application/x-msdownload'] })).toBe(false);
+    });
+
+    it('should match whole top-level types and let the deny list win', () => {
+      const policy = { allowed: ['image/*', 'application/pdf'], denied: ['image/svg+xml'] };
+
+      expect(isTypeAllowed('image/png', policy)).toBe(true);
+      expect(isTypeAllowed('application/pdf', policy)).toBe(true);
+      expect(isTypeAllowed('image/svg+xml', policy)).toBe(false);
+      expect(isTypeAllowed('text/plain', policy)).toBe(false);
+      expect(isTypeAllowed('imagex/png', policy)).toBe(false);
+    });
+  });
+});
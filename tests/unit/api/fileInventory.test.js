@@ -0,0 +1,202 @@
+const {
+  MAX_PAGE_SIZE,
+  parseInventoryFilters,
+  parsePage,
+  matchesFilters,
+  sortNewestFirst,
+  toInventoryEntry,
+  summarizeFiles
+} = require('../../../src/api/fileInventory');
+
+describe('fileInventory', () => {
+  /**
+   * Make a stored file as returned by StorageProvider.listFiles
+   * @param {Object} [fields] - Fields of the stored file and its info
+   * @returns {StoredFile}
+   */
+  function storedFile({ privateKey = 'key', uploader = null, storedSize = 100, ...info } = {}) {
+    return {
+      privateKey,
+      uploader,
+      storedSize,
+      shareTokens: 0,
+      zeroKnowledge: false,
+      info: {
+        originalName: 'file.txt',
+        mimeType: 'text/plain',
+        fileSize: storedSize,
+        createdAt: new Date('2024-06-01T00:00:00.000Z'),
+        lastAccessed: null,
+        expiresAt: null,
+        maxDownloads: null,
+        downloadCount: 0,
+        passwordHash: null,
+        scanStatus: null,
+        bundle: false,
+        ...info
+      }
+    };
+  }
+
+  describe('parseInventoryFilters', () => {
+    it('should parse valid filters and leave out empty ones', () => {
+      expect(parseInventoryFilters({
+        minSize: '10',
+        maxSize: '',
+        type: 'Image/*, application/pdf',
+        createdAfter: '2024-06-01',
+        accessedBefore: '2024-06-02T12:00:00Z',
+        uploader: '203.0.113.7',
+        other: 'ignored'
+      })).toEqual({
+        minSize: 10,
+        types: ['image/*', 'application/pdf'],
+        createdAfter: new Date('2024-06-01T00:00:00.000Z'),
+        accessedBefore: new Date('2024-06-02T12:00:00.000Z'),
+        uploader: '203.0.113.7'
+      });
+      expect(parseInventoryFilters({})).toEqual({});
+    });
+
+    it('should refuse invalid filters', () => {
+      expect(() => parseInventoryFilters({ minSize: '-1' })).toThrow('minSize must be a non-negative integer');
+      expect(() => parseInventoryFilters({ maxSize: '1.5' })).toThrow('maxSize must be a non-negative integer');
+      expect(() => parseInventoryFilters({ createdBefore: 'yesterday' })).toThrow('createdBefore must be a valid date');
+      expect(() => parseInventoryFilters({ accessedAfter: ['2024-06-01'] })).toThrow('accessedAfter must be a valid date');
+      expect(() => parseInventoryFilters({ type: ['image/*', 'text/*'] })).toThrow('type must be');
+      expect(() => parseInventoryFilters({ uploader: { ip: 'x' } })).toThrow('uploader must be');
+    });
+  });
+
+  describe('parsePage', () => {
+    it('should default to the first 50 files', () => {
+      expect(parsePage({})).toEqual({ limit: 50, offset: 0 });
+      expect(parsePage({ limit: '10', offset: '20' })).toEqual({ limit: 10, offset: 20 });
+    });
+
+    it('should refuse limits out of range and invalid offsets', () => {
+      expect(() => parsePage({ limit: '0' })).toThrow(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+      expect(() => parsePage({ limit: String(MAX_PAGE_SIZE + 1) })).toThrow('limit must be between');
+      expect(() => parsePage({ offset: 'next' })).toThrow('offset must be a non-negative integer');
+    });
+  });
+
+  describe('matchesFilters', () => {
+    const file = storedFile({
+      mimeType: 'image/png',
+      storedSize: 100,
+      uploader: '203.0.113.7',
+      lastAccessed: new Date('2024-06-10T00:00:00.000Z')
+    });
+
+    it('should keep files within every filter', () => {
+      expect(matchesFilters(file, {})).toBe(true);
+      expect(matchesFilters(file, parseInventoryFilters({
+        minSize: '100',
+        maxSize: '100',
+        type: 'image/*',
+        createdAfter: '2024-06-01T00:00:00Z',
+        createdBefore: '2024-06-01T00:00:01Z',
+        accessedAfter: '2024-06-10T00:00:00Z',
+        uploader: '203.0.113.7'
+      }))).toBe(true);
+    });
+
+    it('should drop files outside any filter', () => {
+      for (const query of [
+        { minSize: '101' },
+        { maxSize: '99' },
+        { type: 'text/*' },
+        { createdAfter: '2024-06-01T00:00:01Z' },
+        { createdBefore: '2024-06-01T00:00:00Z' },
+        { accessedAfter: '2024-06-11' },
+        { accessedBefore: '2024-06-10' },
+        { uploader: 'account:acme' }
+      ]) {
+        expect(matchesFilters(file, parseInventoryFilters(query))).toBe(false);
+      }
+    });
+
+    it('should count the upload as activity of files never downloaded', () => {
+      const fresh = storedFile();
+
+      expect(matchesFilters(fresh, parseInventoryFilters({ accessedBefore: '2024-06-02' }))).toBe(true);
+      expect(matchesFilters(fresh, parseInventoryFilters({ accessedAfter: '2024-06-02' }))).toBe(false);
+    });
+
+    it('should leave files of unknown type out of type filters', () => {
+      const hidden = storedFile({ mimeType: null, originalName: null });
+
+      expect(matchesFilters(hidden, parseInventoryFilters({ type: '*/*' }))).toBe(false);
+      expect(matchesFilters(hidden, parseInventoryFilters({ minSize: '1' }))).toBe(true);
+    });
+  });
+
+  describe('sortNewestFirst', () => {
+    it('should sort by upload time and then by private key', () => {
+      const older = storedFile({ privateKey: 'a', createdAt: new Date('2024-05-01T00:00:00.000Z') });
+      const first = storedFile({ privateKey: 'b' });
+      const second = storedFile({ privateKey: 'c' });
+
+      expect(sortNewestFirst([older, second, first])).toEqual([first, second, older]);
+    });
+  });
+
+  describe('toInventoryEntry', () => {
+    it('should describe a file without its public key or password hash', () => {
+      const file = storedFile({
+        privateKey: 'secret',
+        uploader: '203.0.113.7',
+        storedSize: 150,
+        fileSize: 100,
+        maxDownloads: 1,
+        downloadCount: 1,
+        passwordHash: 'scrypt$hash'
+      });
+
+      expect(toInventoryEntry(file, new Date('2024-06-02T00:00:00.000Z'))).toEqual({
+        privateKey: 'secret',
+        originalName: 'file.txt',
+        mimeType: 'text/plain',
+        fileSize: 100,
+        storedSize: 150,
+        uploader: '203.0.113.7',
+        createdAt: '2024-06-01T00:00:00.000Z',
+        lastAccessed: null,
+        expiresAt: null,
+        downloadCount: 1,
+        maxDownloads: 1,
+        status: 'exhausted',
+        scanStatus: null,
+        bundle: false,
+        passwordProtected: true,
+        zeroKnowledge: false,
+        shareTokens: 0
+      });
+    });
+  });
+
+  describe('summarizeFiles', () => {
+    it('should count files and bytes and rank uploaders by bytes stored', () => {
+      const files = [
+        storedFile({ uploader: '203.0.113.7', storedSize: 10 }),
+        storedFile({ uploader: '203.0.113.7', storedSize: 20 }),
+        storedFile({ uploader: 'account:acme', storedSize: 50 }),
+        storedFile({ uploader: '203.0.113.8', storedSize: 30 }),
+        storedFile({ storedSize: 1000 })
+      ];
+
+      expect(summarizeFiles(files)).toEqual({
+        count: 5,
+        totalBytes: 1110,
+        topUploaders: [
+          { uploader: 'account:acme', count: 1, totalBytes: 50 },
+          { uploader: '203.0.113.7', count: 2, totalBytes: 30 },
+          { uploader: '203.0.113.8', count: 1, totalBytes: 30 }
+        ]
+      });
+      expect(summarizeFiles(files, 1).topUploaders).toHaveLength(1);
+      expect(summarizeFiles([])).toEqual({ count: 0, totalBytes: 0, topUploaders: [] });
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const {
+  parseDisposition,
+  isInlineType,
+  getInlineHeaders,
+  getInlineRedirect
+} = require('../../../src/api/inlineContent');
+
+describe('inlineContent', () => {
+  describe('parseDisposition', () => {
+    it('should default to attachment and accept inline', () => {
+      expect(parseDisposition(undefined)).toBe('attachment');
+      expect(parseDisposition('attachment')).toBe('attachment');
+      expect(parseDisposition('inline')).toBe('inline');
+    });
+
+    it('should refuse other values', () => {
+      expect(() => parseDisposition('INLINE')).toThrow(new Error('Invalid disposition'));
+      expect(() => parseDisposition(['inline', 'inline'])).toThrow(new Error('Invalid disposition'));
+    });
+  });
+
+  describe('isInlineType', () => {
+    it('should show images, audio, video, PDF and plain text by default', () => {
+      for (const type of ['image/png', 'audio/mpeg', 'video/mp4', 'application/pdf', 'text/plain']) {
+        expect(isInlineType(type)).toBe(true);
+      }
+      for (const type of ['application/zip', 'application/json', 'text/csv', null]) {
+        expect(isInlineType(type)).toBe(false);
+      }
+    });
+
+    it('should never show active content, whatever the list says', () => {
+      expect(isInlineType('image/svg+xml')).toBe(false);
+      expect(isInlineType('text/html', { types: ['*/*'] })).toBe(false);
+      expect(isInlineType('application/json', { types: ['*/*'] })).toBe(true);
+    });
+
+    it('should show nothing with an empty list', () => {
+      expect(isInlineType('image/png', { types: [] })).toBe(false);
+    });
+  });
+
+  describe('getInlineHeaders', () => {
+    it('should sandbox the content and keep it to itself', () => {
+      const headers = getInlineHeaders();
+
+      expect(headers['Content-Security-Policy']).toMatch(/^sandbox;/);
+      expect(headers['Content-Security-Policy']).toContain("default-src 'none'");
+      expect(headers['Cross-Origin-Opener-Policy']).toBe('same-origin');
+      expect(headers['Cross-Origin-Resource-Policy']).toBe('same-site');
+      expect(headers['Referrer-Policy']).toBe('no-referrer');
+    });
+
+    it('should take configured policies', () => {
+      const headers = getInlineHeaders({ contentSecurityPolicy: "default-src 'none'", resourcePolicy: 'cross-origin' });
+
+      expect(headers['Content-Security-Policy']).toBe("default-src 'none'");
+      expect(headers['Cross-Origin-Resource-Policy']).toBe('cross-origin');
+    });
+  });
+
+  describe('getInlineRedirect', () => {
+    const origin = 'https://usercontent.example.com/';
+
+    it('should send requests to the inline origin, keeping path and query', () => {
+      const req = { hostname: 'share.example.com', originalUrl: '/files/abc?disposition=inline&token=t' };
+
+      expect(getInlineRedirect(req, { origin })).toBe('https://usercontent.example.com/files/abc?disposition=inline&token=t');
+    });
+
+    it('should serve requests that already arrived on the inline origin, or without one', () => {
+      expect(getInlineRedirect({ hostname: 'usercontent.example.com', originalUrl: '/files/abc' }, { origin })).toBeNull();
+      expect(getInlineRedirect({ hostname: 'share.example.com', originalUrl: '/files/abc' })).toBeNull();
+    });
+
+    it('should refuse inline origins that are not http or https', () => {
+      expect(() => getInlineRedirect({ hostname: 'a', originalUrl: '/' }, { origin: 'not a url' })).toThrow(/INLINE_ORIGIN/);
+      expect(() => getInlineRedirect({ hostname: 'a', originalUrl: '/' }, { origin: 'ftp://files.example.com' })).toThrow(/INLINE_ORIGIN/);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const sharp = require('sharp');
+const { parseThumbnailRequest, assertThumbnailSource, renderThumbnail } = require('../../../src/api/thumbnails');
+
+/**
+ * Make an image of a single color
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {string} format - Output format
+ * @returns {Promise<Buffer>}
+ */
+function createImage(width, height, format = 'png') {
+  return sharp({ create: { width, height, channels: 4, background: { r: 200, g: 40, b: 40, alpha: 0.5 } } })
+    .toFormat(format)
+    .toBuffer();
+}
+
+describe('thumbnails', () => {
+  describe('parseThumbnailRequest', () => {
+    const sizes = [64, 128, 256];
+
+    it('should round the box up to the next size and name the variant after it', () => {
+      expect(parseThumbnailRequest({ w: '100', h: '64', format: 'webp' }, { sizes })).toEqual({
+        width: 128,
+        height: 64,
+        format: 'webp',
+        mimeType: 'image/webp',
+        variant: 'thumbnail-128x64.webp'
+      });
+    });
+
+    it('should leave out sides that were not given and default to a JPEG in the default box', () => {
+      expect(parseThumbnailRequest({ w: '10' }, { sizes })).toMatchObject({ width: 64, height: null, variant: 'thumbnail-64xauto.jpeg' });
+      expect(parseThumbnailRequest({}, { sizes })).toMatchObject({ width: 256, height: 256, format: 'jpeg' });
+      expect(parseThumbnailRequest({ format: 'JPG' }, { sizes }).format).toBe('jpeg');
+    });
+
+    it('should refuse sizes beyond the largest step and unknown formats', () => {
+      expect(() => parseThumbnailRequest({ w: '257' }, { sizes })).toThrow(new Error('Invalid thumbnail size'));
+      expect(() => parseThumbnailRequest({ w: '0' }, { sizes })).toThrow(new Error('Invalid thumbnail size'));
+      expect(() => parseThumbnailRequest({ h: '1.5' }, { sizes })).toThrow(new Error('Invalid thumbnail size'));
+      expect(() => parseThumbnailRequest({ w: ['64', '64'] }, { sizes })).toThrow(new Error('Invalid thumbnail size'));
+      expect(() => parseThumbnailRequest({ format: 'gif' }, { sizes })).toThrow(new Error('Invalid thumbnail format'));
+      expect(() => parseThumbnailRequest({ format: 'constructor' }, { sizes })).toThrow(new Error('Invalid thumbnail format'));
+    });
+  });
+
+  describe('assertThumbnailSource', () => {
+    it('should only accept raster images up to the size limit', () => {
+      expect(() => assertThumbnailSource({ mimeType: 'image/png', fileSize: 10 }, { maxInputSize: 10 })).not.toThrow();
+      expect(() => assertThumbnailSource({ mimeType: 'image/png', fileSize: 11 }, { maxInputSize: 10 }))
+        .toThrow(new Error('Image too large'));
+      expect(() => assertThumbnailSource({ mimeType: 'image/svg+xml', fileSize: 10 }))
+        .toThrow(new Error('Thumbnail not available'));
+      expect(() => assertThumbnailSource({ mimeType: 'application/pdf', fileSize: 10 }))
+        .toThrow(new Error('Thumbnail not available'));
+    });
+  });
+
+  describe('renderThumbnail', () => {
+    it('should fit the image into the box keeping its aspect ratio', async () => {
+      const thumbnail = await renderThumbnail(await createImage(400, 200), { width: 100, height: 100, format: 'webp' });
+
+      const metadata = await sharp(thumbnail).metadata();
+      expect(metadata).toMatchObject({ format: 'webp', width: 100, height: 50 });
+    });
+
+    it('should never enlarge images and flatten transparency into JPEG', async () => {
+      const thumbnail = await renderThumbnail(await createImage(40, 30), { width: 256, height: null, format: 'jpeg' });
+
+      const metadata = await sharp(thumbnail).metadata();
+      expect(metadata).toMatchObject({ format: 'jpeg', width: 40, height: 30, hasAlpha: false });
+    });
+
+    it('should refuse images with more pixels than allowed before decoding them', async () => {
+      const image = await createImage(100, 100);
+
+      await expect(renderThumbnail(image, { width: 64, height: 64, format: 'png' }, { maxPixels: 5000 }))
+        .rejects.toThrow(new Error('Image too large'));
+    });
+
+    it('should refuse content that is not a supported raster image', async () => {
+      const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"/>');
+
+      await expect(renderThumbnail(svg, { width: 64, height: 64, format: 'png' })).rejects.toThrow(new Error('Invalid image'));
+      await expect(renderThumbnail(Buffer.from('not an image'), { width: 64, height: 64, format: 'png' }))
+        .rejects.toThrow(new Error('Invalid image'));
+      const truncated = (await createImage(64, 64, 'jpeg')).subarray(0, 200);
+      await expect(renderThumbnail(truncated, { width: 64, height: 64, format: 'png' })).rejects.toThrow(new Error('Invalid image'));
+    });
+  });
+});
@@ -0,0 +1,65 @@
+const { Readable } = require('stream');
+const { createZipArchive } = require('../../../src/api/zipArchive');
+const { streamToBuffer } = require('../../../src/storage/streamUtils');
+const { readZip } = require('../../helpers/zipReader');
+
+describe('createZipArchive', () => {
+  /**
+   * Build an archive of in-memory entries
+   * @param {Array<{name: string, content: Buffer}>} files - Entries
+   * @returns {{stream: Readable, contentLength: number, payloadBytes: Function}}
+   */
+  function archiveOf(files) {
+    return createZipArchive(
+      files.map(file => ({ name: file.name, size: file.content.length, modified: new Date('2024-05-06T07:08:10Z') })),
+      index => Promise.resolve(Readable.from([files[index].content]))
+    );
+  }
+
+  it('should produce an archive of exactly the announced length', async () => {
+    const files = [
+      { name: 'a.txt', content: Buffer.from('alpha') },
+      { name: 'empty.bin', content: Buffer.alloc(0) },
+      { name: 'größe.txt', content: Buffer.alloc(70000, 1) }
+    ];
+    const archive = archiveOf(files);
+
+    const content = await streamToBuffer(archive.stream);
+
+    expect(content.length).toBe(archive.contentLength);
+    expect(archive.payloadBytes()).toBe(70005);
+    expect(readZip(content).map(entry => entry.name)).toEqual(['a.txt', 'empty.bin', 'größe.txt']);
+  });
+
+  it('should keep entry names inside the extraction folder and unique', async () => {
+    const archive = archiveOf([
+      { name: '../../etc/passwd', content: Buffer.from('1') },
+      { name: '..', content: Buffer.from('2') },
+      { name: 'Report.pdf', content: Buffer.from('3') },
+      { name: 'report.pdf', content: Buffer.from('4') }
+    ]);
+
+    const entries = readZip(await streamToBuffer(archive.stream));
+
+    expect(entries.map(entry => entry.name)).toEqual(['.._.._etc_passwd', 'file', 'Report.pdf', 'report (1).pdf']);
+  });
+
+  it('should fail when an entry is not the declared size', async () => {
+    const archive = createZipArchive(
+      [{ name: 'short.txt', size: 10 }],
+      () => Promise.resolve(Readable.from([Buffer.from('short')]))
+    );
+
+    await expect(streamToBuffer(archive.stream)).rejects.toThrow('Archive entry is smaller than declared');
+  });
+
+  it('should announce ZIP64 records for entries beyond 4 GiB', () => {
+    const size = 5 * 1024 * 1024 * 1024;
+    const archive = createZipArchive([{ name: 'big.bin', size }], () => Promise.reject(new Error('not read')));
+
+    // Local header and ZIP64 extra, content, 64-bit data descriptor, central header with
+    // both sizes, ZIP64 end record and locator, end record
+    const expected = (30 + 7 + 20) + size + 24 + (46 + 7 + 20) + 56 + 20 + 22;
+    expect(archive.contentLength).toBe(expected);
+  });
+});
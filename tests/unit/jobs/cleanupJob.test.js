@@ -45,6 +45,26 @@ describe('cleanupJob', () => {
       expect(mockStorageProvider.deleteFile).toHaveBeenCalledTimes(2);
     });
 
+    it('should also delete expired files', async () => {
+      mockStorageProvider.getExpiredFiles = jest.fn().mockResolvedValue([
+        { privateKey: 'key2' },
+        { privateKey: 'key3' }
+      ]);
+      cleanupJob.initialize(mockStorageProvider);
+
+      mockStorageProvider.getInactiveFiles.mockResolvedValue([
+        { privateKey: 'key1' },
+        { privateKey: 'key2' }
+      ]);
+      mockStorageProvider.deleteFile.mockResolvedValue(true);
+
+      const deletedCount = await cleanupJob.runCleanup();
+
+      expect(deletedCount).toBe(3);
+      expect(mockStorageProvider.deleteFile).toHaveBeenCalledTimes(3);
+      expect(mockStorageProvider.deleteFile).toHaveBeenCalledWith('key3');
+    });
+
     it('should handle errors gracefully', async () => {
       cleanupJob.initialize(mockStorageProvider);
 
@@ -69,6 +89,67 @@ describe('cleanupJob', () => {
     });
   });
 
+  describe('cleanupUploadSessions', () => {
+    it('should delete stale upload sessions during cleanup', async () => {
+      mockStorageProvider.getStaleUploadSessions = jest.fn().mockResolvedValue([
+        { uploadId: 'session1' }
+      ]);
+      mockStorageProvider.deleteUploadSession = jest.fn().mockResolvedValue(true);
+      mockStorageProvider.getInactiveFiles.mockResolvedValue([]);
+      cleanupJob.initialize(mockStorageProvider);
+
+      await cleanupJob.runCleanup();
+
+      expect(mockStorageProvider.deleteUploadSession).toHaveBeenCalledWith('session1');
+      expect(await cleanupJob.cleanupUploadSessions()).toBe(1);
+    });
+
+    it('should skip providers without upload session support', async () => {
+      cleanupJob.initialize(mockStorageProvider);
+
+      expect(await cleanupJob.cleanupUploadSessions()).toBe(0);
+    });
+  });
+
+  describe('getDeletionTime', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    const now = new Date('2024-06-01T12:00:00Z');
+
+    /**
+     * Build file info for a share
+     * @param {Object} [overrides] - Fields to change
+     * @returns {Object}
+     */
+    function fileInfo(overrides = {}) {
+      return {
+        createdAt: new Date(now.getTime() - DAY),
+        lastAccessed: null,
+        expiresAt: null,
+        maxDownloads: null,
+        downloadCount: 0,
+        ...overrides
+      };
+    }
+
+    it('should count the inactivity period from the last access, or the upload', () => {
+      const lastAccessed = new Date(now.getTime() - 2 * 60 * 60 * 1000);
+
+      expect(cleanupJob.getDeletionTime(fileInfo(), now)).toEqual(new Date(now.getTime() + 29 * DAY));
+      expect(cleanupJob.getDeletionTime(fileInfo({ lastAccessed }), now))
+        .toEqual(new Date(lastAccessed.getTime() + 30 * DAY));
+    });
+
+    it('should use an earlier share expiry', () => {
+      const expiresAt = new Date(now.getTime() + DAY);
+
+      expect(cleanupJob.getDeletionTime(fileInfo({ expiresAt }), now)).toEqual(expiresAt);
+    });
+
+    it('should be due now for used up shares', () => {
+      expect(cleanupJob.getDeletionTime(fileInfo({ maxDownloads: 1, downloadCount: 1 }), now)).toEqual(now);
+    });
+  });
+
   describe('stop', () => {
     it('should stop the cleanup job', () => {
       cleanupJob.initialize(mockStorageProvider);
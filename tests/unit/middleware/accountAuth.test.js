@@ -0,0 +1,108 @@
+const { initialize, authenticate, getUploadPolicy } = require('../../../src/middleware/accountAuth');
+const MemoryAccountStore = require('../../../src/accounts/MemoryAccountStore');
+const { generateApiKey, hashApiKey } = require('../../../src/accounts/accountRecords');
+
+describe('accountAuth', () => {
+  const apiKey = generateApiKey();
+  const disabledKey = generateApiKey();
+  let req, res, next;
+
+  beforeEach(() => {
+    initialize(new MemoryAccountStore([
+      { id: 'acme', keyHash: hashApiKey(apiKey), maxFileSize: 2048, allowedTypes: ['image/*'] },
+      { id: 'gone', keyHash: hashApiKey(disabledKey), disabled: true }
+    ]));
+
+    req = { headers: {} };
+    res = {
+      setHeader: jest.fn(),
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    next = jest.fn();
+  });
+
+  afterAll(() => {
+    initialize(null);
+  });
+
+  describe('authenticate', () => {
+    it('should leave requests without a key anonymous', async () => {
+      await authenticate(req, res, next);
+
+      expect(req.account).toBeNull();
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should set the account of a Bearer key', async () => {
+      req.headers.authorization = `bearer  ${apiKey}`;
+
+      await authenticate(req, res, next);
+
+      expect(req.account).toMatchObject({ id: 'acme', maxFileSize: 2048 });
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should refuse unknown, empty and disabled keys', async () => {
+      for (const authorization of [`Bearer ${generateApiKey()}`, 'Bearer', `Bearer ${disabledKey}`]) {
+        req.headers.authorization = authorization;
+        res.status.mockClear();
+
+        await authenticate(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Invalid API key' }));
+      }
+      expect(res.setHeader).toHaveBeenCalledWith('WWW-Authenticate', 'Bearer error="invalid_token"');
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should leave other authorization schemes alone', async () => {
+      req.headers.authorization = 'Basic dXNlcjpwYXNz';
+
+      await authenticate(req, res, next);
+
+      expect(req.account).toBeNull();
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should treat every request as anonymous without an account store', async () => {
+      initialize(null);
+      req.headers.authorization = `Bearer ${generateApiKey()}`;
+
+      await authenticate(req, res, next);
+
+      expect(req.account).toBeNull();
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should pass store errors on', async () => {
+      const store = new MemoryAccountStore();
+      jest.spyOn(store, 'findByKeyHash').mockRejectedValue(new Error('Connection refused'));
+      initialize(store);
+      req.headers.authorization = `Bearer ${apiKey}`;
+
+      await authenticate(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ message: 'Connection refused' }));
+    });
+  });
+
+  describe('getUploadPolicy', () => {
+    const defaults = { maxFileSize: 1024, typePolicy: { allowed: ['text/*'], denied: ['application/zip'] } };
+
+    it('should use the server limits for anonymous uploads', () => {
+      expect(getUploadPolicy({ account: null }, defaults)).toBe(defaults);
+    });
+
+    it('should use the limits an account sets and keep the server deny list', () => {
+      const account = { maxFileSize: 4096, allowedTypes: ['image/*'] };
+
+      expect(getUploadPolicy({ account }, defaults)).toEqual({
+        maxFileSize: 4096,
+        typePolicy: { allowed: ['image/*'], denied: ['application/zip'] }
+      });
+      expect(getUploadPolicy({ account: { maxFileSize: null, allowedTypes: null } }, defaults)).toEqual(defaults);
+    });
+  });
+});
@@ -0,0 +1,46 @@
+const { createAdminAuth } = require('../../../src/middleware/adminAuth');
+
+describe('adminAuth', () => {
+  const adminToken = 'a'.repeat(16) + 'b'.repeat(16);
+  let adminAuth, req, res, next;
+
+  beforeEach(() => {
+    adminAuth = createAdminAuth(adminToken);
+    req = { headers: {} };
+    res = {
+      setHeader: jest.fn(),
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    next = jest.fn();
+  });
+
+  it('should let requests with the admin token through', () => {
+    req.headers.authorization = `bearer ${adminToken}`;
+
+    adminAuth(req, res, next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  it('should refuse requests without the admin token', () => {
+    for (const authorization of [undefined, 'Bearer', `Bearer ${adminToken}c`, `Basic ${adminToken}`, `Bearer ${'a'.repeat(32)}`]) {
+      req.headers.authorization = authorization;
+      res.status.mockClear();
+
+      adminAuth(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Unauthorized' }));
+    }
+    expect(res.setHeader).toHaveBeenCalledWith('WWW-Authenticate', 'Bearer');
+    expect(res.setHeader).toHaveBeenCalledWith('WWW-Authenticate', 'Bearer error="invalid_token"');
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should refuse missing and short admin tokens', () => {
+    expect(() => createAdminAuth(undefined)).toThrow('Admin token must be at least 32 characters long');
+    expect(() => createAdminAuth('too-short')).toThrow('Admin token must be at least 32 characters long');
+  });
+});
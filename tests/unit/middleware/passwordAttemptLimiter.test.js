@@ -0,0 +1,40 @@
+const {
+  getLockoutRemaining,
+  recordFailedAttempt,
+  clearFailedAttempts
+} = require('../../../src/middleware/passwordAttemptLimiter');
+
+describe('passwordAttemptLimiter', () => {
+  it('should lock a key after five failed attempts', () => {
+    const publicKey = 'lock-me';
+
+    for (let attempt = 0; attempt < 4; attempt++) {
+      recordFailedAttempt(publicKey);
+    }
+    expect(getLockoutRemaining(publicKey)).toBe(0);
+
+    recordFailedAttempt(publicKey);
+    expect(getLockoutRemaining(publicKey)).toBeGreaterThan(14 * 60 * 1000);
+  });
+
+  it('should track keys independently', () => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      recordFailedAttempt('first-key');
+    }
+
+    expect(getLockoutRemaining('first-key')).toBeGreaterThan(0);
+    expect(getLockoutRemaining('second-key')).toBe(0);
+  });
+
+  it('should forget failures once cleared', () => {
+    const publicKey = 'clear-me';
+
+    for (let attempt = 0; attempt < 4; attempt++) {
+      recordFailedAttempt(publicKey);
+    }
+    clearFailedAttempts(publicKey);
+    recordFailedAttempt(publicKey);
+
+    expect(getLockoutRemaining(publicKey)).toBe(0);
+  });
+});
@@ -1,54 +1,96 @@
-const { uploadLimiter, downloadLimiter, trackDownload, getUsage } = require('../../../src/middleware/usageLimiter');
+const { EventEmitter } = require('events');
+const {
+  initialize,
+  getClient,
+  getClientId,
+  uploadLimiter,
+  downloadLimiter,
+  trackDownload,
+  trackUpload,
+  getUsage,
+  resetUsage
+} = require('../../../src/middleware/usageLimiter');
+const MemoryUsageStore = require('../../../src/usage/MemoryUsageStore');
 
 describe('usageLimiter', () => {
   let req, res, next;
 
+  /**
+   * Create a mock response that emits 'close' like a finished Express response
+   * @returns {EventEmitter}
+   */
+  function createResponse() {
+    const response = new EventEmitter();
+    response.status = jest.fn().mockReturnValue(response);
+    response.json = jest.fn().mockReturnValue(response);
+    response.send = jest.fn().mockReturnValue(response);
+    return response;
+  }
+
   beforeEach(() => {
+    // Every test starts with empty counters
+    initialize(new MemoryUsageStore());
+
     req = {
       ip: '192.168.1.1',
       file: null,
+      headers: {},
       connection: { remoteAddress: '192.168.1.1' }
     };
 
-    res = {
-      status: jest.fn().mockReturnThis(),
-      json: jest.fn().mockReturnThis(),
-      send: jest.fn().mockReturnThis()
-    };
+    res = createResponse();
 
     next = jest.fn();
   });
 
+  /**
+   * Let the usage updates started by a closed response finish
+   * @returns {Promise<void>}
+   */
+  function flushUsageUpdates() {
+    return new Promise(resolve => setImmediate(resolve));
+  }
+
+  describe('initialize', () => {
+    it('should throw error if usage store is not provided', () => {
+      expect(() => initialize(null)).toThrow('Usage store is required for usage limiter');
+    });
+  });
+
   describe('uploadLimiter', () => {
-    it('should call next if upload limit not exceeded', () => {
-      uploadLimiter(req, res, next);
+    it('should call next if upload limit not exceeded', async () => {
+      await uploadLimiter(req, res, next);
 
       expect(next).toHaveBeenCalled();
       expect(res.status).not.toHaveBeenCalled();
     });
 
-    it('should allow file upload and track size', () => {
+    it('should allow file upload and track size', async () => {
       req.file = { size: 1024 };
-      uploadLimiter(req, res, next);
+      await uploadLimiter(req, res, next);
 
       expect(next).toHaveBeenCalled();
 
       // Simulate response
-      res.json({ publicKey: 'test', privateKey: 'test' });
+      res.emit('close');
+      await flushUsageUpdates();
 
-      const usage = getUsage('192.168.1.1');
+      const usage = await getUsage('192.168.1.1');
       expect(usage.upload).toBe(1024);
     });
 
-    it('should return 429 if upload limit exceeded', () => {
+    it('should return 429 if upload limit exceeded', async () => {
       // Set usage to limit
       req.file = { size: 100 * 1024 * 1024 }; // 100 MB
-      uploadLimiter(req, res, next);
-      res.json({ publicKey: 'test', privateKey: 'test' });
+      await uploadLimiter(req, res, next);
+      res.emit('close');
+      await flushUsageUpdates();
 
       // Try to upload again
+      next = jest.fn();
+      res = createResponse();
       req.file = { size: 1 };
-      uploadLimiter(req, res, next);
+      await uploadLimiter(req, res, next);
 
       expect(res.status).toHaveBeenCalledWith(429);
       expect(res.json).toHaveBeenCalledWith(
@@ -58,37 +100,188 @@ describe('usageLimiter', () => {
       );
       expect(next).not.toHaveBeenCalled();
     });
+
+    it('should reserve the declared size so concurrent uploads cannot overshoot the limit', async () => {
+      const requests = Array.from({ length: 3 }, () => ({
+        ...req,
+        headers: { 'content-length': String(40 * 1024 * 1024) }
+      }));
+      const responses = requests.map(() => createResponse());
+
+      await Promise.all(requests.map((request, index) => uploadLimiter(request, responses[index], next)));
+
+      expect(next).toHaveBeenCalledTimes(2);
+      expect(responses[2].status).toHaveBeenCalledWith(429);
+      expect((await getUsage('192.168.1.1')).upload).toBe(80 * 1024 * 1024);
+    });
+
+    it('should replace the reservation with the stored file size', async () => {
+      req.headers['content-length'] = '5000';
+      await uploadLimiter(req, res, next);
+      expect((await getUsage('192.168.1.1')).upload).toBe(5000);
+
+      req.file = { size: 4800 };
+      res.emit('close');
+      await flushUsageUpdates();
+
+      expect((await getUsage('192.168.1.1')).upload).toBe(4800);
+    });
+
+    it('should leave multipart overhead out of the reservation', async () => {
+      // Everything but the last file's worth of bytes is used up
+      await trackUpload('192.168.1.1', 100 * 1024 * 1024 - 4000);
+      req.headers['content-length'] = '4300';
+      req.headers['content-type'] = 'multipart/form-data; boundary=----boundary';
+      await uploadLimiter(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      req.file = { size: 4000 };
+      res.emit('close');
+      await flushUsageUpdates();
+
+      expect((await getUsage('192.168.1.1')).upload).toBe(100 * 1024 * 1024);
+    });
+
+    it('should not charge uploads that were refused', async () => {
+      req.headers['content-length'] = '5000';
+      await uploadLimiter(req, res, next);
+
+      req.file = { size: 4800 };
+      res.statusCode = 422;
+      res.emit('close');
+      await flushUsageUpdates();
+
+      expect((await getUsage('192.168.1.1')).upload).toBe(0);
+    });
+
+    it('should give the reservation back if nothing was stored', async () => {
+      req.headers['content-length'] = '5000';
+      await uploadLimiter(req, res, next);
+
+      res.emit('close');
+      await flushUsageUpdates();
+
+      expect((await getUsage('192.168.1.1')).upload).toBe(0);
+    });
+
+    it('should pass usage store failures on', async () => {
+      const store = new MemoryUsageStore();
+      jest.spyOn(store, 'increment').mockRejectedValue(new Error('Connection refused'));
+      initialize(store);
+
+      await uploadLimiter(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ message: 'Connection refused' }));
+    });
   });
 
   describe('downloadLimiter', () => {
-    it('should call next if download limit not exceeded', () => {
-      downloadLimiter(req, res, next);
+    it('should call next if download limit not exceeded', async () => {
+      await downloadLimiter(req, res, next);
 
       expect(next).toHaveBeenCalled();
       expect(res.status).not.toHaveBeenCalled();
     });
+
+    it('should return 429 if download limit exceeded', async () => {
+      await trackDownload('192.168.1.1', 500 * 1024 * 1024);
+
+      await downloadLimiter(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          error: 'Download limit exceeded',
+          used: 500 * 1024 * 1024
+        })
+      );
+      expect(next).not.toHaveBeenCalled();
+    });
   });
 
   describe('trackDownload', () => {
-    it('should track download size for IP', () => {
-      trackDownload('192.168.1.1', 2048);
+    it('should track download size for IP', async () => {
+      await trackDownload('192.168.1.1', 2048);
 
-      const usage = getUsage('192.168.1.1');
+      const usage = await getUsage('192.168.1.1');
       expect(usage.download).toBe(2048);
     });
 
-    it('should accumulate download sizes', () => {
-      trackDownload('192.168.1.1', 1024);
-      trackDownload('192.168.1.1', 2048);
+    it('should accumulate download sizes', async () => {
+      await trackDownload('192.168.1.1', 1024);
+      await trackDownload('192.168.1.1', 2048);
 
-      const usage = getUsage('192.168.1.1');
+      const usage = await getUsage('192.168.1.1');
       expect(usage.download).toBe(3072);
     });
+
+    it('should log instead of throwing when the usage store fails', async () => {
+      const store = new MemoryUsageStore();
+      jest.spyOn(store, 'increment').mockRejectedValue(new Error('Connection refused'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      initialize(store);
+
+      await expect(trackDownload('192.168.1.1', 1024)).resolves.toBeUndefined();
+      expect(console.error).toHaveBeenCalled();
+
+      console.error.mockRestore();
+    });
+  });
+
+  describe('trackUpload', () => {
+    it('should track upload size for IP', async () => {
+      await trackUpload('192.168.1.1', 4096);
+
+      expect((await getUsage('192.168.1.1')).upload).toBe(4096);
+    });
+  });
+
+  describe('accounts', () => {
+    const account = { id: 'acme', uploadLimit: 1000, downloadLimit: 2000 };
+
+    it('should charge requests with an account to the account instead of the IP', async () => {
+      req.account = account;
+      req.file = { size: 300 };
+      expect(getClient(req)).toBe(account);
+
+      await uploadLimiter(req, res, next);
+      res.emit('close');
+      await flushUsageUpdates();
+
+      expect(await getUsage(account)).toEqual({ upload: 300, download: 0, uploadLimit: 1000, downloadLimit: 2000 });
+      expect((await getUsage('192.168.1.1')).upload).toBe(0);
+    });
+
+    it('should enforce the limits of the account', async () => {
+      req.account = account;
+      req.headers['content-length'] = '1001';
+
+      await uploadLimiter(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        error: 'Upload limit exceeded',
+        message: expect.stringContaining('for this account'),
+        limit: 1000
+      }));
+
+      await trackDownload(account, 2000);
+      await downloadLimiter(req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Download limit exceeded', limit: 2000 }));
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should use the configured limits for accounts without their own', async () => {
+      const usage = await getUsage({ id: 'plain', uploadLimit: null, downloadLimit: null });
+
+      expect(usage).toMatchObject({ uploadLimit: 100 * 1024 * 1024, downloadLimit: 500 * 1024 * 1024 });
+    });
   });
 
   describe('getUsage', () => {
-    it('should return usage statistics for IP', () => {
-      const usage = getUsage('192.168.1.2');
+    it('should return usage statistics for IP', async () => {
+      const usage = await getUsage('192.168.1.2');
 
       expect(usage).toHaveProperty('upload');
       expect(usage).toHaveProperty('download');
@@ -98,4 +291,24 @@ describe('usageLimiter', () => {
       expect(usage.download).toBe(0);
     });
   });
+
+  describe('resetUsage', () => {
+    it('should forget today\'s usage of one client only', async () => {
+      await trackUpload('192.168.1.2', 1024);
+      await trackDownload('192.168.1.3', 2048);
+
+      await expect(resetUsage('192.168.1.2')).resolves.toBe(true);
+      await expect(resetUsage('192.168.1.2')).resolves.toBe(false);
+
+      expect(await getUsage('192.168.1.2')).toMatchObject({ upload: 0, download: 0 });
+      expect((await getUsage('192.168.1.3')).download).toBe(2048);
+    });
+  });
+
+  describe('getClientId', () => {
+    it('should name IP addresses and accounts apart', () => {
+      expect(getClientId('192.168.1.2')).toBe('192.168.1.2');
+      expect(getClientId({ id: 'acme' })).toBe('account:acme');
+    });
+  });
 });
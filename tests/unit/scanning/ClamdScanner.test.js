@@ -0,0 +1,40 @@
+const net = require('net');
+const { Duplex, Readable } = require('stream');
+const ClamdScanner = require('../../../src/scanning/ClamdScanner');
+
+describe('ClamdScanner', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Wait until pending I/O callbacks have run, up to a number of rounds or until a condition holds
+   * @param {Function} condition - Returns true once waiting is over
+   * @returns {Promise<void>}
+   */
+  async function waitFor(condition) {
+    for (let round = 0; round < 20 && !condition(); round++) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+
+  it('should stop sending content when clamd answers while the socket is full', async () => {
+    // A connection that never drains, like one the daemon stopped reading from
+    const socket = new Duplex({ writableHighWaterMark: 1, write() {}, read() {} });
+    socket.setTimeout = () => socket;
+    jest.spyOn(net, 'createConnection').mockReturnValue(socket);
+
+    const scan = new ClamdScanner().scan(async () => Readable.from([Buffer.alloc(64), Buffer.alloc(64)]));
+    await waitFor(() => net.createConnection.mock.calls.length > 0);
+    socket.emit('connect');
+    await waitFor(() => socket.listenerCount('drain') > 0);
+    expect(socket.listenerCount('drain')).toBe(1);
+
+    socket.push('INSTREAM size limit exceeded. ERROR\0');
+    socket.push(null);
+
+    await expect(scan).rejects.toThrow('clamd error: INSTREAM size limit exceeded. ERROR');
+    await waitFor(() => socket.listenerCount('drain') === 0);
+    expect(socket.listenerCount('drain')).toBe(0);
+  });
+});
@@ -0,0 +1,193 @@
+const MemoryStorageProvider = require('../../../src/storage/MemoryStorageProvider');
+const NoopScanner = require('../../../src/scanning/NoopScanner');
+const Scanner = require('../../../src/scanning/Scanner');
+const { assertScanned, scanUpload } = require('../../../src/scanning/uploadScanning');
+const { streamToBuffer } = require('../../../src/storage/streamUtils');
+
+/**
+ * Scanner that reports content containing "virus" as infected, once released
+ */
+class TestScanner extends Scanner {
+  constructor() {
+    super();
+    this.scanned = [];
+    this.release = null;
+    this.held = null;
+    this.error = null;
+  }
+
+  /**
+   * Hold verdicts until release() is called
+   */
+  hold() {
+    this.held = new Promise((resolve) => {
+      this.release = resolve;
+    });
+  }
+
+  /**
+   * Read the content and give a verdict
+   * @param {Function} openStream - Returns a promise of a readable stream over the content
+   * @returns {Promise<{infected: boolean, signature: string|null}>}
+   */
+  async scan(openStream) {
+    const content = (await streamToBuffer(await openStream())).toString();
+    this.scanned.push(content);
+    await this.held;
+    if (this.error) {
+      throw this.error;
+    }
+    return content.includes('virus')
+      ? { infected: true, signature: 'Test-Virus' }
+      : { infected: false, signature: null };
+  }
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Returns a promise of a boolean
+ */
+async function waitFor(condition) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    if (await condition()) {
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('Condition not met');
+}
+
+describe('uploadScanning', () => {
+  let provider;
+  let scanner;
+
+  beforeEach(async () => {
+    provider = new MemoryStorageProvider();
+    await provider.initialize();
+    scanner = new TestScanner();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Store a file
+   * @param {string} content - File content
+   * @returns {Promise<{publicKey: string, privateKey: string}>}
+   */
+  function upload(content) {
+    return provider.uploadFile(Buffer.from(content), 'file.txt', 'text/plain');
+  }
+
+  describe('assertScanned', () => {
+    it('should let files through that are clean or were never scanned', () => {
+      expect(() => assertScanned({ scanStatus: 'clean' })).not.toThrow();
+      expect(() => assertScanned({ scanStatus: null })).not.toThrow();
+    });
+
+    it('should refuse pending, failed and infected files', () => {
+      expect(() => assertScanned({ scanStatus: 'pending' })).toThrow(new Error('Scan pending'));
+      expect(() => assertScanned({ scanStatus: 'failed' })).toThrow(new Error('Scan failed'));
+      expect(() => assertScanned({ scanStatus: 'infected' })).toThrow(new Error('File infected'));
+    });
+  });
+
+  describe('scanUpload', () => {
+    it('should record a clean verdict', async () => {
+      const keys = await upload('harmless');
+
+      await expect(scanUpload(provider, scanner, keys, { waitMs: 1000 })).resolves.toBe('clean');
+      expect((await provider.getFileInfo(keys.publicKey)).scanStatus).toBe('clean');
+      expect(scanner.scanned).toEqual(['harmless']);
+    });
+
+    it('should record nothing when the scanner checks nothing', async () => {
+      const keys = await upload('harmless');
+
+      await expect(scanUpload(provider, new NoopScanner(), keys, { waitMs: 1000 })).resolves.toBeNull();
+      expect((await provider.getFileInfo(keys.publicKey)).scanStatus).toBeNull();
+    });
+
+    it('should delete infected uploads unless they are quarantined', async () => {
+      const rejected = await upload('a virus');
+      const quarantined = await upload('another virus');
+
+      await expect(scanUpload(provider, scanner, rejected, { waitMs: 1000, infectedAction: 'reject' }))
+        .resolves.toBe('infected');
+      await expect(scanUpload(provider, scanner, quarantined, { waitMs: 1000, infectedAction: 'quarantine' }))
+        .resolves.toBe('infected');
+
+      await expect(provider.getFileInfo(rejected.publicKey)).rejects.toThrow('File not found');
+      expect((await provider.getFileInfo(quarantined.publicKey)).scanStatus).toBe('infected');
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Test-Virus'));
+    });
+
+    it('should scan every file of a bundle', async () => {
+      const first = await upload('harmless');
+      const second = await upload('a virus');
+      const bundle = await provider.createBundle([first, second], 'bundle.zip');
+      const contentKeys = [first.publicKey, second.publicKey];
+
+      await expect(scanUpload(provider, scanner, { ...bundle, contentKeys }, { waitMs: 1000, infectedAction: 'quarantine' }))
+        .resolves.toBe('infected');
+      expect(scanner.scanned).toEqual(['harmless', 'a virus']);
+      expect((await provider.getFileInfo(bundle.publicKey)).scanStatus).toBe('infected');
+    });
+
+    it('should mark slow scans pending and record their verdict later', async () => {
+      const keys = await upload('harmless');
+      scanner.hold();
+
+      await expect(scanUpload(provider, scanner, keys, { waitMs: 10 })).resolves.toBe('pending');
+      expect((await provider.getFileInfo(keys.publicKey)).scanStatus).toBe('pending');
+
+      scanner.release();
+      await waitFor(async () => (await provider.getFileInfo(keys.publicKey)).scanStatus === 'clean');
+    });
+
+    it('should delete uploads found infected after the wait', async () => {
+      const keys = await upload('a virus');
+      scanner.hold();
+
+      await expect(scanUpload(provider, scanner, keys, { waitMs: 10, infectedAction: 'reject' })).resolves.toBe('pending');
+      scanner.release();
+
+      await waitFor(() => provider.getFileInfo(keys.publicKey).then(() => false, () => true));
+    });
+
+    it('should discard uploads whose scan fails within the wait', async () => {
+      const keys = await upload('harmless');
+      scanner.error = new Error('clamd timed out');
+
+      await expect(scanUpload(provider, scanner, keys, { waitMs: 1000 })).rejects.toThrow(new Error('Scan failed'));
+      await expect(provider.getFileInfo(keys.publicKey)).rejects.toThrow('File not found');
+    });
+
+    it('should mark files failed whose scan fails after the wait', async () => {
+      const keys = await upload('harmless');
+      scanner.error = new Error('clamd timed out');
+      scanner.hold();
+
+      await expect(scanUpload(provider, scanner, keys, { waitMs: 10 })).resolves.toBe('pending');
+      scanner.release();
+
+      await waitFor(async () => (await provider.getFileInfo(keys.publicKey)).scanStatus === 'failed');
+      expect(console.error).toHaveBeenCalledWith('Error scanning upload:', 'clamd timed out');
+    });
+
+    it('should not complain about files deleted while they were scanned', async () => {
+      const keys = await upload('harmless');
+      scanner.hold();
+
+      await scanUpload(provider, scanner, keys, { waitMs: 10 });
+      await provider.deleteFile(keys.privateKey);
+      scanner.release();
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      expect(console.error).not.toHaveBeenCalled();
+    });
+  });
+});
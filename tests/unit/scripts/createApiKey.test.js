@@ -0,0 +1,46 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const createApiKey = require('../../../src/scripts/createApiKey');
+const FileAccountStore = require('../../../src/accounts/FileAccountStore');
+const { hashApiKey } = require('../../../src/accounts/accountRecords');
+
+describe('createApiKey', () => {
+  let folder;
+  let accountsFile;
+
+  beforeEach(async () => {
+    folder = await fs.mkdtemp(path.join(os.tmpdir(), 'create-api-key-'));
+    accountsFile = path.join(folder, 'accounts.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(folder, { recursive: true, force: true });
+  });
+
+  it('should add an account whose key the account store accepts', async () => {
+    const first = await createApiKey('acme', { ACCOUNTS_FILE: accountsFile });
+    const second = await createApiKey('globex', { ACCOUNTS_FILE: accountsFile });
+
+    const store = new FileAccountStore(accountsFile);
+    await store.initialize();
+    expect((await store.findByKeyHash(hashApiKey(first.apiKey))).id).toBe('acme');
+    expect((await store.findByKeyHash(hashApiKey(second.apiKey))).id).toBe('globex');
+
+    // Only the hash is stored
+    expect(await fs.readFile(accountsFile, 'utf-8')).not.toContain(first.apiKey);
+  });
+
+  it('should refuse ids that exist already', async () => {
+    await createApiKey('acme', { ACCOUNTS_FILE: accountsFile });
+
+    await expect(createApiKey('acme', { ACCOUNTS_FILE: accountsFile })).rejects.toThrow('Account acme already exists');
+  });
+
+  it('should require an accounts file and an account id', async () => {
+    await expect(createApiKey('acme', {}))
+      .rejects.toThrow('ACCOUNTS_FILE environment variable is required to create API keys');
+    await expect(createApiKey(undefined, { ACCOUNTS_FILE: accountsFile }))
+      .rejects.toThrow('Account id must be a non-empty string');
+  });
+});
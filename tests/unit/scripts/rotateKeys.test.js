@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const rotateKeys = require('../../../src/scripts/rotateKeys');
+const LocalFileSystemProvider = require('../../../src/storage/LocalFileSystemProvider');
+const KeyRing = require('../../../src/storage/KeyRing');
+
+describe('rotateKeys', () => {
+  let folder;
+
+  beforeEach(async () => {
+    folder = await fs.mkdtemp(path.join(os.tmpdir(), 'rotate-keys-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(folder, { recursive: true, force: true });
+  });
+
+  it('should re-wrap stored data keys with the active key of the key file', async () => {
+    const oldKey = crypto.randomBytes(32);
+    const newKey = crypto.randomBytes(32);
+    const provider = new LocalFileSystemProvider(folder, { keyRing: new KeyRing([oldKey]) });
+    await provider.initialize();
+    const { publicKey } = await provider.uploadFile(Buffer.from('rotated'), 'a.txt', 'text/plain');
+
+    const keyFile = path.join(folder, 'master-keys');
+    await fs.writeFile(keyFile, `${newKey.toString('base64')}\n${oldKey.toString('base64')}\n`);
+
+    const result = await rotateKeys({ FOLDER: folder, ENCRYPTION_KEY_FILE: keyFile });
+
+    expect(result).toEqual({ rewrapped: 1, activeKeyId: KeyRing.fingerprint(newKey) });
+    const rotated = new LocalFileSystemProvider(folder, { keyRing: new KeyRing([newKey]) });
+    await rotated.initialize();
+    expect((await rotated.downloadFile(publicKey)).buffer.toString()).toBe('rotated');
+  });
+
+  it('should require a master key', async () => {
+    await expect(rotateKeys({ FOLDER: folder }))
+      .rejects.toThrow('ENCRYPTION_KEY or ENCRYPTION_KEY_FILE environment variable is required to rotate keys');
+  });
+});
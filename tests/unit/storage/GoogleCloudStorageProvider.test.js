@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { Bucket } = require('@google-cloud/storage');
+const GoogleCloudStorageProvider = require('../../../src/storage/GoogleCloudStorageProvider');
+
+describe('GoogleCloudStorageProvider', () => {
+  let configDir;
+  let credentials;
+
+  /**
+   * Create a provider from a config file, without contacting Google Cloud Storage
+   * @param {Object} options - Extra configuration options
+   * @returns {Promise<GoogleCloudStorageProvider>}
+   */
+  async function createProvider(options = {}) {
+    const configPath = path.join(configDir, `config-${crypto.randomBytes(4).toString('hex')}.json`);
+    await fs.writeFile(configPath, JSON.stringify({
+      projectId: 'test-project',
+      bucket: 'test-bucket',
+      credentials,
+      ...options
+    }));
+
+    const provider = new GoogleCloudStorageProvider(configPath);
+    await provider.initialize();
+    return provider;
+  }
+
+  beforeAll(async () => {
+    configDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gcs-provider-'));
+
+    const { privateKey } = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+      publicKeyEncoding: { type: 'spki', format: 'pem' }
+    });
+    credentials = {
+      type: 'service_account',
+      project_id: 'test-project',
+      private_key: privateKey,
+      client_email: 'file-sharing@test-project.iam.gserviceaccount.com'
+    };
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Bucket.prototype, 'exists').mockResolvedValue([true]);
+    // No metadata of earlier versions to migrate
+    jest.spyOn(Bucket.prototype, 'getFiles').mockResolvedValue([[]]);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await fs.rm(configDir, { recursive: true, force: true });
+  });
+
+  describe('getDownloadUrl', () => {
+    const publicKey = 'a'.repeat(64);
+    const metadata = {
+      publicKey,
+      privateKey: 'b'.repeat(64),
+      originalName: 'report.pdf',
+      mimeType: 'application/pdf',
+      fileSize: 1234,
+      filePath: `files/${publicKey}`
+    };
+
+    it('should return null unless signed URL downloads are enabled', async () => {
+      const provider = await createProvider();
+
+      await expect(provider.getDownloadUrl(publicKey)).resolves.toBeNull();
+    });
+
+    it('should sign a V4 URL offline with the service account key', async () => {
+      const provider = await createProvider({ signedUrlDownloads: true, signedUrlExpirySeconds: 120 });
+      jest.spyOn(provider.metadataStore, 'get').mockResolvedValue(metadata);
+
+      const signedUrl = new URL(await provider.getDownloadUrl(publicKey, {
+        contentDisposition: 'attachment; filename="report.pdf"'
+      }));
+
+      expect(signedUrl.origin).toBe('https://storage.googleapis.com');
+      expect(signedUrl.pathname).toBe(`/test-bucket/files/${publicKey}`);
+      expect(signedUrl.searchParams.get('X-Goog-Algorithm')).toBe('GOOG4-RSA-SHA256');
+      expect(signedUrl.searchParams.get('X-Goog-Credential')).toMatch(/^file-sharing@test-project\.iam\.gserviceaccount\.com\//);
+      expect(signedUrl.searchParams.get('X-Goog-Expires')).toBe('120');
+      expect(signedUrl.searchParams.get('X-Goog-Signature')).toMatch(/^[a-f0-9]{512}$/);
+      expect(signedUrl.searchParams.get('response-content-type')).toBe('application/pdf');
+      expect(signedUrl.searchParams.get('response-content-disposition')).toBe('attachment; filename="report.pdf"');
+    });
+
+    it('should cap the expiry at the V4 maximum of 7 days', async () => {
+      const provider = await createProvider({ signedUrlDownloads: true, signedUrlExpirySeconds: 30 * 24 * 60 * 60 });
+      jest.spyOn(provider.metadataStore, 'get').mockResolvedValue(metadata);
+
+      const signedUrl = new URL(await provider.getDownloadUrl(publicKey));
+
+      expect(signedUrl.searchParams.get('X-Goog-Expires')).toBe(String(7 * 24 * 60 * 60));
+    });
+
+    it('should throw for unknown files', async () => {
+      const provider = await createProvider({ signedUrlDownloads: true });
+      jest.spyOn(provider.metadataStore, 'get').mockResolvedValue(null);
+
+      await expect(provider.getDownloadUrl(publicKey)).rejects.toThrow('File not found');
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const KeyRing = require('../../../src/storage/KeyRing');
+
+describe('KeyRing', () => {
+  const activeKey = crypto.randomBytes(32);
+  const oldKey = crypto.randomBytes(32);
+
+  it('should wrap with the active key and unwrap with any configured key', () => {
+    const oldRing = new KeyRing([oldKey]);
+    const ring = new KeyRing([activeKey, oldKey]);
+    const dataKey = crypto.randomBytes(32);
+
+    const wrapped = ring.wrap(dataKey);
+
+    expect(wrapped.keyId).toBe(KeyRing.fingerprint(activeKey));
+    expect(ring.unwrap(wrapped)).toEqual(dataKey);
+    expect(ring.unwrap(oldRing.wrap(dataKey))).toEqual(dataKey);
+  });
+
+  it('should name the master key a wrapped key needs', () => {
+    const wrapped = new KeyRing([oldKey]).wrap(crypto.randomBytes(32));
+
+    expect(() => new KeyRing([activeKey]).unwrap(wrapped))
+      .toThrow(`Master key ${KeyRing.fingerprint(oldKey)} is not configured`);
+  });
+
+  it('should reject tampered wrapped keys', () => {
+    const ring = new KeyRing([activeKey]);
+    const wrapped = ring.wrap(crypto.randomBytes(32));
+    const bytes = Buffer.from(wrapped.wrappedKey, 'base64');
+    bytes[20] ^= 1;
+
+    expect(() => ring.unwrap({ ...wrapped, wrappedKey: bytes.toString('base64') }))
+      .toThrow('Data key could not be unwrapped');
+  });
+
+  it('should only accept 32-byte master keys', () => {
+    expect(() => new KeyRing([])).toThrow('At least one master key is required');
+    expect(() => new KeyRing([crypto.randomBytes(16)])).toThrow('Master keys must be 32 bytes, base64 encoded');
+  });
+
+  describe('load', () => {
+    it('should return null if no key is configured', async () => {
+      expect(await KeyRing.load({})).toBeNull();
+    });
+
+    it('should load the active and previous keys from environment values', async () => {
+      const ring = await KeyRing.load({
+        key: activeKey.toString('base64'),
+        oldKeys: ` ${oldKey.toString('base64')} ,`
+      });
+
+      expect(ring.activeKeyId).toBe(KeyRing.fingerprint(activeKey));
+      expect([...ring.keys.keys()]).toEqual([KeyRing.fingerprint(activeKey), KeyRing.fingerprint(oldKey)]);
+    });
+
+    it('should load keys from a key file, skipping comments and empty lines', async () => {
+      const folder = await fs.mkdtemp(path.join(os.tmpdir(), 'key-ring-'));
+      const keyFile = path.join(folder, 'master-keys');
+      await fs.writeFile(keyFile, `# rotated 2026-10\n${activeKey.toString('base64')}\n\n${oldKey.toString('base64')}\n`);
+
+      const ring = await KeyRing.load({ keyFile, key: crypto.randomBytes(32).toString('base64') });
+
+      expect(ring.activeKeyId).toBe(KeyRing.fingerprint(activeKey));
+      expect(ring.keys.size).toBe(2);
+      await fs.rm(folder, { recursive: true, force: true });
+    });
+  });
+});
@@ -1,6 +1,13 @@
+const crypto = require('crypto');
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
+const { Readable } = require('stream');
 const LocalFileSystemProvider = require('../../../src/storage/LocalFileSystemProvider');
+const KeyRing = require('../../../src/storage/KeyRing');
+const { HEADER_SIZE } = require('../../../src/storage/contentEncryption');
+const { streamToBuffer } = require('../../../src/storage/streamUtils');
+const describeStorageProviderConformance = require('../../helpers/storageProviderConformance');
 
 // Use a test-specific folder
 const TEST_ROOT_FOLDER = path.join(__dirname, '../../../test-storage');
@@ -64,11 +71,8 @@ describe('LocalFileSystemProvider', () => {
 
       const { publicKey, privateKey } = await provider.uploadFile(fileBuffer, originalName, mimeType);
 
-      const publicMetadataPath = path.join(TEST_ROOT_FOLDER, '.metadata', `${publicKey}.json`);
-      const privateMetadataPath = path.join(TEST_ROOT_FOLDER, '.metadata', `${privateKey}.json`);
-
-      const publicMetadata = JSON.parse(await fs.readFile(publicMetadataPath, 'utf-8'));
-      const privateMetadata = JSON.parse(await fs.readFile(privateMetadataPath, 'utf-8'));
+      const publicMetadata = await provider.metadataStore.get(publicKey);
+      const privateMetadata = await provider.metadataStore.get(privateKey);
 
       expect(publicMetadata.originalName).toBe(originalName);
       expect(publicMetadata.mimeType).toBe(mimeType);
@@ -117,6 +121,134 @@ describe('LocalFileSystemProvider', () => {
     });
   });
 
+  describe('uploadStream', () => {
+    it('should store streamed content and report its size', async () => {
+      const chunks = [Buffer.from('first chunk, '), Buffer.from('second chunk')];
+
+      const result = await provider.uploadStream(Readable.from(chunks), 'stream.txt', 'text/plain');
+
+      expect(result.fileSize).toBe(25);
+      const filePath = path.join(TEST_ROOT_FOLDER, 'files', result.publicKey);
+      const savedContent = await fs.readFile(filePath, 'utf-8');
+      expect(savedContent).toBe('first chunk, second chunk');
+    });
+
+    it('should not leave a partial file behind if the stream fails', async () => {
+      const failingStream = new Readable({
+        read() {
+          this.push(Buffer.from('partial'));
+          this.destroy(new Error('Connection reset'));
+        }
+      });
+
+      await expect(provider.uploadStream(failingStream, 'broken.txt', 'text/plain'))
+        .rejects.toThrow('Connection reset');
+
+      expect(await fs.readdir(path.join(TEST_ROOT_FOLDER, 'files'))).toHaveLength(0);
+      expect(await provider.metadataStore.list()).toHaveLength(0);
+    });
+  });
+
+  describe('downloadStream', () => {
+    it('should return a readable stream with file info', async () => {
+      const { publicKey } = await provider.uploadFile(Buffer.from('streamed download'), 'test.txt', 'text/plain');
+
+      const result = await provider.downloadStream(publicKey);
+
+      const chunks = [];
+      for await (const chunk of result.stream) {
+        chunks.push(chunk);
+      }
+
+      expect(Buffer.concat(chunks).toString()).toBe('streamed download');
+      expect(result.mimeType).toBe('text/plain');
+      expect(result.originalName).toBe('test.txt');
+      expect(result.fileSize).toBe(17);
+    });
+
+    it('should throw error if file does not exist', async () => {
+      await expect(provider.downloadStream('non-existent-key')).rejects.toThrow('File not found');
+    });
+  });
+
+  describe('getFileInfo', () => {
+    it('should return file info without updating lastAccessed', async () => {
+      const { publicKey, privateKey } = await provider.uploadFile(Buffer.from('info'), 'info.txt', 'text/plain');
+
+      const info = await provider.getFileInfo(publicKey);
+
+      expect(info.originalName).toBe('info.txt');
+      expect(info.mimeType).toBe('text/plain');
+      expect(info.fileSize).toBe(4);
+      expect(info.createdAt).toBeInstanceOf(Date);
+      expect((await provider.getFileMetadata(privateKey)).lastAccessed).toBeNull();
+    });
+
+    it('should not resolve files by their private key', async () => {
+      const { privateKey } = await provider.uploadFile(Buffer.from('info'), 'info.txt', 'text/plain');
+
+      await expect(provider.getFileInfo(privateKey)).rejects.toThrow('File not found');
+    });
+  });
+
+  describe('createReadStream', () => {
+    it('should read only the requested byte range', async () => {
+      const { publicKey } = await provider.uploadFile(Buffer.from('0123456789'), 'digits.txt', 'text/plain');
+
+      const stream = await provider.createReadStream(publicKey, { start: 2, end: 5 });
+
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+      expect(Buffer.concat(chunks).toString()).toBe('2345');
+    });
+
+    it('should throw error if file does not exist', async () => {
+      await expect(provider.createReadStream('non-existent-key')).rejects.toThrow('File not found');
+    });
+
+    describe('verified reads', () => {
+      let verifying;
+
+      beforeEach(async () => {
+        verifying = new LocalFileSystemProvider(TEST_ROOT_FOLDER, { verifyOnRead: true });
+        await verifying.initialize();
+      });
+
+      it('should serve content that matches its recorded SHA-256', async () => {
+        const { publicKey } = await verifying.uploadFile(Buffer.from('original'), 'a.txt', 'text/plain');
+
+        expect((await verifying.downloadFile(publicKey)).buffer.toString()).toBe('original');
+      });
+
+      it('should fail full reads of content changed since upload', async () => {
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const { publicKey } = await verifying.uploadFile(Buffer.from('original'), 'a.txt', 'text/plain');
+        await fs.writeFile(verifying._getFilePath(publicKey), 'tampered');
+
+        await expect(verifying.downloadFile(publicKey)).rejects.toThrow('Stored content is corrupt');
+        expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('does not match the SHA-256 recorded at upload'));
+        errorSpy.mockRestore();
+      });
+
+      it('should pass range reads through unchecked', async () => {
+        const { publicKey } = await verifying.uploadFile(Buffer.from('original'), 'a.txt', 'text/plain');
+        await fs.writeFile(verifying._getFilePath(publicKey), 'tampered');
+
+        const range = await streamToBuffer(await verifying.createReadStream(publicKey, { start: 0, end: 3 }));
+        expect(range.toString()).toBe('tamp');
+      });
+
+      it('should not check reads unless enabled', async () => {
+        const { publicKey } = await provider.uploadFile(Buffer.from('original'), 'a.txt', 'text/plain');
+        await fs.writeFile(provider._getFilePath(publicKey), 'tampered');
+
+        expect((await provider.downloadFile(publicKey)).buffer.toString()).toBe('tampered');
+      });
+    });
+  });
+
   describe('deleteFile', () => {
     it('should delete a file by privateKey', async () => {
       const fileBuffer = Buffer.from('test file content');
@@ -134,8 +266,7 @@ describe('LocalFileSystemProvider', () => {
       await expect(fs.access(filePath)).rejects.toThrow();
 
       // Metadata should not exist
-      const metadataPath = path.join(TEST_ROOT_FOLDER, '.metadata', `${privateKey}.json`);
-      await expect(fs.access(metadataPath)).rejects.toThrow();
+      expect(await provider.metadataStore.get(privateKey)).toBeNull();
     });
 
     it('should return false if file does not exist', async () => {
@@ -147,6 +278,33 @@ describe('LocalFileSystemProvider', () => {
     });
   });
 
+  describe('replaceKeys', () => {
+    it('should keep the content under its file name', async () => {
+      const { publicKey, privateKey } = await provider.uploadFile(Buffer.from('kept'), 'kept.txt', 'text/plain');
+      const filePath = path.join(TEST_ROOT_FOLDER, 'files', publicKey);
+
+      const keys = await provider.replaceKeys(privateKey, { publicKey: true, privateKey: true });
+
+      expect((await provider.downloadFile(keys.publicKey)).buffer.toString()).toBe('kept');
+      await expect(provider.downloadFile(publicKey)).rejects.toThrow('File not found');
+
+      await provider.deleteFile(keys.privateKey);
+      await expect(fs.access(filePath)).rejects.toThrow();
+    });
+
+    it('should pin the content of files stored before their file name was recorded', async () => {
+      const { publicKey, privateKey } = await provider.uploadFile(Buffer.from('legacy'), 'legacy.txt', 'text/plain');
+      await provider.metadataStore.update(privateKey, (metadata) => {
+        delete metadata.fileName;
+      });
+
+      const keys = await provider.replaceKeys(privateKey, { publicKey: true });
+
+      expect((await provider.metadataStore.get(privateKey)).fileName).toBe(publicKey);
+      expect((await provider.downloadFile(keys.publicKey)).buffer.toString()).toBe('legacy');
+    });
+  });
+
   describe('getFileMetadata', () => {
     it('should return file metadata', async () => {
       const fileBuffer = Buffer.from('test file content');
@@ -179,10 +337,9 @@ describe('LocalFileSystemProvider', () => {
       const { privateKey } = await provider.uploadFile(fileBuffer, originalName, mimeType);
 
       // Set lastAccessed to a date in the past
-      const metadataPath = path.join(TEST_ROOT_FOLDER, '.metadata', `${privateKey}.json`);
-      const metadata = JSON.parse(await fs.readFile(metadataPath, 'utf-8'));
-      metadata.lastAccessed = new Date(Date.now() - 100 * 24 * 60 * 60 * 1000).toISOString(); // 100 days ago
-      await fs.writeFile(metadataPath, JSON.stringify(metadata));
+      await provider.metadataStore.update(privateKey, (metadata) => {
+        metadata.lastAccessed = new Date(Date.now() - 100 * 24 * 60 * 60 * 1000).toISOString(); // 100 days ago
+      });
 
       const inactiveSince = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000); // 30 days ago
 
@@ -206,4 +363,608 @@ describe('LocalFileSystemProvider', () => {
       expect(inactiveFiles).toHaveLength(0);
     });
   });
+
+  describe('share limits', () => {
+    it('should store share settings for a file', async () => {
+      const { publicKey, privateKey } = await provider.uploadFile(Buffer.from('limited'), 'a.txt', 'text/plain');
+      const expiresAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+      await provider.updateFileSettings(privateKey, { expiresAt, maxDownloads: 2 });
+
+      const info = await provider.getFileInfo(publicKey);
+      expect(info.expiresAt.toISOString()).toBe(expiresAt);
+      expect(info.maxDownloads).toBe(2);
+      expect(info.downloadCount).toBe(0);
+    });
+
+    it('should not accept the public key for settings changes', async () => {
+      const { publicKey } = await provider.uploadFile(Buffer.from('limited'), 'a.txt', 'text/plain');
+
+      await expect(provider.updateFileSettings(publicKey, { maxDownloads: 1 })).rejects.toThrow('File not found');
+    });
+
+    it('should count downloads atomically and refuse them past the limit', async () => {
+      const { publicKey, privateKey } = await provider.uploadFile(Buffer.from('limited'), 'a.txt', 'text/plain');
+      await provider.updateFileSettings(privateKey, { maxDownloads: 3 });
+
+      const results = await Promise.allSettled(
+        Array.from({ length: 10 }, () => provider.consumeDownload(publicKey))
+      );
+
+      expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(3);
+      expect(results.filter(result => result.status === 'rejected')
+        .every(result => result.reason.message === 'Download limit reached')).toBe(true);
+      expect((await provider.getFileInfo(publicKey)).downloadCount).toBe(3);
+    });
+
+    it('should refuse downloads of expired and not yet available files', async () => {
+      const expired = await provider.uploadFile(Buffer.from('a'), 'a.txt', 'text/plain');
+      await provider.updateFileSettings(expired.privateKey, { expiresAt: new Date(Date.now() - 1000).toISOString(), maxDownloads: 5 });
+
+      const pending = await provider.uploadFile(Buffer.from('b'), 'b.txt', 'text/plain');
+      await provider.updateFileSettings(pending.privateKey, { notBefore: new Date(Date.now() + 60 * 1000).toISOString(), maxDownloads: 5 });
+
+      await expect(provider.consumeDownload(expired.publicKey)).rejects.toThrow('File expired');
+      await expect(provider.consumeDownload(pending.publicKey)).rejects.toThrow('File not yet available');
+    });
+
+    it('should report expired and exhausted files for cleanup', async () => {
+      const expired = await provider.uploadFile(Buffer.from('a'), 'a.txt', 'text/plain');
+      await provider.updateFileSettings(expired.privateKey, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+      const exhausted = await provider.uploadFile(Buffer.from('b'), 'b.txt', 'text/plain');
+      await provider.updateFileSettings(exhausted.privateKey, { maxDownloads: 1 });
+      await provider.consumeDownload(exhausted.publicKey);
+
+      await provider.uploadFile(Buffer.from('c'), 'c.txt', 'text/plain');
+
+      const expiredFiles = await provider.getExpiredFiles(new Date());
+
+      expect(expiredFiles.map(file => file.privateKey).sort())
+        .toEqual([expired.privateKey, exhausted.privateKey].sort());
+    });
+  });
+
+  describe('upload sessions', () => {
+    it('should assemble appended chunks into a file', async () => {
+      const session = await provider.createUploadSession({
+        originalName: 'chunks.txt',
+        mimeType: 'text/plain',
+        uploadLength: 10
+      });
+
+      expect(await provider.appendUploadChunk(session.uploadId, 0, Readable.from([Buffer.from('01234')]))).toBe(5);
+      expect(await provider.appendUploadChunk(session.uploadId, 5, Readable.from([Buffer.from('56789')]))).toBe(10);
+
+      const { publicKey } = await provider.completeUploadSession(session.uploadId);
+      const result = await provider.downloadFile(publicKey);
+
+      expect(result.buffer.toString()).toBe('0123456789');
+      expect(result.originalName).toBe('chunks.txt');
+    });
+
+    it('should reject chunks at the wrong offset', async () => {
+      const session = await provider.createUploadSession({ originalName: 'a.txt', mimeType: 'text/plain', uploadLength: 10 });
+
+      await expect(provider.appendUploadChunk(session.uploadId, 3, Readable.from([Buffer.from('x')])))
+        .rejects.toThrow('Upload offset mismatch');
+    });
+
+    it('should keep bytes received before a chunk failed', async () => {
+      const session = await provider.createUploadSession({ originalName: 'a.txt', mimeType: 'text/plain', uploadLength: 10 });
+      let sent = false;
+      const failingStream = new Readable({
+        read() {
+          if (sent) {
+            return setTimeout(() => this.destroy(new Error('Connection reset')), 10);
+          }
+          sent = true;
+          this.push(Buffer.from('0123'));
+        }
+      });
+
+      await expect(provider.appendUploadChunk(session.uploadId, 0, failingStream)).rejects.toThrow('Connection reset');
+
+      expect((await provider.getUploadSession(session.uploadId)).offset).toBe(4);
+    });
+
+    it('should not complete sessions that are missing data', async () => {
+      const session = await provider.createUploadSession({ originalName: 'a.txt', mimeType: 'text/plain', uploadLength: 10 });
+
+      await expect(provider.completeUploadSession(session.uploadId)).rejects.toThrow('Upload incomplete');
+    });
+
+    it('should take back the stored content when the metadata cannot be saved, so completion can be retried', async () => {
+      const session = await provider.createUploadSession({ originalName: 'a.txt', mimeType: 'text/plain', uploadLength: 5 });
+      await provider.appendUploadChunk(session.uploadId, 0, Readable.from([Buffer.from('01234')]));
+      jest.spyOn(provider.metadataStore, 'create').mockRejectedValueOnce(new Error('Disk full'));
+
+      await expect(provider.completeUploadSession(session.uploadId)).rejects.toThrow('Disk full');
+
+      expect(await fs.readdir(provider.filesFolder)).toEqual([]);
+      expect((await provider.getUploadSession(session.uploadId)).completed).toBe(false);
+      const { publicKey } = await provider.completeUploadSession(session.uploadId);
+      expect((await provider.downloadFile(publicKey)).buffer.toString()).toBe('01234');
+    });
+
+    it('should report stale sessions and delete them', async () => {
+      const session = await provider.createUploadSession({ originalName: 'a.txt', mimeType: 'text/plain', uploadLength: 10 });
+
+      expect(await provider.getStaleUploadSessions(new Date(Date.now() - 60 * 1000))).toHaveLength(0);
+
+      const staleSessions = await provider.getStaleUploadSessions(new Date(Date.now() + 60 * 1000));
+      expect(staleSessions).toEqual([{ uploadId: session.uploadId }]);
+
+      expect(await provider.deleteUploadSession(session.uploadId)).toBe(true);
+      expect(await provider.deleteUploadSession(session.uploadId)).toBe(false);
+      await expect(provider.getUploadSession(session.uploadId)).rejects.toThrow('Upload session not found');
+    });
+  });
+
+  describe('metadata', () => {
+    it('should keep metadata across restarts', async () => {
+      const { publicKey, privateKey } = await provider.uploadFile(Buffer.from('persisted'), 'kept.txt', 'text/plain');
+      await provider.updateLastAccessed(publicKey);
+
+      const restarted = new LocalFileSystemProvider(TEST_ROOT_FOLDER);
+      await restarted.initialize();
+
+      const info = await restarted.getFileInfo(publicKey);
+      expect(info.originalName).toBe('kept.txt');
+      expect((await restarted.getFileMetadata(privateKey)).lastAccessed).toBeInstanceOf(Date);
+    });
+
+    it('should migrate metadata from the legacy per-key JSON files', async () => {
+      const legacyFolder = path.join(TEST_ROOT_FOLDER, '.metadata');
+      const publicKey = 'a'.repeat(64);
+      const privateKey = 'b'.repeat(64);
+      const legacyMetadata = {
+        publicKey,
+        privateKey,
+        originalName: 'legacy.txt',
+        mimeType: 'text/plain',
+        createdAt: '2020-01-01T00:00:00.000Z',
+        lastAccessed: null,
+        fileSize: 6
+      };
+
+      await fs.mkdir(legacyFolder, { recursive: true });
+      await fs.writeFile(path.join(legacyFolder, `${publicKey}.json`), JSON.stringify(legacyMetadata));
+      await fs.writeFile(path.join(legacyFolder, `${privateKey}.json`), JSON.stringify(legacyMetadata));
+      await fs.writeFile(path.join(TEST_ROOT_FOLDER, 'files', publicKey), 'legacy');
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      const migrated = new LocalFileSystemProvider(TEST_ROOT_FOLDER);
+      await migrated.initialize();
+
+      expect((await migrated.getFileInfo(publicKey)).originalName).toBe('legacy.txt');
+      expect(await migrated.getInactiveFiles(new Date('2021-01-01'))).toEqual([{ privateKey }]);
+      await expect(fs.access(legacyFolder)).rejects.toThrow();
+      expect(await migrated.deleteFile(privateKey)).toBe(true);
+
+      console.log.mockRestore();
+    });
+
+    it('should use a metadata store passed in the options', async () => {
+      const MemoryMetadataStore = require('../../../src/storage/MemoryMetadataStore');
+      const metadataStore = new MemoryMetadataStore();
+
+      const custom = new LocalFileSystemProvider(TEST_ROOT_FOLDER, { metadataStore });
+      await custom.initialize();
+      const { publicKey } = await custom.uploadFile(Buffer.from('custom'), 'custom.txt', 'text/plain');
+
+      expect((await metadataStore.get(publicKey)).originalName).toBe('custom.txt');
+      await expect(provider.getFileInfo(publicKey)).rejects.toThrow('File not found');
+    });
+  });
+
+  describe('deduplication', () => {
+    let dedupProvider;
+
+    beforeEach(async () => {
+      dedupProvider = new LocalFileSystemProvider(TEST_ROOT_FOLDER, { deduplicate: true });
+      await dedupProvider.initialize();
+    });
+
+    /**
+     * List the blobs stored under the root folder
+     * @returns {Promise<Array<string>>}
+     */
+    async function listBlobs() {
+      const entries = await fs.readdir(path.join(TEST_ROOT_FOLDER, 'blobs'), { withFileTypes: true });
+      return entries.filter(entry => entry.isFile()).map(entry => entry.name);
+    }
+
+    it('should store identical content once and give every upload its own keys', async () => {
+      const first = await dedupProvider.uploadFile(Buffer.from('installer'), 'setup.exe', 'application/octet-stream');
+      const second = await dedupProvider.uploadFile(Buffer.from('installer'), 'setup-copy.exe', 'application/octet-stream');
+
+      expect(second.publicKey).not.toBe(first.publicKey);
+      expect(second.privateKey).not.toBe(first.privateKey);
+
+      const contentHash = crypto.createHash('sha256').update('installer').digest('hex');
+      expect(await listBlobs()).toEqual([contentHash]);
+      expect(await fs.readdir(path.join(TEST_ROOT_FOLDER, 'files'))).toEqual([]);
+      expect(await dedupProvider.blobReferences.count(contentHash)).toBe(2);
+
+      const { buffer, originalName } = await dedupProvider.downloadFile(second.publicKey);
+      expect(buffer.toString()).toBe('installer');
+      expect(originalName).toBe('setup-copy.exe');
+    });
+
+    it('should remove the blob only with its last reference', async () => {
+      const first = await dedupProvider.uploadFile(Buffer.from('shared'), 'a.txt', 'text/plain');
+      const second = await dedupProvider.uploadFile(Buffer.from('shared'), 'b.txt', 'text/plain');
+
+      expect(await dedupProvider.deleteFile(first.privateKey)).toBe(true);
+      expect((await dedupProvider.downloadFile(second.publicKey)).buffer.toString()).toBe('shared');
+
+      expect(await dedupProvider.deleteFile(second.privateKey)).toBe(true);
+      expect(await listBlobs()).toEqual([]);
+      expect(await fs.readdir(path.join(TEST_ROOT_FOLDER, 'blobs', 'refs'))).toEqual([]);
+    });
+
+    it('should keep reference counts right under concurrent uploads and deletes', async () => {
+      const kept = await dedupProvider.uploadFile(Buffer.from('busy'), 'kept.txt', 'text/plain');
+      const doomed = await Promise.all(
+        Array.from({ length: 5 }, () => dedupProvider.uploadFile(Buffer.from('busy'), 'doomed.txt', 'text/plain'))
+      );
+
+      await Promise.all([
+        ...doomed.map(file => dedupProvider.deleteFile(file.privateKey)),
+        ...Array.from({ length: 3 }, () => dedupProvider.uploadFile(Buffer.from('busy'), 'late.txt', 'text/plain'))
+      ]);
+
+      const contentHash = crypto.createHash('sha256').update('busy').digest('hex');
+      expect(await dedupProvider.blobReferences.count(contentHash)).toBe(4);
+      expect((await dedupProvider.downloadFile(kept.publicKey)).buffer.toString()).toBe('busy');
+    });
+
+    it('should deduplicate completed upload sessions', async () => {
+      const uploaded = await dedupProvider.uploadFile(Buffer.from('resumable'), 'direct.txt', 'text/plain');
+      const session = await dedupProvider.createUploadSession({
+        originalName: 'chunked.txt',
+        mimeType: 'text/plain',
+        uploadLength: 9
+      });
+      await dedupProvider.appendUploadChunk(session.uploadId, 0, Readable.from([Buffer.from('resum')]));
+      await dedupProvider.appendUploadChunk(session.uploadId, 5, Readable.from([Buffer.from('able')]));
+
+      const { publicKey } = await dedupProvider.completeUploadSession(session.uploadId);
+
+      expect((await dedupProvider.downloadFile(publicKey)).buffer.toString()).toBe('resumable');
+      expect(await listBlobs()).toHaveLength(1);
+      expect((await dedupProvider.metadataStore.get(publicKey)).contentHash)
+        .toBe((await dedupProvider.metadataStore.get(uploaded.publicKey)).contentHash);
+    });
+
+    it('should keep serving files stored before deduplication was enabled', async () => {
+      const { publicKey, privateKey } = await provider.uploadFile(Buffer.from('plain'), 'old.txt', 'text/plain');
+
+      const restarted = new LocalFileSystemProvider(TEST_ROOT_FOLDER, { deduplicate: true });
+      await restarted.initialize();
+
+      expect((await restarted.downloadFile(publicKey)).buffer.toString()).toBe('plain');
+      expect(await restarted.deleteFile(privateKey)).toBe(true);
+      await expect(fs.access(path.join(TEST_ROOT_FOLDER, 'files', publicKey))).rejects.toThrow();
+    });
+
+    it('should not leave incoming content behind if the stream fails', async () => {
+      const failing = new Readable({
+        read() {
+          this.push(Buffer.from('partial'));
+          this.destroy(new Error('Connection reset'));
+        }
+      });
+
+      await expect(dedupProvider.uploadStream(failing, 'broken.txt', 'text/plain')).rejects.toThrow('Connection reset');
+
+      expect(await fs.readdir(path.join(TEST_ROOT_FOLDER, 'blobs', 'incoming'))).toEqual([]);
+      expect(await listBlobs()).toEqual([]);
+    });
+
+    describe('conformance', () => {
+      describeStorageProviderConformance({
+        createProvider: async () => {
+          const conformanceProvider = new LocalFileSystemProvider(
+            await fs.mkdtemp(path.join(os.tmpdir(), 'local-provider-')),
+            { deduplicate: true }
+          );
+          await conformanceProvider.initialize();
+          return conformanceProvider;
+        },
+        destroyProvider: async (conformanceProvider) => {
+          await fs.rm(conformanceProvider.rootFolder, { recursive: true, force: true });
+        }
+      });
+    });
+  });
+
+  describe('encryption', () => {
+    const masterKey = crypto.randomBytes(32);
+    let encryptedProvider;
+
+    beforeEach(async () => {
+      encryptedProvider = new LocalFileSystemProvider(TEST_ROOT_FOLDER, { keyRing: new KeyRing([masterKey]) });
+      await encryptedProvider.initialize();
+    });
+
+    it('should store ciphertext and return plaintext', async () => {
+      const content = Buffer.from('confidential quarterly numbers');
+      const { publicKey, fileSize } = await encryptedProvider.uploadStream(Readable.from([content]), 'numbers.txt', 'text/plain');
+
+      const stored = await fs.readFile(path.join(TEST_ROOT_FOLDER, 'files', publicKey));
+      expect(stored.includes(content)).toBe(false);
+      expect(fileSize).toBe(content.length);
+
+      expect((await encryptedProvider.downloadFile(publicKey)).buffer).toEqual(content);
+      expect((await encryptedProvider.getFileInfo(publicKey)).fileSize).toBe(content.length);
+    });
+
+    it('should serve byte ranges across segments', async () => {
+      const content = crypto.randomBytes(200 * 1024);
+      const { publicKey } = await encryptedProvider.uploadFile(content, 'large.bin', 'application/octet-stream');
+
+      const range = await streamToBuffer(await encryptedProvider.createReadStream(publicKey, { start: 60000, end: 140000 }));
+
+      expect(range).toEqual(content.subarray(60000, 140001));
+    });
+
+    it('should fail to read encrypted files without the master key', async () => {
+      const { publicKey } = await encryptedProvider.uploadFile(Buffer.from('secret'), 'a.txt', 'text/plain');
+
+      const noKey = new LocalFileSystemProvider(TEST_ROOT_FOLDER);
+      await noKey.initialize();
+      await expect(noKey.downloadFile(publicKey)).rejects.toThrow('File is encrypted but no encryption key is configured');
+
+      const otherKey = new LocalFileSystemProvider(TEST_ROOT_FOLDER, { keyRing: new KeyRing([crypto.randomBytes(32)]) });
+      await otherKey.initialize();
+      await expect(otherKey.downloadFile(publicKey)).rejects.toThrow(/Master key \w+ is not configured/);
+    });
+
+    it('should keep serving files stored before encryption was enabled', async () => {
+      const { publicKey } = await provider.uploadFile(Buffer.from('plain'), 'old.txt', 'text/plain');
+
+      const restarted = new LocalFileSystemProvider(TEST_ROOT_FOLDER, { keyRing: new KeyRing([masterKey]) });
+      await restarted.initialize();
+
+      expect((await restarted.downloadFile(publicKey)).buffer.toString()).toBe('plain');
+    });
+
+    it('should encrypt completed upload sessions', async () => {
+      const session = await encryptedProvider.createUploadSession({
+        originalName: 'chunked.txt',
+        mimeType: 'text/plain',
+        uploadLength: 10
+      });
+      await encryptedProvider.appendUploadChunk(session.uploadId, 0, Readable.from([Buffer.from('01234')]));
+      await encryptedProvider.appendUploadChunk(session.uploadId, 5, Readable.from([Buffer.from('56789')]));
+
+      const { publicKey } = await encryptedProvider.completeUploadSession(session.uploadId);
+
+      const stored = await fs.readFile(path.join(TEST_ROOT_FOLDER, 'files', publicKey));
+      expect(stored.includes('0123456789')).toBe(false);
+      expect((await encryptedProvider.downloadFile(publicKey)).buffer.toString()).toBe('0123456789');
+      await expect(fs.access(path.join(TEST_ROOT_FOLDER, 'uploads', session.uploadId))).rejects.toThrow();
+    });
+
+    it('should encrypt deduplicated blobs once for all files sharing them', async () => {
+      const dedupProvider = new LocalFileSystemProvider(TEST_ROOT_FOLDER, {
+        deduplicate: true,
+        keyRing: new KeyRing([masterKey])
+      });
+      await dedupProvider.initialize();
+
+      const first = await dedupProvider.uploadFile(Buffer.from('shared secret'), 'a.txt', 'text/plain');
+      const second = await dedupProvider.uploadFile(Buffer.from('shared secret'), 'b.txt', 'text/plain');
+
+      const contentHash = crypto.createHash('sha256').update('shared secret').digest('hex');
+      const blob = await fs.readFile(path.join(TEST_ROOT_FOLDER, 'blobs', contentHash));
+      expect(blob.includes('shared secret')).toBe(false);
+      expect((await dedupProvider.downloadFile(first.publicKey)).buffer.toString()).toBe('shared secret');
+      expect((await dedupProvider.downloadFile(second.publicKey)).buffer.toString()).toBe('shared secret');
+    });
+
+    it('should re-wrap data keys with a new master key without touching the content', async () => {
+      const { publicKey } = await encryptedProvider.uploadFile(Buffer.from('rotate me'), 'a.txt', 'text/plain');
+      await provider.uploadFile(Buffer.from('plain'), 'plain.txt', 'text/plain');
+      const filePath = path.join(TEST_ROOT_FOLDER, 'files', publicKey);
+      const before = await fs.readFile(filePath);
+
+      const newKey = crypto.randomBytes(32);
+      const rotated = new LocalFileSystemProvider(TEST_ROOT_FOLDER, { keyRing: new KeyRing([newKey, masterKey]) });
+      await rotated.initialize();
+
+      expect(await rotated.rewrapDataKeys()).toEqual({ rewrapped: 1 });
+      expect(await rotated.rewrapDataKeys()).toEqual({ rewrapped: 0 });
+
+      const after = await fs.readFile(filePath);
+      expect(after.subarray(HEADER_SIZE)).toEqual(before.subarray(HEADER_SIZE));
+      expect(after.subarray(0, HEADER_SIZE)).not.toEqual(before.subarray(0, HEADER_SIZE));
+
+      const newKeyOnly = new LocalFileSystemProvider(TEST_ROOT_FOLDER, { keyRing: new KeyRing([newKey]) });
+      await newKeyOnly.initialize();
+      expect((await newKeyOnly.downloadFile(publicKey)).buffer.toString()).toBe('rotate me');
+    });
+
+    it('should refuse to re-wrap data keys without a key ring', async () => {
+      await expect(provider.rewrapDataKeys()).rejects.toThrow('Encryption is not configured');
+    });
+
+    describe('conformance', () => {
+      describeStorageProviderConformance({
+        createProvider: async () => {
+          const conformanceProvider = new LocalFileSystemProvider(
+            await fs.mkdtemp(path.join(os.tmpdir(), 'local-provider-')),
+            { keyRing: new KeyRing([masterKey]) }
+          );
+          await conformanceProvider.initialize();
+          return conformanceProvider;
+        },
+        destroyProvider: async (conformanceProvider) => {
+          await fs.rm(conformanceProvider.rootFolder, { recursive: true, force: true });
+        }
+      });
+    });
+  });
+
+  describe('zero-knowledge mode', () => {
+    let zkProvider;
+
+    beforeEach(async () => {
+      zkProvider = new LocalFileSystemProvider(TEST_ROOT_FOLDER, { zeroKnowledge: true });
+      await zkProvider.initialize();
+    });
+
+    /**
+     * Read everything stored under the root folder
+     * @returns {Promise<Buffer>}
+     */
+    async function readStoredBytes() {
+      const entries = await fs.readdir(TEST_ROOT_FOLDER, { recursive: true, withFileTypes: true });
+      const files = entries.filter(entry => entry.isFile());
+      return Buffer.concat([
+        Buffer.from(files.map(entry => entry.name).join('\n')),
+        ...(await Promise.all(files.map(entry => fs.readFile(path.join(entry.parentPath || entry.path, entry.name)))))
+      ]);
+    }
+
+    it('should store neither the public key, nor the name, nor the content or its digest', async () => {
+      const { publicKey } = await zkProvider.uploadFile(Buffer.from('merger term sheet'), 'acme-merger.pdf', 'application/pdf');
+
+      const stored = await readStoredBytes();
+      expect(stored.includes(publicKey)).toBe(false);
+      expect(stored.includes('acme-merger')).toBe(false);
+      expect(stored.includes('application/pdf')).toBe(false);
+      expect(stored.includes('merger term sheet')).toBe(false);
+      expect(stored.includes(crypto.createHash('sha256').update('merger term sheet').digest('hex'))).toBe(false);
+    });
+
+    it('should serve files, their details and byte ranges by the public key', async () => {
+      const content = crypto.randomBytes(100 * 1024);
+      const { publicKey } = await zkProvider.uploadFile(content, 'report.bin', 'application/octet-stream');
+
+      const info = await zkProvider.getFileInfo(publicKey);
+      expect(info.originalName).toBe('report.bin');
+      expect(info.mimeType).toBe('application/octet-stream');
+      expect(info.fileSize).toBe(content.length);
+
+      expect((await zkProvider.downloadFile(publicKey)).buffer).toEqual(content);
+      const range = await streamToBuffer(await zkProvider.createReadStream(publicKey, { start: 65530, end: 65545 }));
+      expect(range).toEqual(content.subarray(65530, 65546));
+    });
+
+    it('should not find files by their lookup key', async () => {
+      const { publicKey } = await zkProvider.uploadFile(Buffer.from('secret'), 'a.txt', 'text/plain');
+      const [lookupKey] = await fs.readdir(path.join(TEST_ROOT_FOLDER, 'files'));
+
+      expect(lookupKey).not.toBe(publicKey);
+      await expect(zkProvider.getFileInfo(lookupKey)).rejects.toThrow('File not found');
+      await expect(zkProvider.downloadFile(lookupKey)).rejects.toThrow('File not found');
+    });
+
+    it('should track downloads and delete files by the private key', async () => {
+      const { publicKey, privateKey } = await zkProvider.uploadFile(Buffer.from('once'), 'a.txt', 'text/plain');
+      await zkProvider.updateFileSettings(privateKey, { maxDownloads: 1 });
+
+      expect(await zkProvider.consumeDownload(publicKey)).toEqual({ downloadCount: 1, maxDownloads: 1 });
+      await zkProvider.updateLastAccessed(publicKey);
+      expect((await zkProvider.getFileMetadata(privateKey)).lastAccessed).toBeInstanceOf(Date);
+
+      expect(await zkProvider.deleteFile(publicKey)).toBe(false);
+      expect(await zkProvider.deleteFile(privateKey)).toBe(true);
+      expect(await fs.readdir(path.join(TEST_ROOT_FOLDER, 'files'))).toEqual([]);
+    });
+
+    it('should not reveal name and MIME type to the private key', async () => {
+      const { privateKey } = await zkProvider.uploadFile(Buffer.from('secret'), 'a.txt', 'text/plain');
+
+      const info = await zkProvider.getOwnerFileInfo(privateKey);
+
+      expect(info.originalName).toBeNull();
+      expect(info.mimeType).toBeNull();
+      expect(info.fileSize).toBe(6);
+    });
+
+    it('should keep renditions sealed and delete them with the file', async () => {
+      const { publicKey, privateKey } = await zkProvider.uploadFile(Buffer.from('secret'), 'a.png', 'image/png');
+      await zkProvider.storeRendition(publicKey, 'preview', Buffer.from('tiny secret'), 'image/png');
+      const renditionKey = (await zkProvider.getFileInfo(publicKey)).renditions.preview;
+
+      expect((await readStoredBytes()).includes(renditionKey)).toBe(false);
+      expect((await zkProvider.getOwnerFileInfo(privateKey)).renditions).toEqual({});
+      expect((await streamToBuffer((await zkProvider.getRendition(publicKey, 'preview')).stream)).toString())
+        .toBe('tiny secret');
+
+      expect(await zkProvider.deleteFile(privateKey)).toBe(true);
+      expect(await fs.readdir(path.join(TEST_ROOT_FOLDER, 'files'))).toEqual([]);
+    });
+
+    it('should keep serving regular files, and zero-knowledge files after it is turned off', async () => {
+      const regular = await provider.uploadFile(Buffer.from('regular'), 'regular.txt', 'text/plain');
+      const restarted = new LocalFileSystemProvider(TEST_ROOT_FOLDER, { zeroKnowledge: true });
+      await restarted.initialize();
+      const protectedFile = await restarted.uploadFile(Buffer.from('protected'), 'protected.txt', 'text/plain');
+
+      expect((await restarted.downloadFile(regular.publicKey)).buffer.toString()).toBe('regular');
+
+      const turnedOff = new LocalFileSystemProvider(TEST_ROOT_FOLDER);
+      await turnedOff.initialize();
+      expect((await turnedOff.downloadFile(protectedFile.publicKey)).buffer.toString()).toBe('protected');
+      expect((await turnedOff.downloadFile(regular.publicKey)).buffer.toString()).toBe('regular');
+    });
+
+    it('should not keep the public key of completed upload sessions', async () => {
+      const session = await zkProvider.createUploadSession({
+        originalName: 'chunked.txt',
+        mimeType: 'text/plain',
+        uploadLength: 10
+      });
+      await zkProvider.appendUploadChunk(session.uploadId, 0, Readable.from([Buffer.from('0123456789')]));
+
+      const { publicKey } = await zkProvider.completeUploadSession(session.uploadId);
+
+      expect((await zkProvider.downloadFile(publicKey)).buffer.toString()).toBe('0123456789');
+      expect((await readStoredBytes()).includes(publicKey)).toBe(false);
+      await expect(zkProvider.completeUploadSession(session.uploadId)).rejects.toThrow('Upload already completed');
+    });
+
+    it('should refuse to be combined with deduplication', async () => {
+      const combined = new LocalFileSystemProvider(TEST_ROOT_FOLDER, { zeroKnowledge: true, deduplicate: true });
+
+      await expect(combined.initialize()).rejects.toThrow('Deduplication cannot be combined with zero-knowledge mode');
+    });
+
+    describe('conformance', () => {
+      describeStorageProviderConformance({
+        createProvider: async () => {
+          const conformanceProvider = new LocalFileSystemProvider(
+            await fs.mkdtemp(path.join(os.tmpdir(), 'local-provider-')),
+            { zeroKnowledge: true }
+          );
+          await conformanceProvider.initialize();
+          return conformanceProvider;
+        },
+        destroyProvider: async (conformanceProvider) => {
+          await fs.rm(conformanceProvider.rootFolder, { recursive: true, force: true });
+        },
+        zeroKnowledge: true
+      });
+    });
+  });
+
+  describe('conformance', () => {
+    describeStorageProviderConformance({
+      createProvider: async () => {
+        const conformanceProvider = new LocalFileSystemProvider(
+          await fs.mkdtemp(path.join(os.tmpdir(), 'local-provider-'))
+        );
+        await conformanceProvider.initialize();
+        return conformanceProvider;
+      },
+      destroyProvider: async (conformanceProvider) => {
+        await fs.rm(conformanceProvider.rootFolder, { recursive: true, force: true });
+      }
+    });
+  });
 });
@@ -0,0 +1,143 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const LogMetadataStore = require('../../../src/storage/LogMetadataStore');
+
+/**
+ * Build the metadata of a test file
+ * @param {string} name - Distinguishes the keys of the file
+ * @returns {Object}
+ */
+function createMetadata(name) {
+  return {
+    publicKey: `public-${name}`,
+    privateKey: `private-${name}`,
+    originalName: `${name}.txt`,
+    createdAt: '2024-01-01T00:00:00.000Z',
+    lastAccessed: null,
+    downloadCount: 0
+  };
+}
+
+describe('LogMetadataStore', () => {
+  let folder;
+  let logPath;
+
+  /**
+   * Open the log in a new store, as a restarted server would
+   * @returns {Promise<LogMetadataStore>}
+   */
+  async function openStore() {
+    const store = new LogMetadataStore(logPath);
+    await store.initialize();
+    return store;
+  }
+
+  /**
+   * Read the entries of the log file
+   * @returns {Promise<Array<Object>>}
+   */
+  async function readLog() {
+    const content = await fs.readFile(logPath, 'utf-8');
+    return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+
+  beforeEach(async () => {
+    folder = await fs.mkdtemp(path.join(os.tmpdir(), 'metadata-log-'));
+    logPath = path.join(folder, 'nested', 'metadata.log');
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(folder, { recursive: true, force: true });
+  });
+
+  it('should start empty without a log file', async () => {
+    const store = await openStore();
+
+    expect(await store.list()).toEqual([]);
+  });
+
+  it('should replay changes after a restart', async () => {
+    const store = await openStore();
+    await store.create(createMetadata('kept'));
+    await store.create(createMetadata('deleted'));
+    await store.update('private-kept', (metadata) => {
+      metadata.downloadCount = 3;
+    });
+    await store.delete('public-deleted');
+
+    const restarted = await openStore();
+
+    expect(await restarted.get('private-kept')).toEqual({ ...createMetadata('kept'), downloadCount: 3 });
+    expect(await restarted.get('public-deleted')).toBeNull();
+    expect(await readLog()).toHaveLength(4);
+  });
+
+  it('should replay a key change as one entry', async () => {
+    const store = await openStore();
+    await store.create(createMetadata('a'));
+    await store.update('private-a', (metadata) => {
+      metadata.publicKey = 'public-new';
+    });
+
+    const restarted = await openStore();
+
+    expect(await restarted.get('public-a')).toBeNull();
+    expect(await restarted.get('private-a')).toEqual({ ...createMetadata('a'), publicKey: 'public-new' });
+    expect((await readLog())[1]).toMatchObject({ op: 'put', replaces: 'public-a' });
+    expect(await restarted.list()).toHaveLength(1);
+  });
+
+  it('should keep concurrent changes in order', async () => {
+    const store = await openStore();
+    await store.create(createMetadata('a'));
+
+    await Promise.all(Array.from({ length: 10 }, () => store.update('public-a', (metadata) => {
+      metadata.downloadCount++;
+    })));
+
+    const restarted = await openStore();
+    expect((await restarted.get('public-a')).downloadCount).toBe(10);
+  });
+
+  it('should skip a partial last line and rewrite the log', async () => {
+    const store = await openStore();
+    await store.create(createMetadata('a'));
+    await fs.appendFile(logPath, '{"op":"put","metadata":{"publicKey":"pub');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const restarted = await openStore();
+    await restarted.create(createMetadata('b'));
+
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Skipped 1 unreadable entries'));
+    expect((await readLog()).map(change => change.metadata.publicKey)).toEqual(['public-a', 'public-b']);
+  });
+
+  it('should compact the log once it is mostly outdated entries', async () => {
+    const store = await openStore();
+    await store.create(createMetadata('a'));
+
+    for (let count = 1; count < 1000; count++) {
+      await store.update('public-a', (metadata) => {
+        metadata.downloadCount = count;
+      });
+    }
+
+    const entries = await readLog();
+    expect(entries).toHaveLength(1);
+    expect(entries[0].metadata.downloadCount).toBe(999);
+
+    const restarted = await openStore();
+    expect((await restarted.get('public-a')).downloadCount).toBe(999);
+  });
+
+  it('should not keep changes that could not be written', async () => {
+    const store = await openStore();
+    await fs.rm(path.dirname(logPath), { recursive: true });
+    await fs.mkdir(logPath, { recursive: true });
+
+    await expect(store.create(createMetadata('a'))).rejects.toThrow();
+    expect(await store.get('public-a')).toBeNull();
+  });
+});
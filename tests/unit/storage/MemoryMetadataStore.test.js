@@ -0,0 +1,218 @@
+const MemoryMetadataStore = require('../../../src/storage/MemoryMetadataStore');
+
+/**
+ * Build the metadata of a test file
+ * @param {string} name - Distinguishes the keys of the file
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object}
+ */
+function createMetadata(name, fields = {}) {
+  return {
+    publicKey: `public-${name}`,
+    privateKey: `private-${name}`,
+    originalName: `${name}.txt`,
+    createdAt: '2024-01-01T00:00:00.000Z',
+    lastAccessed: null,
+    ...fields
+  };
+}
+
+describe('MemoryMetadataStore', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = new MemoryMetadataStore();
+    await store.initialize();
+  });
+
+  describe('get', () => {
+    it('should find files by either key', async () => {
+      await store.create(createMetadata('a'));
+
+      expect((await store.get('public-a')).originalName).toBe('a.txt');
+      expect((await store.get('private-a')).originalName).toBe('a.txt');
+      expect(await store.get('unknown')).toBeNull();
+    });
+
+    it('should hand out copies', async () => {
+      const metadata = createMetadata('a');
+      await store.create(metadata);
+      metadata.originalName = 'changed.txt';
+      (await store.get('public-a')).originalName = 'changed.txt';
+
+      expect((await store.get('public-a')).originalName).toBe('a.txt');
+    });
+  });
+
+  describe('update', () => {
+    it('should apply changes and return the result of mutate', async () => {
+      await store.create(createMetadata('a'));
+
+      const result = await store.update('private-a', (metadata) => {
+        metadata.originalName = 'renamed.txt';
+        return 'done';
+      });
+
+      expect(result).toBe('done');
+      expect((await store.get('public-a')).originalName).toBe('renamed.txt');
+    });
+
+    it('should leave the metadata untouched if mutate throws', async () => {
+      await store.create(createMetadata('a'));
+
+      await expect(store.update('public-a', (metadata) => {
+        metadata.originalName = 'half-done.txt';
+        throw new Error('Aborted');
+      })).rejects.toThrow('Aborted');
+
+      expect((await store.get('public-a')).originalName).toBe('a.txt');
+    });
+
+    it('should throw for unknown keys', async () => {
+      await expect(store.update('unknown', () => {})).rejects.toThrow('File not found');
+    });
+
+    it('should roll back changes that could not be persisted', async () => {
+      await store.create(createMetadata('a'));
+      jest.spyOn(store, '_persist').mockRejectedValue(new Error('Disk full'));
+
+      await expect(store.update('public-a', (metadata) => {
+        metadata.lastAccessed = '2024-06-01T00:00:00.000Z';
+      })).rejects.toThrow('Disk full');
+      await expect(store.create(createMetadata('b'))).rejects.toThrow('Disk full');
+
+      expect((await store.get('public-a')).lastAccessed).toBeNull();
+      expect(await store.get('public-b')).toBeNull();
+      expect(await store.findInactive(new Date('2024-03-01'))).toHaveLength(1);
+    });
+  });
+
+  describe('key changes', () => {
+    it('should only find a file by its new keys', async () => {
+      await store.create(createMetadata('a'));
+
+      await store.update('private-a', (metadata) => {
+        metadata.publicKey = 'public-new';
+        metadata.privateKey = 'private-new';
+      });
+
+      expect(await store.get('public-a')).toBeNull();
+      expect(await store.get('private-a')).toBeNull();
+      expect((await store.get('private-new')).publicKey).toBe('public-new');
+      expect(await store.list()).toHaveLength(1);
+      expect((await store.findInactive(new Date('2024-03-01')))[0].publicKey).toBe('public-new');
+    });
+
+    it('should roll back a key change that could not be persisted', async () => {
+      await store.create(createMetadata('a'));
+      jest.spyOn(store, '_persist').mockRejectedValue(new Error('Disk full'));
+
+      await expect(store.update('private-a', (metadata) => {
+        metadata.publicKey = 'public-new';
+      })).rejects.toThrow('Disk full');
+
+      expect(await store.get('public-new')).toBeNull();
+      expect((await store.get('private-a')).publicKey).toBe('public-a');
+      expect(await store.findInactive(new Date('2024-03-01'))).toHaveLength(1);
+    });
+  });
+
+  describe('share tokens', () => {
+    it('should find a file by its share tokens, following key changes', async () => {
+      await store.create({ ...createMetadata('a'), shareTokens: [{ id: '1', token: 'token-a' }] });
+
+      await store.update('token-a', (metadata) => {
+        metadata.publicKey = 'public-new';
+        metadata.shareTokens = [...metadata.shareTokens, { id: '2', token: 'token-b' }];
+      });
+
+      expect((await store.get('token-a')).publicKey).toBe('public-new');
+      expect((await store.get('token-b')).publicKey).toBe('public-new');
+      expect(await store.list()).toHaveLength(1);
+
+      await store.delete('private-a');
+      expect(await store.get('token-a')).toBeNull();
+      expect(await store.get('token-b')).toBeNull();
+    });
+  });
+
+  describe('delete', () => {
+    it('should remove files from every index', async () => {
+      await store.create(createMetadata('a'));
+
+      expect(await store.delete('private-a')).toBe(true);
+      expect(await store.delete('private-a')).toBe(false);
+      expect(await store.get('public-a')).toBeNull();
+      expect(await store.list()).toEqual([]);
+      expect(await store.findInactive(new Date('2030-01-01'))).toEqual([]);
+    });
+  });
+
+  describe('findInactive', () => {
+    it('should return files last active strictly before the date, oldest first', async () => {
+      await store.create(createMetadata('recent', { lastAccessed: '2024-03-01T00:00:00.000Z' }));
+      await store.create(createMetadata('never', { createdAt: '2024-01-15T00:00:00.000Z' }));
+      await store.create(createMetadata('old', { lastAccessed: '2024-01-10T00:00:00.000Z' }));
+      await store.create(createMetadata('boundary', { createdAt: '2024-02-01T00:00:00.000Z' }));
+
+      const inactive = await store.findInactive(new Date('2024-02-01T00:00:00.000Z'));
+
+      expect(inactive.map(metadata => metadata.publicKey)).toEqual(['public-old', 'public-never']);
+    });
+
+    it('should follow updates of the last access time', async () => {
+      await store.create(createMetadata('a'));
+      await store.create(createMetadata('b'));
+
+      await store.update('public-a', (metadata) => {
+        metadata.lastAccessed = '2024-06-01T00:00:00.000Z';
+      });
+
+      const inactive = await store.findInactive(new Date('2024-02-01T00:00:00.000Z'));
+      expect(inactive.map(metadata => metadata.publicKey)).toEqual(['public-b']);
+    });
+
+    it('should keep files with the same activity time apart', async () => {
+      for (const name of ['c', 'a', 'b']) {
+        await store.create(createMetadata(name));
+      }
+      await store.delete('public-b');
+
+      const inactive = await store.findInactive(new Date('2024-02-01T00:00:00.000Z'));
+      expect(inactive.map(metadata => metadata.publicKey)).toEqual(['public-a', 'public-c']);
+    });
+  });
+
+  describe('findExpired', () => {
+    it('should return files expired at or before the date and files that used up their downloads', async () => {
+      await store.create(createMetadata('later', { expiresAt: '2024-03-01T00:00:00.000Z' }));
+      await store.create(createMetadata('boundary', { expiresAt: '2024-02-01T00:00:00.000Z' }));
+      await store.create(createMetadata('expired', { expiresAt: '2024-01-15T00:00:00.000Z' }));
+      await store.create(createMetadata('unlimited'));
+      await store.create(createMetadata('exhausted', { maxDownloads: 1, downloadCount: 1 }));
+      await store.create(createMetadata('both', { expiresAt: '2024-01-20T00:00:00.000Z', maxDownloads: 2, downloadCount: 2 }));
+
+      const expired = await store.findExpired(new Date('2024-02-01T00:00:00.000Z'));
+
+      expect(expired.map(metadata => metadata.publicKey))
+        .toEqual(['public-expired', 'public-both', 'public-boundary', 'public-exhausted']);
+    });
+
+    it('should follow downloads, changed expiry times and deletions', async () => {
+      await store.create(createMetadata('limited', { maxDownloads: 1, downloadCount: 0 }));
+      await store.create(createMetadata('extended', { expiresAt: '2024-01-15T00:00:00.000Z' }));
+      await store.create(createMetadata('deleted', { expiresAt: '2024-01-15T00:00:00.000Z' }));
+
+      await store.update('public-limited', (metadata) => {
+        metadata.downloadCount += 1;
+      });
+      await store.update('public-extended', (metadata) => {
+        metadata.expiresAt = '2024-06-01T00:00:00.000Z';
+      });
+      await store.delete('public-deleted');
+
+      const expired = await store.findExpired(new Date('2024-02-01T00:00:00.000Z'));
+      expect(expired.map(metadata => metadata.publicKey)).toEqual(['public-limited']);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const KeyRing = require('../../../src/storage/KeyRing');
+const MemoryStorageProvider = require('../../../src/storage/MemoryStorageProvider');
+const StorageFactory = require('../../../src/storage/StorageFactory');
+const describeStorageProviderConformance = require('../../helpers/storageProviderConformance');
+
+describe('MemoryStorageProvider', () => {
+  describeStorageProviderConformance({
+    createProvider: async () => {
+      const provider = new MemoryStorageProvider();
+      await provider.initialize();
+      return provider;
+    }
+  });
+
+  it('should be created by the storage factory without a folder or config', async () => {
+    const provider = await StorageFactory.createProvider('memory');
+
+    expect(provider).toBeInstanceOf(MemoryStorageProvider);
+  });
+
+  it('should refuse to be created with an encryption key ring', async () => {
+    await expect(StorageFactory.createProvider('memory', undefined, undefined, {
+      keyRing: new KeyRing([crypto.randomBytes(32)])
+    })).rejects.toThrow('Encryption at rest is not supported by the memory provider');
+  });
+
+  it('should refuse to be created with storage options it cannot honor', async () => {
+    for (const [option, message] of [
+      ['zeroKnowledge', 'Zero-knowledge mode is not supported by the memory provider'],
+      ['deduplicate', 'Deduplication is not supported by the memory provider'],
+      ['verifyOnRead', 'Verifying reads is not supported by the memory provider']
+    ]) {
+      await expect(StorageFactory.createProvider('memory', undefined, undefined, { [option]: true }))
+        .rejects.toThrow(message);
+    }
+    await expect(StorageFactory.createProvider('memory', undefined, undefined, {
+      deduplicate: false, zeroKnowledge: false, verifyOnRead: false, keyRing: null
+    })).resolves.toBeInstanceOf(MemoryStorageProvider);
+  });
+
+  it('should not share files between instances', async () => {
+    const first = new MemoryStorageProvider();
+    const second = new MemoryStorageProvider();
+
+    const { publicKey } = await first.uploadFile(Buffer.from('mine'), 'a.txt', 'text/plain');
+
+    await expect(second.getFileInfo(publicKey)).rejects.toThrow('File not found');
+  });
+
+  it('should not let callers change stored state through returned objects', async () => {
+    const provider = new MemoryStorageProvider();
+    const { publicKey } = await provider.uploadFile(Buffer.from('content'), 'a.txt', 'text/plain');
+    const session = await provider.createUploadSession({ originalName: 'b.txt', mimeType: 'text/plain', uploadLength: 4 });
+
+    (await provider.getFileInfo(publicKey)).downloadCount = 10;
+    session.offset = 4;
+    (await provider.getUploadSession(session.uploadId)).completed = true;
+
+    expect((await provider.getFileInfo(publicKey)).downloadCount).toBe(0);
+    expect(await provider.getUploadSession(session.uploadId)).toMatchObject({ offset: 0, completed: false });
+  });
+});
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const KeyRing = require('../../../src/storage/KeyRing');
+const {
+  HEADER_SIZE,
+  createEnvelope,
+  createDerivedEnvelope,
+  openEnvelope,
+  rewrapEnvelope,
+  createEncryptStream,
+  createDecryptStream,
+  getEncryptedSize,
+  getPlaintextSize,
+  planEncryptedRead,
+  encodeHeader,
+  decodeHeader
+} = require('../../../src/storage/contentEncryption');
+const { streamToBuffer } = require('../../../src/storage/streamUtils');
+
+// Small segments, so a few bytes span several of them
+const SEGMENT_SIZE = 16;
+
+describe('contentEncryption', () => {
+  const keyRing = new KeyRing([crypto.randomBytes(32)]);
+
+  /**
+   * Encrypt a buffer
+   * @param {Buffer} dataKey - Data key
+   * @param {Buffer} plaintext - Content
+   * @returns {Promise<Buffer>}
+   */
+  function encrypt(dataKey, plaintext) {
+    return streamToBuffer(Readable.from([plaintext]).pipe(createEncryptStream(dataKey, SEGMENT_SIZE)));
+  }
+
+  /**
+   * Decrypt a byte range of encrypted content
+   * @param {Buffer} dataKey - Data key
+   * @param {Buffer} encrypted - Encrypted content
+   * @param {{start?: number, end?: number}} range - Plaintext range
+   * @returns {Promise<Buffer>}
+   */
+  function decrypt(dataKey, encrypted, range = {}) {
+    const read = planEncryptedRead(range, getPlaintextSize(encrypted.length, SEGMENT_SIZE), SEGMENT_SIZE);
+    const source = Readable.from([encrypted.subarray(read.encryptedStart, read.encryptedEnd + 1)]);
+    return streamToBuffer(source.pipe(createDecryptStream(dataKey, read)));
+  }
+
+  describe('envelopes', () => {
+    it('should wrap a fresh data key per envelope', () => {
+      const first = createEnvelope(keyRing);
+      const second = createEnvelope(keyRing);
+
+      expect(first.dataKey).not.toEqual(second.dataKey);
+      expect(first.envelope).toEqual(expect.objectContaining({
+        algorithm: 'AES-256-GCM',
+        segmentSize: 64 * 1024,
+        keyId: keyRing.activeKeyId
+      }));
+      expect(openEnvelope(keyRing, first.envelope)).toEqual(first.dataKey);
+    });
+
+    it('should refuse to open envelopes without a key ring', () => {
+      const { envelope } = createEnvelope(keyRing);
+
+      expect(() => openEnvelope(null, envelope)).toThrow('File is encrypted but no encryption key is configured');
+    });
+
+    it('should re-wrap envelopes of previous master keys only', () => {
+      const oldKey = crypto.randomBytes(32);
+      const { dataKey, envelope } = createEnvelope(new KeyRing([oldKey]));
+      const rotated = new KeyRing([crypto.randomBytes(32), oldKey]);
+
+      const rewrapped = rewrapEnvelope(rotated, envelope);
+
+      expect(rewrapped.keyId).toBe(rotated.activeKeyId);
+      expect(openEnvelope(rotated, rewrapped)).toEqual(dataKey);
+      expect(rewrapEnvelope(rotated, rewrapped)).toBeNull();
+    });
+
+    it('should derive zero-knowledge data keys from the public key and never re-wrap them', () => {
+      const publicKey = crypto.randomBytes(32).toString('hex');
+      const { dataKey, envelope } = createDerivedEnvelope(publicKey);
+
+      expect(envelope).toEqual({ algorithm: 'AES-256-GCM', segmentSize: 64 * 1024, keyDerivation: 'publicKey' });
+      expect(openEnvelope(null, envelope, publicKey)).toEqual(dataKey);
+      expect(rewrapEnvelope(keyRing, envelope)).toBeNull();
+    });
+
+    it('should round-trip envelopes through a fixed-size header', () => {
+      const { envelope } = createEnvelope(keyRing);
+      const header = encodeHeader(envelope);
+
+      expect(header).toHaveLength(HEADER_SIZE);
+      expect(decodeHeader(header)).toEqual(envelope);
+      expect(decodeHeader(Buffer.alloc(HEADER_SIZE, 'plain text'))).toBeNull();
+      expect(decodeHeader(header.subarray(0, 10))).toBeNull();
+    });
+  });
+
+  describe('streams', () => {
+    const dataKey = crypto.randomBytes(32);
+
+    it.each([0, 1, 15, 16, 17, 48, 50])('should round-trip %i bytes', async (size) => {
+      const plaintext = crypto.randomBytes(size);
+
+      const encrypted = await encrypt(dataKey, plaintext);
+
+      expect(encrypted).toHaveLength(getEncryptedSize(size, SEGMENT_SIZE));
+      expect(getPlaintextSize(encrypted.length, SEGMENT_SIZE)).toBe(size);
+      expect(await decrypt(dataKey, encrypted)).toEqual(plaintext);
+    });
+
+    it('should decrypt byte ranges from the segments that hold them', async () => {
+      const plaintext = Buffer.from('0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOP');
+      const encrypted = await encrypt(dataKey, plaintext);
+
+      for (const [start, end] of [[0, 0], [15, 16], [5, 40], [32, 51], [51, 51], [20, 200]]) {
+        const expected = plaintext.subarray(start, Math.min(end, plaintext.length - 1) + 1);
+        expect((await decrypt(dataKey, encrypted, { start, end })).toString()).toBe(expected.toString());
+      }
+
+      const read = planEncryptedRead({ start: 20, end: 40 }, plaintext.length, SEGMENT_SIZE);
+      expect(read).toEqual(expect.objectContaining({ firstSegment: 1, segmentCount: 2, skip: 4, length: 21 }));
+    });
+
+    it('should emit a header before the first segment', async () => {
+      const header = Buffer.from('HEADER');
+      const output = await streamToBuffer(
+        Readable.from([Buffer.from('content')]).pipe(createEncryptStream(dataKey, SEGMENT_SIZE, header))
+      );
+
+      expect(output.subarray(0, 6).toString()).toBe('HEADER');
+      expect(output).toHaveLength(6 + getEncryptedSize(7, SEGMENT_SIZE));
+    });
+
+    it('should reject modified content', async () => {
+      const encrypted = await encrypt(dataKey, Buffer.from('a'.repeat(40)));
+      encrypted[20] ^= 1;
+
+      await expect(decrypt(dataKey, encrypted)).rejects.toThrow('Encrypted content failed authentication');
+    });
+
+    it('should reject content cut off at a segment boundary', async () => {
+      const encrypted = await encrypt(dataKey, Buffer.from('a'.repeat(40)));
+
+      await expect(decrypt(dataKey, encrypted.subarray(0, 2 * (SEGMENT_SIZE + 16))))
+        .rejects.toThrow('Encrypted content failed authentication');
+    });
+
+    it('should reject content decrypted with another data key', async () => {
+      const encrypted = await encrypt(dataKey, Buffer.from('secret'));
+
+      await expect(decrypt(crypto.randomBytes(32), encrypted)).rejects.toThrow('Encrypted content failed authentication');
+    });
+  });
+});
@@ -0,0 +1,24 @@
+const { hashPassword, verifyPassword } = require('../../../src/storage/passwordHash');
+
+describe('passwordHash', () => {
+  it('should verify the password a hash was created from', async () => {
+    const hash = await hashPassword('correct horse battery staple');
+
+    expect(hash).toMatch(/^scrypt\$/);
+    expect(hash).not.toContain('correct horse');
+    await expect(verifyPassword('correct horse battery staple', hash)).resolves.toBe(true);
+    await expect(verifyPassword('wrong', hash)).resolves.toBe(false);
+  });
+
+  it('should salt every hash', async () => {
+    const first = await hashPassword('secret');
+    const second = await hashPassword('secret');
+
+    expect(first).not.toBe(second);
+  });
+
+  it('should reject malformed hashes', async () => {
+    await expect(verifyPassword('secret', 'not-a-hash')).resolves.toBe(false);
+    await expect(verifyPassword('secret', null)).resolves.toBe(false);
+  });
+});
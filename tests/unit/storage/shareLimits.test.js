@@ -0,0 +1,56 @@
+const { getShareStatus, parseShareSettings } = require('../../../src/storage/shareLimits');
+
+describe('shareLimits', () => {
+  const now = new Date('2024-06-01T12:00:00.000Z');
+
+  describe('getShareStatus', () => {
+    it('should report shares without limits as available', () => {
+      expect(getShareStatus({ maxDownloads: null, downloadCount: 5 }, now)).toBe('available');
+    });
+
+    it('should report expired shares', () => {
+      expect(getShareStatus({ expiresAt: '2024-06-01T11:59:59.000Z' }, now)).toBe('expired');
+    });
+
+    it('should report exhausted shares', () => {
+      expect(getShareStatus({ maxDownloads: 2, downloadCount: 2 }, now)).toBe('exhausted');
+      expect(getShareStatus({ maxDownloads: 2, downloadCount: 1 }, now)).toBe('available');
+    });
+
+    it('should report shares before their not-before time as pending', () => {
+      expect(getShareStatus({ notBefore: '2024-06-01T13:00:00.000Z' }, now)).toBe('pending');
+      expect(getShareStatus({ notBefore: '2024-06-01T11:00:00.000Z' }, now)).toBe('available');
+    });
+  });
+
+  describe('parseShareSettings', () => {
+    it('should parse valid settings', () => {
+      const settings = parseShareSettings({
+        expiresAt: '2024-06-02T00:00:00Z',
+        notBefore: '2024-06-01T18:00:00Z',
+        maxDownloads: '3'
+      }, now);
+
+      expect(settings).toEqual({
+        expiresAt: '2024-06-02T00:00:00.000Z',
+        notBefore: '2024-06-01T18:00:00.000Z',
+        maxDownloads: 3
+      });
+    });
+
+    it('should ignore missing and empty fields', () => {
+      expect(parseShareSettings({ expiresAt: '', other: 'x' }, now)).toEqual({});
+      expect(parseShareSettings(undefined, now)).toEqual({});
+    });
+
+    it('should reject invalid settings', () => {
+      expect(() => parseShareSettings({ expiresAt: 'tomorrow' }, now)).toThrow('expiresAt must be a valid date');
+      expect(() => parseShareSettings({ expiresAt: '2024-06-01T00:00:00Z' }, now)).toThrow('expiresAt must be in the future');
+      expect(() => parseShareSettings({ maxDownloads: '0' }, now)).toThrow('maxDownloads must be a positive integer');
+      expect(() => parseShareSettings({
+        expiresAt: '2024-06-02T00:00:00Z',
+        notBefore: '2024-06-03T00:00:00Z'
+      }, now)).toThrow('notBefore must be before expiresAt');
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const {
+  MAX_SHARE_TOKENS,
+  parseShareTokenSettings,
+  createShareToken,
+  addShareToken,
+  revokeShareToken,
+  applyShareToken,
+  recordShareTokenDownload
+} = require('../../../src/storage/shareTokens');
+
+describe('shareTokens', () => {
+  const now = new Date('2024-06-01T12:00:00.000Z');
+
+  describe('parseShareTokenSettings', () => {
+    it('should parse valid settings and ignore other fields', () => {
+      expect(parseShareTokenSettings({
+        name: 'Newsletter',
+        expiresAt: '2024-06-02T00:00:00Z',
+        maxDownloads: 5,
+        notBefore: '2024-06-01T18:00:00Z',
+        password: 'secret'
+      }, now)).toEqual({ name: 'Newsletter', expiresAt: '2024-06-02T00:00:00.000Z', maxDownloads: 5 });
+      expect(parseShareTokenSettings({ name: '' }, now)).toEqual({});
+    });
+
+    it('should reject invalid settings', () => {
+      expect(() => parseShareTokenSettings({ name: 42 }, now)).toThrow('name must be a string');
+      expect(() => parseShareTokenSettings({ name: 'x'.repeat(201) }, now)).toThrow('name must be a string');
+      expect(() => parseShareTokenSettings({ maxDownloads: 0 }, now)).toThrow('maxDownloads must be a positive integer');
+      expect(() => parseShareTokenSettings({ expiresAt: '2024-05-01T00:00:00Z' }, now)).toThrow('expiresAt must be in the future');
+    });
+  });
+
+  describe('addShareToken', () => {
+    it('should add tokens without changing the list it was given', () => {
+      const first = createShareToken({ name: 'first' }, now);
+      const metadata = { shareTokens: [first] };
+      const shareTokens = metadata.shareTokens;
+
+      addShareToken(metadata, createShareToken({}, now));
+
+      expect(metadata.shareTokens).toHaveLength(2);
+      expect(shareTokens).toEqual([first]);
+      expect(metadata.shareTokens[1].id).not.toBe(first.id);
+    });
+
+    it('should refuse zero-knowledge files, bundle members and files at the limit', () => {
+      const share = createShareToken({}, now);
+      const full = { shareTokens: Array.from({ length: MAX_SHARE_TOKENS }, () => createShareToken({}, now)) };
+
+      expect(() => addShareToken({ zeroKnowledge: true }, share)).toThrow('Share tokens not available');
+      expect(() => addShareToken({ bundled: true }, share)).toThrow('Share tokens not available');
+      expect(() => addShareToken(full, share)).toThrow('Too many share tokens');
+    });
+  });
+
+  describe('revokeShareToken', () => {
+    it('should keep the time of the first revocation', () => {
+      const share = createShareToken({}, now);
+      const metadata = { shareTokens: [share] };
+
+      revokeShareToken(metadata, share.id, now);
+      const revoked = revokeShareToken(metadata, share.id, new Date('2024-06-02T00:00:00.000Z'));
+
+      expect(revoked.revokedAt).toBe(now.toISOString());
+      expect(share.revokedAt).toBeNull();
+      expect(() => revokeShareToken(metadata, 'unknown', now)).toThrow('Share token not found');
+    });
+  });
+
+  describe('applyShareToken', () => {
+    const info = { expiresAt: new Date('2024-06-03T00:00:00.000Z'), maxDownloads: 10, downloadCount: 8 };
+
+    it('should apply the earlier expiry and the tighter download limit', () => {
+      const share = { expiresAt: '2024-06-02T00:00:00.000Z', maxDownloads: 5, downloadCount: 1 };
+
+      expect(applyShareToken(info, share)).toMatchObject({
+        expiresAt: new Date('2024-06-02T00:00:00.000Z'),
+        maxDownloads: 10,
+        downloadCount: 8
+      });
+      expect(applyShareToken({ ...info, maxDownloads: null }, share)).toMatchObject({ maxDownloads: 5, downloadCount: 1 });
+    });
+
+    it('should keep the file limits for tokens without any', () => {
+      expect(applyShareToken(info, { expiresAt: null, maxDownloads: null, downloadCount: 3 })).toMatchObject(info);
+    });
+  });
+
+  describe('recordShareTokenDownload', () => {
+    it('should count the download for the token and the file', () => {
+      const share = createShareToken({ maxDownloads: 1 }, now);
+      const metadata = { downloadCount: 2, maxDownloads: null, shareTokens: [share] };
+
+      expect(recordShareTokenDownload(metadata, share.token, now)).toEqual({ downloadCount: 1, maxDownloads: 1 });
+      expect(metadata).toMatchObject({ downloadCount: 3, lastAccessed: now.toISOString() });
+      expect(metadata.shareTokens[0]).toMatchObject({ downloadCount: 1, lastAccessed: now.toISOString() });
+      expect(() => recordShareTokenDownload(metadata, share.token, now)).toThrow('Download limit reached');
+    });
+
+    it('should refuse revoked tokens and files that cannot be downloaded', () => {
+      const share = createShareToken({}, now);
+      const revoked = { ...createShareToken({}, now), revokedAt: now.toISOString() };
+      const metadata = { expiresAt: '2024-06-01T00:00:00.000Z', shareTokens: [share, revoked] };
+
+      expect(() => recordShareTokenDownload(metadata, revoked.token, now)).toThrow('File not found');
+      expect(() => recordShareTokenDownload(metadata, 'unknown', now)).toThrow('File not found');
+      expect(() => recordShareTokenDownload(metadata, share.token, now)).toThrow('File expired');
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const MemoryMetadataStore = require('../../../src/storage/MemoryMetadataStore');
+const {
+  deriveLookupKey,
+  deriveContentKey,
+  sealFileDetails,
+  openFileDetails,
+  protectMetadata,
+  revealMetadata,
+  findByPublicKey
+} = require('../../../src/storage/zeroKnowledge');
+
+describe('zeroKnowledge', () => {
+  const publicKey = crypto.randomBytes(32).toString('hex');
+
+  /**
+   * Build the metadata of a regular file
+   * @param {string} key - The public key
+   * @returns {Object}
+   */
+  function createMetadata(key) {
+    return {
+      publicKey: key,
+      privateKey: crypto.randomBytes(32).toString('hex'),
+      originalName: 'payroll.xlsx',
+      mimeType: 'application/vnd.ms-excel',
+      createdAt: new Date().toISOString(),
+      lastAccessed: null,
+      fileSize: 10
+    };
+  }
+
+  it('should derive stable, unrelated lookup and content keys', () => {
+    expect(deriveLookupKey(publicKey)).toBe(deriveLookupKey(publicKey));
+    expect(deriveLookupKey(publicKey)).toMatch(/^[a-f0-9]{64}$/);
+    expect(deriveLookupKey(publicKey)).not.toBe(publicKey);
+    expect(deriveContentKey(publicKey)).toHaveLength(32);
+    expect(deriveContentKey(publicKey).toString('hex')).not.toBe(deriveLookupKey(publicKey));
+    expect(deriveLookupKey(`${publicKey.slice(0, -1)}0`)).not.toBe(deriveLookupKey(`${publicKey.slice(0, -1)}1`));
+  });
+
+  it('should seal file details so only the public key opens them', () => {
+    const sealed = sealFileDetails(publicKey, { originalName: 'payroll.xlsx', mimeType: 'text/csv' });
+
+    expect(sealed).not.toContain('payroll');
+    expect(openFileDetails(publicKey, sealed)).toEqual({ originalName: 'payroll.xlsx', mimeType: 'text/csv' });
+    expect(() => openFileDetails(deriveLookupKey(publicKey), sealed)).toThrow('File details could not be decrypted');
+  });
+
+  it('should keep neither the public key nor the file details in protected metadata', () => {
+    const metadata = createMetadata(publicKey);
+    const protectedMetadata = protectMetadata(metadata);
+
+    expect(JSON.stringify(protectedMetadata)).not.toContain(publicKey);
+    expect(JSON.stringify(protectedMetadata)).not.toContain('payroll');
+    expect(protectedMetadata).toEqual(expect.objectContaining({
+      publicKey: deriveLookupKey(publicKey),
+      privateKey: metadata.privateKey,
+      zeroKnowledge: true
+    }));
+
+    expect(revealMetadata(protectedMetadata, publicKey)).toEqual(expect.objectContaining({
+      originalName: 'payroll.xlsx',
+      mimeType: 'application/vnd.ms-excel'
+    }));
+    expect(revealMetadata(metadata, publicKey)).toBe(metadata);
+  });
+
+  describe('findByPublicKey', () => {
+    let store;
+
+    beforeEach(async () => {
+      store = new MemoryMetadataStore();
+      await store.initialize();
+    });
+
+    it('should find zero-knowledge and regular files in either mode', async () => {
+      const regularKey = crypto.randomBytes(32).toString('hex');
+      await store.create(protectMetadata(createMetadata(publicKey)));
+      await store.create(createMetadata(regularKey));
+
+      for (const zeroKnowledge of [true, false]) {
+        expect((await findByPublicKey(store, publicKey, zeroKnowledge)).publicKey).toBe(deriveLookupKey(publicKey));
+        expect((await findByPublicKey(store, regularKey, zeroKnowledge)).publicKey).toBe(regularKey);
+      }
+    });
+
+    it('should not find zero-knowledge files by their lookup or private key', async () => {
+      const metadata = protectMetadata(createMetadata(publicKey));
+      await store.create(metadata);
+
+      expect(await findByPublicKey(store, metadata.publicKey, true)).toBeNull();
+      expect(await findByPublicKey(store, metadata.publicKey, false)).toBeNull();
+      expect(await findByPublicKey(store, metadata.privateKey, true)).toBeNull();
+    });
+  });
+});
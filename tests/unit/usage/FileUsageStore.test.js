@@ -0,0 +1,98 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const FileUsageStore = require('../../../src/usage/FileUsageStore');
+const UsageStoreFactory = require('../../../src/usage/UsageStoreFactory');
+const describeUsageStoreConformance = require('../../helpers/usageStoreConformance');
+
+describe('FileUsageStore', () => {
+  let folder;
+  let filePath;
+
+  /**
+   * Open the usage file in a new store, as a restarted server would
+   * @returns {Promise<FileUsageStore>}
+   */
+  async function openStore() {
+    const store = new FileUsageStore(filePath);
+    await store.initialize();
+    return store;
+  }
+
+  beforeEach(async () => {
+    folder = await fs.mkdtemp(path.join(os.tmpdir(), 'usage-store-'));
+    filePath = path.join(folder, 'nested', 'usage.json');
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(folder, { recursive: true, force: true });
+  });
+
+  describeUsageStoreConformance({
+    createStore: async () => {
+      filePath = path.join(folder, `usage-${Date.now()}-${Math.random()}.json`);
+      return openStore();
+    }
+  });
+
+  it('should keep counters across restarts', async () => {
+    const store = await openStore();
+    await store.increment('ip', 'upload', 100, { expiresAt: new Date(Date.now() + 60 * 1000) });
+    await store.increment('ip', 'download', 25);
+    await store.close();
+
+    const restarted = await openStore();
+
+    expect(await restarted.get('ip')).toEqual({ upload: 100, download: 25 });
+  });
+
+  it('should save every increment made while a save was running', async () => {
+    const store = await openStore();
+
+    await Promise.all(Array.from({ length: 50 }, () => store.increment('ip', 'upload', 2)));
+    await store.close();
+
+    const saved = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    expect(saved.ip.counters.upload).toBe(100);
+  });
+
+  it('should drop expired counters when loading', async () => {
+    const store = await openStore();
+    await store.increment('yesterday', 'upload', 10, { expiresAt: new Date(Date.now() - 1000) });
+    await store.close();
+
+    const restarted = await openStore();
+
+    expect(await restarted.get('yesterday')).toEqual({});
+    expect(JSON.parse(await fs.readFile(filePath, 'utf-8'))).toEqual({});
+  });
+
+  it('should start over from an unreadable usage file', async () => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, '{"ip": {"coun');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const store = await openStore();
+
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('could not be read'), expect.any(String));
+    expect(await store.increment('ip', 'upload', 1)).toEqual({ allowed: true, value: 1 });
+  });
+
+  it('should keep counting in memory when the file cannot be written', async () => {
+    const store = await openStore();
+    await fs.rm(path.dirname(filePath), { recursive: true });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(await store.increment('ip', 'upload', 5)).toEqual({ allowed: true, value: 5 });
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('could not be saved'), expect.any(String));
+  });
+
+  it('should be created by the usage store factory', async () => {
+    const store = await UsageStoreFactory.createUsageStore('file', { file: filePath });
+
+    expect(store).toBeInstanceOf(FileUsageStore);
+    await expect(UsageStoreFactory.createUsageStore('file'))
+      .rejects.toThrow('USAGE_STORE_FILE environment variable is required for file usage store');
+  });
+});
@@ -0,0 +1,31 @@
+const MemoryUsageStore = require('../../../src/usage/MemoryUsageStore');
+const UsageStoreFactory = require('../../../src/usage/UsageStoreFactory');
+const describeUsageStoreConformance = require('../../helpers/usageStoreConformance');
+
+describe('MemoryUsageStore', () => {
+  describeUsageStoreConformance({
+    createStore: async () => {
+      const store = new MemoryUsageStore();
+      await store.initialize();
+      return store;
+    }
+  });
+
+  it('should be the default of the usage store factory', async () => {
+    expect(await UsageStoreFactory.createUsageStore()).toBeInstanceOf(MemoryUsageStore);
+  });
+
+  it('should reject unknown usage store types', async () => {
+    await expect(UsageStoreFactory.createUsageStore('mongo'))
+      .rejects.toThrow("Unknown usage store type: mongo. Supported types: 'memory', 'file', 'redis'");
+  });
+
+  it('should keep counters of separate instances apart', async () => {
+    const first = new MemoryUsageStore();
+    const second = new MemoryUsageStore();
+
+    await first.increment('ip', 'upload', 10);
+
+    expect(await second.get('ip')).toEqual({});
+  });
+});